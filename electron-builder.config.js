@@ -56,6 +56,11 @@ module.exports = {
       from: "src/main/workflow-nodes",
       to: "mcp-servers/workflow-nodes",
       filter: ["**/*"]
+    },
+    {
+      from: "src/shared",
+      to: "mcp-servers/shared",
+      filter: ["api-collections.js", "api-contract.js", "webapp-workspaces.js", "browser-errors.js", "fivem-lint.js", "fivem-resources.js", "workflow-revisions.js"]
     }
   ],
   win: {
@@ -799,8 +799,10 @@ async function startFivemServer(projectIndex) {
   try {
     await api.fivem.start({
       projectIndex,
+      projectId: project.id,
       projectPath: project.path,
-      runCommand: project.fivemConfig?.runCommand || project.runCommand
+      runCommand: project.fivemConfig?.runCommand || project.runCommand,
+      hotReload: project.fivemConfig?.hotReload
     });
     localState.fivemServers.set(projectIndex, { status: 'running', logs: [] });
   } catch (e) {
@@ -845,6 +847,11 @@ api.fivem.onExit(({ projectIndex, code }) => {
   ProjectList.render();
 });
 
+api.fivem.onHotReload(({ projectIndex, restarted, refreshed }) => {
+  const commands = [...(refreshed ? ['refresh'] : []), ...restarted.map(name => `ensure ${name}`)];
+  TerminalManager.writeTypeConsole(projectIndex, 'fivem', `\r\n\x1b[36m[${t('fivem.hotReload.label')}] ${commands.join(', ')}\x1b[0m\r\n`);
+});
+
 // Legacy FiveM listeners via the service (kept for compatibility)
 FivemService.registerFivemListeners(
   // onData callback - update local state
@@ -872,7 +879,12 @@ async function startWebAppServer(projectIndex) {
   if (!project) return;
 
   const { startDevServer } = require('./src/project-types/webapp/renderer/WebAppRendererService');
-  await startDevServer(projectIndex);
+  const result = await startDevServer(projectIndex);
+  if (!result.success) {
+    showToast({ type: 'error', title: t('webapp.startFailed'), message: result.error });
+  } else if (result.errors && result.errors.length) {
+    showToast({ type: 'warning', title: t('webapp.startPartial'), message: result.errors.join('\n') });
+  }
   ProjectList.render();
 }
 
@@ -908,13 +920,13 @@ function refreshWebAppInfoPanel(projectIndex) {
   });
 }
 
-// Register WebApp listeners - write to TerminalManager's WebApp console
-api.webapp.onData(({ projectIndex, data }) => {
-  TerminalManager.writeTypeConsole(projectIndex, 'webapp', data);
+// Register WebApp listeners - console output is written by WebAppRendererService
+// (process prefixes / filter), see registerWebAppListeners in src/renderer/index.js
+api.webapp.onExit(() => {
+  ProjectList.render();
 });
 
-api.webapp.onExit(({ projectIndex, code }) => {
-  TerminalManager.writeTypeConsole(projectIndex, 'webapp', `\r\n[Dev server exited with code ${code}]\r\n`);
+api.webapp.onRestart(() => {
   ProjectList.render();
 });
 
@@ -941,6 +953,19 @@ async function stopApiServer(projectIndex) {
   ProjectList.render();
 }
 
+async function toggleApiMock(projectIndex) {
+  const { getApiMock } = require('./src/project-types/api/renderer/ApiState');
+  const { startMockServer, stopMockServer } = require('./src/project-types/api/renderer/ApiRendererService');
+  const running = getApiMock(projectIndex).status !== 'stopped';
+  const result = running ? await stopMockServer(projectIndex) : await startMockServer(projectIndex);
+  if (result && !result.success) {
+    showToast({ type: 'error', title: t('api.mockStartFailed'), message: result.error });
+  } else if (!running) {
+    showToast({ type: 'success', title: t('api.mockServer'), message: t('api.mockStarted', { port: result.port, count: result.routes }) });
+  }
+  ProjectList.render();
+}
+
 function openApiConsole(projectIndex) {
   const projects = projectsState.get().projects;
   const project = projects[projectIndex];
@@ -970,6 +995,130 @@ api.api.onPortDetected(({ projectIndex, port }) => {
   ProjectList.render();
 });
 
+api.api.onMockLog(({ projectIndex, entry }) => {
+  const { addApiMockLog } = require('./src/project-types/api/renderer/ApiState');
+  addApiMockLog(projectIndex, entry);
+});
+
+api.api.onMockExit(({ projectIndex, error }) => {
+  const { setApiMock } = require('./src/project-types/api/renderer/ApiState');
+  setApiMock(projectIndex, { status: 'stopped', port: null });
+  if (error) showToast({ type: 'error', title: t('api.mockStopped'), message: error });
+  ProjectList.render();
+});
+
+// ========== PYTHON ==========
+async function startPythonProject(projectIndex) {
+  const projects = projectsState.get().projects;
+  const project = projects[projectIndex];
+  if (!project) return;
+
+  const { startPythonRun } = require('./src/project-types/python/renderer/PythonRendererService');
+  const result = await startPythonRun(projectIndex);
+  if (!result.success) {
+    showToast({ type: 'error', title: t('python.startFailed'), message: result.error });
+  } else {
+    TerminalManager.createTypeConsole(project, projectIndex);
+  }
+  ProjectList.render();
+}
+
+async function stopPythonProject(projectIndex) {
+  const { stopPythonRun } = require('./src/project-types/python/renderer/PythonRendererService');
+  await stopPythonRun(projectIndex);
+  ProjectList.render();
+}
+
+function openPythonConsole(projectIndex) {
+  const projects = projectsState.get().projects;
+  const project = projects[projectIndex];
+  if (!project) return;
+
+  TerminalManager.createTypeConsole(project, projectIndex);
+}
+
+// Register Python listeners - state + TerminalManager console
+api.python.onData(({ projectIndex, data }) => {
+  const { addPythonLog } = require('./src/project-types/python/renderer/PythonState');
+  addPythonLog(projectIndex, data);
+  TerminalManager.writeTypeConsole(projectIndex, 'python', data);
+});
+
+api.python.onExit(({ projectIndex, code }) => {
+  const { setPythonRun } = require('./src/project-types/python/renderer/PythonState');
+  setPythonRun(projectIndex, { status: 'stopped' });
+  TerminalManager.writeTypeConsole(projectIndex, 'python', `\r\n[Process exited with code ${code}]\r\n`);
+  ProjectList.render();
+});
+
+api.python.onTestOutput(({ projectIndex, data }) => {
+  const { addPythonTestOutput } = require('./src/project-types/python/renderer/PythonState');
+  addPythonTestOutput(projectIndex, data);
+});
+
+// ========== MINECRAFT ==========
+async function startMinecraftProject(projectIndex) {
+  const projects = projectsState.get().projects;
+  const project = projects[projectIndex];
+  if (!project) return;
+
+  const { startMinecraftServer } = require('./src/project-types/minecraft/renderer/MinecraftRendererService');
+  const result = await startMinecraftServer(projectIndex);
+  if (!result.success) {
+    showToast({ type: 'error', title: t('minecraft.startFailed'), message: result.error });
+  } else {
+    TerminalManager.createTypeConsole(project, projectIndex);
+  }
+  ProjectList.render();
+}
+
+async function stopMinecraftProject(projectIndex) {
+  const { stopMinecraftServer } = require('./src/project-types/minecraft/renderer/MinecraftRendererService');
+  await stopMinecraftServer(projectIndex);
+  ProjectList.render();
+}
+
+function openMinecraftConsole(projectIndex) {
+  const projects = projectsState.get().projects;
+  const project = projects[projectIndex];
+  if (!project) return;
+
+  TerminalManager.createTypeConsole(project, projectIndex);
+}
+
+// Register Minecraft listeners - state + TerminalManager console
+api.minecraft.onData(({ projectIndex, data }) => {
+  const { addMinecraftLog } = require('./src/project-types/minecraft/renderer/MinecraftState');
+  addMinecraftLog(projectIndex, data);
+  TerminalManager.writeTypeConsole(projectIndex, 'minecraft', data);
+});
+
+api.minecraft.onExit(({ projectIndex, code }) => {
+  const { setMinecraftServerStatus, setMinecraftPlayerCount } = require('./src/project-types/minecraft/renderer/MinecraftState');
+  setMinecraftServerStatus(projectIndex, 'stopped');
+  setMinecraftPlayerCount(projectIndex, 0);
+  TerminalManager.writeTypeConsole(projectIndex, 'minecraft', `\r\n[Server stopped with code ${code}]\r\n`);
+  ProjectList.render();
+});
+
+api.minecraft.onStatus(({ projectIndex, status }) => {
+  const { setMinecraftServerStatus } = require('./src/project-types/minecraft/renderer/MinecraftState');
+  setMinecraftServerStatus(projectIndex, status);
+  ProjectList.render();
+});
+
+api.minecraft.onPlayerCount(({ projectIndex, count }) => {
+  const { setMinecraftPlayerCount } = require('./src/project-types/minecraft/renderer/MinecraftState');
+  setMinecraftPlayerCount(projectIndex, count);
+});
+
+api.minecraft.onBackupDone(({ projectIndex, success, error }) => {
+  const project = projectsState.get().projects[projectIndex];
+  if (!success) {
+    showToast({ type: 'error', title: t('minecraft.manage.backupFailed', { name: project?.name || '' }), message: error });
+  }
+});
+
 // ========== DELETE PROJECT ==========
 async function deleteProjectUI(projectId) {
   const project = getProject(projectId);
@@ -1995,6 +2144,13 @@ ProjectList.setCallbacks({
   onStartApi: startApiServer,
   onStopApi: stopApiServer,
   onOpenApiConsole: openApiConsole,
+  onToggleApiMock: toggleApiMock,
+  onStartPython: startPythonProject,
+  onStopPython: stopPythonProject,
+  onOpenPythonConsole: openPythonConsole,
+  onStartMinecraft: startMinecraftProject,
+  onStopMinecraft: stopMinecraftProject,
+  onOpenMinecraftConsole: openMinecraftConsole,
   onGitPull: gitPull,
   onGitPush: gitPush,
   onNewWorktree: openNewWorktreeModal,
@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * API Tools Module for Claude Terminal MCP
+ *
+ * Runs the saved requests of API projects with their assertions (status, JSON path,
+ * headers, response time, route schema) so endpoints can be verified after editing them.
+ * Reads collections from CT_DATA_DIR/api/<projectId>/ (collections.json, routes.json).
+ *
+ * Only relevant for projects with type === 'api'.
+ *
+ * Tools: api_collections, api_run_tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// Resolve the shared contract runner: packaged app (extraResources) → dev fallback
+let contract = null;
+try {
+  contract = require(path.join(__dirname, '..', 'shared', 'api-contract'));
+} catch (_) {
+  try {
+    contract = require(path.join(__dirname, '..', '..', '..', 'src', 'shared', 'api-contract'));
+  } catch (e) {
+    process.stderr.write(`[ct-mcp:api] Contract runner unavailable: ${e.message}\n`);
+  }
+}
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// -- Logging ------------------------------------------------------------------
+
+function log(...args) {
+  process.stderr.write(`[ct-mcp:api] ${args.join(' ')}\n`);
+}
+
+// -- Data access --------------------------------------------------------------
+
+function getDataDir() {
+  return process.env.CT_DATA_DIR || '';
+}
+
+function loadProjects() {
+  const file = path.join(getDataDir(), 'projects.json');
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    log('Error reading projects.json:', e.message);
+  }
+  return { projects: [], folders: [], rootOrder: [] };
+}
+
+function listApiProjects() {
+  return loadProjects().projects.filter(p => p.type === 'api');
+}
+
+function findApiProject(nameOrId) {
+  const needle = String(nameOrId).toLowerCase();
+  return listApiProjects().find(p =>
+    p.id === nameOrId ||
+    (p.name || '').toLowerCase() === needle ||
+    path.basename(p.path || '').toLowerCase() === needle
+  );
+}
+
+function projectLabel(p) {
+  return p.name || path.basename(p.path || '');
+}
+
+function readProjectFile(projectId, file, fallback) {
+  const dir = path.join(getDataDir(), 'api', String(projectId).replace(/[^\w.-]/g, '_'));
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function loadCollections(projectId) {
+  const data = readProjectFile(projectId, 'collections.json', {});
+  return {
+    collections: Array.isArray(data.collections) ? data.collections : [],
+    environments: Array.isArray(data.environments) ? data.environments : [],
+    activeEnvironment: data.activeEnvironment || null,
+  };
+}
+
+// -- HTTP ---------------------------------------------------------------------
+
+function sendRequest({ method, url, headers = {}, body = '' }) {
+  return new Promise((resolve) => {
+    const start = Date.now();
+    const fail = (error) => resolve({ error, status: 0, headers: {}, body: '', time: Date.now() - start, size: 0 });
+
+    let parsed;
+    try { parsed = new URL(url); } catch (_) { return fail(`Invalid URL: ${url}`); }
+
+    const transport = parsed.protocol === 'https:' ? https : http;
+    const sendBody = body && ['POST', 'PUT', 'PATCH'].includes(method);
+    const reqHeaders = { ...headers };
+    if (sendBody) reqHeaders['Content-Length'] = Buffer.byteLength(body, 'utf8');
+
+    const req = transport.request(parsed, { method, headers: reqHeaders, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        resolve({
+          status: res.statusCode,
+          statusText: res.statusMessage || '',
+          headers: res.headers,
+          body: raw.toString('utf8'),
+          time: Date.now() - start,
+          size: raw.length,
+        });
+      });
+      res.on('aborted', () => fail('Connection aborted by server'));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+    req.on('error', (e) => fail(e.message));
+    if (sendBody) req.write(body);
+    req.end();
+  });
+}
+
+// -- Tool definitions ---------------------------------------------------------
+
+const tools = [
+  {
+    name: 'api_collections',
+    description: 'List the saved request collections of an API project: requests with their assertions and chained values, and the environments ({{variable}} names) available to api_run_tests.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'API project name or ID' },
+      },
+      required: ['project'],
+    },
+  },
+  {
+    name: 'api_run_tests',
+    description: 'Run the saved requests of an API project in order and check their assertions (status code, JSON path values, headers, response time budget, JSON Schema of the detected/OpenAPI route). Values extracted from a response ({{name}}) are passed to the following requests. Returns a pass/fail report. Use it after editing endpoints; the dev server must be running.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'API project name or ID' },
+        collection: { type: 'string', description: 'Collection name or ID (default: every collection)' },
+        request: { type: 'string', description: 'Only run this saved request (name or ID)' },
+        environment: { type: 'string', description: 'Environment name (default: the one selected in the app)' },
+        variables: { type: 'object', description: 'Extra {{variable}} values, e.g. { "baseUrl": "http://localhost:4000" }. Override the environment.' },
+        stop_on_failure: { type: 'boolean', description: 'Stop a collection at its first failing request (default: false)' },
+      },
+      required: ['project'],
+    },
+  },
+];
+
+// -- Tool handler -------------------------------------------------------------
+
+function matches(item, nameOrId) {
+  return item.id === nameOrId || (item.name || '').toLowerCase() === String(nameOrId).toLowerCase();
+}
+
+async function handle(name, args) {
+  const ok = (text) => ({ content: [{ type: 'text', text }] });
+  const fail = (text) => ({ content: [{ type: 'text', text }], isError: true });
+
+  try {
+    if (!args.project) return fail('Missing required parameter: project');
+    const p = findApiProject(args.project);
+    if (!p) {
+      const projects = listApiProjects();
+      if (!projects.length) return fail('No API projects found.');
+      return fail(`API project "${args.project}" not found. Available: ${projects.map(projectLabel).join(', ')}`);
+    }
+    const data = loadCollections(p.id);
+
+    // ── api_collections ──
+    if (name === 'api_collections') {
+      if (!data.collections.length) return ok(`No saved requests in ${projectLabel(p)}. Save requests from the API tester (Collections tab) first.`);
+
+      let output = `# ${projectLabel(p)} — Collections\n\n`;
+      for (const c of data.collections) {
+        output += `## ${c.name} (${c.requests.length} requests)\n`;
+        for (const r of c.requests) {
+          output += `  ${r.method.padEnd(7)} ${r.name} — ${r.url}\n`;
+          for (const a of r.assertions || []) output += `      assert ${contract ? contract.describeAssertion(a) : a.type}\n`;
+          for (const x of r.extract || []) output += `      {{${x.name}}} ← ${x.from}\n`;
+        }
+        output += '\n';
+      }
+      if (data.environments.length) {
+        output += '## Environments\n';
+        for (const env of data.environments) {
+          const active = env.id === data.activeEnvironment ? ' (active)' : '';
+          output += `  ${env.name}${active}: ${Object.keys(env.variables || {}).map(v => `{{${v}}}`).join(', ') || 'no variables'}\n`;
+        }
+      }
+      return ok(output);
+    }
+
+    // ── api_run_tests ──
+    if (name === 'api_run_tests') {
+      if (!contract) return fail('Contract runner unavailable in this installation.');
+
+      let collections = data.collections;
+      if (args.collection) {
+        collections = collections.filter(c => matches(c, args.collection));
+        if (!collections.length) return fail(`Collection "${args.collection}" not found. Available: ${data.collections.map(c => c.name).join(', ') || 'none'}`);
+      }
+      if (args.request) {
+        collections = collections
+          .map(c => ({ ...c, requests: c.requests.filter(r => matches(r, args.request)) }))
+          .filter(c => c.requests.length);
+        if (!collections.length) return fail(`Saved request "${args.request}" not found.`);
+      }
+      if (!collections.some(c => c.requests.length)) return fail(`No saved requests to run in ${projectLabel(p)}.`);
+
+      const env = args.environment
+        ? data.environments.find(e => matches(e, args.environment))
+        : data.environments.find(e => e.id === data.activeEnvironment);
+      if (args.environment && !env) return fail(`Environment "${args.environment}" not found. Available: ${data.environments.map(e => e.name).join(', ') || 'none'}`);
+
+      const variables = { ...(env?.variables || {}), ...(args.variables || {}) };
+      const routes = readProjectFile(p.id, 'routes.json', []);
+
+      const reports = [];
+      for (const c of collections) {
+        const report = await contract.runCollection(c.requests, {
+          send: sendRequest,
+          variables,
+          routes,
+          stopOnFailure: !!args.stop_on_failure,
+        });
+        reports.push(contract.formatReport(report, c.name));
+      }
+      const header = env ? `Environment: ${env.name}\n\n` : '';
+      return ok(header + reports.join('\n\n'));
+    }
+
+    return fail(`Unknown api tool: ${name}`);
+  } catch (error) {
+    log(`Error in ${name}:`, error.message);
+    return fail(`API error: ${error.message}`);
+  }
+}
+
+// -- Cleanup ------------------------------------------------------------------
+
+async function cleanup() {}
+
+// -- Exports ------------------------------------------------------------------
+
+module.exports = { tools, handle, cleanup };
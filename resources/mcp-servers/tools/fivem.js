@@ -4,7 +4,7 @@
  * FiveM Tools Module for Claude Terminal MCP
  *
  * Provides FiveM project-specific tools: resource scanning, manifest reading,
- * server.cfg analysis, and server control via trigger files.
+ * server.cfg analysis, manifest linting, and server control via trigger files.
  *
  * Only relevant for projects with type === 'fivem'.
  */
@@ -12,6 +12,22 @@
 const fs = require('fs');
 const path = require('path');
 
+// Resolve shared modules: packaged app (extraResources) → dev fallback
+function requireShared(name) {
+  try {
+    return require(path.join(__dirname, '..', 'shared', name));
+  } catch (_) {
+    try {
+      return require(path.join(__dirname, '..', '..', '..', 'src', 'shared', name));
+    } catch (e) {
+      process.stderr.write(`[ct-mcp:fivem] Shared module ${name} unavailable: ${e.message}\n`);
+      return null;
+    }
+  }
+}
+
+const fivemLint = requireShared('fivem-lint');
+
 // -- Logging ------------------------------------------------------------------
 
 function log(...args) {
@@ -242,6 +258,18 @@ const tools = [
       required: ['project'],
     },
   },
+  {
+    name: 'fivem_lint',
+    description: 'Lint FiveM resources: files referenced in client_scripts/server_scripts/files that do not exist, unknown fx_version, resources used through exports or @resource/ imports without being declared in dependencies, dependency cycles, and server.cfg ensure lines that start a resource before its dependencies. Run it after creating or editing a resource.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'FiveM project name or ID' },
+        resource: { type: 'string', description: 'Only report issues of this resource (optional)' },
+      },
+      required: ['project'],
+    },
+  },
   {
     name: 'fivem_start',
     description: 'Start a FiveM server for a project. Triggers the server start asynchronously in Claude Terminal.',
@@ -410,6 +438,40 @@ async function handle(name, args) {
       return ok(output);
     }
 
+    // ── fivem_lint ──
+    if (name === 'fivem_lint') {
+      if (!args.project) return fail('Missing required parameter: project');
+      if (!fivemLint) return fail('FiveM linter unavailable.');
+
+      const p = findFivemProject(args.project);
+      if (!p) return fail(`FiveM project "${args.project}" not found.`);
+      if (!p.path || !fs.existsSync(p.path)) return fail(`Project path not found: ${p.path}`);
+
+      const resources = scanResources(p.path);
+      let res = null;
+      if (args.resource) {
+        res = resources.find(r => r.name.toLowerCase() === args.resource.toLowerCase());
+        if (!res) return fail(`Resource "${args.resource}" not found. Use fivem_list_resources to see available resources.`);
+      }
+
+      const result = fivemLint.lintResources(p.path, resources);
+      const issues = res ? result.issues.filter(i => i.resource === res.name) : result.issues;
+      const scope = res ? res.name : `${resources.length} resources`;
+      const errors = issues.filter(i => i.severity === 'error').length;
+      if (!issues.length) return ok(`No issues found (${scope}).`);
+
+      const lines = [];
+      let current = null;
+      for (const issue of issues) {
+        if (issue.resource !== current) {
+          current = issue.resource;
+          lines.push(`\n## ${current}`);
+        }
+        lines.push(`  ${fivemLint.formatIssue(issue)}`);
+      }
+      return ok(`Lint of ${scope}: ${errors} error(s), ${issues.length - errors} warning(s)\n${lines.join('\n')}`);
+    }
+
     // ── fivem_start ──
     if (name === 'fivem_start') {
       if (!args.project) return fail('Missing required parameter: project');
@@ -417,7 +479,7 @@ async function handle(name, args) {
       const p = findFivemProject(args.project);
       if (!p) return fail(`FiveM project "${args.project}" not found.`);
 
-      writeTrigger('start', { projectId: p.id, projectPath: p.path });
+      writeTrigger('start', { projectId: p.id, projectPath: p.path, hotReload: p.fivemConfig?.hotReload });
       return ok(`FiveM server start triggered for "${p.name || path.basename(p.path)}". The server will start in Claude Terminal.`);
     }
 
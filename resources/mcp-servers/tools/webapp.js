@@ -4,7 +4,7 @@
  * WebApp Tools Module for Claude Terminal MCP
  *
  * Provides webapp project-specific tools: stack detection, npm scripts,
- * dev server control via trigger files.
+ * dev server control via trigger files, browser errors of the app preview.
  *
  * Only relevant for projects with type === 'webapp'.
  */
@@ -12,6 +12,23 @@
 const fs = require('fs');
 const path = require('path');
 
+// Resolve shared modules: packaged app (extraResources) → dev fallback
+function requireShared(name) {
+  try {
+    return require(path.join(__dirname, '..', 'shared', name));
+  } catch (_) {
+    try {
+      return require(path.join(__dirname, '..', '..', '..', 'src', 'shared', name));
+    } catch (e) {
+      process.stderr.write(`[ct-mcp:webapp] Shared module ${name} unavailable: ${e.message}\n`);
+      return null;
+    }
+  }
+}
+
+const workspaces = requireShared('webapp-workspaces');
+const browserErrors = requireShared('browser-errors');
+
 // -- Logging ------------------------------------------------------------------
 
 function log(...args) {
@@ -117,12 +134,23 @@ function detectInDeps(pkg, signatures) {
 }
 
 function detectPackageManager(projectPath) {
+  if (workspaces) return workspaces.detectPackageManager(projectPath);
   if (fs.existsSync(path.join(projectPath, 'bun.lockb')) || fs.existsSync(path.join(projectPath, 'bun.lock'))) return 'bun';
   if (fs.existsSync(path.join(projectPath, 'pnpm-lock.yaml'))) return 'pnpm';
   if (fs.existsSync(path.join(projectPath, 'yarn.lock'))) return 'yarn';
   return 'npm';
 }
 
+function scanWorkspace(projectPath) {
+  if (!workspaces) return null;
+  try {
+    return workspaces.scanWorkspace(projectPath);
+  } catch (e) {
+    log('Workspace scan failed:', e.message);
+    return null;
+  }
+}
+
 function readPackageJson(projectPath) {
   const pkgPath = path.join(projectPath, 'package.json');
   if (!fs.existsSync(pkgPath)) return null;
@@ -131,6 +159,29 @@ function readPackageJson(projectPath) {
   } catch (_) { return null; }
 }
 
+/** "## @acme/web (apps/web) — Next.js" + one line per script with its filtered command. */
+function formatPackageScripts(workspace, wsPkg) {
+  const keys = Object.keys(wsPkg.scripts);
+  if (!keys.length) return '';
+  let output = `## ${wsPkg.name || wsPkg.path} (${wsPkg.path})${wsPkg.framework ? ` — ${wsPkg.framework.name}` : ''}\n`;
+  for (const k of keys) {
+    const { command, cwd } = workspaces.scriptCommand(workspace, wsPkg, k);
+    output += `  ${command}${cwd ? ` (in ${cwd})` : ''}\n    → ${wsPkg.scripts[k]}\n`;
+  }
+  return output;
+}
+
+/** Browser errors of the app preview, oldest first (written by the app, see WebAppBrowserLog). */
+function loadBrowserErrors(projectId) {
+  const file = path.join(getDataDir(), 'webapp', String(projectId).replace(/[^\w.-]/g, '_'), 'browser-errors.json');
+  try {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch (_) {
+    return [];
+  }
+}
+
 // -- Trigger files ------------------------------------------------------------
 
 function writeTrigger(type, data) {
@@ -162,22 +213,39 @@ const tools = [
   },
   {
     name: 'webapp_scripts',
-    description: 'List all npm/yarn/pnpm scripts available in the project with their commands. Shows dev, build, test, lint and any custom scripts.',
+    description: 'List all npm/yarn/pnpm scripts available in the project with their commands. Shows dev, build, test, lint and any custom scripts. In a monorepo (pnpm/npm/yarn/bun workspaces, Turborepo, Nx, Lerna) also lists every workspace package with its framework and scripts, and the filtered command running each one.',
     inputSchema: {
       type: 'object',
       properties: {
         project: { type: 'string', description: 'WebApp project name or ID' },
+        package: { type: 'string', description: 'Only list the scripts of this workspace package (name, name without scope, or path)' },
       },
       required: ['project'],
     },
   },
   {
     name: 'webapp_start',
-    description: 'Start the dev server for a webapp project. Uses the configured devCommand or auto-detects from package.json scripts.',
+    description: 'Start the dev server for a webapp project. Starts every configured dev process, or the devCommand / a script auto-detected from package.json. With `package`, starts one script of a workspace package instead (alongside the running processes), using the workspace filter command.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'WebApp project name or ID' },
+        package: { type: 'string', description: 'Workspace package to run (name, name without scope, or path — see webapp_scripts)' },
+        script: { type: 'string', description: 'Script of the package to run (default: dev)' },
+      },
+      required: ['project'],
+    },
+  },
+  {
+    name: 'webapp_browser_errors',
+    description: 'Read recent errors of the app preview browser (Preview tab): uncaught exceptions and console.error output, failed network requests (4xx/5xx, connection errors, CORS), and automatic reloads after HMR failures. Use it while fixing a bug to see what the page reports; reload the preview after a fix and call it again to confirm.',
     inputSchema: {
       type: 'object',
       properties: {
         project: { type: 'string', description: 'WebApp project name or ID' },
+        kind: { type: 'string', enum: ['all', 'console', 'network', 'hmr'], description: 'Only this kind of error (default: all)' },
+        since_minutes: { type: 'number', description: 'Only errors of the last N minutes' },
+        limit: { type: 'number', description: 'Max errors to return, newest kept (default: 30)' },
       },
       required: ['project'],
     },
@@ -250,11 +318,18 @@ async function handle(name, args) {
       output += row('Test runner', test ? `${test.name} ${test.version}` : 'none');
       output += row('Linter', lint ? `${lint.name} ${lint.version}` : 'none');
       output += row('Package manager', pm);
+      const workspace = scanWorkspace(p.path);
+      if (workspace) {
+        output += row('Workspace', `${workspaces.describeWorkspace(workspace)}, ${workspace.packages.length} package(s)${workspace.rootRelative ? ` (root: ${workspace.rootRelative})` : ''}`);
+      }
       output += row('Node version', nodeVersion || 'not specified');
 
       // Dev command
       const devCmd = p.devCommand || null;
-      if (devCmd) {
+      const devProcesses = (p.devProcesses || []).filter(dp => dp && dp.command);
+      if (devProcesses.length) {
+        output += row('Dev processes', devProcesses.map(dp => `${dp.name || dp.command}: ${dp.command}${dp.cwd ? ` (in ${dp.cwd})` : ''}`).join('\n' + ' '.repeat(21)));
+      } else if (devCmd) {
         output += row('Dev command', devCmd);
       } else {
         const scripts = pkg.scripts || {};
@@ -281,46 +356,68 @@ async function handle(name, args) {
         return fail(`WebApp project "${args.project}" not found. Available: ${webapps.map(p => p.name || path.basename(p.path)).join(', ')}`);
       }
 
+      const workspace = scanWorkspace(p.path);
+      if (args.package) {
+        if (!workspace) return fail(`${p.name || path.basename(p.path)} is not part of a workspace.`);
+        const wsPkg = workspaces.findPackage(workspace, args.package);
+        if (!wsPkg) return fail(`Package "${args.package}" not found. Available: ${workspace.packages.map(pk => pk.name || pk.path).join(', ')}`);
+        return ok(formatPackageScripts(workspace, wsPkg) || `No scripts defined in ${wsPkg.path}/package.json`);
+      }
+
       const pkg = readPackageJson(p.path);
-      if (!pkg) return fail(`No package.json found in ${p.path}`);
+      if (!pkg && !workspace) return fail(`No package.json found in ${p.path}`);
 
-      const scripts = pkg.scripts || {};
+      const scripts = (pkg && pkg.scripts) || {};
       const keys = Object.keys(scripts);
-      if (!keys.length) return ok(`No scripts defined in ${p.name || path.basename(p.path)}/package.json`);
-
       const pm = detectPackageManager(p.path);
-      let output = `Scripts for ${p.name || path.basename(p.path)} (${pm}):\n\n`;
-
-      // Group by common categories
-      const categories = {
-        'Dev & Build': ['dev', 'start', 'build', 'serve', 'preview', 'watch'],
-        'Test': ['test', 'test:watch', 'test:e2e', 'test:unit', 'test:coverage', 'cypress', 'playwright'],
-        'Lint & Format': ['lint', 'lint:fix', 'format', 'prettier', 'eslint', 'typecheck', 'check'],
-      };
-
-      const categorized = new Set();
-
-      for (const [catName, catKeys] of Object.entries(categories)) {
-        const matching = keys.filter(k => catKeys.some(ck => k === ck || k.startsWith(ck + ':')));
-        if (matching.length) {
-          output += `## ${catName}\n`;
-          for (const k of matching) {
+      let output = '';
+
+      if (keys.length) {
+        output += `Scripts for ${p.name || path.basename(p.path)} (${pm}):\n\n`;
+
+        // Group by common categories
+        const categories = {
+          'Dev & Build': ['dev', 'start', 'build', 'serve', 'preview', 'watch'],
+          'Test': ['test', 'test:watch', 'test:e2e', 'test:unit', 'test:coverage', 'cypress', 'playwright'],
+          'Lint & Format': ['lint', 'lint:fix', 'format', 'prettier', 'eslint', 'typecheck', 'check'],
+        };
+
+        const categorized = new Set();
+
+        for (const [catName, catKeys] of Object.entries(categories)) {
+          const matching = keys.filter(k => catKeys.some(ck => k === ck || k.startsWith(ck + ':')));
+          if (matching.length) {
+            output += `## ${catName}\n`;
+            for (const k of matching) {
+              output += `  ${pm} run ${k}\n    → ${scripts[k]}\n`;
+              categorized.add(k);
+            }
+            output += '\n';
+          }
+        }
+
+        const other = keys.filter(k => !categorized.has(k));
+        if (other.length) {
+          output += `## Other\n`;
+          for (const k of other) {
             output += `  ${pm} run ${k}\n    → ${scripts[k]}\n`;
-            categorized.add(k);
           }
-          output += '\n';
         }
+      } else {
+        output += `No scripts defined in ${p.name || path.basename(p.path)}/package.json\n`;
       }
 
-      const other = keys.filter(k => !categorized.has(k));
-      if (other.length) {
-        output += `## Other\n`;
-        for (const k of other) {
-          output += `  ${pm} run ${k}\n    → ${scripts[k]}\n`;
+      if (workspace && workspace.packages.length) {
+        output += `\n# Workspace packages (${workspaces.describeWorkspace(workspace)})\n`;
+        if (workspace.rootRelative) output += `Commands run from the workspace root: ${workspace.rootRelative}\n`;
+        output += 'Start one with webapp_start { package, script }.\n\n';
+        for (const wsPkg of workspace.packages) {
+          output += formatPackageScripts(workspace, wsPkg) || `## ${wsPkg.name || wsPkg.path} (${wsPkg.path})\n  no scripts\n`;
+          output += '\n';
         }
       }
 
-      return ok(output);
+      return ok(output.trimEnd());
     }
 
     // ── webapp_start ──
@@ -330,10 +427,55 @@ async function handle(name, args) {
       const p = findWebAppProject(args.project);
       if (!p) return fail(`WebApp project "${args.project}" not found.`);
 
-      writeTrigger('start', { projectId: p.id, projectPath: p.path, devCommand: p.devCommand });
+      if (args.package) {
+        const workspace = scanWorkspace(p.path);
+        if (!workspace) return fail(`${p.name || path.basename(p.path)} is not part of a workspace.`);
+        const wsPkg = workspaces.findPackage(workspace, args.package);
+        if (!wsPkg) return fail(`Package "${args.package}" not found. Available: ${workspace.packages.map(pk => pk.name || pk.path).join(', ')}`);
+        const script = args.script || 'dev';
+        if (!wsPkg.scripts[script]) {
+          return fail(`Package ${wsPkg.name || wsPkg.path} has no "${script}" script. Available: ${Object.keys(wsPkg.scripts).join(', ') || 'none'}`);
+        }
+
+        const proc = workspaces.workspaceScriptProcess(workspace, wsPkg, script);
+        writeTrigger('start-process', { projectId: p.id, projectPath: p.path, devCommand: p.devCommand, devProcesses: p.devProcesses, process: proc });
+        return ok(`Start of ${proc.name} triggered for "${p.name || path.basename(p.path)}": ${proc.command}${proc.cwd ? ` (in ${proc.cwd})` : ''}`);
+      }
+
+      writeTrigger('start', { projectId: p.id, projectPath: p.path, devCommand: p.devCommand, devProcesses: p.devProcesses });
       return ok(`Dev server start triggered for "${p.name || path.basename(p.path)}".`);
     }
 
+    // ── webapp_browser_errors ──
+    if (name === 'webapp_browser_errors') {
+      if (!args.project) return fail('Missing required parameter: project');
+      if (!browserErrors) return fail('Browser error support is unavailable in this installation.');
+
+      const p = findWebAppProject(args.project);
+      if (!p) return fail(`WebApp project "${args.project}" not found.`);
+
+      const kind = args.kind && args.kind !== 'all' ? args.kind : null;
+      const since = args.since_minutes > 0 ? Date.now() - args.since_minutes * 60000 : 0;
+      const limit = Math.max(1, Math.min(Number(args.limit) || 30, browserErrors.MAX_BROWSER_ERRORS));
+
+      const all = loadBrowserErrors(p.id).filter(e => (!kind || e.kind === kind) && (e.timestamp || 0) >= since);
+      const label = p.name || path.basename(p.path);
+      if (!all.length) {
+        return ok(`No browser errors recorded for "${label}"${kind ? ` (${kind})` : ''}. Errors are captured while the Preview tab is open.`);
+      }
+
+      const entries = all.slice(-limit);
+      const counts = ['console', 'network', 'hmr'].map(k => [k, all.filter(e => e.kind === k).length]).filter(([, n]) => n);
+      let output = `# Browser errors — ${label}\n`;
+      output += `${all.length} error(s): ${counts.map(([k, n]) => `${n} ${k}`).join(', ')}${entries.length < all.length ? ` — showing the last ${entries.length}` : ''}\n\n`;
+      for (const entry of entries) {
+        const time = new Date(entry.timestamp).toLocaleTimeString();
+        output += `${time}  ${browserErrors.formatBrowserError(entry)}\n`;
+        if (entry.page) output += `          on ${entry.page}\n`;
+      }
+      return ok(output.trimEnd());
+    }
+
     // ── webapp_stop ──
     if (name === 'webapp_stop') {
       if (!args.project) return fail('Missing required parameter: project');
@@ -6,11 +6,16 @@
  * Provides workflow automation tools. Reads workflow definitions and run history
  * from CT_DATA_DIR/workflows/ directory.
  *
+ * Secrets: workflows reference vault entries as `$secret.NAME`. Values stay in the OS keychain;
+ * the app masks them in run history before writing it, so tool responses never contain them.
+ * Only the names (workflows/secrets.json) are readable here.
+ *
  * Tools: workflow_list, workflow_get, workflow_trigger, workflow_cancel,
  *        workflow_runs, workflow_status, workflow_run_logs, workflow_diagnose,
  *        workflow_add_variable, workflow_get_variables, workflow_rename
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -29,6 +34,22 @@ try {
 }
 if (nodeRegistry) nodeRegistry.loadRegistry();
 
+// Resolve shared modules: packaged app (extraResources) → dev fallback
+function requireShared(name) {
+  try {
+    return require(path.join(__dirname, '..', 'shared', name));
+  } catch (_) {
+    try {
+      return require(path.join(__dirname, '..', '..', '..', 'src', 'shared', name));
+    } catch (e) {
+      process.stderr.write(`[ct-mcp:workflow] Shared module ${name} unavailable: ${e.message}\n`);
+      return null;
+    }
+  }
+}
+
+const workflowRevisions = requireShared('workflow-revisions');
+
 // -- Logging ------------------------------------------------------------------
 
 function log(...args) {
@@ -75,6 +96,16 @@ function loadRunResult(runId) {
   return null;
 }
 
+function loadSecretNames() {
+  const file = path.join(getDataDir(), 'workflows', 'secrets.json');
+  try {
+    if (fs.existsSync(file)) return (JSON.parse(fs.readFileSync(file, 'utf8')).secrets || []).map(s => s.name);
+  } catch (e) {
+    log('Error reading secrets.json:', e.message);
+  }
+  return [];
+}
+
 function signalReload() {
   try {
     const triggerDir = path.join(getDataDir(), 'workflows', 'triggers');
@@ -100,6 +131,8 @@ function formatTrigger(trigger) {
   if (trigger.type === 'hook') return `hook: ${trigger.hookType || trigger.value}`;
   if (trigger.type === 'on_workflow') return `after: ${trigger.value}`;
   if (trigger.type === 'webhook') return 'webhook (HTTP POST via cloud)';
+  if (trigger.type === 'file_watch') return `files: ${trigger.value || '**'}`;
+  if (trigger.type === 'git') return `git: ${trigger.value || 'commit'}`;
   return trigger.type || 'manual';
 }
 
@@ -206,18 +239,43 @@ function loadWorkflowDef(nameOrId) {
   ) || null;
 }
 
-function saveWorkflowDef(workflow) {
+function saveWorkflowDef(workflow, tool) {
   // Always repair slot refs before saving so the graph renders correctly in LiteGraph
   if (workflow.graph) repairSlotRefs(workflow.graph);
   const file = path.join(getDataDir(), 'workflows', 'definitions.json');
   let defs = [];
   try { if (fs.existsSync(file)) defs = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (_) {}
   const idx = defs.findIndex(w => w.id === workflow.id);
+  const previous = idx >= 0 ? defs[idx] : null;
   if (idx >= 0) defs[idx] = workflow;
   else defs.push(workflow);
   const tmp = file + '.tmp';
   fs.writeFileSync(tmp, JSON.stringify(defs, null, 2), 'utf8');
   fs.renameSync(tmp, file);
+  saveRevision(workflow, previous, tool);
+}
+
+// Same history as WorkflowStorage.appendRevision — the app shows these in the workflow history
+function saveRevision(workflow, previous, tool) {
+  // The id names the file: never write outside revisions/
+  if (!workflowRevisions || !/^[\w-]+$/.test(String(workflow.id))) return;
+  try {
+    const dir = path.join(getDataDir(), 'workflows', 'revisions');
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${workflow.id}.json`);
+    let revisions = [];
+    try { if (fs.existsSync(file)) revisions = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (_) {}
+
+    const before = revisions;
+    // First tracked edit of a pre-existing workflow: keep what it looked like before
+    if (previous && !revisions.length) revisions = workflowRevisions.addRevision(revisions, previous, { source: 'baseline' }).revisions;
+    revisions = workflowRevisions.addRevision(revisions, workflow, { source: 'mcp', author: 'Claude', note: tool || null }).revisions;
+    if (revisions === before) return;
+
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(revisions, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+  } catch (e) { log('saveRevision error:', e.message); }
 }
 
 // Rebuilds inputs[].link and outputs[].links from the graph.links[] array.
@@ -364,12 +422,23 @@ function execOut(...names) { return names.map((n, i) => outSlot(n, EXEC, i)); }
 
 // Returns the default inputs/outputs slot definitions for a node type.
 // Delegates to the node registry; falls back to Done+Error if type is unknown.
-function getNodeSlots(type) {
+// Join nodes get one exec input per branch listed in properties.branches.
+function getNodeSlots(type, properties = {}) {
   const def = nodeRegistry ? nodeRegistry.get(type) : null;
   if (!def) {
     return { inputs: execIn(), outputs: execOut('Done', 'Error') };
   }
 
+  const branches = type === 'workflow/join'
+    ? String(properties.branches || def.props.branches).split(',').map(b => b.trim()).filter(Boolean)
+    : null;
+  if (branches?.length) {
+    return {
+      inputs: branches.map(b => slot(b, EXEC)),
+      outputs: def.outputs.map((pin, idx) => outSlot(pin.name, pin.type === 'exec' ? EXEC : (pin.type || 'any'), idx)),
+    };
+  }
+
   return {
     inputs: def.inputs.map((pin, idx) => ({
       name: pin.name,
@@ -452,8 +521,8 @@ const tools = [
       type: 'object',
       properties: {
         name: { type: 'string', description: 'Workflow name (required)' },
-        trigger_type: { type: 'string', enum: ['manual', 'cron', 'hook', 'on_workflow', 'webhook'], description: 'Trigger type (default: manual). webhook = triggered by external HTTP POST via cloud relay' },
-        trigger_value: { type: 'string', description: 'Cron expression or hook type depending on trigger_type' },
+        trigger_type: { type: 'string', enum: ['manual', 'cron', 'hook', 'on_workflow', 'webhook', 'file_watch', 'git'], description: 'Trigger type (default: manual). webhook = triggered by external HTTP POST via cloud relay. file_watch = triggered when project files change: set watchProjectId (and optionally watchExclude, watchOnAdd/watchOnChange/watchOnUnlink, watchDebounce) on the trigger node with workflow_update_node; changed paths are in $trigger.paths. git = triggered by local git events (trigger_value: commit | branch_switch | pull | merge_conflict): set gitProjectId (and optionally gitBranch, gitAuthor, gitPaths) on the trigger node; commit metadata is in $trigger.commit / $trigger.commits' },
+        trigger_value: { type: 'string', description: 'Cron expression, hook type, file_watch include globs (one per line) or git event depending on trigger_type' },
         graph: { type: 'object', description: 'Optional full LiteGraph JSON { nodes[], links[] } to set immediately' },
       },
       required: ['name'],
@@ -461,7 +530,7 @@ const tools = [
   },
   {
     name: 'workflow_add_node',
-    description: 'Add a node to an existing workflow graph. Returns the new node ID. Available types: workflow/trigger, workflow/shell, workflow/claude, workflow/git, workflow/http, workflow/db, workflow/file, workflow/notify, workflow/wait, workflow/log, workflow/condition, workflow/loop, workflow/variable, workflow/get_variable, workflow/transform, workflow/subworkflow, workflow/switch, workflow/project, workflow/time. workflow/get_variable is a pure data node (no exec pins) — connect it directly to any data input pin to supply a variable value. workflow/project with action "list" returns all Claude Terminal projects as an array — connect its Projects output (slot 2) to a Loop node Items input (slot 1) to iterate over projects. Loop node: slot 0 output = Each (body of the loop, connects to first child node), slot 1 output = Done (continues after loop ends). Child nodes inside a loop body are NOT shown as top-level steps in run history — only the loop step itself appears, with an iteration badge. For claude/shell/git nodes, set projectId="__custom__" and cwd="<path>" to use a custom working directory (supports variable interpolation like $item.path). workflow/file actions: read (content→slot2), write, append, copy, delete, exists (exists→slot3), move/rename (use destination property for new path), list (glob→slot4 files array, slot5 count — use properties: { path: "./src", pattern: "**/*.js", recursive: true, type: "files|dirs|all" }). list output files array is ideal to connect to a Loop node to process each file. workflow/time reads Claude Terminal time tracking data — actions: get_today (today=slot2/week=slot3/month=slot4 ms + projects=slot5 array), get_week (total=slot2 ms + days=slot3 array [{date,dayOfWeek,ms,formatted}]), get_project (today=slot2/week=slot3/month=slot4/total=slot5 ms + sessionCount=slot6 — set projectId property OR connect a string data pin to its projectId input slot1), get_all_projects (projects=slot2 array sorted by today desc + count=slot3 — connect projects to Loop Items slot1), get_sessions (sessions=slot2 array + count=slot3 + totalMs=slot4, filterable via startDate/endDate properties, optional projectId input pin slot1). Divide ms by 3600000 for hours. Pattern: get_all_projects→Loop→get_project builds per-project reports. Tip: you can skip pos and call workflow_auto_layout after adding all nodes to arrange them cleanly.',
+    description: 'Add a node to an existing workflow graph. Returns the new node ID. Available types: workflow/trigger, workflow/shell, workflow/claude, workflow/git, workflow/http, workflow/db, workflow/file, workflow/notify, workflow/wait, workflow/log, workflow/condition, workflow/loop, workflow/variable, workflow/get_variable, workflow/transform, workflow/subworkflow, workflow/switch, workflow/join, workflow/project, workflow/time. workflow/get_variable is a pure data node (no exec pins) — connect it directly to any data input pin to supply a variable value. workflow/project with action "list" returns all Claude Terminal projects as an array — connect its Projects output (slot 2) to a Loop node Items input (slot 1) to iterate over projects. Loop node: slot 0 output = Each (body of the loop, connects to first child node), slot 1 output = Done (continues after loop ends). Child nodes inside a loop body are NOT shown as top-level steps in run history — only the loop step itself appears, with an iteration badge. Loop mode "parallel" runs iterations concurrently, capped by the concurrency property (default 10). workflow/join runs parallel branches and waits for them: set properties.branches (comma-separated names, e.g. "lint,test,review") when adding it — it gets one exec input per branch (slot index = branch position); wire the last node of each branch to its input and fan the branches out from one output (an output slot can link to several nodes). mode: all (every branch must succeed) | any (first success wins, others are cancelled) | quorum (set quorum = number of successes needed, remaining branches are cancelled). Optional concurrency caps how many branches run at once. Outputs: Done slot0, Error slot1 (not enough branches succeeded), results slot2 (object keyed by branch name → the step outputs of that branch), completed slot3 (array of succeeded branch names); $node_X.failed / .cancelled / .errors are also available. For claude/shell/git nodes, set projectId="__custom__" and cwd="<path>" to use a custom working directory (supports variable interpolation like $item.path). workflow/file actions: read (content→slot2), write, append, copy, delete, exists (exists→slot3), move/rename (use destination property for new path), list (glob→slot4 files array, slot5 count — use properties: { path: "./src", pattern: "**/*.js", recursive: true, type: "files|dirs|all" }). list output files array is ideal to connect to a Loop node to process each file. workflow/time reads Claude Terminal time tracking data — actions: get_today (today=slot2/week=slot3/month=slot4 ms + projects=slot5 array), get_week (total=slot2 ms + days=slot3 array [{date,dayOfWeek,ms,formatted}]), get_project (today=slot2/week=slot3/month=slot4/total=slot5 ms + sessionCount=slot6 — set projectId property OR connect a string data pin to its projectId input slot1), get_all_projects (projects=slot2 array sorted by today desc + count=slot3 — connect projects to Loop Items slot1), get_sessions (sessions=slot2 array + count=slot3 + totalMs=slot4, filterable via startDate/endDate properties, optional projectId input pin slot1). Divide ms by 3600000 for hours. Pattern: get_all_projects→Loop→get_project builds per-project reports. Tip: you can skip pos and call workflow_auto_layout after adding all nodes to arrange them cleanly.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -495,7 +564,7 @@ const tools = [
   },
   {
     name: 'workflow_update_node',
-    description: 'Update properties or title of an existing node in a workflow graph.',
+    description: 'Update properties or title of an existing node in a workflow graph. Any executable node also accepts execution-policy properties: _retry (extra attempts, max 10), _retryDelay (e.g. "2s", default 1s), _retryBackoff ("exponential" | "fixed"), _retryJitter (boolean, default true), _timeout (e.g. "30s", fails the attempt when exceeded) and _errorBranch (true adds an "Error" output to nodes that lack one). After all attempts fail, execution follows the Error output if connected; downstream nodes can read $error.message, $error.node and $error.attempts.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -534,7 +603,7 @@ const tools = [
   },
   {
     name: 'workflow_get_variables',
-    description: 'List all variables defined in a workflow. Variables are abstract definitions (name + type) stored in the Variables panel, separate from graph nodes. Also shows which graph nodes reference each variable.',
+    description: 'List all variables defined in a workflow. Variables are abstract definitions (name + type) stored in the Variables panel, separate from graph nodes. Also shows which graph nodes reference each variable, and the names of the vault secrets available as $secret.NAME (use these for tokens and API keys instead of plain values).',
     inputSchema: {
       type: 'object',
       properties: {
@@ -1026,14 +1095,14 @@ async function handle(name, args) {
       if (existing) {
         existing.varType = varType;
         wf.updatedAt = new Date().toISOString();
-        saveWorkflowDef(wf);
+        saveWorkflowDef(wf, name);
         signalReload();
         return ok(`Variable "${args.name}" updated to type "${varType}" in workflow "${wf.name}".`);
       }
 
       wf.variables.push({ name: args.name, varType });
       wf.updatedAt = new Date().toISOString();
-      saveWorkflowDef(wf);
+      saveWorkflowDef(wf, name);
       signalReload();
 
       log(`Added variable "${args.name}" (${varType}) to workflow ${wf.id}`);
@@ -1064,8 +1133,13 @@ async function handle(name, args) {
         }
       }
 
+      const secretNames = loadSecretNames();
+      const secretsHint = secretNames.length
+        ? `\n\n## Vault secrets (${secretNames.length})\n${secretNames.map(n => `  $secret.${n}`).join('\n')}\nUse these for tokens / API keys — values are resolved at run time and masked in outputs.`
+        : '';
+
       if (!abstractVars.length && !nodeUsage.size) {
-        return ok(`No variables in workflow "${wf.name}".\n\nVariables are defined in the Variables panel (not as nodes). When you click a variable in the panel, it creates a workflow/variable node on the canvas.`);
+        return ok(`No variables in workflow "${wf.name}".\n\nVariables are defined in the Variables panel (not as nodes). When you click a variable in the panel, it creates a workflow/variable node on the canvas.${secretsHint}`);
       }
 
       let out = `# Variables in "${wf.name}"\n\n`;
@@ -1093,6 +1167,7 @@ async function handle(name, args) {
       }
 
       out += `Tip: Variables are defined in the Variables panel. Click a variable to insert a workflow/variable node on the canvas. On the node, choose get/set/increment/append.`;
+      out += secretsHint;
       return ok(out);
     }
 
@@ -1134,7 +1209,6 @@ async function handle(name, args) {
     if (name === 'workflow_create') {
       if (!args.name) return fail('Missing required parameter: name');
 
-      const crypto = require('crypto');
       const id = `wf_${crypto.randomUUID().slice(0, 8)}`;
 
       // Build default trigger node
@@ -1168,7 +1242,7 @@ async function handle(name, args) {
         updatedAt: new Date().toISOString(),
       };
 
-      saveWorkflowDef(workflow);
+      saveWorkflowDef(workflow, name);
       signalReload();
       log(`Created workflow "${args.name}" (${id})`);
       return ok(`Workflow "${args.name}" created successfully.\nID: ${id}\nTrigger: ${triggerType}\nNodes: ${graph.nodes.length} (trigger node added at ID 1)\n\nUse workflow_add_node with workflow="${id}" to add more nodes.`);
@@ -1187,7 +1261,7 @@ async function handle(name, args) {
       wf.name = args.new_name.trim();
       wf.updatedAt = new Date().toISOString();
 
-      saveWorkflowDef(wf);
+      saveWorkflowDef(wf, name);
       signalReload();
       log(`Renamed workflow "${oldName}" → "${wf.name}" (${wf.id})`);
       return ok(`Workflow renamed from "${oldName}" to "${wf.name}" (ID: ${wf.id}).`);
@@ -1204,7 +1278,7 @@ async function handle(name, args) {
 
       autoLayoutGraph(wf.graph);
       wf.updatedAt = new Date().toISOString();
-      saveWorkflowDef(wf);
+      saveWorkflowDef(wf, name);
       signalReload();
 
       const nodeCount = wf.graph.nodes.length;
@@ -1224,7 +1298,7 @@ async function handle(name, args) {
       const graph = wf.graph || { nodes: [], links: [], groups: [] };
       const nodeId = nextNodeId(graph);
 
-      const slots = getNodeSlots(args.type);
+      const slots = getNodeSlots(args.type, args.properties);
       const node = {
         id: nodeId,
         type: args.type,
@@ -1242,7 +1316,7 @@ async function handle(name, args) {
       graph.nodes = [...(graph.nodes || []), node];
       wf.graph = graph;
       wf.updatedAt = new Date().toISOString();
-      saveWorkflowDef(wf);
+      saveWorkflowDef(wf, name);
       signalReload();
 
       log(`Added node ${nodeId} (${args.type}) to workflow ${wf.id}`);
@@ -1293,7 +1367,7 @@ async function handle(name, args) {
       // Update inputs[to_slot].link on target node
       const dstNode = nodes.find(n => n.id === to_node);
       if (dstNode) {
-        if (!dstNode.inputs) dstNode.inputs = getNodeSlots(dstNode.type).inputs;
+        if (!dstNode.inputs) dstNode.inputs = getNodeSlots(dstNode.type, dstNode.properties).inputs;
         if (dstNode.inputs[to_slot]) {
           dstNode.inputs[to_slot].link = linkId;
         }
@@ -1301,7 +1375,7 @@ async function handle(name, args) {
 
       wf.graph = graph;
       wf.updatedAt = new Date().toISOString();
-      saveWorkflowDef(wf);
+      saveWorkflowDef(wf, name);
       signalReload();
 
       log(`Connected node ${from_node}:${from_slot} → node ${to_node}:${to_slot} in workflow ${wf.id}`);
@@ -1328,11 +1402,17 @@ async function handle(name, args) {
       if (args.title !== undefined) {
         node.properties._customTitle = args.title;
       }
+      // Opt-in error branch: append an "Error" exec output unless the node has one
+      // (the runner follows the first exec output named "Error", see WorkflowRunner._getErrorSlot)
+      if (node.properties._errorBranch) {
+        if (!node.outputs) node.outputs = getNodeSlots(node.type).outputs;
+        if (!node.outputs.some(o => o && o.name === 'Error' && (o.type === EXEC || o.type === 'exec'))) node.outputs.push({ name: 'Error', type: EXEC, links: [], slot_index: node.outputs.length });
+      }
       graph.nodes[nodeIdx] = node;
 
       wf.graph = graph;
       wf.updatedAt = new Date().toISOString();
-      saveWorkflowDef(wf);
+      saveWorkflowDef(wf, name);
       signalReload();
 
       log(`Updated node ${args.node_id} in workflow ${wf.id}`);
@@ -1376,7 +1456,7 @@ async function handle(name, args) {
 
       wf.graph = graph;
       wf.updatedAt = new Date().toISOString();
-      saveWorkflowDef(wf);
+      saveWorkflowDef(wf, name);
       signalReload();
 
       log(`Deleted node ${args.node_id} (+ ${removedLinks} links) from workflow ${wf.id}`);
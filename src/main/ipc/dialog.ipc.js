@@ -13,6 +13,38 @@ let mainWindow = null;
 // Map of active file watchers: filePath -> { watcher: FSWatcher, refCount: number }
 const fileWatchers = new Map();
 
+/**
+ * Command-line arguments opening a file at a line in an allowlisted editor
+ * @param {string} editor - editor basename (code, idea, vim...)
+ * @param {string} filePath
+ * @param {number} [line]
+ * @returns {string[]}
+ */
+function editorArgs(editor, filePath, line) {
+  const n = parseInt(line, 10);
+  if (!Number.isInteger(n) || n <= 0) return [filePath];
+  switch (editor) {
+    case 'code':
+    case 'cursor':
+      return ['-g', `${filePath}:${n}`];
+    case 'zed':
+    case 'subl':
+    case 'atom':
+      return [`${filePath}:${n}`];
+    case 'idea':
+    case 'webstorm':
+      return ['--line', String(n), filePath];
+    case 'vim':
+    case 'nvim':
+    case 'nano':
+      return [`+${n}`, filePath];
+    case 'notepad++':
+      return [`-n${n}`, filePath];
+    default:
+      return [filePath];
+  }
+}
+
 /**
  * Set main window reference
  * @param {BrowserWindow} window
@@ -75,8 +107,8 @@ function registerDialogHandlers() {
     shell.openPath(folderPath);
   });
 
-  // Open in external editor
-  ipcMain.on('open-in-editor', (event, { editor, path: projectPath }) => {
+  // Open in external editor (at a line of the file when `line` is given)
+  ipcMain.on('open-in-editor', (event, { editor, path: projectPath, line }) => {
     const path = require('path');
     // Allowlist checked against basename only — prevents ../../evil/code bypasses
     const ALLOWED_EDITORS = ['code', 'cursor', 'webstorm', 'idea', 'subl', 'atom', 'notepad++', 'notepad', 'vim', 'nvim', 'nano', 'zed'];
@@ -90,7 +122,7 @@ function registerDialogHandlers() {
     // Injection is prevented by validating editorBin against the allowlist (basename only) and passing
     // projectPath as a separate argument array — never via string interpolation.
     const { spawn } = require('child_process');
-    const proc = spawn(editorBin, [projectPath], { shell: process.platform === 'win32', detached: true, stdio: 'ignore' });
+    const proc = spawn(editorBin, editorArgs(baseName, projectPath, line), { shell: process.platform === 'win32', detached: true, stdio: 'ignore' });
     proc.on('error', (error) => {
       console.error(`[Dialog IPC] Failed to open editor "${editorBin}":`, error.message);
     });
@@ -5,10 +5,20 @@
  * Channels (invoke):
  *   workflow-list              → listWorkflows()
  *   workflow-get               → getWorkflow(id)
- *   workflow-save              → saveWorkflow(workflow)
+ *   workflow-save              → saveWorkflow(workflow, revision)
  *   workflow-delete            → deleteWorkflow(id)
  *   workflow-enable            → setEnabled(id, true/false)
+ *   workflow-revisions         → getRevisions(workflowId)
+ *   workflow-revision-restore  → restoreRevision(workflowId, revisionId)
+ *   workflow-export            → exportWorkflow(id) + save dialog
+ *   workflow-import-open       → open dialog + previewImport(bundle)
+ *   workflow-import            → importWorkflows(bundle, { bindings })
+ *   workflow-secrets-list      → listSecrets()  (names only)
+ *   workflow-secret-set        → setSecret(name, value, description)
+ *   workflow-secret-delete     → deleteSecret(name)
  *   workflow-trigger           → trigger(id, opts)
+ *   workflow-resume            → resume(runId, { fromStepId })
+ *   workflow-debug             → debug(runId, action, data)
  *   workflow-cancel            → cancel(runId)
  *   workflow-approve-wait      → approveWait(runId, stepId, data)
  *   workflow-runs              → getRunsForWorkflow(workflowId, limit)
@@ -24,17 +34,22 @@
  *
  * Channels emitted TO renderer (via WorkflowService._send):
  *   workflow-run-start         { run }
- *   workflow-run-end           { runId, workflowId, status, duration, error }
+ *   workflow-run-end           { runId, workflowId, status, duration, error, resumable, failedStep }
  *   workflow-run-queued        { workflowId, queueLength }
  *   workflow-step-update       { runId, stepId, stepType, status, output, attempt }
+ *   workflow-debug-paused      { runId, stepId, stepType, vars, outputs }
+ *   workflow-debug-resumed     { runId, stepId }
  *   workflow-agent-message     { runId, stepId, message }
  *   workflow-notify-desktop    { title, message, type }
  */
 
 'use strict';
 
-const { ipcMain } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { ipcMain, dialog } = require('electron');
 const workflowService = require('../services/WorkflowService');
+const { FILE_EXTENSION } = require('../services/WorkflowBundle');
 
 /**
  * Serialize a function to a string that can be reconstructed via
@@ -81,9 +96,9 @@ function registerWorkflowHandlers(mainWindow) {
     }
   });
 
-  ipcMain.handle('workflow-save', async (_e, { workflow }) => {
+  ipcMain.handle('workflow-save', async (_e, { workflow, revision }) => {
     try {
-      return workflowService.saveWorkflow(workflow);
+      return workflowService.saveWorkflow(workflow, revision);
     } catch (err) {
       console.error('[workflow-save]', err.message);
       return { success: false, error: err.message };
@@ -108,6 +123,110 @@ function registerWorkflowHandlers(mainWindow) {
     }
   });
 
+  // ── Revisions ────────────────────────────────────────────────────────────────
+
+  ipcMain.handle('workflow-revisions', async (_e, { workflowId }) => {
+    try {
+      return { success: true, revisions: workflowService.getRevisions(workflowId) };
+    } catch (err) {
+      console.error('[workflow-revisions]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('workflow-revision-restore', async (_e, { workflowId, revisionId }) => {
+    try {
+      return workflowService.restoreRevision(workflowId, revisionId);
+    } catch (err) {
+      console.error('[workflow-revision-restore]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // ── Export / import ──────────────────────────────────────────────────────────
+
+  ipcMain.handle('workflow-export', async (_e, { id }) => {
+    try {
+      const bundle = await workflowService.exportWorkflow(id);
+      const root = bundle.workflows[0];
+      const slug = (root.name || root.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || root.id;
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: `${slug}.${FILE_EXTENSION}`,
+        filters: [{ name: 'Workflow', extensions: ['json'] }],
+      });
+      if (canceled || !filePath) return { success: false, canceled: true };
+      await fs.promises.writeFile(filePath, JSON.stringify(bundle, null, 2) + '\n', 'utf8');
+      return {
+        success: true,
+        filePath,
+        workflows: bundle.workflows.length,
+        secrets: bundle.secrets.length,
+        missing: bundle.missing || [],
+      };
+    } catch (err) {
+      console.error('[workflow-export]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('workflow-import-open', async () => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: [{ name: 'Workflow', extensions: ['json'] }],
+      });
+      if (canceled || !filePaths.length) return { success: false, canceled: true };
+      let bundle;
+      try {
+        bundle = JSON.parse(await fs.promises.readFile(filePaths[0], 'utf8'));
+      } catch (err) {
+        return { success: false, error: `${path.basename(filePaths[0])}: ${err.message}` };
+      }
+      return { success: true, filePath: filePaths[0], bundle, preview: workflowService.previewImport(bundle) };
+    } catch (err) {
+      console.error('[workflow-import-open]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('workflow-import', async (_e, { bundle, bindings }) => {
+    try {
+      return workflowService.importWorkflows(bundle, { bindings });
+    } catch (err) {
+      console.error('[workflow-import]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // ── Secrets ──────────────────────────────────────────────────────────────────
+
+  ipcMain.handle('workflow-secrets-list', async () => {
+    try {
+      return { success: true, secrets: workflowService.listSecrets() };
+    } catch (err) {
+      console.error('[workflow-secrets-list]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('workflow-secret-set', async (_e, { name, value, description }) => {
+    try {
+      return await workflowService.setSecret(name, value, description);
+    } catch (err) {
+      console.error('[workflow-secret-set]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('workflow-secret-delete', async (_e, { name }) => {
+    try {
+      return await workflowService.deleteSecret(name);
+    } catch (err) {
+      console.error('[workflow-secret-delete]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
   // ── Execution ────────────────────────────────────────────────────────────────
 
   ipcMain.handle('workflow-trigger', async (_e, { id, opts }) => {
@@ -119,6 +238,24 @@ function registerWorkflowHandlers(mainWindow) {
     }
   });
 
+  ipcMain.handle('workflow-resume', async (_e, { runId, fromStepId }) => {
+    try {
+      return workflowService.resume(runId, { fromStepId });
+    } catch (err) {
+      console.error('[workflow-resume]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('workflow-debug', async (_e, { runId, action, data }) => {
+    try {
+      return workflowService.debug(runId, action, data || {});
+    } catch (err) {
+      console.error('[workflow-debug]', err.message);
+      return { success: false, error: err.message };
+    }
+  });
+
   ipcMain.handle('workflow-test-node', async (_e, { step, ctx }) => {
     try {
       return workflowService.testNode(step, ctx || {});
@@ -132,14 +132,23 @@ contextBridge.exposeInMainWorld('electron_api', {
   webapp: {
     start: (params) => ipcRenderer.invoke('webapp-start', params),
     stop: (params) => ipcRenderer.invoke('webapp-stop', params),
+    startProcess: (params) => ipcRenderer.invoke('webapp-process-start', params),
+    stopProcess: (params) => ipcRenderer.invoke('webapp-process-stop', params),
+    getProcesses: (params) => ipcRenderer.invoke('webapp-get-processes', params),
+    setInputTarget: (params) => ipcRenderer.send('webapp-input-target', params),
     input: (params) => ipcRenderer.send('webapp-input', params),
     resize: (params) => ipcRenderer.send('webapp-resize', params),
     detectFramework: (params) => ipcRenderer.invoke('webapp-detect-framework', params),
     getPort: (params) => ipcRenderer.invoke('webapp-get-port', params),
+    getWorkspace: (params) => ipcRenderer.invoke('webapp-get-workspace', params),
+    recordBrowserErrors: (params) => ipcRenderer.send('webapp-browser-errors', params),
+    clearBrowserErrors: (params) => ipcRenderer.invoke('webapp-browser-errors-clear', params),
     getAxeSource: () => ipcRenderer.invoke('webapp-get-axe-source'),
     onData: createListener('webapp-data'),
     onExit: createListener('webapp-exit'),
-    onPortDetected: createListener('webapp-port-detected')
+    onPortDetected: createListener('webapp-port-detected'),
+    onRestart: createListener('webapp-restart'),
+    onPreviewRequestError: createListener('webapp-preview-request-error')
   },
 
   // ==================== FIVEM ====================
@@ -153,8 +162,12 @@ contextBridge.exposeInMainWorld('electron_api', {
     createResource: (params) => ipcRenderer.invoke('fivem-create-resource', params),
     readManifest: (params) => ipcRenderer.invoke('fivem-read-manifest', params),
     writeManifest: (params) => ipcRenderer.invoke('fivem-write-manifest', params),
+    lint: (params) => ipcRenderer.invoke('fivem-lint', params),
+    errorContext: (params) => ipcRenderer.invoke('fivem-error-context', params),
+    setHotReload: (params) => ipcRenderer.invoke('fivem-hot-reload-set', params),
     onData: createListener('fivem-data'),
-    onExit: createListener('fivem-exit')
+    onExit: createListener('fivem-exit'),
+    onHotReload: createListener('fivem-hot-reload')
   },
 
   // ==================== MINECRAFT ====================
@@ -165,15 +178,47 @@ contextBridge.exposeInMainWorld('electron_api', {
     resize: (params) => ipcRenderer.send('minecraft-resize', params),
     detect: (params) => ipcRenderer.invoke('minecraft-detect', params),
     getStatus: (params) => ipcRenderer.invoke('minecraft-get-status', params),
+    getPlayers: (params) => ipcRenderer.invoke('minecraft-players', params),
+    playerAction: (params) => ipcRenderer.invoke('minecraft-player-action', params),
+    command: (params) => ipcRenderer.invoke('minecraft-command', params),
+    enableRcon: (params) => ipcRenderer.invoke('minecraft-enable-rcon', params),
+    listBackups: (params) => ipcRenderer.invoke('minecraft-backups-list', params),
+    createBackup: (params) => ipcRenderer.invoke('minecraft-backup-create', params),
+    restoreBackup: (params) => ipcRenderer.invoke('minecraft-backup-restore', params),
+    deleteBackup: (params) => ipcRenderer.invoke('minecraft-backup-delete', params),
+    scheduleBackups: (params) => ipcRenderer.invoke('minecraft-backup-schedule', params),
+    listPlugins: (params) => ipcRenderer.invoke('minecraft-plugins-list', params),
+    togglePlugin: (params) => ipcRenderer.invoke('minecraft-plugin-toggle', params),
+    removePlugin: (params) => ipcRenderer.invoke('minecraft-plugin-remove', params),
+    addPlugin: (params) => ipcRenderer.invoke('minecraft-plugin-add', params),
+    getSettings: (params) => ipcRenderer.invoke('minecraft-settings-get', params),
+    saveProperties: (params) => ipcRenderer.invoke('minecraft-properties-save', params),
+    acceptEula: (params) => ipcRenderer.invoke('minecraft-eula-accept', params),
     onData: createListener('minecraft-data'),
     onExit: createListener('minecraft-exit'),
     onStatus: createListener('minecraft-status'),
-    onPlayerCount: createListener('minecraft-playercount')
+    onPlayerCount: createListener('minecraft-playercount'),
+    onBackupDone: createListener('minecraft-backup-done')
   },
 
   // ==================== PYTHON ====================
   python: {
-    detectInfo: (params) => ipcRenderer.invoke('python-detect-info', params)
+    detectInfo: (params) => ipcRenderer.invoke('python-detect-info', params),
+    listInterpreters: (params) => ipcRenderer.invoke('python-list-interpreters', params),
+    createVenv: (params) => ipcRenderer.invoke('python-create-venv', params),
+    installDeps: (params) => ipcRenderer.invoke('python-install-deps', params),
+    getOutdated: (params) => ipcRenderer.invoke('python-outdated', params),
+    cancelTask: (params) => ipcRenderer.invoke('python-cancel-task', params),
+    onTaskOutput: createListener('python-task-output'),
+    start: (params) => ipcRenderer.invoke('python-run-start', params),
+    stop: (params) => ipcRenderer.invoke('python-run-stop', params),
+    input: (params) => ipcRenderer.send('python-input', params),
+    resize: (params) => ipcRenderer.send('python-resize', params),
+    onData: createListener('python-data'),
+    onExit: createListener('python-exit'),
+    runTests: (params) => ipcRenderer.invoke('python-tests-run', params),
+    stopTests: (params) => ipcRenderer.invoke('python-tests-stop', params),
+    onTestOutput: createListener('python-test-output')
   },
 
   // ==================== API ====================
@@ -186,9 +231,26 @@ contextBridge.exposeInMainWorld('electron_api', {
     getPort: (params) => ipcRenderer.invoke('api-get-port', params),
     detectRoutes: (params) => ipcRenderer.invoke('api-detect-routes', params),
     testRequest: (params) => ipcRenderer.invoke('api-test-request', params),
+    exportOpenApi: (params) => ipcRenderer.invoke('api-export-openapi', params),
+    loadCollections: (params) => ipcRenderer.invoke('api-collections-load', params),
+    saveCollections: (params) => ipcRenderer.invoke('api-collections-save', params),
+    importCollections: (params) => ipcRenderer.invoke('api-collections-import', params),
+    removeCollections: (params) => ipcRenderer.invoke('api-collections-remove', params),
+    getHistory: (params) => ipcRenderer.invoke('api-history-get', params),
+    clearHistory: (params) => ipcRenderer.invoke('api-history-clear', params),
+    runCollection: (params) => ipcRenderer.invoke('api-run-collection', params),
+    startMock: (params) => ipcRenderer.invoke('api-mock-start', params),
+    stopMock: (params) => ipcRenderer.invoke('api-mock-stop', params),
+    getMockStatus: (params) => ipcRenderer.invoke('api-mock-status', params),
+    resetMock: (params) => ipcRenderer.invoke('api-mock-reset', params),
+    loadMockConfig: (params) => ipcRenderer.invoke('api-mock-config-load', params),
+    saveMockConfig: (params) => ipcRenderer.invoke('api-mock-config-save', params),
+    chooseMockSpec: (params) => ipcRenderer.invoke('api-mock-choose-spec', params),
     onData: createListener('api-data'),
     onExit: createListener('api-exit'),
-    onPortDetected: createListener('api-port-detected')
+    onPortDetected: createListener('api-port-detected'),
+    onMockLog: createListener('api-mock-log'),
+    onMockExit: createListener('api-mock-exit')
   },
 
   // ==================== MCP ====================
@@ -450,11 +512,24 @@ contextBridge.exposeInMainWorld('electron_api', {
     // CRUD
     list:             ()             => ipcRenderer.invoke('workflow-list'),
     get:              (id)           => ipcRenderer.invoke('workflow-get', { id }),
-    save:             (workflow)     => ipcRenderer.invoke('workflow-save', { workflow }),
+    save:             (workflow, revision) => ipcRenderer.invoke('workflow-save', { workflow, revision }),
     delete:           (id)           => ipcRenderer.invoke('workflow-delete', { id }),
     enable:           (id, enabled)  => ipcRenderer.invoke('workflow-enable', { id, enabled }),
+    // Revisions
+    getRevisions:     (workflowId)   => ipcRenderer.invoke('workflow-revisions', { workflowId }),
+    restoreRevision:  (workflowId, revisionId) => ipcRenderer.invoke('workflow-revision-restore', { workflowId, revisionId }),
+    // Export / import
+    exportFile:       (id)           => ipcRenderer.invoke('workflow-export', { id }),
+    openImportFile:   ()             => ipcRenderer.invoke('workflow-import-open'),
+    importBundle:     (bundle, bindings) => ipcRenderer.invoke('workflow-import', { bundle, bindings }),
+    // Secrets vault (values are write-only from the renderer)
+    listSecrets:      ()             => ipcRenderer.invoke('workflow-secrets-list'),
+    setSecret:        (name, value, description) => ipcRenderer.invoke('workflow-secret-set', { name, value, description }),
+    deleteSecret:     (name)         => ipcRenderer.invoke('workflow-secret-delete', { name }),
     // Execution
     trigger:          (id, opts)     => ipcRenderer.invoke('workflow-trigger', { id, opts }),
+    resume:           (runId, fromStepId) => ipcRenderer.invoke('workflow-resume', { runId, fromStepId }),
+    debug:            (runId, action, data) => ipcRenderer.invoke('workflow-debug', { runId, action, data }),
     testNode:         (step, ctx)    => ipcRenderer.invoke('workflow-test-node', { step, ctx }),
     cancel:           (runId)        => ipcRenderer.invoke('workflow-cancel', { runId }),
     approveWait:      (runId, stepId, data) => ipcRenderer.invoke('workflow-approve-wait', { runId, stepId, data }),
@@ -474,6 +549,8 @@ contextBridge.exposeInMainWorld('electron_api', {
     onRunEnd:         createListener('workflow-run-end'),
     onRunQueued:      createListener('workflow-run-queued'),
     onStepUpdate:     createListener('workflow-step-update'),
+    onDebugPaused:    createListener('workflow-debug-paused'),
+    onDebugResumed:   createListener('workflow-debug-resumed'),
     onAgentMessage:   createListener('workflow-agent-message'),
     onLoopProgress:   createListener('workflow-loop-progress'),
     onNotifyDesktop:  createListener('workflow-notify-desktop'),
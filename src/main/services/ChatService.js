@@ -8,6 +8,7 @@ const path = require('path');
 const fs = require('fs');
 const { app } = require('electron');
 const { execFileSync } = require('child_process');
+const pythonService = require('../../project-types/python/main/PythonService');
 
 let sdkPromise = null;
 let resolvedRuntime = null;
@@ -326,6 +327,8 @@ class ChatService {
     try {
       const runtime = resolveRuntime();
       const effectiveCwd = cwd || require('os').homedir();
+      // Python projects: the project venv first on PATH, so the agent's python / pip resolve to it
+      const env = pythonService.getProjectEnv(effectiveCwd, runtime.env) || runtime.env;
 
       const options = {
         cwd: effectiveCwd,
@@ -334,7 +337,7 @@ class ChatService {
         includePartialMessages: true,
         permissionMode,
         executable: runtime.executable,
-        env: runtime.env,
+        env,
         pathToClaudeCodeExecutable: getSdkCliPath(),
         systemPrompt: systemPrompt || { type: 'preset', preset: 'claude_code' },
         settingSources: settingSources !== null ? settingSources : ['user', 'project', 'local'],
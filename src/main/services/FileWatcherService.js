@@ -2,11 +2,16 @@
  * FileWatcherService
  * Watches project directories for file changes using chokidar.
  * Collects change events and emits debounced notifications.
- * Used by CloudSyncService for auto-upload of local changes.
+ * One chokidar watcher per project, shared by every subscriber:
+ *   - CloudSyncService (watch/unwatch + onChanges) for auto-upload of local changes
+ *   - WorkflowScheduler (subscribe) for file_watch workflow triggers
  */
 
 const path = require('path');
-const { execSync } = require('child_process');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
 
 // Same exclusion list as zipProject.js
 const EXCLUDE_DIRS = [
@@ -16,6 +21,7 @@ const EXCLUDE_DIRS = [
 ];
 
 const DEBOUNCE_MS = 5000;
+const GIT_LS_TIMEOUT_MS = 15000;
 
 /** @type {typeof import('chokidar')|null} */
 let chokidar = null;
@@ -27,8 +33,12 @@ async function loadChokidar() {
   return chokidar;
 }
 
+// Subscriber key of the legacy watch()/unwatch() API (cloud sync)
+const SYNC_SUBSCRIBER = 'cloud-sync';
+
 class FileWatcherService {
   constructor() {
+    /** Map<projectId, { watcher, projectPath, subscribers: Map<key, Subscriber>, ready: Promise, generation: number }> */
     this._watchers = new Map();
     this._onChanges = null;
   }
@@ -54,8 +64,98 @@ class FileWatcherService {
    * @param {string} projectPath
    */
   async watch(projectId, projectPath) {
-    if (this._watchers.has(projectId)) return;
+    if (this.isWatching(projectId)) return;
+    await this._addSubscriber(projectId, projectPath, SYNC_SUBSCRIBER, {
+      debounceMs: DEBOUNCE_MS,
+      fn: (changes) => { if (this._onChanges) this._onChanges(projectId, changes); },
+    });
+    console.log(`[FileWatcher] Started watching: ${projectPath}`);
+  }
+
+  /**
+   * Subscribe to debounced, gitignore-filtered changes of a project.
+   * Shares the project's chokidar watcher with other subscribers (cloud sync, workflow triggers).
+   * @param {string} projectId
+   * @param {string} projectPath
+   * @param {(changes: Map<string, string>) => void} fn - relative path → 'add' | 'change' | 'unlink'
+   * @param {Object} [opts]
+   * @param {number} [opts.debounceMs=5000]
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(projectId, projectPath, fn, { debounceMs = DEBOUNCE_MS } = {}) {
+    const key = Symbol(projectId);
+    this._addSubscriber(projectId, projectPath, key, { fn, debounceMs }).catch(err => {
+      console.error(`[FileWatcher] Failed to watch ${projectId}:`, err.message);
+    });
+    return () => this._removeSubscriber(projectId, key);
+  }
+
+  /**
+   * Stop watching a project.
+   * @param {string} projectId
+   */
+  unwatch(projectId) {
+    this._removeSubscriber(projectId, SYNC_SUBSCRIBER);
+  }
+
+  /**
+   * Stop watching all projects.
+   */
+  unwatchAll() {
+    for (const [id] of this._watchers) {
+      this.unwatch(id);
+    }
+  }
+
+  /**
+   * Check if a project is being watched.
+   * @param {string} projectId
+   * @returns {boolean}
+   */
+  isWatching(projectId) {
+    return !!this._watchers.get(projectId)?.subscribers.has(SYNC_SUBSCRIBER);
+  }
+
+  /**
+   * Filter changes through git ls-files to respect .gitignore.
+   * Same approach as zipProject.js.
+   * @param {string} projectPath
+   * @param {Map<string, string>} changes
+   * @returns {Promise<Map<string, string>>}
+   */
+  async filterByGitignore(projectPath, changes) {
+    return filterChanges(changes, await listGitFiles(projectPath));
+  }
+
+  // ── Internal ──
 
+  async _addSubscriber(projectId, projectPath, key, { fn, debounceMs }) {
+    let state = this._watchers.get(projectId);
+    if (!state) {
+      state = { watcher: null, projectPath, subscribers: new Map(), generation: 0, gitFiles: null };
+      this._watchers.set(projectId, state);
+      state.ready = this._startWatcher(projectId, state).catch(err => {
+        if (this._watchers.get(projectId) === state) this._watchers.delete(projectId);
+        throw err;
+      });
+    }
+    state.subscribers.set(key, { fn, debounceMs, changes: new Map(), debounceTimer: null });
+    await state.ready;
+  }
+
+  _removeSubscriber(projectId, key) {
+    const state = this._watchers.get(projectId);
+    const sub = state?.subscribers.get(key);
+    if (!sub) return;
+    if (sub.debounceTimer) clearTimeout(sub.debounceTimer);
+    state.subscribers.delete(key);
+    if (state.subscribers.size > 0) return;
+    this._watchers.delete(projectId);
+    state.ready.then(() => state.watcher?.close()).catch(() => {});
+  }
+
+  async _startWatcher(projectId, state) {
+    const { projectPath } = state;
     const chok = await loadChokidar();
     const ignoredPaths = EXCLUDE_DIRS.map(d => path.join(projectPath, d, '**'));
 
@@ -70,19 +170,16 @@ class FileWatcherService {
       awaitWriteFinish: { stabilityThreshold: 500, pollInterval: 100 },
       depth: 20,
     });
-
-    const state = {
-      watcher,
-      changes: new Map(),
-      debounceTimer: null,
-      projectPath,
-    };
+    state.watcher = watcher;
 
     const handleEvent = (eventType, filePath) => {
       const relative = path.relative(projectPath, filePath).replace(/\\/g, '/');
       if (!relative || relative.startsWith('..')) return;
-      state.changes.set(relative, eventType);
-      this._resetDebounce(projectId, state);
+      state.generation++;
+      for (const sub of state.subscribers.values()) {
+        sub.changes.set(relative, eventType);
+        this._resetDebounce(state, sub);
+      }
     };
 
     watcher
@@ -93,87 +190,67 @@ class FileWatcherService {
     watcher.on('error', (err) => {
       console.error(`[FileWatcher] Error watching ${projectId}:`, err.message);
     });
-
-    this._watchers.set(projectId, state);
-    console.log(`[FileWatcher] Started watching: ${projectPath}`);
   }
 
-  /**
-   * Stop watching a project.
-   * @param {string} projectId
-   */
-  unwatch(projectId) {
-    const state = this._watchers.get(projectId);
-    if (!state) return;
-    if (state.debounceTimer) clearTimeout(state.debounceTimer);
-    state.watcher.close().catch(() => {});
-    this._watchers.delete(projectId);
+  _resetDebounce(state, sub) {
+    if (sub.debounceTimer) clearTimeout(sub.debounceTimer);
+    sub.debounceTimer = setTimeout(() => {
+      sub.debounceTimer = null;
+      this._flushChanges(state, sub).catch(err => {
+        console.error('[FileWatcher] Change handler failed:', err.message);
+      });
+    }, sub.debounceMs);
   }
 
-  /**
-   * Stop watching all projects.
-   */
-  unwatchAll() {
-    for (const [id] of this._watchers) {
-      this.unwatch(id);
-    }
-  }
-
-  /**
-   * Check if a project is being watched.
-   * @param {string} projectId
-   * @returns {boolean}
-   */
-  isWatching(projectId) {
-    return this._watchers.has(projectId);
+  async _flushChanges(state, sub) {
+    if (sub.changes.size === 0) return;
+    const changes = sub.changes;
+    sub.changes = new Map();
+    const filtered = filterChanges(changes, await this._gitFiles(state));
+    if (filtered.size === 0 || ![...state.subscribers.values()].includes(sub)) return;
+    sub.fn(filtered);
   }
 
   /**
-   * Filter changes through git ls-files to respect .gitignore.
-   * Same approach as zipProject.js.
-   * @param {string} projectPath
-   * @param {Map<string, string>} changes
-   * @returns {Map<string, string>}
+   * git ls-files of the project, listed once and shared by every subscriber
+   * flushing before the next file event.
+   * @returns {Promise<Set<string>|null>}
    */
-  filterByGitignore(projectPath, changes) {
-    try {
-      const output = execSync(
-        'git ls-files --cached --others --exclude-standard',
-        { cwd: projectPath, encoding: 'utf-8', timeout: 15000, maxBuffer: 10 * 1024 * 1024 }
-      );
-      const trackedFiles = new Set(output.trim().split('\n').filter(Boolean));
-      const filtered = new Map();
-      for (const [file, type] of changes) {
-        // Deleted files won't appear in git ls-files, let them through
-        if (type === 'unlink' || trackedFiles.has(file)) {
-          filtered.set(file, type);
-        }
-      }
-      return filtered;
-    } catch {
-      // Not a git repo or git not available, return all changes
-      return changes;
+  _gitFiles(state) {
+    if (!state.gitFiles || state.gitFiles.generation !== state.generation) {
+      state.gitFiles = { generation: state.generation, files: listGitFiles(state.projectPath) };
     }
+    return state.gitFiles.files;
   }
+}
 
-  // ── Internal ──
-
-  _resetDebounce(projectId, state) {
-    if (state.debounceTimer) clearTimeout(state.debounceTimer);
-    state.debounceTimer = setTimeout(() => {
-      this._flushChanges(projectId, state);
-    }, DEBOUNCE_MS);
+/**
+ * Files git would include (tracked + untracked, minus ignored).
+ * @param {string} projectPath
+ * @returns {Promise<Set<string>|null>} null when not a git repo or git is not available
+ */
+async function listGitFiles(projectPath) {
+  try {
+    const { stdout } = await execFileAsync(
+      'git', ['ls-files', '--cached', '--others', '--exclude-standard'],
+      { cwd: projectPath, encoding: 'utf-8', timeout: GIT_LS_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024, windowsHide: true }
+    );
+    return new Set(stdout.split('\n').filter(Boolean));
+  } catch {
+    return null;
   }
+}
 
-  _flushChanges(projectId, state) {
-    if (state.changes.size === 0) return;
-    const filtered = this.filterByGitignore(state.projectPath, state.changes);
-    state.changes.clear();
-    if (filtered.size === 0) return;
-    if (this._onChanges) {
-      this._onChanges(projectId, filtered);
+function filterChanges(changes, gitFiles) {
+  if (!gitFiles) return changes;
+  const filtered = new Map();
+  for (const [file, type] of changes) {
+    // Deleted files won't appear in git ls-files, let them through
+    if (type === 'unlink' || gitFiles.has(file)) {
+      filtered.set(file, type);
     }
   }
+  return filtered;
 }
 
 module.exports = new FileWatcherService();
@@ -0,0 +1,229 @@
+/**
+ * GitWatcherService
+ * Detects local git events in a repository and notifies subscribers:
+ *   - commit         new commit(s) on the current branch (commit, amend, cherry-pick, revert)
+ *   - branch_switch  HEAD moved to another branch
+ *   - pull           a pull brought in upstream changes
+ *   - merge_conflict a merge stopped with conflicted files
+ *
+ * Watches HEAD, the HEAD reflog and MERGE_HEAD in the git dir (stat polling, works for worktrees),
+ * then classifies the new reflog entries. Used by the `git` workflow trigger.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  getGitDir, getCurrentBranch, getHeadCommit, isMergeInProgress,
+  getMergeConflicts, getCommitsBetween, getAheadBehind,
+} = require('../utils/git');
+
+const POLL_INTERVAL_MS = 1000;
+const SETTLE_MS = 400; // git writes HEAD and the reflog separately — wait for both
+const MAX_COMMITS = 50;
+
+// ─── Reflog parsing ───────────────────────────────────────────────────────────
+
+/**
+ * Parse one `logs/HEAD` line: "<old> <new> <name> <<email>> <timestamp> <tz>\t<message>"
+ * @param {string} line
+ * @returns {{ from: string, to: string, message: string }|null}
+ */
+function parseReflogLine(line) {
+  const m = line.match(/^([0-9a-f]{40,64}) ([0-9a-f]{40,64}) .*?\t(.*)$/);
+  if (!m) return null;
+  return { from: /^0+$/.test(m[1]) ? null : m[1], to: m[2], message: m[3] };
+}
+
+/** Reflog action of an entry: 'commit' | 'pull' | 'checkout' | 'other'. */
+function reflogAction(message) {
+  if (/^(commit|cherry-pick|revert)\b/.test(message)) return 'commit';
+  if (/^pull\b/.test(message)) return 'pull';
+  if (/^checkout: moving from /.test(message)) return 'checkout';
+  return 'other';
+}
+
+/**
+ * Turn a state change and the reflog entries written meanwhile into git events.
+ * Consecutive commits (or the steps of one pull --rebase) are grouped into a single event.
+ * @param {{ branch: string|null, head: string|null, merging: boolean }} prev
+ * @param {{ branch: string|null, head: string|null, merging: boolean }} next
+ * @param {Array<{ from: string|null, to: string, message: string }>} entries - oldest first
+ * @returns {Object[]} events without commit details
+ */
+function detectGitEvents(prev, next, entries) {
+  const events = [];
+  let last = null;
+  // Branch at the time of each entry — a commit followed by a checkout belongs to the old branch
+  let branch = prev.branch || next.branch;
+
+  for (const entry of entries) {
+    const action = reflogAction(entry.message);
+    if (action === 'checkout') {
+      const [, from, to] = entry.message.match(/^checkout: moving from (.+) to (.+)$/) || [];
+      if (from && to && from !== to) events.push({ type: 'branch_switch', from, to, branch: to });
+      if (to) branch = to;
+      last = null;
+    } else if (action === 'commit' || action === 'pull') {
+      if (last?.type === action) {
+        last.to = entry.to;
+      } else {
+        last = { type: action, branch, from: entry.from, to: entry.to };
+        events.push(last);
+      }
+    } else {
+      last = null;
+    }
+  }
+
+  // Repositories without a reflog (core.logAllRefUpdates=false): infer from HEAD / branch
+  if (!entries.length) {
+    if (prev.branch !== next.branch && next.branch) {
+      events.push({ type: 'branch_switch', from: prev.branch, to: next.branch, branch: next.branch });
+    } else if (prev.head !== next.head && next.head) {
+      events.push({ type: 'commit', branch: next.branch, from: prev.head, to: next.head });
+    }
+  }
+
+  if (!prev.merging && next.merging) events.push({ type: 'merge_conflict', branch: next.branch });
+
+  return events;
+}
+
+// ─── Service ──────────────────────────────────────────────────────────────────
+
+class GitWatcherService {
+  constructor() {
+    /** Map<projectPath, { gitDir, subscribers: Set<Function>, state, files: string[], timer, checking, stopped }> */
+    this._repos = new Map();
+  }
+
+  /**
+   * Subscribe to git events of a repository. Shares one watcher per repository.
+   * @param {string} projectPath
+   * @param {(events: Object[]) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(projectPath, fn) {
+    let repo = this._repos.get(projectPath);
+    if (!repo) {
+      repo = { projectPath, gitDir: null, subscribers: new Set(), state: null, files: [], timer: null, checking: false, stopped: false };
+      this._repos.set(projectPath, repo);
+      this._start(repo).catch(err => console.error(`[GitWatcher] Failed to watch ${projectPath}:`, err.message));
+    }
+    repo.subscribers.add(fn);
+
+    return () => {
+      repo.subscribers.delete(fn);
+      if (repo.subscribers.size > 0) return;
+      this._stop(repo);
+      if (this._repos.get(projectPath) === repo) this._repos.delete(projectPath);
+    };
+  }
+
+  /**
+   * Stop all watchers.
+   */
+  unwatchAll() {
+    for (const repo of this._repos.values()) this._stop(repo);
+    this._repos.clear();
+  }
+
+  // ── Internal ──
+
+  async _start(repo) {
+    repo.gitDir = await getGitDir(repo.projectPath);
+    if (!repo.gitDir || repo.stopped) return;
+    repo.state = await this._snapshot(repo);
+    if (repo.stopped) return;
+
+    repo.files = ['HEAD', path.join('logs', 'HEAD'), 'MERGE_HEAD'].map(f => path.join(repo.gitDir, f));
+    const onChange = () => this._scheduleCheck(repo);
+    for (const file of repo.files) {
+      fs.watchFile(file, { interval: POLL_INTERVAL_MS, persistent: false }, onChange);
+    }
+  }
+
+  _stop(repo) {
+    repo.stopped = true;
+    if (repo.timer) clearTimeout(repo.timer);
+    for (const file of repo.files) fs.unwatchFile(file);
+  }
+
+  _scheduleCheck(repo) {
+    if (repo.timer) clearTimeout(repo.timer);
+    repo.timer = setTimeout(() => {
+      repo.timer = null;
+      this._check(repo).catch(err => console.error('[GitWatcher] Check failed:', err.message));
+    }, SETTLE_MS);
+  }
+
+  async _snapshot(repo) {
+    const [branch, head, merging] = await Promise.all([
+      getCurrentBranch(repo.projectPath),
+      getHeadCommit(repo.projectPath),
+      isMergeInProgress(repo.projectPath),
+    ]);
+    return { branch, head, merging, reflogLength: this._readReflog(repo).length };
+  }
+
+  _readReflog(repo) {
+    try {
+      return fs.readFileSync(path.join(repo.gitDir, 'logs', 'HEAD'), 'utf8').split('\n').filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  async _check(repo) {
+    if (repo.checking) { this._scheduleCheck(repo); return; }
+    repo.checking = true;
+    try {
+      const prev = repo.state;
+      const next = await this._snapshot(repo);
+      repo.state = next;
+      if (repo.stopped) return;
+
+      // Reflog rewritten (expire / gc) → new entries can't be told apart, only compare states
+      const added = next.reflogLength >= prev.reflogLength ? this._readReflog(repo).slice(prev.reflogLength) : [];
+      const entries = added.map(parseReflogLine).filter(Boolean);
+      const events = [];
+      for (const event of detectGitEvents(prev, next, entries)) {
+        const detailed = await this._withDetails(repo, event);
+        if (detailed) events.push(detailed);
+      }
+      if (!events.length) return;
+      for (const fn of repo.subscribers) fn(events);
+    } finally {
+      repo.checking = false;
+    }
+  }
+
+  /** Attach commits / conflicted files; drops merges that stopped without conflicts. */
+  async _withDetails(repo, event) {
+    if (event.type === 'commit' || event.type === 'pull') {
+      const commits = await getCommitsBetween(repo.projectPath, event.from, event.to, MAX_COMMITS);
+      if (!commits.length) return null;
+      const files = [...new Set(commits.flatMap(c => c.files))];
+      const detailed = { ...event, commits, files };
+      if (event.type === 'pull' && event.branch) {
+        const { ahead, behind } = await getAheadBehind(repo.projectPath, event.branch, true);
+        Object.assign(detailed, { ahead, behind });
+      }
+      return detailed;
+    }
+    if (event.type === 'merge_conflict') {
+      const conflicts = await getMergeConflicts(repo.projectPath);
+      if (!conflicts.length) return null;
+      let mergeHead = '';
+      try { mergeHead = fs.readFileSync(path.join(repo.gitDir, 'MERGE_HEAD'), 'utf8').trim(); } catch {}
+      return { ...event, conflicts, files: conflicts, mergeHead };
+    }
+    return event;
+  }
+}
+
+module.exports = new GitWatcherService();
+module.exports.parseReflogLine = parseReflogLine;
+module.exports.detectGitEvents = detectGitEvents;
@@ -0,0 +1,168 @@
+/**
+ * SecretsService
+ * Secrets vault for workflows.
+ *
+ * Values live in the OS keychain (keytar), never in the workflows files:
+ *   ~/.claude-terminal/workflows/secrets.json — names + descriptions only
+ *
+ * Workflows reference secrets as `$secret.NAME`; the runner resolves them at execution
+ * time and every value that leaves a run (step outputs, run history, checkpoints, debugger)
+ * goes through mask() first.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+
+const KEYTAR_SERVICE = 'claude-terminal-secrets';
+const INDEX_FILE     = path.join(os.homedir(), '.claude-terminal', 'workflows', 'secrets.json');
+const NAME_PATTERN   = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MASK           = '••••••';
+const MIN_VALUE_LENGTH = 4; // shorter values would mask unrelated text everywhere
+
+class SecretsService {
+  constructor() {
+    /** Map<name, value> — loaded from the keychain on first use */
+    this._values = new Map();
+    this._loaded = null;
+  }
+
+  // ─── Vault ──────────────────────────────────────────────────────────────────
+
+  /**
+   * @returns {Array<{ name: string, description: string, updatedAt: string }>} Names only, never values
+   */
+  list() {
+    try {
+      const data = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+      return Array.isArray(data.secrets) ? data.secrets : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Create or replace a secret.
+   * @param {string} name
+   * @param {string} value
+   * @param {string} [description]
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async set(name, value, description = '') {
+    if (!NAME_PATTERN.test(name || '')) {
+      return { success: false, error: 'Secret names may only contain letters, digits and _' };
+    }
+    if (typeof value !== 'string' || !value) return { success: false, error: 'Secret value is empty' };
+    if (value.length < MIN_VALUE_LENGTH) {
+      return { success: false, error: `Secret values must be at least ${MIN_VALUE_LENGTH} characters long` };
+    }
+    try {
+      const keytar = require('keytar');
+      await keytar.setPassword(KEYTAR_SERVICE, name, value);
+    } catch (e) {
+      console.error('[Secrets] Failed to store secret:', e.message);
+      return { success: false, error: e.message };
+    }
+    this._values.set(name, value);
+    const entries = this.list().filter(s => s.name !== name);
+    entries.push({ name, description: description || '', updatedAt: new Date().toISOString() });
+    this._saveIndex(entries.sort((a, b) => a.name.localeCompare(b.name)));
+    return { success: true };
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async delete(name) {
+    try {
+      const keytar = require('keytar');
+      await keytar.deletePassword(KEYTAR_SERVICE, name);
+    } catch (e) { /* already gone */ }
+    this._values.delete(name);
+    this._saveIndex(this.list().filter(s => s.name !== name));
+    return { success: true };
+  }
+
+  /**
+   * Values for `$secret.NAME` resolution. Only called by the runner at execution time.
+   * @returns {Promise<Object>} name → value
+   */
+  async getValues() {
+    await this.load();
+    return Object.fromEntries(this._values);
+  }
+
+  /**
+   * Read all secret values from the keychain once, so mask() can work synchronously.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this._loaded) {
+      this._loaded = (async () => {
+        try {
+          const keytar = require('keytar');
+          const known = new Set(this.list().map(s => s.name));
+          for (const { account, password } of await keytar.findCredentials(KEYTAR_SERVICE)) {
+            if (known.has(account) && password) this._values.set(account, password);
+          }
+        } catch (e) {
+          console.error('[Secrets] Failed to read the keychain:', e.message);
+        }
+      })();
+    }
+    return this._loaded;
+  }
+
+  // ─── Masking ────────────────────────────────────────────────────────────────
+
+  /**
+   * Replace every known secret value in a string.
+   * @param {string} text
+   * @returns {string}
+   */
+  maskText(text) {
+    if (typeof text !== 'string' || !this._values.size) return text;
+    let out = text;
+    for (const value of this._sortedValues()) {
+      if (out.includes(value)) out = out.split(value).join(MASK);
+    }
+    return out;
+  }
+
+  /**
+   * Deep-mask a value (strings, arrays, plain objects). Returns the input when nothing matched.
+   * @param {any} value
+   * @returns {any}
+   */
+  mask(value) {
+    if (!this._values.size || value == null) return value;
+    if (typeof value === 'string') return this.maskText(value);
+    if (Array.isArray(value)) return value.map(v => this.mask(v));
+    if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = this.mask(v);
+      return out;
+    }
+    return value;
+  }
+
+  // ── Internal ──
+
+  /** Longest first, so a secret containing another one is masked whole. */
+  _sortedValues() {
+    return [...this._values.values()].sort((a, b) => b.length - a.length);
+  }
+
+  _saveIndex(secrets) {
+    fs.mkdirSync(path.dirname(INDEX_FILE), { recursive: true });
+    const tmp = INDEX_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ secrets }, null, 2), 'utf8');
+    fs.renameSync(tmp, INDEX_FILE);
+  }
+}
+
+module.exports = new SecretsService();
+module.exports.MASK = MASK;
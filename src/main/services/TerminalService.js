@@ -7,6 +7,8 @@ const os = require('os');
 const fs = require('fs');
 const pty = require('node-pty');
 const { execFileSync } = require('child_process');
+const pythonService = require('../../project-types/python/main/PythonService');
+const { pythonEnv, activateCommand } = require('../../shared/python-env');
 
 class TerminalService {
   constructor() {
@@ -62,6 +64,12 @@ class TerminalService {
       }
     }
 
+    // Python projects: venv (or chosen interpreter) first on PATH, for the shell and for Claude
+    const python = pythonService.resolveProjectEnv(effectiveCwd);
+    const env = python ? pythonEnv(process.env, python) : process.env;
+    // Interactive Unix shells also source the activate script (rc files may reorder PATH)
+    const activate = python && python.venvDir ? activateCommand(python.venvDir, shellPath) : null;
+
     // If running Claude, spawn it directly via cmd.exe /c (no shell banner, no prompt)
     if (runClaude && process.platform === 'win32') {
       const claudeArgs = ['claude'];
@@ -82,7 +90,7 @@ class TerminalService {
         cols: 120,
         rows: 30,
         cwd: effectiveCwd,
-        env: process.env
+        env
       });
 
       if (!ptyProcess) {
@@ -143,8 +151,11 @@ class TerminalService {
         if (skipPermissions) {
           claudeCmd += ' --dangerously-skip-permissions';
         }
+        if (activate) claudeCmd = `${activate} && ${claudeCmd}`;
         try { ptyProcess.write(claudeCmd + '\r'); } catch (e) {}
       }, 500);
+    } else if (activate) {
+      try { ptyProcess.write(activate + '\r'); } catch (e) {}
     }
 
     return { success: true, id };
@@ -0,0 +1,303 @@
+/**
+ * WorkflowBundle
+ * Portable workflow files: a single versioned JSON document holding a workflow
+ * plus everything it needs to run elsewhere — sub-workflows (subworkflow nodes),
+ * dependsOn workflows and their variable definitions.
+ *
+ * Export strips secrets (credential-like properties, auth headers, webhook URLs)
+ * and lists the local project / database bindings the workflows rely on.
+ * Import validates every definition, remaps IDs that already exist and
+ * rewrites bindings chosen by the user.
+ *
+ * Pure functions only — file dialogs live in workflow.ipc.js, persistence in WorkflowService.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { validateWorkflowDefinition } = require('../../shared/workflow-schema');
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const BUNDLE_FORMAT  = 'claude-terminal-workflow';
+const BUNDLE_VERSION = 1;
+const FILE_EXTENSION = 'ctworkflow.json';
+
+// Property names whose values are credentials (matched as a suffix: `apiKey`, `clientSecret`, …)
+const SECRET_KEY_RE    = /(password|passwd|secret|token|api[-_]?key|private[-_]?key|credentials?|auth|authorization)$/i;
+// HTTP header names that carry credentials
+const SECRET_HEADER_RE = /^(authorization|proxy-authorization|cookie|x-api-key|api-key|x-auth-token)$/i;
+// Node properties that are credentials by nature (incoming-webhook URLs embed their token)
+const SECRET_NODE_PROPS = { 'workflow/webhook': ['url'] };
+
+// Fields that only make sense on the machine that exported the workflow
+const LOCAL_FIELDS = ['enabled', 'favorite'];
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/** A `$var` / `$secret.NAME` reference is not a secret value in itself. */
+const isReference = (value) => typeof value === 'string' && /^\s*\$[a-zA-Z_]/.test(value);
+
+function findWorkflow(ref, workflows) {
+  if (!ref) return null;
+  const lower = String(ref).toLowerCase();
+  return workflows.find(w => w.id === ref) || workflows.find(w => (w.name || '').toLowerCase() === lower) || null;
+}
+
+/** IDs / names of the workflows a definition calls or waits for. */
+function referencedWorkflows(workflow) {
+  const refs = [];
+  for (const dep of workflow.dependsOn || []) refs.push(dep.workflow || dep);
+  for (const node of workflow.graph?.nodes || []) {
+    if (node.type === 'workflow/subworkflow' && node.properties?.workflow) refs.push(node.properties.workflow);
+  }
+  return refs.filter(ref => ref && !isReference(ref));
+}
+
+/** Point name-based references at workflow IDs so they survive ID remapping on import. */
+function normalizeRefs(workflow, workflows) {
+  const toId = (ref) => findWorkflow(ref, workflows)?.id || ref;
+  if (workflow.dependsOn) {
+    workflow.dependsOn = workflow.dependsOn.map(d => (typeof d === 'string' ? toId(d) : { ...d, workflow: toId(d.workflow) }));
+  }
+  for (const node of workflow.graph?.nodes || []) {
+    if (node.type === 'workflow/subworkflow' && node.properties?.workflow && !isReference(node.properties.workflow)) {
+      node.properties.workflow = toId(node.properties.workflow);
+    }
+  }
+}
+
+/**
+ * Remove credentials from a workflow copy.
+ * @returns {Array<{ node: number|null, key: string }>} stripped fields
+ */
+function stripSecrets(workflow) {
+  const stripped = [];
+
+  // "Header: value" lines — keep the header, drop credential values
+  const stripHeaders = (text, nodeId) => text.split('\n').map(line => {
+    const m = line.match(/^(\s*)([\w-]+)(\s*:\s*)(.*)$/);
+    if (!m || !SECRET_HEADER_RE.test(m[2]) || !m[4].trim() || isReference(m[4])) return line;
+    stripped.push({ node: nodeId, key: `headers.${m[2]}` });
+    return `${m[1]}${m[2]}${m[3]}`;
+  }).join('\n');
+
+  for (const node of workflow.graph?.nodes || []) {
+    const props = node.properties || {};
+    const alwaysSecret = SECRET_NODE_PROPS[node.type] || [];
+    for (const [key, value] of Object.entries(props)) {
+      if (typeof value !== 'string' || !value || isReference(value)) continue;
+      if (key === 'headers') {
+        props.headers = stripHeaders(value, node.id);
+      } else if (alwaysSecret.includes(key) || SECRET_KEY_RE.test(key)) {
+        props[key] = '';
+        stripped.push({ node: node.id, key });
+      }
+    }
+  }
+
+  for (const variable of workflow.variables || []) {
+    if ((variable.secret || SECRET_KEY_RE.test(variable.name || '')) && variable.default != null && !isReference(variable.default)) {
+      variable.default = '';
+      stripped.push({ node: null, key: `$${variable.name}` });
+    }
+  }
+
+  for (const [key, value] of Object.entries(workflow.trigger || {})) {
+    if (typeof value === 'string' && value && SECRET_KEY_RE.test(key) && !isReference(value)) {
+      workflow.trigger[key] = '';
+      stripped.push({ node: null, key: `trigger.${key}` });
+    }
+  }
+
+  return stripped;
+}
+
+/** Trigger node properties holding a project id (file_watch / git triggers) */
+const TRIGGER_PROJECT_KEYS = ['watchProjectId', 'gitProjectId'];
+
+/** Local resources (projects, DB connections) referenced by a workflow's nodes. */
+function collectBindings(workflow, dbConnections) {
+  const bindings = [];
+  for (const node of workflow.graph?.nodes || []) {
+    const props = node.properties || {};
+    if (props.projectId && !isReference(props.projectId)) {
+      bindings.push({ kind: 'project', id: props.projectId, name: props.projectName || '' });
+    }
+    if (node.type === 'workflow/trigger') {
+      for (const key of TRIGGER_PROJECT_KEYS) {
+        if (props[key]) bindings.push({ kind: 'project', id: props[key], name: '' });
+      }
+    }
+    if (node.type === 'workflow/db' && props.connection && !isReference(props.connection)) {
+      const conn = dbConnections.find(c => c.id === props.connection);
+      bindings.push({ kind: 'database', id: props.connection, name: conn?.name || '', type: conn?.type || '' });
+    }
+  }
+  return bindings;
+}
+
+// ─── Export ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build a portable bundle for `rootId` and every workflow it depends on.
+ * @param {string} rootId
+ * @param {Object[]} workflows - all saved definitions
+ * @param {Object} [opts]
+ * @param {Object[]} [opts.dbConnections] - used to name database bindings
+ * @returns {Object} bundle
+ */
+function createBundle(rootId, workflows, { dbConnections = [] } = {}) {
+  const root = findWorkflow(rootId, workflows);
+  if (!root) throw new Error('Workflow not found');
+
+  // Breadth-first over sub-workflow / dependsOn references, root first
+  const included = [];
+  const missing = [];
+  const seen = new Set();
+  const queue = [root];
+  while (queue.length) {
+    const wf = queue.shift();
+    if (seen.has(wf.id)) continue;
+    seen.add(wf.id);
+    included.push(wf);
+    for (const ref of referencedWorkflows(wf)) {
+      const dep = findWorkflow(ref, workflows);
+      if (dep) queue.push(dep);
+      else if (!missing.includes(ref)) missing.push(ref);
+    }
+  }
+
+  const secrets = [];
+  const bindings = new Map();
+  const exported = included.map(original => {
+    const wf = clone(original);
+    for (const field of LOCAL_FIELDS) delete wf[field];
+    normalizeRefs(wf, workflows);
+    for (const s of stripSecrets(wf)) secrets.push({ workflow: wf.id, ...s });
+    for (const b of collectBindings(wf, dbConnections)) {
+      const key = `${b.kind}:${b.id}`;
+      if (!bindings.has(key)) bindings.set(key, b);
+      else if (!bindings.get(key).name) bindings.get(key).name = b.name;
+    }
+    return wf;
+  });
+
+  // Variable definitions required by the bundle, deduplicated by name
+  const variables = [];
+  for (const wf of exported) {
+    for (const v of wf.variables || []) {
+      if (v.name && !variables.some(x => x.name === v.name)) variables.push({ ...v, workflow: wf.id });
+    }
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    root: root.id,
+    workflows: exported,
+    variables,
+    bindings: [...bindings.values()],
+    secrets,
+    ...(missing.length ? { missing } : {}),
+  };
+}
+
+// ─── Import ─────────────────────────────────────────────────────────────────
+
+/**
+ * Validate a bundle and work out the ID changes needed to import it.
+ * @param {Object} bundle
+ * @param {Object[]} existing - currently saved definitions
+ * @returns {{ errors: string[], warnings: string[], idMap: Object<string,string>, renamed: string[] }}
+ */
+function planImport(bundle, existing) {
+  const errors = [];
+  const warnings = [];
+  const idMap = {};
+  const renamed = [];
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    return { errors: ['Not a Claude Terminal workflow file'], warnings, idMap, renamed };
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+    return { errors: [`Unsupported workflow file version: ${bundle.version}`], warnings, idMap, renamed };
+  }
+  if (!Array.isArray(bundle.workflows) || !bundle.workflows.length) {
+    return { errors: ['The file contains no workflow'], warnings, idMap, renamed };
+  }
+
+  const bundleIds = new Set();
+  for (const wf of bundle.workflows) {
+    const result = validateWorkflowDefinition(wf);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+    if (!wf?.id) continue;
+    if (bundleIds.has(wf.id)) errors.push(`Duplicate workflow id in file: ${wf.id}`);
+    bundleIds.add(wf.id);
+
+    if (existing.some(w => w.id === wf.id)) {
+      idMap[wf.id] = `wf_${crypto.randomUUID().slice(0, 8)}`;
+      renamed.push(wf.id);
+    } else {
+      idMap[wf.id] = wf.id;
+    }
+  }
+  if (!bundleIds.has(bundle.root)) errors.push('The file root workflow is missing');
+
+  for (const ref of bundle.missing || []) {
+    if (!findWorkflow(ref, existing)) warnings.push(`Referenced workflow not included in the file: ${ref}`);
+  }
+
+  return { errors, warnings, idMap, renamed };
+}
+
+/**
+ * Rewrite bundle workflows for saving: new IDs, updated cross-references and bindings.
+ * @param {Object} bundle
+ * @param {Object} plan - from planImport()
+ * @param {Object<string,{ id: string, name?: string }>} [bindings] - 'project:<oldId>' / 'database:<oldId>' → local resource
+ * @returns {Object[]} workflows ready to be saved (root first)
+ */
+function applyImport(bundle, plan, bindings = {}) {
+  const remap = (ref) => (ref && plan.idMap[ref]) || ref;
+
+  return bundle.workflows.map(original => {
+    const wf = clone(original);
+    wf.id = remap(wf.id);
+    // Triggers (cron, file watch, hooks…) stay off until the user has reviewed the workflow
+    wf.enabled = false;
+    if (wf.dependsOn) wf.dependsOn = wf.dependsOn.map(d => (typeof d === 'string' ? remap(d) : { ...d, workflow: remap(d.workflow) }));
+    if (wf.trigger?.type === 'on_workflow' && wf.trigger.value) wf.trigger.value = remap(wf.trigger.value);
+
+    for (const node of wf.graph?.nodes || []) {
+      const props = node.properties || {};
+      if (node.type === 'workflow/subworkflow' && props.workflow) props.workflow = remap(props.workflow);
+      const project = props.projectId && bindings[`project:${props.projectId}`];
+      if (project) {
+        props.projectId = project.id;
+        if ('projectName' in props) props.projectName = project.name || props.projectName;
+      }
+      for (const key of node.type === 'workflow/trigger' ? TRIGGER_PROJECT_KEYS : []) {
+        const watched = props[key] && bindings[`project:${props[key]}`];
+        if (watched) props[key] = watched.id;
+      }
+      const db = node.type === 'workflow/db' && props.connection && bindings[`database:${props.connection}`];
+      if (db) props.connection = db.id;
+    }
+    return wf;
+  });
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  FILE_EXTENSION,
+  createBundle,
+  planImport,
+  applyImport,
+  stripSecrets,
+};
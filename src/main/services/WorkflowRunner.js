@@ -15,6 +15,7 @@
  *   condition  — evaluate expression, expose boolean variable
  *   loop       — iterate over an array variable, execute sub-steps
  *   parallel   — concurrent sub-steps, wait for all
+ *   join       — (graph) run the branches feeding it concurrently, wait for all / any / N of them
  */
 
 'use strict';
@@ -28,6 +29,7 @@ const {
   gitCommit, gitPull, gitPush, gitStageFiles,
   checkoutBranch, createBranch, spawnGit,
 } = require('../utils/git');
+const { evaluateExpression } = require('../workflow-nodes/_expression');
 
 // ─── Variable resolution ──────────────────────────────────────────────────────
 
@@ -825,8 +827,9 @@ function runTimeStep(config, vars) {
 /**
  * Apply a data transformation to an array or value.
  * Supported operations: map, filter, reduce, find, pluck, count, sort, unique, flatten, json_parse, json_stringify
+ * Expressions are evaluated in the isolated sandbox from workflow-nodes/_expression.js.
  */
-function runTransformStep(config, vars) {
+async function runTransformStep(config, vars, signal) {
   const operation = config.operation || 'map';
   const inputRaw  = config.input ? resolveVars(config.input, vars) : null;
   const expr      = config.expression ? resolveVars(config.expression, vars) : '';
@@ -846,34 +849,24 @@ function runTransformStep(config, vars) {
 
   const input = Array.isArray(inputRaw) ? inputRaw : (inputRaw != null ? [inputRaw] : []);
 
-  // Safe expression evaluator — builds a function with item as argument
-  // Only allows simple property access and comparisons, no arbitrary eval
-  const makeFn = (body) => {
-    try {
-      // eslint-disable-next-line no-new-func
-      return new Function('item', 'index', `"use strict"; return (${body});`);
-    } catch {
-      throw new Error(`Invalid expression: ${body}`);
-    }
-  };
+  // map / filter / find / reduce / count evaluate user code → sandboxed worker
+  const sandboxed = (op) => evaluateExpression({ operation: op, input, expression: expr, nodeId: config.id, signal });
 
   let result;
   switch (operation) {
     case 'map':
-      result = input.map((item, index) => expr ? makeFn(expr)(item, index) : item);
+      result = expr ? await sandboxed('map') : input;
       break;
     case 'filter':
-      result = input.filter((item, index) => expr ? makeFn(expr)(item, index) : true);
+      result = expr ? await sandboxed('filter') : input;
       break;
     case 'find':
-      result = expr ? input.find((item, index) => makeFn(expr)(item, index)) : input[0];
+      result = expr ? await sandboxed('find') : input[0];
       break;
-    case 'reduce': {
+    case 'reduce':
       // expr format: "acc + item.value" — acc starts at 0
-      const reduceFn = expr ? new Function('acc', 'item', 'index', `"use strict"; return (${expr});`) : (acc, item) => acc + item; // eslint-disable-line no-new-func
-      result = input.reduce(reduceFn, 0);
+      result = expr ? await sandboxed('reduce') : input.reduce((acc, item) => acc + item, 0);
       break;
-    }
     case 'pluck':
       // expr = property name to extract, e.g. "name" or "user.id"
       result = input.map(item => {
@@ -882,7 +875,7 @@ function runTransformStep(config, vars) {
       });
       break;
     case 'count':
-      result = expr ? input.filter((item, index) => makeFn(expr)(item, index)).length : input.length;
+      result = expr ? await sandboxed('count') : input.length;
       break;
     case 'sort':
       result = [...input].sort((a, b) => {
@@ -1000,6 +993,99 @@ function parseMs(value) {
   return Math.round(num * (multipliers[unit] || 1000));
 }
 
+// ─── Retry / timeout policy ──────────────────────────────────────────────────
+
+const MAX_RETRIES     = 10;
+const MAX_RETRY_DELAY = 5 * 60_000;
+// How long a hard-timed-out attempt gets to honour its abort signal before retries stop
+const HARD_TIMEOUT_GRACE_MS = 1_000;
+
+const isSet = (v) => v !== undefined && v !== null && v !== '';
+
+/**
+ * Read the execution policy of a step.
+ * Graph nodes carry the editor settings (`_retry`, `_retryDelay`, `_retryBackoff`,
+ * `_retryJitter`, `_timeout`); legacy steps keep `retry` / `retry_delay` / `timeout`
+ * with their original fixed-delay, abort-only semantics.
+ * @param {Object} step
+ * @returns {{ retries: number, delayMs: number, backoff: string, jitter: boolean, timeoutMs: number|null, hardTimeout: boolean }}
+ */
+function getStepPolicy(step) {
+  const nodePolicy = isSet(step._retry) || isSet(step._retryDelay);
+  const retries    = parseInt(isSet(step._retry) ? step._retry : step.retry, 10) || 0;
+
+  let delayMs = nodePolicy ? 1_000 : 5_000;
+  if (isSet(step._retryDelay))    delayMs = parseMs(step._retryDelay);
+  else if (step.retry_delay)      delayMs = parseMs(step.retry_delay);
+
+  return {
+    retries:     Math.min(Math.max(retries, 0), MAX_RETRIES),
+    delayMs,
+    backoff:     step._retryBackoff || (nodePolicy ? 'exponential' : 'fixed'),
+    jitter:      nodePolicy && step._retryJitter !== false && step._retryJitter !== 'false',
+    // `_timeout` is enforced even if the step ignores its abort signal; such a step is
+    // still running, so it is not retried (a second copy would run alongside it)
+    timeoutMs:   isSet(step._timeout) ? parseMs(step._timeout) : (step.timeout ? parseMs(step.timeout) : null),
+    hardTimeout: isSet(step._timeout),
+  };
+}
+
+/**
+ * Delay before the next attempt.
+ * Exponential backoff doubles the base delay per attempt (capped at 5 min);
+ * jitter picks a random delay in [delay/2, delay] so parallel retries spread out.
+ * @param {Object} policy   - from getStepPolicy()
+ * @param {number} attempt  - the attempt that just failed (1-based)
+ * @param {Function} [random]
+ * @returns {number} ms
+ */
+function computeRetryDelay(policy, attempt, random = Math.random) {
+  let ms = policy.backoff === 'exponential'
+    ? policy.delayMs * Math.pow(2, attempt - 1)
+    : policy.delayMs;
+  ms = Math.min(ms, MAX_RETRY_DELAY);
+  if (policy.jitter) ms = Math.round(ms / 2 + random() * (ms / 2));
+  return ms;
+}
+
+function formatMs(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60_000) return `${Math.round(ms / 100) / 10}s`;
+  return `${Math.round(ms / 6000) / 10}m`;
+}
+
+// ─── Join node ────────────────────────────────────────────────────────────────
+
+const JOIN_MODES = ['all', 'any', 'quorum'];
+
+// Walking back from a join input stops at these: they start or own their branches
+const FORK_BOUNDARY_TYPES = new Set(['workflow/trigger', 'workflow/loop', 'workflow/join']);
+
+/**
+ * Branch names of a Join node, one per exec input (slot order).
+ * @param {Object} node - graph node
+ * @returns {string[]}
+ */
+function joinBranchNames(node) {
+  const names = String(node.properties?.branches || '').split(',').map(b => b.trim()).filter(Boolean);
+  const count = Math.max(names.length, node.inputs?.length || 0);
+  return Array.from({ length: count }, (_, i) => names[i] || node.inputs?.[i]?.name || `branch${i + 1}`);
+}
+
+/**
+ * Number of successful branches a join needs.
+ * @param {Object} step - join step ({ mode, quorum })
+ * @param {number} branchCount - branches that actually reached the join
+ * @param {number} inputCount - branches wired to the join; a larger quorum is capped to it
+ * @returns {number}
+ */
+function joinRequired(step, branchCount, inputCount) {
+  const mode = JOIN_MODES.includes(step.mode) ? step.mode : 'all';
+  if (mode === 'all') return branchCount;
+  if (mode === 'any') return Math.min(1, branchCount);
+  return Math.min(Math.max(1, parseInt(step.quorum, 10) || 1), Math.max(1, inputCount));
+}
+
 // ─── Main executor ────────────────────────────────────────────────────────────
 
 class WorkflowRunner {
@@ -1009,14 +1095,20 @@ class WorkflowRunner {
    * @param {Object}            opts.chatService   - ChatService singleton
    * @param {Map<string, Function>} opts.waitCallbacks - shared wait registry
    * @param {Object}            opts.projectTypeRegistry - { fivem, api, ... } services for native steps
+   * @param {Object}            [opts.secretsService] - resolves `$secret.NAME`, masks secret values in everything sent out
    */
-  constructor({ sendFn, chatService, waitCallbacks, projectTypeRegistry = {}, databaseService = null, workflowService = null }) {
-    this._send              = sendFn;
+  constructor({ sendFn, chatService, waitCallbacks, projectTypeRegistry = {}, databaseService = null, workflowService = null, secretsService = null }) {
+    this._secrets           = secretsService;
+    this._send              = secretsService ? (channel, data) => sendFn(channel, secretsService.mask(data)) : sendFn;
     this._chatService       = chatService;
     this._waitCallbacks     = waitCallbacks;
     this._projectTypeRegistry = projectTypeRegistry;
     this._databaseService   = databaseService;
     this._workflowService   = workflowService;
+    /** Map<branchStartNodeId, { joinId, branch, slot }> — see _mapJoinBranches() */
+    this._joinBranches      = new Map();
+    /** Running timeouts (step and workflow), suspended while the debugger is paused */
+    this._timers            = new Set();
 
     // Load the node registry once at construction time
     this._nodeRegistry = require('../workflow-nodes/_registry');
@@ -1044,14 +1136,15 @@ class WorkflowRunner {
   async testStep(step, ctx = {}) {
     const vars = new Map([
       ['ctx', { project: ctx.project || '', date: new Date().toISOString(), trigger: 'test' }],
+      ['secret', await this._secretValues()],
     ]);
     const abort = new AbortController();
     const start = Date.now();
     try {
       const output = await this._dispatchStep(step, vars, 'test', abort.signal, null);
-      return { success: true, output, duration: Date.now() - start };
+      return { success: true, output: this._mask(output), duration: Date.now() - start };
     } catch (err) {
-      return { success: false, output: null, error: err.message, duration: Date.now() - start };
+      return { success: false, output: null, error: this._mask(err.message), duration: Date.now() - start };
     }
   }
 
@@ -1062,9 +1155,10 @@ class WorkflowRunner {
    * @param {Object} run              - run record (has .id, .triggerData, etc.)
    * @param {AbortController} abort
    * @param {Map<string, any>} [extraVars]  - e.g. depends_on results
-   * @returns {Promise<{ success: boolean, outputs: Object, error?: string }>}
+   * @param {Object} [resume]               - { nodes } checkpoint records to replay instead of re-executing
+   * @returns {Promise<{ success: boolean, outputs: Object, checkpoint: Object|null, error?: string }>}
    */
-  async execute(workflow, run, abort, extraVars = new Map()) {
+  async execute(workflow, run, abort, extraVars = new Map(), resume = null) {
     const vars = new Map([
       // Context variables
       ['ctx', {
@@ -1077,18 +1171,27 @@ class WorkflowRunner {
       ['trigger', run.triggerData || {}],
       // Inject depends_on outputs
       ...extraVars,
+      // $secret.NAME — resolved from the vault at execution time only
+      ['secret', await this._secretValues()],
     ]);
 
     const stepOutputs = {};
     this._stepStatuses = new Map(); // Track final step statuses for persistence
+    // Completed top-level nodes, in order — persisted so a failed run can be resumed
+    this._checkpoint = { nodes: [], failedNodeId: null };
+    // Nodes that produced secret values are executed again (their record only holds masked text)
+    this._replay = new Map((resume?.nodes || []).filter(rec => !rec.secret).map(rec => [rec.id, rec]));
 
     const globalTimeoutMs = workflow.timeout ? parseMs(workflow.timeout) : null;
     const globalTimer = globalTimeoutMs
-      ? setTimeout(() => abort.abort(), globalTimeoutMs)
+      ? this._startTimer(() => abort.abort(), globalTimeoutMs)
       : null;
 
+    const isGraph = !!(workflow.graph && workflow.graph.nodes);
+    const checkpoint = isGraph ? this._checkpoint : null;
+
     try {
-      if (workflow.graph && workflow.graph.nodes) {
+      if (isGraph) {
         // New graph-based execution
         await this._executeGraph(workflow.graph, vars, run.id, abort.signal, stepOutputs, workflow);
       } else {
@@ -1096,14 +1199,14 @@ class WorkflowRunner {
         const steps = workflow.steps || [];
         await this._runSteps(steps, vars, run.id, abort.signal, stepOutputs, workflow);
       }
-      return { success: true, outputs: stepOutputs, stepStatuses: this._stepStatuses };
+      return { success: true, outputs: stepOutputs, stepStatuses: this._stepStatuses, checkpoint };
     } catch (err) {
       if (abort.signal.aborted) {
-        return { success: false, cancelled: true, outputs: stepOutputs, stepStatuses: this._stepStatuses, error: 'Cancelled' };
+        return { success: false, cancelled: true, outputs: stepOutputs, stepStatuses: this._stepStatuses, checkpoint, error: 'Cancelled' };
       }
-      return { success: false, outputs: stepOutputs, stepStatuses: this._stepStatuses, error: err.message };
+      return { success: false, outputs: stepOutputs, stepStatuses: this._stepStatuses, checkpoint, error: err.message };
     } finally {
-      if (globalTimer) clearTimeout(globalTimer);
+      if (globalTimer) this._clearTimer(globalTimer);
     }
   }
 
@@ -1164,6 +1267,8 @@ class WorkflowRunner {
       slots.get(link.targetSlot).push({ originId: link.originId, originSlot: link.originSlot });
     }
 
+    this._joinBranches = this._mapJoinBranches(nodeById, outgoing, incoming);
+
     // Find the trigger node
     const triggerNode = nodes.find(n => n.type === 'workflow/trigger');
     if (!triggerNode) {
@@ -1195,6 +1300,32 @@ class WorkflowRunner {
       const nodeData = nodeById.get(nodeId);
       if (!nodeData) continue;
 
+      // Branch of a Join node: run it with the join's other pending branches, then the join
+      const fork = nodeData.type === 'workflow/join'
+        ? { joinId: nodeId, starts: [] }
+        : this._takeJoinFork(nodeId, queue, visited);
+      if (fork) {
+        visited.add(fork.joinId);
+        const replayedJoin = this._replay?.get(fork.joinId);
+        if (replayedJoin) {
+          this._replayNode(replayedJoin, { id: `node_${fork.joinId}`, type: 'join' }, vars, runId, stepOutputs, visited);
+          queue.push(...this._getNextNodes(fork.joinId, replayedJoin.slot, outgoing));
+          continue;
+        }
+        const stopTracking = trackWrites(vars);
+        let joined;
+        try {
+          joined = await this._executeJoin(fork.joinId, fork.starts, nodeById, outgoing, incoming, vars, runId, signal, stepOutputs, workflow);
+        } catch (err) {
+          if (!signal.aborted) this._checkpoint.failedNodeId = fork.joinId;
+          throw err;
+        }
+        for (const nid of joined.body) visited.add(nid);
+        queue.push(...this._getNextNodes(fork.joinId, joined.slot, outgoing));
+        this._recordCheckpoint(fork.joinId, joined.step.id, joined.slot, stopTracking(), vars, stepOutputs, joined.body);
+        continue;
+      }
+
       // Convert node to step format for the dispatcher
       const stepType = nodeData.type.replace('workflow/', '');
       // Merge data pin inputs (Blueprint-style) on top of step properties
@@ -1206,6 +1337,25 @@ class WorkflowRunner {
         ...dataInputs,
       };
 
+      // Resumed run: replay what the original run recorded instead of re-executing
+      const replayed = this._replay?.get(nodeId);
+      if (replayed) {
+        this._replayNode(replayed, step, vars, runId, stepOutputs, visited);
+        queue.push(...this._getNextNodes(nodeId, replayed.slot, outgoing));
+        continue;
+      }
+
+      // Debugger: pause before breakpoints / while stepping (vars may be edited meanwhile)
+      if (this._debug && await this._debugPause(nodeId, step, vars, stepOutputs, runId, signal)) {
+        Object.assign(step, this._resolveDataInputs(nodeId, vars, incoming, nodeById));
+      }
+
+      // Record what this node writes so a later resume can replay it.
+      // On failure the run ends here, so the tracker is simply abandoned.
+      const stopTracking = trackWrites(vars);
+      let followed  = null; // output slot taken
+      let bodyNodes = null; // loop body nodes, visited as part of the loop
+
       if (stepType === 'condition') {
         // Condition nodes don't fail — they evaluate and branch
         try {
@@ -1219,6 +1369,7 @@ class WorkflowRunner {
         const condResult = outputResult?.result ?? outputResult?.value ?? true;
         const nextSlot = condResult ? 0 : 1;
         queue.push(...this._getNextNodes(nodeId, nextSlot, outgoing));
+        followed = nextSlot;
       } else if (stepType === 'loop') {
         // ── Loop node: resolve items, then execute body per-iteration ──
         try {
@@ -1277,14 +1428,10 @@ class WorkflowRunner {
               }
             };
 
-            // Process items in batches of concurrencyLimit
-            for (let batchStart = 0; batchStart < items.length; batchStart += concurrencyLimit) {
-              if (signal.aborted) break;
-              const batch = items.slice(batchStart, batchStart + concurrencyLimit);
-              const settled = await Promise.all(batch.map((item, i) => runIteration(item, batchStart + i)));
-              for (const s of settled) {
-                iterationResults.push(s.success ? s.result : { _error: s.error, _item: s._item });
-              }
+            // At most concurrencyLimit iterations in flight — the next item starts as soon as one finishes
+            const settled = await mapWithConcurrency(items, concurrencyLimit, runIteration);
+            for (const s of settled) {
+              iterationResults.push(s.success ? s.result : { _error: s.error, _item: s._item });
             }
           } else {
             // Sequential execution (default)
@@ -1327,10 +1474,13 @@ class WorkflowRunner {
           for (const tid of doneTargets) {
             if (!visited.has(tid)) queue.push(tid);
           }
+          followed  = 1;
+          bodyNodes = [...allBodyVisited];
 
         } catch (err) {
           if (signal.aborted) throw err;
           lastError = err;
+          this._checkpoint.failedNodeId = nodeId;
           this._emitStep(runId, step, 'failed', { error: err.message });
           throw err;
         }
@@ -1345,30 +1495,35 @@ class WorkflowRunner {
         const switchOut = stepOutputs[step.id];
         const matchedSlot = switchOut?.matchedSlot ?? 0;
         queue.push(...this._getNextNodes(nodeId, matchedSlot, outgoing));
+        followed = matchedSlot;
       } else {
         // Normal step: try to execute
         try {
           await this._runOneStep(step, vars, runId, signal, stepOutputs, workflow);
           // Success → follow slot 0 (Done)
           queue.push(...this._getNextNodes(nodeId, 0, outgoing));
+          followed = 0;
         } catch (err) {
           if (signal.aborted) throw err;
           lastError = err;
 
-          // Check if error slot (slot 1) is connected
-          const errorTargets = this._getNextNodes(nodeId, 1, outgoing);
+          // Check if the node's "Error" output is connected
+          const errorSlot    = this._getErrorSlot(nodeData);
+          const errorTargets = this._getNextNodes(nodeId, errorSlot, outgoing);
           if (errorTargets.length > 0) {
-            // Error is handled — follow the error path
-            // Store error info for downstream nodes
-            vars.set(step.id, { error: err.message, success: false });
-            stepOutputs[step.id] = { error: err.message, success: false };
+            // Error is handled — follow the error path with $error exposed
+            this._exposeError(step, nodeData, err, vars, stepOutputs);
             queue.push(...errorTargets);
+            followed = errorSlot;
           } else {
             // No error handler — propagate failure
+            this._checkpoint.failedNodeId = nodeId;
             throw err;
           }
         }
       }
+
+      this._recordCheckpoint(nodeId, step.id, followed, stopTracking(), vars, stepOutputs, bodyNodes);
     }
 
     // If we got here with a lastError but it was handled via error slots, that's OK
@@ -1452,6 +1607,358 @@ class WorkflowRunner {
     return slots.get(slotIndex) || [];
   }
 
+  /**
+   * Index of a node's "Error" exec output.
+   * Nodes declare it at slot 1; nodes without a native one get it appended
+   * when the error branch is enabled in the editor. Graphs saved without
+   * output metadata fall back to slot 1.
+   * @param {Object} nodeData
+   * @returns {number} -1 when the node has no error output
+   */
+  _getErrorSlot(nodeData) {
+    const outs = nodeData.outputs || [];
+    if (!outs.length) return 1;
+    return outs.findIndex(o => o && o.name === 'Error' && (o.type === -1 || o.type === 'exec'));
+  }
+
+  /**
+   * Record a handled failure: the failing node's output becomes
+   * { error, success: false } and $error describes it for the error branch.
+   * @private
+   */
+  _exposeError(step, nodeData, err, vars, stepOutputs) {
+    const failed = { error: err.message, success: false };
+    vars.set(step.id, failed);
+    stepOutputs[step.id] = failed;
+    vars.set('error', {
+      message:  err.message,
+      node:     step.id,
+      title:    nodeData.properties?._customTitle || nodeData.title || step.type,
+      type:     step.type,
+      attempts: err.attempts || 1,
+    });
+  }
+
+  // ─── Join ───────────────────────────────────────────────────────────────────
+
+  /**
+   * Find the node that starts each branch feeding a Join node: walk back from
+   * the join input along "In" links until the fork — an output wired to several
+   * nodes — or the trigger, a loop or another join.
+   * @returns {Map<number, { joinId: number, branch: string, slot: number }>} branch start → join
+   * @private
+   */
+  _mapJoinBranches(nodeById, outgoing, incoming) {
+    const starts = new Map();
+    for (const node of nodeById.values()) {
+      if (node.type !== 'workflow/join') continue;
+      const names = joinBranchNames(node);
+      for (const [slot, links] of incoming.get(node.id) || []) {
+        if (!links?.length) continue;
+        let cur = links[0].originId;
+        for (let guard = 0; guard < nodeById.size; guard++) {
+          const preds = incoming.get(cur)?.get(0) || [];
+          if (preds.length !== 1) break;
+          const { originId, originSlot } = preds[0];
+          const pred = nodeById.get(originId);
+          if (!pred || FORK_BOUNDARY_TYPES.has(pred.type)) break;
+          if (this._getNextNodes(originId, originSlot, outgoing).length > 1) break;
+          cur = originId;
+        }
+        starts.set(cur, { joinId: node.id, branch: names[slot] || `branch${slot + 1}`, slot });
+      }
+    }
+    return starts;
+  }
+
+  /**
+   * When `nodeId` starts a join branch, take the join's other branches still
+   * waiting in the queue so they all run together.
+   * @returns {{ joinId: number, starts: number[] }|null}
+   * @private
+   */
+  _takeJoinFork(nodeId, queue, visited, stopAt = null) {
+    const entry = this._joinBranches.get(nodeId);
+    if (!entry || visited.has(entry.joinId) || stopAt?.has(entry.joinId)) return null;
+    const starts = [nodeId];
+    for (let i = queue.length - 1; i >= 0; i--) {
+      const id = queue[i];
+      if (this._joinBranches.get(id)?.joinId !== entry.joinId) continue;
+      queue.splice(i, 1);
+      if (!visited.has(id) && !starts.includes(id)) starts.push(id);
+    }
+    starts.sort((a, b) => this._joinBranches.get(a).slot - this._joinBranches.get(b).slot);
+    for (const id of starts) visited.add(id);
+    return { joinId: entry.joinId, starts };
+  }
+
+  /**
+   * Run join branches concurrently (at most `concurrency` at once), each on its
+   * own copy of the variables, until the join's mode is satisfied or can no
+   * longer be: all branches, any one, or a quorum of N must succeed. Branches
+   * still running are then cancelled. Variables the branches wrote are merged
+   * back in branch order.
+   *
+   * Output: { results: { <branch>: { node_X: output, ... } }, completed, failed, cancelled, errors, success }
+   *
+   * @returns {Promise<{ step: Object, slot: number, body: number[] }>} slot followed, nodes run by the branches
+   * @throws when the join fails and its Error output is not connected
+   * @private
+   */
+  async _executeJoin(joinId, starts, nodeById, outgoing, incoming, vars, runId, signal, stepOutputs, workflow) {
+    const nodeData = nodeById.get(joinId);
+    const step = { id: `node_${joinId}`, type: 'join', ...(nodeData.properties || {}) };
+    const stopAt = new Set([joinId]);
+    const branches = starts.map(id => ({ id, name: this._joinBranches.get(id).branch }));
+    const required = joinRequired(step, branches.length, joinBranchNames(nodeData).length);
+    const limit = parseInt(step.concurrency, 10) || branches.length;
+
+    this._emitStep(runId, step, 'running', null);
+
+    const joinAbort = new AbortController();
+    const onParentAbort = () => joinAbort.abort();
+    signal.addEventListener('abort', onParentAbort, { once: true });
+
+    let succeeded = 0;
+    let settled = 0;
+    let decide;
+    const decided = new Promise(resolve => { decide = resolve; });
+    const check = () => {
+      if (succeeded >= required || succeeded + (branches.length - settled) < required) decide();
+    };
+    check();
+
+    const runBranch = async (branch) => {
+      if (joinAbort.signal.aborted) return { status: 'cancelled' };
+      const branchVars = new Map(vars);
+      try {
+        const { outputs } = await this._executeSubGraph(
+          [branch.id], nodeById, outgoing, incoming, branchVars, runId, joinAbort.signal, stepOutputs, workflow, stopAt
+        );
+        succeeded++;
+        return { status: 'success', outputs, vars: branchVars };
+      } catch (err) {
+        const cancelled = joinAbort.signal.aborted;
+        return { status: cancelled ? 'cancelled' : 'failed', error: err.message, vars: branchVars };
+      } finally {
+        settled++;
+        check();
+      }
+    };
+
+    let results;
+    try {
+      const all = mapWithConcurrency(branches, limit, runBranch);
+      await decided;
+      joinAbort.abort(); // mode satisfied (or unreachable) — stop the stragglers
+      results = await all;
+    } finally {
+      signal.removeEventListener('abort', onParentAbort);
+    }
+    if (signal.aborted) throw new Error('Cancelled');
+
+    const output = { results: {}, completed: [], failed: [], cancelled: [], errors: {}, success: succeeded >= required };
+    branches.forEach((branch, i) => {
+      const r = results[i];
+      for (const [key, value] of r.vars || []) {
+        if (vars.get(key) !== value) vars.set(key, value);
+      }
+      if (r.status === 'success') {
+        output.results[branch.name] = r.outputs;
+        output.completed.push(branch.name);
+      } else if (r.status === 'failed') {
+        output.errors[branch.name] = r.error;
+        output.failed.push(branch.name);
+      } else {
+        output.cancelled.push(branch.name);
+        // Nodes that never got to finish would otherwise stay "running" in the editor
+        for (const nid of this._collectNodes([branch.id], outgoing, stopAt)) {
+          const nodeStep = { id: `node_${nid}`, type: (nodeById.get(nid)?.type || '').replace('workflow/', '') };
+          if (!this._stepStatuses?.has(nodeStep.id)) this._emitStep(runId, nodeStep, 'skipped', null, undefined, { cancelled: true });
+        }
+      }
+    });
+
+    const body = [...this._collectNodes(starts, outgoing, stopAt)];
+    vars.set(step.id, output);
+    stepOutputs[step.id] = output;
+
+    if (output.success) {
+      this._emitStep(runId, step, 'success', output);
+      return { step, slot: 0, body };
+    }
+
+    const firstError = output.failed.length ? ` (${output.failed[0]}: ${output.errors[output.failed[0]]})` : '';
+    const err = new Error(`Join: ${succeeded}/${required} required branches succeeded${firstError}`);
+    this._emitStep(runId, step, 'failed', { ...output, error: err.message });
+    const errorSlot = this._getErrorSlot(nodeData);
+    if (!this._getNextNodes(joinId, errorSlot, outgoing).length) throw err;
+    this._exposeError(step, nodeData, err, vars, stepOutputs);
+    vars.set(step.id, { ...output, error: err.message });
+    stepOutputs[step.id] = vars.get(step.id);
+    return { step, slot: errorSlot, body };
+  }
+
+  /**
+   * Nodes reachable from `startIds` without entering `stopAt`.
+   * @private
+   */
+  _collectNodes(startIds, outgoing, stopAt) {
+    const seen = new Set();
+    const stack = [...startIds];
+    while (stack.length) {
+      const id = stack.pop();
+      if (seen.has(id) || stopAt.has(id)) continue;
+      seen.add(id);
+      for (const targets of outgoing.get(id)?.values() || []) stack.push(...targets);
+    }
+    return seen;
+  }
+
+  // ─── Resume checkpoints ─────────────────────────────────────────────────────
+
+  /**
+   * Record a completed top-level node: the slot it followed, the variables it
+   * wrote (cloned, so later mutations don't leak in) and its output.
+   * Checkpoints are saved to disk, so secret values are masked; a node whose
+   * writes or output held one is flagged `secret` and runs again on resume
+   * instead of replaying the masked text.
+   * @private
+   */
+  _recordCheckpoint(nodeId, stepId, slot, written, vars, stepOutputs, body) {
+    if (slot === null) return;
+    let secret = false;
+    const safe = (value) => {
+      const copy   = cloneForCheckpoint(value);
+      const masked = this._mask(copy);
+      if (JSON.stringify(masked) !== JSON.stringify(copy)) secret = true;
+      return masked;
+    };
+
+    const writes  = {};
+    const deletes = [];
+    for (const key of written) {
+      if (key === 'secret') continue;
+      if (vars.has(key)) writes[key] = safe(vars.get(key));
+      else deletes.push(key);
+    }
+    const rec = { id: nodeId, slot, writes, deletes, output: safe(stepOutputs[stepId]) };
+    if (secret) rec.secret = true;
+    if (body) rec.body = body;
+    this._checkpoint.nodes.push(rec);
+  }
+
+  /**
+   * Restore a node recorded by a previous run without executing it.
+   * @private
+   */
+  _replayNode(rec, step, vars, runId, stepOutputs, visited) {
+    for (const [key, value] of Object.entries(rec.writes || {})) vars.set(key, value);
+    for (const key of rec.deletes || []) vars.delete(key);
+    if (rec.output != null) stepOutputs[step.id] = rec.output;
+    for (const nid of rec.body || []) visited.add(nid);
+    this._checkpoint.nodes.push(rec);
+    this._emitStep(runId, step, 'success', rec.output, undefined, { replayed: true });
+  }
+
+  // ─── Debugger ───────────────────────────────────────────────────────────────
+
+  /**
+   * Turn on breakpoints / step-through for this runner's run.
+   * @param {Object} [opts]
+   * @param {number[]} [opts.breakpoints] - node IDs to pause before
+   * @param {boolean}  [opts.stepping]    - pause before the very first node
+   */
+  enableDebug({ breakpoints = [], stepping = false } = {}) {
+    this._debug = { breakpoints: new Set(breakpoints), stepping, paused: null };
+  }
+
+  /** Replace the breakpoint set while the run is in progress. */
+  setBreakpoints(nodeIds) {
+    if (this._debug) this._debug.breakpoints = new Set(nodeIds || []);
+  }
+
+  /**
+   * Resume a paused run.
+   * @param {'continue'|'step'} mode - 'step' pauses again before the next node
+   * @returns {boolean} false if the run is not paused
+   */
+  debugResume(mode = 'continue') {
+    const paused = this._debug?.paused;
+    if (!paused) return false;
+    paused.resume(mode === 'step');
+    return true;
+  }
+
+  /**
+   * Set a variable while paused; the paused node sees the new value.
+   * @returns {boolean} false if the run is not paused
+   */
+  setDebugVariable(name, value) {
+    const paused = this._debug?.paused;
+    if (!paused || !name) return false;
+    paused.vars.set(name, value);
+    this._emitDebugPaused();
+    return true;
+  }
+
+  /**
+   * Wait for a debugger command if `nodeId` has a breakpoint or we are stepping.
+   * Parallel loop iterations queue up so only one node is paused at a time.
+   * @returns {Promise<boolean>} true if the run actually paused
+   * @private
+   */
+  async _debugPause(nodeId, step, vars, stepOutputs, runId, signal) {
+    const dbg = this._debug;
+    if (!dbg.stepping && !dbg.breakpoints.has(nodeId)) return false;
+    while (dbg.paused) await dbg.paused.done;
+    if (signal.aborted) throw new Error('Cancelled');
+
+    let onAbort;
+    const done = new Promise((resolve, reject) => {
+      onAbort = () => { dbg.paused = null; reject(new Error('Cancelled')); };
+      signal.addEventListener('abort', onAbort, { once: true });
+      dbg.paused = {
+        runId, nodeId, stepId: step.id, stepType: step.type, vars, stepOutputs, done: null,
+        resume: (stepping) => {
+          dbg.paused = null;
+          dbg.stepping = stepping;
+          resolve();
+        },
+      };
+    });
+    dbg.paused.done = done.catch(() => {});
+    this._emitDebugPaused();
+    // Time spent paused does not count towards the step / workflow timeouts
+    this._timers.forEach(timer => timer.pause());
+    try {
+      await done;
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+      this._timers.forEach(timer => timer.resume());
+    }
+    this._send('workflow-debug-resumed', { runId, stepId: step.id });
+    return true;
+  }
+
+  /** Send the paused node and a snapshot of all variables / node outputs. @private */
+  _emitDebugPaused() {
+    const paused = this._debug?.paused;
+    if (!paused) return;
+    const vars = {};
+    for (const [key, value] of paused.vars) {
+      // Node outputs are sent separately (and read-only) below, secrets never leave the runner
+      if (!/^node_\d+$/.test(key) && key !== 'secret') vars[key] = cloneForCheckpoint(value);
+    }
+    this._send('workflow-debug-paused', {
+      runId:    paused.runId,
+      stepId:   paused.stepId,
+      stepType: paused.stepType,
+      vars,
+      outputs:  cloneForCheckpoint(paused.stepOutputs),
+    });
+  }
+
   /**
    * Extract an array from a node's output.
    * Handles: plain arrays, { rows: [...] } (DB), { items: [...] }, { content: [...] }.
@@ -1558,11 +2065,12 @@ class WorkflowRunner {
   }
 
   /**
-   * Execute a sub-graph for loop body iteration.
+   * Execute a sub-graph for loop body iteration or a join branch.
    * Performs a mini-BFS from the given start nodes.
+   * @param {Set<number>} [stopAt] - nodes not to enter (the join a branch feeds)
    * @private
    */
-  async _executeSubGraph(startNodeIds, nodeById, outgoing, incoming, vars, runId, signal, stepOutputs, workflow) {
+  async _executeSubGraph(startNodeIds, nodeById, outgoing, incoming, vars, runId, signal, stepOutputs, workflow, stopAt = null) {
     const subVisited = new Set();
     const subQueue = [...startNodeIds];
     const outputs = {};
@@ -1571,12 +2079,25 @@ class WorkflowRunner {
       if (signal.aborted) throw new Error('Cancelled');
 
       const nodeId = subQueue.shift();
-      if (subVisited.has(nodeId)) continue;
+      if (subVisited.has(nodeId) || stopAt?.has(nodeId)) continue;
       subVisited.add(nodeId);
 
       const nodeData = nodeById.get(nodeId);
       if (!nodeData) continue;
 
+      // Nested fork into a Join node
+      const fork = nodeData.type === 'workflow/join'
+        ? { joinId: nodeId, starts: [] }
+        : this._takeJoinFork(nodeId, subQueue, subVisited, stopAt);
+      if (fork) {
+        subVisited.add(fork.joinId);
+        const joined = await this._executeJoin(fork.joinId, fork.starts, nodeById, outgoing, incoming, vars, runId, signal, stepOutputs, workflow);
+        for (const nid of joined.body) subVisited.add(nid);
+        subQueue.push(...this._getNextNodes(fork.joinId, joined.slot, outgoing));
+        outputs[joined.step.id] = stepOutputs[joined.step.id];
+        continue;
+      }
+
       const stepType = nodeData.type.replace('workflow/', '');
       // Merge data pin inputs (Blueprint-style) on top of step properties
       const dataInputs = this._resolveDataInputs(nodeId, vars, incoming, nodeById);
@@ -1587,6 +2108,10 @@ class WorkflowRunner {
         ...dataInputs,
       };
 
+      if (this._debug && await this._debugPause(nodeId, step, vars, stepOutputs, runId, signal)) {
+        Object.assign(step, this._resolveDataInputs(nodeId, vars, incoming, nodeById));
+      }
+
       if (stepType === 'condition') {
         try {
           await this._runOneStep(step, vars, runId, signal, stepOutputs, workflow);
@@ -1636,10 +2161,9 @@ class WorkflowRunner {
           subQueue.push(...this._getNextNodes(nodeId, 0, outgoing));
         } catch (err) {
           if (signal.aborted) throw err;
-          const errorTargets = this._getNextNodes(nodeId, 1, outgoing);
+          const errorTargets = this._getNextNodes(nodeId, this._getErrorSlot(nodeData), outgoing);
           if (errorTargets.length > 0) {
-            vars.set(step.id, { error: err.message, success: false });
-            stepOutputs[step.id] = { error: err.message, success: false };
+            this._exposeError(step, nodeData, err, vars, stepOutputs);
             subQueue.push(...errorTargets);
           } else {
             throw err;
@@ -1672,13 +2196,13 @@ class WorkflowRunner {
   }
 
   /**
-   * Execute one step with retry logic.
+   * Execute one step with its retry / timeout policy (see getStepPolicy).
+   * The final error carries `attempts` so error branches can expose it.
    * @private
    */
   async _runOneStep(step, vars, runId, signal, stepOutputs, workflow) {
-    const maxAttempts = (step.retry ?? 0) + 1;
-    const retryDelay  = step.retry_delay ? parseMs(step.retry_delay) : 5_000;
-    const stepTimeout = step.timeout ? parseMs(step.timeout) : null;
+    const policy      = getStepPolicy(step);
+    const maxAttempts = policy.retries + 1;
 
     let lastErr;
 
@@ -1690,20 +2214,23 @@ class WorkflowRunner {
       // Per-step timeout: chain into a child abort
       let stepAbort = signal;
       let stepTimer;
+      let timedOut = false;
       let _stepAbortOnParent;
-      if (stepTimeout) {
+      if (policy.timeoutMs) {
         const controller = new AbortController();
-        stepTimer = setTimeout(() => controller.abort(), stepTimeout);
+        stepTimer = this._startTimer(() => { timedOut = true; controller.abort(); }, policy.timeoutMs);
         // Propagate parent cancellation — stored so we can remove it in finally
         _stepAbortOnParent = () => controller.abort();
         signal.addEventListener('abort', _stepAbortOnParent, { once: true });
         stepAbort = controller.signal;
       }
 
+      let dispatched;
       try {
-        const output = await this._dispatchStep(step, vars, runId, stepAbort, workflow);
+        dispatched = this._dispatchStep(step, vars, runId, stepAbort, workflow);
+        const output = await (policy.hardTimeout ? raceAbort(dispatched, stepAbort) : dispatched);
 
-        if (stepTimer) clearTimeout(stepTimer);
+        if (stepTimer) this._clearTimer(stepTimer);
         if (_stepAbortOnParent) signal.removeEventListener('abort', _stepAbortOnParent);
 
         // Store output under step.id for downstream variable access
@@ -1716,25 +2243,36 @@ class WorkflowRunner {
           stepOutputs[step.id] = annotated;
         }
 
-        this._emitStep(runId, step, 'success', output);
+        this._emitStep(runId, step, 'success', output, attempt > 1 ? attempt : undefined);
         return; // success — exit retry loop
 
       } catch (err) {
-        if (stepTimer) clearTimeout(stepTimer);
+        if (stepTimer) this._clearTimer(stepTimer);
         if (_stepAbortOnParent) signal.removeEventListener('abort', _stepAbortOnParent);
-        lastErr = err;
 
         if (signal.aborted) throw err; // propagate cancellation immediately
 
+        lastErr = timedOut ? new Error(`Timed out after ${formatMs(policy.timeoutMs)}`) : err;
+
+        if (timedOut && policy.hardTimeout && attempt < maxAttempts
+            && !(await settlesWithin(dispatched, HARD_TIMEOUT_GRACE_MS))) {
+          lastErr = new Error(`${lastErr.message} — the step ignored cancellation, not retried`);
+          lastErr.attempts = attempt;
+          this._emitStep(runId, step, 'failed', { error: lastErr.message, attempts: attempt });
+          throw lastErr;
+        }
+
         if (attempt < maxAttempts) {
-          this._emitStep(runId, step, 'retrying', { error: err.message, attempt });
-          await sleep(retryDelay, signal);
+          const delay = computeRetryDelay(policy, attempt);
+          this._emitStep(runId, step, 'retrying', { error: lastErr.message, attempt, nextAttemptIn: delay });
+          await sleep(delay, signal);
         }
       }
     }
 
     // All attempts exhausted
-    this._emitStep(runId, step, 'failed', { error: lastErr?.message });
+    lastErr.attempts = maxAttempts;
+    this._emitStep(runId, step, 'failed', { error: lastErr.message, attempts: maxAttempts });
     throw lastErr;
   }
 
@@ -1833,7 +2371,7 @@ class WorkflowRunner {
     }
 
     if (type === 'transform') {
-      return runTransformStep(step, vars);
+      return runTransformStep(step, vars, signal);
     }
 
     if (type === 'subworkflow') {
@@ -1963,10 +2501,10 @@ class WorkflowRunner {
 
   // ─── Event emission ─────────────────────────────────────────────────────────
 
-  _emitStep(runId, step, status, output, attempt) {
+  _emitStep(runId, step, status, output, attempt, meta = {}) {
     // Track final step status for persistence (overwrite — last status wins)
     if (this._stepStatuses && status !== 'running' && status !== 'retrying') {
-      this._stepStatuses.set(step.id, { status, output: this._safeOutput(output) });
+      this._stepStatuses.set(step.id, { status, output: this._safeOutput(output), ...meta });
     }
     this._send('workflow-step-update', {
       runId,
@@ -1975,6 +2513,7 @@ class WorkflowRunner {
       status,
       output: this._safeOutput(output),
       attempt,
+      ...meta,
     });
   }
 
@@ -1982,15 +2521,135 @@ class WorkflowRunner {
     if (!output) return null;
     try {
       JSON.stringify(output);
-      return output;
+      return this._mask(output);
     } catch {
-      return { _raw: String(output) };
+      return { _raw: this._mask(String(output)) };
     }
   }
+
+  // ─── Secrets ────────────────────────────────────────────────────────────────
+
+  async _secretValues() {
+    return this._secrets ? this._secrets.getValues() : {};
+  }
+
+  _mask(value) {
+    return this._secrets ? this._secrets.mask(value) : value;
+  }
+
+  /** Start a timeout the debugger can suspend (see pausableTimeout). @private */
+  _startTimer(fn, ms) {
+    const timer = pausableTimeout(() => {
+      this._timers.delete(timer);
+      fn();
+    }, ms);
+    this._timers.add(timer);
+    if (this._debug?.paused) timer.pause();
+    return timer;
+  }
+
+  /** @private */
+  _clearTimer(timer) {
+    timer.clear();
+    this._timers.delete(timer);
+  }
 }
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
+/**
+ * Reject as soon as `signal` aborts, even if `promise` never settles
+ * (steps that ignore their signal would otherwise outlive their timeout).
+ */
+function raceAbort(promise, signal) {
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(new Error('Cancelled'));
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Resolve true once `promise` settles, false if it is still pending after `ms`.
+ */
+function settlesWithin(promise, ms) {
+  let timer;
+  const expired = new Promise(resolve => { timer = setTimeout(resolve, ms, false); });
+  return Promise.race([promise.then(() => true, () => true), expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Map `items` through async `fn` with at most `limit` calls in flight.
+ * @returns {Promise<any[]>} results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Collect the variable keys written or deleted through `vars` until the
+ * returned function is called (shadows set/delete on this Map instance only).
+ */
+function trackWrites(vars) {
+  const written = new Set();
+  vars.set    = function (key, value) { written.add(key); return Map.prototype.set.call(this, key, value); };
+  vars.delete = function (key) { written.add(key); return Map.prototype.delete.call(this, key); };
+  return () => {
+    delete vars.set;
+    delete vars.delete;
+    return written;
+  };
+}
+
+/** Deep-copy a value for a checkpoint; non-JSON values are stringified. */
+function cloneForCheckpoint(value) {
+  if (value === undefined) return null;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return { _raw: String(value) };
+  }
+}
+
+/**
+ * setTimeout that can be suspended and later resumed with the time it had left.
+ * @returns {{ pause: Function, resume: Function, clear: Function }}
+ */
+function pausableTimeout(fn, ms) {
+  let remaining = ms;
+  let startedAt = Date.now();
+  let handle = setTimeout(fn, ms);
+  return {
+    pause() {
+      if (!handle) return;
+      clearTimeout(handle);
+      handle = null;
+      remaining -= Date.now() - startedAt;
+    },
+    resume() {
+      if (handle || remaining === null) return;
+      startedAt = Date.now();
+      handle = setTimeout(fn, Math.max(0, remaining));
+    },
+    clear() {
+      clearTimeout(handle);
+      handle = null;
+      remaining = null;
+    },
+  };
+}
+
 function sleep(ms, signal) {
   return new Promise((resolve, reject) => {
     const onAbort = () => {
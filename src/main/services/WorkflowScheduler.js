@@ -4,6 +4,8 @@
  *   - Cron (setInterval-based, minute-granular)
  *   - Hook events (forwarded from HookEventServer via IPC)
  *   - on_workflow (post-run callbacks)
+ *   - file_watch (project file changes via FileWatcherService)
+ *   - git (commits, branch switches, pulls, merge conflicts via GitWatcherService)
  *   - Manual (fire-and-forget via IPC)
  *
  * Exposes a single `dispatch(workflowId, triggerData)` callback
@@ -12,6 +14,13 @@
 
 'use strict';
 
+const fs = require('fs');
+const { projectsFile } = require('../utils/paths');
+const triggerRegistry = require('../workflow-triggers/_registry');
+
+/** Trigger types backed by a long-lived project watcher (setup() → teardown) */
+const WATCH_TRIGGER_TYPES = ['file_watch', 'git'];
+
 // ─── Cron parsing ─────────────────────────────────────────────────────────────
 
 /**
@@ -102,6 +111,8 @@ class WorkflowScheduler {
     this._lastTickMin  = -1;
     /** Map<workflowId, cronMatcher> */
     this._cronJobs     = new Map();
+    /** Map<workflowId, { signature: string, teardown: Function }> — active file_watch / git subscriptions */
+    this._watchTriggers = new Map();
     /** Loaded workflow definitions — refreshed on every reload() call */
     this._workflows    = [];
     /**
@@ -121,6 +132,7 @@ class WorkflowScheduler {
     this._workflows = workflows || [];
     this._rebuildCronJobs();
     this._ensureCronTimer();
+    this._rebuildWatchTriggers();
   }
 
   /**
@@ -177,6 +189,8 @@ class WorkflowScheduler {
       this._cronTimer = null;
     }
     this._cronJobs.clear();
+    for (const { teardown } of this._watchTriggers.values()) teardown();
+    this._watchTriggers.clear();
     this._workflows = [];
   }
 
@@ -199,6 +213,51 @@ class WorkflowScheduler {
     }
   }
 
+  /**
+   * Subscribe file_watch / git workflows to their project's watcher.
+   * Unchanged configs keep their subscription so saving a workflow doesn't drop pending changes.
+   */
+  _rebuildWatchTriggers() {
+    const watched = this._workflows.filter(wf => wf.enabled && WATCH_TRIGGER_TYPES.includes(wf.trigger?.type));
+    if (!watched.length && !this._watchTriggers.size) return;
+
+    triggerRegistry.loadRegistry();
+    const projects = watched.length ? this._loadProjects() : [];
+    const keep = new Set();
+
+    for (const wf of watched) {
+      const def = triggerRegistry.get(wf.trigger.type);
+      const config = def.readConfig(wf);
+      const project = projects.find(p => p.id === config.projectId);
+      if (!project?.path) {
+        console.warn(`[WorkflowScheduler] ${wf.trigger.type} trigger for "${wf.name}": project not found`);
+        continue;
+      }
+      config.projectPath = project.path;
+      const signature = JSON.stringify({ type: wf.trigger.type, ...config });
+      keep.add(wf.id);
+      if (this._watchTriggers.get(wf.id)?.signature === signature) continue;
+
+      this._watchTriggers.get(wf.id)?.teardown();
+      const teardown = def.setup(config, (triggerData) => this.dispatch?.(wf.id, triggerData));
+      this._watchTriggers.set(wf.id, { signature, teardown });
+    }
+
+    for (const [wfId, { teardown }] of this._watchTriggers) {
+      if (keep.has(wfId)) continue;
+      teardown();
+      this._watchTriggers.delete(wfId);
+    }
+  }
+
+  _loadProjects() {
+    try {
+      return JSON.parse(fs.readFileSync(projectsFile, 'utf8')).projects || [];
+    } catch {
+      return [];
+    }
+  }
+
   _ensureCronTimer() {
     if (this._cronTimer) return; // already running
     if (this._cronJobs.size === 0) return; // no cron jobs, skip timer
@@ -4,12 +4,15 @@
  *
  * Responsibilities:
  *   - CRUD workflow definitions (delegates to WorkflowStorage)
+ *   - Revision history of definitions (list / restore)
+ *   - Export / import of portable workflow files (delegates to WorkflowBundle)
+ *   - Secrets vault (delegates to SecretsService) — `$secret.*` values are masked in runs and history
  *   - Maintain in-memory execution map (active runs)
  *   - Enforce concurrency policies (skip / queue / parallel) per workflow
  *   - Resolve depends_on chains (lazy, cached, no-double-exec)
  *   - Build context variables ($ctx.branch, $ctx.lastCommit, …)
  *   - Emit real-time events to renderer (workflow-run-*, workflow-step-update)
- *   - Forward scheduler triggers (cron, hooks, on_workflow)
+ *   - Forward scheduler triggers (cron, hooks, on_workflow, file_watch, git)
  *   - Expose approve-wait / cancel APIs
  */
 
@@ -18,9 +21,12 @@
 const crypto    = require('crypto');
 const events    = require('events');
 const fs        = require('fs');
+const os        = require('os');
 const path      = require('path');
 
 const storage   = require('./WorkflowStorage');
+const bundles   = require('./WorkflowBundle');
+const secrets   = require('./SecretsService');
 const WorkflowRunner    = require('./WorkflowRunner');
 const WorkflowScheduler = require('./WorkflowScheduler');
 const { getCurrentBranch, getRecentCommits } = require('../utils/git');
@@ -104,6 +110,7 @@ class WorkflowService {
     const workflows = storage.loadWorkflows();
     this._scheduler.reload(workflows);
     this._startMcpTriggerPoll();
+    secrets.load(); // masking needs the values before the first run
     console.log(`[WorkflowService] Initialized with ${workflows.length} workflow(s)`);
   }
 
@@ -122,7 +129,7 @@ class WorkflowService {
    * cannot call WorkflowService directly (separate process).
    */
   _startMcpTriggerPoll() {
-    const triggersDir = path.join(require('os').homedir(), '.claude-terminal', 'workflows', 'triggers');
+    const triggersDir = path.join(os.homedir(), '.claude-terminal', 'workflows', 'triggers');
     this._mcpPollTimer = setInterval(() => {
       try {
         if (!fs.existsSync(triggersDir)) return;
@@ -197,9 +204,10 @@ class WorkflowService {
    * Create or update a workflow definition.
    * Validates cycle-free depends_on before saving.
    * @param {Object} workflow
+   * @param {Object} [revision] - revision metadata ({ source, author, note }), defaults to a UI edit
    * @returns {{ success: boolean, workflow?: Object, error?: string }}
    */
-  saveWorkflow(workflow) {
+  saveWorkflow(workflow, revision = {}) {
     const all = storage.loadWorkflows();
     const dependsOn = (workflow.dependsOn || []).map(d => d.workflow || d);
 
@@ -212,7 +220,11 @@ class WorkflowService {
       };
     }
 
-    const saved = storage.upsertWorkflow(workflow);
+    const saved = storage.upsertWorkflow(workflow, {
+      source: 'ui',
+      author: os.userInfo().username,
+      ...revision,
+    });
     // Reload scheduler
     this._scheduler.reload(storage.loadWorkflows());
     return { success: true, workflow: saved };
@@ -226,6 +238,7 @@ class WorkflowService {
     const deleted = storage.deleteWorkflow(id);
     if (!deleted) return { success: false, error: 'Workflow not found' };
     storage.deleteRunsForWorkflow(id);
+    storage.deleteRevisions(id);
     this._scheduler.reload(storage.loadWorkflows());
     this._resultsCache.delete(id);
     return { success: true };
@@ -245,6 +258,110 @@ class WorkflowService {
     return { success: true, workflow: updated };
   }
 
+  // ─── Revisions ───────────────────────────────────────────────────────────────
+
+  /**
+   * @param {string} workflowId
+   * @returns {Object[]} Saved revisions, newest first (with their full definition)
+   */
+  getRevisions(workflowId) {
+    return storage.loadRevisions(workflowId);
+  }
+
+  /**
+   * Replace a workflow with one of its saved revisions.
+   * The restore is itself recorded as a new revision, so it can be undone too.
+   * @param {string} workflowId
+   * @param {string} revisionId
+   * @returns {{ success: boolean, workflow?: Object, error?: string }}
+   */
+  restoreRevision(workflowId, revisionId) {
+    const current = storage.getWorkflow(workflowId);
+    if (!current) return { success: false, error: 'Workflow not found' };
+    const revision = storage.getRevision(workflowId, revisionId);
+    if (!revision) return { success: false, error: 'Revision not found' };
+
+    const result = this.saveWorkflow(
+      { ...revision.workflow, id: workflowId, enabled: current.enabled },
+      { source: 'restore', note: revisionId },
+    );
+    if (result.success) this._send('workflow-list-updated', { workflows: storage.loadWorkflows() });
+    return result;
+  }
+
+  // ─── Export / import ─────────────────────────────────────────────────────────
+
+  /**
+   * Build a portable bundle for a workflow, its sub-workflows and dependsOn workflows.
+   * Secrets are stripped (listed in `bundle.secrets`).
+   * @param {string} workflowId
+   * @returns {Promise<Object>} bundle
+   */
+  async exportWorkflow(workflowId) {
+    const dbConnections = this._databaseService
+      ? await this._databaseService.loadConnections().catch(() => [])
+      : [];
+    return bundles.createBundle(workflowId, storage.loadWorkflows(), { dbConnections });
+  }
+
+  /**
+   * Validate a bundle without saving anything.
+   * @param {Object} bundle
+   * @returns {{ errors: string[], warnings: string[], renamed: string[], workflows: Array<{ id, name, root }> }}
+   */
+  previewImport(bundle) {
+    const { errors, warnings, renamed } = bundles.planImport(bundle, storage.loadWorkflows());
+    const workflows = (Array.isArray(bundle?.workflows) ? bundle.workflows : [])
+      .map(wf => ({ id: wf?.id, name: wf?.name, root: wf?.id === bundle.root }));
+    return { errors, warnings, renamed, workflows };
+  }
+
+  /**
+   * Save the workflows of a bundle, remapping IDs that already exist.
+   * @param {Object} bundle
+   * @param {Object} [opts]
+   * @param {Object} [opts.bindings] - 'project:<id>' / 'database:<id>' → { id, name } of the local resource
+   * @returns {{ success: boolean, rootId?: string, imported?: string[], error?: string }}
+   */
+  importWorkflows(bundle, { bindings = {} } = {}) {
+    const plan = bundles.planImport(bundle, storage.loadWorkflows());
+    if (plan.errors.length) return { success: false, error: plan.errors.join('\n') };
+
+    const workflows = bundles.applyImport(bundle, plan, bindings);
+    const author = os.userInfo().username;
+    for (const wf of workflows) storage.upsertWorkflow(wf, { source: 'import', author });
+    this._scheduler.reload(storage.loadWorkflows());
+    return { success: true, rootId: plan.idMap[bundle.root], imported: workflows.map(w => w.id) };
+  }
+
+  // ─── Secrets ─────────────────────────────────────────────────────────────────
+
+  /**
+   * @returns {Array<{ name, description, updatedAt }>} Vault entries, without their values
+   */
+  listSecrets() {
+    return secrets.list();
+  }
+
+  /**
+   * Store a secret in the OS keychain, referenced in workflows as `$secret.NAME`.
+   * @param {string} name
+   * @param {string} value
+   * @param {string} [description]
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  setSecret(name, value, description) {
+    return secrets.set(name, value, description);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<{ success: boolean }>}
+   */
+  deleteSecret(name) {
+    return secrets.delete(name);
+  }
+
   // ─── Run history ─────────────────────────────────────────────────────────────
 
   getRunsForWorkflow(workflowId, limit) {
@@ -268,7 +385,7 @@ class WorkflowService {
   }
 
   getActiveRuns() {
-    return [...this._active.values()].map(e => ({ ...e.run }));
+    return [...this._active.values()].map(e => secrets.mask({ ...e.run }));
   }
 
   // ─── Trigger ─────────────────────────────────────────────────────────────────
@@ -279,8 +396,9 @@ class WorkflowService {
    * @param {string} workflowId
    * @param {Object} [opts]
    * @param {Object} [opts.triggerData]  - Data attached to the trigger event
-   * @param {string} [opts.source]       - 'manual' | 'cron' | 'hook' | 'on_workflow'
+   * @param {string} [opts.source]       - 'manual' | 'cron' | 'hook' | 'on_workflow' | 'file_watch' | 'git'
    * @param {string} [opts.projectPath]  - Override project path for context variables
+   * @param {Object} [opts.debug]        - { stepping } run under the debugger (pauses on `_breakpoint` nodes)
    * @returns {Promise<{ success: boolean, runId?: string, queued?: boolean, error?: string }>}
    */
   async trigger(workflowId, opts = {}) {
@@ -304,6 +422,50 @@ class WorkflowService {
     return this._startRun(workflow, opts);
   }
 
+  /**
+   * Start a new run that replays a previous run's completed nodes and
+   * executes from `fromStepId` onward (defaults to the step that failed).
+   * Nodes that ran after `fromStepId` in the original run are executed again.
+   * @param {string} runId
+   * @param {Object} [opts]
+   * @param {string} [opts.fromStepId]  - e.g. 'node_7'
+   * @returns {Promise<{ success: boolean, runId?: string, error?: string }>}
+   */
+  async resume(runId, opts = {}) {
+    const original = storage.getRun(runId);
+    if (!original) return { success: false, error: 'Run not found' };
+    const checkpoint = storage.loadCheckpoint(runId);
+    if (!checkpoint) return { success: false, error: 'This run has no saved state to resume from' };
+
+    const workflow = storage.getWorkflow(original.workflowId);
+    if (!workflow) return { success: false, error: 'Workflow not found' };
+    if (!workflow.enabled) return { success: false, error: 'Workflow is disabled' };
+
+    const fromNodeId = opts.fromStepId
+      ? parseInt(String(opts.fromStepId).replace('node_', ''), 10)
+      : checkpoint.failedNodeId;
+    if (fromNodeId == null || Number.isNaN(fromNodeId)) {
+      return { success: false, error: 'No failed step to resume from' };
+    }
+    if (!(workflow.graph?.nodes || []).some(n => n.id === fromNodeId)) {
+      return { success: false, error: `Node ${fromNodeId} no longer exists in this workflow` };
+    }
+    if (this._isRunning(workflow.id) && (workflow.concurrency || 'skip') !== 'parallel') {
+      return { success: false, error: 'Workflow already running' };
+    }
+
+    // Replay everything that completed before the chosen node
+    const idx    = checkpoint.nodes.findIndex(n => n.id === fromNodeId);
+    const replay = idx >= 0 ? checkpoint.nodes.slice(0, idx) : checkpoint.nodes;
+
+    return this._startRun(workflow, {
+      source:      original.trigger,
+      triggerData: original.triggerData,
+      projectPath: original.projectPath,
+      resume:      { runId, fromNodeId, nodes: replay },
+    });
+  }
+
   /**
    * Cancel a running or queued run.
    * @param {string} runId
@@ -329,6 +491,38 @@ class WorkflowService {
     return { success: true };
   }
 
+  // ─── Debugger ───────────────────────────────────────────────────────────────
+
+  /**
+   * Control a run started with `opts.debug`.
+   * @param {string} runId
+   * @param {string} action  - 'continue' | 'step' | 'set-variable' | 'breakpoints'
+   * @param {Object} [data]  - { name, value } for set-variable, { nodeIds } for breakpoints
+   * @returns {{ success: boolean, error?: string }}
+   */
+  debug(runId, action, data = {}) {
+    const runner = this._active.get(runId)?.runner;
+    if (!runner || !runner._debug) return { success: false, error: 'Run is not being debugged' };
+
+    let ok;
+    switch (action) {
+      case 'continue':
+      case 'step':
+        ok = runner.debugResume(action);
+        break;
+      case 'set-variable':
+        ok = runner.setDebugVariable(data.name, data.value);
+        break;
+      case 'breakpoints':
+        runner.setBreakpoints(data.nodeIds);
+        ok = true;
+        break;
+      default:
+        return { success: false, error: `Unknown debug action: ${action}` };
+    }
+    return ok ? { success: true } : { success: false, error: 'Run is not paused' };
+  }
+
   // ─── Dependency resolution ───────────────────────────────────────────────────
 
   /**
@@ -437,12 +631,15 @@ class WorkflowService {
       steps:       runSteps,
       ...contextVars,
     };
+    if (opts.resume) {
+      run.resumedFrom = { runId: opts.resume.runId, stepId: `node_${opts.resume.fromNodeId}` };
+    }
 
-    // Persist initial record
-    storage.appendRun(run);
+    // Persist initial record (trigger data may carry secret values, e.g. on_workflow outputs)
+    storage.appendRun(secrets.mask(run));
 
     // Emit to renderer
-    this._send('workflow-run-start', { run });
+    this._send('workflow-run-start', { run: secrets.mask(run) });
 
     const abortController = new AbortController();
     // Allow many parallel listeners (loop iterations, per-step timeouts, SDK internals…)
@@ -485,6 +682,7 @@ class WorkflowService {
       projectTypeRegistry: this._projectTypeRegistry,
       databaseService:     this._databaseService,
       workflowService:     this,
+      secretsService:      secrets,
     });
     return runner.testStep(stepData, ctx);
   }
@@ -504,10 +702,19 @@ class WorkflowService {
       projectTypeRegistry: this._projectTypeRegistry,
       databaseService:     this._databaseService,
       workflowService:     this,
+      secretsService:      secrets,
     });
 
+    if (opts.debug) {
+      const breakpoints = opts.debug.breakpoints
+        || (workflow.graph?.nodes || []).filter(n => n.properties?._breakpoint).map(n => n.id);
+      runner.enableDebug({ breakpoints, stepping: !!opts.debug.stepping });
+    }
+    const exec = this._active.get(run.id);
+    if (exec) exec.runner = runner;
+
     // 3. Execute
-    return runner.execute(workflow, run, abortController, extraVars);
+    return runner.execute(workflow, run, abortController, extraVars, opts.resume);
   }
 
   _finalizeRun(run, result, workflow) {
@@ -523,25 +730,33 @@ class WorkflowService {
     const finalSteps = (run.steps || []).map(s => {
       const tracked = result.stepStatuses?.get(s.id);
       if (tracked) {
-        return { ...s, status: tracked.status, output: tracked.output };
+        return { ...s, status: tracked.status, output: tracked.output, ...(tracked.replayed && { replayed: true }) };
       }
       // Steps that were never reached remain pending → mark as skipped
       if (s.status === 'pending') return { ...s, status: 'skipped' };
       return s;
     });
 
+    // Completed nodes + variables, so the run can be resumed or re-run from a node
+    const checkpoint = result.checkpoint;
+    const resumable  = !!checkpoint;
+    const failedStep = checkpoint?.failedNodeId != null ? `node_${checkpoint.failedNodeId}` : null;
+
     const patch = {
       status,
       duration: `${duration}s`,
       finishedAt: new Date().toISOString(),
       steps: finalSteps,
+      resumable,
+      failedStep,
     };
     storage.updateRun(run.id, patch);
 
     // Persist large output payload separately
     if (result.outputs && Object.keys(result.outputs).length) {
-      storage.saveResultPayload(run.id, { outputs: result.outputs });
+      storage.saveResultPayload(run.id, { outputs: secrets.mask(result.outputs) });
     }
+    if (checkpoint) storage.saveCheckpoint(run.id, checkpoint);
 
     // Update results cache (only on success), keyed by workflowId for depends_on lookup
     if (status === RUN_STATUS.SUCCESS) {
@@ -568,7 +783,9 @@ class WorkflowService {
       workflowId: run.workflowId,
       status,
       duration:   patch.duration,
-      error:      result.error,
+      error:      secrets.maskText(result.error),
+      resumable,
+      failedStep,
     });
 
     // Notify on_workflow triggers
@@ -584,7 +801,7 @@ class WorkflowService {
     if (status === RUN_STATUS.FAILED) {
       this._send('workflow-notify-desktop', {
         title:   `Workflow failed: ${workflow.name}`,
-        message: result.error || 'An error occurred',
+        message: secrets.maskText(result.error) || 'An error occurred',
         type:    'error',
       });
     }
@@ -8,6 +8,8 @@
  *     definitions.json   — workflow YAML/JSON definitions
  *     history.json       — run history (capped at MAX_RUNS_TOTAL)
  *     results/           — large run result payloads (one file per run)
+ *     checkpoints/       — replayable run state for resume (one file per run)
+ *     revisions/         — saved versions of each definition (one file per workflow)
  */
 
 'use strict';
@@ -16,6 +18,7 @@ const fs   = require('fs');
 const path = require('path');
 const os   = require('os');
 const crypto = require('crypto');
+const { MAX_REVISIONS_PER_WF, addRevision } = require('../../shared/workflow-revisions');
 
 // ─── Constants ──────────────────────────────────────────────────────────────
 
@@ -23,13 +26,15 @@ const WORKFLOWS_DIR     = path.join(os.homedir(), '.claude-terminal', 'workflows
 const DEFINITIONS_FILE  = path.join(WORKFLOWS_DIR, 'definitions.json');
 const HISTORY_FILE      = path.join(WORKFLOWS_DIR, 'history.json');
 const RESULTS_DIR       = path.join(WORKFLOWS_DIR, 'results');
+const CHECKPOINTS_DIR   = path.join(WORKFLOWS_DIR, 'checkpoints');
+const REVISIONS_DIR     = path.join(WORKFLOWS_DIR, 'revisions');
 const MAX_RUNS_PER_WF   = 50;   // kept per workflow in history
 const MAX_RUNS_TOTAL    = 500;  // global cap to avoid unbounded growth
 
 // ─── Init ────────────────────────────────────────────────────────────────────
 
 function ensureDirs() {
-  for (const dir of [WORKFLOWS_DIR, RESULTS_DIR]) {
+  for (const dir of [WORKFLOWS_DIR, RESULTS_DIR, CHECKPOINTS_DIR, REVISIONS_DIR]) {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   }
 }
@@ -75,20 +80,30 @@ function saveWorkflows(workflows) {
  * Create or replace a workflow definition.
  * Assigns a stable `id` if not present.
  * @param {Object} workflow
+ * @param {Object} [revision] - when given, the saved definition is recorded in the
+ *   workflow's revision history (see appendRevision for the fields)
  * @returns {Object} Saved workflow with id
  */
-function upsertWorkflow(workflow) {
+function upsertWorkflow(workflow, revision) {
   const all = loadWorkflows();
   if (!workflow.id) {
     workflow = { ...workflow, id: `wf_${crypto.randomUUID().slice(0, 8)}` };
   }
   const idx = all.findIndex(w => w.id === workflow.id);
+  const previous = idx >= 0 ? all[idx] : null;
   if (idx >= 0) {
     all[idx] = workflow;
   } else {
     all.push(workflow);
   }
   saveWorkflows(all);
+  if (revision) {
+    // First tracked edit of a pre-existing workflow: keep what it looked like before
+    if (previous && !loadRevisions(workflow.id).length) {
+      appendRevision(previous, { source: 'baseline' });
+    }
+    appendRevision(workflow, revision);
+  }
   return workflow;
 }
 
@@ -112,6 +127,58 @@ function getWorkflow(id) {
   return loadWorkflows().find(w => w.id === id) || null;
 }
 
+// ─── Revisions ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} workflowId
+ * @returns {string|null} null for an id that is not a plain file name (it would leave REVISIONS_DIR)
+ */
+function revisionsFile(workflowId) {
+  if (typeof workflowId !== 'string' || !/^[\w-]+$/.test(workflowId)) return null;
+  return path.join(REVISIONS_DIR, `${workflowId}.json`);
+}
+
+/**
+ * @param {string} workflowId
+ * @returns {Object[]} Revisions, newest first: { id, workflowId, createdAt, source, author, note, workflow }
+ */
+function loadRevisions(workflowId) {
+  const file = revisionsFile(workflowId);
+  return file ? safeRead(file, []) : [];
+}
+
+/**
+ * Record a snapshot of a workflow definition (see shared/workflow-revisions).
+ * @param {Object} workflow
+ * @param {Object} [meta] - { source, author, note }
+ * @returns {Object|null} The new revision, or null if identical to the latest one (or the id is invalid)
+ */
+function appendRevision(workflow, meta) {
+  const file = revisionsFile(workflow.id);
+  if (!file) return null;
+  ensureDirs();
+  const { revisions, revision } = addRevision(loadRevisions(workflow.id), workflow, meta);
+  if (revision) atomicWrite(file, revisions);
+  return revision;
+}
+
+/**
+ * @param {string} workflowId
+ * @param {string} revisionId
+ * @returns {Object|null}
+ */
+function getRevision(workflowId, revisionId) {
+  return loadRevisions(workflowId).find(r => r.id === revisionId) || null;
+}
+
+/**
+ * @param {string} workflowId
+ */
+function deleteRevisions(workflowId) {
+  const file = revisionsFile(workflowId);
+  if (file) try { fs.unlinkSync(file); } catch (_) {}
+}
+
 // ─── Run history ──────────────────────────────────────────────────────────────
 
 /**
@@ -213,10 +280,33 @@ function loadResultPayload(runId) {
 }
 
 function cleanResultFile(runId) {
-  try {
-    const f = path.join(RESULTS_DIR, `${runId}.json`);
-    if (fs.existsSync(f)) fs.unlinkSync(f);
-  } catch { /* ignore */ }
+  for (const dir of [RESULTS_DIR, CHECKPOINTS_DIR]) {
+    try {
+      const f = path.join(dir, `${runId}.json`);
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    } catch { /* ignore */ }
+  }
+}
+
+// ─── Checkpoints (resume state) ──────────────────────────────────────────────
+
+/**
+ * Persist the state needed to resume a run: completed node IDs in execution
+ * order, the output slot each one followed and the variables it wrote.
+ * @param {string} runId
+ * @param {{ nodes: Object[], failedNodeId: number|null }} checkpoint
+ */
+function saveCheckpoint(runId, checkpoint) {
+  ensureDirs();
+  atomicWrite(path.join(CHECKPOINTS_DIR, `${runId}.json`), checkpoint);
+}
+
+/**
+ * @param {string} runId
+ * @returns {Object|null}
+ */
+function loadCheckpoint(runId) {
+  return safeRead(path.join(CHECKPOINTS_DIR, `${runId}.json`), null);
 }
 
 /**
@@ -283,6 +373,11 @@ module.exports = {
   upsertWorkflow,
   deleteWorkflow,
   getWorkflow,
+  // Revisions
+  loadRevisions,
+  appendRevision,
+  getRevision,
+  deleteRevisions,
   // History
   loadHistory,
   appendRun,
@@ -295,9 +390,13 @@ module.exports = {
   // Results
   saveResultPayload,
   loadResultPayload,
+  // Checkpoints
+  saveCheckpoint,
+  loadCheckpoint,
   // Validation
   detectCycle,
   // Constants (exported for tests)
   MAX_RUNS_PER_WF,
   MAX_RUNS_TOTAL,
+  MAX_REVISIONS_PER_WF,
 };
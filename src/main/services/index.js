@@ -7,13 +7,20 @@ const path = require('path');
 const terminalService = require('./TerminalService');
 const mcpService = require('./McpService');
 const fivemService = require('./FivemService');
+const fivemHotReload = require('../../project-types/fivem/main/FivemHotReload');
 const webAppService = require('../../project-types/webapp/main/WebAppService');
+const webAppBrowserLog = require('../../project-types/webapp/main/WebAppBrowserLog');
 const apiService = require('../../project-types/api/main/ApiService');
+const apiMockServer = require('../../project-types/api/main/ApiMockServer');
 const updaterService = require('./UpdaterService');
 const chatService = require('./ChatService');
 const hooksService = require('./HooksService');
 const hookEventServer = require('./HookEventServer');
 const minecraftService = require('../../project-types/minecraft/main/MinecraftService');
+const minecraftBackups = require('../../project-types/minecraft/main/MinecraftBackups');
+const minecraftPlugins = require('../../project-types/minecraft/main/MinecraftPlugins');
+const pythonService = require('../../project-types/python/main/PythonService');
+const pythonRunner = require('../../project-types/python/main/PythonRunner');
 const remoteServer = require('./RemoteServer');
 const workflowService = require('./WorkflowService');
 const databaseService = require('./DatabaseService');
@@ -27,12 +34,18 @@ function initializeServices(mainWindow) {
   terminalService.setMainWindow(mainWindow);
   mcpService.setMainWindow(mainWindow);
   fivemService.setMainWindow(mainWindow);
+  fivemHotReload.setMainWindow(mainWindow);
   webAppService.setMainWindow(mainWindow);
   apiService.setMainWindow(mainWindow);
+  apiMockServer.setMainWindow(mainWindow);
   updaterService.setMainWindow(mainWindow);
   chatService.setMainWindow(mainWindow);
   hookEventServer.setMainWindow(mainWindow);
   minecraftService.setMainWindow(mainWindow);
+  minecraftBackups.setMainWindow(mainWindow);
+  minecraftPlugins.setMainWindow(mainWindow);
+  pythonService.setMainWindow(mainWindow);
+  pythonRunner.setMainWindow(mainWindow);
   remoteServer.setMainWindow(mainWindow); // auto-starts if remoteEnabled
 
   // Workflow service: inject deps + init scheduler
@@ -101,9 +114,13 @@ function _startMcpTriggerPolling(mainWindow) {
 
       if (data.type === 'start') {
         console.log(`[Services] MCP FiveM start: ${data.projectId}`);
-        fivemService.start({ projectIndex, projectPath: data.projectPath, runCommand: data.runCommand });
+        const result = fivemService.start({ projectIndex, projectPath: data.projectPath, runCommand: data.runCommand });
+        if (result.success) {
+          fivemHotReload.configure({ projectIndex, projectId: data.projectId, projectPath: data.projectPath, hotReload: data.hotReload });
+        }
       } else if (data.type === 'stop') {
         console.log(`[Services] MCP FiveM stop: ${data.projectId}`);
+        fivemHotReload.stop(projectIndex);
         fivemService.stop({ projectIndex });
       } else if (data.type === 'command' && data.command) {
         console.log(`[Services] MCP FiveM command: "${data.command}" on ${data.projectId}`);
@@ -119,7 +136,10 @@ function _startMcpTriggerPolling(mainWindow) {
 
       if (data.type === 'start') {
         console.log(`[Services] MCP WebApp start: ${data.projectId}`);
-        webAppService.start({ projectIndex, projectPath: data.projectPath, devCommand: data.devCommand });
+        webAppService.start({ projectIndex, projectPath: data.projectPath, devCommand: data.devCommand, processes: data.devProcesses });
+      } else if (data.type === 'start-process' && data.process) {
+        console.log(`[Services] MCP WebApp start ${data.process.name}: ${data.projectId}`);
+        webAppService.startProcess({ projectIndex, projectPath: data.projectPath, devCommand: data.devCommand, processes: data.devProcesses, extraProcess: data.process });
       } else if (data.type === 'stop') {
         console.log(`[Services] MCP WebApp stop: ${data.projectId}`);
         webAppService.stop({ projectIndex });
@@ -134,10 +154,16 @@ function _startMcpTriggerPolling(mainWindow) {
 function cleanupServices() {
   terminalService.killAll();
   mcpService.stopAll();
+  fivemHotReload.stopAll();
   fivemService.stopAll();
   webAppService.stopAll();
+  webAppBrowserLog.flush();
   apiService.stopAll();
+  apiMockServer.stopAll();
   minecraftService.stopAll();
+  minecraftBackups.stopAll();
+  pythonService.stopAll();
+  pythonRunner.stopAll();
   chatService.closeAll();
   hookEventServer.stop();
   remoteServer.stop();
@@ -154,13 +180,19 @@ module.exports = {
   terminalService,
   mcpService,
   fivemService,
+  fivemHotReload,
   webAppService,
   apiService,
+  apiMockServer,
   updaterService,
   chatService,
   hooksService,
   hookEventServer,
   minecraftService,
+  minecraftBackups,
+  minecraftPlugins,
+  pythonService,
+  pythonRunner,
   remoteServer,
   workflowService,
   cloudSyncService,
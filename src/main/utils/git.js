@@ -496,6 +496,16 @@ async function getMergeConflicts(projectPath) {
   return output.split('\n').filter(f => f.trim());
 }
 
+/**
+ * Resolve the git directory of a repository (worktrees have their own, holding HEAD, logs/HEAD and MERGE_HEAD)
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<string|null>} - Absolute git dir or null if not a repository
+ */
+async function getGitDir(projectPath) {
+  const gitDir = await execGit(projectPath, 'rev-parse --git-dir');
+  return gitDir ? path.resolve(projectPath, gitDir) : null;
+}
+
 /**
  * Check if there's a merge in progress
  * @param {string} projectPath - Path to the project
@@ -503,10 +513,9 @@ async function getMergeConflicts(projectPath) {
  */
 async function isMergeInProgress(projectPath) {
   // Use git rev-parse to find the correct git dir (works for both regular repos and worktrees)
-  const gitDir = await execGit(projectPath, 'rev-parse --git-dir');
+  const gitDir = await getGitDir(projectPath);
   if (!gitDir) return false;
-  const resolvedGitDir = path.resolve(projectPath, gitDir);
-  const mergeHead = path.join(resolvedGitDir, 'MERGE_HEAD');
+  const mergeHead = path.join(gitDir, 'MERGE_HEAD');
   return fs.existsSync(mergeHead);
 }
 
@@ -893,6 +902,39 @@ async function getCommitHistory(projectPath, { skip = 0, limit = 30, branch = ''
   });
 }
 
+/**
+ * Get the full hash of HEAD
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<string|null>} - Commit hash or null (no commits / not a repository)
+ */
+async function getHeadCommit(projectPath) {
+  return execGit(projectPath, 'rev-parse HEAD');
+}
+
+/**
+ * Get the commits reachable from `to` but not from `from`, with the files they touch
+ * @param {string} projectPath - Path to the project
+ * @param {string|null} from - Exclusive start (null → only `to` itself)
+ * @param {string} to - Inclusive end
+ * @param {number} limit - Maximum number of commits
+ * @returns {Promise<Array>} - Commits, newest first
+ */
+async function getCommitsBetween(projectPath, from, to, limit = 50) {
+  const US = '%x1f'; // Unit Separator starts each commit record, Record Separator splits its fields
+  const RS = '%x1e';
+  const range = from ? [`${from}..${to}`] : [to, '-1'];
+  const output = await execGit(projectPath, [
+    'log', `--max-count=${limit}`, '--name-only',
+    `--format=${US}%H${RS}%h${RS}%s${RS}%an${RS}%ae${RS}%aI`, ...range,
+  ], 15000);
+  if (!output) return [];
+  return output.split('\x1f').filter(r => r.trim()).map(record => {
+    const [header, ...files] = record.split('\n');
+    const [fullHash, hash, message, author, email, isoDate] = header.split('\x1e');
+    return { fullHash, hash, message, author, email, isoDate, files: files.map(f => f.trim()).filter(Boolean) };
+  });
+}
+
 /**
  * Get diff for a specific file
  * @param {string} projectPath - Path to the project
@@ -1239,6 +1281,7 @@ module.exports = {
   gitMergeContinue,
   getMergeConflicts,
   isMergeInProgress,
+  getGitDir,
   gitClone,
   gitStageFiles,
   gitCommit,
@@ -1246,6 +1289,10 @@ module.exports = {
   getProjectStats,
   getBranches,
   getCurrentBranch,
+  getAheadBehind,
+  getRecentCommits,
+  getHeadCommit,
+  getCommitsBetween,
   checkoutBranch,
   createBranch,
   deleteBranch,
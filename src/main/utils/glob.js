@@ -0,0 +1,73 @@
+/**
+ * Glob Utilities
+ * Minimal glob matching for project-relative paths (workflow file / git triggers).
+ * A pattern without "/" matches the file name at any depth (`*.json`, `schema.prisma`),
+ * a pattern with "/" is anchored at the project root (`locales/*.json`).
+ */
+
+/** Split a pattern list on newlines and on commas outside `{…}` groups. */
+function splitPatterns(text) {
+  const patterns = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of String(text || '')) {
+    if (ch === '{') depth++;
+    if (ch === '}') depth = Math.max(0, depth - 1);
+    if (ch === '\n' || (ch === ',' && depth === 0)) {
+      patterns.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  patterns.push(current);
+  return patterns.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a glob to a RegExp matched against a project-relative, "/"-separated path.
+ * Supports `**`, `*`, `?` and `{a,b}`.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (glob.endsWith('/')) glob += '**';
+  if (!glob.includes('/')) glob = `**/${glob}`;
+  if (glob.startsWith('/')) glob = glob.slice(1);
+
+  let re = '';
+  let depth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more directories, a trailing "**" matches everything below
+      if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i += 1; }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{') {
+      re += '(?:'; depth++;
+    } else if (ch === '}' && depth > 0) {
+      re += ')'; depth--;
+    } else if (ch === ',' && depth > 0) {
+      re += '|';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * Test a relative path against a list of patterns.
+ * @param {string} file - "/"-separated relative path
+ * @param {RegExp[]} regexps - from globToRegExp()
+ * @returns {boolean}
+ */
+function matchesAny(file, regexps) {
+  return regexps.some(re => re.test(file));
+}
+
+module.exports = { splitPatterns, globToRegExp, matchesAny };
@@ -0,0 +1,343 @@
+// src/main/workflow-nodes/_expression.js
+'use strict';
+
+/**
+ * Sandboxed expression engine for Transform nodes (map / filter / find / reduce / count).
+ *
+ * User expressions never run in the main process. Each evaluation spawns a
+ * short-lived child process with a capped heap (a worker thread is not enough:
+ * V8 aborts the whole process when a worker's heap runs out), and inside it the
+ * expression runs in a fresh vm context that only contains:
+ *   - the JS built-ins of the context realm (Math, JSON, Date, Array, ...)
+ *   - the whitelisted helpers below (str.*, arr.*, date.*, math.*, get)
+ *
+ * No host object ever crosses into the context: the input is sent as a JSON
+ * string and parsed inside, results come back as a JSON string. String code
+ * generation (eval / Function) is disabled inside the context, so the classic
+ * `item.constructor.constructor('return process')()` escape has nothing to reach.
+ *
+ * Lives next to _registry.js (and not in utils/) because the workflow-nodes
+ * folder is also shipped to mcp-servers/ and must stay self-contained.
+ */
+
+const { spawn } = require('child_process');
+
+const EXPRESSION_OPS = new Set(['map', 'filter', 'find', 'reduce', 'count']);
+
+const DEFAULT_LIMITS = {
+  timeoutMs:      1000,            // CPU budget per vm call (prelude, compile, run)
+  memoryMb:       64,              // child process old-generation heap
+  maxOutputBytes: 8 * 1024 * 1024, // serialized result size
+};
+
+// Extra wall-clock budget for process startup and teardown
+const SANDBOX_GRACE_MS = 5000;
+
+// What V8 prints before aborting a process whose heap ran out
+const OOM_RE = /heap out of memory|Allocation failed|CALL_AND_RETRY_LAST|Reached heap limit/i;
+const MAX_STDERR = 16 * 1024;
+
+// ─── Context prelude ─────────────────────────────────────────────────────────
+// Stringified and evaluated INSIDE the vm context: everything it defines
+// belongs to the context realm. Do not reference outer-scope identifiers here.
+
+function sandboxPrelude() {
+  const toStr = (v) => (v == null ? '' : String(v));
+  const toNum = (v) => { const n = Number(v); return Number.isFinite(n) ? n : 0; };
+  const toDate = (v) => (v instanceof Date ? v : new Date(v == null ? Date.now() : v));
+  const pad2 = (n) => String(n).padStart(2, '0');
+
+  const get = (obj, keyPath) => {
+    if (keyPath == null || keyPath === '') return obj;
+    return String(keyPath).split('.').reduce((o, k) => (o != null ? o[k] : undefined), obj);
+  };
+
+  const str = {
+    upper:      (s) => toStr(s).toUpperCase(),
+    lower:      (s) => toStr(s).toLowerCase(),
+    trim:       (s) => toStr(s).trim(),
+    capitalize: (s) => { const t = toStr(s); return t.charAt(0).toUpperCase() + t.slice(1); },
+    slug:       (s) => toStr(s).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+    pad:        (s, len, ch = ' ') => toStr(s).padStart(toNum(len), toStr(ch) || ' '),
+    padEnd:     (s, len, ch = ' ') => toStr(s).padEnd(toNum(len), toStr(ch) || ' '),
+    truncate:   (s, len, suffix = '…') => { const t = toStr(s); return t.length > len ? t.slice(0, len) + suffix : t; },
+    includes:   (s, part) => toStr(s).includes(toStr(part)),
+    startsWith: (s, part) => toStr(s).startsWith(toStr(part)),
+    endsWith:   (s, part) => toStr(s).endsWith(toStr(part)),
+    replace:    (s, find, repl) => toStr(s).split(toStr(find)).join(toStr(repl)),
+    split:      (s, sep = ',') => toStr(s).split(sep).map(p => p.trim()).filter(Boolean),
+    lines:      (s) => toStr(s).split(/\r?\n/).filter(l => l.trim() !== ''),
+    length:     (s) => toStr(s).length,
+  };
+
+  const arr = {
+    sum:     (a, key) => (a || []).reduce((t, x) => t + toNum(get(x, key)), 0),
+    avg:     (a, key) => ((a || []).length ? arr.sum(a, key) / a.length : 0),
+    min:     (a, key) => ((a || []).length ? Math.min(...a.map(x => toNum(get(x, key)))) : null),
+    max:     (a, key) => ((a || []).length ? Math.max(...a.map(x => toNum(get(x, key)))) : null),
+    uniq:    (a, key) => {
+      const seen = new Set();
+      return (a || []).filter(x => { const k = get(x, key); if (seen.has(k)) return false; seen.add(k); return true; });
+    },
+    pluck:   (a, key) => (a || []).map(x => get(x, key)),
+    groupBy: (a, key) => (a || []).reduce((g, x) => {
+      const k = toStr(get(x, key));
+      (g[k] = g[k] || []).push(x);
+      return g;
+    }, {}),
+    sortBy:  (a, key, dir = 'asc') => [...(a || [])].sort((x, y) => {
+      const vx = get(x, key), vy = get(y, key);
+      const cmp = vx < vy ? -1 : vx > vy ? 1 : 0;
+      return dir === 'desc' ? -cmp : cmp;
+    }),
+    first:   (a) => (a || [])[0],
+    last:    (a) => (a || [])[(a || []).length - 1],
+    compact: (a) => (a || []).filter(Boolean),
+    flatten: (a, depth = 1) => (a || []).flat(depth),
+    chunk:   (a, size) => {
+      const out = [];
+      const n = Math.max(1, toNum(size));
+      for (let i = 0; i < (a || []).length; i += n) out.push(a.slice(i, i + n));
+      return out;
+    },
+    range:   (start, end, step = 1) => {
+      const out = [];
+      const s = toNum(step) || 1;
+      for (let i = toNum(start); s > 0 ? i < end : i > end; i += s) {
+        out.push(i);
+        if (out.length >= 100000) break;
+      }
+      return out;
+    },
+    count:   (a) => (a || []).length,
+  };
+
+  const date = {
+    now:      () => new Date().toISOString(),
+    iso:      (v) => toDate(v).toISOString(),
+    parse:    (v) => toDate(v).getTime(),
+    format:   (v, fmt = 'YYYY-MM-DD') => {
+      const d = toDate(v);
+      return toStr(fmt)
+        .replace('YYYY', d.getFullYear())
+        .replace('MM', pad2(d.getMonth() + 1))
+        .replace('DD', pad2(d.getDate()))
+        .replace('HH', pad2(d.getHours()))
+        .replace('mm', pad2(d.getMinutes()))
+        .replace('ss', pad2(d.getSeconds()));
+    },
+    addDays:  (v, n) => new Date(toDate(v).getTime() + toNum(n) * 86400000).toISOString(),
+    diffDays: (a, b) => Math.round((toDate(a).getTime() - toDate(b).getTime()) / 86400000),
+    weekday:  (v) => toDate(v).getDay(),
+  };
+
+  const math = {
+    round: (n, decimals = 0) => { const f = Math.pow(10, toNum(decimals)); return Math.round(toNum(n) * f) / f; },
+    floor: (n) => Math.floor(toNum(n)),
+    ceil:  (n) => Math.ceil(toNum(n)),
+    abs:   (n) => Math.abs(toNum(n)),
+    clamp: (n, lo, hi) => Math.min(Math.max(toNum(n), toNum(lo)), toNum(hi)),
+    pct:   (part, total) => (toNum(total) ? (toNum(part) / toNum(total)) * 100 : 0),
+    num:   toNum,
+  };
+
+  const freeze = (o) => Object.freeze(o);
+  globalThis.get  = get;
+  globalThis.str  = freeze(str);
+  globalThis.arr  = freeze(arr);
+  globalThis.date = freeze(date);
+  globalThis.math = freeze(math);
+
+  // Runs the operation; `state.index` lets the host report which item failed.
+  const state = { index: -1 };
+  globalThis.__run = (op, inputJson, fn) => {
+    const input = JSON.parse(inputJson);
+    try {
+      let result;
+      const call = (item, index, acc) => { state.index = index; return fn(item, index, acc); };
+      switch (op) {
+        case 'map':    result = input.map((item, i) => call(item, i)); break;
+        case 'filter': result = input.filter((item, i) => call(item, i)); break;
+        case 'find':   result = input.find((item, i) => call(item, i)); break;
+        case 'count':  result = input.filter((item, i) => call(item, i)).length; break;
+        case 'reduce': result = input.reduce((acc, item, i) => call(item, i, acc), 0); break;
+        default:       throw new Error('Unsupported operation: ' + op);
+      }
+      return JSON.stringify({ ok: true, value: result === undefined ? null : result });
+    } catch (e) {
+      const isErr = e && typeof e === 'object' && typeof e.message === 'string';
+      return JSON.stringify({
+        ok: false,
+        index: state.index,
+        name: isErr && typeof e.name === 'string' ? e.name : 'Error',
+        message: isErr ? e.message : String(e),
+      });
+    }
+  };
+}
+
+// ─── Sandbox process entry ───────────────────────────────────────────────────
+// Stringified and run with `-e` (no file path needed inside asar). The job
+// arrives over the IPC channel, the result goes back the same way.
+
+function sandboxMain() {
+  const vm = require('vm');
+
+  // Exit once the reply is flushed: nothing else keeps the sandbox alive
+  const reply = (msg) => process.send(msg, () => process.exit(0));
+
+  process.once('message', ({ operation, inputJson, expression, prelude, timeoutMs }) => {
+    const context = vm.createContext(Object.create(null), {
+      name: 'workflow-expression',
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: 'afterEvaluate',
+    });
+
+    try {
+      vm.runInContext(prelude, context, { timeout: timeoutMs });
+    } catch (e) {
+      reply({ ok: false, phase: 'prelude', name: 'Error', message: e.message });
+      return;
+    }
+
+    let fn;
+    try {
+      fn = vm.runInContext(
+        `(function (item, index, acc) { "use strict"; return (${expression}\n); })`,
+        context,
+        { filename: 'expression', timeout: timeoutMs }
+      );
+    } catch (e) {
+      reply({ ok: false, phase: 'compile', name: e.name || 'SyntaxError', message: e.message });
+      return;
+    }
+
+    try {
+      context.__op = operation;
+      context.__input = inputJson;
+      context.__fn = fn;
+      const out = vm.runInContext('__run(__op, __input, __fn)', context, { timeout: timeoutMs });
+      reply({ ok: true, json: typeof out === 'string' ? out : 'null' });
+    } catch (e) {
+      const timedOut = e && e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+      reply({
+        ok: false,
+        phase: timedOut ? 'timeout' : 'run',
+        name: timedOut ? 'TimeoutError' : 'Error',
+        message: timedOut ? `exceeded ${timeoutMs}ms CPU limit` : String(e && e.message),
+      });
+    }
+  });
+}
+
+const PRELUDE_SOURCE = `(${sandboxPrelude.toString()})();`;
+const SANDBOX_SOURCE  = `(${sandboxMain.toString()})();`;
+
+// ─── Host API ────────────────────────────────────────────────────────────────
+
+/**
+ * Build a readable error pointing at the failing node, item and expression.
+ * @param {Object} info   { nodeId, operation, expression, index?, phase?, name?, message }
+ * @returns {Error}
+ */
+function expressionError(info) {
+  const where = info.nodeId ? ` on ${info.nodeId}` : '';
+  const item  = info.index != null && info.index >= 0 ? ` at index ${info.index}` : '';
+  const kind  = info.phase === 'compile' ? 'Invalid expression' : `Transform "${info.operation}" failed`;
+  const cause = info.name && !String(info.message).startsWith(info.name) ? `${info.name}: ${info.message}` : info.message;
+  const err = new Error(`${kind}${where}${item}: ${cause} — expression: ${info.expression}`);
+  err.nodeId = info.nodeId || null;
+  err.itemIndex = info.index != null && info.index >= 0 ? info.index : null;
+  return err;
+}
+
+/**
+ * Evaluate a Transform expression over an input array in the sandbox.
+ *
+ * @param {Object}  opts
+ * @param {string}  opts.operation   - map | filter | find | reduce | count
+ * @param {Array}   opts.input       - items (must be JSON-serializable)
+ * @param {string}  opts.expression  - JS expression using item / index / acc and helpers
+ * @param {string}  [opts.nodeId]    - step id, used in error messages
+ * @param {Object}  [opts.limits]    - overrides for DEFAULT_LIMITS
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<any>}
+ */
+function evaluateExpression({ operation, input, expression, nodeId, limits = {}, signal }) {
+  const lim = { ...DEFAULT_LIMITS, ...limits };
+  const info = { nodeId, operation, expression };
+
+  if (!EXPRESSION_OPS.has(operation)) {
+    return Promise.reject(new Error(`Operation "${operation}" does not take an expression`));
+  }
+  if (signal?.aborted) return Promise.reject(new Error('Cancelled'));
+
+  let inputJson;
+  try {
+    inputJson = JSON.stringify(Array.isArray(input) ? input : []) || '[]';
+  } catch (e) {
+    return Promise.reject(expressionError({ ...info, message: `input is not serializable (${e.message})` }));
+  }
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let stderr = '';
+    const child = spawn(process.execPath, [`--max-old-space-size=${lim.memoryMb}`, '-e', SANDBOX_SOURCE], {
+      stdio: ['ignore', 'ignore', 'pipe', 'ipc'],
+      // Under Electron, execPath is the app binary: run it as plain Node
+      env: { ELECTRON_RUN_AS_NODE: '1', ...(process.env.SystemRoot ? { SystemRoot: process.env.SystemRoot } : {}) },
+      windowsHide: true,
+    });
+
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+      fn(value);
+    };
+
+    const onAbort = () => finish(reject, new Error('Cancelled'));
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Hard wall-clock stop, covers anything the vm timeout cannot interrupt
+    const timer = setTimeout(() => {
+      finish(reject, expressionError({ ...info, name: 'TimeoutError', message: `exceeded ${lim.timeoutMs}ms CPU limit` }));
+    }, lim.timeoutMs * 3 + SANDBOX_GRACE_MS);
+
+    child.stderr.on('data', (chunk) => {
+      if (stderr.length < MAX_STDERR) stderr += chunk.toString();
+    });
+
+    child.on('message', (msg) => {
+      if (!msg.ok) return finish(reject, expressionError({ ...info, ...msg }));
+      if (msg.json.length > lim.maxOutputBytes) {
+        return finish(reject, expressionError({ ...info, message: `result exceeds ${Math.round(lim.maxOutputBytes / 1024 / 1024)}MB output limit` }));
+      }
+      let out;
+      try { out = JSON.parse(msg.json); } catch (e) { return finish(reject, expressionError({ ...info, message: e.message })); }
+      if (!out.ok) return finish(reject, expressionError({ ...info, ...out, phase: 'run' }));
+      finish(resolve, out.value);
+    });
+
+    child.on('error', (err) => {
+      finish(reject, expressionError({ ...info, name: err?.name, message: `sandbox failed to start (${err?.message})` }));
+    });
+
+    // Only reached without a result: the sandbox died (out of memory, killed, crashed)
+    child.on('exit', (code, exitSignal) => {
+      if (OOM_RE.test(stderr)) {
+        return finish(reject, expressionError({ ...info, name: 'RangeError', message: `exceeded ${lim.memoryMb}MB memory limit` }));
+      }
+      finish(reject, expressionError({ ...info, message: `sandbox exited unexpectedly (${exitSignal || `code ${code}`})` }));
+    });
+
+    child.send({ operation, inputJson, expression, prelude: PRELUDE_SOURCE, timeoutMs: lim.timeoutMs }, (err) => {
+      if (err) finish(reject, expressionError({ ...info, message: `sandbox unreachable (${err.message})` }));
+    });
+  });
+}
+
+module.exports = { evaluateExpression, EXPRESSION_OPS, DEFAULT_LIMITS };
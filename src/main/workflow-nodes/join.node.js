@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+  type:     'workflow/join',
+  title:    'Join',
+  desc:     'Attendre des branches parallèles',
+  color:    'sky',
+  width:    220,
+  category: 'flow',
+  icon:     'join',
+
+  // Une entrée exec par branche — reconstruites depuis props.branches
+  inputs:  [{ name: 'branch1', type: 'exec' }, { name: 'branch2', type: 'exec' }],
+  outputs: [
+    { name: 'Done',      type: 'exec'   },
+    { name: 'Error',     type: 'exec'   },
+    { name: 'results',   type: 'object' },
+    { name: 'completed', type: 'array'  },
+  ],
+
+  props: { branches: 'branch1,branch2', mode: 'all', quorum: '2', concurrency: '' },
+
+  fields: [
+    { type: 'text', key: 'branches', label: 'wfn.join.branches.label', hint: 'wfn.join.branches.hint', mono: true,
+      placeholder: 'lint,test,review' },
+    { type: 'select', key: 'mode', label: 'wfn.join.mode.label', options: [
+      { value: 'all',    label: 'wfn.join.mode.all' },
+      { value: 'any',    label: 'wfn.join.mode.any' },
+      { value: 'quorum', label: 'wfn.join.mode.quorum' },
+    ] },
+    { type: 'text', key: 'quorum', label: 'wfn.join.quorum.label', hint: 'wfn.join.quorum.hint', placeholder: '2',
+      showIf: (p) => p.mode === 'quorum' },
+    { type: 'text', key: 'concurrency', label: 'wfn.join.concurrency.label', hint: 'wfn.join.concurrency.hint', placeholder: '∞' },
+    { type: 'hint', text: 'wfn.join.usage' },
+  ],
+
+  badge: (n) => {
+    const count = (n.properties.branches || '').split(',').filter(b => b.trim()).length;
+    if (n.properties.mode === 'quorum') return `${Math.min(parseInt(n.properties.quorum, 10) || 1, count)}/${count}`;
+    return (n.properties.mode || 'all').toUpperCase();
+  },
+
+  dynamic: 'join',
+
+  // Le moteur de graphe exécute les branches et fusionne leurs sorties (WorkflowRunner._executeJoin).
+  // Hors graphe (test du node seul), il n'y a aucune branche à attendre.
+  run() {
+    return { results: {}, completed: [], failed: [], cancelled: [], errors: {}, success: true };
+  },
+};
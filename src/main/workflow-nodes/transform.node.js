@@ -1,6 +1,7 @@
 'use strict';
 
 const { esc } = require('./_registry');
+const { evaluateExpression } = require('./_expression');
 
 const TRANSFORM_OPS = [
   { value: 'map',           label: 'Map',           desc: 'Transformer chaque élément',       tpl: 'item.fieldName' },
@@ -86,6 +87,7 @@ module.exports = {
             <label class="wf-step-edit-label">Expression</label>
             <span class="wf-field-hint wf-transform-expr-hint">${esc(exprHint)}</span>
             <input class="wf-step-edit-input wf-node-prop wf-field-mono" data-key="expression" value="${esc(p.expression || '')}" placeholder="${esc(opInfo.tpl)}" />
+            <span class="wf-field-hint">Exécuté en sandbox — helpers : str.*, arr.*, date.*, math.*, get(obj, 'a.b')</span>
           </div>
           <div class="wf-step-edit-field">
             <label class="wf-step-edit-label">Variable de sortie</label>
@@ -155,7 +157,7 @@ module.exports = {
 
   badge: (n) => (n.properties.operation || 'map').toUpperCase(),
 
-  run(config, vars) {
+  async run(config, vars, signal) {
     const resolveVars = (value, vars) => {
       if (typeof value !== 'string') return value;
       // Fast path: single variable reference — return raw value
@@ -193,32 +195,24 @@ module.exports = {
 
     const input = Array.isArray(inputRaw) ? inputRaw : (inputRaw != null ? [inputRaw] : []);
 
-    const makeFn = (body) => {
-      try {
-        // eslint-disable-next-line no-new-func
-        return new Function('item', 'index', `"use strict"; return (${body});`);
-      } catch {
-        throw new Error(`Invalid expression: ${body}`);
-      }
-    };
+    // map / filter / find / reduce / count run user code → sandboxed worker (see _expression.js)
+    const sandboxed = (op) => evaluateExpression({ operation: op, input, expression: expr, nodeId: config.id, signal });
 
     let result;
     switch (operation) {
       case 'map':
-        result = input.map((item, index) => expr ? makeFn(expr)(item, index) : item);
+        result = expr ? await sandboxed('map') : input;
         break;
       case 'filter':
-        result = input.filter((item, index) => expr ? makeFn(expr)(item, index) : true);
+        result = expr ? await sandboxed('filter') : input;
         break;
       case 'find':
-        result = expr ? input.find((item, index) => makeFn(expr)(item, index)) : input[0];
+        result = expr ? await sandboxed('find') : input[0];
         break;
-      case 'reduce': {
-        // eslint-disable-next-line no-new-func
-        const reduceFn = expr ? new Function('acc', 'item', 'index', `"use strict"; return (${expr});`) : (acc, item) => acc + item;
-        result = input.reduce(reduceFn, 0);
+      case 'reduce':
+        // expr format: "acc + item.value" — acc starts at 0
+        result = expr ? await sandboxed('reduce') : input.reduce((acc, item) => acc + item, 0);
         break;
-      }
       case 'pluck':
         result = input.map(item => {
           if (!expr) return item;
@@ -226,7 +220,7 @@ module.exports = {
         });
         break;
       case 'count':
-        result = expr ? input.filter((item, index) => makeFn(expr)(item, index)).length : input.length;
+        result = expr ? await sandboxed('count') : input.length;
         break;
       case 'sort':
         result = [...input].sort((a, b) => {
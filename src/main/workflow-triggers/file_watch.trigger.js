@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Trigger déclenché par des changements de fichiers dans un projet.
+ * S'appuie sur FileWatcherService (un watcher chokidar partagé par projet, filtré par .gitignore).
+ *
+ * Config (propriétés du node trigger) :
+ *   triggerValue   — globs à inclure (un par ligne ou séparés par des virgules, vide = tout)
+ *   watchProjectId — projet surveillé
+ *   watchExclude   — globs à exclure
+ *   watchOnAdd / watchOnChange / watchOnUnlink — types d'événements
+ *   watchDebounce  — délai de regroupement en ms
+ *
+ * Syntaxe des globs : voir utils/glob.js.
+ */
+
+const fileWatcherService = require('../services/FileWatcherService');
+const { splitPatterns, globToRegExp, matchesAny } = require('../utils/glob');
+
+const DEFAULT_DEBOUNCE_MS = 1000;
+const MIN_DEBOUNCE_MS     = 200;
+const MAX_DEBOUNCE_MS     = 60000;
+const EVENTS = ['add', 'change', 'unlink'];
+
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize the file_watch config from a workflow's trigger node.
+ * @param {Object} workflow
+ * @returns {{ projectId: string, include: string[], exclude: string[], events: string[], debounceMs: number }}
+ */
+function readConfig(workflow) {
+  const node = (workflow.graph?.nodes || []).find(n => n.type === 'workflow/trigger');
+  const props = node?.properties || {};
+  const debounce = parseInt(props.watchDebounce, 10);
+  return {
+    projectId:  props.watchProjectId || '',
+    include:    splitPatterns(props.triggerValue ?? workflow.trigger?.value),
+    exclude:    splitPatterns(props.watchExclude),
+    events:     EVENTS.filter(ev => {
+      const key = `watchOn${ev[0].toUpperCase()}${ev.slice(1)}`;
+      return props[key] !== false && props[key] !== 'false';
+    }),
+    debounceMs: Number.isFinite(debounce)
+      ? Math.min(MAX_DEBOUNCE_MS, Math.max(MIN_DEBOUNCE_MS, debounce))
+      : DEFAULT_DEBOUNCE_MS,
+  };
+}
+
+/**
+ * Keep the changes matching the config's event types and include / exclude globs.
+ * @param {Object} config - from readConfig()
+ * @param {Map<string, string>} changes - relative path → 'add' | 'change' | 'unlink'
+ * @returns {Array<{ path: string, event: string }>}
+ */
+function matchChanges(config, changes) {
+  const include = config.include.map(globToRegExp);
+  const exclude = config.exclude.map(globToRegExp);
+  const files = [];
+  for (const [file, event] of changes) {
+    if (!config.events.includes(event)) continue;
+    if (include.length && !matchesAny(file, include)) continue;
+    if (matchesAny(file, exclude)) continue;
+    files.push({ path: file, event });
+  }
+  return files;
+}
+
+/** Trigger data exposed to the run as `$trigger.*`. */
+function buildPayload(config, files) {
+  const byEvent = (ev) => files.filter(f => f.event === ev).map(f => f.path);
+  return {
+    source:      'file_watch',
+    projectId:   config.projectId,
+    projectPath: config.projectPath || '',
+    files,
+    paths:       files.map(f => f.path),
+    added:       byEvent('add'),
+    changed:     byEvent('change'),
+    removed:     byEvent('unlink'),
+    count:       files.length,
+    firedAt:     new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  type:  'file_watch',
+  label: 'Fichiers modifiés',
+  desc:  'Se déclenche quand des fichiers du projet changent',
+
+  shouldFire(config, context) {
+    if (!context.changes) return false;
+    return matchChanges(config, context.changes).length > 0;
+  },
+
+  /**
+   * @param {Object} config - readConfig() + projectPath
+   * @param {(triggerData: Object) => void} onFire
+   * @returns {() => void} teardown
+   */
+  setup(config, onFire) {
+    if (!config.projectId || !config.projectPath) return () => {};
+    return fileWatcherService.subscribe(config.projectId, config.projectPath, (changes) => {
+      const files = matchChanges(config, changes);
+      if (files.length) onFire(buildPayload(config, files));
+    }, { debounceMs: config.debounceMs });
+  },
+
+  readConfig,
+  matchChanges,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Trigger déclenché par des événements Git locaux d'un projet.
+ * S'appuie sur GitWatcherService (un watcher partagé par dépôt, basé sur le reflog de HEAD).
+ *
+ * Config (propriétés du node trigger) :
+ *   triggerValue — événement : commit | branch_switch | pull | merge_conflict
+ *   gitProjectId — projet surveillé
+ *   gitBranch    — globs de branches (vide = toutes)
+ *   gitAuthor    — auteurs (nom ou email, sous-chaîne, séparés par des virgules)
+ *   gitPaths     — globs de fichiers touchés (commit / pull / merge_conflict)
+ */
+
+const gitWatcherService = require('../services/GitWatcherService');
+const { splitPatterns, globToRegExp, matchesAny } = require('../utils/glob');
+
+const EVENTS = ['commit', 'branch_switch', 'pull', 'merge_conflict'];
+
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize the git config from a workflow's trigger node.
+ * @param {Object} workflow
+ * @returns {{ projectId: string, event: string, branches: string[], authors: string[], paths: string[] }}
+ */
+function readConfig(workflow) {
+  const node = (workflow.graph?.nodes || []).find(n => n.type === 'workflow/trigger');
+  const props = node?.properties || {};
+  const event = props.triggerValue ?? workflow.trigger?.value;
+  return {
+    projectId: props.gitProjectId || '',
+    event:     EVENTS.includes(event) ? event : 'commit',
+    branches:  splitPatterns(props.gitBranch),
+    authors:   String(props.gitAuthor || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean),
+    paths:     splitPatterns(props.gitPaths),
+  };
+}
+
+/**
+ * Apply the config filters to a git event.
+ * Commits are narrowed to the matching authors / paths; the event is dropped when none remain.
+ * @param {Object} config - from readConfig()
+ * @param {Object} event - from GitWatcherService
+ * @returns {Object|null} the filtered event
+ */
+function matchEvent(config, event) {
+  if (event.type !== config.event) return null;
+
+  // Branch names contain slashes (feature/x) — match the whole name, not a file basename
+  if (config.branches.length) {
+    const branch = event.branch || '';
+    if (!config.branches.some(glob => globToRegExp(glob.includes('/') ? glob : `/${glob}`).test(branch))) return null;
+  }
+
+  const paths = config.paths.map(globToRegExp);
+  const touches = (files) => !paths.length || files.some(f => matchesAny(f, paths));
+
+  if (event.commits) {
+    const commits = event.commits.filter(c =>
+      (!config.authors.length || config.authors.some(a =>
+        (c.author || '').toLowerCase().includes(a) || (c.email || '').toLowerCase().includes(a)))
+      && touches(c.files || []));
+    if (!commits.length) return null;
+    return { ...event, commits, files: [...new Set(commits.flatMap(c => c.files || []))] };
+  }
+
+  if (event.conflicts && !touches(event.conflicts)) return null;
+  return event;
+}
+
+/** Trigger data exposed to the run as `$trigger.*`. */
+function buildPayload(config, event) {
+  return {
+    source:      'git',
+    event:       event.type,
+    projectId:   config.projectId,
+    projectPath: config.projectPath || '',
+    branch:      event.branch || '',
+    from:        event.from || '',
+    to:          event.to || '',
+    commit:      event.commits?.[0] || null,
+    commits:     event.commits || [],
+    files:       event.files || [],
+    conflicts:   event.conflicts || [],
+    ahead:       event.ahead ?? null,
+    behind:      event.behind ?? null,
+    firedAt:     new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  type:  'git',
+  label: 'Événement Git',
+  desc:  'Se déclenche sur un commit, un changement de branche, un pull ou un conflit de merge',
+
+  shouldFire(config, context) {
+    if (!context.gitEvent) return false;
+    return !!matchEvent(config, context.gitEvent);
+  },
+
+  /**
+   * @param {Object} config - readConfig() + projectPath
+   * @param {(triggerData: Object) => void} onFire
+   * @returns {() => void} teardown
+   */
+  setup(config, onFire) {
+    if (!config.projectId || !config.projectPath) return () => {};
+    return gitWatcherService.subscribe(config.projectPath, (events) => {
+      for (const event of events) {
+        const matched = matchEvent(config, event);
+        if (matched) onFire(buildPayload(config, matched));
+      }
+    });
+  },
+
+  readConfig,
+  matchEvent,
+  EVENTS,
+};
@@ -110,12 +110,16 @@ module.exports = createType({
   // Suppression
   onProjectDelete: (project, idx) => {
     try {
-      const { getApiServer } = require('./renderer/ApiState');
-      const { stopApiServer } = require('./renderer/ApiRendererService');
+      const { getApiServer, getApiMock } = require('./renderer/ApiState');
+      const { stopApiServer, stopMockServer, removeApiProjectData } = require('./renderer/ApiRendererService');
       const server = getApiServer(idx);
       if (server.status !== 'stopped') {
         stopApiServer(idx);
       }
+      if (getApiMock(idx).status !== 'stopped') {
+        stopMockServer(idx);
+      }
+      removeApiProjectData(project.id);
     } catch (e) {
       console.error('[API] Error stopping server on delete:', e);
     }
@@ -421,7 +425,8 @@ module.exports = createType({
 }
 
 .api-routes-scan-btn,
-.api-routes-add-btn {
+.api-routes-add-btn,
+.api-routes-export-btn {
   display: flex;
   align-items: center;
   justify-content: center;
@@ -437,14 +442,16 @@ module.exports = createType({
 }
 
 .api-routes-scan-btn:hover,
-.api-routes-add-btn:hover {
+.api-routes-add-btn:hover,
+.api-routes-export-btn:hover {
   background: rgba(168, 85, 247, 0.1);
   border-color: rgba(168, 85, 247, 0.3);
   color: #a855f7;
 }
 
 .api-routes-scan-btn:disabled,
-.api-routes-add-btn:disabled {
+.api-routes-add-btn:disabled,
+.api-routes-export-btn:disabled {
   opacity: 0.4;
   cursor: not-allowed;
 }
@@ -871,6 +878,18 @@ module.exports = createType({
   opacity: 0.5;
 }
 
+.api-route-spec-badge {
+  font-size: 8.5px;
+  font-weight: 600;
+  padding: 1px 5px;
+  border-radius: 4px;
+  flex-shrink: 0;
+  letter-spacing: 0.3px;
+  text-transform: uppercase;
+  color: #a855f7;
+  background: rgba(168, 85, 247, 0.1);
+}
+
 /* Custom URL */
 .api-custom-url-section {
   padding: 10px 14px;
@@ -1160,6 +1179,48 @@ module.exports = createType({
   align-items: center;
 }
 
+.api-tester-params-list {
+  padding: 4px 14px 10px;
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+}
+
+.api-tester-param-row {
+  display: flex;
+  gap: 8px;
+  align-items: baseline;
+  font-size: 11px;
+}
+
+.api-tester-param-name {
+  font-family: 'Consolas', monospace;
+  color: var(--text-primary);
+  flex-shrink: 0;
+}
+
+.api-tester-param-required {
+  color: #ff7b72;
+  margin-left: 2px;
+}
+
+.api-tester-param-in {
+  font-size: 9px;
+  text-transform: uppercase;
+  color: var(--text-secondary);
+  background: rgba(255, 255, 255, 0.05);
+  padding: 1px 6px;
+  border-radius: 8px;
+  flex-shrink: 0;
+}
+
+.api-tester-param-desc {
+  color: var(--text-secondary);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
 .api-tester-header-key,
 .api-tester-header-val {
   flex: 1;
@@ -1471,6 +1532,690 @@ module.exports = createType({
   overflow: hidden;
 }
 
+/* ========== Collections view ========== */
+
+.api-collections-view {
+  flex: 1;
+  min-height: 0;
+  overflow: hidden;
+}
+
+.api-coll-env-select {
+  flex: 1;
+  min-width: 0;
+  padding: 4px 6px;
+  border: 1px solid var(--border-color);
+  background: var(--bg-primary);
+  color: var(--text-primary);
+  font-size: 11px;
+  border-radius: 5px;
+  outline: none;
+}
+
+.api-coll-list {
+  flex: 1;
+  min-height: 0;
+  overflow-y: auto;
+  padding: 4px 0;
+}
+
+.api-coll-header {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 6px 12px;
+  font-size: 11px;
+  font-weight: 600;
+  color: var(--text-primary);
+  cursor: pointer;
+  user-select: none;
+}
+
+.api-coll-header:hover {
+  background: var(--bg-hover);
+}
+
+.api-coll-name {
+  flex: 1;
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.api-coll-action {
+  background: transparent;
+  border: none;
+  color: var(--text-secondary);
+  font-size: 12px;
+  cursor: pointer;
+  padding: 0 3px;
+  opacity: 0;
+  transition: opacity 0.15s;
+}
+
+.api-coll-header:hover .api-coll-action {
+  opacity: 0.6;
+}
+
+.api-coll-action:hover {
+  opacity: 1 !important;
+  color: #a855f7;
+}
+
+.api-coll-request {
+  padding-left: 24px;
+}
+
+.api-coll-history {
+  display: flex;
+  flex-direction: column;
+  max-height: 40%;
+  border-top: 1px solid var(--border-color);
+  flex-shrink: 0;
+}
+
+.api-coll-history-header {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 6px 12px;
+  font-size: 10px;
+  font-weight: 600;
+  text-transform: uppercase;
+  letter-spacing: 0.4px;
+  color: var(--text-secondary);
+}
+
+.api-coll-history-header > span {
+  flex: 1;
+}
+
+.api-coll-history-btn {
+  padding: 2px 8px;
+  border: 1px solid var(--border-color);
+  background: transparent;
+  color: var(--text-secondary);
+  font-size: 10px;
+  border-radius: 4px;
+  cursor: pointer;
+}
+
+.api-coll-history-btn:hover:not(:disabled) {
+  color: #a855f7;
+  border-color: rgba(168, 85, 247, 0.4);
+}
+
+.api-coll-history-btn:disabled {
+  opacity: 0.4;
+  cursor: not-allowed;
+}
+
+.api-coll-history-list {
+  overflow-y: auto;
+  min-height: 0;
+}
+
+.api-coll-history-empty {
+  padding: 8px 12px;
+  font-size: 11px;
+  color: var(--text-secondary);
+  opacity: 0.6;
+}
+
+.api-coll-history-item {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 4px 12px;
+  font-size: 11px;
+  cursor: pointer;
+}
+
+.api-coll-history-item:hover {
+  background: var(--bg-hover);
+}
+
+.api-coll-history-status {
+  font-family: 'Consolas', monospace;
+  font-weight: 700;
+  font-size: 10px;
+  color: var(--status-color);
+  flex-shrink: 0;
+}
+
+.api-coll-history-name {
+  flex: 1;
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: var(--text-primary);
+}
+
+.api-coll-history-time {
+  font-size: 9.5px;
+  color: var(--text-secondary);
+  flex-shrink: 0;
+}
+
+.api-tester-header-on {
+  flex-shrink: 0;
+  margin: 0;
+  accent-color: #a855f7;
+}
+
+.api-tester-header-row.disabled .api-tester-header-key,
+.api-tester-header-row.disabled .api-tester-header-val {
+  opacity: 0.4;
+  text-decoration: line-through;
+}
+
+.api-tester-save-btn {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 7px 12px;
+  background: transparent;
+  color: var(--text-secondary);
+  border: 1px solid var(--border-color);
+  border-radius: 6px;
+  font-size: 11px;
+  cursor: pointer;
+  flex-shrink: 0;
+  transition: all 0.15s;
+}
+
+.api-tester-save-btn:hover {
+  color: #a855f7;
+  border-color: rgba(168, 85, 247, 0.4);
+}
+
+.api-response-unresolved {
+  padding: 6px 14px;
+  font-size: 11px;
+  color: #d29922;
+  background: rgba(210, 153, 34, 0.08);
+  border-bottom: 1px solid rgba(210, 153, 34, 0.2);
+}
+
+/* Assertions editor */
+.api-assert-section {
+  padding: 4px 14px 10px;
+  display: flex;
+  flex-direction: column;
+  gap: 3px;
+}
+
+.api-assert-list,
+.api-extract-list {
+  display: flex;
+  flex-direction: column;
+  gap: 3px;
+}
+
+.api-assert-row,
+.api-extract-row {
+  display: flex;
+  gap: 4px;
+  align-items: center;
+}
+
+.api-assert-row select,
+.api-assert-row input,
+.api-extract-row input {
+  min-width: 0;
+  padding: 5px 8px;
+  border: 1px solid var(--border-color);
+  background: var(--bg-secondary);
+  color: var(--text-primary);
+  font-size: 11px;
+  font-family: 'Consolas', monospace;
+  border-radius: 5px;
+  outline: none;
+}
+
+.api-assert-type,
+.api-assert-op {
+  flex-shrink: 0;
+  cursor: pointer;
+}
+
+.api-assert-target,
+.api-assert-expected,
+.api-extract-name,
+.api-extract-from {
+  flex: 1;
+}
+
+.api-assert-target,
+.api-extract-name {
+  color: #c4a0f5 !important;
+}
+
+.api-assert-row:hover .api-tester-header-del,
+.api-extract-row:hover .api-tester-header-del {
+  opacity: 0.6;
+}
+
+.api-extract-title {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  margin-top: 6px;
+  font-size: 10px;
+  text-transform: uppercase;
+  letter-spacing: 0.4px;
+  color: var(--text-secondary);
+}
+
+/* Assertion results (tester + run report) */
+.api-assert-results {
+  padding: 6px 14px;
+  border-bottom: 1px solid var(--border-color);
+  border-left: 2px solid #3fb950;
+}
+
+.api-assert-results.fail {
+  border-left-color: #ff7b72;
+}
+
+.api-assert-summary {
+  font-size: 11px;
+  font-weight: 600;
+  margin-bottom: 3px;
+}
+
+.api-assert-result {
+  display: flex;
+  gap: 6px;
+  align-items: baseline;
+  font-size: 11px;
+  padding: 1px 0;
+}
+
+.api-assert-icon {
+  width: 12px;
+  flex-shrink: 0;
+  text-align: center;
+}
+
+.api-assert-result.pass .api-assert-icon { color: #3fb950; }
+.api-assert-result.fail .api-assert-icon { color: #ff7b72; }
+.api-assert-result.skipped,
+.api-assert-result.extracted { color: var(--text-secondary); }
+
+.api-assert-label {
+  font-family: 'Consolas', monospace;
+}
+
+.api-assert-message {
+  color: var(--text-secondary);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  min-width: 0;
+}
+
+.api-assert-result.fail .api-assert-message {
+  color: #ff7b72;
+}
+
+.api-coll-action:disabled {
+  display: none;
+}
+
+.api-run-summary {
+  padding: 8px 10px;
+  margin-bottom: 10px;
+  font-size: 12px;
+  font-weight: 600;
+  border-radius: 5px;
+  color: #3fb950;
+  background: rgba(63, 185, 80, 0.08);
+}
+
+.api-run-summary.fail {
+  color: #ff7b72;
+  background: rgba(255, 123, 114, 0.08);
+}
+
+.api-run-report {
+  max-height: 60vh;
+  overflow-y: auto;
+}
+
+.api-run-result {
+  padding: 6px 0;
+  border-bottom: 1px solid var(--border-color);
+}
+
+.api-run-result-header {
+  display: flex;
+  gap: 8px;
+  align-items: center;
+  font-size: 12px;
+  margin-bottom: 2px;
+}
+
+.api-run-result.pass .api-run-result-header .api-assert-icon { color: #3fb950; }
+.api-run-result.fail .api-run-result-header .api-assert-icon { color: #ff7b72; }
+
+.api-run-result-name {
+  flex: 1;
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+.api-run-result .api-assert-result {
+  padding-left: 20px;
+}
+
+/* Environments modal */
+.api-env-toolbar {
+  display: flex;
+  gap: 6px;
+  margin-bottom: 12px;
+}
+
+.api-env-toolbar .api-env-select {
+  flex: 1;
+}
+
+.api-env-vars {
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  margin-bottom: 8px;
+}
+
+.api-env-var-row {
+  display: flex;
+  gap: 4px;
+  align-items: center;
+}
+
+/* Response diff modal */
+.api-diff-sides,
+.api-diff-metrics {
+  display: flex;
+  gap: 12px;
+  align-items: center;
+  font-size: 11.5px;
+  margin-bottom: 10px;
+  flex-wrap: wrap;
+}
+
+.api-diff-arrow {
+  color: var(--text-secondary);
+}
+
+.api-diff-identical {
+  padding: 6px 10px;
+  margin-bottom: 10px;
+  font-size: 11.5px;
+  color: #3fb950;
+  background: rgba(63, 185, 80, 0.08);
+  border-radius: 5px;
+}
+
+.api-diff-metric {
+  display: flex;
+  gap: 6px;
+  font-family: 'Consolas', monospace;
+}
+
+.api-diff-metric-label {
+  font-family: inherit;
+  color: var(--text-secondary);
+}
+
+.api-diff-metric.changed {
+  color: #d29922;
+}
+
+.api-diff-section-title {
+  font-size: 10px;
+  font-weight: 600;
+  text-transform: uppercase;
+  letter-spacing: 0.4px;
+  color: var(--text-secondary);
+  margin: 10px 0 4px;
+}
+
+.api-diff-header {
+  display: grid;
+  grid-template-columns: 180px 1fr 1fr;
+  gap: 8px;
+  font-size: 11px;
+  font-family: 'Consolas', monospace;
+}
+
+.api-diff-del { color: #ff7b72; }
+.api-diff-add { color: #3fb950; }
+
+.api-diff-body {
+  max-height: 50vh;
+  overflow: auto;
+  margin: 0;
+  padding: 8px;
+  font-size: 11px;
+  background: var(--bg-secondary);
+  border-radius: 5px;
+}
+
+.api-diff-line.add {
+  color: #3fb950;
+  background: rgba(63, 185, 80, 0.08);
+}
+
+.api-diff-line.del {
+  color: #ff7b72;
+  background: rgba(255, 123, 114, 0.08);
+}
+
+.api-diff-line.same {
+  opacity: 0.6;
+}
+
+/* ========== Mock server view ========== */
+
+.api-mock-view {
+  flex: 1;
+  min-height: 0;
+  overflow: hidden;
+}
+
+.api-mock-panel {
+  display: flex;
+  flex-direction: column;
+  flex: 1;
+  min-height: 0;
+}
+
+.api-mock-toolbar {
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 12px;
+  padding: 10px 14px;
+  border-bottom: 1px solid var(--border-color);
+  font-size: 11px;
+  color: var(--text-secondary);
+  flex-shrink: 0;
+}
+
+.api-mock-status {
+  display: flex;
+  align-items: center;
+  min-width: 150px;
+  font-size: 12px;
+  color: var(--text-primary);
+}
+
+.api-mock-url {
+  cursor: pointer;
+}
+
+.api-mock-url:hover {
+  text-decoration: underline;
+}
+
+.api-mock-field {
+  display: flex;
+  align-items: center;
+  gap: 5px;
+}
+
+.api-mock-input {
+  width: 64px;
+  padding: 3px 6px;
+  border: 1px solid var(--border-color);
+  background: var(--bg-secondary);
+  color: var(--text-primary);
+  border-radius: 4px;
+  font-family: 'Consolas', monospace;
+  font-size: 11px;
+}
+
+.api-mock-input:focus {
+  outline: none;
+  border-color: #a855f7;
+}
+
+.api-mock-source {
+  display: flex;
+  align-items: center;
+  gap: 5px;
+  flex: 1;
+  min-width: 0;
+}
+
+.api-mock-source-value {
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: var(--text-primary);
+  font-family: 'Consolas', monospace;
+}
+
+.api-mock-toggle {
+  padding: 5px 14px;
+  border: none;
+  border-radius: 6px;
+  font-size: 11px;
+  font-weight: 600;
+  color: #fff;
+  cursor: pointer;
+}
+
+.api-mock-toggle.start {
+  background: var(--success);
+}
+
+.api-mock-toggle.stop {
+  background: #da3633;
+}
+
+.api-mock-toggle:disabled {
+  opacity: 0.5;
+  cursor: wait;
+}
+
+.api-mock-body {
+  display: flex;
+  flex: 1;
+  min-height: 0;
+}
+
+.api-mock-routes {
+  flex: 1;
+  min-width: 0;
+  overflow-y: auto;
+  padding: 6px 0;
+}
+
+.api-mock-route {
+  display: grid;
+  grid-template-columns: 20px minmax(0, 1fr) 70px 70px 56px;
+  align-items: center;
+  gap: 8px;
+  padding: 4px 14px;
+  font-size: 12px;
+}
+
+.api-mock-route:hover:not(.api-mock-route-head) {
+  background: var(--bg-hover);
+}
+
+.api-mock-route-head {
+  font-size: 10px;
+  font-weight: 600;
+  text-transform: uppercase;
+  letter-spacing: 0.4px;
+  color: var(--text-secondary);
+}
+
+.api-mock-route.disabled .api-mock-route-path {
+  opacity: 0.4;
+  text-decoration: line-through;
+}
+
+.api-mock-route-path {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  min-width: 0;
+}
+
+.api-mock-route-enabled {
+  margin: 0;
+  accent-color: #a855f7;
+}
+
+.api-mock-route-body.active {
+  color: #a855f7;
+  border-color: rgba(168, 85, 247, 0.4);
+}
+
+.api-mock-log {
+  display: flex;
+  flex-direction: column;
+  width: 360px;
+  border-left: 1px solid var(--border-color);
+  background: var(--bg-primary);
+}
+
+.api-mock-log-list {
+  flex: 1;
+  overflow-y: auto;
+  min-height: 0;
+}
+
+.api-mock-log-item {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 3px 12px;
+  font-size: 11px;
+}
+
+.api-mock-log-item.unmatched .api-coll-history-name {
+  color: var(--text-secondary);
+  font-style: italic;
+}
+
+.api-mock-body-input {
+  width: 100%;
+  min-height: 240px;
+  margin-top: 8px;
+  font-family: 'Consolas', monospace;
+  font-size: 12px;
+  resize: vertical;
+}
+
 /* ========== Animations ========== */
 
 @keyframes api-spin {
@@ -1531,9 +2276,12 @@ module.exports = createType({
   getPreloadBridge: () => ({
     namespace: 'api',
     channels: {
-      invoke: ['api-start', 'api-stop', 'api-detect-framework', 'api-get-port', 'api-detect-routes', 'api-test-request'],
+      invoke: ['api-start', 'api-stop', 'api-detect-framework', 'api-get-port', 'api-detect-routes', 'api-test-request', 'api-export-openapi',
+        'api-collections-load', 'api-collections-save', 'api-collections-import', 'api-collections-remove',
+        'api-history-get', 'api-history-clear', 'api-run-collection',
+        'api-mock-start', 'api-mock-stop', 'api-mock-status', 'api-mock-reset', 'api-mock-config-load', 'api-mock-config-save', 'api-mock-choose-spec'],
       send: ['api-input', 'api-resize'],
-      on: ['api-data', 'api-exit', 'api-port-detected']
+      on: ['api-data', 'api-exit', 'api-port-detected', 'api-mock-log', 'api-mock-exit']
     }
   })
 });
@@ -0,0 +1,197 @@
+/**
+ * API Collections
+ * Persists saved requests, environments and the response history of each API project.
+ *
+ * Storage: ~/.claude-terminal/api/<projectId>/
+ *   collections.json — { collections, environments, activeEnvironment }
+ *   history.json     — last responses, newest first (bodies capped)
+ *   routes.json      — last detected routes with their response schemas (read by the `api` MCP tool)
+ *   mock.json        — mock server settings: port, latency, CRUD stubs, spec file, per-route overrides
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { dataDir } = require('../../../main/utils/paths');
+const { makeId } = require('../../../shared/api-collections');
+const { normalizeMockConfig } = require('../../../shared/api-mock');
+
+const API_DIR = path.join(dataDir, 'api');
+const MAX_HISTORY = 100;
+const MAX_BODY_CHARS = 256 * 1024;
+
+class ApiCollections {
+
+  /**
+   * @param {string} projectId
+   * @returns {{ collections: Object[], environments: Object[], activeEnvironment: string|null }}
+   */
+  load(projectId) {
+    const data = this._read(projectId, 'collections.json') || {};
+    return {
+      collections: Array.isArray(data.collections) ? data.collections : [],
+      environments: Array.isArray(data.environments) ? data.environments : [],
+      activeEnvironment: data.activeEnvironment || null
+    };
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {{ collections: Object[], environments: Object[], activeEnvironment: string|null }} data
+   */
+  save(projectId, data) {
+    this._write(projectId, 'collections.json', {
+      collections: data.collections || [],
+      environments: data.environments || [],
+      activeEnvironment: data.activeEnvironment || null
+    });
+  }
+
+  /**
+   * Add imported collections / environments. Environment names already used get a suffix.
+   * @param {string} projectId
+   * @param {{ collections: Object[], environments: Object[] }} imported
+   * @returns {Object} the updated data
+   */
+  merge(projectId, imported) {
+    const data = this.load(projectId);
+    data.collections.push(...(imported.collections || []));
+    const names = new Set(data.environments.map(e => e.name));
+    for (const env of imported.environments || []) {
+      let name = env.name;
+      for (let i = 2; names.has(name); i++) name = `${env.name} (${i})`;
+      names.add(name);
+      data.environments.push({ ...env, name });
+    }
+    if (!data.activeEnvironment && data.environments.length) data.activeEnvironment = data.environments[0].id;
+    this.save(projectId, data);
+    return data;
+  }
+
+  // ═══════════════════════════════════════════════
+  //  Response history
+  // ═══════════════════════════════════════════════
+
+  /**
+   * @param {string} projectId
+   * @returns {Object[]} newest first
+   */
+  getHistory(projectId) {
+    const entries = this._read(projectId, 'history.json');
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Record a sent request and its response.
+   * @param {string} projectId
+   * @param {{ requestId?: string, name?: string, request: Object, response: Object }} entry
+   * @returns {Object} the stored entry
+   */
+  addHistory(projectId, { requestId = null, name = '', request, response }) {
+    const body = typeof response.body === 'string' ? response.body : '';
+    const stored = {
+      id: makeId('hist'),
+      timestamp: Date.now(),
+      requestId,
+      name,
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: response.headers || {},
+        body: body.length > MAX_BODY_CHARS ? body.slice(0, MAX_BODY_CHARS) : body,
+        truncated: body.length > MAX_BODY_CHARS,
+        time: response.time,
+        size: response.size,
+        error: response.error
+      }
+    };
+    this._write(projectId, 'history.json', [stored, ...this.getHistory(projectId)].slice(0, MAX_HISTORY));
+    return stored;
+  }
+
+  clearHistory(projectId) {
+    this._write(projectId, 'history.json', []);
+  }
+
+  /**
+   * Remove everything stored for a project (called when the project is deleted).
+   * @param {string} projectId
+   */
+  removeProject(projectId) {
+    fs.rmSync(this._dir(projectId), { recursive: true, force: true });
+  }
+
+  // ═══════════════════════════════════════════════
+  //  Detected routes
+  // ═══════════════════════════════════════════════
+
+  /**
+   * Cache the detected routes so contract runs outside the app (MCP) can validate schemas.
+   * @param {string} projectId
+   * @param {Object[]} routes
+   */
+  saveRoutes(projectId, routes) {
+    this._write(projectId, 'routes.json', routes.map(({ method, path: routePath, responses }) => (
+      responses ? { method, path: routePath, responses } : { method, path: routePath }
+    )));
+  }
+
+  /**
+   * @param {string} projectId
+   * @returns {Object[]}
+   */
+  loadRoutes(projectId) {
+    const routes = this._read(projectId, 'routes.json');
+    return Array.isArray(routes) ? routes : [];
+  }
+
+  // ═══════════════════════════════════════════════
+  //  Mock server
+  // ═══════════════════════════════════════════════
+
+  /**
+   * @param {string} projectId
+   * @returns {Object} normalized mock config
+   */
+  loadMock(projectId) {
+    return normalizeMockConfig(this._read(projectId, 'mock.json') || {});
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {Object} config
+   * @returns {Object} the normalized config that was stored
+   */
+  saveMock(projectId, config) {
+    const normalized = normalizeMockConfig(config);
+    this._write(projectId, 'mock.json', normalized);
+    return normalized;
+  }
+
+  // ═══════════════════════════════════════════════
+  //  Storage
+  // ═══════════════════════════════════════════════
+
+  _dir(projectId) {
+    return path.join(API_DIR, String(projectId).replace(/[^\w.-]/g, '_'));
+  }
+
+  _read(projectId, file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this._dir(projectId), file), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  _write(projectId, file, data) {
+    const dir = this._dir(projectId);
+    fs.mkdirSync(dir, { recursive: true });
+    const target = path.join(dir, file);
+    const tmp = target + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmp, target);
+  }
+}
+
+module.exports = new ApiCollections();
@@ -0,0 +1,185 @@
+/**
+ * API Mock Server
+ * Serves the detected / spec routes of an API project with example responses,
+ * so frontends can be built before (or without) the real backend.
+ * Responses are computed by shared/api-mock; this service owns the HTTP servers,
+ * CORS and the request log sent to the renderer.
+ */
+
+const http = require('http');
+const { normalizeMockConfig, createMockStore, mockResponse } = require('../../../shared/api-mock');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class ApiMockServer {
+  constructor() {
+    this.servers = new Map(); // projectIndex -> { server, port, routes, config, store }
+    this.mainWindow = null;
+  }
+
+  setMainWindow(window) {
+    this.mainWindow = window;
+  }
+
+  /**
+   * Start the mock server of a project (restarts it when already running).
+   * @param {{ projectIndex: number, routes: Object[], config: Object }} params
+   * @returns {Promise<{ success: boolean, port?: number, error?: string }>}
+   */
+  async start({ projectIndex, routes, config }) {
+    await this.stop({ projectIndex });
+
+    const entry = { server: null, port: 0, routes: routes || [], config: normalizeMockConfig(config), store: createMockStore() };
+    const server = http.createServer((req, res) => this._handle(projectIndex, entry, req, res));
+    entry.server = server;
+
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        // Loopback only: CORS allows any origin, so the mock must not be reachable from the LAN
+        server.listen(entry.config.port, '127.0.0.1', () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+    } catch (e) {
+      const error = e.code === 'EADDRINUSE' ? `Port ${entry.config.port} is already in use` : e.message;
+      return { success: false, error };
+    }
+
+    entry.port = server.address().port;
+    this.servers.set(projectIndex, entry);
+    server.on('error', (e) => {
+      console.error('[API Mock] Server error:', e.message);
+      this.stop({ projectIndex });
+      this._send('api-mock-exit', { projectIndex, error: e.message });
+    });
+    return { success: true, port: entry.port };
+  }
+
+  /**
+   * @param {{ projectIndex: number }} params
+   * @returns {Promise<{ success: boolean }>}
+   */
+  async stop({ projectIndex }) {
+    const entry = this.servers.get(projectIndex);
+    if (!entry) return { success: true };
+    this.servers.delete(projectIndex);
+    await new Promise(resolve => {
+      entry.server.close(() => resolve());
+      entry.server.closeAllConnections?.();
+    });
+    return { success: true };
+  }
+
+  /**
+   * Apply new routes / settings to a running server. The CRUD data is kept.
+   * @param {number} projectIndex
+   * @param {{ routes?: Object[], config?: Object }} changes
+   */
+  update(projectIndex, { routes, config }) {
+    const entry = this.servers.get(projectIndex);
+    if (!entry) return;
+    if (routes) entry.routes = routes;
+    if (config) entry.config = { ...normalizeMockConfig(config), port: entry.port };
+  }
+
+  /**
+   * Drop the CRUD data so collections start again from their examples.
+   * @param {number} projectIndex
+   */
+  reset(projectIndex) {
+    const entry = this.servers.get(projectIndex);
+    if (entry) entry.store = createMockStore();
+  }
+
+  /**
+   * @param {number} projectIndex
+   * @returns {{ running: boolean, port: number|null, routes: number }}
+   */
+  getStatus(projectIndex) {
+    const entry = this.servers.get(projectIndex);
+    return { running: !!entry, port: entry ? entry.port : null, routes: entry ? entry.routes.length : 0 };
+  }
+
+  isRunning(projectIndex) {
+    return this.servers.has(projectIndex);
+  }
+
+  stopAll() {
+    this.servers.forEach(entry => {
+      try {
+        entry.server.close();
+        entry.server.closeAllConnections?.();
+      } catch (e) {}
+    });
+    this.servers.clear();
+  }
+
+  // ═══════════════════════════════════════════════
+  //  Requests
+  // ═══════════════════════════════════════════════
+
+  _handle(projectIndex, entry, req, res) {
+    const start = Date.now();
+    // Wildcard without credentials: browsers never send the user's cookies to the mock
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || '*');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      let body = raw;
+      try { body = raw ? JSON.parse(raw) : undefined; } catch (_) {}
+
+      const method = req.method === 'HEAD' ? 'GET' : req.method;
+      let result;
+      try {
+        result = mockResponse({ routes: entry.routes, config: entry.config, store: entry.store, method, url: req.url, body });
+      } catch (e) {
+        result = { status: 500, body: JSON.stringify({ error: e.message }), contentType: 'application/json', delay: 0, route: null };
+      }
+
+      setTimeout(() => {
+        if (res.destroyed) return;
+        res.writeHead(result.status, {
+          'Content-Type': `${result.contentType}; charset=utf-8`,
+          'X-Mock-Route': result.route ? `${result.route.method} ${result.route.path}` : 'none'
+        });
+        res.end(req.method === 'HEAD' ? undefined : result.body);
+        this._send('api-mock-log', {
+          projectIndex,
+          entry: {
+            time: start,
+            method: req.method,
+            path: req.url,
+            status: result.status,
+            duration: Date.now() - start,
+            matched: result.route ? `${result.route.method} ${result.route.path}` : null
+          }
+        });
+      }, result.delay);
+    });
+  }
+
+  _send(channel, payload) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, payload);
+    }
+  }
+}
+
+const apiMockServer = new ApiMockServer();
+module.exports = apiMockServer;
@@ -6,7 +6,8 @@
  * 1. Detect framework from project files
  * 2. If framework has a native CLI command → run it, parse output
  * 3. Fallback to static analysis (regex-based) for unsupported frameworks
- * 4. Deduplicate & sort
+ * 4. Merge OpenAPI / Swagger specs found in the project (summaries, params, example bodies)
+ * 5. Deduplicate & sort
  *
  * Native CLI support:
  * - Flask:    flask routes
@@ -15,17 +16,22 @@
  * - Rails:    rails routes
  * - Fastify:  (static analysis only)
  * - Express:  (static analysis only)
+ * - NestJS, Hono:  (static analysis only, with global / controller / sub-app prefixes)
+ * - Go (net/http, chi, gin, echo, fiber, gorilla/mux):  (static analysis only)
+ * - ASP.NET Core (controllers, minimal APIs):  (static analysis only)
  */
 
 const path = require('path');
 const fs = require('fs');
 const { execSync } = require('child_process');
+const openApiSpec = require('./OpenApiSpec');
 
 const SKIP_DIRS = new Set([
   'node_modules', '.venv', 'venv', 'env', '__pycache__', '.git',
   '.next', '.nuxt', 'dist', 'build', '.tox', '.mypy_cache', '.pytest_cache',
   'migrations', 'static', 'templates', 'public', 'assets', 'coverage',
-  '.turbo', '.cache', 'tmp', 'temp', '.parcel-cache', '.svelte-kit'
+  '.turbo', '.cache', 'tmp', 'temp', '.parcel-cache', '.svelte-kit',
+  'vendor', 'bin', 'obj'
 ]);
 
 const JS_EXTS = new Set(['.js', '.ts', '.mjs', '.cjs']);
@@ -33,8 +39,16 @@ const PY_EXTS = new Set(['.py']);
 const PHP_EXTS = new Set(['.php']);
 const RB_EXTS = new Set(['.rb']);
 const JAVA_EXTS = new Set(['.java', '.kt']);
-const ALL_EXTS = new Set([...JS_EXTS, ...PY_EXTS, ...PHP_EXTS, ...RB_EXTS, ...JAVA_EXTS]);
+const GO_EXTS = new Set(['.go']);
+const CS_EXTS = new Set(['.cs']);
+const ALL_EXTS = new Set([...JS_EXTS, ...PY_EXTS, ...PHP_EXTS, ...RB_EXTS, ...JAVA_EXTS, ...GO_EXTS, ...CS_EXTS]);
 const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+// Hono: new Hono().basePath('/api')
+const HONO_BASE_PATH = /new\s+Hono\s*(?:<[^>]*>)?\s*\([^)]*\)\s*\.basePath\s*\(\s*(['"`])([^'"`]+)\1\s*\)/;
+const GO_ROUTE_METHODS = {
+  GET: 'GET', POST: 'POST', PUT: 'PUT', PATCH: 'PATCH', DELETE: 'DELETE', HEAD: 'HEAD', OPTIONS: 'OPTIONS', Any: 'ALL',
+  Get: 'GET', Post: 'POST', Put: 'PUT', Patch: 'PATCH', Delete: 'DELETE', Head: 'HEAD', Options: 'OPTIONS', All: 'ALL',
+};
 
 class ApiRouteDetector {
 
@@ -60,7 +74,14 @@ class ApiRouteDetector {
       routes = this._staticAnalysis(projectPath);
     }
 
-    // Step 4: deduplicate & sort
+    // Step 4: merge routes documented in OpenAPI specs
+    let specRoutes = [];
+    try {
+      specRoutes = openApiSpec.detectSpecRoutes(projectPath);
+    } catch (_) {}
+    routes = this._mergeSpecRoutes(routes, specRoutes);
+
+    // Step 5: deduplicate & sort
     return this._deduplicateAndSort(routes);
   }
 
@@ -372,11 +393,19 @@ class ApiRouteDetector {
     }
 
     // Phase 2: extract mounts (vars are already populated from all files)
+    const globals = { nest: '', nestVersioning: null, aspnet: '' };
+    const funcMounts = new Map();
     for (const [relPath, content] of fileContents) {
       const ext = path.extname(relPath).toLowerCase();
       if (JS_EXTS.has(ext)) {
         this._extractMounts(content, relPath, mounts, vars);
       }
+      if (JS_EXTS.has(ext) || CS_EXTS.has(ext)) {
+        this._extractGlobalPrefix(content, ext, vars, globals);
+      }
+      if (GO_EXTS.has(ext) || CS_EXTS.has(ext)) {
+        this._extractFuncMounts(content, ext, funcMounts);
+      }
     }
 
     const filePrefixMap = this._buildFilePrefixMap(imports, mounts, vars, fileContents);
@@ -386,7 +415,9 @@ class ApiRouteDetector {
       try {
         const ext = path.extname(relPath).toLowerCase();
         const prefix = filePrefixMap.get(this._stripExt(relPath)) || '';
-        if (JS_EXTS.has(ext)) {
+        if (JS_EXTS.has(ext) && /@Controller\s*\(/.test(content)) {
+          routes.push(...this._parseNestRoutes(content, relPath, vars, globals));
+        } else if (JS_EXTS.has(ext)) {
           routes.push(...this._parseJsRoutes(content, relPath, vars, prefix));
         } else if (PY_EXTS.has(ext)) {
           routes.push(...this._parsePyRoutes(content, relPath, vars, prefix));
@@ -396,6 +427,10 @@ class ApiRouteDetector {
           routes.push(...this._parseRubyRoutes(content, relPath));
         } else if (JAVA_EXTS.has(ext)) {
           routes.push(...this._parseJavaRoutes(content, relPath));
+        } else if (GO_EXTS.has(ext)) {
+          routes.push(...this._parseGoRoutes(content, relPath, funcMounts));
+        } else if (CS_EXTS.has(ext)) {
+          routes.push(...this._parseCsRoutes(content, relPath, funcMounts, globals.aspnet));
         }
       } catch (_) {}
     }
@@ -418,7 +453,7 @@ class ApiRouteDetector {
           if (!SKIP_DIRS.has(entry.name)) files.push(...this._collectFiles(full, depth + 1));
         } else if (entry.isFile()) {
           const ext = path.extname(entry.name).toLowerCase();
-          if (ALL_EXTS.has(ext)) files.push(full);
+          if (ALL_EXTS.has(ext) && !entry.name.endsWith('_test.go')) files.push(full);
         }
       }
     } catch (_) {}
@@ -510,6 +545,7 @@ class ApiRouteDetector {
   }
 
   _extractMounts(content, filePath, mounts, vars) {
+    const honoBase = content.match(HONO_BASE_PATH);
     for (const line of content.split('\n')) {
       const t = line.trim();
       if (t.startsWith('//') || t.startsWith('/*')) continue;
@@ -521,6 +557,14 @@ class ApiRouteDetector {
         continue;
       }
 
+      // app.route('/prefix', subApp)  — Hono sub-app, under the mounting app's basePath()
+      const hono = t.match(/(\w+)\.route\s*\(\s*(['"`])([^'"`]+)\2\s*,\s*(\w+)\s*\)/);
+      if (hono) {
+        const prefix = this._joinPrefix(honoBase ? this._resolveStr(honoBase[2], vars) : '', this._resolveStr(hono[3], vars));
+        mounts.push({ prefix: prefix.replace(/\/$/, ''), varName: hono[4], file: filePath });
+        continue;
+      }
+
       // app.use(`${varName}`, router) or app.use(`${varName}/sub`, router) — template literal prefix
       const m1b = t.match(/(\w+)\.use\s*\(\s*`([^`]+)`\s*,\s*(\w+)/);
       if (m1b) {
@@ -587,6 +631,58 @@ class ApiRouteDetector {
     }
   }
 
+  /**
+   * Prefixes applied to every route of a framework:
+   * NestJS app.setGlobalPrefix() / URI versioning, ASP.NET app.UsePathBase().
+   */
+  _extractGlobalPrefix(content, ext, vars, globals) {
+    if (CS_EXTS.has(ext)) {
+      const base = content.match(/\.UsePathBase\s*\(\s*"([^"]*)"\s*\)/);
+      if (base) globals.aspnet = base[1].replace(/\/$/, '');
+      return;
+    }
+
+    const gp = content.match(/\.setGlobalPrefix\s*\(\s*(?:(['"`])([^'"`]*)\1|([\w.]+))/);
+    if (gp) {
+      let value = gp[1] ? this._resolveStr(gp[2], vars) : null;
+      if (value === null) {
+        const name = gp[3].split('.').pop();
+        value = vars.has(gp[3]) ? vars.get(gp[3]) : (vars.get(name) || '');
+      }
+      globals.nest = value ? this._joinPrefix('', value).replace(/\/$/, '') : '';
+    }
+
+    const versioning = content.match(/\.enableVersioning\s*\(([\s\S]{0,300}?)\)\s*;/);
+    if (versioning && (!/type\s*:/.test(versioning[1]) || /VersioningType\.URI/.test(versioning[1]))) {
+      const prefix = versioning[1].match(/prefix\s*:\s*(?:['"`]([^'"`]*)['"`]|(false))/);
+      const version = versioning[1].match(/defaultVersion\s*:\s*\[?\s*['"`]([^'"`]+)['"`]/);
+      globals.nestVersioning = {
+        prefix: prefix ? (prefix[2] ? '' : prefix[1]) : 'v',
+        defaultVersion: version ? version[1] : null,
+      };
+    }
+  }
+
+  /**
+   * Routers built by a function and mounted under a prefix:
+   * Go    r.Mount("/admin", adminRouter()) / users.Register(v1.Group("/users"))
+   * C#    app.MapGroup("/todos").MapTodoEndpoints()
+   */
+  _extractFuncMounts(content, ext, funcMounts) {
+    if (CS_EXTS.has(ext)) {
+      for (const m of content.matchAll(/\.MapGroup\(\s*"([^"]*)"\s*\)\s*\.\s*(\w+)\s*\(\s*\)/g)) {
+        funcMounts.set(m[2], m[1].replace(/\/$/, ''));
+      }
+      return;
+    }
+    for (const m of content.matchAll(/\.Mount\(\s*"([^"]*)"\s*,\s*(?:\w+\.)?(\w+)\([^()]*\)\s*\)/g)) {
+      funcMounts.set(m[2], m[1].replace(/\/$/, ''));
+    }
+    for (const m of content.matchAll(/(?:\w+\.)?(\w+)\(\s*\w+\.Group\(\s*"([^"]*)"\s*\)\s*\)/g)) {
+      funcMounts.set(m[1], m[2].replace(/\/$/, ''));
+    }
+  }
+
   // ═══════════════════════════════════════════════
   //  Build file → prefix map
   // ═══════════════════════════════════════════════
@@ -636,14 +732,14 @@ class ApiRouteDetector {
     const lines = content.split('\n');
     let prefix = filePrefix;
 
-    const ctrl = content.match(/@Controller\s*\(\s*['"`]([^'"`]*)['"`]\s*\)/);
-    if (ctrl) prefix = this._joinPrefix(prefix, ctrl[1]);
-
     if (!filePrefix) {
       const inlineUse = content.match(/\.use\s*\(\s*(['"`])([^'"`]+)\1\s*,\s*\w*[Rr]outer\b/);
       if (inlineUse) prefix = this._resolveStr(inlineUse[2], vars).replace(/\/$/, '');
     }
 
+    const basePath = content.match(HONO_BASE_PATH);
+    if (basePath) prefix = this._joinPrefix(prefix, this._resolveStr(basePath[2], vars));
+
     for (let i = 0; i < lines.length; i++) {
       const trimmed = lines[i].trim();
       if (trimmed.startsWith('//') || trimmed.startsWith('*') || trimmed.startsWith('/*')) continue;
@@ -700,11 +796,6 @@ class ApiRouteDetector {
         }
       }
 
-      const nest = trimmed.match(/@(Get|Post|Put|Patch|Delete|Head|Options|All)\s*\(\s*(?:['"`]([^'"`]*)['"`])?\s*\)/);
-      if (nest) {
-        routes.push({ method: nest[1].toUpperCase(), path: this._normPath(prefix, nest[2] || ''), handler: this._findNextFunction(lines, i + 1), file: filePath, line: i + 1 });
-      }
-
       const hono = trimmed.match(/\.on\s*\(\s*(?:\[([^\]]+)\]|['"](\w+)['"])\s*,\s*['"`]([^'"`]+)['"`]/);
       if (hono) {
         const raw = this._resolveStr(hono[3], vars);
@@ -719,6 +810,91 @@ class ApiRouteDetector {
     return routes;
   }
 
+  // ═══════════════════════════════════════════════
+  //  Parse NestJS controllers
+  // ═══════════════════════════════════════════════
+
+  /**
+   * Route = global prefix + URI version + @Controller path + @Get/@Post… path.
+   * Handles several controllers per file, array paths and { path, version } options.
+   */
+  _parseNestRoutes(content, filePath, vars, globals) {
+    const routes = [];
+    const lines = content.split('\n');
+    const versioning = globals.nestVersioning;
+    let controller = null;
+    let pending = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const trimmed = lines[i].trim();
+      if (trimmed.startsWith('//') || trimmed.startsWith('*') || trimmed.startsWith('/*')) continue;
+
+      if (/@Controller\s*\(/.test(trimmed)) {
+        const args = this._decoratorArgs(lines, i, 'Controller');
+        if (args.startsWith('{')) {
+          const p = args.match(/path\s*:\s*(\[[^\]]*\]|(['"`])[^'"`]*\2)/);
+          const v = args.match(/version\s*:\s*\[?\s*['"`]([^'"`]+)['"`]/);
+          pending = { paths: p ? this._stringArgs(p[1], vars) : [''], version: v ? v[1] : null };
+        } else {
+          pending = { paths: this._stringArgs(args, vars), version: null };
+        }
+        continue;
+      }
+      if (pending && /\bclass\s+\w+/.test(trimmed)) {
+        controller = pending;
+        pending = null;
+        continue;
+      }
+      if (!controller) continue;
+
+      const m = trimmed.match(/@(Get|Post|Put|Patch|Delete|Head|Options|All)\s*\(/);
+      if (!m) continue;
+
+      const version = this._nestMethodVersion(lines, i) || controller.version || versioning?.defaultVersion;
+      let base = globals.nest;
+      if (versioning && version && !/VERSION_NEUTRAL/.test(version)) base = this._joinPrefix(base, versioning.prefix + version);
+
+      const handler = this._findNextFunction(lines, i + 1);
+      for (const ctrlPath of controller.paths) {
+        for (const routePath of this._stringArgs(this._decoratorArgs(lines, i, m[1]), vars)) {
+          routes.push({ method: m[1].toUpperCase(), path: this._normPath(this._joinPrefix(base, ctrlPath), routePath), handler, file: filePath, line: i + 1 });
+        }
+      }
+    }
+    return routes;
+  }
+
+  /** @Version('2') among the decorators stacked around line i */
+  _nestMethodVersion(lines, i) {
+    for (const step of [-1, 1]) {
+      for (let j = i + step; j >= 0 && j < lines.length && lines[j].trim().startsWith('@'); j += step) {
+        const v = lines[j].match(/@Version\s*\(\s*\[?\s*['"`]([^'"`]+)['"`]/);
+        if (v) return v[1];
+      }
+    }
+    return null;
+  }
+
+  /** Raw text between the parentheses of @name(...), which may span a few lines */
+  _decoratorArgs(lines, i, name) {
+    const text = lines.slice(i, i + 8).join('\n');
+    const start = text.indexOf('(', text.indexOf('@' + name));
+    let depth = 0;
+    for (let k = start; k < text.length; k++) {
+      if (text[k] === '(') depth++;
+      else if (text[k] === ')' && --depth === 0) return text.slice(start + 1, k).trim();
+    }
+    return '';
+  }
+
+  /** String literals of a decorator argument ('a', ['a', 'b'], CONSTANT); [''] when none */
+  _stringArgs(args, vars) {
+    const literals = [...args.matchAll(/(['"`])([^'"`]*)\1/g)].map(m => this._resolveStr(m[2], vars));
+    if (literals.length) return literals;
+    const name = args.trim();
+    return [/^\w+$/.test(name) && vars.has(name) ? vars.get(name) : ''];
+  }
+
   // ═══════════════════════════════════════════════
   //  Parse Python routes
   // ═══════════════════════════════════════════════
@@ -901,6 +1077,214 @@ class ApiRouteDetector {
     return routes;
   }
 
+  // ═══════════════════════════════════════════════
+  //  Parse Go routes (net/http, chi, gin, echo, fiber, gorilla/mux)
+  // ═══════════════════════════════════════════════
+
+  _parseGoRoutes(content, filePath, funcMounts) {
+    const routes = [];
+    const lines = content.split('\n').map(l => l.replace(/`([^`"]*)`/g, '"$1"'));
+
+    // Pass 1: sub-routers — v1 := r.Group("/v1") · s := r.PathPrefix("/api").Subrouter()
+    //                       r.Mount("/admin", adminMux) · http.StripPrefix("/api", apiMux)
+    const groups = new Map();
+    for (const line of lines) {
+      const g = line.match(/(\w+)\s*:?=\s*(\w+)\.(?:Group|PathPrefix)\(\s*"([^"]*)"/);
+      if (g) groups.set(g[1], { parent: g[2], prefix: g[3] });
+      const mount = line.match(/(\w+)\.Mount\(\s*"([^"]*)"\s*,\s*(\w+)\s*\)/);
+      if (mount) groups.set(mount[3], { parent: mount[1], prefix: mount[2] });
+      const strip = line.match(/http\.StripPrefix\(\s*"([^"]*)"\s*,\s*(\w+)\s*\)/);
+      if (strip) groups.set(strip[2], { parent: null, prefix: strip[1] });
+    }
+
+    // Pass 2: routes, with chi's r.Route("/x", func(r chi.Router) { … }) scopes
+    const scopes = [];
+    let depth = 0;
+    let funcPrefix = '';
+    const prefixOf = (name, seen = new Set()) => {
+      for (let k = scopes.length - 1; k >= 0; k--) {
+        if (scopes[k].name === name) return scopes[k].prefix;
+      }
+      const g = groups.get(name);
+      if (g && !seen.has(name)) {
+        seen.add(name);
+        return this._joinPrefix(g.parent ? prefixOf(g.parent, seen) : '', g.prefix).replace(/\/$/, '');
+      }
+      return funcPrefix;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const trimmed = lines[i].trim();
+      if (trimmed.startsWith('//')) continue;
+
+      // Routes registered in a function mounted elsewhere: r.Mount("/admin", adminRouter())
+      const fn = depth === 0 && trimmed.match(/^func\s+(?:\([^)]*\)\s*)?(\w+)\s*\(/);
+      if (fn) funcPrefix = funcMounts.get(fn[1]) || '';
+
+      const sub = trimmed.match(/(\w+)\.(?:Route|Group)\(\s*(?:"([^"]*)"\s*,\s*)?func\s*\(\s*(\w+)\b/);
+      if (sub) scopes.push({ name: sub[3], prefix: this._joinPrefix(prefixOf(sub[1]), sub[2] || '').replace(/\/$/, ''), depth });
+
+      // gin/echo r.GET("/x", h) · chi/fiber r.Get("/x", h)
+      const verb = trimmed.match(/(\w+)\.(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|Any|Get|Post|Put|Patch|Delete|Head|Options|All)\(\s*"([^"]*)"\s*,(.*)$/);
+      if (verb && (verb[3].startsWith('/') || /^[A-Z]+$/.test(verb[2]))) {
+        routes.push({ method: GO_ROUTE_METHODS[verb[2]], path: this._normPath(prefixOf(verb[1]), this._stripParamConstraints(verb[3])), handler: this._lastCallArg(verb[4]), file: filePath, line: i + 1 });
+      }
+
+      // chi r.Method("GET", "/x", h)
+      const chi = trimmed.match(/(\w+)\.Method(?:Func)?\(\s*"(\w+)"\s*,\s*"([^"]*)"\s*,(.*)$/);
+      if (chi) {
+        routes.push({ method: chi[2].toUpperCase(), path: this._normPath(prefixOf(chi[1]), this._stripParamConstraints(chi[3])), handler: this._lastCallArg(chi[4]), file: filePath, line: i + 1 });
+      }
+
+      // net/http mux.HandleFunc("GET /users/{id}", h) · gorilla r.HandleFunc("/x", h).Methods("GET")
+      const handle = trimmed.match(/(\w+)\.(?:HandleFunc|Handle)\(\s*"([^"]*)"\s*,(.*)$/);
+      if (handle && !/http\.StripPrefix\(\s*"[^"]*"\s*,\s*\w+\s*\)/.test(handle[3])) {
+        const pattern = handle[2].match(/^(?:([A-Z]+)\s+)?[^/]*(\/.*)$/);
+        if (pattern) {
+          const gorilla = handle[3].match(/\.Methods\(([^)]*)\)/);
+          const methods = pattern[1]
+            ? [pattern[1]]
+            : gorilla ? (gorilla[1].match(/"(\w+)"/g) || []).map(m => m.replace(/"/g, '').toUpperCase()) : ['ALL'];
+          for (const method of methods) {
+            routes.push({ method, path: this._normPath(prefixOf(handle[1]), this._stripParamConstraints(pattern[2])), handler: this._lastCallArg(handle[3]), file: filePath, line: i + 1 });
+          }
+        }
+      }
+
+      const code = lines[i].replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""');
+      depth += (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+      while (scopes.length && depth <= scopes[scopes.length - 1].depth) scopes.pop();
+    }
+    return routes;
+  }
+
+  // ═══════════════════════════════════════════════
+  //  Parse C# routes (ASP.NET Core controllers & minimal APIs)
+  // ═══════════════════════════════════════════════
+
+  _parseCsRoutes(content, filePath, funcMounts, basePath) {
+    const routes = [];
+    const lines = content.split('\n');
+    const groups = new Map();   // var todos = app.MapGroup("/todos")
+    let controller = null;      // { name, prefix } from [Route("api/[controller]")] class X
+    let attrRoutes = [];        // pending [Route("...")]
+    let attrVerbs = [];         // pending [HttpGet("...")]
+
+    for (let i = 0; i < lines.length; i++) {
+      let decl = lines[i].trim();
+      if (!decl || decl.startsWith('//')) continue;
+
+      // Attributes: [Route("{id}")] [HttpGet] [HttpPost("login"), AllowAnonymous]
+      if (decl.startsWith('[')) {
+        for (const r of decl.matchAll(/\bRoute\s*\(\s*(?:template\s*:\s*)?"([^"]*)"/g)) attrRoutes.push(r[1]);
+        for (const v of decl.matchAll(/\bHttp(Get|Post|Put|Patch|Delete|Head|Options)\b(?:\s*\(\s*(?:template\s*:\s*)?"([^"]*)")?/g)) {
+          attrVerbs.push({ method: v[1].toUpperCase(), template: v[2] });
+        }
+        decl = decl.replace(/^(?:\[(?:[^[\]]|\[[^\]]*\])*\]\s*)+/, '');
+        if (!decl) continue;
+      }
+
+      const cls = decl.match(/\bclass\s+(\w+)/);
+      if (cls) {
+        controller = { name: cls[1].replace(/Controller$/, ''), prefix: attrRoutes[0] || '' };
+        attrRoutes = [];
+        attrVerbs = [];
+        continue;
+      }
+
+      if (attrRoutes.length || attrVerbs.length) {
+        const fn = decl.match(/(\w+)\s*(?:<[^>]*>)?\s*\(/);
+        if (controller && fn) {
+          const verbs = attrVerbs.length ? attrVerbs : [{ method: 'ALL' }];
+          for (const verb of verbs) {
+            const templates = verb.template !== undefined ? [verb.template] : (attrRoutes.length ? attrRoutes : ['']);
+            for (const template of templates) {
+              routes.push({ method: verb.method, path: this._aspNetPath(basePath, controller, template, fn[1]), handler: fn[1], file: filePath, line: i + 1 });
+            }
+          }
+        }
+        attrRoutes = [];
+        attrVerbs = [];
+        continue;
+      }
+
+      // Minimal APIs
+      const group = decl.match(/(\w+)\s*=\s*(\w+)\.MapGroup\(\s*"([^"]*)"\s*\)/);
+      if (group) groups.set(group[1], this._joinPrefix(groups.get(group[2]) || '', group[3]).replace(/\/$/, ''));
+
+      // static RouteGroupBuilder MapTodoEndpoints(this RouteGroupBuilder group) — mounted by app.MapGroup("/todos").MapTodoEndpoints()
+      const ext = decl.match(/\bstatic\s+[\w.<>]+\s+(\w+)\s*\(\s*this\s+[\w.<>]+\s+(\w+)/);
+      if (ext) groups.set(ext[2], funcMounts.get(ext[1]) || '');
+
+      const map = decl.match(/(\w+)\.Map(Get|Post|Put|Patch|Delete)\s*\(\s*(?:pattern\s*:\s*)?"([^"]*)"\s*,(.*)$/);
+      if (map) {
+        const routePath = this._joinPrefix(groups.get(map[1]) || '', map[3]);
+        routes.push({ method: map[2].toUpperCase(), path: this._aspNetPath(basePath, null, routePath, ''), handler: this._lastCallArg(map[4]), file: filePath, line: i + 1 });
+      }
+
+      const mapMethods = decl.match(/(\w+)\.MapMethods\s*\(\s*"([^"]*)"\s*,\s*new\s*\w*\s*\[\]\s*\{([^}]*)\}\s*,(.*)$/);
+      if (mapMethods) {
+        const routePath = this._joinPrefix(groups.get(mapMethods[1]) || '', mapMethods[2]);
+        for (const method of mapMethods[3].match(/"(\w+)"/g) || []) {
+          routes.push({ method: method.replace(/"/g, '').toUpperCase(), path: this._aspNetPath(basePath, null, routePath, ''), handler: this._lastCallArg(mapMethods[4]), file: filePath, line: i + 1 });
+        }
+      }
+    }
+    return routes;
+  }
+
+  /**
+   * Attribute route template → path: "~/" or "/" ignore the controller prefix,
+   * [controller]/[action] tokens are replaced, {id:int} constraints dropped.
+   */
+  _aspNetPath(basePath, controller, template, action) {
+    let t = (template || '').trim();
+    const absolute = /^~?\//.test(t);
+    t = t.replace(/^~/, '');
+    const full = (absolute || !controller ? t : this._joinPrefix(controller.prefix, t))
+      .replace(/\[controller\]/gi, controller ? controller.name : '')
+      .replace(/\[action\]/gi, action);
+    return this._normPath(basePath, this._stripParamConstraints(full));
+  }
+
+  // ═══════════════════════════════════════════════
+  //  OpenAPI merge
+  // ═══════════════════════════════════════════════
+
+  /**
+   * Enrich detected routes with their spec operation (same method, same path once
+   * parameters are normalized: /users/:id = /users/<int:id> = /users/{id}).
+   * Spec operations with no matching code route are added as is.
+   */
+  _mergeSpecRoutes(routes, specRoutes) {
+    if (!specRoutes.length) return routes;
+    const byKey = new Map();
+    for (const r of routes) {
+      const key = `${r.method}:${this._routeShape(r.path)}`;
+      if (!byKey.has(key)) byKey.set(key, r);
+    }
+
+    const merged = [...routes];
+    for (const spec of specRoutes) {
+      const match = byKey.get(`${spec.method}:${this._routeShape(spec.path)}`);
+      if (!match) {
+        merged.push(spec);
+        continue;
+      }
+      if (!match.summary && spec.summary) match.summary = spec.summary;
+      if (spec.params?.length) match.params = spec.params;
+      if (spec.body !== undefined) { match.body = spec.body; match.contentType = spec.contentType; }
+      if (spec.responses) match.responses = spec.responses;
+      if (spec.examples) match.examples = spec.examples;
+      match.specFile = spec.file;
+    }
+    return merged;
+  }
+
+  _routeShape(routePath) {
+    return openApiSpec.toSpecPath(routePath).path.replace(/\{\w+\}/g, '{}').toLowerCase();
+  }
+
   // ═══════════════════════════════════════════════
   //  Deduplication & sorting
   // ═══════════════════════════════════════════════
@@ -1006,13 +1390,38 @@ class ApiRouteDetector {
     return '';
   }
 
+  /** {id:int} / {id:[0-9]+} / {*slug} / {path...} → {name} */
+  _stripParamConstraints(routePath) {
+    return routePath.replace(/\{\*{0,2}(\w+)[^}]*\}/g, '{$1}');
+  }
+
+  /** Handler passed as last call argument (Go / C#): users.List → List, func literals and lambdas → handler */
+  _lastCallArg(argsText) {
+    if (/\bfunc\s*\(|=>|\bdelegate\b/.test(argsText)) return 'handler';
+    const args = [];
+    let current = '';
+    let depth = 0;
+    for (const ch of argsText) {
+      if (')]}'.includes(ch) && depth === 0) break;
+      if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) depth--;
+      if (ch === ',' && depth === 0) { args.push(current); current = ''; continue; }
+      current += ch;
+    }
+    args.push(current);
+    const last = args.map(a => a.trim()).filter(Boolean).pop() || '';
+    const name = last.replace(/^&/, '').replace(/\(.*\)$/s, '').split('.').pop();
+    return /^\w+$/.test(name) ? name : '';
+  }
+
   _extractBlockHandler(block) {
     const m = block.match(/handler\s*:\s*(\w+)/);
     return m ? m[1] : 'handler';
   }
 
   _findNextFunction(lines, start) {
-    for (let j = start; j < Math.min(start + 5, lines.length); j++) {
+    for (let j = start; j < Math.min(start + 8, lines.length); j++) {
+      if (lines[j].trim().startsWith('@')) continue;
       const m = lines[j].match(/(?:async\s+)?(\w+)\s*\(/);
       if (m && !['constructor', 'if', 'for', 'while', 'switch', 'return'].includes(m[1])) return m[1];
     }
@@ -0,0 +1,552 @@
+/**
+ * OpenAPI Spec
+ * Reads OpenAPI 3.x / Swagger 2.0 documents kept in the project and turns them
+ * into routes for the API tester, and writes detected routes back as OpenAPI 3.1.
+ *
+ * - Spec discovery: openapi.{yaml,yml,json}, swagger.*, *.openapi.* (root, docs/, api/, spec/...)
+ * - Routes carry what the tester needs: summary, parameters (with examples), example body
+ * - YAML: parsed with js-yaml, written by a small block-style serializer
+ */
+
+const path = require('path');
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const SPEC_FILE_RE = /^(?:(?:openapi|swagger)(?:[.-][\w-]+)?|[\w-]+\.(?:openapi|swagger))\.(?:ya?ml|json)$/i;
+const SKIP_DIRS = new Set([
+  'node_modules', '.venv', 'venv', 'env', '__pycache__', '.git', '.next', '.nuxt',
+  'dist', 'build', 'coverage', 'vendor', 'target', '.turbo', '.cache', 'tmp', 'temp'
+]);
+const MAX_DEPTH = 3;
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const BODY_METHODS = new Set(['POST', 'PUT', 'PATCH']);
+const MAX_SAMPLE_DEPTH = 6;
+
+class OpenApiSpec {
+
+  /**
+   * Find spec files in a project.
+   * @param {string} projectPath
+   * @returns {string[]} absolute paths
+   */
+  findSpecFiles(projectPath) {
+    const found = [];
+    const walk = (dir, depth) => {
+      let entries;
+      try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { return; }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (depth < MAX_DEPTH && !SKIP_DIRS.has(entry.name)) walk(full, depth + 1);
+        } else if (entry.isFile() && SPEC_FILE_RE.test(entry.name)) {
+          found.push(full);
+        }
+      }
+    };
+    walk(projectPath, 0);
+    return found.sort();
+  }
+
+  /**
+   * Read and parse a spec file. Returns null when the file is not an OpenAPI / Swagger document.
+   * @param {string} filePath
+   * @returns {Object|null}
+   */
+  readSpec(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const spec = this.parse(content, filePath);
+    return spec && typeof spec === 'object' && (spec.openapi || spec.swagger) && spec.paths ? spec : null;
+  }
+
+  /**
+   * @param {string} content
+   * @param {string} [fileName] - `.json` is parsed as JSON, anything else as YAML (a JSON superset)
+   * @returns {any}
+   */
+  parse(content, fileName = '') {
+    if (/\.json$/i.test(fileName)) return JSON.parse(content);
+    return parseYaml(content);
+  }
+
+  /**
+   * Routes of every spec in the project.
+   * @param {string} projectPath
+   * @returns {Object[]} routes tagged with `source: 'openapi'`
+   */
+  detectSpecRoutes(projectPath) {
+    const routes = [];
+    for (const file of this.findSpecFiles(projectPath)) {
+      try {
+        const spec = this.readSpec(file);
+        if (spec) routes.push(...this.specToRoutes(spec, path.relative(projectPath, file).replace(/\\/g, '/')));
+      } catch (e) {
+        console.warn(`[API] Could not read OpenAPI spec ${file}:`, e.message);
+      }
+    }
+    return routes;
+  }
+
+  // ═══════════════════════════════════════════════
+  //  Spec → routes
+  // ═══════════════════════════════════════════════
+
+  /**
+   * @param {Object} spec - parsed OpenAPI 3.x or Swagger 2.0 document
+   * @param {string} specFile - project-relative path, shown as the route's file
+   * @returns {Array<{ method, path, handler, file, line, source, summary, params, body, responses, examples }>}
+   */
+  specToRoutes(spec, specFile) {
+    const routes = [];
+    const prefix = this._basePath(spec);
+
+    for (const [rawPath, rawItem] of Object.entries(spec.paths || {})) {
+      const item = this._deref(spec, rawItem);
+      if (!item || typeof item !== 'object') continue;
+      const shared = Array.isArray(item.parameters) ? item.parameters : [];
+
+      for (const method of HTTP_METHODS) {
+        const op = this._deref(spec, item[method]);
+        if (!op || typeof op !== 'object') continue;
+
+        const params = this._mergeParams(spec, shared, op.parameters || []);
+        const route = {
+          method: method.toUpperCase(),
+          path: this._joinPath(prefix, rawPath),
+          handler: op.operationId || '',
+          file: specFile,
+          line: 0,
+          source: 'openapi',
+          summary: op.summary || op.description || '',
+          params: params.filter(p => p.in !== 'body' && p.in !== 'formData').map(p => this._toRouteParam(spec, p)),
+        };
+
+        const body = spec.swagger ? this._swaggerBody(spec, params) : this._requestBody(spec, op.requestBody);
+        if (body) {
+          route.body = body.example;
+          route.contentType = body.contentType;
+        }
+        const responses = this._responseSchemas(spec, op.responses);
+        if (responses) route.responses = responses;
+        const examples = this._responseExamples(spec, op.responses);
+        if (examples) route.examples = examples;
+        routes.push(route);
+      }
+    }
+    return routes;
+  }
+
+  _basePath(spec) {
+    if (spec.swagger) return spec.basePath && spec.basePath !== '/' ? spec.basePath : '';
+    const url = spec.servers?.[0]?.url;
+    if (!url || typeof url !== 'string') return '';
+    // Absolute (https://host/v1) or relative (/v1) — only the path part prefixes the routes
+    const pathPart = url.replace(/^[a-z][\w+.-]*:\/\/[^/]*/i, '').replace(/\{[^}]*\}/g, '');
+    return pathPart && pathPart !== '/' ? pathPart : '';
+  }
+
+  _joinPath(prefix, routePath) {
+    const joined = (prefix.replace(/\/$/, '') + '/' + String(routePath).replace(/^\//, '')).replace(/\/+/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+  }
+
+  /** Path-level parameters, overridden by operation-level ones with the same name + location. */
+  _mergeParams(spec, shared, own) {
+    const byKey = new Map();
+    for (const raw of [...shared, ...own]) {
+      const p = this._deref(spec, raw);
+      if (p?.name && p.in) byKey.set(`${p.in}:${p.name}`, p);
+    }
+    return [...byKey.values()];
+  }
+
+  _toRouteParam(spec, p) {
+    const schema = this._deref(spec, p.schema) || p;
+    let example = p.example ?? schema.example ?? this._firstExample(spec, p.examples) ?? schema.default;
+    if (example === undefined && Array.isArray(schema.enum)) example = schema.enum[0];
+    return {
+      name: p.name,
+      in: p.in,
+      required: !!p.required || p.in === 'path',
+      description: p.description || '',
+      example: example === undefined ? '' : (typeof example === 'object' ? JSON.stringify(example) : String(example)),
+    };
+  }
+
+  _requestBody(spec, raw) {
+    const rb = this._deref(spec, raw);
+    if (!rb?.content) return null;
+    const types = Object.keys(rb.content);
+    const contentType = types.find(t => /json/i.test(t)) || types[0];
+    if (!contentType) return null;
+    const media = rb.content[contentType] || {};
+    let example = media.example ?? this._firstExample(spec, media.examples);
+    if (example === undefined) example = this.sampleFromSchema(spec, media.schema);
+    if (example === undefined) return null;
+    return { contentType, example: this._stringifyExample(example) };
+  }
+
+  _swaggerBody(spec, params) {
+    const bodyParam = params.find(p => p.in === 'body');
+    if (bodyParam) {
+      const example = bodyParam.example ?? this.sampleFromSchema(spec, bodyParam.schema);
+      return example === undefined ? null : { contentType: 'application/json', example: this._stringifyExample(example) };
+    }
+    const form = params.filter(p => p.in === 'formData');
+    if (!form.length) return null;
+    const fields = new URLSearchParams();
+    for (const p of form) fields.append(p.name, p.example ?? p.default ?? '');
+    return { contentType: 'application/x-www-form-urlencoded', example: fields.toString() };
+  }
+
+  /** Status code → JSON schema of the response body (refs inlined), for contract assertions. */
+  _responseSchemas(spec, responses) {
+    if (!responses || typeof responses !== 'object') return null;
+    const out = {};
+    for (const [code, raw] of Object.entries(responses)) {
+      const res = this._deref(spec, raw);
+      if (!res || typeof res !== 'object') continue;
+      let schema = res.schema; // Swagger 2.0
+      if (res.content) {
+        const types = Object.keys(res.content);
+        const type = types.find(t => /json/i.test(t));
+        schema = type ? res.content[type]?.schema : undefined;
+      }
+      if (schema) out[code] = this.inlineSchema(spec, schema);
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  /** Status code → example body (declared example, else sampled from the schema), served by the mock server. */
+  _responseExamples(spec, responses) {
+    if (!responses || typeof responses !== 'object') return null;
+    const out = {};
+    for (const [code, raw] of Object.entries(responses)) {
+      const res = this._deref(spec, raw);
+      if (!res || typeof res !== 'object') continue;
+      let example;
+      if (res.content) {
+        const type = Object.keys(res.content).find(t => /json/i.test(t));
+        const media = type ? this._deref(spec, res.content[type]) : null;
+        if (media) example = media.example ?? this._firstExample(spec, media.examples) ?? this.sampleFromSchema(spec, media.schema);
+      } else {
+        example = res.examples?.['application/json'] ?? this.sampleFromSchema(spec, res.schema); // Swagger 2.0
+      }
+      if (example !== undefined) out[code] = example;
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  /**
+   * Copy of a schema with local `$ref`s resolved, so it can be validated without the spec.
+   * Recursive references become `{}` (anything) past the first level.
+   * @param {Object} spec
+   * @param {Object} rawSchema
+   * @returns {Object}
+   */
+  inlineSchema(spec, rawSchema, seen = new Set()) {
+    if (Array.isArray(rawSchema)) return rawSchema.map(s => this.inlineSchema(spec, s, seen));
+    if (!rawSchema || typeof rawSchema !== 'object') return rawSchema;
+    if (typeof rawSchema.$ref === 'string') {
+      if (seen.has(rawSchema.$ref)) return {};
+      seen = new Set(seen).add(rawSchema.$ref);
+    }
+    const schema = this._deref(spec, rawSchema);
+    if (!schema || typeof schema !== 'object' || schema.$ref) return {};
+    const out = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'example' || key === 'examples' || key === 'xml') continue;
+      if (key === 'properties' || key === 'patternProperties' || key === 'definitions' || key === '$defs') {
+        out[key] = {};
+        for (const [name, sub] of Object.entries(value || {})) out[key][name] = this.inlineSchema(spec, sub, seen);
+      } else {
+        out[key] = value && typeof value === 'object' ? this.inlineSchema(spec, value, seen) : value;
+      }
+    }
+    return out;
+  }
+
+  _firstExample(spec, examples) {
+    if (!examples || typeof examples !== 'object') return undefined;
+    const first = this._deref(spec, Object.values(examples)[0]);
+    return first && typeof first === 'object' && 'value' in first ? first.value : undefined;
+  }
+
+  _stringifyExample(example) {
+    return typeof example === 'string' ? example : JSON.stringify(example, null, 2);
+  }
+
+  /**
+   * Build an example value from a JSON schema: example / default / enum first,
+   * otherwise a placeholder for the type (objects and arrays are filled recursively).
+   * @param {Object} spec
+   * @param {Object} rawSchema
+   * @returns {any} undefined when there is no schema
+   */
+  sampleFromSchema(spec, rawSchema, depth = 0, seen = new Set()) {
+    if (!rawSchema || depth > MAX_SAMPLE_DEPTH) return undefined;
+    if (rawSchema.$ref) {
+      if (seen.has(rawSchema.$ref)) return undefined;
+      seen = new Set(seen).add(rawSchema.$ref);
+    }
+    const schema = this._deref(spec, rawSchema);
+    if (!schema || typeof schema !== 'object') return undefined;
+    if (schema.example !== undefined) return schema.example;
+    if (Array.isArray(schema.examples) && schema.examples.length) return schema.examples[0];
+    if (schema.default !== undefined) return schema.default;
+    if (schema.const !== undefined) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+
+    const variants = schema.oneOf || schema.anyOf;
+    if (Array.isArray(variants) && variants.length) return this.sampleFromSchema(spec, variants[0], depth + 1, seen);
+    if (Array.isArray(schema.allOf)) {
+      const merged = {};
+      for (const part of schema.allOf) {
+        const value = this.sampleFromSchema(spec, part, depth + 1, seen);
+        if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(merged, value);
+      }
+      return merged;
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+    if (type === 'object' || (!type && schema.properties)) {
+      const out = {};
+      for (const [key, prop] of Object.entries(schema.properties || {})) {
+        const value = this.sampleFromSchema(spec, prop, depth + 1, seen);
+        if (value !== undefined) out[key] = value;
+      }
+      return out;
+    }
+    if (type === 'array') {
+      const item = this.sampleFromSchema(spec, schema.items, depth + 1, seen);
+      return item === undefined ? [] : [item];
+    }
+    if (type === 'integer' || type === 'number') return 0;
+    if (type === 'boolean') return false;
+    if (type === 'string') {
+      if (schema.format === 'date-time') return new Date(0).toISOString();
+      if (schema.format === 'date') return '1970-01-01';
+      if (schema.format === 'email') return 'user@example.com';
+      if (schema.format === 'uuid') return '00000000-0000-0000-0000-000000000000';
+      return 'string';
+    }
+    return undefined;
+  }
+
+  /** Resolve a local `$ref` (#/components/..., #/definitions/...). Other values are returned as is. */
+  _deref(spec, obj, depth = 0) {
+    if (!obj || typeof obj !== 'object' || typeof obj.$ref !== 'string' || depth > 20) return obj;
+    if (!obj.$ref.startsWith('#/')) return obj;
+    let target = spec;
+    for (const part of obj.$ref.slice(2).split('/')) {
+      target = target?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    return target === undefined ? obj : this._deref(spec, target, depth + 1);
+  }
+
+  // ═══════════════════════════════════════════════
+  //  Routes → OpenAPI 3.1
+  // ═══════════════════════════════════════════════
+
+  /**
+   * Title and version for an exported spec: package.json, then pyproject.toml, then the folder name.
+   * @param {string} projectPath
+   * @returns {{ title: string, version: string }}
+   */
+  projectInfo(projectPath) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8'));
+      if (pkg.name) return { title: pkg.name, version: pkg.version || '1.0.0' };
+    } catch (_) {}
+    try {
+      const toml = fs.readFileSync(path.join(projectPath, 'pyproject.toml'), 'utf8');
+      const name = toml.match(/^name\s*=\s*["']([^"']+)["']/m);
+      const version = toml.match(/^version\s*=\s*["']([^"']+)["']/m);
+      if (name) return { title: name[1], version: version ? version[1] : '1.0.0' };
+    } catch (_) {}
+    return { title: path.basename(projectPath), version: '1.0.0' };
+  }
+
+  /**
+   * Build an OpenAPI 3.1 document from routes.
+   * `:id`, `<int:id>` and `{id}` path segments become path parameters. Routes matching
+   * any method (`ALL`) are exported as GET with `x-any-method: true`.
+   * @param {Object[]} routes
+   * @param {{ title?: string, version?: string, serverUrl?: string }} [info]
+   * @returns {Object}
+   */
+  buildSpec(routes, info = {}) {
+    const doc = {
+      openapi: '3.1.0',
+      info: { title: info.title || 'API', version: info.version || '1.0.0' },
+    };
+    if (info.serverUrl) doc.servers = [{ url: info.serverUrl }];
+    doc.paths = {};
+
+    const operationIds = new Set();
+    for (const route of routes) {
+      const { path: specPath, pathParams } = this.toSpecPath(route.path);
+      const method = route.method === 'ALL' ? 'get' : String(route.method || 'GET').toLowerCase();
+      if (!HTTP_METHODS.includes(method)) continue;
+      const item = doc.paths[specPath] || (doc.paths[specPath] = {});
+      if (item[method]) continue;
+
+      const op = {};
+      if (route.summary) op.summary = route.summary;
+      const operationId = this._operationId(route, method, specPath, operationIds);
+      if (operationId) op.operationId = operationId;
+      if (route.method === 'ALL') op['x-any-method'] = true;
+
+      const known = new Map((route.params || []).map(p => [`${p.in}:${p.name}`, p]));
+      const parameters = pathParams.map(name => this._toSpecParam(known.get(`path:${name}`) || { name, in: 'path' }));
+      for (const p of route.params || []) {
+        if (p.in !== 'path') parameters.push(this._toSpecParam(p));
+      }
+      if (parameters.length) op.parameters = parameters;
+
+      if (BODY_METHODS.has(route.method)) {
+        const contentType = route.contentType || 'application/json';
+        const media = {};
+        if (route.body) {
+          let example = route.body;
+          if (/json/i.test(contentType)) { try { example = JSON.parse(route.body); } catch (_) {} }
+          media.example = example;
+        }
+        op.requestBody = { content: { [contentType]: media } };
+      }
+
+      op.responses = { '200': { description: 'OK' } };
+      item[method] = op;
+    }
+    return doc;
+  }
+
+  /**
+   * Convert a route path to OpenAPI syntax.
+   * @param {string} routePath - e.g. /users/:id, /users/<int:id>, /users/{id}, /users/${ID}
+   * @returns {{ path: string, pathParams: string[] }}
+   */
+  toSpecPath(routePath) {
+    const pathParams = [];
+    const add = (name) => { if (!pathParams.includes(name)) pathParams.push(name); return `{${name}}`; };
+    const specPath = String(routePath || '/')
+      .replace(/\$\{(\w+)\}/g, (full, name) => `__VAR_${name}__`)    // unresolved variables stay literal
+      .replace(/<(?:\w+:)?(\w+)>/g, (full, name) => `{${name}}`)
+      .replace(/\{(\w+)(?::[^}]*)?\??\}/g, (full, name) => add(name))
+      .replace(/:(\w+)\??/g, (full, name) => add(name))
+      .replace(/__VAR_(\w+)__/g, (full, name) => `\${${name}}`);
+    return { path: specPath, pathParams };
+  }
+
+  _toSpecParam(p) {
+    const param = { name: p.name, in: p.in };
+    if (p.description) param.description = p.description;
+    if (p.in === 'path' || p.required) param.required = true;
+    param.schema = { type: 'string' };
+    if (p.example !== undefined && p.example !== '') param.example = p.example;
+    return param;
+  }
+
+  _operationId(route, method, specPath, used) {
+    let base = route.handler && /^[A-Za-z_][\w.-]*$/.test(route.handler) && !['handler', 'chained'].includes(route.handler)
+      ? route.handler
+      : method + specPath.replace(/\{(\w+)\}/g, 'By_$1').split(/[^A-Za-z0-9]+/).filter(Boolean)
+        .map(s => s[0].toUpperCase() + s.slice(1)).join('');
+    if (!base) return '';
+    let id = base;
+    for (let i = 2; used.has(id); i++) id = `${base}_${i}`;
+    used.add(id);
+    return id;
+  }
+
+  /**
+   * @param {Object} doc
+   * @param {'yaml'|'json'} format
+   * @returns {string}
+   */
+  serialize(doc, format) {
+    return format === 'json' ? JSON.stringify(doc, null, 2) + '\n' : stringifyYaml(doc);
+  }
+}
+
+// ═══════════════════════════════════════════════
+//  YAML
+// ═══════════════════════════════════════════════
+
+// Core schema (no timestamps: dates in examples stay strings) plus `<<` merge keys
+const YAML_SCHEMA = yaml.CORE_SCHEMA.extend({ implicit: [yaml.types.merge] });
+
+/**
+ * Parse a YAML document (anchors, aliases, merge keys, block scalars...).
+ * Throws on invalid YAML rather than returning a partial document.
+ * @param {string} text
+ * @returns {any}
+ */
+function parseYaml(text) {
+  const doc = yaml.load(String(text), { schema: YAML_SCHEMA });
+  return doc === undefined ? null : doc;
+}
+
+/**
+ * Serialize plain data to block-style YAML.
+ * @param {any} value
+ * @returns {string}
+ */
+function stringifyYaml(value) {
+  const lines = [];
+  writeYaml(value, 0, lines);
+  return lines.join('\n') + '\n';
+}
+
+function writeYaml(value, indent, lines) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isNestedCollection(item)) {
+        const sub = [];
+        writeYaml(item, indent + 2, sub);
+        // First line of the nested block goes on the dash line
+        lines.push(`${pad}- ${sub[0].trimStart()}`, ...sub.slice(1));
+      } else {
+        lines.push(`${pad}- ${yamlScalar(item)}`);
+      }
+    }
+    return;
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (isNestedCollection(item)) {
+      lines.push(`${pad}${yamlKey(key)}:`);
+      writeYaml(item, Array.isArray(item) ? indent : indent + 2, lines);
+    } else {
+      lines.push(`${pad}${yamlKey(key)}: ${yamlScalar(item)}`);
+    }
+  }
+}
+
+function isNestedCollection(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+function yamlKey(key) {
+  return /^[A-Za-z_$/][\w$/.{}-]*$/.test(key) && !isAmbiguousPlain(key) ? key : JSON.stringify(key);
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const s = String(value);
+  if (s === '' || isAmbiguousPlain(s) || /^[\s\-?:,[\]{}#&*!|>'"%@`]|[\n\t]|: | #|\s$/.test(s)) return JSON.stringify(s);
+  return s;
+}
+
+/** Strings YAML would read back as something else (null, booleans, numbers). */
+function isAmbiguousPlain(s) {
+  return /^(~|null|true|false|yes|no|on|off)$/i.test(s) || /^[-+]?(\d[\d_]*\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s) || /^0x/i.test(s) || /^[-+]?\.(inf|nan)$/i.test(s);
+}
+
+module.exports = new OpenApiSpec();
+module.exports.parseYaml = parseYaml;
+module.exports.stringifyYaml = stringifyYaml;
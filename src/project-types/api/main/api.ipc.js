@@ -2,10 +2,17 @@
  * API IPC Handlers
  */
 
-const { ipcMain } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { ipcMain, dialog } = require('electron');
 const apiService = require('./ApiService');
 const routeDetector = require('./ApiRouteDetector');
 const apiTester = require('./ApiTester');
+const openApiSpec = require('./OpenApiSpec');
+const apiCollections = require('./ApiCollections');
+const apiMockServer = require('./ApiMockServer');
+const { applyEnvironment, importCollectionFile } = require('../../../shared/api-collections');
+const { runCollection } = require('../../../shared/api-contract');
 
 function registerHandlers() {
   ipcMain.handle('api-start', async (event, { projectIndex, projectPath, devCommand }) => {
@@ -32,13 +39,211 @@ function registerHandlers() {
     return apiService.getDetectedPort(projectIndex);
   });
 
-  ipcMain.handle('api-detect-routes', async (event, { projectPath }) => {
-    return routeDetector.detectRoutes(projectPath);
+  // With a projectId, the routes are cached for contract runs outside the app (MCP)
+  ipcMain.handle('api-detect-routes', async (event, { projectPath, projectId }) => {
+    const routes = await routeDetector.detectRoutes(projectPath);
+    if (projectId) {
+      try { apiCollections.saveRoutes(projectId, routes); } catch (e) { console.error('[API] Failed to cache routes:', e.message); }
+    }
+    return routes;
   });
 
-  ipcMain.handle('api-test-request', async (event, { url, method, headers, body }) => {
-    return apiTester.sendRequest({ url, method, headers, body });
+  // `{{name}}` placeholders are resolved from the active environment's variables;
+  // with a projectId, the response is recorded in the project's history
+  ipcMain.handle('api-test-request', async (event, { url, method, headers, body, variables, projectId, requestId, name }) => {
+    const { unresolved, ...request } = applyEnvironment({ url, method, headers, body }, variables || {});
+    const result = await apiTester.sendRequest(request);
+    if (!projectId) return { ...result, unresolved };
+    try {
+      const historyEntry = apiCollections.addHistory(projectId, { requestId, name, request, response: result });
+      return { ...result, unresolved, historyEntry };
+    } catch (e) {
+      console.error('[API] Failed to record history:', e.message);
+      return { ...result, unresolved };
+    }
   });
+
+  ipcMain.handle('api-collections-load', async (event, { projectId }) => {
+    return apiCollections.load(projectId);
+  });
+
+  ipcMain.handle('api-collections-save', async (event, { projectId, data }) => {
+    try {
+      apiCollections.save(projectId, data);
+      return { success: true };
+    } catch (e) {
+      console.error('[API] Failed to save collections:', e.message);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('api-collections-import', async (event, { projectId }) => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(apiService.mainWindow, {
+        properties: ['openFile'],
+        filters: [{ name: 'Postman / Insomnia', extensions: ['json'] }]
+      });
+      if (canceled || !filePaths.length) return { success: false, canceled: true };
+      let imported;
+      try {
+        imported = importCollectionFile(JSON.parse(await fs.promises.readFile(filePaths[0], 'utf8')));
+      } catch (e) {
+        return { success: false, error: `${path.basename(filePaths[0])}: ${e.message}` };
+      }
+      const data = apiCollections.merge(projectId, imported);
+      return {
+        success: true,
+        format: imported.format,
+        collections: imported.collections.length,
+        requests: imported.collections.reduce((n, c) => n + c.requests.length, 0),
+        environments: imported.environments.length,
+        data
+      };
+    } catch (e) {
+      console.error('[API] Import failed:', e.message);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('api-collections-remove', async (event, { projectId }) => {
+    apiCollections.removeProject(projectId);
+    return { success: true };
+  });
+
+  ipcMain.handle('api-history-get', async (event, { projectId }) => {
+    return apiCollections.getHistory(projectId);
+  });
+
+  ipcMain.handle('api-history-clear', async (event, { projectId }) => {
+    apiCollections.clearHistory(projectId);
+    return { success: true };
+  });
+
+  // Run every request of a saved collection in order, with its assertions
+  ipcMain.handle('api-run-collection', async (event, { projectId, projectPath, collectionId, variables }) => {
+    try {
+      const collection = apiCollections.load(projectId).collections.find(c => c.id === collectionId);
+      if (!collection) return { success: false, error: 'Collection not found' };
+      let routes = [];
+      try {
+        routes = await routeDetector.detectRoutes(projectPath);
+        apiCollections.saveRoutes(projectId, routes);
+      } catch (e) {
+        routes = apiCollections.loadRoutes(projectId);
+      }
+      const report = await runCollection(collection.requests, {
+        send: (request) => apiTester.sendRequest(request),
+        variables: variables || {},
+        routes
+      });
+      return { success: true, collection: collection.name, report };
+    } catch (e) {
+      console.error('[API] Collection run failed:', e.message);
+      return { success: false, error: e.message };
+    }
+  });
+
+  // ── Mock server ──
+
+  ipcMain.handle('api-mock-start', async (event, { projectIndex, projectId, projectPath }) => {
+    try {
+      const config = apiCollections.loadMock(projectId);
+      const routes = await resolveMockRoutes(projectPath, config);
+      if (!routes.length) return { success: false, error: 'No routes to mock' };
+      const result = await apiMockServer.start({ projectIndex, routes, config });
+      return { ...result, routes: routes.length };
+    } catch (e) {
+      console.error('[API] Mock server failed to start:', e.message);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('api-mock-stop', async (event, { projectIndex }) => {
+    return apiMockServer.stop({ projectIndex });
+  });
+
+  ipcMain.handle('api-mock-status', async (event, { projectIndex }) => {
+    return apiMockServer.getStatus(projectIndex);
+  });
+
+  ipcMain.handle('api-mock-reset', async (event, { projectIndex }) => {
+    apiMockServer.reset(projectIndex);
+    return { success: true };
+  });
+
+  // Settings and the routes they apply to (the spec's when one is chosen, else the detected ones)
+  ipcMain.handle('api-mock-config-load', async (event, { projectId, projectPath }) => {
+    const config = apiCollections.loadMock(projectId);
+    try {
+      return { config, routes: await resolveMockRoutes(projectPath, config) };
+    } catch (e) {
+      return { config, routes: [], error: e.message };
+    }
+  });
+
+  // Saved settings apply to a running mock server right away (except the port)
+  ipcMain.handle('api-mock-config-save', async (event, { projectIndex, projectId, projectPath, config }) => {
+    try {
+      const previous = apiCollections.loadMock(projectId);
+      const saved = apiCollections.saveMock(projectId, config);
+      if (apiMockServer.isRunning(projectIndex)) {
+        const routes = saved.specFile !== previous.specFile ? await resolveMockRoutes(projectPath, saved) : undefined;
+        apiMockServer.update(projectIndex, { routes, config: saved });
+      }
+      return { success: true, config: saved };
+    } catch (e) {
+      console.error('[API] Failed to save mock settings:', e.message);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('api-mock-choose-spec', async (event, { projectId, projectPath }) => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(apiService.mainWindow, {
+        defaultPath: projectPath,
+        properties: ['openFile'],
+        filters: [{ name: 'OpenAPI / Swagger', extensions: ['yaml', 'yml', 'json'] }]
+      });
+      if (canceled || !filePaths.length) return { success: false, canceled: true };
+      const relative = path.relative(projectPath, filePaths[0]);
+      const specFile = relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative.replace(/\\/g, '/') : filePaths[0];
+      const routes = await resolveMockRoutes(projectPath, { specFile });
+      return { success: true, specFile, routes };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('api-export-openapi', async (event, { projectPath, routes, serverUrl }) => {
+    try {
+      const { canceled, filePath } = await dialog.showSaveDialog(apiService.mainWindow, {
+        defaultPath: path.join(projectPath, 'openapi.yaml'),
+        filters: [{ name: 'OpenAPI', extensions: ['yaml', 'yml', 'json'] }]
+      });
+      if (canceled || !filePath) return { success: false, canceled: true };
+      const doc = openApiSpec.buildSpec(routes || [], { ...openApiSpec.projectInfo(projectPath), serverUrl });
+      const format = /\.json$/i.test(filePath) ? 'json' : 'yaml';
+      await fs.promises.writeFile(filePath, openApiSpec.serialize(doc, format), 'utf8');
+      return { success: true, filePath, count: Object.keys(doc.paths).length };
+    } catch (e) {
+      console.error('[API] OpenAPI export failed:', e.message);
+      return { success: false, error: e.message };
+    }
+  });
+}
+
+/**
+ * Routes served by the mock server: those of the chosen spec file, else the detected ones.
+ * @param {string} projectPath
+ * @param {{ specFile?: string|null }} config - specFile is project-relative or absolute
+ * @returns {Promise<Object[]>}
+ */
+async function resolveMockRoutes(projectPath, config) {
+  if (!config.specFile) return routeDetector.detectRoutes(projectPath);
+  const file = path.resolve(projectPath, config.specFile);
+  const spec = openApiSpec.readSpec(file);
+  if (!spec) throw new Error(`${path.basename(file)} is not an OpenAPI / Swagger document`);
+  return openApiSpec.specToRoutes(spec, config.specFile);
 }
 
 module.exports = { registerHandlers, registerApiHandlers: registerHandlers };
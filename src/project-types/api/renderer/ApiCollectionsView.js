@@ -0,0 +1,620 @@
+/**
+ * API Collections View
+ * Saved requests grouped in collections, environments ({{variables}}), Postman/Insomnia import,
+ * contract runs of a whole collection, and the persisted response history with a diff between two responses.
+ */
+
+const { getApiCollections, setApiCollections, getApiHistory, setApiHistory, clearApiHistory, getActiveEnvironmentVars } = require('./ApiState');
+const { methodBadge, statusColor, formatSize, escapeHtml, openTester } = require('./ApiTesterPanel');
+const { makeId, diffResponses } = require('../../../shared/api-collections');
+const { formatReport } = require('../../../shared/api-contract');
+const { createModal, showModal, closeModal, showConfirm, showPrompt } = require('../../../renderer/ui/components/Modal');
+const { showSuccess, showError } = require('../../../renderer/ui/components/Toast');
+const apiElectron = window.electron_api;
+
+// ===== Data =====
+
+async function ensureLoaded(projectIndex, project) {
+  let data = getApiCollections(projectIndex);
+  if (!data) {
+    try {
+      data = await apiElectron.api.loadCollections({ projectId: project.id });
+    } catch (e) {
+      console.error('[API] Failed to load collections:', e);
+      data = { collections: [], environments: [], activeEnvironment: null };
+    }
+    setApiCollections(projectIndex, data);
+    try {
+      setApiHistory(projectIndex, await apiElectron.api.getHistory({ projectId: project.id }));
+    } catch (e) {
+      console.error('[API] Failed to load history:', e);
+    }
+  }
+  return data;
+}
+
+async function persist(projectIndex, project) {
+  const data = getApiCollections(projectIndex);
+  setApiCollections(projectIndex, data);
+  const result = await apiElectron.api.saveCollections({ projectId: project.id, data });
+  if (result && !result.success) showError(result.error);
+}
+
+function headersObjectToRows(headers) {
+  return Object.entries(headers || {}).map(([key, value]) => ({ key, value, enabled: true }));
+}
+
+function formatTime(timestamp) {
+  const d = new Date(timestamp);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString()}`;
+}
+
+// ===== View =====
+
+async function renderCollectionsView(view, projectIndex, project, deps) {
+  const { t } = deps;
+  const data = await ensureLoaded(projectIndex, project);
+
+  view.innerHTML = `
+    <div class="api-routes-container">
+      <div class="api-routes-sidebar api-coll-sidebar">
+        <div class="api-routes-toolbar">
+          <select class="api-coll-env-select" title="${t('api.environment')}">
+            <option value="">${t('api.noEnvironment')}</option>
+            ${data.environments.map(env => `<option value="${env.id}" ${env.id === data.activeEnvironment ? 'selected' : ''}>${escapeHtml(env.name)}</option>`).join('')}
+          </select>
+          <div class="api-routes-toolbar-actions">
+            <button class="api-routes-export-btn api-coll-env-btn" title="${t('api.manageEnvironments')}">
+              <svg viewBox="0 0 24 24" fill="currentColor" width="12" height="12"><path d="M3 17v2h6v-2H3zM3 5v2h10V5H3zm10 16v-2h8v-2h-8v-2h-2v6h2zM7 9v2H3v2h4v2h2V9H7zm14 4v-2H11v2h10zm-6-4h2V7h4V5h-4V3h-2v6z"/></svg>
+            </button>
+            <button class="api-routes-export-btn api-coll-import-btn" title="${t('api.importCollection')}">
+              <svg viewBox="0 0 24 24" fill="currentColor" width="12" height="12"><path d="M5 20h14v-2H5v2zM19 9h-4V3H9v6H5l7 7 7-7z" transform="rotate(180 12 12)"/></svg>
+            </button>
+            <button class="api-routes-add-btn api-coll-new-btn" title="${t('api.newCollection')}">
+              <svg viewBox="0 0 24 24" fill="currentColor" width="12" height="12"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
+            </button>
+          </div>
+        </div>
+        <div class="api-coll-list">
+          ${data.collections.length === 0 ? `
+            <div class="api-routes-empty">
+              <span class="api-routes-empty-text">${t('api.noCollections')}</span>
+              <span class="api-tester-empty-hint">${t('api.noCollectionsHint')}</span>
+            </div>
+          ` : data.collections.map(col => `
+            <div class="api-coll-group" data-collection="${col.id}">
+              <div class="api-coll-header">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10" class="api-tester-chevron open"><path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>
+                <span class="api-coll-name">${escapeHtml(col.name)}</span>
+                <span class="api-tester-section-count">${col.requests.length}</span>
+                <button class="api-coll-action api-coll-run" title="${t('api.runAll')}" ${col.requests.length ? '' : 'disabled'}>&#9654;</button>
+                <button class="api-coll-action api-coll-rename" title="${t('api.renameCollection')}">&#9998;</button>
+                <button class="api-coll-action api-coll-delete" title="${t('api.deleteCollection')}">&times;</button>
+              </div>
+              <div class="api-coll-requests">
+                ${col.requests.map(req => `
+                  <div class="api-route-item api-coll-request" data-request="${req.id}" title="${escapeHtml(req.url)}">
+                    ${methodBadge(req.method)}
+                    <span class="api-route-path">${escapeHtml(req.name || req.url)}</span>
+                    <button class="api-route-delete-btn api-coll-request-delete" title="${t('api.deleteRequest')}">&times;</button>
+                  </div>
+                `).join('')}
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        <div class="api-coll-history">
+          <div class="api-coll-history-header">
+            <span>${t('api.history')}</span>
+            <button class="api-coll-history-btn api-coll-compare-btn" disabled title="${t('api.compareHint')}">${t('api.compare')}</button>
+            <button class="api-coll-history-btn api-coll-clear-btn">${t('api.clearHistory')}</button>
+          </div>
+          <div class="api-coll-history-list"></div>
+        </div>
+      </div>
+      <div class="api-tester-panel">
+        <div class="api-tester-empty">
+          <span class="api-tester-empty-text">${t('api.noResponse')}</span>
+          <span class="api-tester-empty-hint">${t('api.variablesEnvHint')}</span>
+        </div>
+      </div>
+    </div>
+  `;
+
+  renderHistoryList(view, projectIndex, project, deps);
+  bindCollectionsEvents(view, projectIndex, project, deps);
+}
+
+function renderHistoryList(view, projectIndex, project, deps) {
+  const { t } = deps;
+  const list = view.querySelector('.api-coll-history-list');
+  if (!list) return;
+  const entries = getApiHistory(projectIndex).filter(e => e.id);
+  list.innerHTML = entries.length === 0
+    ? `<div class="api-coll-history-empty">${t('api.noHistory')}</div>`
+    : entries.map(entry => `
+      <div class="api-coll-history-item" data-entry="${entry.id}" title="${escapeHtml(entry.request.url)}">
+        <input type="checkbox" class="api-coll-history-check" data-entry="${entry.id}" />
+        <span class="api-coll-history-status" style="--status-color:${statusColor(entry.response.status)}">${entry.response.status || 'ERR'}</span>
+        ${methodBadge(entry.request.method)}
+        <span class="api-coll-history-name">${escapeHtml(entry.name || entry.request.url)}</span>
+        <span class="api-coll-history-time">${formatTime(entry.timestamp)}</span>
+      </div>
+    `).join('');
+
+  const compareBtn = view.querySelector('.api-coll-compare-btn');
+  const checked = () => [...list.querySelectorAll('.api-coll-history-check:checked')].map(c => c.dataset.entry);
+  compareBtn.disabled = true;
+
+  list.querySelectorAll('.api-coll-history-check').forEach(check => {
+    check.onclick = (e) => e.stopPropagation();
+    check.onchange = () => {
+      const ids = checked();
+      // Keep at most two entries selected
+      if (ids.length > 2) check.checked = false;
+      compareBtn.disabled = checked().length !== 2;
+    };
+  });
+
+  list.querySelectorAll('.api-coll-history-item').forEach(item => {
+    item.onclick = () => {
+      const entry = entries.find(e => e.id === item.dataset.entry);
+      if (!entry) return;
+      const saved = findRequest(getApiCollections(projectIndex), entry.requestId);
+      // Reopen the saved request (with its {{variables}}) when it still exists, otherwise the resolved one
+      const request = saved ? saved.request : { ...entry.request, headers: headersObjectToRows(entry.request.headers) };
+      openRequest(view, projectIndex, project, request, deps, { requestId: saved ? entry.requestId : null, name: entry.name, response: entry.response });
+    };
+  });
+
+  compareBtn.onclick = () => {
+    const ids = checked();
+    const [after, before] = ids.map(id => entries.find(e => e.id === id)); // list is newest first
+    if (before && after) showDiffModal(before, after, deps);
+  };
+}
+
+function findRequest(data, requestId) {
+  if (!data || !requestId) return null;
+  for (const collection of data.collections) {
+    const request = collection.requests.find(r => r.id === requestId);
+    if (request) return { collection, request };
+  }
+  return null;
+}
+
+function openRequest(view, projectIndex, project, request, deps, options = {}) {
+  const { t } = deps;
+  openTester(view.querySelector('.api-tester-panel'), projectIndex, project, request, deps, {
+    ...options,
+    onSave: async (edited) => {
+      const found = findRequest(getApiCollections(projectIndex), options.requestId);
+      if (!found) return promptSaveRequest(projectIndex, project, edited, deps, () => renderCollectionsView(view, projectIndex, project, deps));
+      Object.assign(found.request, edited);
+      await persist(projectIndex, project);
+      showSuccess(t('api.requestSaved', { name: found.request.name }));
+      renderCollectionsView(view, projectIndex, project, deps).then(() => {
+        openRequest(view, projectIndex, project, found.request, deps, { requestId: found.request.id, name: found.request.name });
+      });
+    },
+    onResponse: () => renderHistoryList(view, projectIndex, project, deps)
+  });
+}
+
+function bindCollectionsEvents(view, projectIndex, project, deps) {
+  const { t } = deps;
+  const data = getApiCollections(projectIndex);
+  const rerender = () => renderCollectionsView(view, projectIndex, project, deps);
+
+  view.querySelector('.api-coll-env-select').onchange = (e) => {
+    data.activeEnvironment = e.target.value || null;
+    persist(projectIndex, project);
+  };
+
+  view.querySelector('.api-coll-env-btn').onclick = () => showEnvironmentsModal(projectIndex, project, deps, rerender);
+
+  view.querySelector('.api-coll-import-btn').onclick = async () => {
+    try {
+      const result = await apiElectron.api.importCollections({ projectId: project.id });
+      if (result?.success) {
+        setApiCollections(projectIndex, result.data);
+        showSuccess(t('api.importDone', { format: result.format, requests: result.requests, environments: result.environments }));
+        rerender();
+      } else if (result && !result.canceled) {
+        showError(result.error || t('api.importFailed'));
+      }
+    } catch (e) {
+      showError(e.message);
+    }
+  };
+
+  view.querySelector('.api-coll-new-btn').onclick = async () => {
+    const name = (await showPrompt({ title: t('api.newCollection'), placeholder: t('api.collectionName') }))?.trim();
+    if (!name) return;
+    data.collections.push({ id: makeId('col'), name, requests: [] });
+    await persist(projectIndex, project);
+    rerender();
+  };
+
+  view.querySelectorAll('.api-coll-group').forEach(group => {
+    const collection = data.collections.find(c => c.id === group.dataset.collection);
+    const header = group.querySelector('.api-coll-header');
+
+    header.onclick = (e) => {
+      if (e.target.closest('.api-coll-action')) return;
+      const requests = group.querySelector('.api-coll-requests');
+      const hidden = requests.style.display === 'none';
+      requests.style.display = hidden ? '' : 'none';
+      header.querySelector('.api-tester-chevron').classList.toggle('open', hidden);
+    };
+
+    group.querySelector('.api-coll-run').onclick = (e) => runCollectionTests(e.currentTarget, projectIndex, project, collection, deps);
+
+    group.querySelector('.api-coll-rename').onclick = async () => {
+      const name = (await showPrompt({ title: t('api.renameCollection'), defaultValue: collection.name }))?.trim();
+      if (!name || name === collection.name) return;
+      collection.name = name;
+      await persist(projectIndex, project);
+      rerender();
+    };
+
+    group.querySelector('.api-coll-delete').onclick = async () => {
+      const ok = await showConfirm({
+        title: t('api.deleteCollection'),
+        message: t('api.deleteCollectionConfirm', { name: collection.name }),
+        danger: true
+      });
+      if (!ok) return;
+      data.collections = data.collections.filter(c => c !== collection);
+      await persist(projectIndex, project);
+      rerender();
+    };
+
+    group.querySelectorAll('.api-coll-request').forEach(item => {
+      const request = collection.requests.find(r => r.id === item.dataset.request);
+      item.onclick = (e) => {
+        if (e.target.closest('.api-coll-request-delete')) return;
+        view.querySelectorAll('.api-coll-request').forEach(r => r.classList.remove('selected'));
+        item.classList.add('selected');
+        openRequest(view, projectIndex, project, request, deps, { requestId: request.id, name: request.name });
+      };
+      item.querySelector('.api-coll-request-delete').onclick = async (e) => {
+        e.stopPropagation();
+        collection.requests = collection.requests.filter(r => r !== request);
+        await persist(projectIndex, project);
+        rerender();
+      };
+    });
+  });
+
+  view.querySelector('.api-coll-clear-btn').onclick = async () => {
+    try {
+      await apiElectron.api.clearHistory({ projectId: project.id });
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+    clearApiHistory(projectIndex);
+    renderHistoryList(view, projectIndex, project, deps);
+  };
+}
+
+// ===== Contract run =====
+
+async function runCollectionTests(button, projectIndex, project, collection, deps) {
+  const { t } = deps;
+  button.disabled = true;
+  button.classList.add('api-spin');
+  try {
+    const result = await apiElectron.api.runCollection({
+      projectId: project.id,
+      projectPath: project.path,
+      collectionId: collection.id,
+      variables: getActiveEnvironmentVars(projectIndex)
+    });
+    if (result?.success) showReportModal(result.collection, result.report, deps);
+    else showError(result?.error || t('api.runFailed'));
+  } catch (e) {
+    showError(e.message);
+  }
+  button.disabled = false;
+  button.classList.remove('api-spin');
+}
+
+function showReportModal(collectionName, report, deps) {
+  const { t } = deps;
+  const modal = createModal({
+    id: 'api-run-report-modal',
+    title: t('api.runReportTitle', { name: collectionName }),
+    size: 'large',
+    content: `
+      <div class="api-run-report">
+        <div class="api-run-summary ${report.failed ? 'fail' : 'pass'}">
+          ${escapeHtml(t('api.runSummary', { passed: report.passed, total: report.total, duration: report.duration }))}
+        </div>
+        ${report.results.map(r => `
+          <div class="api-run-result ${r.pass ? 'pass' : 'fail'}">
+            <div class="api-run-result-header">
+              <span class="api-assert-icon">${r.pass ? '✓' : '✗'}</span>
+              ${methodBadge(r.method)}
+              <span class="api-run-result-name" title="${escapeHtml(r.url)}">${escapeHtml(r.name)}</span>
+              ${r.error
+                ? `<span class="api-assert-message">${escapeHtml(r.error)}</span>`
+                : `<span class="api-coll-history-status" style="--status-color:${statusColor(r.status)}">${r.status}</span><span class="api-coll-history-time">${r.time}ms</span>`}
+            </div>
+            ${r.assertions.map(a => `
+              <div class="api-assert-result ${a.skipped ? 'skipped' : a.pass ? 'pass' : 'fail'}">
+                <span class="api-assert-icon">${a.skipped ? '–' : a.pass ? '✓' : '✗'}</span>
+                <span class="api-assert-label">${escapeHtml(a.label)}</span>
+                ${a.pass && !a.skipped ? '' : `<span class="api-assert-message">${escapeHtml(a.message)}</span>`}
+              </div>
+            `).join('')}
+            ${r.unresolved?.length ? `<div class="api-response-unresolved">${escapeHtml(t('api.unresolvedVars', { vars: r.unresolved.map(v => `{{${v}}}`).join(', ') }))}</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `,
+    buttons: [
+      {
+        label: t('api.copyReport'),
+        action: 'copy',
+        onClick: () => {
+          navigator.clipboard.writeText(formatReport(report, collectionName));
+          showSuccess(t('api.reportCopied'));
+        }
+      },
+      { label: t('common.close'), action: 'close', primary: true, onClick: (m) => closeModal(m) }
+    ]
+  });
+  showModal(modal);
+}
+
+// ===== Save to collection =====
+
+/**
+ * Ask for a collection and a name, then store the request.
+ * @param {number} projectIndex
+ * @param {Object} project
+ * @param {Object} request - { method, url, headers: rows, body }
+ * @param {Object} deps
+ * @param {Function} [onSaved]
+ */
+async function promptSaveRequest(projectIndex, project, request, deps, onSaved) {
+  const { t } = deps;
+  const data = await ensureLoaded(projectIndex, project);
+  let defaultName = request.url;
+  try { defaultName = new URL(request.url.replace(/\{\{[^}]*\}\}/g, 'x')).pathname; } catch (_) {}
+
+  const modal = createModal({
+    id: 'api-save-request-modal',
+    title: t('api.saveToCollection'),
+    size: 'small',
+    content: `
+      <div class="form-group">
+        <label class="form-label">${t('api.requestName')}</label>
+        <input type="text" id="api-save-request-name" class="form-input" value="${escapeHtml(`${request.method} ${defaultName}`)}" autocomplete="off">
+      </div>
+      <div class="form-group">
+        <label class="form-label">${t('api.collectionName')}</label>
+        <select id="api-save-request-collection" class="form-input">
+          ${data.collections.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('')}
+          <option value="">${t('api.newCollectionOption')}</option>
+        </select>
+      </div>
+      <div class="form-group" id="api-save-request-new-group" style="${data.collections.length ? 'display:none' : ''}">
+        <input type="text" id="api-save-request-new" class="form-input" placeholder="${t('api.collectionName')}" autocomplete="off">
+      </div>
+    `,
+    buttons: [
+      { label: t('common.cancel'), action: 'cancel', onClick: (m) => closeModal(m) },
+      {
+        label: t('api.save'),
+        action: 'save',
+        primary: true,
+        onClick: async (m) => {
+          const name = m.querySelector('#api-save-request-name').value.trim() || request.url;
+          const collectionId = m.querySelector('#api-save-request-collection').value;
+          let collection = data.collections.find(c => c.id === collectionId);
+          if (!collection) {
+            const newName = m.querySelector('#api-save-request-new').value.trim();
+            if (!newName) { m.querySelector('#api-save-request-new').focus(); return; }
+            collection = { id: makeId('col'), name: newName, requests: [] };
+            data.collections.push(collection);
+          }
+          collection.requests.push({
+            id: makeId('req'),
+            name,
+            method: request.method,
+            url: request.url,
+            headers: request.headers,
+            body: request.body,
+            assertions: request.assertions || [],
+            extract: request.extract || []
+          });
+          closeModal(m);
+          await persist(projectIndex, project);
+          showSuccess(t('api.requestSaved', { name }));
+          if (onSaved) onSaved();
+        }
+      }
+    ]
+  });
+
+  const select = modal.querySelector('#api-save-request-collection');
+  select.onchange = () => {
+    modal.querySelector('#api-save-request-new-group').style.display = select.value ? 'none' : '';
+  };
+  showModal(modal);
+}
+
+// ===== Environments =====
+
+function showEnvironmentsModal(projectIndex, project, deps, onSaved) {
+  const { t } = deps;
+  const data = getApiCollections(projectIndex);
+  const environments = data.environments.map(env => ({ ...env, variables: { ...env.variables } }));
+  let current = environments.find(e => e.id === data.activeEnvironment) || environments[0] || null;
+
+  const modal = createModal({
+    id: 'api-environments-modal',
+    title: t('api.manageEnvironments'),
+    size: 'medium',
+    content: '<div class="api-env-editor"></div>',
+    buttons: [
+      { label: t('common.cancel'), action: 'cancel', onClick: (m) => closeModal(m) },
+      {
+        label: t('api.save'),
+        action: 'save',
+        primary: true,
+        onClick: async (m) => {
+          readRows();
+          data.environments = environments;
+          if (!environments.some(e => e.id === data.activeEnvironment)) data.activeEnvironment = environments[0]?.id || null;
+          closeModal(m);
+          await persist(projectIndex, project);
+          onSaved();
+        }
+      }
+    ]
+  });
+  const editor = modal.querySelector('.api-env-editor');
+
+  // Copy the visible rows back into the current environment before switching or saving
+  const readRows = () => {
+    if (!current) return;
+    const nameInput = editor.querySelector('.api-env-name');
+    current.name = nameInput.value.trim() || current.name;
+    current.variables = {};
+    editor.querySelectorAll('.api-env-var-row').forEach(row => {
+      const key = row.querySelector('.api-env-var-key').value.trim();
+      if (key) current.variables[key] = row.querySelector('.api-env-var-val').value;
+    });
+  };
+
+  const varRow = (key, value) => `
+    <div class="api-env-var-row">
+      <input type="text" class="form-input api-env-var-key" value="${escapeHtml(key)}" placeholder="baseUrl" spellcheck="false">
+      <input type="text" class="form-input api-env-var-val" value="${escapeHtml(value)}" placeholder="http://localhost:3000" spellcheck="false">
+      <button class="api-tester-header-del api-env-var-del">&times;</button>
+    </div>
+  `;
+
+  const render = () => {
+    editor.innerHTML = `
+      <div class="api-env-toolbar">
+        <select class="form-input api-env-select">
+          ${environments.map(e => `<option value="${e.id}" ${e === current ? 'selected' : ''}>${escapeHtml(e.name)}</option>`).join('')}
+        </select>
+        <button class="btn btn-secondary api-env-new">${t('api.newEnvironment')}</button>
+        ${current ? `<button class="btn btn-secondary api-env-delete">${t('api.deleteEnvironment')}</button>` : ''}
+      </div>
+      ${current ? `
+        <div class="form-group">
+          <label class="form-label">${t('api.environmentName')}</label>
+          <input type="text" class="form-input api-env-name" value="${escapeHtml(current.name)}" autocomplete="off">
+        </div>
+        <div class="api-env-vars">
+          ${Object.entries(current.variables).map(([k, v]) => varRow(k, v)).join('')}
+        </div>
+        <button class="btn btn-secondary api-env-add-var">${t('api.addVariable')}</button>
+        <span class="form-hint">${t('api.variablesEnvHint')}</span>
+      ` : `<span class="form-hint">${t('api.variablesEnvHint')}</span>`}
+    `;
+
+    editor.querySelector('.api-env-select').onchange = (e) => {
+      readRows();
+      current = environments.find(env => env.id === e.target.value) || null;
+      render();
+    };
+    editor.querySelector('.api-env-new').onclick = async () => {
+      readRows();
+      const name = (await showPrompt({ title: t('api.newEnvironment'), placeholder: t('api.environmentName') }))?.trim();
+      if (!name) return;
+      current = { id: makeId('env'), name, variables: { baseUrl: '', token: '' } };
+      environments.push(current);
+      render();
+    };
+    if (!current) return;
+    editor.querySelector('.api-env-delete').onclick = () => {
+      environments.splice(environments.indexOf(current), 1);
+      current = environments[0] || null;
+      render();
+    };
+    editor.querySelector('.api-env-add-var').onclick = () => {
+      editor.querySelector('.api-env-vars').insertAdjacentHTML('beforeend', varRow('', ''));
+      bindVarRows();
+      editor.querySelector('.api-env-var-row:last-child .api-env-var-key').focus();
+    };
+    bindVarRows();
+  };
+
+  const bindVarRows = () => {
+    editor.querySelectorAll('.api-env-var-del').forEach(btn => {
+      btn.onclick = () => btn.parentElement.remove();
+    });
+  };
+
+  render();
+  showModal(modal);
+}
+
+// ===== Diff =====
+
+function showDiffModal(before, after, deps) {
+  const { t } = deps;
+  const diff = diffResponses(before.response, after.response);
+  const metric = (label, a, b, format = v => v) => `
+    <div class="api-diff-metric ${a !== b ? 'changed' : ''}">
+      <span class="api-diff-metric-label">${label}</span>
+      <span>${escapeHtml(format(a))}</span>
+      <span class="api-diff-arrow">&rarr;</span>
+      <span>${escapeHtml(format(b))}</span>
+    </div>
+  `;
+  const orDash = v => (v === null || v === undefined ? '—' : v);
+
+  const modal = createModal({
+    id: 'api-diff-modal',
+    title: t('api.diffTitle'),
+    size: 'large',
+    content: `
+      <div class="api-diff">
+        <div class="api-diff-sides">
+          <span>${escapeHtml(before.name || before.request.url)} · ${formatTime(before.timestamp)}</span>
+          <span class="api-diff-arrow">&rarr;</span>
+          <span>${escapeHtml(after.name || after.request.url)} · ${formatTime(after.timestamp)}</span>
+        </div>
+        ${diff.identical ? `<div class="api-diff-identical">${t('api.diffIdentical')}</div>` : ''}
+        <div class="api-diff-metrics">
+          ${metric(t('api.diffStatus'), diff.status.before, diff.status.after, orDash)}
+          ${metric(t('api.diffTime'), diff.time.before, diff.time.after, v => v === undefined ? '—' : `${v}ms`)}
+          ${metric(t('api.diffSize'), diff.size.before, diff.size.after, v => v === undefined ? '—' : formatSize(v))}
+        </div>
+        ${diff.headers.length ? `
+          <div class="api-diff-section-title">${t('api.diffHeaders')}</div>
+          <div class="api-diff-headers">
+            ${diff.headers.map(h => `
+              <div class="api-diff-header">
+                <span class="api-response-header-key">${escapeHtml(h.key)}</span>
+                <span class="api-diff-del">${escapeHtml(orDash(h.before))}</span>
+                <span class="api-diff-add">${escapeHtml(orDash(h.after))}</span>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="api-diff-section-title">${t('api.diffBody')}</div>
+        <pre class="api-diff-body">${diff.body.map(line => {
+          const sign = line.type === 'add' ? '+' : line.type === 'del' ? '-' : ' ';
+          return `<span class="api-diff-line ${line.type}">${sign} ${escapeHtml(line.text)}</span>`;
+        }).join('\n')}</pre>
+      </div>
+    `,
+    buttons: [{ label: t('common.close'), action: 'close', onClick: (m) => closeModal(m) }]
+  });
+  showModal(modal);
+}
+
+module.exports = {
+  renderCollectionsView,
+  promptSaveRequest
+};
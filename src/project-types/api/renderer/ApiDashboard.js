@@ -3,7 +3,7 @@
  * Badge and stats for the dashboard
  */
 
-const { getApiServer } = require('./ApiState');
+const { getApiServer, getApiMock } = require('./ApiState');
 
 function getDashboardBadge(project) {
   return {
@@ -18,8 +18,16 @@ function getDashboardStats(ctx) {
 
   const server = getApiServer(projectIndex);
   const status = server.status;
+  const mock = getApiMock(projectIndex);
+  const mockPort = mock.status === 'running' && mock.port ? parseInt(mock.port, 10) : null;
+  const mockStat = mockPort ? `
+    <div class="dashboard-quick-stat api-stat">
+      <span class="api-status-dot running"></span>
+      <span>${t('api.mockServer')}: <span class="api-url-link">localhost:${mockPort}</span></span>
+    </div>
+  ` : '';
 
-  if (status === 'stopped') return '';
+  if (status === 'stopped') return mockStat;
 
   const safePort = server.port ? parseInt(server.port, 10) : null;
   const safeStatus = ['running', 'starting', 'stopped'].includes(status) ? status : 'stopped';
@@ -32,7 +40,7 @@ function getDashboardStats(ctx) {
       <span class="api-status-dot ${safeStatus}"></span>
       <span>${t('api.server')}: ${statusLabel}</span>
     </div>
-  `;
+  ` + mockStat;
 }
 
 module.exports = { getDashboardBadge, getDashboardStats };
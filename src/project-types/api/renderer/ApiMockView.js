@@ -0,0 +1,346 @@
+/**
+ * API Mock View
+ * Mock server of an API project: settings (port, latency, CRUD stubs, spec source),
+ * per-route overrides (enabled, status, latency, body) and the request log.
+ */
+
+const { apiState, getApiMock, setApiMock, clearApiMockLogs } = require('./ApiState');
+const { methodBadge, statusColor, escapeHtml } = require('./ApiTesterPanel');
+const { startMockServer, stopMockServer } = require('./ApiRendererService');
+const { DEFAULT_MOCK_PORT, normalizeMockConfig, routeKey, defaultStatus } = require('../../../shared/api-mock');
+const { createModal, showModal, closeModal } = require('../../../renderer/ui/components/Modal');
+const { showSuccess, showError } = require('../../../renderer/ui/components/Toast');
+const apiElectron = window.electron_api;
+
+const subscriptions = new WeakMap(); // view -> unsubscribe
+
+// ===== Data =====
+
+/** Settings, routes (re-detected, or read from the chosen spec) and server status */
+async function loadMock(projectIndex, project) {
+  try {
+    const result = await apiElectron.api.loadMockConfig({ projectId: project.id, projectPath: project.path });
+    if (result.error) showError(result.error);
+    setApiMock(projectIndex, { config: result.config, routes: result.routes || [] });
+  } catch (e) {
+    console.error('[API] Failed to load mock settings:', e);
+    setApiMock(projectIndex, { config: normalizeMockConfig(), routes: [] });
+  }
+  try {
+    const status = await apiElectron.api.getMockStatus({ projectIndex });
+    setApiMock(projectIndex, status.running ? { status: 'running', port: status.port } : { status: 'stopped', port: null });
+  } catch (e) {}
+  return getApiMock(projectIndex);
+}
+
+async function persist(projectIndex, project, config) {
+  setApiMock(projectIndex, { config });
+  try {
+    const result = await apiElectron.api.saveMockConfig({ projectIndex, projectId: project.id, projectPath: project.path, config });
+    if (result && !result.success) showError(result.error);
+  } catch (e) {
+    showError(e.message);
+  }
+}
+
+function mockUrl(mock) {
+  return mock.port ? `http://127.0.0.1:${mock.port}` : null;
+}
+
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString();
+}
+
+// ===== View =====
+
+async function renderMockView(view, projectIndex, project, deps) {
+  const { t } = deps;
+  const mock = await loadMock(projectIndex, project);
+  const config = mock.config;
+
+  view.innerHTML = `
+    <div class="api-mock-panel">
+      <div class="api-mock-toolbar">
+        <div class="api-mock-status"></div>
+        <label class="api-mock-field">
+          <span>${t('api.mockPort')}</span>
+          <input type="number" class="api-mock-input api-mock-port" min="1" max="65535" value="${config.port}" />
+        </label>
+        <label class="api-mock-field" title="${t('api.mockLatencyHint')}">
+          <span>${t('api.mockLatency')}</span>
+          <input type="number" class="api-mock-input api-mock-delay" min="0" max="60000" step="50" value="${config.delay}" />
+          <span>ms</span>
+        </label>
+        <label class="api-routes-toggle" title="${t('api.mockCrudHint')}">
+          <input type="checkbox" class="api-routes-toggle-input api-mock-crud" ${config.crud ? 'checked' : ''} />
+          <span class="api-routes-toggle-slider"></span>
+          <span class="api-routes-toggle-label">${t('api.mockCrud')}</span>
+        </label>
+        <div class="api-mock-source" title="${escapeHtml(config.specFile || '')}">
+          <span class="api-mock-source-label">${t('api.mockSource')}</span>
+          <span class="api-mock-source-value">${config.specFile ? escapeHtml(config.specFile) : t('api.mockSourceDetected')}</span>
+          <button class="api-coll-history-btn api-mock-spec-btn">${t('api.mockChooseSpec')}</button>
+          ${config.specFile ? `<button class="api-coll-history-btn api-mock-spec-clear" title="${t('api.mockUseDetected')}">&times;</button>` : ''}
+        </div>
+        <div class="api-routes-toolbar-actions">
+          <button class="api-routes-export-btn api-mock-reset" title="${t('api.mockResetData')}">
+            <svg viewBox="0 0 24 24" fill="currentColor" width="12" height="12"><path d="M17.65 6.35A7.958 7.958 0 0012 4a8 8 0 108 8h-2a6 6 0 11-1.76-4.24L13 11h7V4l-2.35 2.35z"/></svg>
+          </button>
+          <button class="api-mock-toggle"></button>
+        </div>
+      </div>
+      <div class="api-mock-body">
+        <div class="api-mock-routes">
+          ${mock.routes.length === 0 ? `
+            <div class="api-routes-empty">
+              <span class="api-routes-empty-text">${t('api.mockNoRoutes')}</span>
+              <span class="api-tester-empty-hint">${t('api.mockNoRoutesHint')}</span>
+            </div>
+          ` : `
+            <div class="api-mock-route api-mock-route-head">
+              <span></span><span>${t('api.mockRoute')}</span><span>${t('api.mockStatus')}</span><span>${t('api.mockLatency')}</span><span></span>
+            </div>
+            ${mock.routes.map(route => renderRouteRow(route, config, t)).join('')}
+          `}
+        </div>
+        <div class="api-mock-log">
+          <div class="api-coll-history-header">
+            <span>${t('api.mockRequests')}</span>
+            <button class="api-coll-history-btn api-mock-log-clear">${t('api.clearHistory')}</button>
+          </div>
+          <div class="api-mock-log-list"></div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  updateStatus(view, projectIndex, deps);
+  renderLog(view, projectIndex, deps);
+  bindMockEvents(view, projectIndex, project, deps);
+
+  // Status and log follow the mock server while the view is open
+  if (subscriptions.has(view)) subscriptions.get(view)();
+  let last = getApiMock(projectIndex);
+  subscriptions.set(view, apiState.subscribe(() => {
+    const current = getApiMock(projectIndex);
+    if (current === last) return;
+    if (!view.isConnected) { cleanup(view); return; }
+    if (current.status !== last.status || current.port !== last.port) updateStatus(view, projectIndex, deps);
+    if (current.logs !== last.logs) renderLog(view, projectIndex, deps);
+    last = current;
+  }));
+}
+
+function renderRouteRow(route, config, t) {
+  const key = routeKey(route);
+  const rc = config.routes[key] || {};
+  return `
+    <div class="api-mock-route ${rc.enabled === false ? 'disabled' : ''}" data-key="${escapeHtml(key)}">
+      <input type="checkbox" class="api-mock-route-enabled" ${rc.enabled === false ? '' : 'checked'} title="${t('api.mockRouteEnabled')}" />
+      <span class="api-mock-route-path">${methodBadge(route.method)}<span class="api-route-path" title="${escapeHtml(route.summary || route.handler || '')}">${escapeHtml(route.path)}</span></span>
+      <input type="number" class="api-mock-input api-mock-route-status" min="100" max="599" placeholder="${defaultStatus(route)}" value="${rc.status ?? ''}" />
+      <input type="number" class="api-mock-input api-mock-route-delay" min="0" max="60000" step="50" placeholder="${config.delay}" value="${rc.delay ?? ''}" />
+      <button class="api-coll-history-btn api-mock-route-body ${rc.body !== undefined ? 'active' : ''}" title="${t('api.mockBodyHint')}">${t('api.mockBody')}</button>
+    </div>
+  `;
+}
+
+function updateStatus(view, projectIndex, deps) {
+  const { t } = deps;
+  const mock = getApiMock(projectIndex);
+  const url = mockUrl(mock);
+  const status = view.querySelector('.api-mock-status');
+  const toggle = view.querySelector('.api-mock-toggle');
+  if (!status || !toggle) return;
+
+  status.innerHTML = `
+    <span class="api-status-dot ${mock.status}"></span>
+    ${url && mock.status === 'running'
+      ? `<span class="api-url-link api-mock-url" title="${t('api.mockCopyUrl')}">${url}</span>`
+      : `<span>${mock.status === 'starting' ? t('api.starting') : t('api.mockStopped')}</span>`}
+  `;
+  toggle.className = `api-mock-toggle ${mock.status === 'stopped' ? 'start' : 'stop'}`;
+  toggle.disabled = mock.status === 'starting';
+  toggle.textContent = mock.status === 'stopped' ? t('api.mockStart') : t('api.mockStop');
+
+  const urlEl = status.querySelector('.api-mock-url');
+  if (urlEl) {
+    urlEl.onclick = () => {
+      navigator.clipboard.writeText(url);
+      showSuccess(t('api.mockUrlCopied'));
+    };
+  }
+}
+
+function renderLog(view, projectIndex, deps) {
+  const { t } = deps;
+  const list = view.querySelector('.api-mock-log-list');
+  if (!list) return;
+  const logs = getApiMock(projectIndex).logs;
+  const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+  list.innerHTML = logs.length === 0
+    ? `<div class="api-coll-history-empty">${t('api.mockNoRequests')}</div>`
+    : logs.map(entry => `
+      <div class="api-mock-log-item ${entry.matched ? '' : 'unmatched'}" title="${escapeHtml(entry.matched || t('api.mockUnmatched'))}">
+        <span class="api-coll-history-time">${formatClock(entry.time)}</span>
+        <span class="api-coll-history-status" style="--status-color:${statusColor(entry.status)}">${entry.status}</span>
+        ${methodBadge(entry.method)}
+        <span class="api-coll-history-name">${escapeHtml(entry.path)}</span>
+        <span class="api-coll-history-time">${entry.duration}ms</span>
+      </div>
+    `).join('');
+  if (atBottom) list.scrollTop = list.scrollHeight;
+}
+
+function bindMockEvents(view, projectIndex, project, deps) {
+  const { t } = deps;
+  const config = getApiMock(projectIndex).config;
+  const rerender = () => renderMockView(view, projectIndex, project, deps);
+  const save = () => persist(projectIndex, project, config);
+
+  view.querySelector('.api-mock-toggle').onclick = async () => {
+    const running = getApiMock(projectIndex).status !== 'stopped';
+    const result = running ? await stopMockServer(projectIndex) : await startMockServer(projectIndex);
+    if (result && !result.success) showError(result.error || t('api.mockStartFailed'));
+    else if (!running) showSuccess(t('api.mockStarted', { port: result.port, count: result.routes }));
+    // Sidebar menu and dashboard show the mock status
+    try {
+      const ProjectList = require('../../../renderer/ui/components/ProjectList');
+      if (ProjectList.render) ProjectList.render();
+    } catch (e) {}
+  };
+
+  view.querySelector('.api-mock-port').onchange = (e) => {
+    config.port = parseInt(e.target.value, 10) || DEFAULT_MOCK_PORT;
+    save();
+    if (getApiMock(projectIndex).status === 'running') showSuccess(t('api.mockRestartForPort'));
+  };
+
+  view.querySelector('.api-mock-delay').onchange = (e) => {
+    config.delay = parseInt(e.target.value, 10) || 0;
+    save();
+  };
+
+  view.querySelector('.api-mock-crud').onchange = (e) => {
+    config.crud = e.target.checked;
+    save();
+  };
+
+  view.querySelector('.api-mock-spec-btn').onclick = async () => {
+    try {
+      const result = await apiElectron.api.chooseMockSpec({ projectId: project.id, projectPath: project.path });
+      if (result?.canceled) return;
+      if (!result?.success) { showError(result?.error || t('api.mockSpecInvalid')); return; }
+      config.specFile = result.specFile;
+      setApiMock(projectIndex, { routes: result.routes });
+      await save();
+      showSuccess(t('api.mockSpecLoaded', { count: result.routes.length }));
+      rerender();
+    } catch (e) {
+      showError(e.message);
+    }
+  };
+
+  const clearSpec = view.querySelector('.api-mock-spec-clear');
+  if (clearSpec) {
+    clearSpec.onclick = async () => {
+      config.specFile = null;
+      await save();
+      rerender();
+    };
+  }
+
+  view.querySelector('.api-mock-reset').onclick = async () => {
+    await apiElectron.api.resetMock({ projectIndex });
+    showSuccess(t('api.mockDataReset'));
+  };
+
+  view.querySelector('.api-mock-log-clear').onclick = () => clearApiMockLogs(projectIndex);
+
+  view.querySelectorAll('.api-mock-route[data-key]').forEach(row => {
+    const key = row.dataset.key;
+    const route = getApiMock(projectIndex).routes.find(r => routeKey(r) === key);
+    const override = () => (config.routes[key] = config.routes[key] || {});
+
+    row.querySelector('.api-mock-route-enabled').onchange = (e) => {
+      if (e.target.checked) delete override().enabled;
+      else override().enabled = false;
+      row.classList.toggle('disabled', !e.target.checked);
+      save();
+    };
+
+    row.querySelector('.api-mock-route-status').onchange = (e) => {
+      const status = parseInt(e.target.value, 10);
+      if (status >= 100 && status <= 599) override().status = status;
+      else delete override().status;
+      save();
+    };
+
+    row.querySelector('.api-mock-route-delay').onchange = (e) => {
+      if (e.target.value === '') delete override().delay;
+      else override().delay = parseInt(e.target.value, 10) || 0;
+      save();
+    };
+
+    row.querySelector('.api-mock-route-body').onclick = () => {
+      showBodyModal(route, config.routes[key]?.body, deps, (body) => {
+        if (body === undefined) delete override().body;
+        else override().body = body;
+        row.querySelector('.api-mock-route-body').classList.toggle('active', body !== undefined);
+        save();
+      });
+    };
+  });
+}
+
+// ===== Response body =====
+
+function showBodyModal(route, customBody, deps, onSave) {
+  const { t } = deps;
+  const example = route.examples?.[defaultStatus(route)];
+  const placeholder = example !== undefined ? JSON.stringify(example, null, 2) : '';
+
+  const modal = createModal({
+    id: 'api-mock-body-modal',
+    title: t('api.mockBodyTitle', { route: routeKey(route) }),
+    size: 'medium',
+    content: `
+      <div class="form-group">
+        <span class="api-tester-empty-hint">${t('api.mockBodyModalHint')}</span>
+        <textarea id="api-mock-body-input" class="form-input api-mock-body-input" spellcheck="false" placeholder="${escapeHtml(placeholder)}">${escapeHtml(customBody ?? '')}</textarea>
+      </div>
+    `,
+    buttons: [
+      {
+        label: t('api.mockBodyDefault'),
+        action: 'default',
+        onClick: (m) => { closeModal(m); onSave(undefined); }
+      },
+      { label: t('common.cancel'), action: 'cancel', onClick: (m) => closeModal(m) },
+      {
+        label: t('api.save'),
+        action: 'save',
+        primary: true,
+        onClick: (m) => {
+          const body = m.querySelector('#api-mock-body-input').value;
+          if (/^\s*[[{]/.test(body)) {
+            try { JSON.parse(body); } catch (e) { showError(t('api.mockBodyInvalid', { error: e.message })); return; }
+          }
+          closeModal(m);
+          onSave(body.trim() ? body : undefined);
+        }
+      }
+    ]
+  });
+  showModal(modal);
+}
+
+function cleanup(view) {
+  const unsubscribe = subscriptions.get(view);
+  if (unsubscribe) { unsubscribe(); subscriptions.delete(view); }
+}
+
+module.exports = {
+  renderMockView,
+  cleanup
+};
@@ -3,7 +3,7 @@
  * Sidebar buttons, icons, status indicator
  */
 
-const { getApiServer } = require('./ApiState');
+const { getApiServer, getApiMock } = require('./ApiState');
 
 function getSidebarButtons(ctx) {
   const { project, projectIndex, t } = ctx;
@@ -44,14 +44,20 @@ function getProjectItemClass() {
 function getMenuItems(ctx) {
   const { projectIndex, t } = ctx;
   const server = getApiServer(projectIndex);
+  const mockRunning = getApiMock(projectIndex).status !== 'stopped';
+  let items = '';
 
   if (server.status === 'running' && server.port) {
-    return `<div class="action-item btn-api-test-endpoint" data-port="${server.port}">
+    items += `<div class="action-item btn-api-test-endpoint" data-port="${server.port}">
       <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M14 3v2h3.59l-9.83 9.83 1.41 1.41L19 6.41V10h2V3h-7z"/><path d="M5 5v14h14v-7h-2v5H7V7h5V5H5z"/></svg>
       ${t('api.openEndpoint')}
     </div>`;
   }
-  return '';
+  items += `<div class="action-item btn-api-mock-toggle" data-project-index="${projectIndex}">
+      <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14">${mockRunning ? '<path d="M6 6h12v12H6z"/>' : '<path d="M4 5h16v4H4zm0 5h16v4H4zm0 5h16v4H4z" opacity=".35"/><path d="M6 6.5h2v1H6zm0 5h2v1H6zm0 5h2v1H6z"/>'}</svg>
+      ${mockRunning ? t('api.mockStopServer') : t('api.mockStartServer')}
+    </div>`;
+  return items;
 }
 
 function getDashboardIcon() {
@@ -80,6 +86,13 @@ function bindSidebarEvents(list, cbs) {
     };
   });
 
+  list.querySelectorAll('.btn-api-mock-toggle').forEach(btn => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      if (cbs.onToggleApiMock) cbs.onToggleApiMock(parseInt(btn.dataset.projectIndex));
+    };
+  });
+
   list.querySelectorAll('.btn-api-test-endpoint').forEach(btn => {
     btn.onclick = (e) => {
       e.stopPropagation();
@@ -12,7 +12,8 @@ const {
   setApiPort,
   addApiLog,
   clearApiLogs,
-  initApiServer
+  initApiServer,
+  setApiMock
 } = require('./ApiState');
 
 const API_TERMINAL_THEME = {
@@ -71,6 +72,37 @@ async function stopApiServer(projectIndex) {
   }
 }
 
+/**
+ * Start the mock server of a project from its detected routes (or its chosen spec).
+ * @param {number} projectIndex
+ * @returns {Promise<{ success: boolean, port?: number, routes?: number, error?: string }>}
+ */
+async function startMockServer(projectIndex) {
+  const { projectsState } = require('../../../renderer/state');
+  const project = projectsState.get().projects[projectIndex];
+  if (!project) return { success: false, error: 'Project not found' };
+
+  setApiMock(projectIndex, { status: 'starting' });
+  try {
+    const result = await api.api.startMock({ projectIndex, projectId: project.id, projectPath: project.path });
+    setApiMock(projectIndex, result.success ? { status: 'running', port: result.port } : { status: 'stopped', port: null });
+    return result;
+  } catch (e) {
+    setApiMock(projectIndex, { status: 'stopped', port: null });
+    return { success: false, error: e.message };
+  }
+}
+
+async function stopMockServer(projectIndex) {
+  try {
+    const result = await api.api.stopMock({ projectIndex });
+    setApiMock(projectIndex, { status: 'stopped', port: null });
+    return result;
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
 function createApiTerminal(projectIndex) {
   const terminal = new Terminal({
     theme: API_TERMINAL_THEME,
@@ -155,14 +187,29 @@ function registerApiListeners(onDataCallback, onExitCallback) {
   });
 }
 
+/**
+ * Delete saved collections, environments and history of a removed project.
+ * @param {string} projectId
+ */
+async function removeApiProjectData(projectId) {
+  try {
+    await api.api.removeCollections({ projectId });
+  } catch (e) {
+    console.error('[API] Failed to remove saved collections:', e);
+  }
+}
+
 module.exports = {
   startApiServer,
   stopApiServer,
+  startMockServer,
+  stopMockServer,
   createApiTerminal,
   getApiTerminal,
   mountApiTerminal,
   fitApiTerminal,
   disposeApiTerminal,
   registerApiListeners,
+  removeApiProjectData,
   getApiServer
 };
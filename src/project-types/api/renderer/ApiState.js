@@ -1,6 +1,6 @@
 /**
  * API State Module
- * Manages API server state + detected routes + test history
+ * Manages API server state + detected routes + test history + saved collections + mock servers
  */
 
 const { State } = require('../../../renderer/state/State');
@@ -8,9 +8,13 @@ const { State } = require('../../../renderer/state/State');
 const initialState = {
   apiServers: new Map(),  // projectIndex -> { status, logs[], port, framework }
   apiRoutes: new Map(),   // projectIndex -> Array<{method, path, handler, file, line}>
-  apiHistory: new Map()   // projectIndex -> Array<{request, response, timestamp}>
+  apiHistory: new Map(),  // projectIndex -> Array<{id, request, response, timestamp}> (newest first)
+  apiCollections: new Map(), // projectIndex -> {collections, environments, activeEnvironment}
+  apiMocks: new Map()     // projectIndex -> { status, port, logs[], config, routes[] }
 };
 
+const MAX_MOCK_LOGS = 200;
+
 const apiState = new State(initialState);
 
 // ===== Server state =====
@@ -96,11 +100,17 @@ function getApiHistory(projectIndex) {
   return apiState.get().apiHistory.get(projectIndex) || [];
 }
 
+function setApiHistory(projectIndex, entries) {
+  const map = apiState.get().apiHistory;
+  map.set(projectIndex, entries);
+  apiState.setProp('apiHistory', map);
+}
+
 function addApiHistoryEntry(projectIndex, entry) {
   const map = apiState.get().apiHistory;
   const current = map.get(projectIndex) || [];
-  // Keep last 50 entries
-  const updated = [entry, ...current].slice(0, 50);
+  // Keep last 100 entries (same cap as the persisted history)
+  const updated = [entry, ...current].slice(0, 100);
   map.set(projectIndex, updated);
   apiState.setProp('apiHistory', map);
 }
@@ -111,6 +121,52 @@ function clearApiHistory(projectIndex) {
   apiState.setProp('apiHistory', map);
 }
 
+// ===== Collections state =====
+
+function getApiCollections(projectIndex) {
+  return apiState.get().apiCollections.get(projectIndex) || null;
+}
+
+function setApiCollections(projectIndex, data) {
+  const map = apiState.get().apiCollections;
+  map.set(projectIndex, data);
+  apiState.setProp('apiCollections', map);
+}
+
+/** Variables of the active environment, used for {{name}} substitution at send time */
+function getActiveEnvironmentVars(projectIndex) {
+  const data = getApiCollections(projectIndex);
+  const env = data?.environments.find(e => e.id === data.activeEnvironment);
+  return env ? { ...env.variables } : {};
+}
+
+// ===== Mock server state =====
+
+function getApiMock(projectIndex) {
+  return apiState.get().apiMocks.get(projectIndex) || {
+    status: 'stopped',
+    port: null,
+    logs: [],
+    config: null,
+    routes: []
+  };
+}
+
+function setApiMock(projectIndex, changes) {
+  const map = apiState.get().apiMocks;
+  map.set(projectIndex, { ...getApiMock(projectIndex), ...changes });
+  apiState.setProp('apiMocks', map);
+}
+
+function addApiMockLog(projectIndex, entry) {
+  const current = getApiMock(projectIndex);
+  setApiMock(projectIndex, { logs: [...current.logs, entry].slice(-MAX_MOCK_LOGS) });
+}
+
+function clearApiMockLogs(projectIndex) {
+  setApiMock(projectIndex, { logs: [] });
+}
+
 module.exports = {
   apiState,
   getApiServer,
@@ -124,6 +180,14 @@ module.exports = {
   getApiRoutes,
   setApiRoutes,
   getApiHistory,
+  setApiHistory,
   addApiHistoryEntry,
-  clearApiHistory
+  clearApiHistory,
+  getApiCollections,
+  setApiCollections,
+  getActiveEnvironmentVars,
+  getApiMock,
+  setApiMock,
+  addApiMockLog,
+  clearApiMockLogs
 };
@@ -1,11 +1,15 @@
 /**
  * API Terminal Panel
- * Console + Info + Routes (API tester with variable resolution)
+ * Console + Info + Routes (API tester with variable resolution) + Collections + Mock server
  */
 
-const { getApiServer, setApiPort, getApiRoutes, setApiRoutes, addApiHistoryEntry, getApiHistory } = require('./ApiState');
+const { getApiServer, setApiPort, getApiRoutes, setApiRoutes } = require('./ApiState');
+const { METHOD_COLORS, methodBadge, escapeHtml, openTester } = require('./ApiTesterPanel');
+const { renderCollectionsView, promptSaveRequest } = require('./ApiCollectionsView');
+const ApiMockView = require('./ApiMockView');
 const { updateProject } = require('../../../renderer/state/projects.state');
 const { t } = require('../../../renderer/i18n');
+const { showSuccess, showError } = require('../../../renderer/ui/components/Toast');
 const apiElectron = window.electron_api;
 
 const pollTimers = new WeakMap();
@@ -38,37 +42,6 @@ async function resolvePort(projectIndex) {
   } catch (e) { return null; }
 }
 
-// ===== Helpers =====
-
-const METHOD_COLORS = {
-  GET: '#3fb950', POST: '#58a6ff', PUT: '#d29922',
-  PATCH: '#d29922', DELETE: '#ff7b72', HEAD: '#8b949e',
-  OPTIONS: '#8b949e', ALL: '#a855f7'
-};
-
-function methodBadge(method) {
-  const color = METHOD_COLORS[method] || '#8b949e';
-  return `<span class="api-method-badge" style="--method-color:${color}">${method}</span>`;
-}
-
-function statusColor(status) {
-  if (status >= 200 && status < 300) return '#3fb950';
-  if (status >= 300 && status < 400) return '#58a6ff';
-  if (status >= 400 && status < 500) return '#d29922';
-  if (status >= 500) return '#ff7b72';
-  return '#8b949e';
-}
-
-function formatSize(bytes) {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
-}
-
-function escapeHtml(str) {
-  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-}
-
 // ===== Variable resolution system =====
 
 function getProjectVars(project) {
@@ -102,6 +75,25 @@ function hasUnresolvedVars(path) {
   return /\$\{/.test(path);
 }
 
+// ===== OpenAPI parameters =====
+
+/** Fill path params (:id, <int:id>, {id}) and append query params that have an example */
+function applyParamExamples(path, params) {
+  if (!params || !params.length) return path;
+  const examples = new Map(params.filter(p => p.in === 'path' && p.example !== '').map(p => [p.name, p.example]));
+  const fill = (full, name) => examples.has(name) ? encodeURIComponent(examples.get(name)) : full;
+  let filled = path
+    .replace(/<(?:\w+:)?(\w+)>/g, fill)
+    .replace(/\{(\w+)(?::[^}]*)?\}/g, fill)
+    .replace(/:(\w+)\??/g, fill);
+  const query = params.filter(p => p.in === 'query' && p.example !== '');
+  if (query.length) {
+    const qs = query.map(p => `${encodeURIComponent(p.name)}=${encodeURIComponent(p.example)}`).join('&');
+    filled += (filled.includes('?') ? '&' : '?') + qs;
+  }
+  return filled;
+}
+
 // ===== Main view =====
 
 function getViewSwitcherHtml() {
@@ -115,6 +107,14 @@ function getViewSwitcherHtml() {
         <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/></svg>
         ${t('api.routesTab')}
       </button>
+      <button class="api-view-tab" data-view="collections">
+        <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M10 4H4a2 2 0 00-2 2v12a2 2 0 002 2h16a2 2 0 002-2V8a2 2 0 00-2-2h-8l-2-2z"/></svg>
+        ${t('api.collectionsTab')}
+      </button>
+      <button class="api-view-tab" data-view="mock">
+        <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M4 5h16v4H4zm0 5h16v4H4zm0 5h16v4H4z" opacity=".35"/><path d="M6 6.5h2v1H6zm0 5h2v1H6zm0 5h2v1H6z"/></svg>
+        ${t('api.mockTab')}
+      </button>
       <button class="api-view-tab" data-view="info">
         <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-6h2v6zm0-8h-2V7h2v2z"/></svg>
         ${t('api.serverInfo')}
@@ -123,6 +123,8 @@ function getViewSwitcherHtml() {
     <div class="api-view-content">
       <div class="api-console-view api-view api-view-active"></div>
       <div class="api-routes-view api-view"></div>
+      <div class="api-collections-view api-view"></div>
+      <div class="api-mock-view api-view"></div>
       <div class="api-info-view api-view"></div>
     </div>
   `;
@@ -132,6 +134,8 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
   const { t, getTerminal } = deps;
   const consoleView = wrapper.querySelector('.api-console-view');
   const routesView = wrapper.querySelector('.api-routes-view');
+  const collectionsView = wrapper.querySelector('.api-collections-view');
+  const mockView = wrapper.querySelector('.api-mock-view');
   const infoView = wrapper.querySelector('.api-info-view');
 
   wrapper.querySelectorAll('.api-view-tab').forEach(tab => {
@@ -140,9 +144,11 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
       wrapper.querySelectorAll('.api-view-tab').forEach(t => t.classList.remove('active'));
       tab.classList.add('active');
 
-      [consoleView, routesView, infoView].forEach(v => v.classList.remove('api-view-active'));
+      [consoleView, routesView, collectionsView, mockView, infoView].forEach(v => v.classList.remove('api-view-active'));
       if (view === 'console') consoleView.classList.add('api-view-active');
       else if (view === 'routes') routesView.classList.add('api-view-active');
+      else if (view === 'collections') collectionsView.classList.add('api-view-active');
+      else if (view === 'mock') mockView.classList.add('api-view-active');
       else if (view === 'info') infoView.classList.add('api-view-active');
 
       if (view === 'console') {
@@ -150,6 +156,10 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
         if (termData) setTimeout(() => termData.fitAddon.fit(), 50);
       } else if (view === 'routes') {
         renderRoutesView(wrapper, projectIndex, project, deps);
+      } else if (view === 'collections') {
+        renderCollectionsView(collectionsView, projectIndex, project, deps);
+      } else if (view === 'mock') {
+        ApiMockView.renderMockView(mockView, projectIndex, project, deps);
       } else if (view === 'info') {
         renderInfoView(wrapper, projectIndex, project, deps);
       }
@@ -270,6 +280,9 @@ async function renderRoutesView(wrapper, projectIndex, project, deps) {
                 <svg viewBox="0 0 24 24" fill="currentColor" width="12" height="12"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
               </button>
             `}
+            <button class="api-routes-export-btn" title="${t('api.exportOpenApi')}" ${routes.length ? '' : 'disabled'}>
+              <svg viewBox="0 0 24 24" fill="currentColor" width="12" height="12"><path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/></svg>
+            </button>
             <label class="api-routes-toggle" title="${autoDetect ? t('api.autoDetect') : t('api.manualMode')}">
               <input type="checkbox" class="api-routes-toggle-input" ${autoDetect ? 'checked' : ''} />
               <span class="api-routes-toggle-slider"></span>
@@ -296,10 +309,11 @@ async function renderRoutesView(wrapper, projectIndex, project, deps) {
             const resolved = !hasUnresolvedVars(r.displayPath);
             const methodColor = METHOD_COLORS[r.method] || '#8b949e';
             return `
-            <div class="api-route-item ${resolved ? '' : 'unresolved'}" style="--route-color:${methodColor}" data-index="${i}" data-method="${r.method}" data-path="${escapeHtml(r.displayPath)}" data-raw-path="${escapeHtml(r.rawPath)}" ${r.file ? `title="${escapeHtml(r.file)}:${r.line}"` : ''}>
+            <div class="api-route-item ${resolved ? '' : 'unresolved'}" style="--route-color:${methodColor}" data-index="${i}" data-method="${r.method}" data-path="${escapeHtml(r.displayPath)}" data-raw-path="${escapeHtml(r.rawPath)}" data-summary="${escapeHtml(r.summary || '')}" ${routeTitle(r) ? `title="${escapeHtml(routeTitle(r))}"` : ''}>
               <span class="api-route-accent"></span>
               ${methodBadge(r.method)}
               <span class="api-route-path">${formatRoutePath(r.displayPath, r.rawPath, savedVars)}</span>
+              ${r.source === 'openapi' || r.specFile ? `<span class="api-route-spec-badge">${t('api.specBadge')}</span>` : ''}
               ${r.handler ? `<span class="api-route-handler">${escapeHtml(r.handler)}</span>` : ''}
               ${!autoDetect ? `<button class="api-route-delete-btn" data-index="${i}" title="${t('api.deleteRoute')}">&times;</button>` : ''}
             </div>`;
@@ -380,6 +394,14 @@ function buildVariablesPanel(varNames, savedVars, t) {
   `;
 }
 
+/** Tooltip: spec summary, then where the route comes from */
+function routeTitle(route) {
+  const sources = [];
+  if (route.file) sources.push(route.line ? `${route.file}:${route.line}` : route.file);
+  if (route.specFile && route.specFile !== route.file) sources.push(route.specFile);
+  return [route.summary, sources.join(' · ')].filter(Boolean).join('\n');
+}
+
 /** Format route path with visual distinction for resolved vars */
 function formatRoutePath(displayPath, rawPath, savedVars) {
   if (rawPath === displayPath) return escapeHtml(displayPath);
@@ -439,7 +461,7 @@ function bindRoutesViewEvents(routesView, wrapper, projectIndex, project, deps,
       scanBtn.disabled = true;
       scanBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="currentColor" width="13" height="13" class="api-spin"><path d="M17.65 6.35A7.958 7.958 0 0 0 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08A5.99 5.99 0 0 1 12 18c-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/></svg> ${t('api.scanning')}`;
       try {
-        const detected = await apiElectron.api.detectRoutes({ projectPath: project.path });
+        const detected = await apiElectron.api.detectRoutes({ projectPath: project.path, projectId: project.id });
         setApiRoutes(projectIndex, detected);
       } catch (e) {
         console.error('[API] Route detection error:', e);
@@ -500,12 +522,27 @@ function bindRoutesViewEvents(routesView, wrapper, projectIndex, project, deps,
     };
   });
 
+  // ── Export OpenAPI ──
+  const exportBtn = routesView.querySelector('.api-routes-export-btn');
+  if (exportBtn) {
+    exportBtn.onclick = async () => {
+      const exported = routes.map(({ displayPath, rawPath, ...r }) => ({ ...r, path: displayPath }));
+      try {
+        const result = await apiElectron.api.exportOpenApi({ projectPath: project.path, routes: exported, serverUrl: baseUrl || undefined });
+        if (result?.success) showSuccess(t('api.exportOpenApiDone').replace('{count}', result.count).replace('{file}', result.filePath));
+        else if (result && !result.canceled) showError(result.error || t('api.exportOpenApiFailed'));
+      } catch (e) {
+        showError(e.message);
+      }
+    };
+  }
+
   // ── Filter ──
   const searchInput = routesView.querySelector('.api-routes-search');
   searchInput.oninput = () => {
     const q = searchInput.value.toLowerCase();
     routesView.querySelectorAll('.api-route-item').forEach(item => {
-      const text = (item.dataset.method + ' ' + item.dataset.path).toLowerCase();
+      const text = (item.dataset.method + ' ' + item.dataset.path + ' ' + item.dataset.summary).toLowerCase();
       item.style.display = text.includes(q) ? '' : 'none';
     });
   };
@@ -519,8 +556,14 @@ function bindRoutesViewEvents(routesView, wrapper, projectIndex, project, deps,
       if (!route) return;
       routesView.querySelectorAll('.api-route-item').forEach(r => r.classList.remove('selected'));
       item.classList.add('selected');
-      const resolvedPath = route.displayPath;
-      openTester(routesView, projectIndex, route.method, baseUrl + resolvedPath, deps);
+      const resolvedPath = applyParamExamples(route.displayPath, route.params);
+      openTester(routesView.querySelector('.api-tester-panel'), projectIndex, project, {
+        method: route.method,
+        url: baseUrl + resolvedPath,
+        params: route.params,
+        contentType: route.contentType,
+        body: route.body
+      }, deps, { name: routeTitle(route).split('\n')[0] || `${route.method} ${route.displayPath}`, onSave: (request) => promptSaveRequest(projectIndex, project, request, deps) });
     };
   });
 
@@ -530,7 +573,9 @@ function bindRoutesViewEvents(routesView, wrapper, projectIndex, project, deps,
     const url = routesView.querySelector('.api-custom-url-input').value.trim();
     if (!url) return;
     routesView.querySelectorAll('.api-route-item').forEach(r => r.classList.remove('selected'));
-    openTester(routesView, projectIndex, method, url, deps);
+    openTester(routesView.querySelector('.api-tester-panel'), projectIndex, project, { method, url }, deps, {
+      onSave: (request) => promptSaveRequest(projectIndex, project, request, deps)
+    });
   };
 
   routesView.querySelector('.api-custom-url-input').onkeydown = (e) => {
@@ -543,265 +588,10 @@ function bindRoutesViewEvents(routesView, wrapper, projectIndex, project, deps,
   }
 }
 
-// ===== API Tester panel =====
-
-function openTester(routesView, projectIndex, method, url, deps) {
-  const { t } = deps;
-  const panel = routesView.querySelector('.api-tester-panel');
-  const needsBody = ['POST', 'PUT', 'PATCH'].includes(method);
-
-  const methodColor = METHOD_COLORS[method] || '#8b949e';
-  panel.innerHTML = `
-    <div class="api-tester-request">
-      <div class="api-tester-url-bar">
-        <select class="api-tester-method" style="--method-color:${methodColor}">
-          ${['GET','POST','PUT','PATCH','DELETE','HEAD','OPTIONS'].map(m =>
-            `<option value="${m}" ${m === method ? 'selected' : ''}>${m}</option>`
-          ).join('')}
-        </select>
-        <input type="text" class="api-tester-url" value="${escapeHtml(url)}" spellcheck="false" />
-        <button class="api-tester-send-btn">
-          <svg viewBox="0 0 24 24" fill="currentColor" width="13" height="13"><path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/></svg>
-          <span>${t('api.send')}</span>
-        </button>
-      </div>
-
-      <div class="api-tester-sections">
-        <!-- Headers -->
-        <div class="api-tester-section">
-          <div class="api-tester-section-header" data-toggle="headers">
-            <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10" class="api-tester-chevron"><path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>
-            <span class="api-tester-section-title">${t('api.headers')}</span>
-            <span class="api-tester-section-count">2</span>
-            <button class="api-tester-add-header-btn" title="${t('api.addHeader')}">
-              <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
-            </button>
-          </div>
-          <div class="api-tester-headers-list">
-            <div class="api-tester-header-row">
-              <input type="text" class="api-tester-header-key" value="Content-Type" spellcheck="false" />
-              <input type="text" class="api-tester-header-val" value="application/json" spellcheck="false" />
-              <button class="api-tester-header-del">&times;</button>
-            </div>
-            <div class="api-tester-header-row">
-              <input type="text" class="api-tester-header-key" placeholder="Authorization" spellcheck="false" />
-              <input type="text" class="api-tester-header-val" placeholder="Bearer token..." spellcheck="false" />
-              <button class="api-tester-header-del">&times;</button>
-            </div>
-          </div>
-        </div>
-
-        <!-- Body -->
-        ${needsBody ? `
-          <div class="api-tester-section">
-            <div class="api-tester-section-header" data-toggle="body">
-              <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10" class="api-tester-chevron open"><path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>
-              <span class="api-tester-section-title">${t('api.body')}</span>
-            </div>
-            <div class="api-tester-body-section">
-              <textarea class="api-tester-body" placeholder='${t('api.requestBody')}' rows="6" spellcheck="false">{\n  \n}</textarea>
-            </div>
-          </div>
-        ` : ''}
-      </div>
-    </div>
-
-    <!-- Response -->
-    <div class="api-tester-response">
-      <div class="api-tester-response-placeholder">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" width="32" height="32" style="opacity:0.08"><path d="M13 10V3L4 14h7v7l9-11h-7z"/></svg>
-        <span>${t('api.ctrlEnterSend')}</span>
-      </div>
-    </div>
-  `;
-
-  bindTesterEvents(panel, projectIndex, deps);
-}
-
-function bindTesterEvents(panel, projectIndex, deps) {
-  const { t } = deps;
-
-  panel.querySelectorAll('.api-tester-section-header').forEach(header => {
-    header.onclick = (e) => {
-      if (e.target.classList.contains('api-tester-add-header-btn')) return;
-      const section = header.nextElementSibling;
-      const chevron = header.querySelector('.api-tester-chevron');
-      if (section.style.display === 'none') {
-        section.style.display = '';
-        chevron.classList.add('open');
-      } else {
-        section.style.display = 'none';
-        chevron.classList.remove('open');
-      }
-    };
-  });
-
-  const updateHeaderCount = () => {
-    const count = panel.querySelectorAll('.api-tester-header-row').length;
-    const countEl = panel.querySelector('.api-tester-section-count');
-    if (countEl) countEl.textContent = count;
-  };
-
-  panel.querySelector('.api-tester-add-header-btn').onclick = (e) => {
-    e.stopPropagation();
-    const list = panel.querySelector('.api-tester-headers-list');
-    const row = document.createElement('div');
-    row.className = 'api-tester-header-row';
-    row.innerHTML = `
-      <input type="text" class="api-tester-header-key" placeholder="${t('api.headerKey')}" spellcheck="false" />
-      <input type="text" class="api-tester-header-val" placeholder="${t('api.headerValue')}" spellcheck="false" />
-      <button class="api-tester-header-del">&times;</button>
-    `;
-    list.appendChild(row);
-    row.querySelector('.api-tester-header-del').onclick = () => { row.remove(); updateHeaderCount(); };
-    row.querySelector('.api-tester-header-key').focus();
-    updateHeaderCount();
-  };
-
-  panel.querySelectorAll('.api-tester-header-del').forEach(btn => {
-    btn.onclick = () => { btn.parentElement.remove(); updateHeaderCount(); };
-  });
-
-  panel.querySelector('.api-tester-method').onchange = () => {
-    const methodEl = panel.querySelector('.api-tester-method');
-    const method = methodEl.value;
-    const mColor = METHOD_COLORS[method] || '#8b949e';
-    methodEl.style.setProperty('--method-color', mColor);
-    const bodySection = panel.querySelector('.api-tester-body-section')?.closest('.api-tester-section');
-    if (bodySection) {
-      bodySection.style.display = ['POST','PUT','PATCH'].includes(method) ? '' : 'none';
-    }
-  };
-
-  panel.querySelector('.api-tester-send-btn').onclick = () => sendRequest(panel, projectIndex, deps);
-
-  panel.addEventListener('keydown', (e) => {
-    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-      e.preventDefault();
-      sendRequest(panel, projectIndex, deps);
-    }
-  });
-}
-
-async function sendRequest(panel, projectIndex, deps) {
-  const { t } = deps;
-  const method = panel.querySelector('.api-tester-method').value;
-  const url = panel.querySelector('.api-tester-url').value.trim();
-  if (!url) return;
-
-  const headers = {};
-  panel.querySelectorAll('.api-tester-header-row').forEach(row => {
-    const key = row.querySelector('.api-tester-header-key').value.trim();
-    const val = row.querySelector('.api-tester-header-val').value.trim();
-    if (key) headers[key] = val;
-  });
-
-  const bodyEl = panel.querySelector('.api-tester-body');
-  const body = bodyEl ? bodyEl.value : '';
-
-  const sendBtn = panel.querySelector('.api-tester-send-btn');
-  const responseDiv = panel.querySelector('.api-tester-response');
-  sendBtn.disabled = true;
-  sendBtn.classList.add('sending');
-  sendBtn.innerHTML = `<div class="api-loading-dots"><span></span><span></span><span></span></div><span>${t('api.sending')}</span>`;
-  responseDiv.innerHTML = '<div class="api-tester-response-placeholder"><div class="api-loading-dots" style="opacity:0.6"><span></span><span></span><span></span></div></div>';
-
-  try {
-    const result = await apiElectron.api.testRequest({ url, method, headers, body });
-    addApiHistoryEntry(projectIndex, {
-      request: { method, url, headers, body },
-      response: result,
-      timestamp: Date.now()
-    });
-    renderResponse(responseDiv, result, t);
-  } catch (e) {
-    responseDiv.innerHTML = `<div class="api-response-error">
-      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>
-      <span>${escapeHtml(e.message)}</span>
-    </div>`;
-  }
-
-  sendBtn.disabled = false;
-  sendBtn.classList.remove('sending');
-  sendBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="currentColor" width="13" height="13"><path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/></svg><span>${t('api.send')}</span>`;
-}
-
-function renderResponse(container, result, t) {
-  if (result.error && !result.status) {
-    container.innerHTML = `
-      <div class="api-response-error">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>
-        <span>${escapeHtml(result.error)}</span>
-      </div>
-    `;
-    return;
-  }
-
-  const sColor = statusColor(result.status);
-  const headersHtml = Object.entries(result.headers || {}).map(([k, v]) =>
-    `<div class="api-response-header"><span class="api-response-header-key">${escapeHtml(k)}</span><span class="api-response-header-val">${escapeHtml(v)}</span></div>`
-  ).join('');
-
-  let bodyHtml = escapeHtml(result.body || '');
-  let isJson = false;
-  try {
-    const parsed = JSON.parse(result.body);
-    bodyHtml = escapeHtml(JSON.stringify(parsed, null, 2));
-    isJson = true;
-  } catch (_) {
-    // Body is not JSON — display as raw text
-  }
-
-  const headerCount = Object.keys(result.headers || {}).length;
-  container.innerHTML = `
-    <div class="api-response-status-bar">
-      <div class="api-response-status">
-        <span class="api-response-status-code" style="--status-color:${sColor}">${result.status}</span>
-        <span class="api-response-status-text">${escapeHtml(result.statusText || '')}</span>
-      </div>
-      <div class="api-response-meta">
-        <span class="api-response-meta-item" title="${t('api.time')}">
-          <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><path d="M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10 10-4.5 10-10S17.5 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm.5-13H11v6l5.2 3.2.8-1.3-4.5-2.7V7z"/></svg>
-          <span>${result.time}ms</span>
-        </span>
-        <span class="api-response-meta-item" title="${t('api.size')}">
-          <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><path d="M20 6H4l8-4 8 4zm0 2H4v2h16V8zm-4 4H8v8h8v-8z"/></svg>
-          <span>${formatSize(result.size)}</span>
-        </span>
-      </div>
-    </div>
-    <div class="api-response-tabs">
-      <button class="api-response-tab active" data-rtab="body">
-        <svg viewBox="0 0 24 24" fill="currentColor" width="11" height="11"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm-1 2l5 5h-5V4zM6 20V4h5v7h7v9H6z"/></svg>
-        ${t('api.responseBody')}
-      </button>
-      <button class="api-response-tab" data-rtab="headers">
-        <svg viewBox="0 0 24 24" fill="currentColor" width="11" height="11"><path d="M3 13h2v-2H3v2zm0 4h2v-2H3v2zm0-8h2V7H3v2zm4 4h14v-2H7v2zm0 4h14v-2H7v2zM7 7v2h14V7H7z"/></svg>
-        ${t('api.responseHeaders')}
-        <span class="api-response-tab-count">${headerCount}</span>
-      </button>
-    </div>
-    <div class="api-response-body-content">
-      <pre class="api-response-body ${isJson ? 'json' : ''}">${bodyHtml}</pre>
-    </div>
-    <div class="api-response-headers-content" style="display:none">
-      ${headersHtml || `<span style="opacity:0.4">${t('api.noHeaders')}</span>`}
-    </div>
-  `;
-
-  container.querySelectorAll('.api-response-tab').forEach(tab => {
-    tab.onclick = () => {
-      container.querySelectorAll('.api-response-tab').forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
-      const which = tab.dataset.rtab;
-      container.querySelector('.api-response-body-content').style.display = which === 'body' ? '' : 'none';
-      container.querySelector('.api-response-headers-content').style.display = which === 'headers' ? '' : 'none';
-    };
-  });
-}
-
 function cleanup(wrapper) {
   clearPollTimer(wrapper);
+  const mockView = wrapper.querySelector('.api-mock-view');
+  if (mockView) ApiMockView.cleanup(mockView);
 }
 
 module.exports = {
@@ -0,0 +1,554 @@
+/**
+ * API Tester Panel
+ * Request builder + response viewer, shared by the Routes and Collections views.
+ * `{{name}}` variables are resolved in main from the active environment at send time.
+ * Assertions are evaluated here on the response; the contract runner evaluates the same ones in main.
+ */
+
+const { addApiHistoryEntry, getActiveEnvironmentVars, getApiRoutes } = require('./ApiState');
+const { evaluateAssertions, extractValues, matchRoute } = require('../../../shared/api-contract');
+const apiElectron = window.electron_api;
+
+// ===== Helpers =====
+
+const METHOD_COLORS = {
+  GET: '#3fb950', POST: '#58a6ff', PUT: '#d29922',
+  PATCH: '#d29922', DELETE: '#ff7b72', HEAD: '#8b949e',
+  OPTIONS: '#8b949e', ALL: '#a855f7'
+};
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+function methodBadge(method) {
+  const color = METHOD_COLORS[method] || '#8b949e';
+  return `<span class="api-method-badge" style="--method-color:${color}">${method}</span>`;
+}
+
+function statusColor(status) {
+  if (status >= 200 && status < 300) return '#3fb950';
+  if (status >= 300 && status < 400) return '#58a6ff';
+  if (status >= 400 && status < 500) return '#d29922';
+  if (status >= 500) return '#ff7b72';
+  return '#8b949e';
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function escapeHtml(str) {
+  return String(str ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Default header rows for a fresh request: Content-Type, spec header params, an empty Authorization slot */
+function defaultHeaderRows(contentType, params) {
+  return [
+    { key: 'Content-Type', value: contentType || 'application/json', enabled: true },
+    ...params.filter(p => p.in === 'header').map(p => ({ key: p.name, value: p.example || '', enabled: true, placeholder: p.description })),
+    { key: '', value: '', enabled: true, placeholder: 'Bearer token...', keyPlaceholder: 'Authorization' }
+  ];
+}
+
+const ASSERTION_TYPES = ['status', 'jsonPath', 'header', 'time', 'schema'];
+const ASSERTION_OPS = {
+  jsonPath: ['equals', 'notEquals', 'contains', 'exists', 'notExists', 'matches', 'lt', 'gt'],
+  header: ['exists', 'equals', 'contains', 'matches']
+};
+const VALUELESS_OPS = ['exists', 'notExists'];
+
+function assertionRowHtml(a, t) {
+  const ops = ASSERTION_OPS[a.type] || [];
+  return `
+    <div class="api-assert-row" data-type="${a.type}">
+      <select class="api-assert-type">
+        ${ASSERTION_TYPES.map(type => `<option value="${type}" ${type === a.type ? 'selected' : ''}>${t(`api.assertType.${type}`)}</option>`).join('')}
+      </select>
+      <input type="text" class="api-assert-target" value="${escapeHtml(a.target || '')}" placeholder="${a.type === 'header' ? 'Content-Type' : '$.data.id'}" spellcheck="false" />
+      <select class="api-assert-op">
+        ${ops.map(op => `<option value="${op}" ${op === a.op ? 'selected' : ''}>${t(`api.assertOp.${op}`)}</option>`).join('')}
+      </select>
+      <input type="text" class="api-assert-expected" value="${escapeHtml(a.expected ?? '')}" placeholder="${a.type === 'status' ? '200, 2xx' : a.type === 'time' ? 'ms' : t('api.assertExpected')}" spellcheck="false" />
+      <button class="api-tester-header-del">&times;</button>
+    </div>
+  `;
+}
+
+/** Show only the inputs the assertion type (and operator) uses */
+function syncAssertionRow(row) {
+  const type = row.querySelector('.api-assert-type').value;
+  const op = row.querySelector('.api-assert-op').value;
+  row.dataset.type = type;
+  row.querySelector('.api-assert-target').style.display = ['jsonPath', 'header'].includes(type) ? '' : 'none';
+  row.querySelector('.api-assert-op').style.display = ASSERTION_OPS[type] ? '' : 'none';
+  row.querySelector('.api-assert-expected').style.display = type === 'schema' || (ASSERTION_OPS[type] && VALUELESS_OPS.includes(op)) ? 'none' : '';
+}
+
+function extractRowHtml(x, t) {
+  return `
+    <div class="api-extract-row">
+      <input type="text" class="api-extract-name" value="${escapeHtml(x.name || '')}" placeholder="${t('api.extractName')}" spellcheck="false" />
+      <input type="text" class="api-extract-from" value="${escapeHtml(x.from || '')}" placeholder="$.token  |  header:X-Token" spellcheck="false" />
+      <button class="api-tester-header-del">&times;</button>
+    </div>
+  `;
+}
+
+function headerRowHtml(row, t) {
+  return `
+    <div class="api-tester-header-row ${row.enabled === false ? 'disabled' : ''}">
+      <input type="checkbox" class="api-tester-header-on" ${row.enabled === false ? '' : 'checked'} />
+      <input type="text" class="api-tester-header-key" value="${escapeHtml(row.key)}" placeholder="${escapeHtml(row.keyPlaceholder || t('api.headerKey'))}" spellcheck="false" />
+      <input type="text" class="api-tester-header-val" value="${escapeHtml(row.value)}" placeholder="${escapeHtml(row.placeholder || t('api.headerValue'))}" spellcheck="false" />
+      <button class="api-tester-header-del">&times;</button>
+    </div>
+  `;
+}
+
+// ===== Tester =====
+
+/**
+ * Render the request builder into `panel`.
+ * @param {HTMLElement} panel - the .api-tester-panel element
+ * @param {number} projectIndex
+ * @param {Object} project
+ * @param {Object} request - { method, url, headers?: [{key, value, enabled}], body?, contentType?, params?, assertions?, extract? }
+ * @param {Object} deps
+ * @param {Object} [options] - { requestId, name, onSave(request), onResponse(result), response }
+ */
+function openTester(panel, projectIndex, project, request, deps, options = {}) {
+  const { t } = deps;
+  const method = request.method || 'GET';
+  const needsBody = BODY_METHODS.includes(method);
+  const params = request.params || [];
+  const headerRows = request.headers || defaultHeaderRows(request.contentType, params);
+  const bodyValue = request.body !== undefined && request.body !== '' ? request.body : '{\n  \n}';
+  const assertions = request.assertions || [];
+  const extract = request.extract || [];
+
+  const methodColor = METHOD_COLORS[method] || '#8b949e';
+  panel.innerHTML = `
+    <div class="api-tester-request">
+      <div class="api-tester-url-bar">
+        <select class="api-tester-method" style="--method-color:${methodColor}">
+          ${['GET','POST','PUT','PATCH','DELETE','HEAD','OPTIONS'].map(m =>
+            `<option value="${m}" ${m === method ? 'selected' : ''}>${m}</option>`
+          ).join('')}
+        </select>
+        <input type="text" class="api-tester-url" value="${escapeHtml(request.url)}" spellcheck="false" />
+        ${options.onSave ? `
+          <button class="api-tester-save-btn" title="${t('api.saveToCollection')}">
+            <svg viewBox="0 0 24 24" fill="currentColor" width="13" height="13"><path d="M17 3H5a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2V7l-4-4zm-5 16a3 3 0 110-6 3 3 0 010 6zm3-10H5V5h10v4z"/></svg>
+            <span>${t('api.save')}</span>
+          </button>
+        ` : ''}
+        <button class="api-tester-send-btn">
+          <svg viewBox="0 0 24 24" fill="currentColor" width="13" height="13"><path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/></svg>
+          <span>${t('api.send')}</span>
+        </button>
+      </div>
+
+      <div class="api-tester-sections">
+        <!-- Headers -->
+        <div class="api-tester-section">
+          <div class="api-tester-section-header" data-toggle="headers">
+            <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10" class="api-tester-chevron"><path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>
+            <span class="api-tester-section-title">${t('api.headers')}</span>
+            <span class="api-tester-section-count">${headerRows.length}</span>
+            <button class="api-tester-add-header-btn" title="${t('api.addHeader')}">
+              <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
+            </button>
+          </div>
+          <div class="api-tester-headers-list">
+            ${headerRows.map(row => headerRowHtml(row, t)).join('')}
+          </div>
+        </div>
+
+        <!-- Parameters (OpenAPI) -->
+        ${params.length ? `
+          <div class="api-tester-section">
+            <div class="api-tester-section-header" data-toggle="params">
+              <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10" class="api-tester-chevron open"><path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>
+              <span class="api-tester-section-title">${t('api.parameters')}</span>
+              <span class="api-tester-section-count">${params.length}</span>
+            </div>
+            <div class="api-tester-params-list">
+              ${params.map(p => `
+                <div class="api-tester-param-row">
+                  <span class="api-tester-param-name">${escapeHtml(p.name)}${p.required ? '<span class="api-tester-param-required">*</span>' : ''}</span>
+                  <span class="api-tester-param-in">${escapeHtml(p.in)}</span>
+                  <span class="api-tester-param-desc">${escapeHtml(p.description || '')}</span>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- Body -->
+        <div class="api-tester-section" style="${needsBody ? '' : 'display:none'}">
+          <div class="api-tester-section-header" data-toggle="body">
+            <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10" class="api-tester-chevron open"><path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>
+            <span class="api-tester-section-title">${t('api.body')}</span>
+          </div>
+          <div class="api-tester-body-section">
+            <textarea class="api-tester-body" placeholder='${t('api.requestBody')}' rows="6" spellcheck="false">${escapeHtml(bodyValue)}</textarea>
+          </div>
+        </div>
+
+        <!-- Assertions + values passed to the next requests of a collection run -->
+        <div class="api-tester-section">
+          <div class="api-tester-section-header" data-toggle="assertions">
+            <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10" class="api-tester-chevron ${assertions.length || extract.length ? 'open' : ''}"><path d="M10 6L8.59 7.41 13.17 12l-4.58 4.59L10 18l6-6z"/></svg>
+            <span class="api-tester-section-title">${t('api.assertions')}</span>
+            <span class="api-tester-section-count api-assert-count">${assertions.length}</span>
+            <button class="api-tester-add-header-btn api-assert-add-btn" title="${t('api.addAssertion')}">
+              <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
+            </button>
+          </div>
+          <div class="api-assert-section" style="${assertions.length || extract.length ? '' : 'display:none'}">
+            <div class="api-assert-list">
+              ${assertions.map(a => assertionRowHtml(a, t)).join('')}
+            </div>
+            <div class="api-extract-title">
+              <span>${t('api.extract')}</span>
+              <button class="api-tester-add-header-btn api-extract-add-btn" title="${t('api.addExtract')}">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/></svg>
+              </button>
+            </div>
+            <div class="api-extract-list">
+              ${extract.map(x => extractRowHtml(x, t)).join('')}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <!-- Response -->
+    <div class="api-tester-response">
+      <div class="api-tester-response-placeholder">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" width="32" height="32" style="opacity:0.08"><path d="M13 10V3L4 14h7v7l9-11h-7z"/></svg>
+        <span>${t('api.ctrlEnterSend')}</span>
+      </div>
+    </div>
+  `;
+
+  bindTesterEvents(panel, projectIndex, project, deps, options);
+  if (options.response) renderResponse(panel.querySelector('.api-tester-response'), options.response, t);
+}
+
+/**
+ * Current content of the request builder.
+ * @returns {{ method: string, url: string, headers: Array<{key, value, enabled}>, body: string, assertions: Object[], extract: Object[] }}
+ */
+function readRequest(panel) {
+  const method = panel.querySelector('.api-tester-method').value;
+  const headers = [];
+  panel.querySelectorAll('.api-tester-header-row').forEach(row => {
+    const key = row.querySelector('.api-tester-header-key').value.trim();
+    if (!key) return;
+    headers.push({ key, value: row.querySelector('.api-tester-header-val').value.trim(), enabled: row.querySelector('.api-tester-header-on').checked });
+  });
+  const assertions = [];
+  panel.querySelectorAll('.api-assert-row').forEach(row => {
+    const type = row.querySelector('.api-assert-type').value;
+    const a = { type };
+    if (['jsonPath', 'header'].includes(type)) {
+      a.target = row.querySelector('.api-assert-target').value.trim();
+      a.op = row.querySelector('.api-assert-op').value;
+      if (!a.target) return;
+    }
+    if (type !== 'schema' && !VALUELESS_OPS.includes(a.op)) a.expected = row.querySelector('.api-assert-expected').value.trim();
+    assertions.push(a);
+  });
+  const extract = [];
+  panel.querySelectorAll('.api-extract-row').forEach(row => {
+    const name = row.querySelector('.api-extract-name').value.trim();
+    const from = row.querySelector('.api-extract-from').value.trim();
+    if (name && from) extract.push({ name, from });
+  });
+  const bodyEl = panel.querySelector('.api-tester-body');
+  return {
+    method,
+    url: panel.querySelector('.api-tester-url').value.trim(),
+    headers,
+    body: bodyEl && BODY_METHODS.includes(method) ? bodyEl.value : '',
+    assertions,
+    extract
+  };
+}
+
+function bindTesterEvents(panel, projectIndex, project, deps, options) {
+  const { t } = deps;
+
+  panel.querySelectorAll('.api-tester-section-header').forEach(header => {
+    header.onclick = (e) => {
+      if (e.target.closest('.api-tester-add-header-btn')) return;
+      const section = header.nextElementSibling;
+      const chevron = header.querySelector('.api-tester-chevron');
+      if (section.style.display === 'none') {
+        section.style.display = '';
+        chevron.classList.add('open');
+      } else {
+        section.style.display = 'none';
+        chevron.classList.remove('open');
+      }
+    };
+  });
+
+  const updateHeaderCount = () => {
+    const count = panel.querySelectorAll('.api-tester-header-row').length;
+    const countEl = panel.querySelector('.api-tester-section-count');
+    if (countEl) countEl.textContent = count;
+  };
+
+  // ── Assertions / extracted values ──
+  const assertSection = panel.querySelector('.api-assert-section');
+  const openAssertSection = () => {
+    assertSection.style.display = '';
+    assertSection.previousElementSibling.querySelector('.api-tester-chevron').classList.add('open');
+  };
+  const updateAssertCount = () => {
+    panel.querySelector('.api-assert-count').textContent = panel.querySelectorAll('.api-assert-row').length;
+  };
+  const bindAssertionRow = (row) => {
+    syncAssertionRow(row);
+    row.querySelector('.api-assert-type').onchange = () => {
+      const type = row.querySelector('.api-assert-type').value;
+      row.outerHTML = assertionRowHtml({ type, op: ASSERTION_OPS[type]?.[0], expected: type === 'status' ? '200' : type === 'time' ? '1000' : '' }, t);
+      panel.querySelectorAll('.api-assert-row').forEach(bindAssertionRow);
+    };
+    row.querySelector('.api-assert-op').onchange = () => syncAssertionRow(row);
+    row.querySelector('.api-tester-header-del').onclick = () => { row.remove(); updateAssertCount(); };
+  };
+  const bindExtractRow = (row) => {
+    row.querySelector('.api-tester-header-del').onclick = () => row.remove();
+  };
+  panel.querySelectorAll('.api-assert-row').forEach(bindAssertionRow);
+  panel.querySelectorAll('.api-extract-row').forEach(bindExtractRow);
+
+  panel.querySelector('.api-assert-add-btn').onclick = (e) => {
+    e.stopPropagation();
+    openAssertSection();
+    const list = panel.querySelector('.api-assert-list');
+    // First assertion defaults to the status code, the next ones to JSON paths
+    const first = !list.children.length;
+    list.insertAdjacentHTML('beforeend', assertionRowHtml(first ? { type: 'status', expected: '200' } : { type: 'jsonPath', op: 'equals' }, t));
+    bindAssertionRow(list.lastElementChild);
+    updateAssertCount();
+  };
+
+  panel.querySelector('.api-extract-add-btn').onclick = (e) => {
+    e.stopPropagation();
+    const list = panel.querySelector('.api-extract-list');
+    list.insertAdjacentHTML('beforeend', extractRowHtml({}, t));
+    bindExtractRow(list.lastElementChild);
+    list.lastElementChild.querySelector('.api-extract-name').focus();
+  };
+
+  const bindHeaderRow = (row) => {
+    row.querySelector('.api-tester-header-del').onclick = () => { row.remove(); updateHeaderCount(); };
+    const toggle = row.querySelector('.api-tester-header-on');
+    toggle.onchange = () => row.classList.toggle('disabled', !toggle.checked);
+  };
+
+  panel.querySelector('.api-tester-add-header-btn').onclick = (e) => {
+    e.stopPropagation();
+    const list = panel.querySelector('.api-tester-headers-list');
+    list.insertAdjacentHTML('beforeend', headerRowHtml({ key: '', value: '', enabled: true }, t));
+    const row = list.lastElementChild;
+    bindHeaderRow(row);
+    row.querySelector('.api-tester-header-key').focus();
+    updateHeaderCount();
+  };
+
+  panel.querySelectorAll('.api-tester-header-row').forEach(bindHeaderRow);
+
+  panel.querySelector('.api-tester-method').onchange = () => {
+    const methodEl = panel.querySelector('.api-tester-method');
+    const method = methodEl.value;
+    const mColor = METHOD_COLORS[method] || '#8b949e';
+    methodEl.style.setProperty('--method-color', mColor);
+    const bodySection = panel.querySelector('.api-tester-body-section')?.closest('.api-tester-section');
+    if (bodySection) {
+      bodySection.style.display = BODY_METHODS.includes(method) ? '' : 'none';
+    }
+  };
+
+  const saveBtn = panel.querySelector('.api-tester-save-btn');
+  if (saveBtn) saveBtn.onclick = () => options.onSave(readRequest(panel));
+
+  panel.querySelector('.api-tester-send-btn').onclick = () => sendRequest(panel, projectIndex, project, deps, options);
+
+  panel.onkeydown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      e.preventDefault();
+      sendRequest(panel, projectIndex, project, deps, options);
+    }
+  };
+}
+
+async function sendRequest(panel, projectIndex, project, deps, options) {
+  const { t } = deps;
+  const request = readRequest(panel);
+  if (!request.url) return;
+
+  const headers = {};
+  for (const row of request.headers) {
+    if (row.enabled) headers[row.key] = row.value;
+  }
+
+  const sendBtn = panel.querySelector('.api-tester-send-btn');
+  const responseDiv = panel.querySelector('.api-tester-response');
+  sendBtn.disabled = true;
+  sendBtn.classList.add('sending');
+  sendBtn.innerHTML = `<div class="api-loading-dots"><span></span><span></span><span></span></div><span>${t('api.sending')}</span>`;
+  responseDiv.innerHTML = '<div class="api-tester-response-placeholder"><div class="api-loading-dots" style="opacity:0.6"><span></span><span></span><span></span></div></div>';
+
+  try {
+    const result = await apiElectron.api.testRequest({
+      url: request.url,
+      method: request.method,
+      headers,
+      body: request.body,
+      variables: getActiveEnvironmentVars(projectIndex),
+      projectId: project?.id,
+      requestId: options.requestId || null,
+      name: options.name || ''
+    });
+    const { historyEntry, unresolved, ...response } = result;
+    addApiHistoryEntry(projectIndex, historyEntry || {
+      request: { method: request.method, url: request.url, headers, body: request.body },
+      response,
+      timestamp: Date.now()
+    });
+    renderResponse(responseDiv, response, t);
+    if (request.assertions.length || request.extract.length) {
+      renderAssertionResults(responseDiv, request, response, projectIndex, t);
+    }
+    if (unresolved?.length) {
+      responseDiv.insertAdjacentHTML('afterbegin', `<div class="api-response-unresolved">${escapeHtml(t('api.unresolvedVars', { vars: unresolved.map(v => `{{${v}}}`).join(', ') }))}</div>`);
+    }
+    if (options.onResponse) options.onResponse(historyEntry || null);
+  } catch (e) {
+    responseDiv.innerHTML = `<div class="api-response-error">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>
+      <span>${escapeHtml(e.message)}</span>
+    </div>`;
+  }
+
+  sendBtn.disabled = false;
+  sendBtn.classList.remove('sending');
+  sendBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="currentColor" width="13" height="13"><path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/></svg><span>${t('api.send')}</span>`;
+}
+
+function renderAssertionResults(container, request, response, projectIndex, t) {
+  const route = matchRoute(getApiRoutes(projectIndex), request.method, response.url || request.url);
+  const results = evaluateAssertions(request.assertions, response, { route });
+  const extracted = extractValues(request.extract, response);
+  const passed = results.filter(r => r.pass).length;
+  container.insertAdjacentHTML('afterbegin', `
+    <div class="api-assert-results ${passed === results.length ? 'pass' : 'fail'}">
+      ${results.length ? `<div class="api-assert-summary">${t('api.assertionsPassed', { passed, total: results.length })}</div>` : ''}
+      ${results.map(r => `
+        <div class="api-assert-result ${r.skipped ? 'skipped' : r.pass ? 'pass' : 'fail'}">
+          <span class="api-assert-icon">${r.skipped ? '–' : r.pass ? '✓' : '✗'}</span>
+          <span class="api-assert-label">${escapeHtml(r.label)}</span>
+          ${r.pass && !r.skipped ? '' : `<span class="api-assert-message">${escapeHtml(r.message)}</span>`}
+        </div>
+      `).join('')}
+      ${Object.entries(extracted).map(([name, value]) => `
+        <div class="api-assert-result extracted">
+          <span class="api-assert-icon">&rarr;</span>
+          <span class="api-assert-label">{{${escapeHtml(name)}}}</span>
+          <span class="api-assert-message">${escapeHtml(value.length > 80 ? value.slice(0, 77) + '...' : value)}</span>
+        </div>
+      `).join('')}
+    </div>
+  `);
+}
+
+function renderResponse(container, result, t) {
+  if (result.error && !result.status) {
+    container.innerHTML = `
+      <div class="api-response-error">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>
+        <span>${escapeHtml(result.error)}</span>
+      </div>
+    `;
+    return;
+  }
+
+  const sColor = statusColor(result.status);
+  const headersHtml = Object.entries(result.headers || {}).map(([k, v]) =>
+    `<div class="api-response-header"><span class="api-response-header-key">${escapeHtml(k)}</span><span class="api-response-header-val">${escapeHtml(v)}</span></div>`
+  ).join('');
+
+  let bodyHtml = escapeHtml(result.body || '');
+  let isJson = false;
+  try {
+    const parsed = JSON.parse(result.body);
+    bodyHtml = escapeHtml(JSON.stringify(parsed, null, 2));
+    isJson = true;
+  } catch (_) {
+    // Body is not JSON — display as raw text
+  }
+
+  const headerCount = Object.keys(result.headers || {}).length;
+  container.innerHTML = `
+    <div class="api-response-status-bar">
+      <div class="api-response-status">
+        <span class="api-response-status-code" style="--status-color:${sColor}">${result.status}</span>
+        <span class="api-response-status-text">${escapeHtml(result.statusText || '')}</span>
+      </div>
+      <div class="api-response-meta">
+        <span class="api-response-meta-item" title="${t('api.time')}">
+          <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><path d="M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10 10-4.5 10-10S17.5 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm.5-13H11v6l5.2 3.2.8-1.3-4.5-2.7V7z"/></svg>
+          <span>${result.time}ms</span>
+        </span>
+        <span class="api-response-meta-item" title="${t('api.size')}">
+          <svg viewBox="0 0 24 24" fill="currentColor" width="10" height="10"><path d="M20 6H4l8-4 8 4zm0 2H4v2h16V8zm-4 4H8v8h8v-8z"/></svg>
+          <span>${formatSize(result.size)}</span>
+        </span>
+      </div>
+    </div>
+    <div class="api-response-tabs">
+      <button class="api-response-tab active" data-rtab="body">
+        <svg viewBox="0 0 24 24" fill="currentColor" width="11" height="11"><path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm-1 2l5 5h-5V4zM6 20V4h5v7h7v9H6z"/></svg>
+        ${t('api.responseBody')}
+      </button>
+      <button class="api-response-tab" data-rtab="headers">
+        <svg viewBox="0 0 24 24" fill="currentColor" width="11" height="11"><path d="M3 13h2v-2H3v2zm0 4h2v-2H3v2zm0-8h2V7H3v2zm4 4h14v-2H7v2zm0 4h14v-2H7v2zM7 7v2h14V7H7z"/></svg>
+        ${t('api.responseHeaders')}
+        <span class="api-response-tab-count">${headerCount}</span>
+      </button>
+    </div>
+    <div class="api-response-body-content">
+      <pre class="api-response-body ${isJson ? 'json' : ''}">${bodyHtml}</pre>
+    </div>
+    <div class="api-response-headers-content" style="display:none">
+      ${headersHtml || `<span style="opacity:0.4">${t('api.noHeaders')}</span>`}
+    </div>
+  `;
+
+  container.querySelectorAll('.api-response-tab').forEach(tab => {
+    tab.onclick = () => {
+      container.querySelectorAll('.api-response-tab').forEach(t => t.classList.remove('active'));
+      tab.classList.add('active');
+      const which = tab.dataset.rtab;
+      container.querySelector('.api-response-body-content').style.display = which === 'body' ? '' : 'none';
+      container.querySelector('.api-response-headers-content').style.display = which === 'headers' ? '' : 'none';
+    };
+  });
+}
+
+module.exports = {
+  METHOD_COLORS,
+  methodBadge,
+  statusColor,
+  formatSize,
+  escapeHtml,
+  openTester,
+  readRequest,
+  renderResponse
+};
@@ -34,6 +34,7 @@ const BASE_TYPE = {
   // Dashboard
   getDashboardBadge: (project) => null,
   getDashboardStats: (ctx) => '',
+  bindDashboardEvents: (container, ctx) => {},
 
   // TerminalManager
   getTerminalPanels: (ctx) => [],
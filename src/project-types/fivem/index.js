@@ -176,9 +176,9 @@ module.exports = createType({
   getPreloadBridge: () => ({
     namespace: 'fivem',
     channels: {
-      invoke: ['fivem-start', 'fivem-stop', 'fivem-scan-resources', 'fivem-resource-command'],
+      invoke: ['fivem-start', 'fivem-stop', 'fivem-scan-resources', 'fivem-resource-command', 'fivem-hot-reload-set', 'fivem-lint', 'fivem-error-context'],
       send: ['fivem-input', 'fivem-resize'],
-      on: ['fivem-data', 'fivem-exit']
+      on: ['fivem-data', 'fivem-exit', 'fivem-hot-reload']
     }
   })
 });
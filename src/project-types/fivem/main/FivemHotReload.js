@@ -0,0 +1,139 @@
+/**
+ * FiveM Hot Reload
+ * Watches the resources/ folder of a running server and restarts the resources whose files change,
+ * then the started resources depending on them, in dependency order.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const fivemService = require('./FivemService');
+const fileWatcherService = require('../../../main/services/FileWatcherService');
+const { parseManifestDependencies, isIgnoredChange, reloadPlan } = require('../../../shared/fivem-resources');
+
+// Claude edits several files in a row: wait for the burst to end
+const DEBOUNCE_MS = 1200;
+
+class FivemHotReload {
+  constructor() {
+    this.watches = new Map(); // projectIndex -> { projectId, projectPath, excluded: string[], unsubscribe }
+    this.mainWindow = null;
+  }
+
+  setMainWindow(window) {
+    this.mainWindow = window;
+  }
+
+  /**
+   * Apply the hot-reload settings of a running server: (re)start or stop watching its resources
+   * @param {{ projectIndex: number, projectId: string, projectPath: string, hotReload?: { enabled: boolean, excluded?: string[] } }} params
+   * @returns {{ success: boolean, watching: boolean, error?: string }}
+   */
+  configure({ projectIndex, projectId, projectPath, hotReload = {} }) {
+    const excluded = Array.isArray(hotReload.excluded) ? hotReload.excluded : [];
+    const current = this.watches.get(projectIndex);
+
+    if (!hotReload.enabled || !fivemService.isRunning(projectIndex)) {
+      this.stop(projectIndex);
+      return { success: true, watching: false };
+    }
+    // Only the exclusions changed: keep the watcher
+    if (current && current.projectId === projectId && current.projectPath === projectPath) {
+      current.excluded = excluded;
+      return { success: true, watching: true };
+    }
+
+    this.stop(projectIndex);
+    const resourcesDir = path.join(projectPath, 'resources');
+    if (!fs.existsSync(resourcesDir)) {
+      return { success: false, watching: false, error: 'No resources folder' };
+    }
+
+    const watch = { projectId, projectPath, excluded, unsubscribe: null };
+    watch.unsubscribe = fileWatcherService.subscribe(
+      `fivem-hot-reload:${projectId}`,
+      resourcesDir,
+      (changes) => this._onChanges(projectIndex, watch, changes),
+      { debounceMs: DEBOUNCE_MS }
+    );
+    this.watches.set(projectIndex, watch);
+    return { success: true, watching: true };
+  }
+
+  /**
+   * @param {number} projectIndex
+   */
+  stop(projectIndex) {
+    const watch = this.watches.get(projectIndex);
+    if (watch) {
+      watch.unsubscribe();
+      this.watches.delete(projectIndex);
+    }
+  }
+
+  stopAll() {
+    [...this.watches.keys()].forEach(projectIndex => this.stop(projectIndex));
+  }
+
+  /**
+   * @param {number} projectIndex
+   * @param {Object} watch
+   * @param {Map<string, string>} changes - path relative to resources/ -> 'add' | 'change' | 'unlink'
+   */
+  _onChanges(projectIndex, watch, changes) {
+    if (this.watches.get(projectIndex) !== watch) return;
+    if (!fivemService.isRunning(projectIndex)) {
+      this.stop(projectIndex);
+      return;
+    }
+
+    const { resources } = fivemService.scanResources(watch.projectPath);
+    const resourcesDir = path.join(watch.projectPath, 'resources');
+    const changed = new Set();
+    let manifestChanged = false;
+
+    for (const [file, type] of changes) {
+      if (isIgnoredChange(file)) continue;
+      const absolute = path.join(resourcesDir, file);
+      const resource = resources.find(r => absolute.startsWith(r.path + path.sep));
+      if (!resource) continue;
+      changed.add(resource.name);
+      const relative = path.relative(resource.path, absolute);
+      if (relative === resource.manifest || type !== 'change') manifestChanged = true;
+    }
+    if (!changed.size) return;
+
+    const dependencies = {};
+    resources.forEach((resource) => {
+      try {
+        dependencies[resource.name] = parseManifestDependencies(fs.readFileSync(path.join(resource.path, resource.manifest), 'utf8'));
+      } catch (e) {
+        dependencies[resource.name] = [];
+      }
+    });
+
+    const restarted = reloadPlan([...changed], dependencies, { excluded: watch.excluded });
+    if (!restarted.length) return;
+
+    // A new or edited manifest (or added / removed files) is only picked up after a refresh
+    if (manifestChanged) fivemService.sendCommand(projectIndex, 'refresh');
+    // `restart` leaves a resource the server has not started alone, so saving a file never
+    // starts a stopped resource or one missing from server.cfg
+    restarted.forEach(name => fivemService.sendCommand(projectIndex, `restart ${name}`));
+
+    this._send('fivem-hot-reload', {
+      projectIndex,
+      changed: [...changed].filter(name => restarted.includes(name)),
+      restarted,
+      refreshed: manifestChanged
+    });
+  }
+
+  _send(channel, payload) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, payload);
+    }
+  }
+}
+
+const fivemHotReload = new FivemHotReload();
+module.exports = fivemHotReload;
@@ -6,6 +6,7 @@
 const path = require('path');
 const pty = require('node-pty');
 const { execFile, execFileSync } = require('child_process');
+const { lintResources } = require('../../../shared/fivem-lint');
 
 class FivemService {
   constructor() {
@@ -535,6 +536,76 @@ class FivemService {
 
     return { success: true, resources, ensuredCount: ensuredResources.size };
   }
+
+  /**
+   * Lint the manifests of a FiveM project and build its dependency graph
+   * @param {Object} options
+   * @returns {Object} - { success, resources, issues, cfg } (see shared/fivem-lint)
+   */
+  lintResources({ projectPath }) {
+    try {
+      const { resources } = this.scanResources(projectPath);
+      return { success: true, ...lintResources(projectPath, resources) };
+    } catch (e) {
+      console.error('Error linting resources:', e);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Files behind a script error, for the "Fix with Claude" prompt: the manifest of its resource
+   * and the lines around each referenced location
+   * @param {Object} options
+   * @param {string} options.projectPath
+   * @param {string} [options.resource] - resource of the error
+   * @param {Array<{ resource: string, file: string, line: number }>} [options.locations]
+   * @returns {Object} - { success, manifest: { resource, file, content } | null, snippets: [{ resource, file, line, start, lines }] }
+   */
+  getErrorContext({ projectPath, resource, locations = [] }) {
+    const fs = require('fs');
+    const SNIPPET_RADIUS = 6;
+    const MAX_MANIFEST_SIZE = 20000;
+
+    try {
+      const { resources } = this.scanResources(projectPath);
+      const byName = new Map(resources.map(r => [r.name, r]));
+      const result = { success: true, manifest: null, snippets: [] };
+
+      const owner = byName.get(resource || (locations[0] && locations[0].resource));
+      if (owner) {
+        const content = fs.readFileSync(path.join(owner.path, owner.manifest), 'utf8');
+        result.manifest = {
+          resource: owner.name,
+          file: owner.manifest,
+          content: content.length > MAX_MANIFEST_SIZE ? `${content.slice(0, MAX_MANIFEST_SIZE)}\n-- …` : content
+        };
+      }
+
+      for (const location of locations.slice(0, 5)) {
+        const target = byName.get(location.resource);
+        if (!target || !location.file || !location.line) continue;
+        // Stay inside the resource folder
+        const filePath = path.resolve(target.path, location.file);
+        if (!filePath.startsWith(target.path + path.sep) || !fs.existsSync(filePath)) continue;
+
+        const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+        const start = Math.max(1, location.line - SNIPPET_RADIUS);
+        const end = Math.min(lines.length, location.line + SNIPPET_RADIUS);
+        result.snippets.push({
+          resource: target.name,
+          file: location.file,
+          line: location.line,
+          start,
+          lines: lines.slice(start - 1, end)
+        });
+      }
+
+      return result;
+    } catch (e) {
+      console.error('Error reading error context:', e);
+      return { success: false, error: e.message };
+    }
+  }
 }
 
 // Singleton instance
@@ -5,21 +5,32 @@
 
 const { ipcMain } = require('electron');
 const fivemService = require('./FivemService');
+const fivemHotReload = require('./FivemHotReload');
 
 /**
  * Register FiveM IPC handlers
  */
 function registerHandlers() {
   // Start FiveM server
-  ipcMain.handle('fivem-start', async (event, { projectIndex, projectPath, runCommand }) => {
-    return fivemService.start({ projectIndex, projectPath, runCommand });
+  ipcMain.handle('fivem-start', async (event, { projectIndex, projectId, projectPath, runCommand, hotReload }) => {
+    const result = fivemService.start({ projectIndex, projectPath, runCommand });
+    if (result.success && projectId) {
+      fivemHotReload.configure({ projectIndex, projectId, projectPath, hotReload });
+    }
+    return result;
   });
 
   // Stop FiveM server
   ipcMain.handle('fivem-stop', async (event, { projectIndex }) => {
+    fivemHotReload.stop(projectIndex);
     return fivemService.stop({ projectIndex });
   });
 
+  // Apply hot-reload settings (enabled, excluded resources) to a running server
+  ipcMain.handle('fivem-hot-reload-set', async (event, params) => {
+    return fivemHotReload.configure(params);
+  });
+
   // Send input to FiveM server
   ipcMain.on('fivem-input', (event, { projectIndex, data }) => {
     fivemService.write(projectIndex, data);
@@ -54,6 +65,16 @@ function registerHandlers() {
   ipcMain.handle('fivem-write-manifest', async (event, params) => {
     return fivemService.writeManifest(params);
   });
+
+  // Lint manifests + dependency graph
+  ipcMain.handle('fivem-lint', async (event, params) => {
+    return fivemService.lintResources(params);
+  });
+
+  // Manifest + file lines of a script error ("Fix with Claude")
+  ipcMain.handle('fivem-error-context', async (event, params) => {
+    return fivemService.getErrorContext(params);
+  });
 }
 
 module.exports = { registerHandlers, registerFivemHandlers: registerHandlers };
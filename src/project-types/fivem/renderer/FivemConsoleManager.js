@@ -1,10 +1,11 @@
 /**
  * FiveM Console Manager
- * Handles FiveM-specific console features: error overlay, debug prompt, console config.
+ * Handles FiveM-specific console features: error overlay, debug / fix prompts, console config.
  * Extracted from TerminalManager to keep type-specific logic in project-types.
  */
 
 const { getFivemServer, getFivemErrors, dismissLastError } = require('./FivemState');
+const { entryLocations } = require('../../../shared/fivem-console');
 
 // Track error overlays and their auto-hide timers by projectIndex
 const errorOverlays = new Map();   // projectIndex -> overlay element
@@ -52,6 +53,55 @@ function buildDebugPrompt(error, t) {
   return prompt;
 }
 
+function codeFence(file) {
+  const ext = String(file).split('.').pop().toLowerCase();
+  return ext === 'lua' ? 'lua' : ext === 'js' ? 'js' : '';
+}
+
+/**
+ * Build the "Fix with Claude" prompt of an error group: the debug prompt, plus the manifest
+ * of its resource and the lines of the files its stack points to (read by the main process).
+ * @param {Object} project
+ * @param {Object} error - error group (see shared/fivem-console)
+ * @param {Function} t - i18n function
+ * @returns {Promise<string>}
+ */
+async function buildFixPrompt(project, error, t) {
+  let prompt = buildDebugPrompt(error, t).trimEnd();
+  if (error.count > 1) {
+    prompt += `\n\n${t('fivem.fixOccurrences', { count: error.count })}`;
+  }
+
+  const locations = error.entry ? entryLocations(error.entry) : [];
+  const resource = error.resource || (error.location && error.location.resource);
+  if (!project || (!resource && !locations.length)) return prompt;
+
+  let context;
+  try {
+    context = await window.electron_api.fivem.errorContext({ projectPath: project.path, resource, locations });
+  } catch (e) {
+    return prompt;
+  }
+  if (!context || !context.success) return prompt;
+
+  if (context.manifest) {
+    const { manifest } = context;
+    prompt += `\n\n${t('fivem.fixManifest', { file: `${manifest.resource}/${manifest.file}` })}\n`;
+    prompt += '```lua\n' + manifest.content.trimEnd() + '\n```';
+  }
+  context.snippets.forEach((snippet) => {
+    const width = String(snippet.start + snippet.lines.length - 1).length;
+    const code = snippet.lines.map((text, i) => {
+      const number = snippet.start + i;
+      return `${number === snippet.line ? '>' : ' '} ${String(number).padStart(width)} | ${text}`;
+    }).join('\n');
+    prompt += `\n\n${t('fivem.fixSnippet', { file: `${snippet.resource}/${snippet.file}`, line: snippet.line })}\n`;
+    prompt += '```' + codeFence(snippet.file) + '\n' + code + '\n```';
+  });
+
+  return prompt;
+}
+
 /**
  * Show FiveM error overlay with debug button.
  * @param {number} projectIndex
@@ -78,11 +128,11 @@ function showErrorOverlay(projectIndex, error, tmApi) {
     <div class="fivem-error-content">
       <span class="fivem-error-icon">⚠️</span>
       <span class="fivem-error-text">${t('fivem.errorDetected')}</span>
-      <button class="fivem-debug-btn" title="${t('fivem.debugWithClaude')}">
+      <button class="fivem-debug-btn" title="${t('fivem.fixWithClaude')}">
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
         </svg>
-        ${t('fivem.debugWithClaude')}
+        ${t('fivem.fixWithClaude')}
       </button>
       <button class="fivem-error-dismiss" title="${t('common.close')}">
         <svg viewBox="0 0 12 12"><path d="M1 1l10 10M11 1L1 11" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>
@@ -100,7 +150,7 @@ function showErrorOverlay(projectIndex, error, tmApi) {
   // Debug button click - open Claude terminal with error
   overlay.querySelector('.fivem-debug-btn').onclick = async () => {
     if (!project) return;
-    const prompt = buildDebugPrompt(error, t);
+    const prompt = await buildFixPrompt(project, error, t);
     await createTerminalWithPrompt(project, prompt);
     hideErrorOverlay(projectIndex);
   };
@@ -175,5 +225,6 @@ module.exports = {
   showErrorOverlay,
   hideErrorOverlay,
   onConsoleError,
-  buildDebugPrompt
+  buildDebugPrompt,
+  buildFixPrompt
 };
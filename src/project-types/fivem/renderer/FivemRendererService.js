@@ -15,11 +15,11 @@ const {
   initFivemServer,
   getProject,
   getProjectIndex,
-  containsFivemError,
-  addFivemError,
+  recordFivemError,
   getFivemErrors,
   clearFivemErrors
 } = require('../../../renderer/state');
+const { createConsoleParser } = require('../../../shared/fivem-console');
 
 // Buffer for capturing complete lines (last N lines per project)
 const logBuffers = new Map(); // projectIndex -> string[]
@@ -28,10 +28,14 @@ const LOG_BUFFER_SIZE = 50; // Keep last 50 lines for context
 // Line accumulator for incomplete lines (data arrives in chunks)
 const lineAccumulators = new Map(); // projectIndex -> string (partial line being built)
 
-// Error collection state - waits for complete error with stack trace
-const errorStates = new Map(); // projectIndex -> { collecting: boolean, lines: [], timeout: null, lastErrorHash: string }
+// Structured console (see shared/fivem-console) - a script error waits for its stack lines
+const consoleLogs = new Map(); // projectIndex -> { parser, entries: [], timeout: null }
+const MAX_CONSOLE_ENTRIES = 5000;
 
-// Time to wait for more error lines before finalizing
+// Listeners of new console entries / errors: (projectIndex) => void
+const consoleListeners = new Set();
+
+// Time to wait for more stack lines before completing an error
 const ERROR_COLLECT_TIMEOUT = 500; // ms
 
 // Terminal theme for FiveM console
@@ -69,13 +73,16 @@ async function startFivemServer(projectIndex) {
 
   initFivemServer(projectIndex);
   clearFivemErrors(projectIndex);
+  clearConsoleLog(projectIndex);
   setFivemServerStatus(projectIndex, 'starting');
 
   try {
     const result = await api.fivem.start({
       projectIndex,
+      projectId: project.id,
       projectPath: project.path,
-      runCommand: project.runCommand
+      runCommand: project.runCommand,
+      hotReload: project.fivemConfig?.hotReload
     });
 
     if (result.success) {
@@ -192,11 +199,9 @@ function disposeFivemTerminal(projectIndex) {
     fivemTerminals.delete(projectIndex);
   }
   // Clean up buffers to avoid stale data on restart
-  const errState = errorStates.get(projectIndex);
-  if (errState && errState.timeout) clearTimeout(errState.timeout);
+  // (the structured console stays readable until the next start)
   logBuffers.delete(projectIndex);
   lineAccumulators.delete(projectIndex);
-  errorStates.delete(projectIndex);
 }
 
 /**
@@ -249,135 +254,107 @@ function getLogContext(projectIndex) {
   return buffer.join('\n');
 }
 
-/**
- * Clean ANSI codes from text
- * @param {string} text
- * @returns {string}
- */
-function cleanAnsi(text) {
-  return text.replace(/\x1b\[[0-9;]*m/g, '');
+function notifyConsoleListeners(projectIndex) {
+  consoleListeners.forEach((listener) => {
+    try {
+      listener(projectIndex);
+    } catch (e) {
+      console.error('FiveM console listener failed:', e);
+    }
+  });
 }
 
 /**
- * Check if a line looks like part of an error/stack trace
- * @param {string} line
- * @returns {boolean}
+ * Record a script error whose stack is complete. Only the first occurrence of an error
+ * reaches the callback (overlay, badge): repeats just bump the count of its group.
+ * @param {number} projectIndex
+ * @param {Object} entry
+ * @param {Function} onErrorCallback
  */
-function isErrorRelatedLine(line) {
-  const clean = cleanAnsi(line);
-  return /SCRIPT ERROR:|Error loading|Error running|\[ERROR\]|FATAL ERROR|stack traceback:|attempt to|bad argument|module .* not found|syntax error|unexpected symbol|^\s*@|^\s*\d+:|^\s*in function|^\s*\.\.\.$/i.test(clean);
+function reportError(projectIndex, entry, onErrorCallback) {
+  const { error, isNew } = recordFivemError(projectIndex, entry, getLogContext(projectIndex));
+  if (isNew && onErrorCallback) {
+    onErrorCallback(projectIndex, error);
+  }
 }
 
 /**
- * Simple hash for deduplication
- * @param {string} str
- * @returns {string}
+ * Complete the error still waiting for stack lines
+ * @param {number} projectIndex
+ * @param {Function} onErrorCallback
  */
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
+function flushConsoleLog(projectIndex, onErrorCallback) {
+  const log = consoleLogs.get(projectIndex);
+  if (!log) return;
+  if (log.timeout) {
+    clearTimeout(log.timeout);
+    log.timeout = null;
   }
-  return hash.toString(16);
+  const completed = log.parser.flush();
+  completed.forEach(entry => reportError(projectIndex, entry, onErrorCallback));
+  if (completed.length) notifyConsoleListeners(projectIndex);
 }
 
 /**
- * Process lines for error detection
+ * Parse complete lines into structured console entries and report the script errors
  * @param {number} projectIndex
  * @param {string[]} lines
  * @param {Function} onErrorCallback
  */
-function processLinesForErrors(projectIndex, lines, onErrorCallback) {
-  if (!errorStates.has(projectIndex)) {
-    errorStates.set(projectIndex, {
-      collecting: false,
-      lines: [],
-      timeout: null,
-      lastErrorHash: ''
-    });
+function processConsoleLines(projectIndex, lines, onErrorCallback) {
+  if (!consoleLogs.has(projectIndex)) {
+    consoleLogs.set(projectIndex, { parser: createConsoleParser(), entries: [], timeout: null });
   }
+  const log = consoleLogs.get(projectIndex);
 
-  const state = errorStates.get(projectIndex);
-
-  for (const line of lines) {
-    const clean = cleanAnsi(line);
+  const { entries, completed } = log.parser.push(lines);
+  log.entries.push(...entries);
+  if (log.entries.length > MAX_CONSOLE_ENTRIES) {
+    log.entries.splice(0, log.entries.length - MAX_CONSOLE_ENTRIES);
+  }
 
-    // Check if this starts a new error
-    if (/SCRIPT ERROR:|Error loading|Error running|\[ERROR\]|FATAL ERROR/i.test(clean)) {
-      // If we were collecting, finalize the previous error first
-      if (state.collecting && state.lines.length > 0) {
-        finalizeError(projectIndex, onErrorCallback);
-      }
+  completed.forEach(entry => reportError(projectIndex, entry, onErrorCallback));
 
-      // Start collecting new error
-      state.collecting = true;
-      state.lines = [clean];
+  if (log.timeout) clearTimeout(log.timeout);
+  log.timeout = log.parser.pending()
+    ? setTimeout(() => flushConsoleLog(projectIndex, onErrorCallback), ERROR_COLLECT_TIMEOUT)
+    : null;
 
-      // Reset timeout
-      if (state.timeout) clearTimeout(state.timeout);
-      state.timeout = setTimeout(() => finalizeError(projectIndex, onErrorCallback), ERROR_COLLECT_TIMEOUT);
-    }
-    // If we're collecting, add related lines
-    else if (state.collecting) {
-      if (isErrorRelatedLine(line) || state.lines.length < 20) {
-        state.lines.push(clean);
-        // Extend timeout
-        if (state.timeout) clearTimeout(state.timeout);
-        state.timeout = setTimeout(() => finalizeError(projectIndex, onErrorCallback), ERROR_COLLECT_TIMEOUT);
-      } else {
-        // Non-error line, finalize
-        finalizeError(projectIndex, onErrorCallback);
-      }
-    }
-  }
+  notifyConsoleListeners(projectIndex);
 }
 
 /**
- * Finalize collected error and emit it
+ * Forget the structured console of a server
  * @param {number} projectIndex
- * @param {Function} onErrorCallback
  */
-function finalizeError(projectIndex, onErrorCallback) {
-  const state = errorStates.get(projectIndex);
-  if (!state || !state.collecting || state.lines.length === 0) return;
-
-  // Clear timeout
-  if (state.timeout) {
-    clearTimeout(state.timeout);
-    state.timeout = null;
-  }
-
-  // Build error message
-  const errorMessage = state.lines.join('\n');
-
-  // Check for duplicate (same error within short time)
-  const hash = simpleHash(errorMessage.substring(0, 200));
-  if (hash === state.lastErrorHash) {
-    state.collecting = false;
-    state.lines = [];
-    return;
-  }
-  state.lastErrorHash = hash;
-
-  // Get context (lines before the error)
-  const context = getLogContext(projectIndex);
-
-  // Add error to state
-  const error = addFivemError(projectIndex, errorMessage, context);
+function clearConsoleLog(projectIndex) {
+  const log = consoleLogs.get(projectIndex);
+  if (log && log.timeout) clearTimeout(log.timeout);
+  consoleLogs.delete(projectIndex);
+  notifyConsoleListeners(projectIndex);
+}
 
-  // Callback
-  if (onErrorCallback) {
-    onErrorCallback(projectIndex, error);
-  }
+/**
+ * Structured console entries of a server, oldest first (last MAX_CONSOLE_ENTRIES)
+ * @param {number} projectIndex
+ * @returns {Object[]}
+ */
+function getConsoleEntries(projectIndex) {
+  const log = consoleLogs.get(projectIndex);
+  return log ? log.entries : [];
+}
 
-  // Reset state
-  state.collecting = false;
-  state.lines = [];
+/**
+ * Subscribe to new console entries and errors
+ * @param {Function} listener - (projectIndex) => void
+ * @returns {Function} unsubscribe
+ */
+function onConsoleEntries(listener) {
+  consoleListeners.add(listener);
+  return () => consoleListeners.delete(listener);
 }
 
-// Store error callback for use in processLinesForErrors
+// Store error callback for use in processConsoleLines
 let globalErrorCallback = null;
 
 /**
@@ -405,8 +382,8 @@ function registerFivemListeners(onDataCallback, onExitCallback, onErrorCallback)
     if (completeLines.length > 0) {
       addLinesToBuffer(projectIndex, completeLines);
 
-      // Process lines for error detection
-      processLinesForErrors(projectIndex, completeLines, onErrorCallback);
+      // Structured console and error detection
+      processConsoleLines(projectIndex, completeLines, onErrorCallback);
     }
 
     if (onDataCallback) {
@@ -418,10 +395,7 @@ function registerFivemListeners(onDataCallback, onExitCallback, onErrorCallback)
     setFivemServerStatus(projectIndex, 'stopped');
 
     // Finalize any pending error
-    const state = errorStates.get(projectIndex);
-    if (state && state.collecting) {
-      finalizeError(projectIndex, onErrorCallback);
-    }
+    flushConsoleLog(projectIndex, onErrorCallback);
 
     const termData = fivemTerminals.get(projectIndex);
     if (termData) {
@@ -437,6 +411,31 @@ function registerFivemListeners(onDataCallback, onExitCallback, onErrorCallback)
   });
 }
 
+/**
+ * Hot-reload settings of a project
+ * @param {number} projectIndex
+ * @returns {{ enabled: boolean, excluded: string[] }}
+ */
+function getHotReload(projectIndex) {
+  const { projectsState } = require('../../../renderer/state');
+  const hotReload = projectsState.get().projects[projectIndex]?.fivemConfig?.hotReload || {};
+  return { enabled: !!hotReload.enabled, excluded: hotReload.excluded || [] };
+}
+
+/**
+ * Save hot-reload settings and apply them to the running server
+ * @param {number} projectIndex
+ * @param {{ enabled: boolean, excluded: string[] }} hotReload
+ * @returns {Promise<Object>}
+ */
+async function setHotReload(projectIndex, hotReload) {
+  const { projectsState, updateProject } = require('../../../renderer/state');
+  const project = projectsState.get().projects[projectIndex];
+  if (!project) return { success: false, error: 'Project not found' };
+  updateProject(project.id, { fivemConfig: { ...(project.fivemConfig || {}), hotReload } });
+  return api.fivem.setHotReload({ projectIndex, projectId: project.id, projectPath: project.path, hotReload });
+}
+
 /**
  * Get FiveM server status
  * @param {number} projectIndex
@@ -466,7 +465,12 @@ module.exports = {
   registerFivemListeners,
   getFivemServerStatus,
   isFivemServerRunning,
+  getHotReload,
+  setHotReload,
   getFivemServer,
   clearFivemLogs,
+  getConsoleEntries,
+  clearConsoleLog,
+  onConsoleEntries,
   getFivemErrors
 };
@@ -0,0 +1,232 @@
+/**
+ * FiveM Resource Graph Module
+ * Dependency graph of the resources of a server and the manifest lint issues (see shared/fivem-lint).
+ */
+
+const { t } = require('../../../renderer/i18n');
+const { escapeHtml } = require('../../../renderer/utils');
+const { createModal, showModal } = require('../../../renderer/ui/components/Modal');
+const { showError } = require('../../../renderer/ui/components/Toast');
+
+const NODE_WIDTH = 150;
+const NODE_HEIGHT = 28;
+const COLUMN_GAP = 70;
+const ROW_GAP = 10;
+const PADDING = 16;
+
+/**
+ * Column of each resource: 0 without dependencies in the project, else one more than its
+ * deepest dependency. Dependencies outside the project get their own nodes in column 0.
+ * @param {Object[]} resources - graph nodes from the lint result
+ * @returns {Map<string, number>}
+ */
+function computeColumns(resources) {
+  const deps = new Map(resources.map(r => [r.name, r.dependencies]));
+  const columns = new Map();
+  const visiting = new Set();
+
+  const columnOf = (name) => {
+    if (columns.has(name)) return columns.get(name);
+    if (!deps.has(name) || visiting.has(name)) return 0;
+    visiting.add(name);
+    const column = deps.get(name).reduce((max, dep) => Math.max(max, columnOf(dep) + 1), 0);
+    visiting.delete(name);
+    columns.set(name, column);
+    return column;
+  };
+
+  resources.forEach(r => columnOf(r.name));
+  resources.forEach(r => r.dependencies.forEach((dep) => {
+    if (!deps.has(dep)) columns.set(dep, 0);
+  }));
+  return columns;
+}
+
+/**
+ * @returns {{ svg: string, width: number, height: number }}
+ */
+function renderGraphSvg(resources, selected) {
+  const known = new Set(resources.map(r => r.name));
+  const byName = new Map(resources.map(r => [r.name, r]));
+  const columns = computeColumns(resources);
+
+  const grouped = [];
+  [...columns.keys()].sort().forEach((name) => {
+    const column = columns.get(name);
+    (grouped[column] = grouped[column] || []).push(name);
+  });
+
+  const positions = new Map();
+  grouped.forEach((names, column) => {
+    names.forEach((name, row) => {
+      positions.set(name, {
+        x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+        y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+      });
+    });
+  });
+
+  const width = PADDING * 2 + grouped.length * NODE_WIDTH + Math.max(0, grouped.length - 1) * COLUMN_GAP;
+  const height = PADDING * 2 + Math.max(1, ...grouped.map(g => g.length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+  const edges = [];
+  resources.forEach(resource => resource.dependencies.forEach((dep) => {
+    const from = positions.get(dep);
+    const to = positions.get(resource.name);
+    const x1 = from.x + NODE_WIDTH;
+    const y1 = from.y + NODE_HEIGHT / 2;
+    const x2 = to.x;
+    const y2 = to.y + NODE_HEIGHT / 2;
+    const bend = Math.max(30, Math.abs(x2 - x1) / 2);
+    const classes = ['fivem-graph-edge'];
+    if (!known.has(dep)) classes.push('missing');
+    // Pointing backwards only happens inside a dependency cycle
+    if (x2 <= x1) classes.push('cycle');
+    if (selected && (selected === dep || selected === resource.name)) classes.push('highlighted');
+    edges.push(`<path class="${classes.join(' ')}" d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}" marker-end="url(#fivem-graph-arrow)"/>`);
+  }));
+
+  const nodes = [...positions.entries()].map(([name, { x, y }]) => {
+    const resource = byName.get(name);
+    const classes = ['fivem-graph-node'];
+    if (!resource) classes.push('missing');
+    else {
+      if (!resource.ensured) classes.push('not-ensured');
+      if (resource.errors) classes.push('has-errors');
+      else if (resource.warnings) classes.push('has-warnings');
+    }
+    if (name === selected) classes.push('selected');
+    const label = name.length > 20 ? `${name.slice(0, 19)}…` : name;
+    const tooltip = resource
+      ? t('fivem.graph.nodeTitle', { name, errors: resource.errors, warnings: resource.warnings })
+      : t('fivem.graph.missingTitle', { name });
+    return `
+      <g class="${classes.join(' ')}" data-name="${escapeHtml(name)}" transform="translate(${x},${y})">
+        <title>${escapeHtml(tooltip)}</title>
+        <rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="5"/>
+        <text x="10" y="${NODE_HEIGHT / 2 + 4}">${escapeHtml(label)}</text>
+        ${resource && (resource.errors || resource.warnings) ? `<text class="fivem-graph-count" x="${NODE_WIDTH - 8}" y="${NODE_HEIGHT / 2 + 4}" text-anchor="end">${resource.errors || resource.warnings}</text>` : ''}
+      </g>`;
+  }).join('');
+
+  const svg = `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <defs>
+        <marker id="fivem-graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M0,0 L10,5 L0,10 z"/>
+        </marker>
+      </defs>
+      ${edges.join('')}
+      ${nodes}
+    </svg>`;
+  return { svg, width, height };
+}
+
+function issueMessage(issue) {
+  const params = { ...issue.params };
+  if (Array.isArray(params.resources)) params.resources = params.resources.join(', ');
+  return t(`fivem.lint.codes.${issue.code}`, params);
+}
+
+function renderIssues(issues, selected) {
+  const visible = selected ? issues.filter(i => i.resource === selected) : issues;
+  if (!visible.length) {
+    return `<div class="fivem-lint-empty">${selected ? t('fivem.lint.noIssuesResource', { name: escapeHtml(selected) }) : t('fivem.lint.noIssues')}</div>`;
+  }
+  return visible.map(issue => `
+    <div class="fivem-lint-issue ${issue.severity}" data-resource="${escapeHtml(issue.resource)}">
+      <span class="fivem-lint-severity">${t(`fivem.lint.severity.${issue.severity}`)}</span>
+      <span class="fivem-lint-resource">${escapeHtml(issue.resource)}</span>
+      <span class="fivem-lint-message">${escapeHtml(issueMessage(issue))}</span>
+      <span class="fivem-lint-location">${escapeHtml(issue.line ? `${issue.file}:${issue.line}` : issue.file)}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show the dependency graph and lint issues of a FiveM project
+ * @param {Object} project
+ * @param {Object} api - preload API
+ */
+async function showResourceGraphModal(project, api) {
+  let result = null;
+  let selected = null;
+
+  const modal = createModal({
+    id: 'fivem-resource-graph-modal',
+    title: t('fivem.graph.title'),
+    content: `
+      <div class="fivem-graph">
+        <div class="fivem-graph-toolbar">
+          <span class="fivem-graph-summary"></span>
+          <button class="btn btn-secondary btn-sm fivem-graph-refresh">${t('fivem.refreshResources')}</button>
+        </div>
+        <div class="fivem-graph-canvas"><div class="fivem-graph-loading"><div class="spinner"></div></div></div>
+        <div class="fivem-graph-legend">
+          <span class="legend-item has-errors">${t('fivem.graph.legendErrors')}</span>
+          <span class="legend-item has-warnings">${t('fivem.graph.legendWarnings')}</span>
+          <span class="legend-item not-ensured">${t('fivem.graph.legendNotEnsured')}</span>
+          <span class="legend-item missing">${t('fivem.graph.legendMissing')}</span>
+        </div>
+        <div class="fivem-lint-list"></div>
+      </div>
+    `,
+    size: 'large'
+  });
+
+  const canvas = modal.querySelector('.fivem-graph-canvas');
+  const list = modal.querySelector('.fivem-lint-list');
+  const summary = modal.querySelector('.fivem-graph-summary');
+
+  const render = () => {
+    if (!result.resources.length) {
+      canvas.innerHTML = `<div class="fivem-lint-empty">${t('fivem.noResources')}</div>`;
+    } else {
+      canvas.innerHTML = renderGraphSvg(result.resources, selected).svg;
+    }
+    list.innerHTML = renderIssues(result.issues, selected);
+
+    const errors = result.issues.filter(i => i.severity === 'error').length;
+    summary.textContent = t('fivem.lint.summary', {
+      resources: result.resources.length,
+      errors,
+      warnings: result.issues.length - errors
+    });
+
+    canvas.querySelectorAll('.fivem-graph-node').forEach((node) => {
+      node.onclick = () => {
+        selected = selected === node.dataset.name ? null : node.dataset.name;
+        render();
+      };
+    });
+    list.querySelectorAll('.fivem-lint-issue').forEach((row) => {
+      row.onclick = () => {
+        selected = row.dataset.resource;
+        render();
+        canvas.querySelector('.fivem-graph-node.selected')?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      };
+    });
+  };
+
+  const load = async () => {
+    canvas.innerHTML = '<div class="fivem-graph-loading"><div class="spinner"></div></div>';
+    try {
+      const response = await api.fivem.lint({ projectPath: project.path });
+      if (!response.success) throw new Error(response.error);
+      result = response;
+      if (selected && !result.resources.some(r => r.name === selected)) selected = null;
+      render();
+    } catch (e) {
+      canvas.innerHTML = '';
+      showError(`${t('fivem.lint.failed')}: ${e.message}`);
+    }
+  };
+
+  modal.querySelector('.fivem-graph-refresh').onclick = load;
+  showModal(modal);
+  await load();
+}
+
+module.exports = {
+  showResourceGraphModal
+};
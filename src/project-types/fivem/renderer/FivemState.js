@@ -4,11 +4,12 @@
  */
 
 const { State } = require('../../../renderer/state/State');
+const { groupError } = require('../../../shared/fivem-console');
 
 // Initial state
 const initialState = {
   fivemServers: new Map(), // projectIndex -> { status, logs[] }
-  fivemErrors: new Map(), // projectIndex -> { errors: [{ timestamp, message, context }], lastError: null }
+  fivemErrors: new Map(), // projectIndex -> { errors: [error groups, see shared/fivem-console], lastError: null }
   fivemResources: new Map(), // projectIndex -> { resources: [], loading: boolean, lastScan: timestamp }
   fivemResourceShortcuts: new Map() // "projectIndex:resourceName" -> shortcut (e.g., "F5", "Ctrl+1")
 };
@@ -143,32 +144,26 @@ function getFivemErrors(projectIndex) {
 }
 
 /**
- * Add a FiveM error
+ * Record a script error: repeats of an error already listed only bump its count
  * @param {number} projectIndex
- * @param {string} errorMessage - The error message
+ * @param {Object} entry - error entry of the structured console, stack complete
  * @param {string} context - Surrounding context (previous lines)
+ * @returns {{ error: Object, isNew: boolean }}
  */
-function addFivemError(projectIndex, errorMessage, context) {
+function recordFivemError(projectIndex, entry, context) {
   const errorsMap = fivemState.get().fivemErrors;
   const current = errorsMap.get(projectIndex) || { errors: [], lastError: null };
 
-  const newError = {
-    timestamp: Date.now(),
-    message: errorMessage,
-    context: context
-  };
-
-  // Keep last 10 errors
-  const errors = [...current.errors, newError].slice(-10);
+  const { groups, group, isNew } = groupError(current.errors, entry, { context });
 
   errorsMap.set(projectIndex, {
-    errors,
-    lastError: newError
+    errors: groups,
+    lastError: isNew ? group : current.lastError
   });
 
   fivemState.setProp('fivemErrors', errorsMap);
 
-  return newError;
+  return { error: group, isNew };
 }
 
 /**
@@ -363,7 +358,7 @@ module.exports = {
   // FiveM errors
   containsFivemError,
   getFivemErrors,
-  addFivemError,
+  recordFivemError,
   clearFivemErrors,
   dismissLastError,
   // FiveM resources
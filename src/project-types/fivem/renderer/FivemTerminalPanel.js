@@ -1,6 +1,6 @@
 /**
  * FiveM Terminal Panel Module
- * Provides the FiveM console panel with errors and resources views.
+ * Provides the FiveM console panel with log, errors and resources views.
  * This is used by TerminalManager to create type-specific terminal panels.
  */
 
@@ -8,6 +8,26 @@ const { t } = require('../../../renderer/i18n');
 const { escapeHtml } = require('../../../renderer/utils');
 const { createModal, showModal, closeModal } = require('../../../renderer/ui/components/Modal');
 const { showSuccess, showError } = require('../../../renderer/ui/components/Toast');
+const { getHotReload, setHotReload, getConsoleEntries, onConsoleEntries } = require('./FivemRendererService');
+const { showResourceGraphModal } = require('./FivemResourceGraph');
+const { filterEntries } = require('../../../shared/fivem-console');
+
+// Lines rendered by the log view (the newest of the matching ones)
+const MAX_RENDERED_ENTRIES = 500;
+
+// Log filters and expanded items of each panel
+const panelStates = new WeakMap(); // wrapper -> { level, resource, search, expandedEntries: Set, expandedErrors: Set }
+
+function getPanelState(wrapper) {
+  if (!panelStates.has(wrapper)) {
+    panelStates.set(wrapper, { level: 'info', resource: 'all', search: '', expandedEntries: new Set(), expandedErrors: new Set() });
+  }
+  return panelStates.get(wrapper);
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
 
 /**
  * Get the view switcher HTML for the FiveM console wrapper
@@ -20,6 +40,10 @@ function getViewSwitcherHtml() {
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="13" height="13"><rect x="2" y="3" width="20" height="14" rx="2"/><path d="M8 21h8M12 17v4"/></svg>
         ${t('fivem.console')}
       </button>
+      <button class="fivem-view-tab" data-view="log">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="13" height="13"><path d="M8 6h13M8 12h13M8 18h13M3 6h.01M3 12h.01M3 18h.01"/></svg>
+        ${t('fivem.log.tab')}
+      </button>
       <button class="fivem-view-tab" data-view="errors">
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="13" height="13"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>
         ${t('fivem.errors')}
@@ -42,6 +66,27 @@ function getViewSwitcherHtml() {
           </button>
         </div>
       </div>
+      <div class="fivem-log-view fivem-view">
+        <div class="fivem-log-toolbar">
+          <select class="fivem-log-level">
+            <option value="info">${t('fivem.log.levels.all')}</option>
+            <option value="warn">${t('fivem.log.levels.warn')}</option>
+            <option value="error">${t('fivem.log.levels.error')}</option>
+          </select>
+          <select class="fivem-log-resource-filter">
+            <option value="all">${t('fivem.log.allResources')}</option>
+          </select>
+          <div class="fivem-resources-search fivem-log-search">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="13" height="13"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.35-4.35"/></svg>
+            <input type="text" class="fivem-log-search-input" placeholder="${t('fivem.log.search')}">
+          </div>
+          <span class="fivem-log-count"></span>
+        </div>
+        <div class="fivem-log-list"></div>
+        <div class="fivem-log-empty">
+          <span>${t('fivem.log.empty')}</span>
+        </div>
+      </div>
       <div class="fivem-errors-view fivem-view">
         <div class="fivem-errors-header">
           <span>${t('fivem.errors')}</span>
@@ -61,6 +106,13 @@ function getViewSwitcherHtml() {
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="13" height="13"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.35-4.35"/></svg>
             <input type="text" class="fivem-resources-search-input" placeholder="${t('fivem.searchResources')}">
           </div>
+          <button class="fivem-hot-reload-toggle" title="${t('fivem.hotReload.toggleTitle')}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg>
+            <span>${t('fivem.hotReload.label')}</span>
+          </button>
+          <button class="fivem-resource-graph-btn" title="${t('fivem.graph.open')}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="5" cy="6" r="2.5"/><circle cx="5" cy="18" r="2.5"/><circle cx="19" cy="12" r="2.5"/><path d="M7.5 6h3a3 3 0 0 1 3 3v0a3 3 0 0 0 3 3M7.5 18h3a3 3 0 0 0 3-3v0a3 3 0 0 1 3-3"/></svg>
+          </button>
           <button class="fivem-refresh-resources" title="${t('fivem.refreshResources')}">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M23 4v6h-6M1 20v-6h6"/><path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/></svg>
           </button>
@@ -88,7 +140,7 @@ function getViewSwitcherHtml() {
  * @param {string} terminalId - The terminal ID
  * @param {number} projectIndex - Project index
  * @param {Object} project - Project data
- * @param {Object} deps - Dependencies { getTerminal, getFivemErrors, clearFivemErrors, getFivemResources, setFivemResourcesLoading, setFivemResources, getResourceShortcut, setResourceShortcut, api, createTerminalWithPrompt, buildDebugPrompt }
+ * @param {Object} deps - Dependencies { getTerminal, getFivemErrors, clearFivemErrors, getFivemResources, setFivemResourcesLoading, setFivemResources, getResourceShortcut, setResourceShortcut, api, createTerminalWithPrompt, buildFixPrompt }
  */
 function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
   const {
@@ -105,6 +157,7 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
 
   const viewTabs = wrapper.querySelectorAll('.fivem-view-tab');
   const consoleView = wrapper.querySelector('.fivem-console-view');
+  const logView = wrapper.querySelector('.fivem-log-view');
   const errorsView = wrapper.querySelector('.fivem-errors-view');
   const resourcesView = wrapper.querySelector('.fivem-resources-view');
   const clearBtn = wrapper.querySelector('.fivem-clear-errors');
@@ -117,7 +170,7 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
       viewTabs.forEach(t => t.classList.remove('active'));
       tab.classList.add('active');
 
-      [consoleView, errorsView, resourcesView].forEach(v => v.classList.remove('fivem-view-active'));
+      [consoleView, logView, errorsView, resourcesView].forEach(v => v.classList.remove('fivem-view-active'));
 
       if (view === 'console') {
         consoleView.classList.add('fivem-view-active');
@@ -125,6 +178,9 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
         if (termData) {
           setTimeout(() => termData.fitAddon.fit(), 50);
         }
+      } else if (view === 'log') {
+        logView.classList.add('fivem-view-active');
+        renderLogView(wrapper, projectIndex);
       } else if (view === 'errors') {
         errorsView.classList.add('fivem-view-active');
         renderErrorsList(wrapper, projectIndex, project, deps);
@@ -145,6 +201,65 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
     };
   });
 
+  // ── Log view filters ──
+  const panelState = getPanelState(wrapper);
+  const logList = wrapper.querySelector('.fivem-log-list');
+  wrapper.querySelector('.fivem-log-level').onchange = (e) => {
+    panelState.level = e.target.value;
+    renderLogView(wrapper, projectIndex);
+  };
+  wrapper.querySelector('.fivem-log-resource-filter').onchange = (e) => {
+    panelState.resource = e.target.value;
+    renderLogView(wrapper, projectIndex);
+  };
+  wrapper.querySelector('.fivem-log-search-input').oninput = (e) => {
+    panelState.search = e.target.value;
+    renderLogView(wrapper, projectIndex);
+  };
+  logList.onclick = (e) => {
+    const resourceBtn = e.target.closest('.fivem-log-resource');
+    if (resourceBtn) {
+      panelState.resource = panelState.resource === resourceBtn.dataset.resource ? 'all' : resourceBtn.dataset.resource;
+      renderLogView(wrapper, projectIndex);
+      return;
+    }
+    const entry = e.target.closest('.fivem-log-entry.has-stack');
+    if (entry && !window.getSelection().toString()) {
+      const id = Number(entry.dataset.id);
+      if (!panelState.expandedEntries.delete(id)) panelState.expandedEntries.add(id);
+      renderLogView(wrapper, projectIndex);
+    }
+  };
+
+  // ── Structured console: refresh the visible view as lines arrive (once per frame) ──
+  let renderQueued = false;
+  let errorsSignature = '';
+  const unsubscribe = onConsoleEntries((index) => {
+    if (index !== projectIndex) return;
+    const termData = getTerminal(terminalId);
+    if (!termData) {
+      unsubscribe();
+      return;
+    }
+    if (renderQueued) return;
+    renderQueued = true;
+    requestAnimationFrame(() => {
+      renderQueued = false;
+      const activeView = getTerminal(terminalId)?.activeView;
+      if (activeView === 'log') {
+        renderLogView(wrapper, projectIndex);
+      } else if (activeView === 'errors') {
+        // Repeats of a listed error only change its count
+        const { errors } = getFivemErrors(projectIndex);
+        const signature = errors.map(e => `${e.key}:${e.count}`).join('|');
+        if (signature !== errorsSignature) {
+          errorsSignature = signature;
+          renderErrorsList(wrapper, projectIndex, project, deps);
+        }
+      }
+    });
+  });
+
   clearBtn.onclick = () => {
     clearFivemErrors(projectIndex);
     updateErrorBadge(wrapper, projectIndex, deps);
@@ -155,6 +270,10 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
     scanAndRenderResources(wrapper, projectIndex, project, deps);
   };
 
+  wrapper.querySelector('.fivem-resource-graph-btn').onclick = () => {
+    showResourceGraphModal(project, api);
+  };
+
   const createResourceBtn = wrapper.querySelector('.fivem-create-resource-btn');
   if (createResourceBtn) {
     createResourceBtn.onclick = () => {
@@ -166,6 +285,17 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
     renderResourcesList(wrapper, projectIndex, project, searchInput.value, deps);
   };
 
+  const hotReloadBtn = wrapper.querySelector('.fivem-hot-reload-toggle');
+  hotReloadBtn.classList.toggle('active', getHotReload(projectIndex).enabled);
+  hotReloadBtn.onclick = async () => {
+    const hotReload = getHotReload(projectIndex);
+    hotReload.enabled = !hotReload.enabled;
+    hotReloadBtn.classList.toggle('active', hotReload.enabled);
+    const result = await setHotReload(projectIndex, hotReload);
+    if (result && !result.success) showError(result.error);
+    renderResourcesList(wrapper, projectIndex, project, searchInput.value, deps);
+  };
+
   // ── Console output click → focus input ──
   const consoleOutput = wrapper.querySelector('.fivem-console-output');
   consoleOutput.addEventListener('click', () => {
@@ -253,12 +383,80 @@ function updateResourceBadge(wrapper, count) {
 }
 
 /**
- * Render errors list
+ * Render the structured console lines matching the filters
+ * @param {HTMLElement} wrapper
+ * @param {number} projectIndex
+ */
+function renderLogView(wrapper, projectIndex) {
+  const list = wrapper.querySelector('.fivem-log-list');
+  const empty = wrapper.querySelector('.fivem-log-empty');
+  const resourceSelect = wrapper.querySelector('.fivem-log-resource-filter');
+  const count = wrapper.querySelector('.fivem-log-count');
+  if (!list) return;
+
+  const state = getPanelState(wrapper);
+  const entries = getConsoleEntries(projectIndex);
+
+  // Only rebuild the options when a resource shows up (keeps an open dropdown usable)
+  const resources = [...new Set(entries.map(e => e.resource).filter(Boolean))].sort();
+  if (state.resource !== 'all' && !resources.includes(state.resource)) resources.push(state.resource);
+  const optionsKey = resources.join('|');
+  if (resourceSelect.dataset.options !== optionsKey) {
+    resourceSelect.dataset.options = optionsKey;
+    resourceSelect.innerHTML = `<option value="all">${t('fivem.log.allResources')}</option>` +
+      resources.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+  }
+  resourceSelect.value = state.resource;
+  wrapper.querySelector('.fivem-log-level').value = state.level;
+
+  const matching = filterEntries(entries, state);
+  const shown = matching.slice(-MAX_RENDERED_ENTRIES);
+  count.textContent = matching.length > shown.length
+    ? t('fivem.log.showing', { shown: shown.length, total: matching.length })
+    : t('fivem.log.count', { count: matching.length });
+
+  if (shown.length === 0) {
+    list.style.display = 'none';
+    empty.style.display = 'flex';
+    return;
+  }
+  list.style.display = '';
+  empty.style.display = 'none';
+
+  // Follow new lines unless the user scrolled up
+  const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 30;
+
+  list.innerHTML = shown.map((entry) => {
+    const expanded = state.expandedEntries.has(entry.id);
+    const time = (entry.serverTime && /\d{1,2}:\d{2}:\d{2}/.exec(entry.serverTime)?.[0]) || formatTime(entry.time);
+    const source = entry.resource
+      ? `<button class="fivem-log-resource" data-resource="${escapeHtml(entry.resource)}" title="${escapeHtml(t('fivem.log.filterResource', { name: entry.resource }))}">${escapeHtml(entry.resource)}</button>`
+      : `<span class="fivem-log-channel">${escapeHtml(entry.channel || '')}</span>`;
+    const classes = ['fivem-log-entry', `level-${entry.level}`];
+    if (entry.stack.length) classes.push('has-stack');
+    if (expanded) classes.push('expanded');
+
+    return `
+      <div class="${classes.join(' ')}" data-id="${entry.id}">
+        <span class="fivem-log-time">${time}</span>
+        ${source}
+        <span class="fivem-log-text">${escapeHtml(entry.text)}</span>
+        ${expanded ? `<pre class="fivem-log-stack">${escapeHtml(entry.stack.map(frame => frame.text).join('\n'))}</pre>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  if (atBottom) list.scrollTop = list.scrollHeight;
+}
+
+/**
+ * Render errors list: one item per distinct error, most recent first, with its count
  */
 function renderErrorsList(wrapper, projectIndex, project, deps) {
   const list = wrapper.querySelector('.fivem-errors-list');
   const empty = wrapper.querySelector('.fivem-errors-empty');
   const { errors } = deps.getFivemErrors(projectIndex);
+  const state = getPanelState(wrapper);
 
   if (errors.length === 0) {
     list.style.display = 'none';
@@ -269,49 +467,71 @@ function renderErrorsList(wrapper, projectIndex, project, deps) {
   list.style.display = '';
   empty.style.display = 'none';
 
-  list.innerHTML = errors.map((error, index) => {
-    const time = new Date(error.timestamp).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-    const preview = escapeHtml(error.message.split('\n')[0].substring(0, 100));
+  const groups = [...errors].sort((a, b) => b.lastSeen - a.lastSeen);
+
+  list.innerHTML = groups.map((error, index) => {
+    const expanded = state.expandedErrors.has(error.key);
+    const preview = escapeHtml((error.entry ? error.entry.text : error.message.split('\n')[0]).substring(0, 140));
+    const location = error.location ? `${error.location.resource}/${error.location.file}:${error.location.line}` : '';
 
     return `
-      <div class="fivem-error-item" data-index="${index}">
+      <div class="fivem-error-item${expanded ? ' expanded' : ''}" data-index="${index}">
         <div class="fivem-error-item-header">
-          <span class="fivem-error-time">${time}</span>
-          <button class="fivem-error-debug-btn" data-index="${index}" title="${t('fivem.debugWithClaude')}">
+          <span class="fivem-error-time" title="${escapeHtml(t('fivem.errorGroup.firstSeen', { time: formatTime(error.timestamp) }))}">${formatTime(error.lastSeen)}</span>
+          ${error.count > 1 ? `<span class="fivem-error-count" title="${escapeHtml(t('fivem.errorGroup.occurrences', { count: error.count }))}">×${error.count}</span>` : ''}
+          ${error.resource ? `<button class="fivem-error-resource" data-resource="${escapeHtml(error.resource)}" title="${escapeHtml(t('fivem.errorGroup.showInLog', { name: error.resource }))}">${escapeHtml(error.resource)}</button>` : ''}
+          ${location ? `<span class="fivem-error-location">${escapeHtml(location)}</span>` : ''}
+          <button class="fivem-error-debug-btn" data-index="${index}" title="${t('fivem.fixWithClaude')}">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
               <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
             </svg>
-            Debug
+            ${t('fivem.fixWithClaude')}
           </button>
         </div>
-        <div class="fivem-error-preview">${preview}</div>
-        <pre class="fivem-error-detail" style="display: none;">${escapeHtml(error.message)}</pre>
+        <div class="fivem-error-preview"${expanded ? ' style="display: none;"' : ''}>${preview}</div>
+        <pre class="fivem-error-detail"${expanded ? '' : ' style="display: none;"'}>${escapeHtml(error.message)}</pre>
       </div>
     `;
-  }).reverse().join('');
+  }).join('');
 
   // Toggle detail on click
   list.querySelectorAll('.fivem-error-item').forEach(item => {
     const detail = item.querySelector('.fivem-error-detail');
     const preview = item.querySelector('.fivem-error-preview');
+    const key = groups[parseInt(item.dataset.index)].key;
     item.onclick = (e) => {
-      if (e.target.closest('.fivem-error-debug-btn')) return;
+      if (e.target.closest('.fivem-error-debug-btn, .fivem-error-resource')) return;
       const isExpanded = detail.style.display !== 'none';
       detail.style.display = isExpanded ? 'none' : 'block';
       preview.style.display = isExpanded ? '' : 'none';
       item.classList.toggle('expanded', !isExpanded);
+      if (isExpanded) state.expandedErrors.delete(key);
+      else state.expandedErrors.add(key);
     };
   });
 
-  // Debug buttons
+  // Resource → its lines in the log view
+  list.querySelectorAll('.fivem-error-resource').forEach(btn => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      state.resource = btn.dataset.resource;
+      wrapper.querySelector('.fivem-view-tab[data-view="log"]')?.click();
+    };
+  });
+
+  // Fix buttons: error + manifest + referenced lines
   list.querySelectorAll('.fivem-error-debug-btn').forEach(btn => {
     btn.onclick = async (e) => {
       e.stopPropagation();
-      const index = parseInt(btn.dataset.index);
-      const error = errors[index];
+      const error = groups[parseInt(btn.dataset.index)];
       if (error && project && deps.createTerminalWithPrompt) {
-        const prompt = deps.buildDebugPrompt(error);
-        await deps.createTerminalWithPrompt(project, prompt);
+        btn.disabled = true;
+        try {
+          const prompt = await deps.buildFixPrompt(project, error);
+          await deps.createTerminalWithPrompt(project, prompt);
+        } finally {
+          btn.disabled = false;
+        }
       }
     };
   });
@@ -361,6 +581,7 @@ function renderResourcesList(wrapper, projectIndex, project, searchFilter, deps)
   const empty = wrapper.querySelector('.fivem-resources-empty');
   const loading = wrapper.querySelector('.fivem-resources-loading');
   const { resources } = deps.getFivemResources(projectIndex);
+  const hotReload = getHotReload(projectIndex);
 
   loading.style.display = 'none';
 
@@ -403,6 +624,7 @@ function renderResourcesList(wrapper, projectIndex, project, searchFilter, deps)
         <div class="fivem-resource-items">
           ${categoryResources.map(resource => {
             const shortcut = deps.getResourceShortcut(projectIndex, resource.name);
+            const reloads = hotReload.enabled && !hotReload.excluded.includes(resource.name);
             return `
             <div class="fivem-resource-item ${resource.ensured ? 'ensured' : ''}" data-name="${escapeHtml(resource.name)}" data-path="${escapeHtml(resource.path)}">
               <div class="fivem-resource-info">
@@ -415,6 +637,9 @@ function renderResourcesList(wrapper, projectIndex, project, searchFilter, deps)
                 <button class="fivem-resource-btn shortcut ${shortcut ? 'has-shortcut' : ''}" title="${shortcut ? shortcut + ' - ' + t('fivem.removeShortcut') : t('fivem.setShortcut')}" data-action="shortcut" data-resource="${escapeHtml(resource.name)}">
                   ${shortcut ? `<span class="shortcut-key">${escapeHtml(shortcut)}</span>` : `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14"><rect x="2" y="4" width="20" height="16" rx="2"/><path d="M6 8h.01M10 8h.01M14 8h.01M18 8h.01M8 12h8M6 16h.01M18 16h.01"/></svg>`}
                 </button>
+                <button class="fivem-resource-btn hot-reload ${reloads ? 'active' : ''}" title="${!hotReload.enabled ? t('fivem.hotReload.disabled') : reloads ? t('fivem.hotReload.exclude') : t('fivem.hotReload.include')}" data-action="hot-reload" data-resource="${escapeHtml(resource.name)}" ${hotReload.enabled ? '' : 'disabled'}>
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg>
+                </button>
                 <button class="fivem-resource-btn ensure" title="${t('fivem.ensure')}" data-action="ensure" data-resource="${escapeHtml(resource.name)}">
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14"><polygon points="5 3 19 12 5 21 5 3"/></svg>
                 </button>
@@ -456,6 +681,16 @@ function renderResourcesList(wrapper, projectIndex, project, searchFilter, deps)
         return;
       }
 
+      if (action === 'hot-reload') {
+        const excluded = hotReload.excluded.includes(resourceName)
+          ? hotReload.excluded.filter(name => name !== resourceName)
+          : [...hotReload.excluded, resourceName];
+        const result = await setHotReload(projectIndex, { ...hotReload, excluded });
+        if (result && !result.success) showError(result.error);
+        renderResourcesList(wrapper, projectIndex, project, wrapper.querySelector('.fivem-resources-search-input')?.value || '', deps);
+        return;
+      }
+
       if (action === 'shortcut') {
         const currentShortcut = deps.getResourceShortcut(projectIndex, resourceName);
         if (currentShortcut) {
@@ -990,6 +1225,7 @@ module.exports = {
   setupViewSwitcher,
   updateErrorBadge,
   updateResourceBadge,
+  renderLogView,
   renderErrorsList,
   renderResourcesList,
   scanAndRenderResources,
@@ -71,6 +71,29 @@ module.exports = createType({
     return MinecraftDashboard.getDashboardStats(ctx);
   },
 
+  bindDashboardEvents: (container, ctx) => {
+    const MinecraftDashboard = require('./renderer/MinecraftDashboard');
+    MinecraftDashboard.bindDashboardEvents(container, ctx);
+  },
+
+  // Console management
+  getConsoleConfig: (project, projectIndex) => ({
+    typeId: 'minecraft',
+    tabIcon: '⛏️',
+    tabClass: 'minecraft-tab',
+    dotClass: 'minecraft-dot',
+    wrapperClass: 'minecraft-wrapper',
+    consoleViewSelector: '.minecraft-console-view',
+    ipcNamespace: 'minecraft',
+    scrollback: 10000,
+    getExistingLogs: (pi) => {
+      try {
+        const { getMinecraftServer } = require('./renderer/MinecraftState');
+        return getMinecraftServer(pi).logs;
+      } catch (e) { return []; }
+    }
+  }),
+
   // TerminalManager
   getTerminalPanels: (ctx) => {
     const MinecraftTerminalPanel = require('./renderer/MinecraftTerminalPanel');
@@ -142,6 +165,90 @@ module.exports = createType({
     .minecraft-status-dot.starting { background: #f59e0b; animation: pulse 1.5s infinite; }
     .minecraft-status-dot.running { background: var(--success); box-shadow: 0 0 6px var(--success); }
     .dashboard-project-type.minecraft { background: rgba(34, 197, 94, 0.15); color: #22c55e; }
+    .btn-action-primary.btn-minecraft-start { background: var(--success); }
+    .btn-action-primary.btn-minecraft-start:hover { background: #16a34a; }
+    .btn-action-primary.btn-minecraft-stop { background: var(--danger); }
+    .btn-action-primary.btn-minecraft-stop:hover { background: #dc2626; }
+    .btn-action-icon.btn-minecraft-console { background: rgba(34, 197, 94, 0.15); color: #22c55e; }
+    .btn-action-icon.btn-minecraft-console:hover { background: #22c55e; color: white; }
+    .terminal-tab.minecraft-tab { border-bottom-color: #22c55e; }
+    .terminal-tab.minecraft-tab .status-dot.minecraft-dot { background: #22c55e; }
+    .terminal-tab.minecraft-tab.active { color: #22c55e; border-bottom-color: #22c55e; }
+    .minecraft-wrapper { display: flex; flex-direction: column; flex: 1; height: 100%; min-height: 0; }
+
+    /* Server management modal */
+    .minecraft-manage-btn { cursor: pointer; border: 1px solid var(--border-color); background: var(--bg-tertiary); color: var(--text-secondary); }
+    .minecraft-manage-btn:hover { color: #22c55e; border-color: #22c55e; }
+    .minecraft-manage-btn svg { opacity: 0.8; }
+    .minecraft-manage { display: flex; flex-direction: column; gap: 12px; min-height: 320px; }
+    .minecraft-manage-tabs { display: flex; gap: 4px; border-bottom: 1px solid var(--border-color); }
+    .minecraft-manage-tab {
+      padding: 6px 14px;
+      background: none;
+      border: none;
+      border-bottom: 2px solid transparent;
+      color: var(--text-secondary);
+      cursor: pointer;
+      font-size: 13px;
+    }
+    .minecraft-manage-tab:hover { color: var(--text-primary); }
+    .minecraft-manage-tab.active { color: #22c55e; border-bottom-color: #22c55e; }
+    .minecraft-manage-body { display: flex; flex-direction: column; gap: 10px; max-height: 60vh; overflow-y: auto; }
+    .minecraft-manage-row { display: flex; align-items: center; gap: 8px; flex-wrap: wrap; }
+    .minecraft-manage-row input[type="text"] { flex: 1; min-width: 120px; }
+    .minecraft-manage-row input[type="number"] { width: 72px; }
+    .minecraft-manage-label { font-size: 12px; font-weight: 600; color: var(--text-secondary); margin-right: auto; }
+    .minecraft-manage-check { display: inline-flex; align-items: center; gap: 6px; cursor: pointer; }
+    .minecraft-manage-muted { font-size: 12px; color: var(--text-muted); }
+    .minecraft-manage-error { font-size: 12px; color: var(--danger); }
+    .minecraft-manage-notice {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 8px 10px;
+      border-radius: var(--radius-sm, 4px);
+      background: rgba(245, 158, 11, 0.1);
+      color: #f59e0b;
+      font-size: 12px;
+    }
+    .minecraft-manage-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    .minecraft-manage-table td { padding: 6px 8px; border-bottom: 1px solid var(--border-color); vertical-align: middle; }
+    .minecraft-manage-actions { text-align: right; white-space: nowrap; }
+    .minecraft-manage-actions .btn-sm + .btn-sm { margin-left: 4px; }
+    .minecraft-manage-badge {
+      display: inline-block;
+      margin-left: 6px;
+      padding: 1px 6px;
+      border-radius: 3px;
+      background: var(--bg-tertiary);
+      color: var(--text-secondary);
+      font-size: 10px;
+      text-transform: uppercase;
+    }
+    .minecraft-player-dot { display: inline-block; width: 7px; height: 7px; margin-right: 6px; border-radius: 50%; background: var(--text-muted); }
+    .minecraft-player-dot.online { background: var(--success); }
+    .minecraft-plugin-disabled td { opacity: 0.5; }
+    .minecraft-config-value { width: 60%; }
+    .minecraft-config-value input[type="text"],
+    .minecraft-config-value input[type="number"],
+    .minecraft-config-value input[type="password"],
+    .minecraft-config-value select { width: 100%; }
+    .minecraft-config-input.invalid,
+    .minecraft-jvm-input.invalid { border-color: var(--danger); }
+    .minecraft-config-error:empty { display: none; }
+    .minecraft-config-ok { font-size: 12px; color: var(--success); }
+    .minecraft-config-footer { justify-content: flex-end; }
+    .minecraft-jvm-preview {
+      display: block;
+      padding: 8px 10px;
+      border-radius: var(--radius-sm, 4px);
+      background: var(--bg-tertiary);
+      font-size: 11px;
+      white-space: pre-wrap;
+      word-break: break-all;
+      user-select: text;
+    }
   `,
 
   afterProjectCreate: async (project, projectPath) => {
@@ -170,9 +277,9 @@ module.exports = createType({
   getPreloadBridge: () => ({
     namespace: 'minecraft',
     channels: {
-      invoke: ['minecraft-start', 'minecraft-stop', 'minecraft-detect', 'minecraft-get-status'],
+      invoke: ['minecraft-start', 'minecraft-stop', 'minecraft-detect', 'minecraft-get-status', 'minecraft-players', 'minecraft-player-action', 'minecraft-command', 'minecraft-enable-rcon', 'minecraft-backups-list', 'minecraft-backup-create', 'minecraft-backup-restore', 'minecraft-backup-delete', 'minecraft-backup-schedule', 'minecraft-plugins-list', 'minecraft-plugin-toggle', 'minecraft-plugin-remove', 'minecraft-plugin-add', 'minecraft-settings-get', 'minecraft-properties-save', 'minecraft-eula-accept'],
       send: ['minecraft-input', 'minecraft-resize'],
-      on: ['minecraft-data', 'minecraft-exit', 'minecraft-status', 'minecraft-playercount']
+      on: ['minecraft-data', 'minecraft-exit', 'minecraft-status', 'minecraft-playercount', 'minecraft-backup-done']
     }
   })
 });
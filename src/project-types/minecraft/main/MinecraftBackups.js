@@ -0,0 +1,270 @@
+/**
+ * Minecraft Backups
+ * Zipped world backups (~/.claude-terminal/minecraft-backups/<projectId>/), taken on demand or
+ * on a schedule while the server runs, with rotation of the scheduled ones and restore.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { dataDir } = require('../../../main/utils/paths');
+const minecraftService = require('./MinecraftService');
+const {
+  worldDirNames,
+  backupFileName,
+  parseBackupFileName,
+  backupsToPrune
+} = require('../../../shared/minecraft-server');
+
+const DEFAULT_KEEP = 5;
+const MIN_INTERVAL_HOURS = 0.25;
+const MAX_INTERVAL_HOURS = 168; // setInterval overflows past ~24 days
+// Without RCON `save-all` is typed in the console and there is no reply to wait for
+const CONSOLE_SAVE_DELAY = 5000;
+
+class MinecraftBackups {
+  constructor() {
+    this.schedules = new Map(); // projectIndex -> interval
+    this.inProgress = new Set(); // projectId
+    this.mainWindow = null;
+  }
+
+  setMainWindow(window) {
+    this.mainWindow = window;
+  }
+
+  /**
+   * @param {{ projectId: string }} params
+   * @returns {{ success: boolean, dir: string, backups: Array<{ file: string, kind: string, date: string, size: number }> }}
+   */
+  list({ projectId }) {
+    const dir = this._dir(projectId);
+    let files = [];
+    try { files = fs.readdirSync(dir); } catch (e) {}
+
+    const backups = files
+      .map((file) => {
+        const info = parseBackupFileName(file);
+        if (!info) return null;
+        let size = 0;
+        try { size = fs.statSync(path.join(dir, file)).size; } catch (e) {}
+        return { file, kind: info.kind, date: info.date.toISOString(), size };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.date.localeCompare(a.date));
+    return { success: true, dir, backups };
+  }
+
+  /**
+   * Zip the worlds of a server, flushing and pausing saves when it runs
+   * @param {{ projectIndex: number, projectId: string, projectPath: string, minecraftConfig?: Object, kind?: string }} params
+   * @returns {Promise<{ success: boolean, backup?: Object, pruned?: string[], error?: string }>}
+   */
+  async create({ projectIndex, projectId, projectPath, minecraftConfig = {}, kind = 'manual' }) {
+    if (this.inProgress.has(projectId)) {
+      return { success: false, error: 'A backup is already in progress for this server' };
+    }
+
+    const serverDir = minecraftService.getServerDir(projectPath, minecraftConfig);
+    const worlds = this._worlds(serverDir);
+    if (!worlds.length) return { success: false, error: 'No world folder found' };
+
+    this.inProgress.add(projectId);
+    const running = minecraftService.isRunning(projectIndex);
+    try {
+      if (running) {
+        // Write everything to disk, then keep the server from touching the region files while zipping
+        await minecraftService.command(projectIndex, 'save-off');
+        const saved = await minecraftService.command(projectIndex, 'save-all flush');
+        if (saved.success && saved.response === null) {
+          await new Promise(resolve => setTimeout(resolve, CONSOLE_SAVE_DELAY));
+        }
+      }
+
+      const dir = this._dir(projectId);
+      fs.mkdirSync(dir, { recursive: true });
+      const file = backupFileName(kind);
+      await this._zip(serverDir, worlds, path.join(dir, file));
+
+      const pruned = kind === 'auto' ? this._prune(projectId, minecraftConfig.backups?.keep) : [];
+      const { size } = fs.statSync(path.join(dir, file));
+      return { success: true, backup: { file, kind, date: parseBackupFileName(file).date.toISOString(), size }, pruned };
+    } catch (e) {
+      return { success: false, error: e.message };
+    } finally {
+      if (running) await minecraftService.command(projectIndex, 'save-on').catch(() => {});
+      this.inProgress.delete(projectId);
+    }
+  }
+
+  /**
+   * Replace the worlds of a stopped server with a backup (the current worlds are backed up first)
+   * @param {{ projectIndex: number, projectId: string, projectPath: string, minecraftConfig?: Object, file: string }} params
+   * @returns {Promise<{ success: boolean, preRestore?: string, error?: string }>}
+   */
+  async restore({ projectIndex, projectId, projectPath, minecraftConfig = {}, file }) {
+    if (minecraftService.isRunning(projectIndex)) {
+      return { success: false, error: 'Stop the server before restoring a backup' };
+    }
+    const zipPath = this._file(projectId, file);
+    if (!zipPath || !fs.existsSync(zipPath)) return { success: false, error: 'Backup not found' };
+
+    const serverDir = minecraftService.getServerDir(projectPath, minecraftConfig);
+    let preRestore = null;
+    if (this._worlds(serverDir).length) {
+      const safety = await this.create({ projectIndex, projectId, projectPath, minecraftConfig, kind: 'pre-restore' });
+      if (!safety.success) return { success: false, error: `Could not back up the current world: ${safety.error}` };
+      preRestore = safety.backup.file;
+    }
+
+    if (this.inProgress.has(projectId)) {
+      return { success: false, error: 'A backup is already in progress for this server' };
+    }
+    this.inProgress.add(projectId);
+    try {
+      for (const name of this._worldNames(serverDir)) {
+        fs.rmSync(path.join(serverDir, name), { recursive: true, force: true });
+      }
+      const extractZip = require('extract-zip');
+      await extractZip(zipPath, { dir: path.resolve(serverDir) });
+      return { success: true, preRestore };
+    } catch (e) {
+      return { success: false, preRestore, error: e.message };
+    } finally {
+      this.inProgress.delete(projectId);
+    }
+  }
+
+  /**
+   * @param {{ projectId: string, file: string }} params
+   */
+  delete({ projectId, file }) {
+    const zipPath = this._file(projectId, file);
+    if (!zipPath) return { success: false, error: 'Backup not found' };
+    try {
+      fs.unlinkSync(zipPath);
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * (Re)arm the scheduled backups of a server from minecraftConfig.backups { enabled, intervalHours, keep }
+   * @param {{ projectIndex: number, projectId: string, projectPath: string, minecraftConfig?: Object }} params
+   * @returns {{ success: boolean, scheduled: boolean }}
+   */
+  schedule({ projectIndex, projectId, projectPath, minecraftConfig = {} }) {
+    this.unschedule(projectIndex);
+    const { enabled, intervalHours } = minecraftConfig.backups || {};
+    const hours = Number(intervalHours);
+    if (!enabled || !(hours > 0)) return { success: true, scheduled: false };
+
+    const interval = Math.min(Math.max(hours, MIN_INTERVAL_HOURS), MAX_INTERVAL_HOURS) * 3600000;
+    this.schedules.set(projectIndex, setInterval(async () => {
+      // Worlds only change while the server runs
+      if (!minecraftService.isRunning(projectIndex)) return;
+      const result = await this.create({ projectIndex, projectId, projectPath, minecraftConfig, kind: 'auto' });
+      this._send('minecraft-backup-done', { projectIndex, projectId, ...result });
+    }, interval));
+    return { success: true, scheduled: true };
+  }
+
+  /**
+   * @param {number} projectIndex
+   */
+  unschedule(projectIndex) {
+    clearInterval(this.schedules.get(projectIndex));
+    this.schedules.delete(projectIndex);
+  }
+
+  stopAll() {
+    this.schedules.forEach(timer => clearInterval(timer));
+    this.schedules.clear();
+  }
+
+  _dir(projectId) {
+    return path.join(dataDir, 'minecraft-backups', String(projectId).replace(/[^\w-]/g, '_'));
+  }
+
+  /**
+   * Path of a backup of the project, null for anything but a backup file name
+   */
+  _file(projectId, file) {
+    if (typeof file !== 'string' || path.basename(file) !== file || !parseBackupFileName(file)) return null;
+    return path.join(this._dir(projectId), file);
+  }
+
+  /**
+   * World folder names from level-name, minus any that would resolve outside the server
+   * folder (level-name comes from a hand-editable server.properties: "..", "../x"…)
+   */
+  _worldNames(serverDir) {
+    const root = path.resolve(serverDir);
+    const props = minecraftService.readServerProperties(serverDir);
+    return worldDirNames(props).filter((name) => {
+      return path.resolve(root, name).startsWith(root + path.sep);
+    });
+  }
+
+  _worlds(serverDir) {
+    return this._worldNames(serverDir).filter((name) => {
+      try { return fs.statSync(path.join(serverDir, name)).isDirectory(); } catch (e) { return false; }
+    });
+  }
+
+  _prune(projectId, keep) {
+    const dir = this._dir(projectId);
+    const count = Number.isInteger(Number(keep)) && Number(keep) > 0 ? Number(keep) : DEFAULT_KEEP;
+    const pruned = backupsToPrune(fs.readdirSync(dir), count);
+    pruned.forEach((file) => {
+      try { fs.unlinkSync(path.join(dir, file)); } catch (e) {}
+    });
+    return pruned;
+  }
+
+  /**
+   * Zip world folders (at the root of the archive), written next to the target then renamed
+   */
+  _zip(serverDir, worlds, zipPath) {
+    const archiver = require('archiver');
+    const partPath = `${zipPath}.part`;
+
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(partPath);
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      const fail = (e) => {
+        archive.abort();
+        output.destroy();
+        try { fs.unlinkSync(partPath); } catch (err) {}
+        reject(e);
+      };
+
+      output.on('close', () => {
+        try {
+          fs.renameSync(partPath, zipPath);
+          resolve(zipPath);
+        } catch (e) {
+          reject(e);
+        }
+      });
+      output.on('error', fail);
+      archive.on('error', fail);
+      archive.pipe(output);
+
+      for (const name of worlds) {
+        // session.lock stays locked by a running server on Windows
+        archive.directory(path.join(serverDir, name), name, entry => (path.posix.basename(entry.name) === 'session.lock' ? false : entry));
+      }
+      archive.finalize();
+    });
+  }
+
+  _send(channel, payload) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, payload);
+    }
+  }
+}
+
+const minecraftBackups = new MinecraftBackups();
+module.exports = minecraftBackups;
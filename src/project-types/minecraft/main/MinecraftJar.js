@@ -0,0 +1,71 @@
+/**
+ * Minecraft Jar
+ * Reads the small metadata entries of server, plugin and mod jars without extracting them.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const MAX_META_SIZE = 1024 * 1024;
+
+/**
+ * Read a few small entries of a zip / jar without extracting it (central directory lookup)
+ * @param {string} file
+ * @param {string[]} names
+ * @returns {Object<string, Buffer>} name -> content, for the entries found
+ */
+function readZipEntries(file, names) {
+  const wanted = new Set(names);
+  const found = {};
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    // End of central directory record: 22 bytes + an archive comment of up to 64 KB
+    const tailSize = Math.min(size, 22 + 0xffff);
+    const tail = Buffer.alloc(tailSize);
+    fs.readSync(fd, tail, 0, tailSize, size - tailSize);
+    let eocd = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error('Not a zip archive');
+
+    // Sizes and offsets come from the archive itself: never trust them past the end of the file
+    const count = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (directoryOffset + directorySize > size) throw new Error('Truncated zip archive');
+    const directory = Buffer.alloc(directorySize);
+    fs.readSync(fd, directory, 0, directorySize, directoryOffset);
+
+    let p = 0;
+    for (let n = 0; n < count && p + 46 <= directory.length; n++) {
+      if (directory.readUInt32LE(p) !== 0x02014b50) break;
+      const method = directory.readUInt16LE(p + 10);
+      const compressedSize = directory.readUInt32LE(p + 20);
+      const nameLength = directory.readUInt16LE(p + 28);
+      const localOffset = directory.readUInt32LE(p + 42);
+      const name = directory.toString('utf8', p + 46, p + 46 + nameLength);
+      p += 46 + nameLength + directory.readUInt16LE(p + 30) + directory.readUInt16LE(p + 32);
+      if (!wanted.has(name) || compressedSize > MAX_META_SIZE || localOffset + 30 > size) continue;
+
+      const header = Buffer.alloc(30);
+      fs.readSync(fd, header, 0, 30, localOffset);
+      const dataOffset = localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+      if (dataOffset + compressedSize > size) continue;
+      const data = Buffer.alloc(compressedSize);
+      fs.readSync(fd, data, 0, compressedSize, dataOffset);
+      if (method === 0) found[name] = data;
+      else if (method === 8) {
+        try {
+          found[name] = zlib.inflateRawSync(data, { maxOutputLength: MAX_META_SIZE });
+        } catch (e) {} // larger than a metadata file once inflated, or corrupt
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return found;
+}
+
+module.exports = { readZipEntries };
@@ -0,0 +1,168 @@
+/**
+ * Minecraft Plugins
+ * The plugins/ (Bukkit, Paper) and mods/ (Fabric, Forge, NeoForge) folders of a server:
+ * name and version of each jar from its metadata, enable / disable (.jar.disabled), add, remove.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { dialog, shell } = require('electron');
+const minecraftService = require('./MinecraftService');
+const { readZipEntries } = require('./MinecraftJar');
+const {
+  parsePluginYml,
+  parseFabricModJson,
+  parseManifest,
+  parseModsToml
+} = require('../../../shared/minecraft-server');
+
+const FOLDERS = ['plugins', 'mods'];
+const JAR_RE = /\.jar(\.disabled)?$/i;
+const META_FILES = [
+  'paper-plugin.yml',
+  'plugin.yml',
+  'fabric.mod.json',
+  'META-INF/neoforge.mods.toml',
+  'META-INF/mods.toml',
+  'META-INF/MANIFEST.MF'
+];
+class MinecraftPlugins {
+  constructor() {
+    this.mainWindow = null;
+  }
+
+  setMainWindow(window) {
+    this.mainWindow = window;
+  }
+
+  /**
+   * @param {{ projectPath: string, minecraftConfig?: Object }} params
+   * @returns {{ success: boolean, folders: Array<{ folder: string, path: string, exists: boolean, items: Object[] }> }}
+   */
+  list({ projectPath, minecraftConfig }) {
+    const serverDir = minecraftService.getServerDir(projectPath, minecraftConfig);
+    const folders = FOLDERS.map((folder) => {
+      const dir = path.join(serverDir, folder);
+      let files = [];
+      try {
+        files = fs.readdirSync(dir, { withFileTypes: true })
+          .filter(entry => entry.isFile() && JAR_RE.test(entry.name))
+          .map(entry => entry.name);
+      } catch (e) {
+        return { folder, path: dir, exists: false, items: [] };
+      }
+      const items = files
+        .map(file => this._describe(path.join(dir, file)))
+        .sort((a, b) => (a.name || a.file).localeCompare(b.name || b.file, undefined, { sensitivity: 'base' }));
+      return { folder, path: dir, exists: true, items };
+    });
+    return { success: true, folders };
+  }
+
+  /**
+   * Enable / disable a jar by renaming it to / from .jar.disabled (applies on restart)
+   * @param {{ projectPath: string, minecraftConfig?: Object, folder: string, file: string, enabled: boolean }} params
+   */
+  setEnabled({ projectPath, minecraftConfig, folder, file, enabled }) {
+    const jarPath = this._jarPath(projectPath, minecraftConfig, folder, file);
+    if (!jarPath) return { success: false, error: 'Invalid plugin file' };
+    const base = file.replace(/\.disabled$/i, '');
+    const target = path.join(path.dirname(jarPath), enabled ? base : `${base}.disabled`);
+    if (target === jarPath) return { success: true, file };
+    if (fs.existsSync(target)) return { success: false, error: `${path.basename(target)} already exists` };
+    try {
+      fs.renameSync(jarPath, target);
+      return { success: true, file: path.basename(target) };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Move a jar to the trash
+   * @param {{ projectPath: string, minecraftConfig?: Object, folder: string, file: string }} params
+   */
+  async remove({ projectPath, minecraftConfig, folder, file }) {
+    const jarPath = this._jarPath(projectPath, minecraftConfig, folder, file);
+    if (!jarPath) return { success: false, error: 'Invalid plugin file' };
+    try {
+      await shell.trashItem(jarPath);
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Pick jars and copy them into the folder (created when missing)
+   * @param {{ projectPath: string, minecraftConfig?: Object, folder: string }} params
+   * @returns {Promise<{ success: boolean, added?: string[], canceled?: boolean, error?: string }>}
+   */
+  async add({ projectPath, minecraftConfig, folder }) {
+    if (!FOLDERS.includes(folder)) return { success: false, error: 'Invalid folder' };
+    const result = await dialog.showOpenDialog(this.mainWindow, {
+      properties: ['openFile', 'multiSelections'],
+      filters: [{ name: 'Java archives', extensions: ['jar'] }]
+    });
+    if (result.canceled || !result.filePaths.length) return { success: true, canceled: true, added: [] };
+
+    const dir = path.join(minecraftService.getServerDir(projectPath, minecraftConfig), folder);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const added = result.filePaths.map((source) => {
+        const file = path.basename(source);
+        fs.copyFileSync(source, path.join(dir, file));
+        return file;
+      });
+      return { success: true, added };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Metadata of a jar: plugin.yml, fabric.mod.json or mods.toml, else its manifest
+   * @param {string} jarPath
+   * @returns {Object}
+   */
+  _describe(jarPath) {
+    const file = path.basename(jarPath);
+    const item = { file, enabled: !/\.disabled$/i.test(file), size: 0, loader: null, name: null, version: null, authors: [], description: null };
+    try {
+      item.size = fs.statSync(jarPath).size;
+      const entries = {};
+      Object.entries(readZipEntries(jarPath, META_FILES)).forEach(([name, data]) => { entries[name] = data.toString('utf8'); });
+      const manifest = parseManifest(entries['META-INF/MANIFEST.MF']);
+
+      let meta = null;
+      if (entries['paper-plugin.yml'] || entries['plugin.yml']) {
+        item.loader = entries['paper-plugin.yml'] ? 'paper' : 'bukkit';
+        meta = parsePluginYml(entries['paper-plugin.yml'] || entries['plugin.yml']);
+      } else if (entries['fabric.mod.json']) {
+        item.loader = 'fabric';
+        meta = parseFabricModJson(entries['fabric.mod.json']);
+      } else if (entries['META-INF/neoforge.mods.toml'] || entries['META-INF/mods.toml']) {
+        item.loader = entries['META-INF/neoforge.mods.toml'] ? 'neoforge' : 'forge';
+        meta = parseModsToml(entries['META-INF/neoforge.mods.toml'] || entries['META-INF/mods.toml'], manifest);
+      }
+
+      item.name = meta?.name || manifest['Implementation-Title'] || null;
+      item.version = meta?.version || manifest['Implementation-Version'] || null;
+      item.authors = meta?.authors || [];
+      item.description = meta?.description || null;
+    } catch (e) {
+      item.error = e.message;
+    }
+    return item;
+  }
+
+  _jarPath(projectPath, minecraftConfig, folder, file) {
+    if (!FOLDERS.includes(folder) || typeof file !== 'string' || path.basename(file) !== file || !JAR_RE.test(file)) {
+      return null;
+    }
+    return path.join(minecraftService.getServerDir(projectPath, minecraftConfig), folder, file);
+  }
+}
+
+const minecraftPlugins = new MinecraftPlugins();
+module.exports = minecraftPlugins;
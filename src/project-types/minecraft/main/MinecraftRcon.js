@@ -0,0 +1,171 @@
+/**
+ * Minecraft RCON client
+ * One authenticated TCP connection to a server's RCON port; commands are sent one at a time.
+ */
+
+const net = require('net');
+const { RCON_TYPE, encodeRconPacket, decodeRconPackets } = require('../../../shared/minecraft-rcon');
+
+const DEFAULT_TIMEOUT = 5000;
+
+class MinecraftRcon {
+  /**
+   * @param {{ host?: string, port: number, password: string, timeout?: number }} options
+   */
+  constructor({ host = '127.0.0.1', port, password, timeout = DEFAULT_TIMEOUT }) {
+    this.host = host;
+    this.port = port;
+    this.password = password;
+    this.timeout = timeout;
+    this.socket = null;
+    this.connected = false;
+    this.nextId = 1;
+    this.pending = null; // { id, endId, endSent, chunks, resolve, reject, timer }
+    this.queue = Promise.resolve();
+    this.buffer = Buffer.alloc(0);
+    this.onClose = null;
+  }
+
+  /**
+   * Connect and authenticate
+   * @returns {Promise<void>}
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+      socket.setNoDelay(true);
+      this.socket = socket;
+
+      const fail = (error) => {
+        clearTimeout(timer);
+        socket.destroy();
+        reject(error);
+      };
+      const timer = setTimeout(() => fail(new Error('RCON connection timed out')), this.timeout);
+
+      socket.on('error', (e) => {
+        if (!this.connected) fail(e);
+        this._fail(e);
+      });
+      socket.on('close', () => {
+        const wasConnected = this.connected;
+        this.connected = false;
+        this._fail(new Error('RCON connection closed'));
+        if (wasConnected && this.onClose) this.onClose();
+      });
+      socket.on('data', (chunk) => this._onData(chunk));
+
+      socket.once('connect', () => {
+        const id = this.nextId++;
+        this.pending = {
+          id,
+          auth: true,
+          resolve: () => {
+            clearTimeout(timer);
+            this.connected = true;
+            resolve();
+          },
+          reject: fail
+        };
+        socket.write(encodeRconPacket(id, RCON_TYPE.AUTH, this.password));
+      });
+    });
+  }
+
+  /**
+   * Run a console command
+   * @param {string} command - without the leading slash
+   * @returns {Promise<string>} the server reply
+   */
+  command(command) {
+    const run = () => new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('RCON is not connected'));
+        return;
+      }
+      const id = this.nextId++;
+      const endId = this.nextId++;
+      const timer = setTimeout(() => {
+        this.pending = null;
+        reject(new Error('RCON command timed out'));
+      }, this.timeout);
+      this.pending = {
+        id,
+        endId,
+        endSent: false,
+        chunks: [],
+        resolve: (body) => { clearTimeout(timer); resolve(body); },
+        reject: (e) => { clearTimeout(timer); reject(e); }
+      };
+      try {
+        this.socket.write(encodeRconPacket(id, RCON_TYPE.COMMAND, command.replace(/^\//, '')));
+      } catch (e) {
+        this.pending = null;
+        clearTimeout(timer);
+        reject(e);
+      }
+    });
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  close() {
+    this.connected = false;
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+
+  _onData(chunk) {
+    let decoded;
+    try {
+      decoded = decodeRconPackets(Buffer.concat([this.buffer, chunk]));
+    } catch (e) {
+      this.buffer = Buffer.alloc(0);
+      this._fail(e);
+      this.close();
+      return;
+    }
+    this.buffer = decoded.rest;
+
+    for (const packet of decoded.packets) {
+      const pending = this.pending;
+      if (!pending) continue;
+
+      if (pending.auth) {
+        if (packet.type !== RCON_TYPE.AUTH_RESPONSE) continue;
+        this.pending = null;
+        if (packet.id === -1) pending.reject(new Error('RCON authentication failed (check rcon.password)'));
+        else pending.resolve();
+        continue;
+      }
+
+      if (packet.id === pending.id) {
+        pending.chunks.push(packet.body);
+        // Long replies are split over several packets: the answer to an empty packet marks the end.
+        // It goes out only once the reply has started, as vanilla servers drop a read holding two packets.
+        if (!pending.endSent) {
+          pending.endSent = true;
+          try {
+            this.socket.write(encodeRconPacket(pending.endId, RCON_TYPE.RESPONSE, ''));
+          } catch (e) {
+            this._fail(e);
+          }
+        }
+      } else if (packet.id === pending.endId) {
+        this.pending = null;
+        pending.resolve(pending.chunks.join(''));
+      }
+    }
+  }
+
+  _fail(error) {
+    const pending = this.pending;
+    this.pending = null;
+    if (pending) pending.reject(error);
+  }
+}
+
+module.exports = MinecraftRcon;
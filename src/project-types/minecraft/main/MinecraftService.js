@@ -5,13 +5,24 @@
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const pty = require('node-pty');
-const { exec, execSync, execFileSync } = require('child_process');
+const { exec, execSync, execFile, execFileSync } = require('child_process');
+const MinecraftRcon = require('./MinecraftRcon');
+const { parseProperties, updateProperties, parsePlayerList, playerCommand } = require('../../../shared/minecraft-server');
+const { buildJvmArgs, parseJavaVersion } = require('../../../shared/minecraft-config');
+
+const PLAYER_POLL_INTERVAL = 30000;
 
 class MinecraftService {
   constructor() {
     this.processes = new Map(); // Map projectIndex -> pty process
     this.playerCounts = new Map(); // Map projectIndex -> number
+    this.serverDirs = new Map(); // Map projectIndex -> directory the server runs in
+    this.rcon = new Map(); // Map projectIndex -> Promise<MinecraftRcon|null>
+    this.rconErrors = new Map(); // Map projectIndex -> last RCON connection error
+    this.playerPolls = new Map(); // Map projectIndex -> interval (player list over RCON)
+    this.playerRefreshes = new Map(); // Map projectIndex -> debounce timer
     this.mainWindow = null;
   }
 
@@ -80,9 +91,14 @@ class MinecraftService {
 
   /**
    * Find Java executable on the system
+   * @param {string} [preferred] - Java chosen in the project's JVM settings
    * @returns {string}
    */
-  findJavaExecutable() {
+  findJavaExecutable(preferred) {
+    if (preferred && fs.existsSync(preferred)) {
+      return preferred;
+    }
+
     // Check JAVA_HOME first
     if (process.env.JAVA_HOME) {
       const javaInHome = path.join(process.env.JAVA_HOME, 'bin', process.platform === 'win32' ? 'java.exe' : 'java');
@@ -103,6 +119,19 @@ class MinecraftService {
     return 'java';
   }
 
+  /**
+   * Version of a Java executable (`java -version` prints it on stderr)
+   * @param {string} javaExe
+   * @returns {Promise<{ version: string, major: number }|null>}
+   */
+  getJavaVersion(javaExe) {
+    return new Promise((resolve) => {
+      execFile(javaExe, ['-version'], { timeout: 10000, windowsHide: true }, (err, stdout, stderr) => {
+        resolve(err ? null : parseJavaVersion(`${stderr}\n${stdout}`));
+      });
+    });
+  }
+
   /**
    * Build the launch command from config
    * @param {Object} minecraftConfig
@@ -110,7 +139,7 @@ class MinecraftService {
    * @returns {Object} { shellPath, shellArgs, workingDir }
    */
   buildLaunchCommand(minecraftConfig, projectPath) {
-    const { serverType, serverJar, launchScript, jvmMemory = '2G' } = minecraftConfig;
+    const { serverType, serverJar, launchScript, jvmMemory = '2G', jvm = {} } = minecraftConfig;
     let workingDir = projectPath;
 
     if (launchScript && fs.existsSync(launchScript)) {
@@ -127,9 +156,10 @@ class MinecraftService {
     if (serverJar) {
       workingDir = path.dirname(serverJar);
       const jarName = path.basename(serverJar);
-      const javaExe = this.findJavaExecutable();
-      const mem = jvmMemory || '2G';
-      const javaCmd = `"${javaExe}" -Xmx${mem} -Xms${mem} -jar "${jarName}" nogui`;
+      const javaExe = this.findJavaExecutable(jvm.javaPath);
+      const jvmArgs = buildJvmArgs({ ...jvm, maxMemory: jvmMemory || '2G' })
+        .map(arg => (/[\s"]/.test(arg) ? `"${arg.replace(/"/g, '\\"')}"` : arg));
+      const javaCmd = `"${javaExe}" ${jvmArgs.join(' ')} -jar "${jarName}" nogui`;
 
       if (process.platform === 'win32') {
         return { shellPath: 'cmd.exe', shellArgs: ['/c', javaCmd], workingDir };
@@ -203,6 +233,8 @@ class MinecraftService {
       return { success: false, error: e.message };
     }
 
+    this.serverDirs.set(projectIndex, workingDir);
+
     const ptyProcess = pty.spawn(shellPath, shellArgs, {
       name: 'xterm-256color',
       cols: 120,
@@ -223,6 +255,7 @@ class MinecraftService {
       // Server ready
       if (/Done \([\d.]+s\)! For help/i.test(clean)) {
         this._sendStatus(projectIndex, 'running');
+        this._startPlayerPoll(projectIndex);
       }
 
       // Player count from /list command
@@ -234,6 +267,14 @@ class MinecraftService {
         return;
       }
 
+      // Over RCON the join / leave lines only trigger a refresh of the player list
+      if (this.rcon.has(projectIndex)) {
+        if (/\w+\s+(joined the game|left the game|lost connection)/i.test(clean)) {
+          this._schedulePlayerRefresh(projectIndex);
+        }
+        return;
+      }
+
       // Player join
       if (/\w+\s+joined the game/i.test(clean)) {
         const count = (this.playerCounts.get(projectIndex) || 0) + 1;
@@ -251,6 +292,7 @@ class MinecraftService {
 
     ptyProcess.onExit(({ exitCode }) => {
       this.processes.delete(projectIndex);
+      this._closeRcon(projectIndex);
       this.playerCounts.set(projectIndex, 0);
       this._sendStatus(projectIndex, 'stopped');
       this._sendPlayerCount(projectIndex, 0);
@@ -347,6 +389,7 @@ class MinecraftService {
     });
     this.processes.clear();
     this.playerCounts.clear();
+    [...this.rcon.keys()].forEach(projectIndex => this._closeRcon(projectIndex));
   }
 
   /**
@@ -364,6 +407,236 @@ class MinecraftService {
     } catch (e) {}
   }
 
+  /**
+   * Directory the server runs in, where it keeps server.properties, its worlds and plugins
+   * @param {string} projectPath
+   * @param {Object} [minecraftConfig]
+   * @returns {string}
+   */
+  getServerDir(projectPath, minecraftConfig = {}) {
+    const { launchScript, serverJar } = minecraftConfig;
+    if (launchScript && fs.existsSync(launchScript)) return path.dirname(launchScript);
+    if (serverJar && fs.existsSync(serverJar)) return path.dirname(serverJar);
+    return projectPath;
+  }
+
+  /**
+   * @param {string} serverDir
+   * @returns {Object<string, string>} server.properties (empty until the server generated it)
+   */
+  readServerProperties(serverDir) {
+    try {
+      return parseProperties(fs.readFileSync(path.join(serverDir, 'server.properties'), 'utf8'));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Run a console command: over RCON when the server enables it, else typed in the console (no reply)
+   * @param {number} projectIndex
+   * @param {string} command
+   * @returns {Promise<{ success: boolean, response?: string|null, error?: string }>}
+   */
+  async command(projectIndex, command) {
+    if (!this.processes.has(projectIndex)) {
+      return { success: false, error: 'Server is not running' };
+    }
+    const client = await this._getRcon(projectIndex);
+    if (client) {
+      try {
+        return { success: true, response: await client.command(command) };
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+    }
+    this.write(projectIndex, `${command}\r`);
+    return { success: true, response: null };
+  }
+
+  /**
+   * Players of a server: online ones (over RCON), operators, whitelist and bans (from the server files)
+   * @param {Object} options
+   * @param {number} options.projectIndex
+   * @param {string} options.projectPath
+   * @param {Object} [options.minecraftConfig]
+   * @returns {Promise<Object>}
+   */
+  async getPlayers({ projectIndex, projectPath, minecraftConfig }) {
+    const serverDir = this.serverDirs.get(projectIndex) || this.getServerDir(projectPath, minecraftConfig);
+    const props = this.readServerProperties(serverDir);
+    const readList = (file) => {
+      try {
+        const list = JSON.parse(fs.readFileSync(path.join(serverDir, file), 'utf8'));
+        return Array.isArray(list) ? list : [];
+      } catch (e) {
+        return [];
+      }
+    };
+
+    const result = {
+      success: true,
+      running: this.isRunning(projectIndex),
+      rconEnabled: props['enable-rcon'] === 'true' && !!props['rcon.password'],
+      rconConnected: false,
+      rconError: null,
+      whitelistEnabled: props['white-list'] === 'true',
+      online: null,
+      max: parseInt(props['max-players'], 10) || null,
+      ops: readList('ops.json').map(entry => entry.name).filter(Boolean),
+      whitelist: readList('whitelist.json').map(entry => entry.name).filter(Boolean),
+      banned: readList('banned-players.json').map(entry => ({ name: entry.name, reason: entry.reason || '', source: entry.source || '' }))
+    };
+
+    if (result.running && result.rconEnabled) {
+      const list = await this._refreshPlayers(projectIndex);
+      result.rconConnected = this.rcon.has(projectIndex);
+      result.rconError = this.rconErrors.get(projectIndex) || null;
+      if (list) {
+        result.online = list.players;
+        result.max = list.max;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Op / deop / kick / ban / pardon / whitelist a player on a running server
+   * @param {Object} options
+   * @param {number} options.projectIndex
+   * @param {string} options.action
+   * @param {string} options.name
+   * @param {string} [options.reason]
+   * @returns {Promise<Object>}
+   */
+  async playerAction({ projectIndex, action, name, reason }) {
+    const command = playerCommand(action, name, reason);
+    if (!command) return { success: false, error: 'Invalid player or action' };
+    const result = await this.command(projectIndex, command);
+    if (result.success) this._schedulePlayerRefresh(projectIndex);
+    return result;
+  }
+
+  /**
+   * Turn RCON on in server.properties (port 25575 and a random password unless already set)
+   * @param {Object} options
+   * @param {number} options.projectIndex
+   * @param {string} options.projectPath
+   * @param {Object} [options.minecraftConfig]
+   * @returns {Object} { success, restartRequired }
+   */
+  enableRcon({ projectIndex, projectPath, minecraftConfig }) {
+    const serverDir = this.serverDirs.get(projectIndex) || this.getServerDir(projectPath, minecraftConfig);
+    const file = path.join(serverDir, 'server.properties');
+    if (!fs.existsSync(file)) {
+      return { success: false, error: 'server.properties not found, start the server once to generate it' };
+    }
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      const props = parseProperties(text);
+      const updates = { 'enable-rcon': 'true' };
+      if (!props['rcon.port']) updates['rcon.port'] = '25575';
+      if (!props['rcon.password']) updates['rcon.password'] = crypto.randomBytes(16).toString('hex');
+      fs.writeFileSync(file, updateProperties(text, updates));
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+    this.rconErrors.delete(projectIndex);
+    return { success: true, restartRequired: this.isRunning(projectIndex) };
+  }
+
+  /**
+   * RCON connection of a running server, opened on first use (null when RCON is off or unreachable)
+   * @param {number} projectIndex
+   * @returns {Promise<MinecraftRcon|null>}
+   */
+  _getRcon(projectIndex) {
+    if (!this.processes.has(projectIndex)) return Promise.resolve(null);
+    if (this.rcon.has(projectIndex)) return this.rcon.get(projectIndex);
+
+    const props = this.readServerProperties(this.serverDirs.get(projectIndex));
+    if (props['enable-rcon'] !== 'true' || !props['rcon.password']) return Promise.resolve(null);
+
+    const client = new MinecraftRcon({
+      port: parseInt(props['rcon.port'], 10) || 25575,
+      password: props['rcon.password']
+    });
+    const ready = client.connect().then(() => {
+      this.rconErrors.delete(projectIndex);
+      client.onClose = () => {
+        if (this.rcon.get(projectIndex) === ready) this.rcon.delete(projectIndex);
+      };
+      return client;
+    }).catch((e) => {
+      this.rconErrors.set(projectIndex, e.message);
+      if (this.rcon.get(projectIndex) === ready) this.rcon.delete(projectIndex);
+      return null;
+    });
+    this.rcon.set(projectIndex, ready);
+    return ready;
+  }
+
+  /**
+   * @param {number} projectIndex
+   */
+  _closeRcon(projectIndex) {
+    clearInterval(this.playerPolls.get(projectIndex));
+    clearTimeout(this.playerRefreshes.get(projectIndex));
+    this.playerPolls.delete(projectIndex);
+    this.playerRefreshes.delete(projectIndex);
+    this.rconErrors.delete(projectIndex);
+    this.serverDirs.delete(projectIndex);
+
+    const ready = this.rcon.get(projectIndex);
+    this.rcon.delete(projectIndex);
+    if (ready) ready.then(client => client && client.close());
+  }
+
+  /**
+   * Player list over RCON, updating the player count
+   * @param {number} projectIndex
+   * @returns {Promise<Object|null>} parsePlayerList result
+   */
+  async _refreshPlayers(projectIndex) {
+    const client = await this._getRcon(projectIndex);
+    if (!client) return null;
+    try {
+      // Bukkit servers replace `list` with their own command: ask for the vanilla one
+      const list = parsePlayerList(await client.command('minecraft:list uuids'))
+        || parsePlayerList(await client.command('list'));
+      if (list) {
+        this.playerCounts.set(projectIndex, list.online);
+        this._sendPlayerCount(projectIndex, list.online);
+      }
+      return list;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {number} projectIndex
+   */
+  _schedulePlayerRefresh(projectIndex) {
+    clearTimeout(this.playerRefreshes.get(projectIndex));
+    this.playerRefreshes.set(projectIndex, setTimeout(() => {
+      this.playerRefreshes.delete(projectIndex);
+      this._refreshPlayers(projectIndex);
+    }, 1000));
+  }
+
+  /**
+   * Poll the player list while the server runs (no-op without RCON)
+   * @param {number} projectIndex
+   */
+  async _startPlayerPoll(projectIndex) {
+    clearInterval(this.playerPolls.get(projectIndex));
+    this.playerPolls.delete(projectIndex);
+    if (!(await this._refreshPlayers(projectIndex))) return;
+    if (!this.processes.has(projectIndex)) return;
+    this.playerPolls.set(projectIndex, setInterval(() => this._refreshPlayers(projectIndex), PLAYER_POLL_INTERVAL));
+  }
+
   /**
    * Check if a Minecraft server is running
    * @param {number} projectIndex
@@ -0,0 +1,187 @@
+/**
+ * Minecraft Settings
+ * server.properties and eula.txt of a server, and the Java it launches with checked against
+ * the version its jar needs.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const minecraftService = require('./MinecraftService');
+const { readZipEntries } = require('./MinecraftJar');
+const { parseProperties, updateProperties } = require('../../../shared/minecraft-server');
+const {
+  validateProperties,
+  isEulaAccepted,
+  minecraftVersionFromName,
+  javaRequirement,
+  javaFromClassFile,
+  javaCompatibility
+} = require('../../../shared/minecraft-config');
+
+const EULA_HEADER = '#By changing the setting below to TRUE you are indicating your agreement to our EULA (https://aka.ms/MinecraftEULA).';
+
+class MinecraftSettings {
+  /**
+   * Properties, EULA, launch mode and Java check of a server
+   * @param {{ projectIndex: number, projectPath: string, minecraftConfig?: Object }} params
+   * @returns {Promise<Object>}
+   */
+  async get({ projectIndex, projectPath, minecraftConfig = {} }) {
+    const serverDir = this._serverDir(projectIndex, projectPath, minecraftConfig);
+    const setup = this._setup(projectPath, minecraftConfig);
+    const propertiesText = this._read(path.join(serverDir, 'server.properties'));
+    const eulaText = this._read(path.join(serverDir, 'eula.txt'));
+
+    const jvm = minecraftConfig.jvm || {};
+    const javaPath = minecraftService.findJavaExecutable(jvm.javaPath);
+    const java = await minecraftService.getJavaVersion(javaPath);
+    const requirement = this._requirement(serverDir, setup);
+
+    return {
+      success: true,
+      serverDir,
+      running: minecraftService.isRunning(projectIndex),
+      properties: { exists: propertiesText !== null, values: parseProperties(propertiesText) },
+      eula: { exists: eulaText !== null, accepted: isEulaAccepted(eulaText) },
+      launch: {
+        mode: setup?.launchScript ? 'script' : setup?.serverJar ? 'jar' : null,
+        file: setup ? path.basename(setup.launchScript || setup.serverJar) : null
+      },
+      java: {
+        path: javaPath,
+        customPathMissing: !!jvm.javaPath && javaPath !== jvm.javaPath,
+        version: java?.version || null,
+        major: java?.major || null
+      },
+      requirement,
+      compatibility: javaCompatibility(java?.major, requirement),
+      totalMemoryMb: Math.round(os.totalmem() / 1024 / 1024)
+    };
+  }
+
+  /**
+   * Write changed keys to server.properties (created when the server never ran)
+   * @param {{ projectIndex: number, projectPath: string, minecraftConfig?: Object, values: Object<string, string> }} params
+   * @returns {{ success: boolean, restartRequired?: boolean, errors?: Object[], error?: string }}
+   */
+  saveProperties({ projectIndex, projectPath, minecraftConfig = {}, values }) {
+    if (!values || typeof values !== 'object') return { success: false, error: 'No values to save' };
+    const updates = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (!key.trim() || /[\r\n]/.test(key) || /[\r\n]/.test(String(value))) {
+        return { success: false, error: `Invalid property ${key}` };
+      }
+      updates[key] = String(value).trim();
+    }
+
+    const file = path.join(this._serverDir(projectIndex, projectPath, minecraftConfig), 'server.properties');
+    const text = this._read(file) || '';
+    const errors = validateProperties(updates, parseProperties(text));
+    if (errors.length) {
+      return { success: false, errors, error: `Invalid value for ${[...new Set(errors.map(e => e.key))].join(', ')}` };
+    }
+
+    try {
+      fs.writeFileSync(file, updateProperties(text, updates));
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+    // The server reads server.properties once, at startup
+    return { success: true, restartRequired: minecraftService.isRunning(projectIndex) };
+  }
+
+  /**
+   * Set eula=true in eula.txt
+   * @param {{ projectIndex: number, projectPath: string, minecraftConfig?: Object }} params
+   */
+  acceptEula({ projectIndex, projectPath, minecraftConfig = {} }) {
+    const file = path.join(this._serverDir(projectIndex, projectPath, minecraftConfig), 'eula.txt');
+    const text = this._read(file) || `${EULA_HEADER}\n`;
+    try {
+      fs.writeFileSync(file, updateProperties(text, { eula: 'true' }));
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  _serverDir(projectIndex, projectPath, minecraftConfig) {
+    return minecraftService.serverDirs.get(projectIndex) || minecraftService.getServerDir(projectPath, minecraftConfig);
+  }
+
+  /**
+   * Jar / script the server starts from: the configured one, else what the folder contains
+   */
+  _setup(projectPath, minecraftConfig) {
+    const { serverType, serverJar, launchScript } = minecraftConfig;
+    if ((launchScript && fs.existsSync(launchScript)) || (serverJar && fs.existsSync(serverJar))) {
+      return { serverType, serverJar, launchScript };
+    }
+    return minecraftService.detectServerSetup(projectPath);
+  }
+
+  /**
+   * Java the server needs: version.json of the jar (vanilla, Paper), the Minecraft version in a
+   * file / library name, else the class file version of the jar's Main-Class
+   * @returns {{ minecraftVersion: string|null, min: number, max: number|null, source: string }|null}
+   */
+  _requirement(serverDir, setup) {
+    if (!setup) return null;
+    const serverType = setup.serverType;
+
+    if (setup.serverJar) {
+      let entries = {};
+      try {
+        entries = readZipEntries(setup.serverJar, ['version.json', 'META-INF/MANIFEST.MF']);
+      } catch (e) {
+        return null;
+      }
+
+      let info = {};
+      try { info = JSON.parse(entries['version.json'].toString('utf8')); } catch (e) {}
+      const minecraftVersion = info.id || minecraftVersionFromName(path.basename(setup.serverJar));
+      const requirement = javaRequirement(minecraftVersion, serverType);
+      if (info.java_version) {
+        return { minecraftVersion, min: info.java_version, max: requirement?.max || null, source: 'jar' };
+      }
+      if (requirement) return { minecraftVersion, ...requirement, source: 'name' };
+
+      const mainClass = (entries['META-INF/MANIFEST.MF']?.toString('utf8').match(/^Main-Class:\s*(\S+)/m) || [])[1];
+      if (!mainClass) return null;
+      try {
+        const classFile = `${mainClass.replace(/\./g, '/')}.class`;
+        const min = javaFromClassFile(readZipEntries(setup.serverJar, [classFile])[classFile]);
+        return min ? { minecraftVersion: null, min, max: null, source: 'class' } : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // Launch scripts (Forge / NeoForge installers): the installed Minecraft libraries or jar names
+    const names = [];
+    try {
+      names.push(...fs.readdirSync(path.join(serverDir, 'libraries', 'net', 'minecraft', 'server')));
+    } catch (e) {}
+    try {
+      names.push(...fs.readdirSync(serverDir).filter(f => /\.jar$/i.test(f)));
+    } catch (e) {}
+    for (const name of names) {
+      const minecraftVersion = /^\d+\.\d+(\.\d+)?$/.test(name) ? name : minecraftVersionFromName(name);
+      const requirement = javaRequirement(minecraftVersion, serverType);
+      if (requirement) return { minecraftVersion, ...requirement, source: 'name' };
+    }
+    return null;
+  }
+
+  _read(file) {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+const minecraftSettings = new MinecraftSettings();
+module.exports = minecraftSettings;
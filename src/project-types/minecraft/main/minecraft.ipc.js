@@ -5,18 +5,26 @@
 
 const { ipcMain } = require('electron');
 const minecraftService = require('./MinecraftService');
+const minecraftBackups = require('./MinecraftBackups');
+const minecraftPlugins = require('./MinecraftPlugins');
+const minecraftSettings = require('./MinecraftSettings');
 
 /**
  * Register Minecraft IPC handlers
  */
 function registerHandlers() {
   // Start Minecraft server
-  ipcMain.handle('minecraft-start', async (event, { projectIndex, projectPath, minecraftConfig }) => {
-    return minecraftService.start({ projectIndex, projectPath, minecraftConfig });
+  ipcMain.handle('minecraft-start', async (event, { projectIndex, projectId, projectPath, minecraftConfig }) => {
+    const result = minecraftService.start({ projectIndex, projectPath, minecraftConfig });
+    if (result.success && projectId) {
+      minecraftBackups.schedule({ projectIndex, projectId, projectPath, minecraftConfig });
+    }
+    return result;
   });
 
   // Stop Minecraft server
   ipcMain.handle('minecraft-stop', async (event, { projectIndex }) => {
+    minecraftBackups.unschedule(projectIndex);
     return minecraftService.stop({ projectIndex });
   });
 
@@ -43,6 +51,76 @@ function registerHandlers() {
       playerCount: minecraftService.getPlayerCount(projectIndex)
     };
   });
+
+  // Players (online over RCON, ops / whitelist / bans from the server files)
+  ipcMain.handle('minecraft-players', async (event, { projectIndex, projectPath, minecraftConfig }) => {
+    return minecraftService.getPlayers({ projectIndex, projectPath, minecraftConfig });
+  });
+
+  ipcMain.handle('minecraft-player-action', async (event, { projectIndex, action, name, reason }) => {
+    return minecraftService.playerAction({ projectIndex, action, name, reason });
+  });
+
+  ipcMain.handle('minecraft-command', async (event, { projectIndex, command }) => {
+    return minecraftService.command(projectIndex, command);
+  });
+
+  ipcMain.handle('minecraft-enable-rcon', async (event, { projectIndex, projectPath, minecraftConfig }) => {
+    return minecraftService.enableRcon({ projectIndex, projectPath, minecraftConfig });
+  });
+
+  // World backups
+  ipcMain.handle('minecraft-backups-list', async (event, { projectId }) => {
+    return minecraftBackups.list({ projectId });
+  });
+
+  ipcMain.handle('minecraft-backup-create', async (event, { projectIndex, projectId, projectPath, minecraftConfig }) => {
+    return minecraftBackups.create({ projectIndex, projectId, projectPath, minecraftConfig, kind: 'manual' });
+  });
+
+  ipcMain.handle('minecraft-backup-restore', async (event, { projectIndex, projectId, projectPath, minecraftConfig, file }) => {
+    return minecraftBackups.restore({ projectIndex, projectId, projectPath, minecraftConfig, file });
+  });
+
+  ipcMain.handle('minecraft-backup-delete', async (event, { projectId, file }) => {
+    return minecraftBackups.delete({ projectId, file });
+  });
+
+  // Backup settings changed: re-arm the schedule of a running server
+  ipcMain.handle('minecraft-backup-schedule', async (event, { projectIndex, projectId, projectPath, minecraftConfig }) => {
+    if (!minecraftService.isRunning(projectIndex)) return { success: true, scheduled: false };
+    return minecraftBackups.schedule({ projectIndex, projectId, projectPath, minecraftConfig });
+  });
+
+  // Plugins / mods
+  ipcMain.handle('minecraft-plugins-list', async (event, { projectPath, minecraftConfig }) => {
+    return minecraftPlugins.list({ projectPath, minecraftConfig });
+  });
+
+  ipcMain.handle('minecraft-plugin-toggle', async (event, { projectPath, minecraftConfig, folder, file, enabled }) => {
+    return minecraftPlugins.setEnabled({ projectPath, minecraftConfig, folder, file, enabled });
+  });
+
+  ipcMain.handle('minecraft-plugin-remove', async (event, { projectPath, minecraftConfig, folder, file }) => {
+    return minecraftPlugins.remove({ projectPath, minecraftConfig, folder, file });
+  });
+
+  ipcMain.handle('minecraft-plugin-add', async (event, { projectPath, minecraftConfig, folder }) => {
+    return minecraftPlugins.add({ projectPath, minecraftConfig, folder });
+  });
+
+  // server.properties, eula.txt and the Java check of the JVM settings
+  ipcMain.handle('minecraft-settings-get', async (event, { projectIndex, projectPath, minecraftConfig }) => {
+    return minecraftSettings.get({ projectIndex, projectPath, minecraftConfig });
+  });
+
+  ipcMain.handle('minecraft-properties-save', async (event, { projectIndex, projectPath, minecraftConfig, values }) => {
+    return minecraftSettings.saveProperties({ projectIndex, projectPath, minecraftConfig, values });
+  });
+
+  ipcMain.handle('minecraft-eula-accept', async (event, { projectIndex, projectPath, minecraftConfig }) => {
+    return minecraftSettings.acceptEula({ projectIndex, projectPath, minecraftConfig });
+  });
 }
 
 module.exports = { registerHandlers, registerMinecraftHandlers: registerHandlers };
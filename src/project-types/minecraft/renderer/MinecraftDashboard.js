@@ -4,6 +4,7 @@
  */
 
 const { t } = require('../../../renderer/i18n');
+const { getMinecraftServer } = require('./MinecraftState');
 
 /**
  * Get dashboard type badge
@@ -19,11 +20,11 @@ function getDashboardBadge(project) {
 
 /**
  * Get dashboard quick stat HTML for Minecraft server status
- * @param {Object} ctx - { minecraftStatus, playerCount }
+ * @param {Object} ctx - { projectIndex }
  * @returns {string} HTML
  */
 function getDashboardStats(ctx) {
-  const { minecraftStatus, playerCount } = ctx;
+  const { status: minecraftStatus, playerCount } = getMinecraftServer(ctx.projectIndex);
   const statusText = minecraftStatus === 'running' ? t('minecraft.running')
     : minecraftStatus === 'starting' ? t('minecraft.starting')
     : t('minecraft.stopped');
@@ -35,7 +36,14 @@ function getDashboardStats(ctx) {
     </div>
   `;
 
-  if (minecraftStatus !== 'running') return serverStat;
+  const manageButton = `
+    <button class="quick-stat minecraft-manage-btn">
+      <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M19.14 12.94c.04-.3.06-.61.06-.94 0-.32-.02-.64-.07-.94l2.03-1.58a.49.49 0 00.12-.61l-1.92-3.32a.49.49 0 00-.59-.22l-2.39.96c-.5-.38-1.03-.7-1.62-.94l-.36-2.54a.484.484 0 00-.48-.41h-3.84c-.24 0-.43.17-.47.41l-.36 2.54c-.59.24-1.13.57-1.62.94l-2.39-.96a.49.49 0 00-.59.22L2.74 8.87c-.12.21-.08.47.12.61l2.03 1.58c-.05.3-.09.63-.09.94s.02.64.07.94l-2.03 1.58a.49.49 0 00-.12.61l1.92 3.32c.12.22.37.29.59.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.24.41.48.41h3.84c.24 0 .44-.17.47-.41l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.47 0 .59-.22l1.92-3.32c.12-.22.07-.47-.12-.61l-2.01-1.58zM12 15.6A3.6 3.6 0 1112 8.4a3.6 3.6 0 010 7.2z"/></svg>
+      <span>${t('minecraft.manage.button')}</span>
+    </button>
+  `;
+
+  if (minecraftStatus !== 'running') return serverStat + manageButton;
 
   const playerStat = `
     <div class="quick-stat">
@@ -44,10 +52,25 @@ function getDashboardStats(ctx) {
     </div>
   `;
 
-  return serverStat + playerStat;
+  return serverStat + playerStat + manageButton;
+}
+
+/**
+ * Bind the server management button of the quick stats
+ * @param {HTMLElement} container
+ * @param {Object} ctx - { projectIndex, t, rerender }
+ */
+function bindDashboardEvents(container, ctx) {
+  const btn = container.querySelector('.minecraft-manage-btn');
+  if (!btn) return;
+  btn.onclick = () => {
+    const { showServerModal } = require('./MinecraftServerModal');
+    showServerModal(ctx.projectIndex, { t: ctx.t, onChanged: ctx.rerender });
+  };
 }
 
 module.exports = {
   getDashboardBadge,
-  getDashboardStats
+  getDashboardStats,
+  bindDashboardEvents
 };
@@ -4,15 +4,17 @@
  */
 
 const { t } = require('../../../renderer/i18n');
+const { getMinecraftServer } = require('./MinecraftState');
 
 /**
  * Get primary action buttons for the sidebar
- * @param {Object} ctx - { project, projectIndex, minecraftStatus, isRunning, isStarting }
+ * @param {Object} ctx - { project, projectIndex }
  * @returns {string} HTML
  */
 function getSidebarButtons(ctx) {
-  const { project, isRunning, isStarting } = ctx;
-  if (isRunning || isStarting) {
+  const { project, projectIndex } = ctx;
+  const { status } = getMinecraftServer(projectIndex);
+  if (status === 'running' || status === 'starting') {
     return `
       <button class="btn-action-icon btn-minecraft-console" data-project-id="${project.id}" title="${t('minecraft.serverConsole')}">
         <svg viewBox="0 0 24 24" fill="currentColor"><path d="M20 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 14H4V8h16v10z"/></svg>
@@ -40,11 +42,11 @@ function getProjectIcon(ctx) {
 
 /**
  * Get status indicator dot
- * @param {Object} ctx - { minecraftStatus }
+ * @param {Object} ctx - { projectIndex }
  * @returns {string} HTML
  */
 function getStatusIndicator(ctx) {
-  const { minecraftStatus } = ctx;
+  const minecraftStatus = getMinecraftServer(ctx.projectIndex).status;
   const statusText = minecraftStatus === 'stopped' ? t('minecraft.stopped')
     : minecraftStatus === 'starting' ? t('minecraft.starting')
     : t('minecraft.running');
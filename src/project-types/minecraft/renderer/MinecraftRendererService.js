@@ -14,6 +14,7 @@ const {
   clearMinecraftLogs,
   initMinecraftServer
 } = require('./MinecraftState');
+const { validateJvmConfig } = require('../../../shared/minecraft-config');
 
 // Terminal theme for Minecraft console
 const MINECRAFT_TERMINAL_THEME = {
@@ -52,6 +53,7 @@ async function startMinecraftServer(projectIndex) {
   try {
     const result = await api.minecraft.start({
       projectIndex,
+      projectId: project.id,
       projectPath: project.path,
       minecraftConfig: project.minecraftConfig || {}
     });
@@ -81,6 +83,135 @@ async function stopMinecraftServer(projectIndex) {
   }
 }
 
+/**
+ * Project fields the server management handlers need
+ * @param {number} projectIndex
+ * @returns {Object} { projectIndex, projectId, projectPath, minecraftConfig }
+ */
+function serverParams(projectIndex) {
+  const { projectsState } = require('../../../renderer/state');
+  const project = projectsState.get().projects[projectIndex];
+  return {
+    projectIndex,
+    projectId: project?.id,
+    projectPath: project?.path,
+    minecraftConfig: project?.minecraftConfig || {}
+  };
+}
+
+/**
+ * Online players, operators, whitelist and bans of a server
+ * @param {number} projectIndex
+ * @returns {Promise<Object>}
+ */
+function getPlayers(projectIndex) {
+  return api.minecraft.getPlayers(serverParams(projectIndex));
+}
+
+/**
+ * @param {number} projectIndex
+ * @param {string} action - op, deop, kick, ban, pardon, whitelist-add, whitelist-remove
+ * @param {string} name
+ * @param {string} [reason]
+ * @returns {Promise<Object>}
+ */
+function playerAction(projectIndex, action, name, reason) {
+  return api.minecraft.playerAction({ projectIndex, action, name, reason });
+}
+
+/**
+ * Turn RCON on in server.properties
+ * @param {number} projectIndex
+ * @returns {Promise<Object>} { success, restartRequired }
+ */
+function enableRcon(projectIndex) {
+  return api.minecraft.enableRcon(serverParams(projectIndex));
+}
+
+function listBackups(projectIndex) {
+  return api.minecraft.listBackups(serverParams(projectIndex));
+}
+
+function createBackup(projectIndex) {
+  return api.minecraft.createBackup(serverParams(projectIndex));
+}
+
+function restoreBackup(projectIndex, file) {
+  return api.minecraft.restoreBackup({ ...serverParams(projectIndex), file });
+}
+
+function deleteBackup(projectIndex, file) {
+  return api.minecraft.deleteBackup({ ...serverParams(projectIndex), file });
+}
+
+/**
+ * Save the backup schedule of a project and apply it to its running server
+ * @param {number} projectIndex
+ * @param {{ enabled: boolean, intervalHours: number, keep: number }} backups
+ * @returns {Promise<Object>}
+ */
+async function setBackupSettings(projectIndex, backups) {
+  const { projectsState, updateProject } = require('../../../renderer/state');
+  const project = projectsState.get().projects[projectIndex];
+  if (!project) return { success: false, error: 'Project not found' };
+  updateProject(project.id, { minecraftConfig: { ...(project.minecraftConfig || {}), backups } });
+  return api.minecraft.scheduleBackups(serverParams(projectIndex));
+}
+
+function listPlugins(projectIndex) {
+  return api.minecraft.listPlugins(serverParams(projectIndex));
+}
+
+function togglePlugin(projectIndex, folder, file, enabled) {
+  return api.minecraft.togglePlugin({ ...serverParams(projectIndex), folder, file, enabled });
+}
+
+function removePlugin(projectIndex, folder, file) {
+  return api.minecraft.removePlugin({ ...serverParams(projectIndex), folder, file });
+}
+
+function addPlugin(projectIndex, folder) {
+  return api.minecraft.addPlugin({ ...serverParams(projectIndex), folder });
+}
+
+/**
+ * server.properties, EULA state and the Java check of a server
+ * @param {number} projectIndex
+ * @returns {Promise<Object>}
+ */
+function getServerSettings(projectIndex) {
+  return api.minecraft.getSettings(serverParams(projectIndex));
+}
+
+/**
+ * @param {number} projectIndex
+ * @param {Object<string, string>} values - changed keys only
+ * @returns {Promise<Object>} { success, restartRequired, errors }
+ */
+function saveServerProperties(projectIndex, values) {
+  return api.minecraft.saveProperties({ ...serverParams(projectIndex), values });
+}
+
+function acceptEula(projectIndex) {
+  return api.minecraft.acceptEula(serverParams(projectIndex));
+}
+
+/**
+ * Save the JVM settings of a project (the max heap stays in minecraftConfig.jvmMemory)
+ * @param {number} projectIndex
+ * @param {{ maxMemory: string, minMemory?: string, preset: string, gc: string, extraArgs?: string, javaPath?: string }} jvm
+ * @returns {{ success: boolean, restartRequired?: boolean, errors?: Object[] }}
+ */
+function setJvmSettings(projectIndex, { maxMemory, ...jvm }) {
+  const { projectsState, updateProject } = require('../../../renderer/state');
+  const project = projectsState.get().projects[projectIndex];
+  if (!project) return { success: false, error: 'Project not found' };
+  const errors = validateJvmConfig({ maxMemory, ...jvm });
+  if (errors.length) return { success: false, errors };
+  updateProject(project.id, { minecraftConfig: { ...(project.minecraftConfig || {}), jvmMemory: maxMemory, jvm } });
+  return { success: true, restartRequired: getMinecraftServer(projectIndex).status !== 'stopped' };
+}
+
 /**
  * Create a terminal for Minecraft console
  * @param {number} projectIndex
@@ -245,5 +376,21 @@ module.exports = {
   getMinecraftServerStatus,
   isMinecraftServerRunning,
   getMinecraftServer,
-  clearMinecraftLogs
+  clearMinecraftLogs,
+  getPlayers,
+  playerAction,
+  enableRcon,
+  listBackups,
+  createBackup,
+  restoreBackup,
+  deleteBackup,
+  setBackupSettings,
+  listPlugins,
+  togglePlugin,
+  removePlugin,
+  addPlugin,
+  getServerSettings,
+  saveServerProperties,
+  acceptEula,
+  setJvmSettings
 };
@@ -0,0 +1,638 @@
+/**
+ * Minecraft Server Modal
+ * Opened from the dashboard: players (online over RCON, ops, whitelist, bans) with their actions,
+ * world backups with their schedule, the plugins / mods folders, server.properties / eula.txt and
+ * the JVM settings checked against the installed Java.
+ */
+
+const {
+  getMinecraftServer,
+  getPlayers,
+  playerAction,
+  enableRcon,
+  listBackups,
+  createBackup,
+  restoreBackup,
+  deleteBackup,
+  setBackupSettings,
+  listPlugins,
+  togglePlugin,
+  removePlugin,
+  addPlugin,
+  getServerSettings,
+  saveServerProperties,
+  acceptEula,
+  setJvmSettings
+} = require('./MinecraftRendererService');
+const {
+  PROPERTY_GROUPS,
+  SERVER_PROPERTIES,
+  JVM_PRESETS,
+  GC_CHOICES,
+  validateProperty,
+  validateProperties,
+  parseMemory,
+  buildJvmArgs,
+  validateJvmConfig,
+  gcMinJava
+} = require('../../../shared/minecraft-config');
+const { projectsState } = require('../../../renderer/state/projects.state');
+const { createModal, showModal, closeModal, showConfirm } = require('../../../renderer/ui/components/Modal');
+const { showSuccess, showError } = require('../../../renderer/ui/components/Toast');
+const { escapeHtml } = require('../../../renderer/utils/dom');
+
+const TABS = ['players', 'backups', 'plugins', 'properties', 'jvm'];
+const EULA_URL = 'https://aka.ms/MinecraftEULA';
+
+function escapeAttr(text) {
+  return escapeHtml(String(text)).replace(/"/g, '&quot;');
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function errorHtml(result, t) {
+  return `<div class="minecraft-manage-error">${escapeHtml(result?.error || t('common.errorOccurred'))}</div>`;
+}
+
+// ── Players ──
+
+function playerRows(data) {
+  const online = new Map((data.online || []).map(p => [p.name.toLowerCase(), p]));
+  const ops = new Set(data.ops.map(n => n.toLowerCase()));
+  const whitelist = new Set(data.whitelist.map(n => n.toLowerCase()));
+  const names = new Map();
+  [...(data.online || []).map(p => p.name), ...data.ops, ...data.whitelist].forEach((name) => {
+    if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  });
+  return [...names.entries()]
+    .map(([key, name]) => ({ name, online: online.has(key), op: ops.has(key), whitelisted: whitelist.has(key) }))
+    .sort((a, b) => (b.online - a.online) || a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+function playersHtml(data, t) {
+  const canAct = data.running;
+  const notices = [];
+  if (!data.running) {
+    notices.push(`<div class="minecraft-manage-notice">${t('minecraft.manage.serverStopped')}</div>`);
+  } else if (!data.rconEnabled) {
+    notices.push(`
+      <div class="minecraft-manage-notice">
+        <span>${t('minecraft.manage.rconOff')}</span>
+        <button class="btn-sm btn-secondary minecraft-enable-rcon">${t('minecraft.manage.enableRcon')}</button>
+      </div>`);
+  } else if (!data.rconConnected) {
+    notices.push(`<div class="minecraft-manage-notice">${t('minecraft.manage.rconUnavailable', { error: escapeHtml(data.rconError || '') })}</div>`);
+  }
+
+  const rows = playerRows(data);
+  const action = (name, act, label, danger) => `
+    <button class="btn-sm ${danger ? 'btn-delete' : 'btn-secondary'} minecraft-player-action" data-name="${escapeAttr(name)}" data-action="${act}"${canAct ? '' : ' disabled'}>${label}</button>`;
+
+  return `
+    ${notices.join('')}
+    <div class="minecraft-manage-row">
+      <input type="text" class="minecraft-player-name" placeholder="${t('minecraft.manage.playerName')}" maxlength="17">
+      <input type="text" class="minecraft-player-reason" placeholder="${t('minecraft.manage.reason')}">
+      <button class="btn-sm btn-secondary minecraft-player-add" data-action="whitelist-add"${canAct ? '' : ' disabled'}>${t('minecraft.manage.whitelistAdd')}</button>
+      <button class="btn-sm btn-secondary minecraft-player-add" data-action="op"${canAct ? '' : ' disabled'}>${t('minecraft.manage.op')}</button>
+    </div>
+    <div class="minecraft-manage-muted">
+      ${data.online ? t('minecraft.manage.onlineCount', { count: data.online.length, max: data.max || '?' }) : ''}
+      ${data.whitelistEnabled ? ` · ${t('minecraft.manage.whitelistOn')}` : ''}
+    </div>
+    ${rows.length ? `
+    <table class="minecraft-manage-table">
+      ${rows.map(p => `
+        <tr>
+          <td>
+            <span class="minecraft-player-dot ${p.online ? 'online' : ''}"></span>
+            ${escapeHtml(p.name)}
+            ${p.op ? '<span class="minecraft-manage-badge">OP</span>' : ''}
+            ${p.whitelisted ? `<span class="minecraft-manage-badge">${t('minecraft.manage.whitelisted')}</span>` : ''}
+          </td>
+          <td class="minecraft-manage-actions">
+            ${p.op ? action(p.name, 'deop', t('minecraft.manage.deop')) : action(p.name, 'op', t('minecraft.manage.op'))}
+            ${p.whitelisted ? action(p.name, 'whitelist-remove', t('minecraft.manage.whitelistRemove')) : action(p.name, 'whitelist-add', t('minecraft.manage.whitelistAdd'))}
+            ${p.online ? action(p.name, 'kick', t('minecraft.manage.kick')) : ''}
+            ${action(p.name, 'ban', t('minecraft.manage.ban'), true)}
+          </td>
+        </tr>
+      `).join('')}
+    </table>` : `<div class="minecraft-manage-muted">${t('minecraft.manage.noPlayers')}</div>`}
+    ${data.banned.length ? `
+    <label class="minecraft-manage-label">${t('minecraft.manage.banned', { count: data.banned.length })}</label>
+    <table class="minecraft-manage-table">
+      ${data.banned.map(b => `
+        <tr>
+          <td>${escapeHtml(b.name)} <span class="minecraft-manage-muted">${escapeHtml(b.reason)}</span></td>
+          <td class="minecraft-manage-actions">${action(b.name, 'pardon', t('minecraft.manage.pardon'))}</td>
+        </tr>
+      `).join('')}
+    </table>` : ''}
+  `;
+}
+
+// ── Backups ──
+
+function backupsHtml(data, settings, running, t) {
+  const kindLabel = (kind) => t(`minecraft.manage.backupKind.${kind}`);
+  return `
+    <div class="minecraft-manage-row">
+      <label class="minecraft-manage-check">
+        <input type="checkbox" class="minecraft-backup-enabled"${settings.enabled ? ' checked' : ''}>
+        ${t('minecraft.manage.backupEvery')}
+      </label>
+      <input type="number" class="minecraft-backup-interval" min="0.25" step="0.25" value="${escapeAttr(settings.intervalHours || 6)}">
+      <span>${t('minecraft.manage.hours')}</span>
+      <span>${t('minecraft.manage.keep')}</span>
+      <input type="number" class="minecraft-backup-keep" min="1" step="1" value="${escapeAttr(settings.keep || 5)}">
+      <button class="btn-sm btn-secondary minecraft-backup-save">${t('common.save')}</button>
+    </div>
+    <div class="minecraft-manage-muted">${t('minecraft.manage.backupHint')}</div>
+    <div class="minecraft-manage-row">
+      <button class="btn-sm btn-primary minecraft-backup-now">${t('minecraft.manage.backupNow')}</button>
+      <button class="btn-sm btn-secondary minecraft-open-folder" data-path="${escapeAttr(data.dir)}">${t('minecraft.manage.openFolder')}</button>
+    </div>
+    ${data.backups.length ? `
+    <table class="minecraft-manage-table">
+      ${data.backups.map(b => `
+        <tr>
+          <td>${escapeHtml(new Date(b.date).toLocaleString())} <span class="minecraft-manage-badge">${kindLabel(b.kind)}</span></td>
+          <td class="minecraft-manage-muted">${formatSize(b.size)}</td>
+          <td class="minecraft-manage-actions">
+            <button class="btn-sm btn-secondary minecraft-backup-restore" data-file="${escapeAttr(b.file)}"${running ? ` disabled title="${escapeAttr(t('minecraft.manage.stopToRestore'))}"` : ''}>${t('minecraft.manage.restore')}</button>
+            <button class="btn-sm btn-delete minecraft-backup-delete" data-file="${escapeAttr(b.file)}">${t('common.delete')}</button>
+          </td>
+        </tr>
+      `).join('')}
+    </table>` : `<div class="minecraft-manage-muted">${t('minecraft.manage.noBackups')}</div>`}
+  `;
+}
+
+// ── Plugins ──
+
+function pluginsHtml(data, t) {
+  return `
+    <div class="minecraft-manage-muted">${t('minecraft.manage.pluginsHint')}</div>
+    ${data.folders.filter(f => f.exists || f.folder === 'plugins').map(f => `
+      <div class="minecraft-manage-row">
+        <label class="minecraft-manage-label">${f.folder}/ (${f.items.length})</label>
+        <button class="btn-sm btn-secondary minecraft-plugin-add" data-folder="${f.folder}">${t('minecraft.manage.addJar')}</button>
+        ${f.exists ? `<button class="btn-sm btn-secondary minecraft-open-folder" data-path="${escapeAttr(f.path)}">${t('minecraft.manage.openFolder')}</button>` : ''}
+      </div>
+      ${f.items.length ? `
+      <table class="minecraft-manage-table">
+        ${f.items.map(item => `
+          <tr class="${item.enabled ? '' : 'minecraft-plugin-disabled'}">
+            <td>
+              <label class="minecraft-manage-check" title="${escapeAttr(item.file)}">
+                <input type="checkbox" class="minecraft-plugin-toggle" data-folder="${f.folder}" data-file="${escapeAttr(item.file)}"${item.enabled ? ' checked' : ''}>
+                ${escapeHtml(item.name || item.file)}
+              </label>
+              ${item.loader ? `<span class="minecraft-manage-badge">${item.loader}</span>` : ''}
+              ${item.description ? `<div class="minecraft-manage-muted">${escapeHtml(item.description)}</div>` : ''}
+            </td>
+            <td>${escapeHtml(item.version || '?')}</td>
+            <td class="minecraft-manage-muted">${escapeHtml(item.authors.join(', '))}</td>
+            <td class="minecraft-manage-actions">
+              <button class="btn-sm btn-delete minecraft-plugin-remove" data-folder="${f.folder}" data-file="${escapeAttr(item.file)}">${t('common.delete')}</button>
+            </td>
+          </tr>
+        `).join('')}
+      </table>` : ''}
+    `).join('')}
+  `;
+}
+
+// ── server.properties ──
+
+function errorMessage(error, t) {
+  return t(`minecraft.config.errors.${error.code}`, { min: error.min, max: error.max, values: (error.values || []).join(', ') });
+}
+
+function propertyInput(spec, values) {
+  const present = Object.prototype.hasOwnProperty.call(values, spec.key);
+  const value = present ? values[spec.key] : '';
+  const effective = present ? value : String(spec.default);
+  const attrs = `class="minecraft-config-input" data-key="${escapeAttr(spec.key)}"`;
+
+  if (spec.type === 'boolean') {
+    return `<input type="checkbox" ${attrs} data-initial="${escapeAttr(effective)}"${effective === 'true' ? ' checked' : ''}>`;
+  }
+  if (spec.type === 'enum') {
+    const options = spec.values.includes(effective) ? spec.values : [effective, ...spec.values];
+    return `
+      <select ${attrs} data-initial="${escapeAttr(effective)}">
+        ${options.map(v => `<option value="${escapeAttr(v)}"${v === effective ? ' selected' : ''}>${escapeHtml(v)}</option>`).join('')}
+      </select>`;
+  }
+  const type = spec.type === 'integer' ? 'number' : spec.secret ? 'password' : 'text';
+  const range = spec.type === 'integer' ? ` min="${spec.min}" max="${spec.max}" step="1"` : '';
+  const list = spec.suggestions ? ` list="minecraft-config-${escapeAttr(spec.key)}"` : '';
+  return `
+    <input type="${type}" ${attrs}${range}${list} data-initial="${escapeAttr(value)}" value="${escapeAttr(value)}" placeholder="${escapeAttr(spec.default)}">
+    ${spec.suggestions ? `<datalist id="minecraft-config-${escapeAttr(spec.key)}">${spec.suggestions.map(v => `<option value="${escapeAttr(v)}">`).join('')}</datalist>` : ''}`;
+}
+
+function propertiesHtml(data, t) {
+  const values = data.properties.values;
+  const known = new Set(SERVER_PROPERTIES.map(p => p.key));
+  const others = Object.keys(values).filter(key => !known.has(key)).sort();
+  const notices = [];
+  if (!data.eula.accepted) {
+    notices.push(`
+      <div class="minecraft-manage-notice">
+        <span>${t('minecraft.config.eulaRequired')} <a href="#" class="minecraft-eula-link">${EULA_URL}</a></span>
+        <button class="btn-sm btn-secondary minecraft-eula-accept">${t('minecraft.config.acceptEula')}</button>
+      </div>`);
+  }
+  if (!data.properties.exists) notices.push(`<div class="minecraft-manage-notice">${t('minecraft.config.noProperties')}</div>`);
+  if (data.running) notices.push(`<div class="minecraft-manage-notice">${t('minecraft.config.appliesOnRestart')}</div>`);
+
+  const row = (key, input) => `
+    <tr>
+      <td><code>${escapeHtml(key)}</code></td>
+      <td class="minecraft-config-value">${input}<div class="minecraft-manage-error minecraft-config-error"></div></td>
+    </tr>`;
+
+  return `
+    ${notices.join('')}
+    ${data.eula.accepted ? `<div class="minecraft-manage-muted">${t('minecraft.config.eulaAccepted')}</div>` : ''}
+    ${PROPERTY_GROUPS.map(group => `
+      <label class="minecraft-manage-label">${t(`minecraft.config.groups.${group}`)}</label>
+      <table class="minecraft-manage-table">
+        ${SERVER_PROPERTIES.filter(p => p.group === group).map(spec => row(spec.key, propertyInput(spec, values))).join('')}
+      </table>
+    `).join('')}
+    ${others.length ? `
+      <label class="minecraft-manage-label">${t('minecraft.config.groups.other')}</label>
+      <table class="minecraft-manage-table">
+        ${others.map(key => row(key, `<input type="text" class="minecraft-config-input" data-key="${escapeAttr(key)}" data-initial="${escapeAttr(values[key])}" value="${escapeAttr(values[key])}">`)).join('')}
+      </table>` : ''}
+    <div class="minecraft-manage-row minecraft-config-footer">
+      <button class="btn-sm btn-primary minecraft-properties-save">${t('common.save')}</button>
+    </div>
+  `;
+}
+
+// ── JVM ──
+
+function javaStatusHtml(data, t) {
+  const { java, requirement, compatibility } = data;
+  const lines = [];
+  lines.push(java.major
+    ? `<div>${t('minecraft.config.javaFound', { version: escapeHtml(java.version), path: escapeHtml(java.path) })}</div>`
+    : `<div class="minecraft-manage-error">${t('minecraft.config.javaMissing', { path: escapeHtml(java.path) })}</div>`);
+  if (java.customPathMissing) lines.push(`<div class="minecraft-manage-notice">${t('minecraft.config.javaPathMissing')}</div>`);
+
+  if (requirement) {
+    const needs = requirement.max === requirement.min
+      ? t('minecraft.config.needsExactly', { min: requirement.min })
+      : requirement.max
+        ? t('minecraft.config.needsRange', { min: requirement.min, max: requirement.max })
+        : t('minecraft.config.needsMin', { min: requirement.min });
+    lines.push(`<div class="minecraft-manage-muted">${requirement.minecraftVersion
+      ? t('minecraft.config.serverVersion', { version: escapeHtml(requirement.minecraftVersion), needs })
+      : needs}</div>`);
+  } else {
+    lines.push(`<div class="minecraft-manage-muted">${t('minecraft.config.requirementUnknown')}</div>`);
+  }
+  if (compatibility === 'tooOld') {
+    lines.push(`<div class="minecraft-manage-notice">${t('minecraft.config.javaTooOld', { major: java.major, min: requirement.min })}</div>`);
+  } else if (compatibility === 'tooNew') {
+    lines.push(`<div class="minecraft-manage-notice">${t('minecraft.config.javaTooNew', { major: java.major, max: requirement.max })}</div>`);
+  } else if (compatibility === 'ok') {
+    lines.push(`<div class="minecraft-config-ok">${t('minecraft.config.javaOk')}</div>`);
+  }
+  return lines.join('');
+}
+
+function jvmHtml(data, config, t) {
+  const jvm = config.jvm || {};
+  const preset = JVM_PRESETS.includes(jvm.preset) ? jvm.preset : 'none';
+  const gc = GC_CHOICES.includes(jvm.gc) ? jvm.gc : 'default';
+  const field = (label, input) => `<tr><td>${label}</td><td class="minecraft-config-value">${input}<div class="minecraft-manage-error minecraft-config-error"></div></td></tr>`;
+
+  return `
+    ${javaStatusHtml(data, t)}
+    ${data.launch.mode === 'script' ? `<div class="minecraft-manage-notice">${t('minecraft.config.scriptLaunch', { file: escapeHtml(data.launch.file) })}</div>` : ''}
+    ${data.running ? `<div class="minecraft-manage-notice">${t('minecraft.config.appliesOnRestart')}</div>` : ''}
+    <table class="minecraft-manage-table">
+      ${field(t('minecraft.config.javaPath'), `<input type="text" class="minecraft-jvm-input" data-key="javaPath" value="${escapeAttr(jvm.javaPath || '')}" placeholder="${escapeAttr(data.java.path)}">`)}
+      ${field(t('minecraft.config.maxMemory'), `<input type="text" class="minecraft-jvm-input" data-key="maxMemory" value="${escapeAttr(config.jvmMemory || '2G')}" placeholder="2G">`)}
+      ${field(t('minecraft.config.minMemory'), `<input type="text" class="minecraft-jvm-input" data-key="minMemory" value="${escapeAttr(jvm.minMemory || '')}" placeholder="${escapeAttr(t('minecraft.config.sameAsMax'))}">`)}
+      ${field(t('minecraft.config.preset'), `
+        <select class="minecraft-jvm-input" data-key="preset">
+          ${JVM_PRESETS.map(p => `<option value="${p}"${p === preset ? ' selected' : ''}>${t(`minecraft.config.presets.${p}`)}</option>`).join('')}
+        </select>`)}
+      ${field(t('minecraft.config.gc'), `
+        <select class="minecraft-jvm-input" data-key="gc">
+          ${GC_CHOICES.map(g => `<option value="${g}"${g === gc ? ' selected' : ''}>${t(`minecraft.config.gcs.${g}`)}</option>`).join('')}
+        </select>`)}
+      ${field(t('minecraft.config.extraArgs'), `<input type="text" class="minecraft-jvm-input" data-key="extraArgs" value="${escapeAttr(jvm.extraArgs || '')}" placeholder="-Dfile.encoding=UTF-8">`)}
+    </table>
+    <div class="minecraft-jvm-warnings"></div>
+    <label class="minecraft-manage-label">${t('minecraft.config.commandPreview')}</label>
+    <code class="minecraft-jvm-preview"></code>
+    <div class="minecraft-manage-row minecraft-config-footer">
+      <button class="btn-sm btn-primary minecraft-jvm-save">${t('common.save')}</button>
+    </div>
+  `;
+}
+
+/**
+ * @param {number} projectIndex
+ * @param {{ t: Function, onChanged?: Function }} deps - onChanged: re-render the dashboard
+ */
+function showServerModal(projectIndex, { t, onChanged }) {
+  const project = projectsState.get().projects[projectIndex];
+  if (!project) return;
+
+  const modal = createModal({
+    id: 'minecraft-server-modal',
+    title: t('minecraft.manage.title', { name: project.name }),
+    size: 'large',
+    content: `
+      <div class="minecraft-manage">
+        <div class="minecraft-manage-tabs">
+          ${TABS.map(tab => `<button class="minecraft-manage-tab" data-tab="${tab}">${t(`minecraft.manage.tabs.${tab}`)}</button>`).join('')}
+        </div>
+        <div class="minecraft-manage-body"></div>
+      </div>
+    `,
+    buttons: [
+      { label: t('common.close'), action: 'close', onClick: (m) => closeModal(m) }
+    ]
+  });
+
+  const body = modal.querySelector('.minecraft-manage-body');
+  let activeTab = 'players';
+  let busy = false;
+
+  const isRunning = () => getMinecraftServer(projectIndex).status !== 'stopped';
+  const loading = () => { body.innerHTML = `<div class="minecraft-manage-muted"><span class="btn-spinner"></span> ${t('common.loading')}</div>`; };
+
+  async function act(task, successKey) {
+    if (busy) return;
+    busy = true;
+    body.querySelectorAll('button, input').forEach(el => { el.disabled = true; });
+    const result = await task().catch(e => ({ success: false, error: e.message }));
+    busy = false;
+    if (result.success) {
+      if (successKey) showSuccess(t(typeof successKey === 'function' ? successKey(result) : successKey));
+      if (onChanged) onChanged();
+    } else {
+      showError(result.error || t('common.errorOccurred'));
+    }
+    await render();
+    return result;
+  }
+
+  function bindOpenFolder() {
+    body.querySelectorAll('.minecraft-open-folder').forEach((btn) => {
+      btn.onclick = () => window.electron_api.dialog.openInExplorer(btn.dataset.path);
+    });
+  }
+
+  async function renderPlayers() {
+    const data = await getPlayers(projectIndex).catch(e => ({ success: false, error: e.message }));
+    if (activeTab !== 'players') return;
+    if (!data.success) { body.innerHTML = errorHtml(data, t); return; }
+    body.innerHTML = playersHtml(data, t);
+
+    const reason = () => body.querySelector('.minecraft-player-reason').value.trim();
+    const run = async (action, name) => {
+      if (action === 'ban' && !(await showConfirm({
+        title: t('minecraft.manage.ban'),
+        message: t('minecraft.manage.confirmBan', { name }),
+        confirmLabel: t('minecraft.manage.ban'),
+        danger: true
+      }))) return;
+      act(() => playerAction(projectIndex, action, name, reason()), 'minecraft.manage.actionDone');
+    };
+
+    body.querySelectorAll('.minecraft-player-action').forEach((btn) => {
+      btn.onclick = () => run(btn.dataset.action, btn.dataset.name);
+    });
+    body.querySelectorAll('.minecraft-player-add').forEach((btn) => {
+      btn.onclick = () => {
+        const name = body.querySelector('.minecraft-player-name').value.trim();
+        if (!/^\.?[A-Za-z0-9_]{1,16}$/.test(name)) {
+          showError(t('minecraft.manage.invalidName'));
+          return;
+        }
+        run(btn.dataset.action, name);
+      };
+    });
+    const rconBtn = body.querySelector('.minecraft-enable-rcon');
+    if (rconBtn) {
+      rconBtn.onclick = () => act(() => enableRcon(projectIndex), 'minecraft.manage.rconEnabled');
+    }
+  }
+
+  async function renderBackups() {
+    const data = await listBackups(projectIndex).catch(e => ({ success: false, error: e.message }));
+    if (activeTab !== 'backups') return;
+    if (!data.success) { body.innerHTML = errorHtml(data, t); return; }
+    const settings = projectsState.get().projects[projectIndex]?.minecraftConfig?.backups || {};
+    body.innerHTML = backupsHtml(data, settings, isRunning(), t);
+    bindOpenFolder();
+
+    body.querySelector('.minecraft-backup-save').onclick = () => {
+      const intervalHours = parseFloat(body.querySelector('.minecraft-backup-interval').value);
+      const keep = parseInt(body.querySelector('.minecraft-backup-keep').value, 10);
+      if (!(intervalHours >= 0.25) || !(keep >= 1)) {
+        showError(t('minecraft.manage.invalidSchedule'));
+        return;
+      }
+      const enabled = body.querySelector('.minecraft-backup-enabled').checked;
+      act(() => setBackupSettings(projectIndex, { enabled, intervalHours, keep }), 'minecraft.manage.scheduleSaved');
+    };
+    body.querySelector('.minecraft-backup-now').onclick = () => {
+      body.querySelector('.minecraft-backup-now').innerHTML = `<span class="btn-spinner"></span> ${t('minecraft.manage.backingUp')}`;
+      act(() => createBackup(projectIndex), 'minecraft.manage.backupDone');
+    };
+    body.querySelectorAll('.minecraft-backup-restore').forEach((btn) => {
+      btn.onclick = async () => {
+        const confirmed = await showConfirm({
+          title: t('minecraft.manage.restore'),
+          message: t('minecraft.manage.confirmRestore'),
+          confirmLabel: t('minecraft.manage.restore'),
+          danger: true
+        });
+        if (confirmed) act(() => restoreBackup(projectIndex, btn.dataset.file), 'minecraft.manage.restoreDone');
+      };
+    });
+    body.querySelectorAll('.minecraft-backup-delete').forEach((btn) => {
+      btn.onclick = async () => {
+        const confirmed = await showConfirm({
+          title: t('common.delete'),
+          message: t('minecraft.manage.confirmDeleteBackup'),
+          confirmLabel: t('common.delete'),
+          danger: true
+        });
+        if (confirmed) act(() => deleteBackup(projectIndex, btn.dataset.file));
+      };
+    });
+  }
+
+  async function renderPlugins() {
+    const data = await listPlugins(projectIndex).catch(e => ({ success: false, error: e.message }));
+    if (activeTab !== 'plugins') return;
+    if (!data.success) { body.innerHTML = errorHtml(data, t); return; }
+    body.innerHTML = pluginsHtml(data, t);
+    bindOpenFolder();
+
+    body.querySelectorAll('.minecraft-plugin-toggle').forEach((input) => {
+      input.onchange = () => act(() => togglePlugin(projectIndex, input.dataset.folder, input.dataset.file, input.checked));
+    });
+    body.querySelectorAll('.minecraft-plugin-add').forEach((btn) => {
+      btn.onclick = () => act(() => addPlugin(projectIndex, btn.dataset.folder));
+    });
+    body.querySelectorAll('.minecraft-plugin-remove').forEach((btn) => {
+      btn.onclick = async () => {
+        const confirmed = await showConfirm({
+          title: t('common.delete'),
+          message: t('minecraft.manage.confirmRemovePlugin', { file: btn.dataset.file }),
+          confirmLabel: t('common.delete'),
+          danger: true
+        });
+        if (confirmed) act(() => removePlugin(projectIndex, btn.dataset.folder, btn.dataset.file));
+      };
+    });
+  }
+
+  const savedKey = result => (result.restartRequired ? 'minecraft.config.savedRestart' : 'minecraft.config.saved');
+
+  function showFieldErrors(selector, errors) {
+    body.querySelectorAll(selector).forEach((input) => {
+      const error = errors.find(e => e.key === input.dataset.key);
+      input.classList.toggle('invalid', !!error);
+      const message = input.closest('td').querySelector('.minecraft-config-error');
+      if (message) message.textContent = error ? errorMessage(error, t) : '';
+    });
+  }
+
+  async function renderProperties() {
+    const data = await getServerSettings(projectIndex).catch(e => ({ success: false, error: e.message }));
+    if (activeTab !== 'properties') return;
+    if (!data.success) { body.innerHTML = errorHtml(data, t); return; }
+    body.innerHTML = propertiesHtml(data, t);
+
+    const inputs = [...body.querySelectorAll('.minecraft-config-input')];
+    const valueOf = input => (input.type === 'checkbox' ? String(input.checked) : input.value.trim());
+    const changes = () => {
+      const values = {};
+      inputs.forEach((input) => {
+        if (valueOf(input) !== input.dataset.initial) values[input.dataset.key] = valueOf(input);
+      });
+      return values;
+    };
+
+    inputs.forEach((input) => {
+      input.addEventListener(input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input', () => {
+        const error = validateProperty(input.dataset.key, valueOf(input));
+        showFieldErrors(`.minecraft-config-input[data-key="${CSS.escape(input.dataset.key)}"]`, error ? [error] : []);
+      });
+    });
+
+    body.querySelector('.minecraft-properties-save').onclick = () => {
+      const values = changes();
+      if (!Object.keys(values).length) {
+        showSuccess(t('minecraft.config.noChanges'));
+        return;
+      }
+      const errors = validateProperties(values, data.properties.values);
+      showFieldErrors('.minecraft-config-input', errors);
+      if (errors.length) {
+        showError(t('minecraft.config.invalidValues'));
+        body.querySelector('.minecraft-config-input.invalid')?.scrollIntoView({ block: 'center' });
+        return;
+      }
+      act(() => saveServerProperties(projectIndex, values), savedKey);
+    };
+
+    const eulaBtn = body.querySelector('.minecraft-eula-accept');
+    if (eulaBtn) {
+      eulaBtn.onclick = () => act(() => acceptEula(projectIndex), 'minecraft.config.eulaDone');
+      body.querySelector('.minecraft-eula-link').onclick = (e) => {
+        e.preventDefault();
+        window.electron_api.dialog.openExternal(EULA_URL);
+      };
+    }
+  }
+
+  async function renderJvm() {
+    const data = await getServerSettings(projectIndex).catch(e => ({ success: false, error: e.message }));
+    if (activeTab !== 'jvm') return;
+    if (!data.success) { body.innerHTML = errorHtml(data, t); return; }
+    const config = projectsState.get().projects[projectIndex]?.minecraftConfig || {};
+    body.innerHTML = jvmHtml(data, config, t);
+
+    const inputs = [...body.querySelectorAll('.minecraft-jvm-input')];
+    const read = () => Object.fromEntries(inputs.map(input => [input.dataset.key, input.value.trim()]));
+
+    const update = () => {
+      const jvm = read();
+      body.querySelector('.minecraft-jvm-input[data-key="gc"]').disabled = jvm.preset === 'aikar';
+      showFieldErrors('.minecraft-jvm-input', validateJvmConfig(jvm));
+
+      const warnings = [];
+      const maxMb = parseMemory(jvm.maxMemory);
+      if (maxMb && maxMb > data.totalMemoryMb * 0.8) {
+        warnings.push(t('minecraft.config.memoryHigh', { total: `${(data.totalMemoryMb / 1024).toFixed(1)} GB` }));
+      }
+      const gcJava = jvm.preset === 'aikar' ? null : gcMinJava(jvm.gc);
+      if (gcJava && data.java.major && data.java.major < gcJava) {
+        warnings.push(t('minecraft.config.gcNeedsJava', { gc: t(`minecraft.config.gcs.${jvm.gc}`), version: gcJava }));
+      }
+      body.querySelector('.minecraft-jvm-warnings').innerHTML = warnings
+        .map(w => `<div class="minecraft-manage-notice">${escapeHtml(w)}</div>`).join('');
+
+      const jar = data.launch.mode === 'jar' ? data.launch.file : 'server.jar';
+      const args = buildJvmArgs(jvm).map(arg => (/[\s"]/.test(arg) ? `"${arg.replace(/"/g, '\\"')}"` : arg));
+      body.querySelector('.minecraft-jvm-preview').textContent = `"${jvm.javaPath || data.java.path}" ${args.join(' ')} -jar "${jar}" nogui`;
+    };
+    inputs.forEach((input) => input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', update));
+    update();
+
+    body.querySelector('.minecraft-jvm-save').onclick = () => {
+      const jvm = read();
+      if (validateJvmConfig(jvm).length) {
+        showError(t('minecraft.config.invalidValues'));
+        return;
+      }
+      act(async () => setJvmSettings(projectIndex, jvm), savedKey);
+    };
+  }
+
+  async function render() {
+    modal.querySelectorAll('.minecraft-manage-tab').forEach((tab) => {
+      tab.classList.toggle('active', tab.dataset.tab === activeTab);
+    });
+    if (activeTab === 'players') await renderPlayers();
+    else if (activeTab === 'backups') await renderBackups();
+    else if (activeTab === 'plugins') await renderPlugins();
+    else if (activeTab === 'properties') await renderProperties();
+    else await renderJvm();
+  }
+
+  modal.querySelectorAll('.minecraft-manage-tab').forEach((tab) => {
+    tab.onclick = () => {
+      if (busy || tab.dataset.tab === activeTab) return;
+      activeTab = tab.dataset.tab;
+      loading();
+      render();
+    };
+  });
+
+  showModal(modal);
+  loading();
+  render();
+}
+
+module.exports = { showServerModal };
@@ -1,6 +1,7 @@
 /**
  * Python Project Type
- * Python environment detection (version, venv, deps, entry point)
+ * Python environment detection (version, venv, deps, entry point), venv management,
+ * project console and test runs
  */
 
 const { createType } = require('../base-type');
@@ -56,6 +57,43 @@ module.exports = createType({
     return require('./renderer/PythonDashboard').getDashboardStats(ctx);
   },
 
+  bindDashboardEvents: (container, ctx) => {
+    require('./renderer/PythonDashboard').bindDashboardEvents(container, ctx);
+  },
+
+  // Console management (type-specific consoles)
+  getConsoleConfig: (project, projectIndex) => ({
+    typeId: 'python',
+    tabIcon: '🐍',
+    tabClass: 'python-tab',
+    dotClass: 'python-dot',
+    wrapperClass: 'python-wrapper',
+    consoleViewSelector: '.python-console-view',
+    ipcNamespace: 'python',
+    scrollback: 10000,
+    getExistingLogs: (pi) => {
+      try {
+        const { getPythonRun } = require('./renderer/PythonState');
+        return getPythonRun(pi).logs;
+      } catch (e) { return []; }
+    },
+    onCleanup: (wrapper) => {
+      try { require('./renderer/PythonTerminalPanel').cleanup(wrapper); } catch (e) {}
+    }
+  }),
+
+  // TerminalManager
+  getTerminalPanels: (ctx) => {
+    const Panel = require('./renderer/PythonTerminalPanel');
+    return [{
+      id: 'python-console',
+      getWrapperHtml: () => Panel.getViewSwitcherHtml(),
+      setupPanel: (wrapper, terminalId, projectIndex, project, deps) => {
+        Panel.setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps);
+      }
+    }];
+  },
+
   // Wizard
   getWizardFields: () => {
     return require('./renderer/PythonWizard').getWizardFields();
@@ -76,13 +114,27 @@ module.exports = createType({
   // Suppression
   onProjectDelete: (project, idx) => {
     try {
-      const { removePythonInfo } = require('./renderer/PythonState');
+      const { removePythonInfo, getPythonRun, getPythonTests } = require('./renderer/PythonState');
+      const { stopPythonRun, stopPythonTests } = require('./renderer/PythonRendererService');
+      if (getPythonRun(idx).status !== 'stopped') stopPythonRun(idx);
+      if (getPythonTests(idx).status === 'running') stopPythonTests(idx);
       removePythonInfo(idx);
     } catch (e) {
       console.error('[Python] Error cleaning up on delete:', e);
     }
   },
 
+  // Project settings (per-project modal)
+  getProjectSettings: (project) => [
+    {
+      key: 'runCommand',
+      labelKey: 'python.runCommandLabel',
+      type: 'text',
+      placeholder: 'python main.py, uvicorn app:app --reload, flask run...',
+      hintKey: 'python.runCommandHint'
+    }
+  ],
+
   // Assets
   getStyles: () => `
 /* ========== Python Type Styles ========== */
@@ -146,6 +198,392 @@ module.exports = createType({
   gap: 6px;
   font-size: 12px;
 }
+
+.python-env-btn {
+  font-family: inherit;
+  cursor: pointer;
+  transition: border-color 0.15s, color 0.15s;
+}
+
+.python-env-btn:hover {
+  border-color: #3776ab;
+  color: var(--text-primary);
+}
+
+.python-env-btn svg {
+  color: #3776ab;
+}
+
+.python-env .form-group small {
+  display: block;
+  margin-top: 4px;
+  font-size: 11px;
+}
+
+.python-env-muted {
+  color: var(--text-secondary);
+  font-size: 12px;
+}
+
+.python-env-status {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 8px;
+  font-size: 13px;
+}
+
+.python-env-status code {
+  background: var(--bg-tertiary);
+  padding: 1px 6px;
+  border-radius: 3px;
+  font-size: 12px;
+}
+
+.python-env-row {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+}
+
+.python-env-row select {
+  width: auto;
+  min-width: 110px;
+}
+
+.python-env-task-title {
+  flex: 1;
+  font-size: 12px;
+  font-weight: 600;
+}
+
+.python-env-outdated {
+  margin-top: 8px;
+}
+
+.python-env-outdated-table {
+  width: 100%;
+  margin-top: 6px;
+  border-collapse: collapse;
+  font-size: 12px;
+  font-family: 'Cascadia Code', monospace;
+}
+
+.python-env-outdated-table td {
+  padding: 3px 6px;
+  border-bottom: 1px solid var(--border-color);
+}
+
+.python-env-error {
+  color: var(--danger);
+  font-size: 12px;
+  white-space: pre-wrap;
+}
+
+.python-env-log {
+  margin: 8px 0 0;
+  max-height: 220px;
+  overflow: auto;
+  padding: 8px 10px;
+  background: var(--bg-primary);
+  border: 1px solid var(--border-color);
+  border-radius: 6px;
+  font-family: 'Cascadia Code', monospace;
+  font-size: 11px;
+  line-height: 1.45;
+  white-space: pre-wrap;
+  word-break: break-all;
+}
+
+/* Sidebar buttons */
+.btn-action-primary.btn-python-start {
+  background: var(--success);
+}
+
+.btn-action-primary.btn-python-start:hover {
+  background: #16a34a;
+}
+
+.btn-action-primary.btn-python-stop {
+  background: var(--danger);
+}
+
+.btn-action-primary.btn-python-stop:hover {
+  background: #dc2626;
+}
+
+.btn-action-icon.btn-python-console {
+  background: rgba(55, 118, 171, 0.15);
+  color: #3776ab;
+}
+
+.btn-action-icon.btn-python-console:hover {
+  background: #3776ab;
+  color: white;
+}
+
+/* Terminal tab */
+.terminal-tab.python-tab {
+  border-bottom-color: #3776ab;
+}
+
+.terminal-tab.python-tab .status-dot.python-dot {
+  background: #3776ab;
+}
+
+.terminal-tab.python-tab.active {
+  color: #3776ab;
+  border-bottom-color: #3776ab;
+}
+
+/* Wrapper */
+.python-wrapper {
+  display: flex;
+  flex-direction: column;
+  flex: 1;
+  height: 100%;
+  min-height: 0;
+}
+
+.python-view-content {
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  min-height: 0;
+  overflow: hidden;
+}
+
+/* View switcher */
+.python-view-switcher {
+  display: flex;
+  gap: 1px;
+  padding: 4px 8px;
+  background: var(--bg-primary);
+  border-bottom: 1px solid var(--border-color);
+  flex-shrink: 0;
+}
+
+.python-view-tab {
+  display: flex;
+  align-items: center;
+  gap: 5px;
+  padding: 5px 14px;
+  border: none;
+  background: transparent;
+  color: var(--text-secondary);
+  font-size: 11.5px;
+  font-weight: 500;
+  cursor: pointer;
+  border-radius: 4px;
+  transition: all 0.15s ease;
+}
+
+.python-view-tab:hover {
+  background: var(--bg-hover);
+  color: var(--text-primary);
+}
+
+.python-view-tab.active {
+  background: rgba(55, 118, 171, 0.15);
+  color: #3776ab;
+}
+
+.python-view-tab.active svg { opacity: 1; }
+.python-view-tab svg { opacity: 0.5; }
+
+.python-view {
+  display: none;
+  flex-direction: column;
+  flex: 1;
+  min-height: 0;
+  overflow: hidden;
+}
+
+.python-view.python-view-active {
+  display: flex;
+}
+
+.python-console-view {
+  flex: 1;
+  min-height: 0;
+}
+
+/* Tests view */
+.python-tests-toolbar {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 8px 12px;
+  border-bottom: 1px solid var(--border-color);
+  flex-shrink: 0;
+}
+
+.python-tests-summary {
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-left: 6px;
+  font-size: 12px;
+}
+
+.python-tests-chip {
+  display: inline-flex;
+  align-items: center;
+  gap: 4px;
+}
+
+.python-tests-muted {
+  color: var(--text-secondary);
+  font-size: 11px;
+}
+
+.python-tests-body {
+  display: flex;
+  flex: 1;
+  min-height: 0;
+}
+
+.python-tests-tree {
+  width: 40%;
+  min-width: 220px;
+  overflow: auto;
+  padding: 6px 0;
+  border-right: 1px solid var(--border-color);
+}
+
+.python-tests-detail {
+  flex: 1;
+  overflow: auto;
+  padding: 12px 16px;
+}
+
+.python-tests-empty {
+  padding: 24px;
+  color: var(--text-secondary);
+  font-size: 12px;
+}
+
+.python-tests-error {
+  margin: 8px 12px;
+  color: var(--danger);
+  font-size: 12px;
+  white-space: pre-wrap;
+}
+
+.python-tests-output {
+  flex: 1;
+  margin: 0;
+  padding: 10px 12px;
+  overflow: auto;
+  font-family: 'Cascadia Code', monospace;
+  font-size: 11px;
+  line-height: 1.45;
+  white-space: pre-wrap;
+  word-break: break-all;
+}
+
+.python-tests-body > .python-tests-error + .python-tests-output {
+  border-top: 1px solid var(--border-color);
+}
+
+.python-tests-body:has(> .python-tests-error) {
+  flex-direction: column;
+}
+
+.python-test-group > summary {
+  list-style: none;
+}
+
+.python-test-group > summary::-webkit-details-marker {
+  display: none;
+}
+
+.python-test-node {
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 3px 10px;
+  font-size: 12px;
+  cursor: pointer;
+  white-space: nowrap;
+}
+
+.python-test-node:hover {
+  background: var(--bg-hover);
+}
+
+.python-test-leaf.selected {
+  background: rgba(55, 118, 171, 0.18);
+}
+
+.python-test-label {
+  flex: 1;
+  overflow: hidden;
+  text-overflow: ellipsis;
+}
+
+.python-test-icon {
+  width: 14px;
+  text-align: center;
+  font-weight: 700;
+  flex-shrink: 0;
+}
+
+.python-test-icon.passed { color: #3fb950; }
+.python-test-icon.failed { color: var(--danger); }
+.python-test-icon.error { color: #d29922; }
+.python-test-icon.skipped { color: var(--text-secondary); }
+
+.python-test-detail-header {
+  display: flex;
+  align-items: flex-start;
+  gap: 8px;
+  margin-bottom: 10px;
+}
+
+.python-test-detail-title {
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+  min-width: 0;
+  word-break: break-all;
+}
+
+.python-test-location {
+  margin-bottom: 8px;
+  font-size: 12px;
+}
+
+.python-test-message {
+  margin-bottom: 8px;
+  color: var(--danger);
+  font-size: 12px;
+  white-space: pre-wrap;
+}
+
+.python-test-traceback {
+  margin: 0;
+  padding: 8px 10px;
+  background: var(--bg-primary);
+  border: 1px solid var(--border-color);
+  border-radius: 6px;
+  font-family: 'Cascadia Code', monospace;
+  font-size: 11px;
+  line-height: 1.45;
+  white-space: pre-wrap;
+  word-break: break-all;
+}
+
+.python-test-link {
+  color: #58a6ff;
+  cursor: pointer;
+  text-decoration: underline dotted;
+}
+
+.python-test-link:hover {
+  text-decoration: underline;
+}
 `,
 
   getTranslations: () => {
@@ -162,9 +600,9 @@ module.exports = createType({
   getPreloadBridge: () => ({
     namespace: 'python',
     channels: {
-      invoke: ['python-detect-info'],
-      send: [],
-      on: []
+      invoke: ['python-detect-info', 'python-list-interpreters', 'python-create-venv', 'python-install-deps', 'python-outdated', 'python-cancel-task', 'python-run-start', 'python-run-stop', 'python-tests-run', 'python-tests-stop'],
+      send: ['python-input', 'python-resize'],
+      on: ['python-task-output', 'python-data', 'python-exit', 'python-test-output']
     }
   })
 });
@@ -0,0 +1,285 @@
+/**
+ * Python Runner
+ * Runtime console of Python projects (detected entry point or configured command, in a pty
+ * with the project venv) and test runs (pytest / unittest) parsed into structured results.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const pty = require('node-pty');
+const { execFile, execFileSync, spawn } = require('child_process');
+const pythonService = require('./PythonService');
+const { venvPython, pythonEnv } = require('../../../shared/python-env');
+const { parseJUnitXml, parseUnittestOutput, summarizeTests } = require('../../../shared/python-tests');
+
+const MAX_TEST_OUTPUT = 200000;
+
+class PythonRunner {
+  constructor() {
+    this.processes = new Map(); // projectIndex -> pty process
+    this.testRuns = new Map(); // projectIndex -> child process
+    this.mainWindow = null;
+  }
+
+  setMainWindow(window) {
+    this.mainWindow = window;
+  }
+
+  /**
+   * Start the project: its configured command, else its main script or detected entry point
+   * @param {{ projectIndex: number, projectPath: string, runCommand?: string, mainScript?: string, venvPath?: string, interpreter?: string }} params
+   */
+  start({ projectIndex, projectPath, runCommand, mainScript, venvPath, interpreter }) {
+    if (this.processes.has(projectIndex)) {
+      this.stop({ projectIndex });
+    }
+
+    const target = this._target(projectPath, venvPath, interpreter);
+    const command = runCommand || this._defaultCommand(projectPath, mainScript, target);
+    if (!command) {
+      return { success: false, error: 'No run command configured and no entry point detected' };
+    }
+
+    const shellPath = process.platform === 'win32' ? 'cmd.exe' : 'bash';
+    const shellArgs = process.platform === 'win32' ? ['/c', command] : ['-c', command];
+
+    let ptyProcess;
+    try {
+      ptyProcess = pty.spawn(shellPath, shellArgs, {
+        name: 'xterm-256color',
+        cols: 120,
+        rows: 30,
+        cwd: projectPath,
+        env: { ...pythonEnv(process.env, target), PYTHONUNBUFFERED: '1', FORCE_COLOR: '1' }
+      });
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+
+    this.processes.set(projectIndex, ptyProcess);
+
+    ptyProcess.onData(data => {
+      this._send('python-data', { projectIndex, data });
+    });
+
+    ptyProcess.onExit(({ exitCode }) => {
+      if (this.processes.get(projectIndex) === ptyProcess) this.processes.delete(projectIndex);
+      this._send('python-exit', { projectIndex, code: exitCode });
+    });
+
+    return { success: true, command };
+  }
+
+  stop({ projectIndex }) {
+    const proc = this.processes.get(projectIndex);
+    if (proc) {
+      const pid = proc.pid;
+      this.processes.delete(projectIndex);
+      try {
+        proc.write('\x03');
+        setTimeout(() => {
+          this._forceKill(pid);
+        }, 3000);
+      } catch (e) {
+        this._forceKill(pid);
+      }
+    }
+    return { success: true };
+  }
+
+  write(projectIndex, data) {
+    const proc = this.processes.get(projectIndex);
+    if (proc) proc.write(data);
+  }
+
+  resize(projectIndex, cols, rows) {
+    const proc = this.processes.get(projectIndex);
+    if (proc) proc.resize(cols, rows);
+  }
+
+  /**
+   * pytest when the project configures or depends on it, else unittest
+   * @param {string} projectPath
+   * @returns {'pytest'|'unittest'}
+   */
+  detectTestRunner(projectPath) {
+    const read = (file) => {
+      try { return fs.readFileSync(path.join(projectPath, file), 'utf8'); } catch (e) { return ''; }
+    };
+    if (fs.existsSync(path.join(projectPath, 'pytest.ini')) || fs.existsSync(path.join(projectPath, 'conftest.py'))) {
+      return 'pytest';
+    }
+    if (/\[tool\.pytest/.test(read('pyproject.toml')) || /\[tool:pytest\]/.test(read('setup.cfg'))) return 'pytest';
+    if (/^\s*pytest\b/im.test(read('requirements.txt') + '\n' + read('requirements-dev.txt'))) return 'pytest';
+    if (/["']?pytest["']?\s*[=<>~^"']/.test(read('pyproject.toml') + '\n' + read('Pipfile'))) return 'pytest';
+    return 'unittest';
+  }
+
+  /**
+   * Run the tests of a project, streaming the output (python-test-output)
+   * @param {{ projectIndex: number, projectPath: string, runner?: string, target?: string, venvPath?: string, interpreter?: string }} params
+   *   target: test file / node id (pytest) or dotted module (unittest) — all tests when omitted
+   * @returns {Promise<{ success: boolean, runner: string, tests?: Object[], summary?: Object, output: string, error?: string }>}
+   */
+  runTests({ projectIndex, projectPath, runner, target, venvPath, interpreter }) {
+    if (this.testRuns.has(projectIndex)) {
+      return Promise.resolve({ success: false, runner, output: '', error: 'Tests are already running for this project' });
+    }
+
+    runner = runner === 'pytest' || runner === 'unittest' ? runner : this.detectTestRunner(projectPath);
+    const env = this._target(projectPath, venvPath, interpreter);
+    const python = this._python(env);
+    const reportFile = path.join(os.tmpdir(), `ct-pytest-${process.pid}-${Date.now()}.xml`);
+    const args = runner === 'pytest'
+      ? ['-m', 'pytest', '-o', 'junit_family=xunit1', `--junitxml=${reportFile}`, ...(target ? [target] : [])]
+      : ['-m', 'unittest', ...(target ? ['-v', target] : ['discover', '-v'])];
+
+    return new Promise((resolve) => {
+      let output = '';
+      const send = (data) => {
+        output = (output + data).slice(-MAX_TEST_OUTPUT);
+        this._send('python-test-output', { projectIndex, data });
+      };
+      send(`$ ${[python, ...args].map(a => (/\s/.test(a) ? `"${a}"` : a)).join(' ')}\n`);
+
+      let child;
+      try {
+        child = spawn(python, args, {
+          cwd: projectPath,
+          env: { ...pythonEnv(process.env, env), PYTHONUNBUFFERED: '1' },
+          windowsHide: true
+        });
+      } catch (e) {
+        resolve({ success: false, runner, output, error: e.message });
+        return;
+      }
+      this.testRuns.set(projectIndex, child);
+
+      child.stdout.on('data', data => send(data.toString()));
+      child.stderr.on('data', data => send(data.toString()));
+
+      let failed = null;
+      child.on('error', (e) => {
+        failed = e.code === 'ENOENT' ? `${python} not found` : e.message;
+      });
+      child.on('close', (code, signal) => {
+        this.testRuns.delete(projectIndex);
+
+        let tests = [];
+        if (runner === 'pytest') {
+          try {
+            tests = parseJUnitXml(fs.readFileSync(reportFile, 'utf8'), projectPath);
+          } catch (e) {
+          } finally {
+            // Also when pytest crashed or the run was stopped
+            try {
+              fs.unlinkSync(reportFile);
+            } catch (e) {
+              if (e.code !== 'ENOENT') console.error('Failed to remove pytest report:', e.message);
+            }
+          }
+        } else {
+          tests = parseUnittestOutput(output, projectPath);
+        }
+
+        // pytest: 1 = some tests failed, 5 = no tests collected; unittest: 1 = failures
+        const completed = !failed && (code === 0 || code === 5 || (code === 1 && tests.length > 0));
+        resolve(completed
+          ? { success: true, runner, tests, summary: summarizeTests(tests), output }
+          : { success: false, runner, tests, summary: summarizeTests(tests), output, error: failed || (signal ? 'Stopped' : `Exited with code ${code}`) });
+      });
+    });
+  }
+
+  stopTests({ projectIndex }) {
+    const child = this.testRuns.get(projectIndex);
+    if (!child) return { success: false };
+    if (process.platform === 'win32') {
+      execFile('taskkill', ['/F', '/T', '/PID', String(child.pid)], () => {});
+    } else {
+      try { child.kill('SIGTERM'); } catch (e) {}
+    }
+    return { success: true };
+  }
+
+  isRunning(projectIndex) {
+    return this.processes.has(projectIndex);
+  }
+
+  stopAll() {
+    this.processes.forEach((proc) => {
+      const pid = proc.pid;
+      try { proc.write('\x03'); } catch (e) {}
+      this._forceKillSync(pid);
+    });
+    this.processes.clear();
+    this.testRuns.forEach((child, projectIndex) => this.stopTests({ projectIndex }));
+    this.testRuns.clear();
+  }
+
+  /**
+   * Venv / interpreter of the project, as pythonEnv expects it
+   */
+  _target(projectPath, venvPath, interpreter) {
+    const venvDir = pythonService.resolveVenv(projectPath, venvPath);
+    return { venvDir, interpreter: !venvDir && interpreter && fs.existsSync(interpreter) ? interpreter : null };
+  }
+
+  /**
+   * Interpreter to run: the venv one, the chosen one, else the one on PATH
+   */
+  _python({ venvDir, interpreter }) {
+    if (venvDir) return venvPython(venvDir);
+    if (interpreter) return interpreter;
+    return process.platform === 'win32' ? 'python' : 'python3';
+  }
+
+  _defaultCommand(projectPath, mainScript, target) {
+    const entry = mainScript || pythonService.detectEntryPoint(projectPath);
+    if (!entry) return null;
+
+    const python = this._python(target);
+    const bin = /\s/.test(python) ? `"${python}"` : python;
+    if (entry === 'manage.py') return `${bin} manage.py runserver`;
+    // A directory with a __main__.py runs as a script
+    if (entry.endsWith('__main__.py')) return `${bin} ${path.dirname(entry)}`;
+    return `${bin} ${/\s/.test(entry) ? `"${entry}"` : entry}`;
+  }
+
+  _send(channel, payload) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, payload);
+    }
+  }
+
+  _forceKill(pid) {
+    if (!pid || !Number.isInteger(pid) || pid <= 0) return;
+    try {
+      if (process.platform === 'win32') {
+        execFile('taskkill', ['/F', '/T', '/PID', String(pid)], () => {});
+      } else {
+        process.kill(-pid, 'SIGKILL');
+      }
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  /**
+   * Synchronous force kill — used during app shutdown to prevent orphaned processes
+   */
+  _forceKillSync(pid) {
+    if (!pid || !Number.isInteger(pid) || pid <= 0) return;
+    try {
+      if (process.platform === 'win32') {
+        execFileSync('taskkill', ['/F', '/T', '/PID', String(pid)], { timeout: 5000, windowsHide: true });
+      } else {
+        process.kill(-pid, 'SIGKILL');
+      }
+    } catch (e) {}
+  }
+}
+
+const pythonRunner = new PythonRunner();
+module.exports = pythonRunner;
@@ -1,40 +1,391 @@
 /**
  * Python Service
- * Detects Python environment info (version, venv, deps, entry point)
+ * Detects Python environment info (version, venv, deps, entry point) and manages the
+ * project venv: interpreters, creation (venv / uv / poetry), dependency install, outdated
+ * packages, and the environment of terminals and Claude sessions started in the project.
  */
 
 const path = require('path');
 const fs = require('fs');
-const { execSync } = require('child_process');
+const os = require('os');
+const { execSync, execFileSync, execFile, spawn } = require('child_process');
+const { projectsFile } = require('../../../main/utils/paths');
+const {
+  VENV_DIRS,
+  venvPython,
+  pythonEnv,
+  createVenvCommand,
+  installCommand,
+  parseOutdated,
+  parsePythonVersion,
+  parsePyLauncher
+} = require('../../../shared/python-env');
+
+const OUTDATED_TIMEOUT = 120000;
+
+function run(command, args, options = {}) {
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: 5000, windowsHide: true, maxBuffer: 4 * 1024 * 1024, ...options }, (error, stdout, stderr) => {
+      resolve({ error, stdout: String(stdout || ''), stderr: String(stderr || '') });
+    });
+  });
+}
 
 class PythonService {
+  constructor() {
+    this.tasks = new Map(); // projectPath -> running venv / install child process
+    this.toolCache = new Map(); // uv / poetry / pipenv -> available on PATH
+    this.mainWindow = null;
+  }
+
+  setMainWindow(window) {
+    this.mainWindow = window;
+  }
+
   /**
    * Detect Python environment info for a project
    * @param {string} projectPath
-   * @returns {Object} { pythonVersion, venvPath, projectType, dependencies, mainEntry }
+   * @param {{ venvPath?: string, interpreter?: string }} [config] - project.venvPath / project.pythonInterpreter
+   * @returns {Object} { pythonVersion, venvPath, projectType, dependencies, mainEntry, interpreter, venvTool, files, tools }
    */
-  detectInfo(projectPath) {
+  detectInfo(projectPath, { venvPath, interpreter } = {}) {
     const result = {
       pythonVersion: null,
       venvPath: null,
       projectType: null,
       dependencies: 0,
-      mainEntry: null
+      mainEntry: null,
+      interpreter: null,
+      venvTool: null,
+      files: {},
+      tools: {}
     };
 
-    result.pythonVersion = this._detectVersion(projectPath);
-    result.venvPath = this._detectVenv(projectPath);
+    const venvDir = this.resolveVenv(projectPath, venvPath);
+    result.venvPath = venvDir ? (venvPath || path.basename(venvDir)) : null;
+    result.interpreter = venvDir ? venvPython(venvDir) : (interpreter || null);
+    result.pythonVersion = this._detectVersion(projectPath, result.interpreter);
     result.projectType = this._detectProjectType(projectPath);
     result.dependencies = this._countDependencies(projectPath, result.projectType);
-    result.mainEntry = this._detectEntryPoint(projectPath);
+    result.mainEntry = this.detectEntryPoint(projectPath);
+    result.files = this._detectFiles(projectPath);
+    result.venvTool = this._venvTool(venvDir, result.projectType, result.files);
+    result.tools = {
+      uv: this._hasTool('uv'),
+      poetry: this._hasTool('poetry'),
+      pipenv: this._hasTool('pipenv')
+    };
 
     return result;
   }
 
+  /**
+   * Absolute venv directory of a project: the configured one, else .venv / venv / env
+   * @param {string} projectPath
+   * @param {string} [venvPath] - project.venvPath, relative to the project or absolute
+   * @returns {string|null}
+   */
+  resolveVenv(projectPath, venvPath) {
+    const candidates = venvPath ? [venvPath] : VENV_DIRS;
+    for (const dir of candidates) {
+      const venvDir = path.resolve(projectPath, dir);
+      if (fs.existsSync(path.join(venvDir, 'pyvenv.cfg'))) return venvDir;
+    }
+    return null;
+  }
+
+  /**
+   * Venv or interpreter of the Python project containing a directory, read from projects.json.
+   * Used by TerminalService / ChatService to start processes with the project venv.
+   * @param {string} cwd
+   * @returns {{ venvDir: string|null, interpreter: string|null }|null}
+   */
+  resolveProjectEnv(cwd) {
+    if (!cwd) return null;
+    let projects;
+    try {
+      projects = JSON.parse(fs.readFileSync(projectsFile, 'utf8')).projects || [];
+    } catch (e) {
+      return null;
+    }
+
+    const normalize = (p) => {
+      const resolved = path.resolve(p);
+      return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+    };
+    const target = normalize(cwd);
+    const project = projects
+      .filter(p => p && p.type === 'python' && p.path)
+      .filter(p => {
+        const root = normalize(p.path);
+        return target === root || target.startsWith(root + path.sep);
+      })
+      .sort((a, b) => b.path.length - a.path.length)[0];
+    if (!project) return null;
+
+    const venvDir = this.resolveVenv(project.path, project.venvPath);
+    const interpreter = !venvDir && project.pythonInterpreter && fs.existsSync(project.pythonInterpreter)
+      ? project.pythonInterpreter
+      : null;
+    return venvDir || interpreter ? { venvDir, interpreter } : null;
+  }
+
+  /**
+   * Environment of a process started in a directory: the project venv first on PATH.
+   * @param {string} cwd
+   * @param {Object} [baseEnv]
+   * @returns {Object|null} null outside Python projects with a venv or interpreter
+   */
+  getProjectEnv(cwd, baseEnv = process.env) {
+    const target = this.resolveProjectEnv(cwd);
+    return target ? pythonEnv(baseEnv, target) : null;
+  }
+
+  /**
+   * Python interpreters of the machine: project venv, PATH, Windows launcher, pyenv
+   * @param {string} projectPath
+   * @param {{ venvPath?: string, interpreter?: string }} [config]
+   * @returns {Promise<{ path: string, version: string, source: string }[]>}
+   */
+  async listInterpreters(projectPath, { venvPath, interpreter } = {}) {
+    const candidates = [];
+    const venvDir = this.resolveVenv(projectPath, venvPath);
+    if (venvDir) candidates.push({ path: venvPython(venvDir), source: 'venv' });
+    if (interpreter) candidates.push({ path: interpreter, source: 'project' });
+
+    const isWin = process.platform === 'win32';
+    const names = isWin ? /^python3?(\.exe)?$/i : /^python3(\.\d+)?$|^python$/;
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+      // Microsoft Store aliases open the Store instead of running Python
+      if (!dir || /WindowsApps/i.test(dir)) continue;
+      let entries = [];
+      try { entries = fs.readdirSync(dir); } catch (e) { continue; }
+      entries.filter(name => names.test(name)).sort().forEach(name => {
+        candidates.push({ path: path.join(dir, name), source: 'path' });
+      });
+    }
+
+    if (isWin) {
+      const launcher = await run('py', ['-0p']);
+      if (!launcher.error) {
+        parsePyLauncher(launcher.stdout).forEach(found => candidates.push({ path: found.path, source: 'py' }));
+      }
+    }
+
+    const pyenvRoot = process.env.PYENV_ROOT || path.join(os.homedir(), '.pyenv');
+    const pyenvVersions = isWin ? path.join(pyenvRoot, 'pyenv-win', 'versions') : path.join(pyenvRoot, 'versions');
+    try {
+      fs.readdirSync(pyenvVersions).sort().forEach(version => {
+        candidates.push({
+          path: isWin ? path.join(pyenvVersions, version, 'python.exe') : path.join(pyenvVersions, version, 'bin', 'python'),
+          source: 'pyenv'
+        });
+      });
+    } catch (e) {}
+
+    // Same interpreter through several links (python / python3 / python3.12): keep the first
+    const seen = new Set();
+    const unique = candidates.filter(candidate => {
+      let real;
+      try { real = fs.realpathSync(candidate.path); } catch (e) { return false; }
+      const key = candidate.source === 'venv' ? candidate.path : real;
+      if (seen.has(key) || seen.has(real)) return false;
+      seen.add(key);
+      seen.add(real);
+      return true;
+    });
+
+    const versions = await Promise.all(unique.map(candidate => run(candidate.path, ['--version'])));
+    return unique
+      .map((candidate, i) => ({ ...candidate, version: parsePythonVersion(versions[i].stdout || versions[i].stderr) }))
+      .filter(candidate => candidate.version);
+  }
+
+  /**
+   * Create the project venv. Output is streamed on python-task-output.
+   * @param {{ projectPath: string, tool?: string, interpreter?: string, venvDir?: string }} params
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  createVenv({ projectPath, tool = 'venv', interpreter, venvDir = '.venv' }) {
+    return this._runTask(projectPath, createVenvCommand({ tool, interpreter, venvDir }), process.env);
+  }
+
+  /**
+   * Install the project dependencies (requirements.txt, pyproject, Pipfile) into its venv.
+   * @param {{ projectPath: string, venvPath?: string }} params
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  installDependencies({ projectPath, venvPath }) {
+    const venvDir = this.resolveVenv(projectPath, venvPath);
+    const projectType = this._detectProjectType(projectPath);
+    const files = this._detectFiles(projectPath);
+    const tool = this._venvTool(venvDir, projectType, files);
+
+    // pip only installs into an existing venv; poetry / pipenv / uv sync create theirs
+    if (!venvDir && tool !== 'poetry' && projectType !== 'pipenv' && !(tool === 'uv' && (files.uvLock || files.pyproject))) {
+      return Promise.resolve({ success: false, error: 'No virtual environment: create one first' });
+    }
+
+    const command = installCommand({ projectType, tool, files, python: venvDir ? venvPython(venvDir) : null });
+    if (!command) return Promise.resolve({ success: false, error: 'No requirements.txt, pyproject.toml or Pipfile found' });
+
+    const env = pythonEnv(process.env, { venvDir });
+    if (venvDir && tool === 'uv') env.UV_PROJECT_ENVIRONMENT = venvDir;
+    return this._runTask(projectPath, command, env);
+  }
+
+  /**
+   * Packages of the venv with a newer release
+   * @param {{ projectPath: string, venvPath?: string, interpreter?: string }} params
+   * @returns {Promise<{ success: boolean, packages?: Object[], error?: string }>}
+   */
+  async getOutdated({ projectPath, venvPath, interpreter }) {
+    const venvDir = this.resolveVenv(projectPath, venvPath);
+    const python = venvDir ? venvPython(venvDir) : (interpreter || (process.platform === 'win32' ? 'python' : 'python3'));
+    // uv venvs have no pip
+    const useUv = venvDir && this._venvTool(venvDir) === 'uv';
+    const [command, args] = useUv
+      ? ['uv', ['pip', 'list', '--outdated', '--format', 'json', '--python', python]]
+      : [python, ['-m', 'pip', 'list', '--outdated', '--format=json', '--disable-pip-version-check']];
+
+    const result = await run(command, args, { cwd: projectPath, timeout: OUTDATED_TIMEOUT });
+    if (result.error) {
+      const message = (result.stderr.trim().split('\n').pop() || result.error.message).trim();
+      return { success: false, error: message };
+    }
+    return { success: true, packages: parseOutdated(result.stdout) };
+  }
+
+  /**
+   * Stop the running venv / install task of a project
+   * @param {{ projectPath: string }} params
+   */
+  cancelTask({ projectPath }) {
+    const child = this.tasks.get(projectPath);
+    if (!child) return { success: false };
+    this._kill(child);
+    return { success: true };
+  }
+
+  stopAll() {
+    this.tasks.forEach(child => this._kill(child));
+    this.tasks.clear();
+  }
+
+  /**
+   * Run one command in the project directory, streaming its output to the renderer
+   */
+  _runTask(projectPath, { command, args, env }, baseEnv) {
+    if (this.tasks.has(projectPath)) {
+      return Promise.resolve({ success: false, error: 'Another environment task is running for this project' });
+    }
+
+    return new Promise((resolve) => {
+      const send = (data) => this._send('python-task-output', { projectPath, data });
+      send(`$ ${[command, ...args].map(a => (/\s/.test(a) ? `"${a}"` : a)).join(' ')}\n`);
+
+      let child;
+      try {
+        child = spawn(command, args, {
+          cwd: projectPath,
+          env: { ...baseEnv, ...env },
+          // poetry / pipenv / uv are often .cmd / .bat shims on Windows
+          shell: process.platform === 'win32' && !path.isAbsolute(command),
+          windowsHide: true
+        });
+      } catch (e) {
+        resolve({ success: false, error: e.message });
+        return;
+      }
+      this.tasks.set(projectPath, child);
+
+      child.stdout.on('data', data => send(data.toString()));
+      child.stderr.on('data', data => send(data.toString()));
+
+      let failed = null;
+      child.on('error', (e) => {
+        failed = e.code === 'ENOENT' ? `${command} not found` : e.message;
+      });
+      child.on('close', (code) => {
+        this.tasks.delete(projectPath);
+        if (command === 'uv' || command === 'poetry' || command === 'pipenv') this.toolCache.delete(command);
+        const success = !failed && code === 0;
+        resolve(success ? { success } : { success, error: failed || `Exited with code ${code}` });
+      });
+    });
+  }
+
+  _kill(child) {
+    if (process.platform === 'win32') {
+      execFile('taskkill', ['/F', '/T', '/PID', String(child.pid)], () => {});
+    } else {
+      try { child.kill('SIGTERM'); } catch (e) {}
+    }
+  }
+
+  _send(channel, payload) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, payload);
+    }
+  }
+
+  /**
+   * Whether uv / poetry / pipenv runs (cached until a task uses it)
+   */
+  _hasTool(name) {
+    if (!this.toolCache.has(name)) {
+      try {
+        execSync(`${name} --version`, { timeout: 5000, stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+        this.toolCache.set(name, true);
+      } catch (e) {
+        this.toolCache.set(name, false);
+      }
+    }
+    return this.toolCache.get(name);
+  }
+
+  /**
+   * Tool managing the venv: uv writes its version in pyvenv.cfg
+   */
+  _venvTool(venvDir, projectType, files = {}) {
+    if (venvDir) {
+      try {
+        if (/^uv\s*=/m.test(fs.readFileSync(path.join(venvDir, 'pyvenv.cfg'), 'utf8'))) return 'uv';
+      } catch (e) {}
+    }
+    if (projectType === 'poetry') return 'poetry';
+    if (files.uvLock) return 'uv';
+    return venvDir ? 'venv' : null;
+  }
+
+  _detectFiles(projectPath) {
+    const exists = (file) => fs.existsSync(path.join(projectPath, file));
+    return {
+      requirements: exists('requirements.txt'),
+      pyproject: exists('pyproject.toml'),
+      pipfile: exists('Pipfile'),
+      uvLock: exists('uv.lock')
+    };
+  }
+
   /**
    * Detect Python version
    */
-  _detectVersion(projectPath) {
+  _detectVersion(projectPath, interpreter) {
+    if (interpreter) {
+      try {
+        const output = execFileSync(interpreter, ['--version'], {
+          cwd: projectPath,
+          timeout: 5000,
+          encoding: 'utf8',
+          stdio: ['pipe', 'pipe', 'pipe']
+        });
+        const version = parsePythonVersion(output);
+        if (version) return version;
+      } catch (e) {
+        // Broken venv: fall back to PATH
+      }
+    }
     const commands = ['python --version', 'python3 --version', 'py --version'];
     for (const cmd of commands) {
       try {
@@ -53,21 +404,6 @@ class PythonService {
     return null;
   }
 
-  /**
-   * Detect virtual environment
-   */
-  _detectVenv(projectPath) {
-    const candidates = ['.venv', 'venv', 'env'];
-    for (const dir of candidates) {
-      const venvDir = path.join(projectPath, dir);
-      const cfgPath = path.join(venvDir, 'pyvenv.cfg');
-      if (fs.existsSync(cfgPath)) {
-        return dir;
-      }
-    }
-    return null;
-  }
-
   /**
    * Detect project type / package manager
    */
@@ -133,9 +469,11 @@ class PythonService {
   }
 
   /**
-   * Detect main entry point
+   * Detect main entry point (also the default command of the Python console)
+   * @param {string} projectPath
+   * @returns {string|null} path relative to the project, e.g. "main.py", "src/__main__.py"
    */
-  _detectEntryPoint(projectPath) {
+  detectEntryPoint(projectPath) {
     const candidates = ['main.py', 'app.py', 'run.py', 'manage.py', '__main__.py', 'cli.py'];
     for (const file of candidates) {
       if (fs.existsSync(path.join(projectPath, file))) {
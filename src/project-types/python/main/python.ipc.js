@@ -4,10 +4,55 @@
 
 const { ipcMain } = require('electron');
 const pythonService = require('./PythonService');
+const pythonRunner = require('./PythonRunner');
 
 function registerHandlers() {
-  ipcMain.handle('python-detect-info', async (event, { projectPath }) => {
-    return pythonService.detectInfo(projectPath);
+  ipcMain.handle('python-detect-info', async (event, { projectPath, venvPath, interpreter }) => {
+    return pythonService.detectInfo(projectPath, { venvPath, interpreter });
+  });
+
+  ipcMain.handle('python-list-interpreters', async (event, { projectPath, venvPath, interpreter }) => {
+    return pythonService.listInterpreters(projectPath, { venvPath, interpreter });
+  });
+
+  ipcMain.handle('python-create-venv', async (event, params) => {
+    return pythonService.createVenv(params);
+  });
+
+  ipcMain.handle('python-install-deps', async (event, params) => {
+    return pythonService.installDependencies(params);
+  });
+
+  ipcMain.handle('python-outdated', async (event, params) => {
+    return pythonService.getOutdated(params);
+  });
+
+  ipcMain.handle('python-cancel-task', async (event, params) => {
+    return pythonService.cancelTask(params);
+  });
+
+  ipcMain.handle('python-run-start', async (event, params) => {
+    return pythonRunner.start(params);
+  });
+
+  ipcMain.handle('python-run-stop', async (event, { projectIndex }) => {
+    return pythonRunner.stop({ projectIndex });
+  });
+
+  ipcMain.on('python-input', (event, { projectIndex, data }) => {
+    pythonRunner.write(projectIndex, data);
+  });
+
+  ipcMain.on('python-resize', (event, { projectIndex, cols, rows }) => {
+    pythonRunner.resize(projectIndex, cols, rows);
+  });
+
+  ipcMain.handle('python-tests-run', async (event, params) => {
+    return pythonRunner.runTests(params);
+  });
+
+  ipcMain.handle('python-tests-stop', async (event, { projectIndex }) => {
+    return pythonRunner.stopTests({ projectIndex });
   });
 }
 
@@ -25,7 +25,14 @@ function getDashboardStats(ctx) {
     // Will show on next dashboard render
   }
 
-  if (!info.pythonVersion && !info.venvPath) return '';
+  const envButton = `
+    <button class="quick-stat python-env-btn">
+      <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M19.14 12.94c.04-.3.06-.61.06-.94 0-.32-.02-.64-.07-.94l2.03-1.58a.49.49 0 00.12-.61l-1.92-3.32a.49.49 0 00-.59-.22l-2.39.96c-.5-.38-1.03-.7-1.62-.94l-.36-2.54a.484.484 0 00-.48-.41h-3.84c-.24 0-.43.17-.47.41l-.36 2.54c-.59.24-1.13.57-1.62.94l-2.39-.96a.49.49 0 00-.59.22L2.74 8.87c-.12.21-.08.47.12.61l2.03 1.58c-.05.3-.09.63-.09.94s.02.64.07.94l-2.03 1.58a.49.49 0 00-.12.61l1.92 3.32c.12.22.37.29.59.22l2.39-.96c.5.38 1.03.7 1.62.94l.36 2.54c.05.24.24.41.48.41h3.84c.24 0 .44-.17.47-.41l.36-2.54c.59-.24 1.13-.56 1.62-.94l2.39.96c.22.08.47 0 .59-.22l1.92-3.32c.12-.22.07-.47-.12-.61l-2.01-1.58zM12 15.6A3.6 3.6 0 1112 8.4a3.6 3.6 0 010 7.2z"/></svg>
+      <span>${t('python.manageEnv')}</span>
+    </button>
+  `;
+
+  if (!info.pythonVersion && !info.venvPath) return envButton;
 
   const parts = [];
 
@@ -38,14 +45,12 @@ function getDashboardStats(ctx) {
     `);
   }
 
-  if (info.venvPath) {
-    parts.push(`
-      <div class="dashboard-quick-stat python-stat">
-        <span class="python-venv-dot python-venv-active"></span>
-        <span>${t('python.venv')}: ${info.venvPath}</span>
-      </div>
-    `);
-  }
+  parts.push(`
+    <div class="dashboard-quick-stat python-stat">
+      <span class="python-venv-dot ${info.venvPath ? 'python-venv-active' : 'python-venv-absent'}"></span>
+      <span>${t('python.venv')}: ${info.venvPath || t('python.venvAbsent')}</span>
+    </div>
+  `);
 
   if (info.dependencies > 0) {
     parts.push(`
@@ -63,7 +68,18 @@ function getDashboardStats(ctx) {
     `);
   }
 
+  parts.push(envButton);
+
   return parts.join('');
 }
 
-module.exports = { getDashboardBadge, getDashboardStats };
+function bindDashboardEvents(container, ctx) {
+  const btn = container.querySelector('.python-env-btn');
+  if (!btn) return;
+  btn.onclick = () => {
+    const { showEnvironmentModal } = require('./PythonEnvModal');
+    showEnvironmentModal(ctx.projectIndex, { t: ctx.t, onChanged: ctx.rerender });
+  };
+}
+
+module.exports = { getDashboardBadge, getDashboardStats, bindDashboardEvents };
@@ -0,0 +1,225 @@
+/**
+ * Python Environment Modal
+ * Opened from the dashboard: interpreter of the project, venv creation (venv / uv / poetry),
+ * dependency install and outdated packages, with the output of the running task.
+ */
+
+const { getPythonInfo } = require('./PythonState');
+const {
+  detectPythonInfo,
+  listInterpreters,
+  setInterpreter,
+  createVenv,
+  installDependencies,
+  getOutdated,
+  cancelTask,
+  onTaskOutput
+} = require('./PythonRendererService');
+const { projectsState } = require('../../../renderer/state/projects.state');
+const { createModal, showModal, closeModal } = require('../../../renderer/ui/components/Modal');
+const { showSuccess, showError } = require('../../../renderer/ui/components/Toast');
+const { escapeHtml } = require('../../../renderer/utils/dom');
+
+const MAX_LOG_LENGTH = 100000;
+
+function defaultTool(info) {
+  if (info.venvTool) return info.venvTool;
+  if (info.files?.uvLock && info.tools?.uv) return 'uv';
+  if (info.projectType === 'poetry' && info.tools?.poetry) return 'poetry';
+  return 'venv';
+}
+
+function manifestLabel(info) {
+  if (info.projectType === 'poetry') return 'poetry install';
+  if (info.projectType === 'pipenv') return 'Pipfile';
+  if (info.files?.requirements) return 'requirements.txt';
+  if (info.files?.pyproject) return 'pyproject.toml';
+  return null;
+}
+
+function venvStatusHtml(info, t) {
+  if (!info.venvPath) {
+    return `<span class="python-venv-dot python-venv-absent"></span><span>${t('python.venvNone')}</span>`;
+  }
+  const details = [info.venvTool, info.pythonVersion && `Python ${info.pythonVersion}`].filter(Boolean).join(' · ');
+  return `
+    <span class="python-venv-dot python-venv-active"></span>
+    <code>${escapeHtml(info.venvPath)}</code>
+    ${details ? `<span class="python-env-muted">${escapeHtml(details)}</span>` : ''}
+  `;
+}
+
+function outdatedHtml(packages, t) {
+  if (!packages.length) return `<div class="python-env-muted">${t('python.outdatedNone')}</div>`;
+  return `
+    <div class="python-env-muted">${t('python.outdatedCount', { count: packages.length })}</div>
+    <table class="python-env-outdated-table">
+      ${packages.map(pkg => `
+        <tr>
+          <td>${escapeHtml(pkg.name)}</td>
+          <td class="python-env-muted">${escapeHtml(pkg.version)}</td>
+          <td>→ ${escapeHtml(pkg.latest)}</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+/**
+ * @param {number} projectIndex
+ * @param {{ t: Function, onChanged?: Function }} deps - onChanged: the environment changed (re-render the dashboard)
+ */
+function showEnvironmentModal(projectIndex, { t, onChanged }) {
+  const project = projectsState.get().projects[projectIndex];
+  if (!project) return;
+
+  const modal = createModal({
+    id: 'python-env-modal',
+    title: t('python.envTitle', { name: project.name }),
+    size: 'medium',
+    content: `
+      <div class="python-env">
+        <div class="form-group">
+          <label>${t('python.interpreter')}</label>
+          <select class="python-env-interpreter"><option>${t('common.loading')}</option></select>
+          <small class="python-env-muted">${t('python.interpreterHint')}</small>
+        </div>
+        <div class="form-group">
+          <label>${t('python.venv')}</label>
+          <div class="python-env-status"></div>
+          <div class="python-env-row">
+            <select class="python-env-tool">
+              <option value="venv">venv</option>
+              <option value="uv">uv</option>
+              <option value="poetry">poetry</option>
+            </select>
+            <button class="btn-sm btn-secondary python-env-create">${t('python.createVenv')}</button>
+          </div>
+        </div>
+        <div class="form-group">
+          <label>${t('python.dependenciesTitle')}</label>
+          <div class="python-env-row">
+            <button class="btn-sm btn-secondary python-env-install"></button>
+            <button class="btn-sm btn-secondary python-env-outdated-btn">${t('python.checkOutdated')}</button>
+          </div>
+          <div class="python-env-outdated"></div>
+        </div>
+        <div class="python-env-task" style="display:none;">
+          <div class="python-env-row">
+            <span class="python-env-task-title"></span>
+            <button class="btn-sm btn-delete python-env-cancel">${t('common.stop')}</button>
+          </div>
+          <pre class="python-env-log"></pre>
+        </div>
+      </div>
+    `,
+    buttons: [
+      { label: t('common.close'), action: 'close', onClick: (m) => { unsubscribe(); closeModal(m); } }
+    ],
+    onClose: () => unsubscribe()
+  });
+
+  const $ = (selector) => modal.querySelector(selector);
+  const log = $('.python-env-log');
+  let running = false;
+
+  const unsubscribe = onTaskOutput(projectIndex, (data) => {
+    // Closed with Escape
+    if (!modal.isConnected) { unsubscribe(); return; }
+    log.textContent = (log.textContent + data).slice(-MAX_LOG_LENGTH);
+    log.scrollTop = log.scrollHeight;
+  });
+
+  function renderInfo() {
+    const info = getPythonInfo(projectIndex);
+    $('.python-env-status').innerHTML = venvStatusHtml(info, t);
+
+    const tool = $('.python-env-tool');
+    tool.querySelector('[value="uv"]').disabled = !info.tools?.uv;
+    tool.querySelector('[value="poetry"]').disabled = !info.tools?.poetry;
+    if (!tool.dataset.touched) tool.value = defaultTool(info);
+    tool.disabled = running || !!info.venvPath;
+    $('.python-env-create').disabled = running || !!info.venvPath;
+
+    const manifest = manifestLabel(info);
+    const install = $('.python-env-install');
+    install.textContent = manifest ? t('python.installFrom', { file: manifest }) : t('python.installNothing');
+    install.disabled = running || !manifest;
+    $('.python-env-outdated-btn').disabled = running;
+  }
+
+  async function renderInterpreters() {
+    const select = $('.python-env-interpreter');
+    const current = projectsState.get().projects[projectIndex]?.pythonInterpreter || '';
+    const interpreters = (await listInterpreters(projectIndex).catch(() => [])).filter(i => i.source !== 'venv');
+    if (current && !interpreters.some(i => i.path === current)) {
+      interpreters.unshift({ path: current, version: '?', source: 'project' });
+    }
+    select.innerHTML = `
+      <option value="">${t('python.interpreterDefault')}</option>
+      ${interpreters.map(i => `
+        <option value="${escapeHtml(i.path)}"${i.path === current ? ' selected' : ''}>
+          Python ${escapeHtml(i.version)} — ${escapeHtml(i.path)}${i.source === 'pyenv' || i.source === 'py' ? ` (${i.source})` : ''}
+        </option>
+      `).join('')}
+    `;
+  }
+
+  async function runTask(title, task) {
+    running = true;
+    log.textContent = '';
+    $('.python-env-task').style.display = '';
+    $('.python-env-task-title').textContent = title;
+    $('.python-env-cancel').style.display = '';
+    renderInfo();
+
+    const result = await task().catch(e => ({ success: false, error: e.message }));
+    running = false;
+    $('.python-env-cancel').style.display = 'none';
+    renderInfo();
+    if (result.success) {
+      showSuccess(t('python.taskDone', { task: title }));
+    } else {
+      showError(t('python.taskFailed', { task: title, error: result.error || '' }));
+    }
+    if (onChanged) onChanged();
+  }
+
+  $('.python-env-interpreter').onchange = (e) => {
+    setInterpreter(projectIndex, e.target.value || null);
+    if (onChanged) onChanged();
+  };
+
+  $('.python-env-tool').onchange = (e) => { e.target.dataset.touched = '1'; };
+
+  $('.python-env-create').onclick = () => {
+    const tool = $('.python-env-tool').value;
+    const interpreter = $('.python-env-interpreter').value || undefined;
+    runTask(t('python.createVenv'), () => createVenv(projectIndex, { tool, interpreter }));
+  };
+
+  $('.python-env-install').onclick = () => {
+    runTask(t('python.installTask'), () => installDependencies(projectIndex));
+  };
+
+  $('.python-env-outdated-btn').onclick = async () => {
+    const target = $('.python-env-outdated');
+    const btn = $('.python-env-outdated-btn');
+    btn.disabled = true;
+    target.innerHTML = `<div class="python-env-muted"><span class="btn-spinner"></span> ${t('python.checkingOutdated')}</div>`;
+    const result = await getOutdated(projectIndex).catch(e => ({ success: false, error: e.message }));
+    btn.disabled = running;
+    target.innerHTML = result.success
+      ? outdatedHtml(result.packages, t)
+      : `<div class="python-env-error">${escapeHtml(result.error || t('common.errorOccurred'))}</div>`;
+  };
+
+  $('.python-env-cancel').onclick = () => cancelTask(projectIndex);
+
+  showModal(modal);
+  renderInfo();
+  renderInterpreters();
+  detectPythonInfo(projectIndex, project.path).then(renderInfo);
+}
+
+module.exports = { showEnvironmentModal };
@@ -1,9 +1,28 @@
 /**
  * Python ProjectList hooks
- * Sidebar badges, icons, status indicator
+ * Sidebar badges, run / stop / console buttons, icons, status indicator
  */
 
-const { getPythonInfo } = require('./PythonState');
+const { getPythonInfo, getPythonRun } = require('./PythonState');
+
+function getRunButtons(ctx) {
+  const { project, projectIndex, t } = ctx;
+  const status = getPythonRun(projectIndex).status;
+
+  if (status === 'running' || status === 'starting') {
+    return `
+      <button class="btn-action-icon btn-python-console" data-project-index="${projectIndex}" data-project-id="${project.id}" title="${t('python.console')}">
+        <svg viewBox="0 0 24 24" fill="currentColor"><path d="M20 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 14H4V8h16v10z"/></svg>
+      </button>
+      <button class="btn-action-primary btn-python-stop" data-project-index="${projectIndex}" data-project-id="${project.id}" title="${t('python.stop')}">
+        <svg viewBox="0 0 24 24" fill="currentColor"><path d="M6 6h12v12H6z"/></svg>
+      </button>`;
+  }
+  return `
+    <button class="btn-action-primary btn-python-start" data-project-index="${projectIndex}" data-project-id="${project.id}" title="${t('python.run')}">
+      <svg viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>
+    </button>`;
+}
 
 function getSidebarButtons(ctx) {
   const { projectIndex, project } = ctx;
@@ -23,7 +42,7 @@ function getSidebarButtons(ctx) {
     });
   }
 
-  if (!info.pythonVersion) return '';
+  if (!info.pythonVersion) return getRunButtons(ctx);
 
   const venvClass = info.venvPath ? 'python-venv-active' : 'python-venv-absent';
   const venvTitle = info.venvPath ? `venv: ${info.venvPath}` : 'No venv';
@@ -34,6 +53,7 @@ function getSidebarButtons(ctx) {
       ${info.pythonVersion}
     </span>
     <span class="python-venv-dot ${venvClass}" title="${venvTitle}"></span>
+    ${getRunButtons(ctx)}
   `;
 }
 
@@ -53,7 +73,11 @@ function getProjectItemClass() {
 }
 
 function getMenuItems(ctx) {
-  return '';
+  const { projectIndex, t } = ctx;
+  return `<div class="action-item btn-python-console" data-project-index="${projectIndex}">
+      <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M9 2h6v2h-1v5.6l5.4 9.4A2 2 0 0117.7 22H6.3a2 2 0 01-1.7-3l5.4-9.4V4H9V2zm3 9.4L8.6 17h6.8L12 11.4z"/></svg>
+      ${t('python.openConsole')}
+    </div>`;
 }
 
 function getDashboardIcon() {
@@ -61,7 +85,26 @@ function getDashboardIcon() {
 }
 
 function bindSidebarEvents(list, cbs) {
-  // No interactive buttons for Python type
+  list.querySelectorAll('.btn-python-start').forEach(btn => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      if (cbs.onStartPython) cbs.onStartPython(parseInt(btn.dataset.projectIndex));
+    };
+  });
+
+  list.querySelectorAll('.btn-python-stop').forEach(btn => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      if (cbs.onStopPython) cbs.onStopPython(parseInt(btn.dataset.projectIndex));
+    };
+  });
+
+  list.querySelectorAll('.btn-python-console').forEach(btn => {
+    btn.onclick = (e) => {
+      e.stopPropagation();
+      if (cbs.onOpenPythonConsole) cbs.onOpenPythonConsole(parseInt(btn.dataset.projectIndex));
+    };
+  });
 }
 
 module.exports = {
@@ -1,15 +1,33 @@
 /**
  * Python Renderer Service
- * Handles Python detection in the renderer
+ * Handles Python detection, venv management, the project console and test runs in the renderer
  */
 
 const api = window.electron_api;
-const { getPythonInfo, setPythonInfo } = require('./PythonState');
+const {
+  getPythonInfo,
+  setPythonInfo,
+  setPythonRun,
+  setPythonTests
+} = require('./PythonState');
+const { projectsState, updateProject } = require('../../../renderer/state/projects.state');
 
 // Cache TTL: 60 seconds
 const CACHE_TTL = 60000;
 const lastDetection = new Map();
 
+/**
+ * Project settings passed to the main process: configured venv and chosen interpreter
+ */
+function getEnvConfig(projectIndex, projectPath) {
+  const project = projectsState.get().projects[projectIndex];
+  return {
+    projectPath: projectPath || project?.path,
+    venvPath: project?.venvPath || undefined,
+    interpreter: project?.pythonInterpreter || undefined
+  };
+}
+
 async function detectPythonInfo(projectIndex, projectPath) {
   const now = Date.now();
   const lastTime = lastDetection.get(projectIndex) || 0;
@@ -20,7 +38,7 @@ async function detectPythonInfo(projectIndex, projectPath) {
   }
 
   try {
-    const info = await api.python.detectInfo({ projectPath });
+    const info = await api.python.detectInfo(getEnvConfig(projectIndex, projectPath));
     setPythonInfo(projectIndex, info);
     lastDetection.set(projectIndex, now);
     return info;
@@ -34,7 +52,146 @@ function invalidateCache(projectIndex) {
   lastDetection.delete(projectIndex);
 }
 
+/**
+ * Detect again after the environment changed (venv created, packages installed)
+ */
+function refreshPythonInfo(projectIndex) {
+  invalidateCache(projectIndex);
+  return detectPythonInfo(projectIndex);
+}
+
+function listInterpreters(projectIndex) {
+  return api.python.listInterpreters(getEnvConfig(projectIndex));
+}
+
+/**
+ * Interpreter used to create the venv, and on PATH when the project has none
+ * @param {number} projectIndex
+ * @param {string|null} interpreter
+ */
+function setInterpreter(projectIndex, interpreter) {
+  const project = projectsState.get().projects[projectIndex];
+  if (!project) return;
+  updateProject(project.id, { pythonInterpreter: interpreter || undefined });
+  invalidateCache(projectIndex);
+}
+
+/**
+ * @param {number} projectIndex
+ * @param {{ tool: string, interpreter?: string }} options
+ */
+async function createVenv(projectIndex, { tool, interpreter }) {
+  const { projectPath, venvPath } = getEnvConfig(projectIndex);
+  const result = await api.python.createVenv({ projectPath, tool, interpreter, venvDir: venvPath || '.venv' });
+  await refreshPythonInfo(projectIndex);
+  return result;
+}
+
+async function installDependencies(projectIndex) {
+  const { projectPath, venvPath } = getEnvConfig(projectIndex);
+  const result = await api.python.installDeps({ projectPath, venvPath });
+  await refreshPythonInfo(projectIndex);
+  return result;
+}
+
+function getOutdated(projectIndex) {
+  return api.python.getOutdated(getEnvConfig(projectIndex));
+}
+
+function cancelTask(projectIndex) {
+  return api.python.cancelTask({ projectPath: getEnvConfig(projectIndex).projectPath });
+}
+
+/**
+ * Output of the venv / install task of a project
+ * @param {number} projectIndex
+ * @param {Function} callback - (data: string)
+ * @returns {Function} unsubscribe
+ */
+function onTaskOutput(projectIndex, callback) {
+  const { projectPath } = getEnvConfig(projectIndex);
+  return api.python.onTaskOutput((payload) => {
+    if (payload.projectPath === projectPath) callback(payload.data);
+  });
+}
+
+/**
+ * Start the project console: configured run command, main script or detected entry point
+ * @param {number} projectIndex
+ * @returns {Promise<{ success: boolean, command?: string, error?: string }>}
+ */
+async function startPythonRun(projectIndex) {
+  const project = projectsState.get().projects[projectIndex];
+  if (!project) return { success: false, error: 'Project not found' };
+
+  setPythonRun(projectIndex, { status: 'starting', logs: [] });
+  try {
+    const result = await api.python.start({
+      ...getEnvConfig(projectIndex),
+      projectIndex,
+      runCommand: project.runCommand,
+      mainScript: project.mainScript
+    });
+    setPythonRun(projectIndex, result.success
+      ? { status: 'running', command: result.command }
+      : { status: 'stopped' });
+    return result;
+  } catch (e) {
+    setPythonRun(projectIndex, { status: 'stopped' });
+    return { success: false, error: e.message };
+  }
+}
+
+async function stopPythonRun(projectIndex) {
+  try {
+    const result = await api.python.stop({ projectIndex });
+    setPythonRun(projectIndex, { status: 'stopped' });
+    return result;
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Run the project tests; results are kept in PythonState (getPythonTests)
+ * @param {number} projectIndex
+ * @param {{ runner?: string, target?: string }} [options] - runner: 'pytest' | 'unittest', detected when omitted
+ */
+async function runPythonTests(projectIndex, { runner, target } = {}) {
+  setPythonTests(projectIndex, { status: 'running', output: '', error: null });
+  let result;
+  try {
+    result = await api.python.runTests({ ...getEnvConfig(projectIndex), projectIndex, runner, target });
+  } catch (e) {
+    result = { success: false, error: e.message };
+  }
+  setPythonTests(projectIndex, {
+    status: 'done',
+    runner: result.runner || runner || null,
+    tests: result.tests || [],
+    summary: result.summary || null,
+    error: result.success ? null : (result.error || 'Test run failed')
+  });
+  return result;
+}
+
+function stopPythonTests(projectIndex) {
+  return api.python.stopTests({ projectIndex });
+}
+
 module.exports = {
   detectPythonInfo,
-  invalidateCache
+  invalidateCache,
+  refreshPythonInfo,
+  listInterpreters,
+  setInterpreter,
+  createVenv,
+  installDependencies,
+  getOutdated,
+  cancelTask,
+  onTaskOutput,
+  startPythonRun,
+  stopPythonRun,
+  runPythonTests,
+  stopPythonTests
 };
@@ -1,14 +1,18 @@
 /**
  * Python State Module
- * Manages Python environment info per project
+ * Manages Python environment info, console process and test results per project
  */
 
 const { State } = require('../../../renderer/state/State');
 
 const initialState = {
-  pythonInfo: new Map() // projectIndex -> { pythonVersion, venvPath, projectType, dependencies, mainEntry }
+  pythonInfo: new Map(), // projectIndex -> { pythonVersion, venvPath, projectType, dependencies, mainEntry }
+  pythonRuns: new Map(),  // projectIndex -> { status, logs[], command }
+  pythonTests: new Map()  // projectIndex -> { status, runner, tests[], summary, output, error }
 };
 
+const MAX_TEST_OUTPUT = 100000;
+
 const pythonState = new State(initialState);
 
 function getPythonInfo(projectIndex) {
@@ -27,15 +31,65 @@ function setPythonInfo(projectIndex, info) {
   pythonState.setProp('pythonInfo', map);
 }
 
+// ===== Console process =====
+
+function getPythonRun(projectIndex) {
+  return pythonState.get().pythonRuns.get(projectIndex) || { status: 'stopped', logs: [], command: null };
+}
+
+function setPythonRun(projectIndex, updates) {
+  const runs = pythonState.get().pythonRuns;
+  runs.set(projectIndex, { ...getPythonRun(projectIndex), ...updates });
+  pythonState.setProp('pythonRuns', runs);
+}
+
+function addPythonLog(projectIndex, data) {
+  let combined = getPythonRun(projectIndex).logs.join('') + data;
+  if (combined.length > 10000) combined = combined.slice(-10000);
+  setPythonRun(projectIndex, { logs: [combined] });
+}
+
+// ===== Test runs =====
+
+function getPythonTests(projectIndex) {
+  return pythonState.get().pythonTests.get(projectIndex) || {
+    status: 'idle',
+    runner: null,
+    tests: [],
+    summary: null,
+    output: '',
+    error: null
+  };
+}
+
+function setPythonTests(projectIndex, updates) {
+  const runs = pythonState.get().pythonTests;
+  runs.set(projectIndex, { ...getPythonTests(projectIndex), ...updates });
+  pythonState.setProp('pythonTests', runs);
+}
+
+function addPythonTestOutput(projectIndex, data) {
+  const output = (getPythonTests(projectIndex).output + data).slice(-MAX_TEST_OUTPUT);
+  setPythonTests(projectIndex, { output });
+}
+
 function removePythonInfo(projectIndex) {
-  const map = pythonState.get().pythonInfo;
-  map.delete(projectIndex);
-  pythonState.setProp('pythonInfo', map);
+  const { pythonInfo, pythonRuns, pythonTests } = pythonState.get();
+  pythonInfo.delete(projectIndex);
+  pythonRuns.delete(projectIndex);
+  pythonTests.delete(projectIndex);
+  pythonState.set({ pythonInfo, pythonRuns, pythonTests });
 }
 
 module.exports = {
   pythonState,
   getPythonInfo,
   setPythonInfo,
-  removePythonInfo
+  removePythonInfo,
+  getPythonRun,
+  setPythonRun,
+  addPythonLog,
+  getPythonTests,
+  setPythonTests,
+  addPythonTestOutput
 };
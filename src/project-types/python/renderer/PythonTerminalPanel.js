@@ -0,0 +1,282 @@
+/**
+ * Python Terminal Panel
+ * Console (entry point / run command) + Tests (pytest / unittest results tree, tracebacks
+ * linked to file:line, failures sent to Claude)
+ */
+
+const { getPythonTests } = require('./PythonState');
+const { runPythonTests, stopPythonTests } = require('./PythonRendererService');
+const { buildTestTree, splitTraceback, formatTestFailure } = require('../../../shared/python-tests');
+const { updateProject, getProjectEditor } = require('../../../renderer/state/projects.state');
+const { getSetting, getEditorCommand } = require('../../../renderer/state/settings.state');
+const { t } = require('../../../renderer/i18n');
+const { escapeHtml } = require('../../../renderer/utils/dom');
+
+const STATUS_ICONS = { passed: '✓', failed: '✗', error: '!', skipped: '○' };
+
+// wrapper -> { selectedId, unsubscribe }
+const panelStates = new WeakMap();
+
+function getPanelState(wrapper) {
+  if (!panelStates.has(wrapper)) panelStates.set(wrapper, { selectedId: null, unsubscribe: null });
+  return panelStates.get(wrapper);
+}
+
+// ===== Main view =====
+
+function getViewSwitcherHtml() {
+  return `
+    <div class="python-view-switcher">
+      <button class="python-view-tab active" data-view="console">
+        <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M20 4H4a2 2 0 00-2 2v12a2 2 0 002 2h16a2 2 0 002-2V6a2 2 0 00-2-2zm0 14H4V8h16v10z"/><path d="M7 10l4 3-4 3v-6z"/></svg>
+        ${t('python.console')}
+      </button>
+      <button class="python-view-tab" data-view="tests">
+        <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14"><path d="M9 2h6v2h-1v5.6l5.4 9.4A2 2 0 0117.7 22H6.3a2 2 0 01-1.7-3l5.4-9.4V4H9V2zm3 9.4L8.6 17h6.8L12 11.4z"/></svg>
+        ${t('python.testsTab')}
+      </button>
+    </div>
+    <div class="python-view-content">
+      <div class="python-console-view python-view python-view-active"></div>
+      <div class="python-tests-view python-view"></div>
+    </div>
+  `;
+}
+
+function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
+  const { getTerminal } = deps;
+  const consoleView = wrapper.querySelector('.python-console-view');
+  const testsView = wrapper.querySelector('.python-tests-view');
+
+  wrapper.querySelectorAll('.python-view-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      const view = tab.dataset.view;
+      wrapper.querySelectorAll('.python-view-tab').forEach(b => b.classList.remove('active'));
+      tab.classList.add('active');
+
+      [consoleView, testsView].forEach(v => v.classList.remove('python-view-active'));
+      if (view === 'console') {
+        consoleView.classList.add('python-view-active');
+        const termData = getTerminal(terminalId);
+        if (termData) setTimeout(() => termData.fitAddon.fit(), 50);
+      } else if (view === 'tests') {
+        testsView.classList.add('python-view-active');
+        renderTestsView(wrapper, projectIndex, project, deps);
+      }
+
+      const termData = getTerminal(terminalId);
+      if (termData) termData.activeView = view;
+    });
+  });
+}
+
+// ===== Tests view =====
+
+function escapeAttr(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function statusIcon(status) {
+  return `<span class="python-test-icon ${status}">${STATUS_ICONS[status] || '?'}</span>`;
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return '';
+  return seconds < 1 ? `${Math.round(seconds * 1000)} ms` : `${seconds.toFixed(2)} s`;
+}
+
+function summaryHtml(summary, t) {
+  if (!summary) return '';
+  const chips = ['passed', 'failed', 'error', 'skipped']
+    .filter(status => summary[status])
+    .map(status => `<span class="python-tests-chip ${status}">${statusIcon(status)} ${t(`python.tests.${status}`, { count: summary[status] })}</span>`)
+    .join('');
+  const duration = formatDuration(summary.duration);
+  return `${chips || `<span class="python-tests-muted">${t('python.tests.none')}</span>`}${duration ? `<span class="python-tests-muted">${duration}</span>` : ''}`;
+}
+
+function nodeHtml(node, depth, selectedId) {
+  const indent = `style="padding-left: ${8 + depth * 14}px"`;
+  if (node.test) {
+    return `
+      <div class="python-test-node python-test-leaf${node.test.id === selectedId ? ' selected' : ''}" data-test-id="${escapeAttr(node.test.id)}" ${indent}>
+        ${statusIcon(node.status)}
+        <span class="python-test-label">${escapeHtml(node.label)}</span>
+        <span class="python-tests-muted">${formatDuration(node.test.duration)}</span>
+      </div>`;
+  }
+  const open = node.status === 'failed' || node.status === 'error';
+  const counts = node.summary ? `<span class="python-tests-muted">${node.summary.passed}/${node.summary.total}</span>` : '';
+  return `
+    <details class="python-test-group"${open ? ' open' : ''}>
+      <summary class="python-test-node" ${indent}>
+        ${statusIcon(node.status)}
+        <span class="python-test-label">${escapeHtml(node.label)}</span>
+        ${counts}
+      </summary>
+      ${node.children.map(child => nodeHtml(child, depth + 1, selectedId)).join('')}
+    </details>`;
+}
+
+function tracebackHtml(traceback) {
+  return splitTraceback(traceback).map(segment => segment.file
+    ? `<a class="python-test-link" data-file="${escapeAttr(segment.file)}" data-line="${segment.line}">${escapeHtml(segment.text)}</a>`
+    : escapeHtml(segment.text)
+  ).join('');
+}
+
+function detailHtml(test, t) {
+  if (!test) return `<div class="python-tests-empty">${t('python.tests.selectTest')}</div>`;
+  const failing = test.status === 'failed' || test.status === 'error';
+  const location = test.location
+    ? `<a class="python-test-link" data-file="${escapeAttr(test.location.file)}" data-line="${test.location.line}">${escapeHtml(test.location.file)}:${test.location.line}</a>`
+    : '';
+  return `
+    <div class="python-test-detail-header">
+      ${statusIcon(test.status)}
+      <div class="python-test-detail-title">
+        <strong>${escapeHtml(test.name)}</strong>
+        <span class="python-tests-muted">${escapeHtml(test.id)}</span>
+      </div>
+      ${failing ? `<button class="btn-sm btn-primary python-test-send">${t('python.tests.sendToClaude')}</button>` : ''}
+    </div>
+    ${location ? `<div class="python-test-location">${location}</div>` : ''}
+    ${test.message && test.message !== test.traceback ? `<div class="python-test-message">${escapeHtml(test.message)}</div>` : ''}
+    ${test.traceback ? `<pre class="python-test-traceback">${tracebackHtml(test.traceback)}</pre>` : ''}
+  `;
+}
+
+function openLocation(project, file, line, deps) {
+  const absolute = /^([A-Za-z]:[\\/]|[\\/])/.test(file);
+  const sep = project.path.includes('\\') ? '\\' : '/';
+  const fullPath = absolute ? file : `${project.path.replace(/[\\/]+$/, '')}${sep}${file.split('/').join(sep)}`;
+  const editor = getEditorCommand(getProjectEditor(project.id) || getSetting('editor'));
+  deps.api.dialog.openInEditor({ editor, path: fullPath, line });
+}
+
+/**
+ * New chat with the failing test, its traceback and the runner
+ */
+function sendFailureToClaude(project, test, runner, deps) {
+  const prompt = `This test of the project fails (${runner}):\n\n\`\`\`\n${formatTestFailure(test)}\n\`\`\`\n\nFind the cause and fix it — in the code under test, or in the test if the test itself is wrong.`;
+  deps.createTerminal(project, {
+    skipPermissions: getSetting('skipPermissions') || false,
+    initialPrompt: prompt,
+    name: `🧪 ${test.name}`
+  });
+}
+
+function renderTestsView(wrapper, projectIndex, project, deps) {
+  const { t } = deps;
+  const testsView = wrapper.querySelector('.python-tests-view');
+  if (!testsView) return;
+
+  const state = getPanelState(wrapper);
+  const run = getPythonTests(projectIndex);
+  const running = run.status === 'running';
+  const runner = project.pythonTestRunner || '';
+  const testsById = new Map(run.tests.map(test => [test.id, test]));
+  if (state.selectedId && !testsById.has(state.selectedId)) state.selectedId = null;
+
+  let body;
+  if (running) {
+    body = `<pre class="python-tests-output">${escapeHtml(run.output)}</pre>`;
+  } else if (run.status === 'idle') {
+    body = `<div class="python-tests-empty">${t('python.tests.idle')}</div>`;
+  } else if (!run.tests.length) {
+    body = `
+      <div class="python-tests-error">${escapeHtml(run.error || t('python.tests.none'))}</div>
+      <pre class="python-tests-output">${escapeHtml(run.output)}</pre>`;
+  } else {
+    body = `
+      <div class="python-tests-tree">
+        ${run.error ? `<div class="python-tests-error">${escapeHtml(run.error)}</div>` : ''}
+        ${buildTestTree(run.tests).map(node => nodeHtml(node, 0, state.selectedId)).join('')}
+      </div>
+      <div class="python-tests-detail">${detailHtml(testsById.get(state.selectedId), t)}</div>`;
+  }
+
+  testsView.innerHTML = `
+    <div class="python-tests-toolbar">
+      <select class="python-tests-runner" ${running ? 'disabled' : ''}>
+        <option value="">${t('python.tests.autoRunner')}</option>
+        <option value="pytest"${runner === 'pytest' ? ' selected' : ''}>pytest</option>
+        <option value="unittest"${runner === 'unittest' ? ' selected' : ''}>unittest</option>
+      </select>
+      ${running
+        ? `<button class="btn-sm btn-delete python-tests-stop">${t('common.stop')}</button>
+           <span class="python-tests-muted"><span class="btn-spinner"></span> ${t('python.tests.running')}</span>`
+        : `<button class="btn-sm btn-primary python-tests-run">${t('python.tests.run')}</button>
+           <div class="python-tests-summary">${run.runner ? `<span class="python-tests-muted">${escapeHtml(run.runner)}</span>` : ''}${summaryHtml(run.summary, t)}</div>`}
+    </div>
+    <div class="python-tests-body">${body}</div>
+  `;
+
+  const $ = (selector) => testsView.querySelector(selector);
+  const rerender = () => {
+    if (wrapper.isConnected) renderTestsView(wrapper, projectIndex, project, deps);
+  };
+
+  $('.python-tests-runner').onchange = (e) => {
+    project.pythonTestRunner = e.target.value || undefined;
+    updateProject(project.id, { pythonTestRunner: project.pythonTestRunner });
+  };
+
+  const runBtn = $('.python-tests-run');
+  if (runBtn) {
+    runBtn.onclick = () => {
+      const done = runPythonTests(projectIndex, { runner: project.pythonTestRunner });
+      rerender();
+      done.then(rerender);
+    };
+  }
+
+  const stopBtn = $('.python-tests-stop');
+  if (stopBtn) stopBtn.onclick = () => stopPythonTests(projectIndex);
+
+  // Live output of the run
+  if (state.unsubscribe) { state.unsubscribe(); state.unsubscribe = null; }
+  if (running) {
+    const output = $('.python-tests-output');
+    output.scrollTop = output.scrollHeight;
+    state.unsubscribe = deps.api.python.onTestOutput((payload) => {
+      if (payload.projectIndex !== projectIndex || !output.isConnected) return;
+      output.textContent += payload.data;
+      output.scrollTop = output.scrollHeight;
+    });
+  }
+
+  testsView.querySelectorAll('.python-test-leaf').forEach(leaf => {
+    leaf.onclick = () => {
+      state.selectedId = leaf.dataset.testId;
+      testsView.querySelectorAll('.python-test-leaf.selected').forEach(el => el.classList.remove('selected'));
+      leaf.classList.add('selected');
+      const detail = $('.python-tests-detail');
+      detail.innerHTML = detailHtml(testsById.get(state.selectedId), t);
+      bindDetailEvents(detail);
+    };
+  });
+
+  function bindDetailEvents(container) {
+    container.querySelectorAll('.python-test-link').forEach(link => {
+      link.onclick = () => openLocation(project, link.dataset.file, parseInt(link.dataset.line, 10), deps);
+    });
+    const send = container.querySelector('.python-test-send');
+    if (send) send.onclick = () => sendFailureToClaude(project, testsById.get(state.selectedId), run.runner, deps);
+  }
+
+  bindDetailEvents(testsView);
+}
+
+function cleanup(wrapper) {
+  const state = panelStates.get(wrapper);
+  if (state && state.unsubscribe) state.unsubscribe();
+  panelStates.delete(wrapper);
+}
+
+module.exports = {
+  getViewSwitcherHtml,
+  setupViewSwitcher,
+  renderTestsView,
+  cleanup
+};
@@ -69,8 +69,9 @@ module.exports = createType({
     getExistingLogs: (pi) => {
       try {
         const { getWebAppServer } = require('./renderer/WebAppState');
-        const server = getWebAppServer(pi);
-        return (server && server.logs) ? server.logs : [];
+        const { getConsoleLogs } = require('./renderer/WebAppRendererService');
+        const logs = getConsoleLogs(pi, getWebAppServer(pi).consoleFilter);
+        return logs ? [logs] : [];
       } catch (e) { return []; }
     },
     onCleanup: (wrapper) => {
@@ -78,6 +79,18 @@ module.exports = createType({
     }
   }),
 
+  showErrorOverlay: (projectIndex, error, tmApi) => {
+    require('./renderer/WebAppConsoleManager').showErrorOverlay(projectIndex, error, tmApi);
+  },
+
+  hideErrorOverlay: (projectIndex) => {
+    require('./renderer/WebAppConsoleManager').hideErrorOverlay(projectIndex);
+  },
+
+  onConsoleError: (projectIndex, error, tmApi) => {
+    require('./renderer/WebAppConsoleManager').onConsoleError(projectIndex, error, tmApi);
+  },
+
   // TerminalManager
   getTerminalPanels: (ctx) => {
     const Panel = require('./renderer/WebAppTerminalPanel');
@@ -328,6 +341,178 @@ module.exports = createType({
 
 .webapp-console-view { flex: 1; min-height: 0; }
 
+/* ════════════════════════════════════════════════════════
+   PROCESSES — strip above the console & list editor
+   ════════════════════════════════════════════════════════ */
+.wa-process-strip {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  height: 30px;
+  flex-shrink: 0;
+  padding: 0 8px;
+  background: var(--bg-secondary);
+  border-bottom: 1px solid rgba(255,255,255,0.05);
+}
+.wa-process-strip.wa-process-strip-hidden { display: none; }
+
+.wa-proc-tabs {
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  flex: 1;
+  min-width: 0;
+  overflow-x: auto;
+}
+
+.wa-proc-tab {
+  --wa-proc-color: rgba(255,255,255,0.6);
+  display: flex;
+  align-items: center;
+  gap: 5px;
+  height: 22px;
+  padding: 0 6px 0 8px;
+  border: 1px solid transparent;
+  border-radius: 5px;
+  background: transparent;
+  color: rgba(255,255,255,0.4);
+  font-size: 11px;
+  white-space: nowrap;
+  cursor: pointer;
+  transition: background 0.12s, color 0.12s;
+}
+.wa-proc-tab:hover { background: rgba(255,255,255,0.04); color: rgba(255,255,255,0.7); }
+.wa-proc-tab.active {
+  background: rgba(255,255,255,0.06);
+  border-color: rgba(255,255,255,0.08);
+  color: rgba(255,255,255,0.9);
+}
+.wa-proc-all { padding: 0 8px; }
+.wa-proc-tab.wa-proc-flash,
+.wa-tab.wa-proc-flash { animation: wa-proc-flash 1.2s ease-out; }
+@keyframes wa-proc-flash {
+  0%, 40% { background: rgba(248,113,113,0.25); }
+  100% { background: transparent; }
+}
+
+.wa-proc-dot {
+  width: 7px; height: 7px; border-radius: 50%; flex-shrink: 0;
+  background: var(--wa-proc-color);
+  opacity: 0.35;
+}
+.wa-proc-tab[data-status="running"] .wa-proc-dot { opacity: 1; }
+.wa-proc-tab[data-status="starting"] .wa-proc-dot,
+.wa-proc-tab[data-status="restarting"] .wa-proc-dot { opacity: 1; animation: wa-blink 1s ease-in-out infinite; }
+.wa-proc-tab[data-status="crashed"] .wa-proc-dot { opacity: 1; background: var(--wa-red); }
+
+.wa-proc-name { color: inherit; }
+.wa-proc-port { font-family: var(--wa-mono); font-size: 10.5px; color: var(--wa-proc-color); }
+.wa-proc-note { font-size: 10px; color: var(--wa-amber); }
+.wa-proc-tab[data-status="crashed"] .wa-proc-note { color: var(--wa-red); }
+.wa-proc-errors {
+  min-width: 15px; padding: 0 4px; border-radius: 8px;
+  background: rgba(248,113,113,0.18); color: var(--wa-red);
+  font-size: 10px; font-weight: 600; text-align: center;
+}
+
+.wa-proc-action {
+  display: flex; align-items: center; justify-content: center;
+  width: 18px; height: 18px; padding: 0;
+  border: none; border-radius: 4px; background: transparent;
+  color: rgba(255,255,255,0.3); cursor: pointer;
+}
+.wa-proc-action svg { width: 11px; height: 11px; }
+.wa-proc-action:hover { background: rgba(255,255,255,0.08); color: rgba(255,255,255,0.85); }
+.wa-proc-action[data-action="stop"]:hover { color: var(--wa-red); }
+
+.wa-proc-actions { display: flex; align-items: center; gap: 4px; flex-shrink: 0; }
+.wa-proc-btn {
+  display: flex; align-items: center; gap: 5px;
+  height: 22px; padding: 0 8px;
+  border: 1px solid rgba(255,255,255,0.08); border-radius: 5px;
+  background: transparent; color: rgba(255,255,255,0.55);
+  font-size: 11px; cursor: pointer;
+}
+.wa-proc-btn svg { width: 11px; height: 11px; }
+.wa-proc-btn:hover { background: rgba(255,255,255,0.06); color: rgba(255,255,255,0.9); }
+.wa-proc-btn[data-action="stop-all"]:hover { color: var(--wa-red); border-color: rgba(248,113,113,0.3); }
+
+.wa-proc-editor-hint { margin: 0 0 12px; font-size: 12px; color: var(--text-secondary); }
+.wa-proc-rows { display: flex; flex-direction: column; gap: 10px; margin-bottom: 12px; }
+.wa-proc-row {
+  display: flex; flex-direction: column; gap: 6px;
+  padding: 10px; border-radius: 8px;
+  background: rgba(255,255,255,0.02); border: 1px solid rgba(255,255,255,0.06);
+}
+.wa-proc-row-main, .wa-proc-row-extra { display: flex; align-items: flex-start; gap: 6px; }
+.wa-proc-row .form-input { font-size: 12px; }
+.wa-proc-field-name { width: 120px; flex-shrink: 0; }
+.wa-proc-field-command { flex: 1; font-family: var(--wa-mono); }
+.wa-proc-field-cwd { width: 140px; flex-shrink: 0; font-family: var(--wa-mono); }
+.wa-proc-field-color { width: 100px; flex-shrink: 0; }
+.wa-proc-field-env { flex: 1; min-height: 34px; resize: vertical; font-family: var(--wa-mono); }
+.wa-proc-restart { display: flex; align-items: center; gap: 6px; padding-top: 8px; font-size: 12px; color: var(--text-secondary); white-space: nowrap; }
+.wa-proc-remove {
+  display: flex; align-items: center; justify-content: center;
+  width: 30px; height: 30px; flex-shrink: 0;
+  border: none; border-radius: 6px; background: transparent;
+  color: var(--text-muted); cursor: pointer;
+}
+.wa-proc-remove svg { width: 10px; height: 10px; }
+.wa-proc-remove:hover { background: rgba(248,113,113,0.1); color: var(--wa-red); }
+
+/* Error overlay (errors printed by any dev process) */
+.wa-error-overlay {
+  position: absolute;
+  bottom: 16px;
+  left: 50%;
+  transform: translateX(-50%);
+  z-index: 100;
+  max-width: calc(100% - 32px);
+  animation: wa-error-up 0.3s ease-out;
+}
+.wa-error-overlay.hiding { animation: wa-error-down 0.3s ease-out forwards; }
+@keyframes wa-error-up {
+  from { opacity: 0; transform: translateX(-50%) translateY(20px); }
+  to   { opacity: 1; transform: translateX(-50%) translateY(0); }
+}
+@keyframes wa-error-down {
+  from { opacity: 1; transform: translateX(-50%) translateY(0); }
+  to   { opacity: 0; transform: translateX(-50%) translateY(20px); }
+}
+.wa-error-content {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 14px;
+  background: linear-gradient(135deg, rgba(239,68,68,0.15), rgba(239,68,68,0.08));
+  border: 1px solid rgba(239,68,68,0.4);
+  border-radius: 12px;
+  backdrop-filter: blur(12px);
+  box-shadow: 0 4px 24px rgba(0,0,0,0.3);
+}
+.wa-error-icon { font-size: 16px; }
+.wa-error-text { display: flex; flex-direction: column; gap: 2px; min-width: 0; color: #fca5a5; font-size: 12.5px; }
+.wa-error-message {
+  max-width: 420px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+  font-family: var(--wa-mono); font-size: 11px; color: rgba(252,165,165,0.75);
+}
+.wa-debug-btn {
+  display: flex; align-items: center; gap: 8px; flex-shrink: 0;
+  padding: 7px 14px; border: none; border-radius: 8px;
+  background: var(--accent-color); color: white;
+  font-size: 12.5px; font-weight: 600; cursor: pointer;
+}
+.wa-debug-btn:hover { filter: brightness(1.1); }
+.wa-debug-btn svg { width: 15px; height: 15px; }
+.wa-error-dismiss {
+  display: flex; align-items: center; justify-content: center; flex-shrink: 0;
+  width: 26px; height: 26px; border: none; border-radius: 6px;
+  background: rgba(255,255,255,0.1); color: var(--text-muted); cursor: pointer;
+}
+.wa-error-dismiss:hover { background: rgba(255,255,255,0.2); color: var(--text-primary); }
+.wa-error-dismiss svg { width: 10px; height: 10px; }
+
 /* ════════════════════════════════════════════════════════
    BROWSER — preview pane
    ════════════════════════════════════════════════════════ */
@@ -508,6 +693,27 @@ module.exports = createType({
 /* Scan filter bar */
 .wa-scan-filters { display: none; gap: 4px; padding: 4px 8px; background: rgba(0,0,0,0.25); border-bottom: 1px solid var(--wa-border); flex-wrap: wrap; align-items: center; }
 .wa-scan-filters.visible { display: flex; }
+
+/* Browser errors (console errors & failed requests of the preview) */
+.wa-errors { position: relative; }
+.wa-errors.active { background: rgba(248,113,113,0.12); color: var(--danger); }
+.wa-errors-count { position: absolute; top: -4px; right: -4px; min-width: 14px; height: 14px; border-radius: 7px; background: var(--danger); color: #fff; font-size: 8px; font-weight: 700; display: none; align-items: center; justify-content: center; padding: 0 3px; line-height: 1; }
+.wa-errors-count.visible { display: flex; }
+.wa-browser-errors { display: none; flex-direction: column; max-height: 180px; background: rgba(0,0,0,0.25); border-bottom: 1px solid rgba(255,255,255,0.06); }
+.wa-browser-errors.visible { display: flex; }
+.wa-berr-head { display: flex; align-items: center; justify-content: space-between; padding: 4px 10px; font-size: 10px; font-weight: 600; color: rgba(255,255,255,0.35); text-transform: uppercase; letter-spacing: 0.05em; }
+.wa-berr-clear { background: transparent; border: 1px solid rgba(255,255,255,0.06); border-radius: 4px; color: rgba(255,255,255,0.35); font-size: 10px; padding: 1px 8px; cursor: pointer; }
+.wa-berr-clear:hover:not(:disabled) { color: rgba(255,255,255,0.8); border-color: rgba(255,255,255,0.15); }
+.wa-berr-clear:disabled { opacity: 0.4; cursor: default; }
+.wa-berr-list { overflow-y: auto; padding: 0 4px 4px; }
+.wa-berr-item { display: flex; align-items: center; gap: 8px; padding: 3px 6px; border-radius: 4px; font-family: var(--wa-mono); font-size: 11px; color: rgba(255,255,255,0.65); }
+.wa-berr-item:hover { background: rgba(255,255,255,0.04); }
+.wa-berr-kind { flex-shrink: 0; min-width: 30px; text-align: center; padding: 0 4px; border-radius: 3px; font-size: 9px; font-weight: 700; background: rgba(248,113,113,0.15); color: var(--danger); }
+.wa-berr-item[data-kind="network"] .wa-berr-kind { background: rgba(245,158,11,0.15); color: var(--warning); }
+.wa-berr-item[data-kind="hmr"] .wa-berr-kind { background: rgba(59,130,246,0.15); color: var(--info); }
+.wa-berr-msg { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.wa-berr-time { flex-shrink: 0; font-size: 10px; color: rgba(255,255,255,0.25); }
+.wa-berr-empty { padding: 6px 10px; font-size: 11px; color: rgba(255,255,255,0.35); }
 .wa-scan-filter-chip { display: inline-flex; align-items: center; gap: 4px; padding: 2px 8px; border-radius: 10px; border: 1px solid var(--wa-border); background: transparent; color: var(--wa-text-muted); font-size: 10px; font-weight: 600; font-family: var(--wa-mono); cursor: pointer; transition: all 0.15s; opacity: 0.45; user-select: none; }
 .wa-scan-filter-chip.active { opacity: 1; background: rgba(255,255,255,0.06); color: var(--wa-text); border-color: rgba(255,255,255,0.15); }
 .wa-scan-filter-chip:hover { background: rgba(255,255,255,0.08); }
@@ -774,6 +980,110 @@ module.exports = createType({
 .wa-info-tile-link:hover .wa-info-tile-arrow { color: rgba(255,255,255,0.4); }
 .wa-info-tile-link:hover .wa-info-tile-val   { color: rgba(255,255,255,0.9); }
 
+/* ── Workspace packages ── */
+.wa-ws:empty { display: none; }
+.wa-ws {
+  padding: 0 20px 20px;
+}
+.wa-ws-head {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 8px;
+}
+.wa-ws-title {
+  font-size: 9.5px;
+  font-weight: 700;
+  text-transform: uppercase;
+  letter-spacing: 0.07em;
+  color: rgba(255,255,255,0.3);
+}
+.wa-ws-meta {
+  flex: 1;
+  min-width: 0;
+  font-size: 11px;
+  color: rgba(255,255,255,0.25);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+.wa-ws-list {
+  display: flex;
+  flex-direction: column;
+  border: 1px solid rgba(255,255,255,0.055);
+  border-radius: 8px;
+  overflow: hidden;
+}
+.wa-ws-pkg {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 8px 12px;
+  background: rgba(255,255,255,0.02);
+}
+.wa-ws-pkg + .wa-ws-pkg { border-top: 1px solid rgba(255,255,255,0.045); }
+.wa-ws-pkg-info {
+  display: flex;
+  align-items: baseline;
+  gap: 7px;
+  min-width: 0;
+  flex: 0 1 45%;
+}
+.wa-ws-pkg-name {
+  font-size: 12px;
+  font-weight: 500;
+  color: rgba(255,255,255,0.75);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+}
+.wa-ws-pkg-fw {
+  flex-shrink: 0;
+  font-size: 10px;
+  padding: 1px 6px;
+  border-radius: 4px;
+  background: rgba(255,255,255,0.06);
+  color: rgba(255,255,255,0.45);
+}
+.wa-ws-pkg-path {
+  font-family: var(--wa-mono);
+  font-size: 10.5px;
+  color: rgba(255,255,255,0.2);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+}
+.wa-ws-scripts {
+  flex: 1;
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: flex-end;
+  gap: 4px;
+}
+.wa-ws-script {
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  padding: 2px 8px;
+  background: transparent;
+  border: 1px solid rgba(255,255,255,0.08);
+  border-radius: 4px;
+  color: rgba(255,255,255,0.5);
+  font-family: var(--wa-mono);
+  font-size: 10.5px;
+  cursor: pointer;
+  transition: background 0.12s, border-color 0.12s, color 0.12s;
+}
+.wa-ws-script svg { opacity: 0.5; }
+.wa-ws-script:hover { background: rgba(255,255,255,0.06); border-color: rgba(255,255,255,0.16); color: rgba(255,255,255,0.85); }
+.wa-ws-script:disabled { opacity: 0.5; cursor: default; }
+.wa-ws-script.is-running { border-color: rgba(74,222,128,0.35); color: var(--wa-green); }
+.wa-ws-script.is-running svg { opacity: 1; }
+.wa-ws-empty {
+  font-size: 11px;
+  color: rgba(255,255,255,0.2);
+}
+
 /* pip used in status bar */
 .wa-pip {
   width: 5px; height: 5px;
@@ -797,9 +1107,9 @@ module.exports = createType({
   getPreloadBridge: () => ({
     namespace: 'webapp',
     channels: {
-      invoke: ['webapp-start', 'webapp-stop', 'webapp-detect-framework', 'webapp-get-port'],
-      send: ['webapp-input', 'webapp-resize'],
-      on: ['webapp-data', 'webapp-exit', 'webapp-port-detected']
+      invoke: ['webapp-start', 'webapp-stop', 'webapp-process-start', 'webapp-process-stop', 'webapp-get-processes', 'webapp-detect-framework', 'webapp-get-workspace', 'webapp-browser-errors-clear', 'webapp-get-port'],
+      send: ['webapp-input', 'webapp-input-target', 'webapp-resize', 'webapp-browser-errors'],
+      on: ['webapp-data', 'webapp-exit', 'webapp-port-detected', 'webapp-restart', 'webapp-preview-request-error']
     }
   })
 });
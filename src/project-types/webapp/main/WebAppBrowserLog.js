@@ -0,0 +1,83 @@
+/**
+ * Web App Browser Log
+ * Keeps the recent browser errors of each web app preview (console errors, failed requests,
+ * HMR reloads — see shared/browser-errors) so the `webapp_browser_errors` MCP tool can read them.
+ *
+ * Storage: ~/.claude-terminal/webapp/<projectId>/browser-errors.json — entries, oldest first
+ * Writes are coalesced: error bursts of a page reload are flushed once.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { dataDir } = require('../../../main/utils/paths');
+const { appendBrowserErrors } = require('../../../shared/browser-errors');
+
+const WEBAPP_DIR = path.join(dataDir, 'webapp');
+const FLUSH_DELAY = 500;
+
+class WebAppBrowserLog {
+  constructor() {
+    this.pending = new Map(); // projectId -> entries not written yet
+    this.timer = null;
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {Object[]} entries
+   */
+  add(projectId, entries) {
+    if (!projectId || !Array.isArray(entries) || !entries.length) return;
+    this.pending.set(projectId, [...(this.pending.get(projectId) || []), ...entries]);
+    if (!this.timer) this.timer = setTimeout(() => this.flush(), FLUSH_DELAY);
+  }
+
+  /**
+   * @param {string} projectId
+   * @returns {Object[]}
+   */
+  get(projectId) {
+    this.flush();
+    const entries = this._read(projectId);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  clear(projectId) {
+    this.pending.delete(projectId);
+    this._write(projectId, []);
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.forEach((entries, projectId) => {
+      try {
+        this._write(projectId, appendBrowserErrors(this._read(projectId), entries));
+      } catch (e) {
+        console.error('[WebAppBrowserLog] Write failed:', e.message);
+      }
+    });
+    this.pending.clear();
+  }
+
+  _file(projectId) {
+    return path.join(WEBAPP_DIR, String(projectId).replace(/[^\w.-]/g, '_'), 'browser-errors.json');
+  }
+
+  _read(projectId) {
+    try {
+      return JSON.parse(fs.readFileSync(this._file(projectId), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  _write(projectId, entries) {
+    const target = this._file(projectId);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tmp = target + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(entries, null, 2), 'utf8');
+    fs.renameSync(tmp, target);
+  }
+}
+
+module.exports = new WebAppBrowserLog();
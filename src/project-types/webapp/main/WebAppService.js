@@ -1,12 +1,17 @@
 /**
  * Web App Service
- * Manages dev server processes for web projects
+ * Manages dev server processes for web projects.
+ * A project runs a list of processes (project.devProcesses, see shared/dev-processes),
+ * each in its own pty with its own detected port and optional restart-on-crash.
  */
 
 const path = require('path');
 const fs = require('fs');
 const pty = require('node-pty');
 const { execFile, execFileSync } = require('child_process');
+const { normalizeDevProcesses, planRestart } = require('../../../shared/dev-processes');
+const workspaces = require('../../../shared/webapp-workspaces');
+const { classifyRequestFailure } = require('../../../shared/browser-errors');
 
 // Port detection patterns from dev server output
 const PORT_PATTERNS = [
@@ -17,8 +22,12 @@ const PORT_PATTERNS = [
 
 class WebAppService {
   constructor() {
-    this.processes = new Map(); // projectIndex -> pty process
-    this.detectedPorts = new Map(); // projectIndex -> port number
+    this.processes = new Map(); // projectIndex -> Map<processId, { pty, def, command, port, stopping, restarts, startedAt }>
+    this.definitions = new Map(); // projectIndex -> { projectPath, list } (process list of the last start)
+    this.restartTimers = new Map(); // `${projectIndex}:${processId}` -> pending restart timeout
+    this.inputTargets = new Map(); // projectIndex -> processId receiving console input
+    this.previewContents = new Set(); // webContents ids of preview webviews
+    this.requestSessions = new WeakSet(); // sessions whose webRequest events are watched
     this.mainWindow = null;
   }
 
@@ -27,19 +36,98 @@ class WebAppService {
   }
 
   /**
-   * Start a dev server
+   * Start every process of a project (restarts the ones already running).
+   * @param {{ projectIndex: number, projectPath: string, devCommand?: string, processes?: Object[] }} params
+   *   processes: project.devProcesses; without it the single devCommand runs as the `main` process
+   * @returns {{ success: boolean, command?: string, started?: string[], errors?: string[], error?: string }}
    */
-  start({ projectIndex, projectPath, devCommand }) {
-    if (this.processes.has(projectIndex)) {
-      this.stop({ projectIndex });
+  start({ projectIndex, projectPath, devCommand, processes }) {
+    this.stop({ projectIndex });
+
+    const list = normalizeDevProcesses({ devProcesses: processes, devCommand });
+    this.definitions.set(projectIndex, { projectPath, list });
+
+    const started = [];
+    const errors = [];
+    let command = null;
+    for (const def of list) {
+      const result = this._spawn(projectIndex, projectPath, def, 0);
+      if (result.success) {
+        started.push(def.id);
+        command = command || result.command;
+      } else {
+        errors.push(list.length > 1 ? `${def.name}: ${result.error}` : result.error);
+      }
+    }
+
+    if (!started.length) return { success: false, error: errors.join('; ') };
+    return { success: true, command, started, errors };
+  }
+
+  /**
+   * Start (or restart) a single process of the list.
+   * @param {{ projectIndex: number, projectPath: string, devCommand?: string, processes?: Object[], processId?: string, extraProcess?: Object }} params
+   *   extraProcess: a definition outside the saved list (e.g. a workspace script started from MCP),
+   *   added to the list for this session; processId is then optional
+   * @returns {{ success: boolean, command?: string, processId?: string, error?: string }}
+   */
+  startProcess({ projectIndex, projectPath, devCommand, processes, processId, extraProcess }) {
+    const list = normalizeDevProcesses({ devProcesses: processes, devCommand });
+    if (extraProcess) {
+      const extra = normalizeDevProcesses({ devProcesses: [extraProcess] })[0];
+      const existing = list.findIndex(p => p.id === extra.id);
+      if (existing === -1) list.push(extra);
+      else list[existing] = extra;
+      processId = extra.id;
+    }
+    const def = list.find(p => p.id === processId);
+    if (!def) return { success: false, error: `Unknown process "${processId}"` };
+
+    this.definitions.set(projectIndex, { projectPath, list });
+    this.stopProcess({ projectIndex, processId });
+    return { ...this._spawn(projectIndex, projectPath, def, 0), processId };
+  }
+
+  /**
+   * Stop every process of a project.
+   */
+  stop({ projectIndex }) {
+    this._clearRestarts(projectIndex);
+    const procs = this.processes.get(projectIndex);
+    if (procs) {
+      this.processes.delete(projectIndex);
+      procs.forEach(entry => this._kill(entry));
     }
+    return { success: true };
+  }
 
-    const command = devCommand || this._autoDetectCommand(projectPath);
+  /**
+   * Stop a single process (also cancels its pending restart).
+   * @param {{ projectIndex: number, processId: string }} params
+   */
+  stopProcess({ projectIndex, processId }) {
+    this._clearRestarts(projectIndex, processId);
+    const procs = this.processes.get(projectIndex);
+    const entry = procs && procs.get(processId);
+    if (entry) {
+      procs.delete(processId);
+      if (!procs.size) this.processes.delete(projectIndex);
+      this._kill(entry);
+      if (entry.port) this._sendPort(projectIndex, processId, null);
+    }
+    return { success: true };
+  }
+
+  _spawn(projectIndex, projectPath, def, restarts) {
+    const command = def.command || this._autoDetectCommand(projectPath);
     if (!command) {
       return { success: false, error: 'No dev command configured and none detected' };
     }
 
-    this.detectedPorts.delete(projectIndex);
+    const cwd = def.cwd ? path.resolve(projectPath, def.cwd) : projectPath;
+    if (!fs.existsSync(cwd)) {
+      return { success: false, error: `Directory not found: ${def.cwd}` };
+    }
 
     const shellPath = process.platform === 'win32' ? 'cmd.exe' : 'bash';
     const shellArgs = process.platform === 'win32' ? ['/c', command] : ['-c', command];
@@ -48,54 +136,96 @@ class WebAppService {
       name: 'xterm-256color',
       cols: 120,
       rows: 30,
-      cwd: projectPath,
-      env: { ...process.env, FORCE_COLOR: '1', NODE_ENV: 'development' }
+      cwd,
+      env: { ...process.env, FORCE_COLOR: '1', NODE_ENV: 'development', ...def.env }
     });
 
-    this.processes.set(projectIndex, ptyProcess);
+    const entry = { pty: ptyProcess, def, command, port: null, stopping: false, restarts, startedAt: Date.now() };
+    if (!this.processes.has(projectIndex)) this.processes.set(projectIndex, new Map());
+    this.processes.get(projectIndex).set(def.id, entry);
 
     ptyProcess.onData(data => {
       // Detect port from output
-      this._detectPort(projectIndex, data);
-
-      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-        this.mainWindow.webContents.send('webapp-data', { projectIndex, data });
-      }
+      this._detectPort(projectIndex, entry, data);
+      this._send('webapp-data', { projectIndex, processId: def.id, data });
     });
 
     ptyProcess.onExit(({ exitCode }) => {
       ptyProcess.kill();
-      this.processes.delete(projectIndex);
-      this.detectedPorts.delete(projectIndex);
-      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-        this.mainWindow.webContents.send('webapp-exit', { projectIndex, code: exitCode });
+      const procs = this.processes.get(projectIndex);
+      const current = procs && procs.get(def.id) === entry;
+      let plan = null;
+
+      if (current) {
+        procs.delete(def.id);
+        if (!procs.size) this.processes.delete(projectIndex);
+        plan = planRestart({
+          autoRestart: def.autoRestart,
+          stopping: entry.stopping,
+          code: exitCode,
+          restarts: entry.restarts,
+          uptime: Date.now() - entry.startedAt
+        });
+        if (plan) this._scheduleRestart(projectIndex, def.id, plan);
+        if (entry.port) this._sendPort(projectIndex, def.id, null);
       }
+
+      this._send('webapp-exit', {
+        projectIndex,
+        processId: def.id,
+        code: exitCode,
+        stopped: !current || entry.stopping,
+        running: this._activeCount(projectIndex),
+        restartIn: plan ? plan.delay : null
+      });
     });
 
     return { success: true, command };
   }
 
-  /**
-   * Stop a dev server
-   */
-  stop({ projectIndex }) {
-    const proc = this.processes.get(projectIndex);
-    if (proc) {
-      const pid = proc.pid;
-      this.processes.delete(projectIndex);
-      this.detectedPorts.delete(projectIndex);
-      try {
-        proc.write('\x03');
-        setTimeout(() => {
-          this._forceKill(pid);
-        }, 3000);
-      } catch (e) {
-        this._forceKill(pid);
+  _scheduleRestart(projectIndex, processId, plan) {
+    const key = `${projectIndex}:${processId}`;
+    const timer = setTimeout(() => {
+      this.restartTimers.delete(key);
+      const defs = this.definitions.get(projectIndex);
+      const def = defs && defs.list.find(p => p.id === processId);
+      if (!def) return;
+      const result = this._spawn(projectIndex, defs.projectPath, def, plan.attempt);
+      this._send('webapp-restart', { projectIndex, processId, attempt: plan.attempt, success: result.success, error: result.error });
+    }, plan.delay);
+    this.restartTimers.set(key, timer);
+  }
+
+  _clearRestarts(projectIndex, processId) {
+    const prefix = `${projectIndex}:`;
+    this.restartTimers.forEach((timer, key) => {
+      if (processId === undefined ? key.startsWith(prefix) : key === prefix + processId) {
+        clearTimeout(timer);
+        this.restartTimers.delete(key);
       }
-    } else {
-      this.detectedPorts.delete(projectIndex);
+    });
+  }
+
+  /** Running processes + pending restarts: 0 means the project is fully stopped. */
+  _activeCount(projectIndex) {
+    let count = this.processes.get(projectIndex)?.size || 0;
+    this.restartTimers.forEach((timer, key) => {
+      if (key.startsWith(`${projectIndex}:`)) count++;
+    });
+    return count;
+  }
+
+  _kill(entry) {
+    const pid = entry.pty.pid;
+    entry.stopping = true;
+    try {
+      entry.pty.write('\x03');
+      setTimeout(() => {
+        this._forceKill(pid);
+      }, 3000);
+    } catch (e) {
+      this._forceKill(pid);
     }
-    return { success: true };
   }
 
   _forceKill(pid) {
@@ -111,14 +241,24 @@ class WebAppService {
     }
   }
 
+  /**
+   * Write console input to the selected process (see setInputTarget), else the first one.
+   */
   write(projectIndex, data) {
-    const proc = this.processes.get(projectIndex);
-    if (proc) proc.write(data);
+    const procs = this.processes.get(projectIndex);
+    if (!procs) return;
+    const entry = procs.get(this.inputTargets.get(projectIndex)) || procs.values().next().value;
+    if (entry) entry.pty.write(data);
+  }
+
+  setInputTarget(projectIndex, processId) {
+    if (processId) this.inputTargets.set(projectIndex, processId);
+    else this.inputTargets.delete(projectIndex);
   }
 
   resize(projectIndex, cols, rows) {
-    const proc = this.processes.get(projectIndex);
-    if (proc) proc.resize(cols, rows);
+    const procs = this.processes.get(projectIndex);
+    if (procs) procs.forEach(entry => entry.pty.resize(cols, rows));
   }
 
   /**
@@ -126,7 +266,7 @@ class WebAppService {
    * Runs on every data chunk — always takes the latest detected port
    * so restarts with a different port are picked up correctly.
    */
-  _detectPort(projectIndex, data) {
+  _detectPort(projectIndex, entry, data) {
     // Strip ANSI escape sequences (CSI, OSC, simple escapes)
     const clean = data
       .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')   // OSC sequences
@@ -145,16 +285,52 @@ class WebAppService {
       if (found) break;
     }
 
-    if (found && found !== this.detectedPorts.get(projectIndex)) {
-      this.detectedPorts.set(projectIndex, found);
-      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-        this.mainWindow.webContents.send('webapp-port-detected', { projectIndex, port: found });
-      }
+    if (found && found !== entry.port) {
+      entry.port = found;
+      this._sendPort(projectIndex, entry.def.id, found);
+    }
+  }
+
+  /**
+   * @param {number} projectIndex
+   * @param {string} processId
+   * @param {number|null} processPort
+   */
+  _sendPort(projectIndex, processId, processPort) {
+    this._send('webapp-port-detected', { projectIndex, processId, processPort, port: this.getDetectedPort(projectIndex) });
+  }
+
+  /**
+   * Report the failed requests of a preview webview to the renderer, which knows its project.
+   * webRequest listeners replace each other, so each session gets one pair filtered on the previews.
+   * @param {Electron.WebContents} contents - webview guest
+   */
+  trackPreviewRequests(contents) {
+    const id = contents.id;
+    this.previewContents.add(id);
+    contents.once('destroyed', () => this.previewContents.delete(id));
+
+    const { session } = contents;
+    if (this.requestSessions.has(session)) return;
+    this.requestSessions.add(session);
+    const report = (details) => {
+      if (!this.previewContents.has(details.webContentsId)) return;
+      const entry = classifyRequestFailure(details);
+      if (entry) this._send('webapp-preview-request-error', { webContentsId: details.webContentsId, entry });
+    };
+    session.webRequest.onCompleted(report);
+    session.webRequest.onErrorOccurred(report);
+  }
+
+  _send(channel, payload) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, payload);
     }
   }
 
   /**
    * Auto-detect dev command from package.json
+   * A workspace root without its own dev script runs the dev script of every package.
    */
   _autoDetectCommand(projectPath) {
     try {
@@ -167,20 +343,28 @@ class WebAppService {
       if (pkg.scripts?.dev) return `${pm} run dev`;
       if (pkg.scripts?.start) return `${pm} start`;
       if (pkg.scripts?.serve) return `${pm} run serve`;
-      return null;
+      return this._workspaceDevCommand(projectPath);
     } catch (e) {
       return null;
     }
   }
 
   /**
-   * Detect package manager
+   * Dev command of a workspace root: every package's `dev` script, in parallel.
+   */
+  _workspaceDevCommand(projectPath) {
+    const workspace = workspaces.scanWorkspace(projectPath);
+    if (!workspace || workspace.rootRelative !== '') return null;
+    if (!workspace.packages.some(p => p.scripts.dev)) return null;
+
+    return workspaces.workspaceDevCommand(workspace);
+  }
+
+  /**
+   * Detect package manager (packageManager field, then lockfiles up to the workspace root)
    */
   _detectPackageManager(projectPath) {
-    if (fs.existsSync(path.join(projectPath, 'bun.lockb'))) return 'bun';
-    if (fs.existsSync(path.join(projectPath, 'pnpm-lock.yaml'))) return 'pnpm';
-    if (fs.existsSync(path.join(projectPath, 'yarn.lock'))) return 'yarn';
-    return 'npm';
+    return workspaces.detectPackageManager(projectPath);
   }
 
   /**
@@ -192,33 +376,73 @@ class WebAppService {
       if (!fs.existsSync(pkgPath)) return null;
 
       const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-      const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-
-      if (deps['next']) return { name: 'Next.js', icon: 'next' };
-      if (deps['vite'] && deps['react']) return { name: 'React + Vite', icon: 'react' };
-      if (deps['vite'] && deps['vue']) return { name: 'Vue + Vite', icon: 'vue' };
-      if (deps['vite'] && deps['svelte']) return { name: 'Svelte + Vite', icon: 'svelte' };
-      if (deps['vite']) return { name: 'Vite', icon: 'vite' };
-      if (deps['react-scripts']) return { name: 'Create React App', icon: 'react' };
-      if (deps['@angular/core']) return { name: 'Angular', icon: 'angular' };
-      if (deps['nuxt']) return { name: 'Nuxt', icon: 'nuxt' };
-      if (deps['@sveltejs/kit']) return { name: 'SvelteKit', icon: 'svelte' };
-      if (deps['astro']) return { name: 'Astro', icon: 'astro' };
-      if (deps['gatsby']) return { name: 'Gatsby', icon: 'gatsby' };
-      if (deps['vue']) return { name: 'Vue', icon: 'vue' };
-      if (deps['react']) return { name: 'React', icon: 'react' };
-      if (deps['express']) return { name: 'Express', icon: 'node' };
-      if (deps['fastify']) return { name: 'Fastify', icon: 'node' };
-      if (deps['koa']) return { name: 'Koa', icon: 'node' };
+      const framework = workspaces.frameworkFromPackage(pkg);
+      if (framework) return framework;
 
+      const workspace = workspaces.scanWorkspace(projectPath);
+      if (workspace && workspace.rootRelative === '' && workspace.tool) {
+        return { name: workspaces.TOOL_LABELS[workspace.tool], icon: 'node' };
+      }
       return { name: 'Node.js', icon: 'node' };
     } catch (e) {
       return null;
     }
   }
 
+  /**
+   * Workspace (monorepo) the project belongs to, see shared/webapp-workspaces.
+   * @returns {Object|null} workspace + toolLabel, defaultCommand (what an empty dev command runs)
+   *   and per package `run`: script -> dev process definition
+   */
+  getWorkspace(projectPath) {
+    try {
+      const workspace = workspaces.scanWorkspace(projectPath);
+      if (!workspace) return null;
+      return {
+        ...workspace,
+        toolLabel: workspace.tool ? workspaces.TOOL_LABELS[workspace.tool] : null,
+        defaultCommand: this._autoDetectCommand(projectPath),
+        // Dev process definition of every script, ready for project.devProcesses
+        packages: workspace.packages.map(pkg => ({
+          ...pkg,
+          run: Object.fromEntries(Object.keys(pkg.scripts).map(script => [script, workspaces.workspaceScriptProcess(workspace, pkg, script)]))
+        }))
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Port of the project: the first process of the list that printed one.
+   */
   getDetectedPort(projectIndex) {
-    return this.detectedPorts.get(projectIndex) || null;
+    const procs = this.processes.get(projectIndex);
+    if (!procs) return null;
+    const order = this.definitions.get(projectIndex)?.list.map(p => p.id) || [];
+    for (const id of new Set([...order, ...procs.keys()])) {
+      const entry = procs.get(id);
+      if (entry && entry.port) return entry.port;
+    }
+    return null;
+  }
+
+  /**
+   * @returns {{ id: string, name: string, running: boolean, restarting: boolean, port: number|null }[]}
+   */
+  getProcesses(projectIndex) {
+    const procs = this.processes.get(projectIndex);
+    const list = this.definitions.get(projectIndex)?.list || [];
+    return list.map(def => {
+      const entry = procs && procs.get(def.id);
+      return {
+        id: def.id,
+        name: def.name,
+        running: !!entry,
+        restarting: this.restartTimers.has(`${projectIndex}:${def.id}`),
+        port: entry ? entry.port : null
+      };
+    });
   }
 
   isRunning(projectIndex) {
@@ -226,14 +450,18 @@ class WebAppService {
   }
 
   stopAll() {
-    this.processes.forEach((proc, index) => {
-      const pid = proc.pid;
-      try { proc.write('\x03'); } catch (e) {}
-      // Force kill synchronously to ensure process tree is dead before app exits
-      this._forceKillSync(pid);
+    this.restartTimers.forEach(timer => clearTimeout(timer));
+    this.restartTimers.clear();
+    this.processes.forEach(procs => {
+      procs.forEach(entry => {
+        const pid = entry.pty.pid;
+        entry.stopping = true;
+        try { entry.pty.write('\x03'); } catch (e) {}
+        // Force kill synchronously to ensure process tree is dead before app exits
+        this._forceKillSync(pid);
+      });
     });
     this.processes.clear();
-    this.detectedPorts.clear();
   }
 
   /**
@@ -2,10 +2,11 @@
  * Web App IPC Handlers
  */
 
-const { ipcMain } = require('electron');
+const { ipcMain, app } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const webAppService = require('./WebAppService');
+const webAppBrowserLog = require('./WebAppBrowserLog');
 
 let _axeSourceCache = null;
 
@@ -27,14 +28,30 @@ function registerHandlers() {
     return null;
   });
 
-  ipcMain.handle('webapp-start', async (event, { projectIndex, projectPath, devCommand }) => {
-    return webAppService.start({ projectIndex, projectPath, devCommand });
+  ipcMain.handle('webapp-start', async (event, { projectIndex, projectPath, devCommand, processes }) => {
+    return webAppService.start({ projectIndex, projectPath, devCommand, processes });
   });
 
   ipcMain.handle('webapp-stop', async (event, { projectIndex }) => {
     return webAppService.stop({ projectIndex });
   });
 
+  ipcMain.handle('webapp-process-start', async (event, params) => {
+    return webAppService.startProcess(params);
+  });
+
+  ipcMain.handle('webapp-process-stop', async (event, { projectIndex, processId }) => {
+    return webAppService.stopProcess({ projectIndex, processId });
+  });
+
+  ipcMain.handle('webapp-get-processes', async (event, { projectIndex }) => {
+    return webAppService.getProcesses(projectIndex);
+  });
+
+  ipcMain.on('webapp-input-target', (event, { projectIndex, processId }) => {
+    webAppService.setInputTarget(projectIndex, processId);
+  });
+
   ipcMain.on('webapp-input', (event, { projectIndex, data }) => {
     webAppService.write(projectIndex, data);
   });
@@ -47,6 +64,24 @@ function registerHandlers() {
     return webAppService.detectFramework(projectPath);
   });
 
+  ipcMain.handle('webapp-get-workspace', async (event, { projectPath }) => {
+    return webAppService.getWorkspace(projectPath);
+  });
+
+  ipcMain.on('webapp-browser-errors', (event, { projectId, entries }) => {
+    webAppBrowserLog.add(projectId, entries);
+  });
+
+  ipcMain.handle('webapp-browser-errors-clear', async (event, { projectId }) => {
+    webAppBrowserLog.clear(projectId);
+    return { success: true };
+  });
+
+  // Not every failed request of the preview is logged to its console: read them from the session
+  app.on('web-contents-created', (event, contents) => {
+    if (contents.getType() === 'webview') webAppService.trackPreviewRequests(contents);
+  });
+
   ipcMain.handle('webapp-get-port', async (event, { projectIndex }) => {
     return webAppService.getDetectedPort(projectIndex);
   });
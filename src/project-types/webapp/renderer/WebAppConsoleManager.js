@@ -0,0 +1,136 @@
+/**
+ * Web App Console Manager
+ * Error overlay of the dev server console: errors printed by any dev process
+ * (see WebAppRendererService error detection) and errors of the preview page
+ * (source: 'browser'), with a "debug with Claude" action.
+ */
+
+// Track error overlays and their auto-hide timers by projectIndex
+const errorOverlays = new Map();   // projectIndex -> overlay element
+const errorTimers = new Map();     // projectIndex -> setTimeout ID
+
+function getConsoleWrapper(projectIndex, getTypeConsoleId) {
+  const consoleId = getTypeConsoleId(projectIndex, 'webapp');
+  if (!consoleId) return null;
+  return document.querySelector(`.terminal-wrapper[data-id="${consoleId}"]`);
+}
+
+/**
+ * Build debug prompt from error for Claude terminal.
+ * @param {Object} error - { source?, page?, processName, command, message, context }
+ * @param {Function} t - i18n function
+ * @returns {string}
+ */
+function buildDebugPrompt(error, t) {
+  let prompt = error.source === 'browser'
+    ? t('webapp.debugBrowserPrompt', { page: error.page || 'the preview' })
+    : t('webapp.debugPrompt', { name: error.processName, command: error.command || 'auto' });
+  prompt += '```\n';
+  prompt += error.context || error.message;
+  prompt += '\n```\n';
+  return prompt;
+}
+
+/**
+ * Show the error overlay with debug button.
+ * @param {number} projectIndex
+ * @param {Object} error - { timestamp, processId, processName, command, message, context }
+ * @param {Object} tmApi - TerminalManager API { getTypeConsoleId, createTerminalWithPrompt, t, escapeHtml, projectsState }
+ */
+function showErrorOverlay(projectIndex, error, tmApi) {
+  const { getTypeConsoleId, t, escapeHtml, projectsState, createTerminalWithPrompt } = tmApi;
+
+  const wrapper = getConsoleWrapper(projectIndex, getTypeConsoleId);
+  if (!wrapper) return;
+
+  hideErrorOverlay(projectIndex, true);
+
+  const overlay = document.createElement('div');
+  overlay.className = 'wa-error-overlay';
+  overlay.innerHTML = `
+    <div class="wa-error-content">
+      <span class="wa-error-icon">⚠️</span>
+      <span class="wa-error-text">
+        <strong>${escapeHtml(error.source === 'browser' ? t('webapp.errorInBrowser') : t('webapp.errorInProcess', { name: error.processName }))}</strong>
+        <span class="wa-error-message">${escapeHtml(error.message)}</span>
+      </span>
+      <button class="wa-debug-btn" title="${t('webapp.debugWithClaude')}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+        </svg>
+        ${t('webapp.debugWithClaude')}
+      </button>
+      <button class="wa-error-dismiss" title="${t('common.close')}">
+        <svg viewBox="0 0 12 12"><path d="M1 1l10 10M11 1L1 11" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>
+      </button>
+    </div>
+  `;
+
+  wrapper.appendChild(overlay);
+  errorOverlays.set(projectIndex, overlay);
+
+  const project = projectsState.get().projects[projectIndex];
+
+  overlay.querySelector('.wa-debug-btn').onclick = async () => {
+    if (!project) return;
+    await createTerminalWithPrompt(project, buildDebugPrompt(error, t));
+    hideErrorOverlay(projectIndex);
+  };
+
+  overlay.querySelector('.wa-error-dismiss').onclick = () => {
+    hideErrorOverlay(projectIndex);
+  };
+
+  // Auto-hide after 30 seconds
+  errorTimers.set(projectIndex, setTimeout(() => hideErrorOverlay(projectIndex), 30000));
+}
+
+/**
+ * Hide error overlay for a project.
+ * @param {number} projectIndex
+ * @param {boolean} [immediate] - remove without the fade-out (replaced by a new error)
+ */
+function hideErrorOverlay(projectIndex, immediate = false) {
+  const timerId = errorTimers.get(projectIndex);
+  if (timerId !== undefined) {
+    clearTimeout(timerId);
+    errorTimers.delete(projectIndex);
+  }
+
+  const overlay = errorOverlays.get(projectIndex);
+  if (!overlay) return;
+  errorOverlays.delete(projectIndex);
+  if (immediate) {
+    overlay.remove();
+    return;
+  }
+  overlay.classList.add('hiding');
+  setTimeout(() => overlay.remove(), 300);
+}
+
+/**
+ * Handle new console error: flash the tab of the process that printed it
+ * (the preview tab for browser errors).
+ * @param {number} projectIndex
+ * @param {Object} error
+ * @param {Object} tmApi - TerminalManager API
+ */
+function onConsoleError(projectIndex, error, tmApi) {
+  const wrapper = getConsoleWrapper(projectIndex, tmApi.getTypeConsoleId);
+  if (!wrapper) return;
+
+  const tab = error.source === 'browser'
+    ? wrapper.querySelector('.wa-tab[data-view="preview"]')
+    : error.processId && Array.from(wrapper.querySelectorAll('.wa-proc-tab')).find(el => el.dataset.filter === error.processId);
+  if (!tab) return;
+  tab.classList.remove('wa-proc-flash');
+  void tab.offsetWidth; // restart the animation
+  tab.classList.add('wa-proc-flash');
+}
+
+module.exports = {
+  showErrorOverlay,
+  hideErrorOverlay,
+  onConsoleError,
+  buildDebugPrompt
+};
@@ -18,19 +18,30 @@ function getDashboardStats(ctx) {
 
   const server = getWebAppServer(projectIndex);
   const status = server.status;
+  const stats = [];
 
-  if (status === 'stopped') return '';
+  if (status !== 'stopped') {
+    const statusLabel = status === 'running'
+      ? (server.port ? `<a href="http://localhost:${server.port}" class="webapp-url-link">localhost:${server.port}</a>` : t('webapp.running'))
+      : t('webapp.starting');
 
-  const statusLabel = status === 'running'
-    ? (server.port ? `<a href="http://localhost:${server.port}" class="webapp-url-link">localhost:${server.port}</a>` : t('webapp.running'))
-    : t('webapp.starting');
-
-  return `
+    stats.push(`
     <div class="dashboard-quick-stat webapp-stat">
       <span class="webapp-status-dot ${status}"></span>
       <span>${t('webapp.devServer')}: ${statusLabel}</span>
-    </div>
-  `;
+    </div>`);
+  }
+
+  // Workspace scan is cached by the info view; shown once known
+  if (server.workspace && server.workspace.packages.length) {
+    const label = [t('webapp.workspacePackages', { count: server.workspace.packages.length }), server.workspace.toolLabel].filter(Boolean).join(' · ');
+    stats.push(`
+    <div class="dashboard-quick-stat webapp-stat">
+      <span>${t('webapp.workspaceTitle')}: ${label}</span>
+    </div>`);
+  }
+
+  return stats.join('');
 }
 
 module.exports = { getDashboardBadge, getDashboardStats };
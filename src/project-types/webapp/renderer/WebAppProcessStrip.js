@@ -0,0 +1,276 @@
+/**
+ * Web App Process Strip
+ * Tabs above the dev server console: "All" (combined output) and one tab per dev
+ * process with its colour, port and status, start/stop/restart per process or for
+ * the whole list, and the editor of the process list (project.devProcesses).
+ */
+
+const { webappState, getWebAppServer } = require('./WebAppState');
+const { projectsState, updateProject } = require('../../../renderer/state/projects.state');
+const {
+  startDevServer,
+  stopDevServer,
+  startDevProcess,
+  stopDevProcess,
+  getDevProcesses,
+  getConsoleLogs,
+  setConsoleFilter,
+  resetConsolePrefixes
+} = require('./WebAppRendererService');
+const { PROCESS_COLORS, parseEnv, formatEnv } = require('../../../shared/dev-processes');
+const { createModal, showModal, closeModal } = require('../../../renderer/ui/components/Modal');
+const { showError, showWarning } = require('../../../renderer/ui/components/Toast');
+const { escapeHtml } = require('../../../renderer/utils/dom');
+
+const subscriptions = new WeakMap(); // strip -> unsubscribe
+
+const ICON_PLAY = '<svg viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>';
+const ICON_STOP = '<svg viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="1.5"/></svg>';
+const ICON_RESTART = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M21 12a9 9 0 1 1-2.64-6.36"/><path d="M21 3v6h-6"/></svg>';
+const ICON_EDIT = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4z"/></svg>';
+
+function getProject(projectIndex) {
+  return projectsState.get().projects[projectIndex];
+}
+
+function refreshSidebar() {
+  try {
+    const ProjectList = require('../../../renderer/ui/components/ProjectList');
+    if (ProjectList.render) ProjectList.render();
+  } catch (e) {}
+}
+
+function isActive(status) {
+  return status === 'running' || status === 'starting' || status === 'restarting';
+}
+
+// ── Strip ──
+
+/**
+ * Render the strip and keep it in sync with the dev server state.
+ * @param {HTMLElement} strip
+ * @param {number} projectIndex
+ * @param {{ t: Function, getConsoleTerminal: Function }} deps - getConsoleTerminal() → xterm of the console
+ */
+function setupProcessStrip(strip, projectIndex, deps) {
+  const { t, getConsoleTerminal } = deps;
+  let signature = null;
+
+  function render() {
+    const project = getProject(projectIndex);
+    if (!project) return;
+    const server = getWebAppServer(projectIndex);
+    const processes = getDevProcesses(project);
+    let filter = server.consoleFilter || 'all';
+    if (filter !== 'all' && !processes.some(p => p.id === filter)) filter = 'all';
+
+    const states = processes.map(proc => server.processes?.[proc.id] || {});
+    const next = JSON.stringify([processes, states.map(s => [s.status, s.port, s.errors]), filter, server.status]);
+    if (next === signature) return;
+    signature = next;
+
+    const multi = processes.length > 1;
+    const running = server.status !== 'stopped';
+
+    const tabs = processes.map((proc, i) => {
+      const state = states[i];
+      const status = state.status || 'stopped';
+      const active = multi ? filter === proc.id : true;
+      return `
+        <div class="wa-proc-tab${active ? ' active' : ''}" data-filter="${escapeHtml(proc.id)}" data-status="${status}"
+             style="--wa-proc-color: ${PROCESS_COLORS[proc.color].css}"
+             title="${escapeHtml(`${proc.command || t('webapp.processAutoCommand')}${proc.cwd ? ` — ${proc.cwd}` : ''}`)}">
+          <span class="wa-proc-dot"></span>
+          <span class="wa-proc-name">${escapeHtml(proc.name)}</span>
+          ${state.port ? `<span class="wa-proc-port">:${state.port}</span>` : ''}
+          ${status === 'restarting' ? `<span class="wa-proc-note">${t('webapp.processRestarting')}</span>` : ''}
+          ${status === 'crashed' ? `<span class="wa-proc-note">${t('webapp.processCrashed')}</span>` : ''}
+          ${state.errors ? `<span class="wa-proc-errors" title="${escapeHtml(t('webapp.processErrors', { count: state.errors }))}">${state.errors}</span>` : ''}
+          ${isActive(status)
+            ? `<button class="wa-proc-action" data-action="restart" data-id="${escapeHtml(proc.id)}" title="${t('webapp.processRestart')}">${ICON_RESTART}</button>
+               <button class="wa-proc-action" data-action="stop" data-id="${escapeHtml(proc.id)}" title="${t('webapp.processStop')}">${ICON_STOP}</button>`
+            : `<button class="wa-proc-action" data-action="start" data-id="${escapeHtml(proc.id)}" title="${t('webapp.processStart')}">${ICON_PLAY}</button>`}
+        </div>`;
+    }).join('');
+
+    strip.innerHTML = `
+      <div class="wa-proc-tabs">
+        ${multi ? `<button class="wa-proc-tab wa-proc-all${filter === 'all' ? ' active' : ''}" data-filter="all">${t('webapp.processAll')}</button>` : ''}
+        ${tabs}
+      </div>
+      <div class="wa-proc-actions">
+        <button class="wa-proc-btn" data-action="start-all">${running ? ICON_RESTART : ICON_PLAY}<span>${running ? t('webapp.restartAll') : t('webapp.startAll')}</span></button>
+        ${running ? `<button class="wa-proc-btn" data-action="stop-all">${ICON_STOP}<span>${t('webapp.stopAll')}</span></button>` : ''}
+        <button class="wa-proc-btn" data-action="edit" title="${t('webapp.editProcesses')}">${ICON_EDIT}</button>
+      </div>
+    `;
+  }
+
+  function showFilter(filter) {
+    setConsoleFilter(projectIndex, filter);
+    const terminal = getConsoleTerminal();
+    if (terminal) {
+      terminal.reset();
+      terminal.write(getConsoleLogs(projectIndex, filter));
+    }
+    render();
+  }
+
+  function selectFilter(filter) {
+    const project = getProject(projectIndex);
+    if (!project || getDevProcesses(project).length < 2) return;
+    if ((getWebAppServer(projectIndex).consoleFilter || 'all') === filter) return;
+    showFilter(filter);
+  }
+
+  async function runAction(action, processId) {
+    let result;
+    if (action === 'start' || action === 'restart') result = await startDevProcess(projectIndex, processId);
+    else if (action === 'stop') result = await stopDevProcess(projectIndex, processId);
+    else if (action === 'start-all') {
+      result = await startDevServer(projectIndex);
+      if (result.success && result.errors && result.errors.length) showWarning(result.errors.join('\n'));
+    } else if (action === 'stop-all') result = await stopDevServer(projectIndex);
+    else if (action === 'edit') {
+      showProcessEditor(projectIndex, deps, () => {
+        resetConsolePrefixes(projectIndex);
+        signature = null;
+        const ids = getDevProcesses(getProject(projectIndex)).map(p => p.id);
+        const filter = getWebAppServer(projectIndex).consoleFilter || 'all';
+        if (filter !== 'all' && (ids.length < 2 || !ids.includes(filter))) showFilter('all');
+        else render();
+      });
+      return;
+    }
+    if (result && !result.success) showError(result.error);
+    refreshSidebar();
+  }
+
+  strip.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (button) {
+      e.stopPropagation();
+      runAction(button.dataset.action, button.dataset.id);
+      return;
+    }
+    const tab = e.target.closest('.wa-proc-tab');
+    if (tab) selectFilter(tab.dataset.filter);
+  });
+
+  const previous = subscriptions.get(strip);
+  if (previous) previous();
+  subscriptions.set(strip, webappState.subscribe(render));
+  render();
+}
+
+// ── Process list editor ──
+
+function processRowHtml(proc, t) {
+  const colors = Object.keys(PROCESS_COLORS).map(color =>
+    `<option value="${color}"${proc.color === color ? ' selected' : ''}>${t(`webapp.color.${color}`)}</option>`
+  ).join('');
+  return `
+    <div class="wa-proc-row" data-id="${escapeHtml(proc.id || '')}">
+      <div class="wa-proc-row-main">
+        <input class="form-input wa-proc-field-name" data-field="name" placeholder="web" value="${escapeHtml(proc.name || '')}">
+        <input class="form-input wa-proc-field-command" data-field="command" placeholder="npm run dev" value="${escapeHtml(proc.command || '')}" spellcheck="false">
+        <input class="form-input wa-proc-field-cwd" data-field="cwd" placeholder="${t('webapp.processCwdPlaceholder')}" value="${escapeHtml(proc.cwd || '')}" spellcheck="false">
+        <select class="form-input wa-proc-field-color" data-field="color">${colors}</select>
+        <button class="wa-proc-remove" title="${t('webapp.removeProcess')}">
+          <svg viewBox="0 0 12 12"><path d="M1 1l10 10M11 1L1 11" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>
+        </button>
+      </div>
+      <div class="wa-proc-row-extra">
+        <textarea class="form-input wa-proc-field-env" data-field="env" rows="2" placeholder="${t('webapp.processEnvPlaceholder')}" spellcheck="false">${escapeHtml(formatEnv(proc.env))}</textarea>
+        <label class="wa-proc-restart">
+          <input type="checkbox" data-field="autoRestart"${proc.autoRestart ? ' checked' : ''}>
+          <span>${t('webapp.processAutoRestart')}</span>
+        </label>
+      </div>
+    </div>
+  `;
+}
+
+function readRows(container) {
+  return Array.from(container.querySelectorAll('.wa-proc-row')).map(row => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    const proc = {
+      name: field('name').value.trim(),
+      command: field('command').value.trim(),
+      cwd: field('cwd').value.trim(),
+      env: parseEnv(field('env').value),
+      color: field('color').value,
+      autoRestart: field('autoRestart').checked
+    };
+    if (row.dataset.id) proc.id = row.dataset.id;
+    return proc;
+  }).filter(proc => proc.command);
+}
+
+/**
+ * Edit project.devProcesses. Saving an empty list goes back to the single devCommand.
+ */
+function showProcessEditor(projectIndex, deps, onSaved) {
+  const { t } = deps;
+  const project = getProject(projectIndex);
+  if (!project) return;
+
+  const initial = Array.isArray(project.devProcesses) && project.devProcesses.length
+    ? getDevProcesses(project)
+    : [{ name: 'web', command: project.devCommand || '', cwd: '', env: {}, color: 'cyan', autoRestart: false }];
+  const colorNames = Object.keys(PROCESS_COLORS);
+
+  const modal = createModal({
+    id: 'webapp-processes-modal',
+    title: t('webapp.processesTitle'),
+    size: 'large',
+    content: `
+      <div class="wa-proc-editor">
+        <p class="wa-proc-editor-hint">${t('webapp.processesHint')}</p>
+        <div class="wa-proc-rows">${initial.map(proc => processRowHtml(proc, t)).join('')}</div>
+        <button class="btn btn-secondary wa-proc-add">+ ${t('webapp.addProcess')}</button>
+      </div>
+    `,
+    buttons: [
+      { label: t('common.cancel'), action: 'cancel', onClick: (m) => closeModal(m) },
+      {
+        label: t('common.save'),
+        action: 'save',
+        primary: true,
+        onClick: (m) => {
+          const processes = readRows(m.querySelector('.wa-proc-rows'));
+          updateProject(project.id, { devProcesses: processes.length ? processes : undefined });
+          closeModal(m);
+          onSaved();
+        }
+      }
+    ]
+  });
+
+  const rows = modal.querySelector('.wa-proc-rows');
+  modal.querySelector('.wa-proc-add').onclick = () => {
+    const color = colorNames[rows.children.length % colorNames.length];
+    rows.insertAdjacentHTML('beforeend', processRowHtml({ name: '', command: '', cwd: '', env: {}, color, autoRestart: false }, t));
+    rows.lastElementChild.querySelector('[data-field="name"]').focus();
+  };
+  rows.addEventListener('click', (e) => {
+    const remove = e.target.closest('.wa-proc-remove');
+    if (remove) remove.closest('.wa-proc-row').remove();
+  });
+
+  showModal(modal);
+}
+
+function cleanup(strip) {
+  const unsubscribe = subscriptions.get(strip);
+  if (unsubscribe) {
+    unsubscribe();
+    subscriptions.delete(strip);
+  }
+}
+
+module.exports = {
+  setupProcessStrip,
+  showProcessEditor,
+  cleanup
+};
@@ -12,8 +12,24 @@ const {
   setWebAppPort,
   addWebAppLog,
   clearWebAppLogs,
-  initWebAppServer
+  initWebAppServer,
+  getWebAppProcess,
+  setWebAppProcess,
+  addWebAppProcessLog,
+  setWebAppConsoleFilter,
+  setWebAppWorkspace,
+  addWebAppBrowserError,
+  clearWebAppBrowserErrors
 } = require('./WebAppState');
+const {
+  LEGACY_PROCESS_ID,
+  normalizeDevProcesses,
+  createLinePrefixer,
+  stripAnsi,
+  isErrorLine,
+  isErrorContinuation
+} = require('../../../shared/dev-processes');
+const { browserErrorKey, formatBrowserError } = require('../../../shared/browser-errors');
 
 const WEBAPP_TERMINAL_THEME = {
   background: '#0d1117',
@@ -33,29 +49,63 @@ const WEBAPP_TERMINAL_THEME = {
 
 const webappTerminals = new Map();
 
-async function startDevServer(projectIndex) {
+const ERROR_COLLECT_TIMEOUT = 500;
+const ERROR_DEDUPE_WINDOW = 5000;
+
+const linePrefixers = new Map(); // `${projectIndex}:${processId}` -> prefixer of the combined console
+const errorStates = new Map();   // `${projectIndex}:${processId}` -> { partial, lines, timeout, last }
+const browserErrorsSeen = new Map(); // `${projectIndex}|${errorKey}` -> last report time
+let browserErrorCallback = null;     // overlay pipeline of registerWebAppListeners
+
+function getProject(projectIndex) {
   const { projectsState } = require('../../../renderer/state');
-  const project = projectsState.get().projects[projectIndex];
+  return projectsState.get().projects[projectIndex];
+}
+
+/**
+ * Process list of a project (see shared/dev-processes).
+ * @param {Object} project
+ * @returns {Object[]}
+ */
+function getDevProcesses(project) {
+  return normalizeDevProcesses(project);
+}
+
+function processParams(project, projectIndex) {
+  return {
+    projectIndex,
+    projectPath: project.path,
+    devCommand: project.devCommand,
+    processes: project.devProcesses
+  };
+}
+
+/**
+ * Start every dev process of a project.
+ * @returns {Promise<{ success: boolean, started?: string[], errors?: string[], error?: string }>}
+ */
+async function startDevServer(projectIndex) {
+  const project = getProject(projectIndex);
   if (!project) return { success: false, error: 'Project not found' };
 
   initWebAppServer(projectIndex);
   setWebAppServerStatus(projectIndex, 'starting');
   setWebAppPort(projectIndex, null); // reset cached port on restart
+  const processes = getDevProcesses(project);
+  processes.forEach(proc => setWebAppProcess(projectIndex, proc.id, { status: 'starting', port: null }));
 
   try {
-    const result = await api.webapp.start({
-      projectIndex,
-      projectPath: project.path,
-      devCommand: project.devCommand
+    const result = await api.webapp.start(processParams(project, projectIndex));
+    const started = result.started || [];
+    processes.forEach(proc => {
+      // A process may already have exited (and be restarting) before the start call returns
+      if (getWebAppProcess(projectIndex, proc.id).status !== 'starting') return;
+      setWebAppProcess(projectIndex, proc.id, { status: started.includes(proc.id) ? 'running' : 'crashed' });
     });
-
-    if (result.success) {
-      setWebAppServerStatus(projectIndex, 'running');
-    } else {
-      setWebAppServerStatus(projectIndex, 'stopped');
-    }
+    setWebAppServerStatus(projectIndex, result.success ? 'running' : 'stopped');
     return result;
   } catch (e) {
+    processes.forEach(proc => setWebAppProcess(projectIndex, proc.id, { status: 'stopped' }));
     setWebAppServerStatus(projectIndex, 'stopped');
     return { success: false, error: e.message };
   }
@@ -66,12 +116,275 @@ async function stopDevServer(projectIndex) {
     const result = await api.webapp.stop({ projectIndex });
     setWebAppServerStatus(projectIndex, 'stopped');
     setWebAppPort(projectIndex, null);
+    Object.keys(getWebAppServer(projectIndex).processes || {}).forEach(id => {
+      setWebAppProcess(projectIndex, id, { status: 'stopped', port: null });
+    });
+    return result;
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Start or restart one process of the list.
+ */
+async function startDevProcess(projectIndex, processId) {
+  const project = getProject(projectIndex);
+  if (!project) return { success: false, error: 'Project not found' };
+
+  setWebAppProcess(projectIndex, processId, { status: 'starting', port: null });
+  try {
+    const result = await api.webapp.startProcess({ ...processParams(project, projectIndex), processId });
+    if (getWebAppProcess(projectIndex, processId).status === 'starting') {
+      setWebAppProcess(projectIndex, processId, { status: result.success ? 'running' : 'crashed' });
+    }
+    if (result.success) setWebAppServerStatus(projectIndex, 'running');
+    return result;
+  } catch (e) {
+    setWebAppProcess(projectIndex, processId, { status: 'stopped' });
+    return { success: false, error: e.message };
+  }
+}
+
+async function stopDevProcess(projectIndex, processId) {
+  try {
+    const result = await api.webapp.stopProcess({ projectIndex, processId });
+    setWebAppProcess(projectIndex, processId, { status: 'stopped', port: null });
+    const processes = getWebAppServer(projectIndex).processes || {};
+    if (!Object.values(processes).some(proc => proc.status !== 'stopped' && proc.status !== 'crashed')) {
+      setWebAppServerStatus(projectIndex, 'stopped');
+      setWebAppPort(projectIndex, null);
+    }
     return result;
   } catch (e) {
     return { success: false, error: e.message };
   }
 }
 
+// ── Workspaces ──
+
+/**
+ * Workspace (monorepo) of a project, cached in the state.
+ * @param {number} projectIndex
+ * @param {boolean} [refresh] - rescan the packages
+ * @returns {Promise<Object|null>} null when the project is not part of a workspace
+ */
+async function loadWorkspace(projectIndex, refresh = false) {
+  const cached = getWebAppServer(projectIndex).workspace;
+  if (cached !== undefined && !refresh) return cached;
+  const project = getProject(projectIndex);
+  if (!project) return null;
+  try {
+    const workspace = (await api.webapp.getWorkspace({ projectPath: project.path })) || null;
+    setWebAppWorkspace(projectIndex, workspace);
+    return workspace;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Run a workspace package script: added to the project's process list (seeded with
+ * the current dev command when the project had none) unless already there, then started.
+ * @param {number} projectIndex
+ * @param {{ name: string, command: string, cwd: string }} def - package `run` entry of the workspace
+ * @param {string|null} [defaultCommand] - auto-detected command of the project
+ */
+async function runWorkspaceScript(projectIndex, def, defaultCommand) {
+  const project = getProject(projectIndex);
+  if (!project) return { success: false, error: 'Project not found' };
+
+  const same = proc => proc.command === def.command && proc.cwd === def.cwd;
+  let proc = getDevProcesses(project).find(same);
+  if (!proc) {
+    const list = Array.isArray(project.devProcesses) && project.devProcesses.length
+      ? [...project.devProcesses]
+      : [];
+    const legacyCommand = project.devCommand || defaultCommand;
+    if (!list.length && legacyCommand) list.push({ id: LEGACY_PROCESS_ID, name: 'dev', command: legacyCommand });
+    list.push({ name: def.name, command: def.command, cwd: def.cwd });
+
+    const { updateProject } = require('../../../renderer/state/projects.state');
+    updateProject(project.id, { devProcesses: list });
+    resetConsolePrefixes(projectIndex);
+    proc = getDevProcesses(getProject(projectIndex)).find(same);
+  }
+  return startDevProcess(projectIndex, proc.id);
+}
+
+// ── Console output ──
+
+function isMultiProcess(projectIndex) {
+  const project = getProject(projectIndex);
+  return !!project && getDevProcesses(project).length > 1;
+}
+
+function processInfo(projectIndex, processId) {
+  const project = getProject(projectIndex);
+  const list = project ? getDevProcesses(project) : [];
+  return list.find(p => p.id === processId) || { id: processId, name: processId, command: '', color: 'cyan' };
+}
+
+/**
+ * Store a chunk of process output and return what the console shows for it:
+ * prefixed with the process name in the combined view, raw in the process view,
+ * null when another process is selected.
+ */
+function recordOutput(projectIndex, processId, data) {
+  let combined = data;
+  if (isMultiProcess(projectIndex)) {
+    const key = `${projectIndex}:${processId}`;
+    if (!linePrefixers.has(key)) {
+      const info = processInfo(projectIndex, processId);
+      linePrefixers.set(key, createLinePrefixer(info.name, info.color));
+    }
+    combined = linePrefixers.get(key)(data);
+  }
+
+  addWebAppLog(projectIndex, combined);
+  addWebAppProcessLog(projectIndex, processId, data);
+
+  const filter = getWebAppServer(projectIndex).consoleFilter || 'all';
+  if (filter === 'all') return combined;
+  return filter === processId ? data : null;
+}
+
+/**
+ * Logs to show in the console for a filter ('all' or a processId).
+ * @returns {string}
+ */
+function getConsoleLogs(projectIndex, filter) {
+  const server = getWebAppServer(projectIndex);
+  if (!filter || filter === 'all') return server.logs.join('');
+  return getWebAppProcess(projectIndex, filter).logs;
+}
+
+/**
+ * Select the process shown in the console; console input goes to that process.
+ */
+function setConsoleFilter(projectIndex, filter) {
+  setWebAppConsoleFilter(projectIndex, filter);
+  api.webapp.setInputTarget({ projectIndex, processId: filter === 'all' ? null : filter });
+}
+
+// ── Error detection ──
+
+function processLinesForErrors(projectIndex, processId, data, onErrorCallback) {
+  const key = `${projectIndex}:${processId}`;
+  if (!errorStates.has(key)) errorStates.set(key, { partial: '', lines: [], timeout: null, last: null });
+  const state = errorStates.get(key);
+
+  const lines = (state.partial + data).split(/\r?\n/);
+  state.partial = lines.pop();
+
+  for (const rawLine of lines) {
+    const line = stripAnsi(rawLine).replace(/\r/g, '');
+    if (!line.trim()) {
+      if (state.lines.length) finalizeError(projectIndex, processId, onErrorCallback);
+      continue;
+    }
+    if (state.lines.length && isErrorContinuation(line)) {
+      state.lines.push(line);
+    } else if (isErrorLine(line)) {
+      if (state.lines.length) finalizeError(projectIndex, processId, onErrorCallback);
+      state.lines.push(line);
+    } else if (state.lines.length) {
+      finalizeError(projectIndex, processId, onErrorCallback);
+    }
+
+    if (state.lines.length) {
+      clearTimeout(state.timeout);
+      state.timeout = setTimeout(() => finalizeError(projectIndex, processId, onErrorCallback), ERROR_COLLECT_TIMEOUT);
+    }
+  }
+}
+
+function finalizeError(projectIndex, processId, onErrorCallback) {
+  const state = errorStates.get(`${projectIndex}:${processId}`);
+  if (!state || !state.lines.length) return;
+  clearTimeout(state.timeout);
+  state.timeout = null;
+
+  const lines = state.lines.slice(0, 40);
+  state.lines = [];
+
+  const message = lines[0].trim();
+  const now = Date.now();
+  if (state.last && state.last.message === message && now - state.last.timestamp < ERROR_DEDUPE_WINDOW) return;
+  state.last = { message, timestamp: now };
+
+  const info = processInfo(projectIndex, processId);
+  setWebAppProcess(projectIndex, processId, { errors: getWebAppProcess(projectIndex, processId).errors + 1 });
+  if (onErrorCallback) {
+    onErrorCallback(projectIndex, {
+      timestamp: now,
+      processId,
+      processName: info.name,
+      command: info.command,
+      message,
+      context: lines.join('\n')
+    });
+  }
+}
+
+// ── Browser errors (preview) ──
+
+/**
+ * Record an error of the preview page (see shared/browser-errors): kept in the state,
+ * persisted for the MCP tool and — HMR reloads aside — shown in the error overlay
+ * like the errors of the dev processes. Repeats within the dedupe window are dropped.
+ * @param {number} projectIndex
+ * @param {Object} entry
+ */
+function reportBrowserError(projectIndex, entry) {
+  const key = `${projectIndex}|${browserErrorKey(entry)}`;
+  const last = browserErrorsSeen.get(key);
+  browserErrorsSeen.set(key, entry.timestamp);
+  if (last && entry.timestamp - last < ERROR_DEDUPE_WINDOW) return;
+  if (browserErrorsSeen.size > 500) browserErrorsSeen.delete(browserErrorsSeen.keys().next().value);
+
+  addWebAppBrowserError(projectIndex, entry);
+  const project = getProject(projectIndex);
+  if (project) api.webapp.recordBrowserErrors({ projectId: project.id, entries: [entry] });
+
+  if (entry.kind === 'hmr' || !browserErrorCallback) return;
+  browserErrorCallback(projectIndex, {
+    timestamp: entry.timestamp,
+    source: 'browser',
+    processId: null,
+    processName: 'browser',
+    page: entry.page || null,
+    message: entry.kind === 'network' ? formatBrowserError(entry) : entry.message.split('\n')[0],
+    context: formatBrowserError(entry)
+  });
+}
+
+async function clearBrowserErrors(projectIndex) {
+  clearWebAppBrowserErrors(projectIndex);
+  for (const key of browserErrorsSeen.keys()) {
+    if (key.startsWith(`${projectIndex}|`)) browserErrorsSeen.delete(key);
+  }
+  const project = getProject(projectIndex);
+  if (project) await api.webapp.clearBrowserErrors({ projectId: project.id });
+}
+
+/**
+ * Forget the console prefixes of a project (process names / colours were edited).
+ */
+function resetConsolePrefixes(projectIndex) {
+  for (const key of linePrefixers.keys()) {
+    if (key.startsWith(`${projectIndex}:`)) linePrefixers.delete(key);
+  }
+}
+
+function resetProcessOutput(projectIndex, processId) {
+  const key = `${projectIndex}:${processId}`;
+  linePrefixers.delete(key);
+  const state = errorStates.get(key);
+  if (state) clearTimeout(state.timeout);
+  errorStates.delete(key);
+}
+
 function createWebAppTerminal(projectIndex) {
   const terminal = new Terminal({
     theme: WEBAPP_TERMINAL_THEME,
@@ -129,36 +442,84 @@ function disposeWebAppTerminal(projectIndex) {
   }
 }
 
-function registerWebAppListeners(onDataCallback, onExitCallback) {
-  api.webapp.onData(({ projectIndex, data }) => {
-    addWebAppLog(projectIndex, data);
+/**
+ * @param {Function} onDataCallback - (projectIndex, text, processId): text to write to the console, or null
+ * @param {Function} onExitCallback - (projectIndex, code, processId)
+ * @param {Function} [onErrorCallback] - (projectIndex, error { timestamp, processId, processName, command, message, context }),
+ *   also called for preview errors with source: 'browser' and page (see reportBrowserError)
+ */
+function registerWebAppListeners(onDataCallback, onExitCallback, onErrorCallback) {
+  browserErrorCallback = onErrorCallback || null;
+
+  function writeOutput(projectIndex, processId, text) {
+    const visible = recordOutput(projectIndex, processId, text);
+    if (visible === null) return;
 
     const termData = webappTerminals.get(projectIndex);
-    if (termData) termData.terminal.write(data);
+    if (termData) termData.terminal.write(visible);
 
-    if (onDataCallback) onDataCallback(projectIndex, data);
+    if (onDataCallback) onDataCallback(projectIndex, visible, processId);
+  }
+
+  api.webapp.onData(({ projectIndex, processId = LEGACY_PROCESS_ID, data }) => {
+    processLinesForErrors(projectIndex, processId, data, onErrorCallback);
+    writeOutput(projectIndex, processId, data);
   });
 
-  api.webapp.onExit(({ projectIndex, code }) => {
-    setWebAppServerStatus(projectIndex, 'stopped');
-    setWebAppPort(projectIndex, null);
+  api.webapp.onExit(({ projectIndex, processId = LEGACY_PROCESS_ID, code, running = 0, restartIn = null, stopped }) => {
+    finalizeError(projectIndex, processId, onErrorCallback);
+    resetProcessOutput(projectIndex, processId);
 
-    const termData = webappTerminals.get(projectIndex);
-    if (termData) {
-      termData.terminal.write(`\r\n[Dev server exited with code ${code}]\r\n`);
+    const name = isMultiProcess(projectIndex) ? processInfo(projectIndex, processId).name : 'Dev server';
+    let message = `\r\n[${name} exited with code ${code}]\r\n`;
+    if (restartIn !== null) message = `\r\n[${name} crashed with code ${code}, restarting in ${Math.round(restartIn / 1000)}s]\r\n`;
+    writeOutput(projectIndex, processId, message);
+
+    if (restartIn !== null) {
+      setWebAppProcess(projectIndex, processId, { status: 'restarting', port: null });
+    } else if (!stopped) {
+      setWebAppProcess(projectIndex, processId, { status: code === 0 ? 'stopped' : 'crashed', port: null });
     }
 
-    if (onExitCallback) onExitCallback(projectIndex, code);
+    if (running === 0) {
+      setWebAppServerStatus(projectIndex, 'stopped');
+      setWebAppPort(projectIndex, null);
+      Object.entries(getWebAppServer(projectIndex).processes || {}).forEach(([id, proc]) => {
+        if (proc.status === 'running' || proc.status === 'starting') setWebAppProcess(projectIndex, id, { status: 'stopped', port: null });
+      });
+    }
+
+    if (onExitCallback) onExitCallback(projectIndex, code, processId);
+  });
+
+  api.webapp.onRestart(({ projectIndex, processId, attempt, success, error }) => {
+    const name = processInfo(projectIndex, processId).name;
+    setWebAppProcess(projectIndex, processId, { status: success ? 'running' : 'crashed' });
+    if (success) setWebAppServerStatus(projectIndex, 'running');
+    writeOutput(projectIndex, processId, success
+      ? `[${name} restarted (attempt ${attempt})]\r\n`
+      : `[${name} could not restart: ${error}]\r\n`);
   });
 
-  api.webapp.onPortDetected(({ projectIndex, port }) => {
+  api.webapp.onPortDetected(({ projectIndex, processId, processPort, port }) => {
     setWebAppPort(projectIndex, port);
+    if (processId) setWebAppProcess(projectIndex, processId, { port: processPort });
   });
 }
 
 module.exports = {
   startDevServer,
   stopDevServer,
+  startDevProcess,
+  stopDevProcess,
+  getDevProcesses,
+  getConsoleLogs,
+  setConsoleFilter,
+  resetConsolePrefixes,
+  loadWorkspace,
+  runWorkspaceScript,
+  reportBrowserError,
+  clearBrowserErrors,
   createWebAppTerminal,
   getWebAppTerminal,
   mountWebAppTerminal,
@@ -4,46 +4,50 @@
  */
 
 const { State } = require('../../../renderer/state/State');
+const { appendBrowserErrors } = require('../../../shared/browser-errors');
 
 const initialState = {
-  webappServers: new Map(), // projectIndex -> { status, logs[], port, framework }
+  webappServers: new Map(), // projectIndex -> { status, logs[], port, framework, processes, consoleFilter }
 };
 
+// processes: processId -> { status: 'running'|'stopped'|'restarting'|'crashed', port, logs, errors }
+// consoleFilter: 'all' or the processId shown in the console
+// browserErrors: errors of the preview page (see shared/browser-errors), oldest first
+// workspace: monorepo scan (see WebAppService.getWorkspace), null when not in one, undefined until loaded
+function emptyServer() {
+  return { status: 'stopped', logs: [], port: null, framework: null, processes: {}, consoleFilter: 'all', browserErrors: [] };
+}
+
 const webappState = new State(initialState);
 
 function getWebAppServer(projectIndex) {
-  return webappState.get().webappServers.get(projectIndex) || {
-    status: 'stopped',
-    logs: [],
-    port: null,
-    framework: null
-  };
+  return webappState.get().webappServers.get(projectIndex) || emptyServer();
 }
 
 function setWebAppServerStatus(projectIndex, status) {
   const servers = webappState.get().webappServers;
-  const current = servers.get(projectIndex) || { status: 'stopped', logs: [], port: null, framework: null };
+  const current = servers.get(projectIndex) || emptyServer();
   servers.set(projectIndex, { ...current, status });
   webappState.setProp('webappServers', servers);
 }
 
 function setWebAppPort(projectIndex, port) {
   const servers = webappState.get().webappServers;
-  const current = servers.get(projectIndex) || { status: 'stopped', logs: [], port: null, framework: null };
+  const current = servers.get(projectIndex) || emptyServer();
   servers.set(projectIndex, { ...current, port });
   webappState.setProp('webappServers', servers);
 }
 
 function setWebAppFramework(projectIndex, framework) {
   const servers = webappState.get().webappServers;
-  const current = servers.get(projectIndex) || { status: 'stopped', logs: [], port: null, framework: null };
+  const current = servers.get(projectIndex) || emptyServer();
   servers.set(projectIndex, { ...current, framework });
   webappState.setProp('webappServers', servers);
 }
 
 function addWebAppLog(projectIndex, data) {
   const servers = webappState.get().webappServers;
-  const current = servers.get(projectIndex) || { status: 'stopped', logs: [], port: null, framework: null };
+  const current = servers.get(projectIndex) || emptyServer();
   const logs = [...current.logs, data];
   let combined = logs.join('');
   if (combined.length > 10000) combined = combined.slice(-10000);
@@ -55,15 +59,68 @@ function clearWebAppLogs(projectIndex) {
   const servers = webappState.get().webappServers;
   const current = servers.get(projectIndex);
   if (current) {
-    servers.set(projectIndex, { ...current, logs: [] });
+    const processes = {};
+    Object.entries(current.processes || {}).forEach(([id, proc]) => { processes[id] = { ...proc, logs: '', errors: 0 }; });
+    servers.set(projectIndex, { ...current, logs: [], processes });
     webappState.setProp('webappServers', servers);
   }
 }
 
+function getWebAppProcess(projectIndex, processId) {
+  return getWebAppServer(projectIndex).processes?.[processId] || { status: 'stopped', port: null, logs: '', errors: 0 };
+}
+
+function setWebAppProcess(projectIndex, processId, changes) {
+  const servers = webappState.get().webappServers;
+  const current = servers.get(projectIndex) || emptyServer();
+  const processes = { ...current.processes, [processId]: { ...getWebAppProcess(projectIndex, processId), ...changes } };
+  servers.set(projectIndex, { ...current, processes });
+  webappState.setProp('webappServers', servers);
+}
+
+/**
+ * Append raw output of one process (capped like the combined log).
+ */
+function addWebAppProcessLog(projectIndex, processId, data) {
+  let logs = getWebAppProcess(projectIndex, processId).logs + data;
+  if (logs.length > 10000) logs = logs.slice(-10000);
+  setWebAppProcess(projectIndex, processId, { logs });
+}
+
+function setWebAppConsoleFilter(projectIndex, consoleFilter) {
+  const servers = webappState.get().webappServers;
+  const current = servers.get(projectIndex) || emptyServer();
+  servers.set(projectIndex, { ...current, consoleFilter });
+  webappState.setProp('webappServers', servers);
+}
+
+function addWebAppBrowserError(projectIndex, entry) {
+  const servers = webappState.get().webappServers;
+  const current = servers.get(projectIndex) || emptyServer();
+  servers.set(projectIndex, { ...current, browserErrors: appendBrowserErrors(current.browserErrors, [entry]) });
+  webappState.setProp('webappServers', servers);
+}
+
+function clearWebAppBrowserErrors(projectIndex) {
+  const servers = webappState.get().webappServers;
+  const current = servers.get(projectIndex);
+  if (current) {
+    servers.set(projectIndex, { ...current, browserErrors: [] });
+    webappState.setProp('webappServers', servers);
+  }
+}
+
+function setWebAppWorkspace(projectIndex, workspace) {
+  const servers = webappState.get().webappServers;
+  const current = servers.get(projectIndex) || emptyServer();
+  servers.set(projectIndex, { ...current, workspace });
+  webappState.setProp('webappServers', servers);
+}
+
 function initWebAppServer(projectIndex) {
   const servers = webappState.get().webappServers;
   if (!servers.has(projectIndex)) {
-    servers.set(projectIndex, { status: 'stopped', logs: [], port: null, framework: null });
+    servers.set(projectIndex, emptyServer());
     webappState.setProp('webappServers', servers);
   }
 }
@@ -82,6 +139,13 @@ module.exports = {
   setWebAppFramework,
   addWebAppLog,
   clearWebAppLogs,
+  getWebAppProcess,
+  setWebAppProcess,
+  addWebAppProcessLog,
+  setWebAppConsoleFilter,
+  addWebAppBrowserError,
+  clearWebAppBrowserErrors,
+  setWebAppWorkspace,
   initWebAppServer,
   removeWebAppServer
 };
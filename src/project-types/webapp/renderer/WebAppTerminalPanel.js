@@ -6,6 +6,10 @@
 const { getWebAppServer, setWebAppPort } = require('./WebAppState');
 const { getSetting } = require('../../../renderer/state/settings.state');
 const { t } = require('../../../renderer/i18n');
+const { escapeHtml } = require('../../../renderer/utils/dom');
+const ProcessStrip = require('./WebAppProcessStrip');
+const { loadWorkspace, runWorkspaceScript, reportBrowserError, clearBrowserErrors } = require('./WebAppRendererService');
+const { classifyConsoleMessage, classifyLoadFailure, isHmrFailure, formatBrowserError } = require('../../../shared/browser-errors');
 const api = window.electron_api;
 
 // Track active poll timer per wrapper (shared between views)
@@ -14,6 +18,16 @@ const pollTimers = new WeakMap();
 // Store detached webview data per previewView element
 const detachedWebviews = new WeakMap();
 
+// Attached preview webviews by guest webContents id, for the failed requests seen by the main process
+const previewWebviews = new Map();
+let requestErrorsListener = null;
+
+// Automatic reloads of the preview: after an HMR failure, and while the dev server restarts
+const HMR_RELOAD_DELAY = 800;
+const HMR_RELOAD_LIMIT = 3;        // per minute, so a page that keeps failing isn't reloaded in a loop
+const LOAD_RETRY_DELAY = 2000;
+const LOAD_RETRY_LIMIT = 5;
+
 function clearPollTimer(wrapper) {
   const timer = pollTimers.get(wrapper);
   if (timer) {
@@ -76,6 +90,9 @@ const ICON_RESPONSIVE_DESKTOP = `<svg viewBox="0 0 12 12" fill="none" stroke="cu
 // Auto-scan icon
 const ICON_SCAN = `<svg viewBox="0 0 12 12" fill="none" stroke="currentColor" stroke-width="1.5" width="11" height="11"><path d="M1 3V1h2M9 1h2v2M11 9v2H9M3 11H1V9" stroke-linecap="round" stroke-linejoin="round"/><path d="M3.5 6h5" stroke-linecap="round"/></svg>`;
 
+// Browser errors icon
+const ICON_ERRORS = `<svg viewBox="0 0 12 12" fill="none" stroke="currentColor" stroke-width="1.4" width="11" height="11"><path d="M6 1.2L11 10.3H1z" stroke-linejoin="round"/><path d="M6 4.8v2.4" stroke-linecap="round"/><circle cx="6" cy="8.7" r=".4" fill="currentColor"/></svg>`;
+
 // Ruler / spacing measurement icon
 const ICON_RULER = `<svg viewBox="0 0 12 12" fill="none" stroke="currentColor" stroke-width="1.3" width="11" height="11"><path d="M1.5 10.5l9-9" stroke-linecap="round"/><path d="M3.5 10V8.5M5.5 9V7.5M7.5 7V5.5" stroke-linecap="round"/><path d="M1 10.5h2.5V8" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
 
@@ -717,6 +734,7 @@ function getViewSwitcherHtml() {
         </div>
       </div>
       <div class="wa-body">
+        <div class="wa-process-strip"></div>
         <div class="webapp-console-view wa-view"></div>
         ${previewEnabled ? `<div class="webapp-preview-view wa-view"></div>` : ''}
         <div class="webapp-info-view wa-view"></div>
@@ -742,6 +760,7 @@ function detachWebview(previewView) {
   } catch (e) {
     detachedWebviews.delete(previewView);
   }
+  previewWebviews.delete(webview._webContentsId);
   webview.remove();
 }
 
@@ -769,6 +788,14 @@ function wireWebviewEvents(previewView, webview) {
   const addrPath = previewView.querySelector('.wa-addr-path');
   const addrPort = previewView.querySelector('.wa-addr-port');
 
+  listenPreviewRequestErrors();
+  webview.addEventListener('did-attach', () => {
+    try {
+      webview._webContentsId = webview.getWebContentsId();
+      previewWebviews.set(webview._webContentsId, { previewView, webview });
+    } catch (e) {}
+  });
+
   webview.addEventListener('did-navigate', (e) => {
     let newPath = '/';
     try {
@@ -854,14 +881,107 @@ function wireWebviewEvents(previewView, webview) {
         return;
       }
     }
-    if (e.level >= 2) {
-      if (!previewView._consoleLogs) previewView._consoleLogs = [];
-      previewView._consoleLogs.push({ level: e.level, message: e.message, source: e.sourceId, line: e.line });
-      if (previewView._consoleLogs.length > 100) previewView._consoleLogs.shift();
+    if (isHmrFailure(e.message)) scheduleHmrReload(previewView, webview, e.message);
+    const entry = classifyConsoleMessage(e);
+    if (entry) reportPreviewError(previewView, webview, entry);
+  });
+
+  webview.addEventListener('did-fail-load', (e) => {
+    const entry = classifyLoadFailure(e);
+    if (!entry) return;
+    // Dev server restarting: retry a few times instead of leaving the error page
+    const retries = previewView._loadRetries || 0;
+    if (retries === 0) reportPreviewError(previewView, webview, entry);
+    if (retries < LOAD_RETRY_LIMIT && getWebAppServer(previewView._projectIndex).status !== 'stopped') {
+      previewView._loadRetries = retries + 1;
+      setTimeout(() => {
+        if (webview.isConnected) webview.reload();
+      }, LOAD_RETRY_DELAY);
+    }
+  });
+  webview.addEventListener('did-finish-load', () => {
+    previewView._loadRetries = 0;
+  });
+}
+
+// ── Browser errors & automatic reload ──────────────────────────────
+
+function reportPreviewError(previewView, webview, entry) {
+  if (previewView._projectIndex === undefined) return;
+  try { entry.page = webview.getURL(); } catch (e) {}
+  reportBrowserError(previewView._projectIndex, entry);
+  renderBrowserErrors(previewView);
+}
+
+/**
+ * Failed requests of the previews (webRequest errors and error statuses, see WebAppService.trackPreviewRequests).
+ */
+function listenPreviewRequestErrors() {
+  if (requestErrorsListener) return;
+  requestErrorsListener = api.webapp.onPreviewRequestError(({ webContentsId, entry }) => {
+    const preview = previewWebviews.get(webContentsId);
+    if (!preview) return;
+    if (!preview.webview.isConnected) {
+      previewWebviews.delete(webContentsId);
+      return;
     }
+    reportPreviewError(preview.previewView, preview.webview, entry);
   });
 }
 
+/**
+ * Reload the page after an HMR failure (stale modules), at most HMR_RELOAD_LIMIT times a minute.
+ */
+function scheduleHmrReload(previewView, webview, message) {
+  const now = Date.now();
+  const recent = (previewView._hmrReloads || []).filter(time => now - time < 60000);
+  if (previewView._hmrReloadPending || recent.length >= HMR_RELOAD_LIMIT) return;
+  previewView._hmrReloads = [...recent, now];
+  previewView._hmrReloadPending = true;
+  reportPreviewError(previewView, webview, { kind: 'hmr', message, timestamp: now });
+  setTimeout(() => {
+    previewView._hmrReloadPending = false;
+    if (webview.isConnected) webview.reload();
+  }, HMR_RELOAD_DELAY);
+}
+
+/**
+ * Update the errors badge of the browser bar, and the errors panel when open.
+ */
+function renderBrowserErrors(previewView) {
+  const entries = getWebAppServer(previewView._projectIndex).browserErrors || [];
+  const errorCount = entries.filter(entry => entry.kind !== 'hmr').length;
+
+  const badge = previewView.querySelector('.wa-errors-count');
+  if (badge) {
+    badge.textContent = errorCount > 99 ? '99+' : String(errorCount);
+    badge.classList.toggle('visible', errorCount > 0);
+  }
+
+  const panel = previewView.querySelector('.wa-browser-errors');
+  if (!panel || !panel.classList.contains('visible')) return;
+
+  panel.innerHTML = `
+    <div class="wa-berr-head">
+      <span class="wa-berr-title">${t('webapp.browserErrorsTitle', { count: errorCount })}</span>
+      <button class="wa-berr-clear"${entries.length ? '' : ' disabled'}>${t('webapp.browserErrorsClear')}</button>
+    </div>
+    <div class="wa-berr-list">
+      ${entries.length ? entries.slice().reverse().map(entry => `
+        <div class="wa-berr-item" data-kind="${entry.kind}" title="${escapeAttr(formatBrowserError(entry))}">
+          <span class="wa-berr-kind">${entry.kind === 'network' ? (entry.status || 'ERR') : entry.kind === 'hmr' ? 'HMR' : 'JS'}</span>
+          <span class="wa-berr-msg">${escapeHtml(entry.kind === 'network' ? `${entry.statusText ? `${entry.statusText} ` : ''}${entry.url}` : entry.message.split('\n')[0])}</span>
+          <span class="wa-berr-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+        </div>`).join('') : `<div class="wa-berr-empty">${t('webapp.browserErrorsEmpty')}</div>`}
+    </div>
+  `;
+
+  panel.querySelector('.wa-berr-clear').onclick = async () => {
+    await clearBrowserErrors(previewView._projectIndex);
+    renderBrowserErrors(previewView);
+  };
+}
+
 function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
   const { t, getTerminal } = deps;
   const consoleView  = wrapper.querySelector('.webapp-console-view');
@@ -869,6 +989,7 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
   const infoView     = wrapper.querySelector('.webapp-info-view');
   const statusEl     = wrapper.querySelector('.wa-server-status');
   const statusLabel  = wrapper.querySelector('.wa-status-label');
+  const processStrip = wrapper.querySelector('.wa-process-strip');
 
   const STATUS_LABELS = { stopped: '', starting: t('webapp.statusStarting'), running: t('webapp.statusRunning') };
 
@@ -890,6 +1011,7 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
     });
 
     panes.forEach(p => p.classList.remove('wa-view-active'));
+    if (processStrip) processStrip.classList.toggle('wa-process-strip-hidden', view !== 'console');
 
     if (view === 'console') {
       consoleView.classList.add('wa-view-active');
@@ -926,6 +1048,13 @@ function setupViewSwitcher(wrapper, terminalId, projectIndex, project, deps) {
   observer.observe(wrapper, { attributes: true, attributeFilter: ['class'] });
   wrapper._waClassObserver = observer;
 
+  if (processStrip) {
+    ProcessStrip.setupProcessStrip(processStrip, projectIndex, {
+      t,
+      getConsoleTerminal: () => getTerminal(terminalId)?.terminal
+    });
+  }
+
   // Initial state: show console
   switchView('console');
 
@@ -1003,6 +1132,7 @@ async function renderPreviewView(wrapper, projectIndex, project, deps) {
           <button class="wa-responsive-btn" data-width="1024" title="${t('webapp.responsive.laptop')} (1024px)">${ICON_RESPONSIVE_LAPTOP}<span class="wa-responsive-label">1024</span></button>
           <button class="wa-responsive-btn" data-width="1440" title="${t('webapp.responsive.desktop')} (1440px)">${ICON_RESPONSIVE_DESKTOP}<span class="wa-responsive-label">1440</span></button>
         </div>
+        <button class="wa-browser-btn wa-errors" title="${t('webapp.browserErrors')}">${ICON_ERRORS}<span class="wa-errors-count"></span></button>
         <button class="wa-browser-btn wa-scan" title="${t('webapp.scan.title')}">${ICON_SCAN}<span class="wa-scan-count"></span></button>
         <button class="wa-browser-btn wa-ruler" title="${t('webapp.ruler.title')} (R)">${ICON_RULER}<span class="wa-ruler-count"></span></button>
         <button class="wa-browser-btn wa-inspect" title="${t('webapp.inspect')} (I)">${ICON_INSPECT}<span class="wa-inspect-count"></span></button>
@@ -1010,6 +1140,7 @@ async function renderPreviewView(wrapper, projectIndex, project, deps) {
         <button class="wa-browser-btn wa-open-ext" title="${t('webapp.openBrowser')}">${ICON_OPEN}</button>
       </div>
       <div class="wa-scan-filters"></div>
+      <div class="wa-browser-errors"></div>
       <div class="wa-browser-viewport">
         <div class="wa-responsive-frame">
           <webview class="webapp-preview-webview" src="${url}" disableblinkfeatures="Auxclick"></webview>
@@ -1022,11 +1153,20 @@ async function renderPreviewView(wrapper, projectIndex, project, deps) {
 
   // Store project & deps on previewView for inspect handlers
   previewView._project = project;
+  previewView._projectIndex = projectIndex;
   previewView._deps = deps;
 
   const webview = previewView.querySelector('.webapp-preview-webview');
   wireWebviewEvents(previewView, webview);
 
+  const errorsBtn = previewView.querySelector('.wa-errors');
+  errorsBtn.onclick = () => {
+    const open = previewView.querySelector('.wa-browser-errors').classList.toggle('visible');
+    errorsBtn.classList.toggle('active', open);
+    renderBrowserErrors(previewView);
+  };
+  renderBrowserErrors(previewView);
+
   // Inject key listener immediately (webview may already be loaded)
   try { webview.executeJavaScript(KEY_LISTEN_SCRIPT); } catch (e) {}
 
@@ -2126,6 +2266,20 @@ async function renderPreviewView(wrapper, projectIndex, project, deps) {
   previewView._updatePinViewportStyles = updatePinViewportStyles;
 }
 
+/** Mock servers started from API projects, so the frontend can be pointed at them */
+function getRunningApiMocks() {
+  try {
+    const { apiState } = require('../../api/renderer/ApiState');
+    const { projectsState } = require('../../../renderer/state');
+    const projects = projectsState.get().projects;
+    return [...apiState.get().apiMocks.entries()]
+      .filter(([, mock]) => mock.status === 'running' && mock.port)
+      .map(([index, mock]) => ({ name: projects[index]?.name || 'API', url: `http://127.0.0.1:${parseInt(mock.port, 10)}` }));
+  } catch (e) {
+    return [];
+  }
+}
+
 async function renderInfoView(wrapper, projectIndex, project, deps) {
   const { t } = deps;
   const server = getWebAppServer(projectIndex);
@@ -2199,8 +2353,18 @@ async function renderInfoView(wrapper, projectIndex, project, deps) {
           </div>
           <div class="wa-info-tile-arrow">${ICON_OPEN}</div>
         </div>` : ''}
+        ${getRunningApiMocks().map(mock => `
+        <div class="wa-info-tile wa-info-tile-link webapp-copy-mock-url" data-url="${mock.url}" role="button" tabindex="0" title="${t('webapp.apiMockCopy')}">
+          <div class="wa-info-tile-icon">${ICON_PORT}</div>
+          <div class="wa-info-tile-body">
+            <div class="wa-info-tile-label">${t('webapp.apiMockLabel', { name: escapeHtml(mock.name) })}</div>
+            <div class="wa-info-tile-val wa-mono">${mock.url}</div>
+          </div>
+        </div>`).join('')}
       </div>
 
+      <div class="wa-ws"></div>
+
     </div>
   `;
 
@@ -2212,6 +2376,17 @@ async function renderInfoView(wrapper, projectIndex, project, deps) {
     };
   });
 
+  infoView.querySelectorAll('.webapp-copy-mock-url').forEach(el => {
+    el.style.cursor = 'pointer';
+    el.onclick = () => {
+      navigator.clipboard.writeText(el.dataset.url);
+      const { showSuccess } = require('../../../renderer/ui/components/Toast');
+      showSuccess(t('webapp.apiMockCopied'));
+    };
+  });
+
+  renderWorkspaceSection(infoView.querySelector('.wa-ws'), projectIndex);
+
   if (!port && server.status === 'running') {
     startPortPoll(wrapper, projectIndex, () => {
       renderInfoView(wrapper, projectIndex, project, deps);
@@ -2219,6 +2394,83 @@ async function renderInfoView(wrapper, projectIndex, project, deps) {
   }
 }
 
+// ── Workspace packages ─────────────────────────────────────────────
+
+const ICON_PLAY = `<svg viewBox="0 0 12 12" fill="currentColor" width="8" height="8"><path d="M3 1.8v8.4L10 6z"/></svg>`;
+const SCRIPT_ORDER = ['dev', 'start', 'serve', 'preview', 'build', 'test', 'lint'];
+
+function sortScripts(scripts) {
+  const rank = name => {
+    const i = SCRIPT_ORDER.indexOf(name);
+    return i === -1 ? SCRIPT_ORDER.length : i;
+  };
+  return [...scripts].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Packages of the project's workspace (monorepo), each script startable as a dev process.
+ * @param {HTMLElement} container - .wa-ws of the info view
+ * @param {number} projectIndex
+ * @param {boolean} [refresh] - rescan the workspace
+ */
+async function renderWorkspaceSection(container, projectIndex, refresh = false) {
+  const workspace = await loadWorkspace(projectIndex, refresh);
+  if (!container.isConnected) return;
+  if (!workspace || !workspace.packages.length) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const processes = getWebAppServer(projectIndex).processes || {};
+  const meta = [t('webapp.workspacePackages', { count: workspace.packages.length }), workspace.packageManager, workspace.toolLabel].filter(Boolean);
+
+  container.innerHTML = `
+    <div class="wa-ws-head">
+      <span class="wa-ws-title">${t('webapp.workspaceTitle')}</span>
+      <span class="wa-ws-meta">${escapeHtml(meta.join(' · '))}</span>
+      <button class="wa-browser-btn wa-ws-refresh" title="${t('webapp.workspaceRefresh')}">${ICON_RELOAD}</button>
+    </div>
+    <div class="wa-ws-list">
+      ${workspace.packages.map((pkg, i) => {
+        const scripts = sortScripts(Object.keys(pkg.scripts));
+        return `
+        <div class="wa-ws-pkg">
+          <div class="wa-ws-pkg-info">
+            <span class="wa-ws-pkg-name">${escapeHtml(pkg.name || pkg.path)}</span>
+            ${pkg.framework ? `<span class="wa-ws-pkg-fw">${escapeHtml(pkg.framework.name)}</span>` : ''}
+            <span class="wa-ws-pkg-path">${escapeHtml(pkg.path)}</span>
+          </div>
+          <div class="wa-ws-scripts">
+            ${scripts.length ? scripts.map(script => {
+              const running = processes[pkg.run[script].id]?.status === 'running';
+              return `<button class="wa-ws-script${running ? ' is-running' : ''}" data-pkg="${i}" data-script="${escapeHtml(script)}" title="${escapeHtml(pkg.run[script].command)}">${ICON_PLAY}<span>${escapeHtml(script)}</span></button>`;
+            }).join('') : `<span class="wa-ws-empty">${t('webapp.workspaceNoScripts')}</span>`}
+          </div>
+        </div>`;
+      }).join('')}
+    </div>
+  `;
+
+  container.querySelector('.wa-ws-refresh').onclick = () => renderWorkspaceSection(container, projectIndex, true);
+
+  container.querySelectorAll('.wa-ws-script').forEach(btn => {
+    btn.onclick = async () => {
+      const pkg = workspace.packages[Number(btn.dataset.pkg)];
+      const def = pkg && pkg.run[btn.dataset.script];
+      if (!def) return;
+      btn.disabled = true;
+      const result = await runWorkspaceScript(projectIndex, def, workspace.defaultCommand);
+      btn.disabled = false;
+      if (result.success) {
+        btn.classList.add('is-running');
+      } else {
+        const { showError } = require('../../../renderer/ui/components/Toast');
+        showError(`${t('webapp.startFailed')}: ${result.error}`);
+      }
+    };
+  });
+}
+
 // ── Send All Feedback ──────────────────────────────────────────────
 
 function sendAllFeedback(previewView, annotations, deps) {
@@ -2344,6 +2596,8 @@ function escapeAttr(str) {
 
 function cleanup(wrapper) {
   clearPollTimer(wrapper);
+  const processStrip = wrapper.querySelector('.wa-process-strip');
+  if (processStrip) ProcessStrip.cleanup(processStrip);
   if (wrapper._waPipInterval) clearInterval(wrapper._waPipInterval);
   if (wrapper._waClassObserver) {
     wrapper._waClassObserver.disconnect();
@@ -71,9 +71,17 @@ async function initialize() {
   // Register WebApp listeners
   const { registerWebAppListeners } = require('../project-types/webapp/renderer/WebAppRendererService');
   registerWebAppListeners(
-    (projectIndex, data) => {},
+    // onData callback - output of the selected process(es)
+    (projectIndex, text) => {
+      ui.TerminalManager.writeTypeConsole(projectIndex, 'webapp', text);
+    },
     (projectIndex, code) => {
       // WebApp dev server stopped - re-render sidebar
+    },
+    // onError callback - error printed by one of the dev processes
+    (projectIndex, error) => {
+      ui.TerminalManager.handleTypeConsoleError(projectIndex, error);
+      ui.TerminalManager.showTypeErrorOverlay(projectIndex, error);
     }
   );
 
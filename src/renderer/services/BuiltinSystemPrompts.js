@@ -51,13 +51,28 @@ This is a **web application project**. Claude Terminal provides dedicated tools
 
 ### Stack & Scripts
 - \`webapp_stack\` — Detect the full tech stack: framework (React/Vue/Next.js/Vite…), bundler, CSS solution, test runner, linter, package manager, TypeScript, Node version
-- \`webapp_scripts\` — List all npm/yarn/pnpm scripts available (dev, build, test, lint…)
+- \`webapp_scripts\` — List all npm/yarn/pnpm scripts available (dev, build, test, lint…), and in a monorepo every workspace package with its filtered commands
 
 ### Dev Server
-- \`webapp_start\` — Start the dev server (uses configured command or auto-detects from package.json)
+- \`webapp_start\` — Start the dev server (uses configured command or auto-detects from package.json), or one script of a workspace package with \`package\` / \`script\`
 - \`webapp_stop\` — Stop the running dev server
 
-Always call \`webapp_stack\` first when asked about the project's technology or setup. Use \`webapp_scripts\` to know the exact commands before suggesting \`npm run ...\` or equivalent. Prefer \`webapp_start\` / \`webapp_stop\` over running shell commands to manage the dev server.
+### Browser
+- \`webapp_browser_errors\` — Recent errors of the app preview: uncaught exceptions, console errors, failed network requests, reloads after HMR failures
+
+Always call \`webapp_stack\` first when asked about the project's technology or setup. Use \`webapp_scripts\` to know the exact commands before suggesting \`npm run ...\` or equivalent. Prefer \`webapp_start\` / \`webapp_stop\` over running shell commands to manage the dev server. When fixing a bug visible in the page, check \`webapp_browser_errors\` before and after the change.
+`.trim();
+
+const API_APPEND = `
+## API Project Context
+
+This is an **API project**. Requests saved in the API tester (Collections tab) can carry assertions: status code, JSON path values, headers, a response time budget and the JSON Schema of the route (from the project's OpenAPI spec).
+
+### Contract Tests
+- \`api_collections\` — List saved collections, their requests, assertions, chained values and environments
+- \`api_run_tests\` — Run a collection (or one saved request) in order against the running server and get a pass/fail report
+
+After editing an endpoint, run \`api_run_tests\` on the collections that cover it and fix what fails before reporting the change as done. Values extracted from a response (e.g. a login token) are passed to the next requests as \`{{name}}\`, so run whole collections rather than isolated requests when they depend on each other.
 `.trim();
 
 const FIVEM_APPEND = `
@@ -70,6 +85,7 @@ This is a **FiveM project** (cfx.re framework — GTA V multiplayer server). Cla
 - \`fivem_read_manifest\` — Read and parse a resource's fxmanifest.lua (fx_version, scripts, dependencies)
 - \`fivem_resource_files\` — List files inside a resource directory (client/, server/, shared/ scripts)
 - \`fivem_server_cfg\` — Read and analyze server.cfg (ensured resources, hostname, tags, raw content)
+- \`fivem_lint\` — Check resources: missing script/files entries, unknown fx_version, undeclared dependencies used through exports or @resource/ imports, dependency cycles, server.cfg ensure order
 
 ### Server Control
 - \`fivem_start\` — Start the FiveM server for this project
@@ -91,12 +107,13 @@ This is a **FiveM project** (cfx.re framework — GTA V multiplayer server). Cla
 - Avoid tight loops — minimum 1000ms for non-critical Citizen.CreateThread loops
 - Use \`fivem_list_resources\` before editing a resource to confirm it exists and is ensured
 - Use \`fivem_ensure\` after modifying a resource to restart it — never do a full server restart for a single resource change
+- Run \`fivem_lint\` on a resource after creating or editing it, and fix its errors before ensuring it
 `.trim();
 
 /**
  * Returns the built-in system prompt for a given project type.
  * Always includes the global Claude Terminal context.
- * @param {string} projectType - e.g. 'fivem', 'webapp', 'general'
+ * @param {string} projectType - e.g. 'fivem', 'webapp', 'api', 'general'
  * @returns {{ type: 'preset', preset: 'claude_code', append: string }}
  */
 function getBuiltinSystemPrompt(projectType) {
@@ -106,6 +123,10 @@ function getBuiltinSystemPrompt(projectType) {
     append += '\n\n' + WEBAPP_APPEND;
   }
 
+  if (projectType === 'api') {
+    append += '\n\n' + API_APPEND;
+  }
+
   if (projectType === 'fivem') {
     append += '\n\n' + FIVEM_APPEND;
   }
@@ -1497,6 +1497,14 @@ function renderDashboardHtml(container, project, data, options, isRefreshing = f
     navigator.clipboard.writeText(project.path);
     if (onCopyPath) onCopyPath(project.path);
   });
+
+  // Project type buttons in the quick stats
+  typeHandler.bindDashboardEvents(container, {
+    projectIndex: projectsState.get().projects.findIndex(p => p.id === project.id),
+    project,
+    t,
+    rerender: () => renderDashboard(container, project, options)
+  });
 }
 
 /**
@@ -35,6 +35,7 @@ const MAX_HISTORY = 50;
 const STATUS_COLORS = {
   running: '#f59e0b', success: '#22c55e',
   failed: '#ef4444',  skipped: '#6b7280',
+  paused: '#3b82f6',
 };
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
@@ -52,7 +53,7 @@ function hexToRgba(hex, a) {
 }
 
 // Module-level constant — avoids re-creating a Set on every _drawNode call
-const UNTESTABLE_NODE_TYPES = new Set(['trigger', 'loop', 'condition', 'switch', 'subworkflow', 'wait', 'get_variable']);
+const UNTESTABLE_NODE_TYPES = new Set(['trigger', 'loop', 'condition', 'switch', 'join', 'subworkflow', 'wait', 'get_variable']);
 
 function roundRect(ctx, x, y, w, h, r) {
   ctx.beginPath();
@@ -264,7 +265,7 @@ const NODE_TYPES = {
     title: 'Loop', desc: 'Itérer sur une liste',
     inputs: [{ name: 'In', type: 'exec' }, { name: 'items', type: 'array' }],
     outputs: addDataOutputDefs([{ name: 'Each', type: 'exec' }, { name: 'Done', type: 'exec' }], 'loop'),
-    props: { source: 'auto', items: '', mode: 'sequential', maxIterations: '', _itemSchema: [] },
+    props: { source: 'auto', items: '', mode: 'sequential', maxIterations: '', concurrency: '10', _itemSchema: [] },
     widgets: [
       { type: 'combo', name: 'Source', key: 'source', values: ['auto', 'projects', 'files', 'custom'] },
       { type: 'text', name: 'Items', key: 'items' },
@@ -369,6 +370,22 @@ const NODE_TYPES = {
     width: 220, dynamic: 'switch',
     badge: (n) => (n.properties.variable || '$var').slice(0, 14),
   },
+  'workflow/join': {
+    title: 'Join', desc: 'Attendre des branches parallèles',
+    inputs: [{ name: 'branch1', type: 'exec' }, { name: 'branch2', type: 'exec' }], // rebuilt dynamically
+    outputs: addDataOutputDefs([{ name: 'Done', type: 'exec' }, { name: 'Error', type: 'exec' }], 'join'),
+    props: { branches: 'branch1,branch2', mode: 'all', quorum: '2', concurrency: '' },
+    widgets: [
+      { type: 'combo', name: 'Mode', key: 'mode', values: ['all', 'any', 'quorum'] },
+      { type: 'text', name: 'Branches', key: 'branches' },
+    ],
+    width: 220, dynamic: 'join',
+    badge: (n) => {
+      const count = (n.properties.branches || '').split(',').filter(b => b.trim()).length;
+      return n.properties.mode === 'quorum' ? `${Math.min(parseInt(n.properties.quorum, 10) || 1, count)}/${count}` : (n.properties.mode || 'all').toUpperCase();
+    },
+    badgeColor: (n) => n.properties.mode === 'all' ? null : '#f59e0b',
+  },
   'workflow/get_variable': {
     title: 'Get Variable', desc: 'Lire une variable (pure)',
     inputs: [],
@@ -583,6 +600,8 @@ class WorkflowGraphEngine {
         this._rebuildTimeOutputs(node);
       } else if (def.dynamic === 'variable') {
         this._rebuildVariablePins(node);
+      } else if (def.dynamic === 'join') {
+        this._rebuildJoinInputs(node);
       }
     }
 
@@ -610,6 +629,17 @@ class WorkflowGraphEngine {
     node.size[1] = computeNodeHeight(node);
   }
 
+  /** One exec input per branch name — links follow slot indexes, so kept branches keep their link. */
+  _rebuildJoinInputs(node) {
+    const names = (node.properties.branches || '').split(',').map(b => b.trim()).filter(Boolean);
+    if (!names.length) names.push('branch1');
+    for (let i = names.length; i < node.inputs.length; i++) {
+      if (node.inputs[i].link != null) this._removeLink(node.inputs[i].link);
+    }
+    node.inputs = names.map((name, i) => ({ name, type: 'exec', link: node.inputs[i]?.link ?? null }));
+    node.size[1] = computeNodeHeight(node);
+  }
+
   _rebuildTimeOutputs(node) {
     const action = node.properties.action || 'get_today';
     const needsProjectInput = action === 'get_project' || action === 'get_sessions';
@@ -682,6 +712,28 @@ class WorkflowGraphEngine {
       ];
     }
 
+    if (node.properties._errorBranch && action !== 'get') this.setErrorOutput(node, true);
+
+    node.size[1] = computeNodeHeight(node);
+    this._markDirty();
+  }
+
+  /**
+   * Add or remove the opt-in "Error" exec output on nodes that don't have a native one.
+   * The runner routes failures (after retries) to the last output named "Error".
+   */
+  setErrorOutput(node, enabled) {
+    const idx = node.outputs.findIndex(o => o.name === 'Error' && o.type === 'exec');
+    if (enabled) {
+      node.properties._errorBranch = true;
+      if (idx < 0) node.outputs.push({ name: 'Error', type: 'exec', links: [] });
+    } else {
+      delete node.properties._errorBranch;
+      if (idx >= 0) {
+        for (const lid of [...node.outputs[idx].links]) this._removeLink(lid);
+        node.outputs.splice(idx, 1);
+      }
+    }
     node.size[1] = computeNodeHeight(node);
     this._markDirty();
   }
@@ -1297,6 +1349,21 @@ class WorkflowGraphEngine {
     }
   }
 
+  /** Toggle the debugger breakpoint on a node (saved as `_breakpoint`). */
+  toggleBreakpoint(node) {
+    if (!node || node.type === 'workflow/trigger') return;
+    if (node.properties._breakpoint) delete node.properties._breakpoint;
+    else node.properties._breakpoint = true;
+    this._markDirty();
+    this._notifyChanged();
+    this.pushSnapshot();
+    if (this.onBreakpointsChanged) this.onBreakpointsChanged(this.getBreakpoints());
+  }
+
+  getBreakpoints() {
+    return this._nodes.filter(n => n.properties?._breakpoint).map(n => n.id);
+  }
+
   clearAllStatuses() {
     for (const n of this._nodes) {
       if (n._runStatus === 'running') this._animatingCount--;
@@ -1756,6 +1823,27 @@ class WorkflowGraphEngine {
       ctx.fillRect(x, y + TITLE_H, 2.5, h);
     }
 
+    // Debugger breakpoint (left of the title bar)
+    if (node.properties?._breakpoint) {
+      ctx.save();
+      ctx.fillStyle = '#ef4444';
+      ctx.strokeStyle = '#0d0d0d';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(x - 9, y + TITLE_H * 0.5, 5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Paused by the debugger — steady outline in the paused color
+    if (node._runStatus === 'paused') {
+      ctx.strokeStyle = STATUS_COLORS.paused;
+      ctx.lineWidth = 2;
+      roundRect(ctx, x - 1.5, y - 1.5, w + 3, TITLE_H + h + 3, r + 1);
+      ctx.stroke();
+    }
+
     // Selection outline
     if (node.is_selected) {
       ctx.strokeStyle = hexToRgba(c.accent, 0.35);
@@ -2479,6 +2567,9 @@ class WorkflowGraphEngine {
     } else if (e.key === 'd' && (e.ctrlKey || e.metaKey)) {
       e.preventDefault();
       this.duplicateSelected();
+    } else if (e.key === 'F9') {
+      e.preventDefault();
+      for (const id of this._selectedNodes) this.toggleBreakpoint(this._getNodeById(id));
     }
   }
 
@@ -2530,6 +2621,9 @@ class WorkflowGraphEngine {
         if (node.type === 'workflow/switch' && widget.key === 'cases') {
           this._rebuildSwitchOutputs(node);
         }
+        if (node.type === 'workflow/join' && widget.key === 'branches') {
+          this._rebuildJoinInputs(node);
+        }
         if (node.type === 'workflow/variable' && widget.key === 'action') {
           this._rebuildVariablePins(node);
         }
@@ -2587,6 +2681,9 @@ class WorkflowGraphEngine {
         if (node.type === 'workflow/switch' && widget.key === 'cases') {
           this._rebuildSwitchOutputs(node);
         }
+        if (node.type === 'workflow/join' && widget.key === 'branches') {
+          this._rebuildJoinInputs(node);
+        }
         if (node.type === 'workflow/variable' && widget.key === 'action') {
           this._rebuildVariablePins(node);
         }
@@ -2650,6 +2747,7 @@ class WorkflowGraphEngine {
       }
       if (node.type === 'workflow/switch') this._rebuildSwitchOutputs(node);
       if (node.type === 'workflow/time') this._rebuildTimeOutputs(node);
+      if (node.type === 'workflow/join') this._rebuildJoinInputs(node);
       idMap.set(sn.id, node.id);
       newNodes.push(node);
     }
@@ -2689,6 +2787,11 @@ class WorkflowGraphEngine {
         this._selectNode(node, false);
         this.duplicateSelected();
       }});
+      if (node.type !== 'workflow/trigger') {
+        items.push({ label: node.properties._breakpoint ? 'Remove Breakpoint (F9)' : 'Add Breakpoint (F9)', icon: '●', action: () => {
+          this.toggleBreakpoint(node);
+        }});
+      }
       items.push({ label: 'Disconnect All', icon: '⊘', action: () => {
         for (const inp of node.inputs) { if (inp.link != null) this._removeLink(inp.link); }
         for (const out of node.outputs) { for (const lid of [...out.links]) this._removeLink(lid); }
@@ -3182,6 +3285,7 @@ class WorkflowGraphEngine {
       get node_dragged() { return engine._dragging?.type === 'node'; },
       _rebuildSwitchOutputs(node) { engine._rebuildSwitchOutputs(node); },
       _rebuildTimeOutputs(node) { engine._rebuildTimeOutputs(node); },
+      _rebuildJoinInputs(node) { engine._rebuildJoinInputs(node); },
     };
   }
 }
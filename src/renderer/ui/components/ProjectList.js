@@ -959,7 +959,10 @@ function attachListeners(list) {
     ...callbacks,
     onStartFivem: (projectId) => { if (callbacks.onStartFivem) callbacks.onStartFivem(getProjectIndex(projectId)); },
     onStopFivem: (projectId) => { if (callbacks.onStopFivem) callbacks.onStopFivem(getProjectIndex(projectId)); },
-    onOpenFivemConsole: (projectId) => { if (callbacks.onOpenFivemConsole) callbacks.onOpenFivemConsole(getProjectIndex(projectId)); }
+    onOpenFivemConsole: (projectId) => { if (callbacks.onOpenFivemConsole) callbacks.onOpenFivemConsole(getProjectIndex(projectId)); },
+    onStartMinecraft: (projectId) => { if (callbacks.onStartMinecraft) callbacks.onStartMinecraft(getProjectIndex(projectId)); },
+    onStopMinecraft: (projectId) => { if (callbacks.onStopMinecraft) callbacks.onStopMinecraft(getProjectIndex(projectId)); },
+    onOpenMinecraftConsole: (projectId) => { if (callbacks.onOpenMinecraftConsole) callbacks.onOpenMinecraftConsole(getProjectIndex(projectId)); }
   };
   registry.getAll().forEach(typeHandler => {
     typeHandler.bindSidebarEvents(list, typeCallbacks);
@@ -1720,9 +1720,9 @@ function getTypePanelDeps(consoleId, projectIndex) {
       }
       return null;
     },
-    buildDebugPrompt: (error) => {
+    buildFixPrompt: async (project, error) => {
       try {
-        return require('../../../project-types/fivem/renderer/FivemConsoleManager').buildDebugPrompt(error, t);
+        return await require('../../../project-types/fivem/renderer/FivemConsoleManager').buildFixPrompt(project, error, t);
       } catch (e) { return ''; }
     }
   };
@@ -43,6 +43,7 @@ const NODE_OUTPUTS = {
   loop:      ['items', 'count'],
   transform: ['result'],
   switch:    ['matchedCase'],
+  join:      ['results', 'completed', 'failed', 'cancelled', 'errors', 'success'],
   subworkflow: ['outputs', 'status'],
 };
 // Output field types for richer autocomplete display
@@ -62,6 +63,7 @@ const NODE_OUTPUT_TYPES = {
   loop:      { items: 'array', count: 'number' },
   transform: { result: 'any' },
   switch:    { matchedCase: 'string' },
+  join:      { results: 'object', completed: 'array', failed: 'array', cancelled: 'array', errors: 'object', success: 'boolean' },
   subworkflow: { outputs: 'object', status: 'string' },
 };
 
@@ -105,6 +107,7 @@ function svgCopy(s = 12) { return `<svg width="${s}" height="${s}" viewBox="0 0
 function svgTransform(s = 11) { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 3v18"/><path d="m8 7-4 4 4 4"/><path d="m16 7 4 4-4 4"/></svg>`; }
 function svgGetVar(s = 11) { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"/><path d="M12 2v4"/><path d="M12 18v4"/><path d="m4.93 4.93 2.83 2.83"/><path d="m16.24 16.24 2.83 2.83"/><path d="M2 12h4"/><path d="M18 12h4"/></svg>`; }
 function svgSwitch(s = 11) { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 3h5v5"/><path d="M8 3H3v5"/><path d="M12 22v-8.3a4 4 0 0 0-1.172-2.872L3 3"/><path d="m15 9 6-6"/><path d="M21 22v-5l-9-9"/></svg>`; }
+function svgJoin(s = 11) { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 4h4a5 5 0 0 1 5 5v6"/><path d="M3 20h4a5 5 0 0 0 5-5"/><path d="M12 12h9"/><path d="m17 8 4 4-4 4"/></svg>`; }
 function svgSubworkflow(s = 11) { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="7" width="6" height="6" rx="1"/><rect x="16" y="7" width="6" height="6" rx="1"/><path d="M8 10h8"/><path d="M12 3v4"/><path d="M12 17v4"/></svg>`; }
 function svgTeal(s = 11) { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 12h20"/><path d="M6 8l-4 4 4 4"/><path d="M18 8l4 4-4 4"/></svg>`; }
 
@@ -171,6 +174,7 @@ const STEP_TYPES = [
   { type: 'condition',   label: 'Condition',    color: 'success', icon: svgCond(),         desc: 'workflow.nodeDesc.condition',  category: 'flow' },
   { type: 'loop',        label: 'Loop',         color: 'sky',     icon: svgLoop(),         desc: 'workflow.nodeDesc.loop',       category: 'flow' },
   { type: 'switch',      label: 'Switch',       color: 'pink',    icon: svgSwitch(),       desc: 'workflow.nodeDesc.switch',     category: 'flow' },
+  { type: 'join',        label: 'Join',         color: 'sky',     icon: svgJoin(),         desc: 'workflow.nodeDesc.join',       category: 'flow' },
   { type: 'subworkflow', label: 'Sub-workflow', color: 'purple',  icon: svgSubworkflow(),  desc: 'workflow.nodeDesc.subworkflow',category: 'flow' },
   { type: 'wait',        label: 'Wait',         color: 'muted',   icon: svgWait(),         desc: 'workflow.nodeDesc.wait',       category: 'flow' },
   { type: 'log',         label: 'Log',          color: 'slate',   icon: svgLog(),          desc: 'workflow.nodeDesc.log',        category: 'flow' },
@@ -224,6 +228,8 @@ const TRIGGER_CONFIG = {
   on_workflow: { label: 'Workflow',   desc: 'Enchaîné à un autre',      icon: svgChain(),  color: 'purple',  fields: [{ id: 'triggerValue', label: 'Nom du workflow source', placeholder: 'Daily Code Review', mono: false }] },
   manual:      { label: 'Manuel',     desc: 'Déclenché à la demande',   icon: svgPlay(),   color: 'success', fields: [] },
   webhook:     { label: 'Webhook',    desc: 'HTTP POST externe',         icon: svgHttp(),   color: 'info',    fields: [] },
+  file_watch:  { label: 'Fichiers',   desc: 'Réagit aux changements',   icon: svgFile(),   color: 'warning', fields: [{ id: 'triggerValue', label: 'Globs surveillés', placeholder: 'prisma/schema.prisma', mono: true }] },
+  git:         { label: 'Git',        desc: 'Commit, branche, pull',    icon: svgGit(),    color: 'accent',  fields: [{ id: 'triggerValue', label: 'Événement', placeholder: 'commit', mono: true }] },
 };
 
 // ── Cron picker ─────────────────────────────────────────────────────────────
@@ -446,6 +452,10 @@ function statusLabel(s) { return { success: 'Succès', failed: 'Échec', running
 
 // ── Autocomplete ────────────────────────────────────────────────────────────
 
+/** Vault secret names (never values), refreshed by WorkflowSecretsPanel */
+let secretNames = [];
+function setSecretNames(names) { secretNames = names || []; }
+
 function getAutocompleteSuggestions(graph, currentNodeId, filterText) {
   const suggestions = [];
   const filter = (filterText || '').toLowerCase();
@@ -467,6 +477,10 @@ function getAutocompleteSuggestions(graph, currentNodeId, filterText) {
   for (const v of loopVars) {
     if (v.value.toLowerCase().includes(filter)) suggestions.push({ category: 'Loop', label: v.value, value: v.value, detail: v.detail, type: v.type });
   }
+  for (const name of secretNames) {
+    const full = `$secret.${name}`;
+    if (full.toLowerCase().includes(filter)) suggestions.push({ category: 'Secrets', label: full, value: full, detail: 'Secret (masqué dans les logs)', type: 'string' });
+  }
   if (graph && graph._nodes) {
     for (const node of graph._nodes) {
       if (node.id === currentNodeId) continue;
@@ -819,9 +833,9 @@ module.exports = {
   svgEmpty, svgRuns, svgClaude, svgPrompt, svgSkill, svgProject, svgFile, svgDb,
   svgLoop, svgVariable, svgLog, svgTriggerType, svgLink, svgMode, svgEdit,
   svgBranch, svgCode, svgTrash, svgCopy, svgTransform, svgGetVar, svgSwitch,
-  svgSubworkflow, svgTeal,
+  svgSubworkflow, svgJoin, svgTeal,
   // Autocomplete & Schema
-  getAutocompleteSuggestions, getDeepAutocompleteSuggestions,
+  getAutocompleteSuggestions, getDeepAutocompleteSuggestions, setSecretNames,
   extractTableFromSQL, findUpstreamDbNode, getLoopPreview: null, // placeholder
   initSmartSQL: null, // placeholder
   // DOM helpers
@@ -0,0 +1,240 @@
+/**
+ * WorkflowHistoryPanel
+ * Revision history of a workflow definition — rendered as a modal overlay.
+ * Lists saved revisions (UI, MCP, marketplace, file import, restore), shows a diff of
+ * settings / nodes / connections / properties, and restores a revision.
+ */
+
+'use strict';
+
+const { escapeHtml } = require('../../utils');
+const { t } = require('../../i18n');
+const { showConfirm } = require('../components/Modal');
+const { showError } = require('../components/Toast');
+const { diffWorkflows, summarizeDiff, nodeTitle } = require('../../../shared/workflow-diff');
+const { fmtTime, svgX } = require('./WorkflowHelpers');
+
+const api = window.electron_api?.workflow;
+
+const SOURCE_LABELS = {
+  ui: 'workflow.historySourceUi',
+  mcp: 'workflow.historySourceMcp',
+  marketplace: 'workflow.historySourceMarketplace',
+  import: 'workflow.historySourceImport',
+  restore: 'workflow.historySourceRestore',
+  baseline: 'workflow.historySourceBaseline',
+};
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Open the history modal for a workflow.
+ * @param {string} workflowId
+ * @param {Object} [opts]
+ * @param {Function} [opts.onRestored] - called with the restored workflow
+ */
+async function open(workflowId, { onRestored } = {}) {
+  if (!api || !workflowId) return;
+  const [revRes, wfRes] = await Promise.all([api.getRevisions(workflowId), api.get(workflowId)]);
+  if (!wfRes?.success) { showError(wfRes?.error || t('workflow.historyLoadFailed')); return; }
+
+  const st = {
+    workflow: wfRes.workflow,
+    revisions: revRes?.revisions || [],
+    selected: 0,
+    mode: 'previous', // 'previous' — what this revision changed | 'current' — what restoring it would change
+  };
+
+  const overlay = document.createElement('div');
+  overlay.className = 'wf-overlay';
+  overlay.innerHTML = `
+    <div class="wf-modal wf-modal--history">
+      <div class="wf-modal-hd">
+        <div class="wf-modal-hd-left">
+          <span class="wf-modal-title">${t('workflow.historyTitle', { name: escapeHtml(st.workflow.name || '') })}</span>
+        </div>
+        <button class="wf-modal-x" id="wf-hist-close">${svgX(12)}</button>
+      </div>
+      <div class="wf-hist">
+        <div class="wf-hist-list" id="wf-hist-list"></div>
+        <div class="wf-hist-detail" id="wf-hist-detail"></div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const close = () => overlay.remove();
+  overlay.querySelector('#wf-hist-close').addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+  const render = () => {
+    _renderList(overlay.querySelector('#wf-hist-list'), st);
+    _renderDetail(overlay.querySelector('#wf-hist-detail'), st);
+  };
+
+  overlay.querySelector('#wf-hist-list').addEventListener('click', e => {
+    const item = e.target.closest('.wf-hist-item');
+    if (!item) return;
+    st.selected = parseInt(item.dataset.index, 10);
+    render();
+  });
+
+  overlay.querySelector('#wf-hist-detail').addEventListener('click', async e => {
+    const modeBtn = e.target.closest('[data-hist-mode]');
+    if (modeBtn) {
+      st.mode = modeBtn.dataset.histMode;
+      render();
+      return;
+    }
+    if (e.target.closest('#wf-hist-restore')) {
+      const revision = st.revisions[st.selected];
+      const confirmed = await showConfirm({
+        title: t('workflow.historyRestore'),
+        message: t('workflow.historyRestoreConfirm', { date: new Date(revision.createdAt).toLocaleString() }),
+        confirmLabel: t('workflow.historyRestore'),
+      });
+      if (!confirmed) return;
+      const res = await api.restoreRevision(workflowId, revision.id);
+      if (!res?.success) { showError(res?.error || t('workflow.historyRestoreFailed')); return; }
+      close();
+      onRestored?.(res.workflow);
+    }
+  });
+
+  render();
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+function _diffFor(st, index) {
+  const revision = st.revisions[index];
+  if (st.mode === 'current') return diffWorkflows(st.workflow, revision.workflow);
+  return diffWorkflows(st.revisions[index + 1]?.workflow || null, revision.workflow);
+}
+
+function _summaryHtml(summary) {
+  if (!summary.total) return `<span class="wf-hist-sum wf-hist-sum--none">${t('workflow.historyNoChanges')}</span>`;
+  return [
+    summary.added ? `<span class="wf-hist-sum wf-hist-sum--add">+${summary.added}</span>` : '',
+    summary.removed ? `<span class="wf-hist-sum wf-hist-sum--del">−${summary.removed}</span>` : '',
+    summary.changed ? `<span class="wf-hist-sum wf-hist-sum--mod">~${summary.changed}</span>` : '',
+  ].join('');
+}
+
+function _renderList(el, st) {
+  if (!st.revisions.length) {
+    el.innerHTML = `<div class="wf-hist-empty">${t('workflow.historyEmpty')}</div>`;
+    return;
+  }
+  el.innerHTML = st.revisions.map((rev, i) => {
+    const summary = summarizeDiff(diffWorkflows(st.revisions[i + 1]?.workflow || null, rev.workflow));
+    return `
+      <button class="wf-hist-item ${i === st.selected ? 'active' : ''}" data-index="${i}">
+        <div class="wf-hist-item-top">
+          <span class="wf-hist-src wf-hist-src--${escapeHtml(rev.source)}">${t(SOURCE_LABELS[rev.source] || SOURCE_LABELS.ui)}</span>
+          ${i === 0 ? `<span class="wf-hist-current">${t('workflow.historyCurrent')}</span>` : ''}
+          <span class="wf-hist-time" title="${escapeHtml(new Date(rev.createdAt).toLocaleString())}">${fmtTime(rev.createdAt)}</span>
+        </div>
+        <div class="wf-hist-item-meta">
+          ${rev.author ? `<span class="wf-hist-author">${escapeHtml(rev.author)}</span>` : ''}
+          ${rev.note && rev.source === 'mcp' ? `<code class="wf-hist-note">${escapeHtml(rev.note)}</code>` : ''}
+          <span class="wf-hist-sums">${i === st.revisions.length - 1 ? '' : _summaryHtml(summary)}</span>
+        </div>
+      </button>
+    `;
+  }).join('');
+}
+
+function _renderDetail(el, st) {
+  const revision = st.revisions[st.selected];
+  if (!revision) { el.innerHTML = ''; return; }
+
+  const isLatest = st.selected === 0;
+  const diff = _diffFor(st, st.selected);
+  const summary = summarizeDiff(diff);
+  const isInitial = st.mode === 'previous' && !st.revisions[st.selected + 1];
+
+  el.innerHTML = `
+    <div class="wf-hist-detail-hd">
+      <div class="wf-hist-modes">
+        <button class="wf-hist-mode ${st.mode === 'previous' ? 'active' : ''}" data-hist-mode="previous">${t('workflow.historyModePrevious')}</button>
+        <button class="wf-hist-mode ${st.mode === 'current' ? 'active' : ''}" data-hist-mode="current">${t('workflow.historyModeCurrent')}</button>
+      </div>
+      <button class="wf-btn-primary wf-btn-sm" id="wf-hist-restore" ${isLatest ? 'disabled' : ''}>${t('workflow.historyRestore')}</button>
+    </div>
+    <div class="wf-hist-diff">
+      ${isInitial ? `<div class="wf-hist-hint">${t('workflow.historyInitial')}</div>` : ''}
+      ${summary.total || diff.nodes.changed.length ? _diffHtml(diff) : `<div class="wf-hist-empty">${t('workflow.historyNoChanges')}</div>`}
+    </div>
+  `;
+}
+
+function _fmtValue(value) {
+  if (value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 300 ? `${text.slice(0, 300)}…` : text;
+}
+
+function _changeRowHtml({ key, before, after }) {
+  return `
+    <div class="wf-hist-prop">
+      <code class="wf-hist-prop-key">${escapeHtml(key)}</code>
+      <span class="wf-hist-val wf-hist-val--del">${escapeHtml(_fmtValue(before))}</span>
+      <span class="wf-hist-arrow">→</span>
+      <span class="wf-hist-val wf-hist-val--add">${escapeHtml(_fmtValue(after))}</span>
+    </div>
+  `;
+}
+
+function _nodeLabel(node) {
+  return `${escapeHtml(nodeTitle(node))} <span class="wf-hist-node-id">#${node.id}</span>`;
+}
+
+function _linkLabel(link) {
+  return `${escapeHtml(link.fromTitle)} <span class="wf-hist-slot">${escapeHtml(link.fromSlot)}</span> → ${escapeHtml(link.toTitle)} <span class="wf-hist-slot">${escapeHtml(link.toSlot)}</span>`;
+}
+
+function _diffHtml(diff) {
+  const sections = [];
+
+  if (diff.meta.length) {
+    sections.push(`
+      <div class="wf-hist-sec">
+        <div class="wf-hist-sec-title">${t('workflow.historySettings')}</div>
+        ${diff.meta.map(_changeRowHtml).join('')}
+      </div>
+    `);
+  }
+
+  const { added, removed, changed } = diff.nodes;
+  if (added.length || removed.length || changed.length) {
+    sections.push(`
+      <div class="wf-hist-sec">
+        <div class="wf-hist-sec-title">${t('workflow.historyNodes')}</div>
+        ${added.map(n => `<div class="wf-hist-row wf-hist-row--add"><span class="wf-hist-sign">+</span>${_nodeLabel(n)}</div>`).join('')}
+        ${removed.map(n => `<div class="wf-hist-row wf-hist-row--del"><span class="wf-hist-sign">−</span>${_nodeLabel(n)}</div>`).join('')}
+        ${changed.map(c => `
+          <div class="wf-hist-row wf-hist-row--mod">
+            <span class="wf-hist-sign">~</span>${escapeHtml(c.title)} <span class="wf-hist-node-id">#${c.id}</span>
+            ${c.moved && !c.props.length ? `<span class="wf-hist-moved">${t('workflow.historyMoved')}</span>` : ''}
+          </div>
+          ${c.props.length ? `<div class="wf-hist-props">${c.props.map(_changeRowHtml).join('')}</div>` : ''}
+        `).join('')}
+      </div>
+    `);
+  }
+
+  if (diff.links.added.length || diff.links.removed.length) {
+    sections.push(`
+      <div class="wf-hist-sec">
+        <div class="wf-hist-sec-title">${t('workflow.historyConnections')}</div>
+        ${diff.links.added.map(l => `<div class="wf-hist-row wf-hist-row--add"><span class="wf-hist-sign">+</span>${_linkLabel(l)}</div>`).join('')}
+        ${diff.links.removed.map(l => `<div class="wf-hist-row wf-hist-row--del"><span class="wf-hist-sign">−</span>${_linkLabel(l)}</div>`).join('')}
+      </div>
+    `);
+  }
+
+  return sections.join('');
+}
+
+module.exports = { open };
@@ -481,7 +481,7 @@ async function _importWorkflow(item, btn) {
       ? { ...fullItem.workflowJson, id: `wf_${Date.now()}`, name: fullItem.workflowJson.name || item.name, enabled: true, _importedFrom: item.id }
       : { id: `wf_${Date.now()}`, name: item.name, enabled: true, trigger: { type: 'manual' }, scope: 'current', concurrency: 'skip', steps: [], _importedFrom: item.id };
 
-    const result = await _ctx.api.workflow.save({ workflow });
+    const result = await _ctx.api.workflow.save(workflow, { source: 'marketplace', author: item.author || null, note: item.id });
     if (!result?.success) throw new Error(result?.error || 'Échec');
 
     btn.innerHTML = `<svg width="11" height="11" viewBox="0 0 24 24" fill="currentColor"><path d="M9 12l2 2 4-4m6 2a9 9 0 1 1-18 0 9 9 0 0 1 18 0z"/></svg> Importé !`;
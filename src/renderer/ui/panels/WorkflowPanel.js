@@ -1,6 +1,8 @@
 const { escapeHtml } = require('../../utils');
 const { t } = require('../../i18n');
 const WorkflowMarketplace = require('./WorkflowMarketplacePanel');
+const WorkflowHistory = require('./WorkflowHistoryPanel');
+const WorkflowSecrets = require('./WorkflowSecretsPanel');
 const { getAgents } = require('../../services/AgentService');
 const { getSkills } = require('../../services/SkillService');
 const { getGraphService, resetGraphService } = require('../../services/WorkflowGraphEngine');
@@ -8,6 +10,7 @@ const { projectsState } = require('../../state/projects.state');
 const { schemaCache } = require('../../services/WorkflowSchemaCache');
 const { showContextMenu } = require('../components/ContextMenu');
 const { showConfirm } = require('../components/Modal');
+const { showError, showSuccess, showWarning } = require('../components/Toast');
 const { createChatView } = require('../components/ChatView');
 const nodeRegistry = require('../../services/NodeRegistry');
 const fieldRegistry = require('../../workflow-fields/_registry');
@@ -86,6 +89,7 @@ async function refreshData() {
     const [wfRes, runRes] = await Promise.all([
       api?.list(),
       api?.getRecentRuns(50),
+      WorkflowSecrets.refreshNames(), // $secret.* autocompletion
     ]);
     if (wfRes?.success) {
       state.workflows = wfRes.workflows;
@@ -110,11 +114,13 @@ function registerLiveListeners() {
     renderContent();
   });
 
-  api.onRunEnd(({ runId, status, duration }) => {
+  api.onRunEnd(({ runId, status, duration, resumable, failedStep }) => {
     const run = state.runs.find(r => r.id === runId);
     if (run) {
       run.status = status;
       run.duration = duration;
+      run.resumable = resumable;
+      run.failedStep = failedStep;
     }
     // Clear all agent logs for this run's steps
     for (const step of (run?.steps || [])) _agentLogs.delete(step.id);
@@ -128,13 +134,14 @@ function registerLiveListeners() {
 
   const _stepStartTimes = new Map(); // stepId → Date.now()
 
-  api.onStepUpdate(({ runId, stepId, status, output }) => {
+  api.onStepUpdate(({ runId, stepId, status, output, replayed }) => {
     const run = state.runs.find(r => r.id === runId);
     if (run) {
       const step = run.steps?.find(s => s.id === stepId);
       if (step) {
         step.status = status;
         if (output) step.output = output;
+        if (replayed) step.replayed = true;
       }
     }
 
@@ -459,16 +466,28 @@ function renderPanel() {
             Hub
           </button>
         </div>
-        <button class="wf-create-btn" id="wf-btn-new">
-          <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M12 5v14M5 12h14"/></svg>
-          Nouveau
-        </button>
+        <div class="wf-topbar-actions">
+          <button class="wf-import-btn" id="wf-btn-secrets" title="${t('workflow.secretsBtnTitle')}">
+            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="11" width="18" height="11" rx="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>
+            ${t('workflow.secrets')}
+          </button>
+          <button class="wf-import-btn" id="wf-btn-import" title="${t('workflow.importFileTitle')}">
+            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+            ${t('workflow.importFile')}
+          </button>
+          <button class="wf-create-btn" id="wf-btn-new">
+            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M12 5v14M5 12h14"/></svg>
+            Nouveau
+          </button>
+        </div>
       </div>
       <div class="wf-content" id="wf-content"></div>
     </div>
   `;
 
   el.querySelector('#wf-btn-new').addEventListener('click', () => openEditor());
+  el.querySelector('#wf-btn-import').addEventListener('click', () => importWorkflowFile());
+  el.querySelector('#wf-btn-secrets').addEventListener('click', () => WorkflowSecrets.open());
 
   // Hub tab opens modal instead of switching content
   el.querySelector('#wf-tab-hub').addEventListener('click', () => {
@@ -582,6 +601,8 @@ function renderWorkflowList(el) {
         { label: 'Modifier', icon: svgEdit(), onClick: () => openEditor(id) },
         { label: 'Lancer maintenant', icon: svgPlay(12), onClick: () => triggerWorkflow(id) },
         { label: 'Dupliquer', icon: svgCopy(), onClick: () => duplicateWorkflow(id) },
+        { label: t('workflow.exportFile'), icon: svgLink(), onClick: () => exportWorkflowFile(id) },
+        { label: t('workflow.history'), icon: svgClock(12), onClick: () => WorkflowHistory.open(id, { onRestored: () => refreshData().then(renderContent) }) },
         { separator: true },
         { label: 'Supprimer', icon: svgTrash(), danger: true, onClick: () => confirmDeleteWorkflow(id, wf.name) },
       ],
@@ -850,6 +871,8 @@ function renderRunDetailInCol(col, run) {
   state.viewingRunId = run.id;
   const wf = state.workflows.find(w => w.id === run.workflowId);
   const steps = run.steps || [];
+  // Graph runs keep a checkpoint: replay completed nodes and execute from a chosen one
+  const canResume = !!wf && run.resumable && run.status !== 'running';
   const totalDuration = steps.reduce((s, st) => s + (st.duration || 0), 0) || 1;
   const chevronSvg = `<svg class="wf-run-step-chevron" width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"/></svg>`;
 
@@ -869,9 +892,10 @@ function renderRunDetailInCol(col, run) {
       ? loopAccordion
       : (hasOutput ? `<div class="wf-run-step-output" style="display:${isFailed ? 'block' : 'none'}"><pre class="wf-run-step-pre">${escapeHtml(formatStepOutput(step.output))}</pre></div>` : '');
     const canExpand = isLoop ? loopCount > 0 : hasOutput;
+    const canRerunFrom = canResume && /^node_\d+$/.test(step.id || '') && (step.status === 'success' || isFailed);
 
     return `
-      <div class="wf-run-step wf-run-step--${step.status}${isFailed ? ' wf-run-step--error-highlight' : ''}" data-step-idx="${i}" data-step-id="${step.id}">
+      <div class="wf-run-step wf-run-step--${step.status}${isFailed ? ' wf-run-step--error-highlight' : ''}${step.replayed ? ' wf-run-step--replayed' : ''}" data-step-idx="${i}" data-step-id="${step.id}">
         <div class="wf-run-step-header">
           <span class="wf-run-step-num">${i + 1}</span>
           <span class="wf-run-step-icon wf-chip wf-chip--${info.color}">${info.icon}</span>
@@ -880,6 +904,8 @@ function renderRunDetailInCol(col, run) {
           <div class="wf-run-step-timing"><div class="wf-run-step-timing-bar" style="width:${pct}%"></div></div>
           <span class="wf-run-step-dur">${fmtDuration(step.duration)}</span>
           ${loopBadge}
+          ${step.replayed ? `<span class="wf-run-step-replayed" title="${t('workflow.replayedHint')}">${t('workflow.replayed')}</span>` : ''}
+          ${canRerunFrom ? `<button class="wf-run-step-rerun" data-step-id="${step.id}" title="${t('workflow.rerunFromNode')}">${svgPlay(8)}</button>` : ''}
           <span class="wf-run-step-status-icon">${step.status === 'success' ? '\u2713' : step.status === 'failed' ? '\u2717' : step.status === 'skipped' ? '\u2013' : '\u2026'}</span>
           ${canExpand ? chevronSvg : ''}
         </div>
@@ -901,7 +927,8 @@ function renderRunDetailInCol(col, run) {
                    <svg width="9" height="9" viewBox="0 0 24 24" fill="currentColor"><rect x="3" y="3" width="18" height="18" rx="2"/></svg>
                    Stop
                  </button>`
-              : (wf ? `<button class="wf-run-detail-rerun" id="wf-run-rerun">${svgPlay(10)} Re-run</button>` : '')
+              : `${canResume && run.status === 'failed' && run.failedStep ? `<button class="wf-run-detail-rerun" id="wf-run-resume">${svgPlay(10)} ${t('workflow.resumeFromFailed')}</button>` : ''}
+                 ${wf ? `<button class="wf-run-detail-rerun" id="wf-run-rerun">${svgPlay(10)} Re-run</button>` : ''}`
             }
             <span class="wf-status-pill wf-status-pill--${run.status}">${statusDot(run.status)}${statusLabel(run.status)}</span>
           </div>
@@ -912,6 +939,7 @@ function renderRunDetailInCol(col, run) {
           ${svgTimer()} ${fmtDuration(run.duration)}
           <span style="margin:0 5px;opacity:.25">\xB7</span>
           <span class="wf-run-trigger-tag" style="font-size:10px">${escapeHtml(run.trigger)}</span>
+          ${run.resumedFrom ? `<span style="margin:0 5px;opacity:.25">\xB7</span><span class="wf-run-trigger-tag" style="font-size:10px">${t('workflow.resumedFrom', { step: escapeHtml(run.resumedFrom.stepId) })}</span>` : ''}
         </div>
         <div class="wf-run-detail-timeline">${buildTimelineHtml(steps)}</div>
       </div>
@@ -924,6 +952,15 @@ function renderRunDetailInCol(col, run) {
     if (run.workflowId) await triggerWorkflow(run.workflowId);
   });
 
+  // Resume from the failed step / re-run from a given node
+  col.querySelector('#wf-run-resume')?.addEventListener('click', () => resumeRun(run.id));
+  col.querySelectorAll('.wf-run-step-rerun').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      resumeRun(run.id, btn.dataset.stepId);
+    });
+  });
+
   // Stop button (detail header)
   col.querySelector('#wf-run-stop')?.addEventListener('click', async (e) => {
     e.stopPropagation();
@@ -1111,10 +1148,18 @@ function openEditor(workflowId = null) {
             <span class="wf-btn-icon"><svg width="9" height="9" viewBox="0 0 10 10" fill="currentColor"><polygon points="2,1 9,5 2,9"/></svg></span>
             ${t('workflow.run')}
           </button>
+          <button class="wf-editor-btn wf-editor-btn--debug" id="wf-ed-debug" title="${t('workflow.debugTitle')}">
+            <span class="wf-btn-icon"><svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="8" y="6" width="8" height="14" rx="4"/><path d="M19 7l-3 2M5 7l3 2M19 19l-3-2M5 19l3-2M20 13h-4M4 13h4M10 4l1 2M14 4l-1 2"/></svg></span>
+            ${t('workflow.debug')}
+          </button>
           <button class="wf-editor-btn wf-editor-btn--ai" id="wf-ed-ai" title="${t('workflow.aiBuilderTitle')}">
             <span class="wf-btn-icon wf-btn-icon--ai"><svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg></span>
             AI
           </button>
+          <button class="wf-editor-btn" id="wf-ed-history" title="${t('workflow.historyBtnTitle')}">
+            <span class="wf-btn-icon"><svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 1 0 3-6.7L3 8"/><polyline points="3 3 3 8 8 8"/><polyline points="12 7 12 12 15 14"/></svg></span>
+            ${t('workflow.history')}
+          </button>
           <button class="wf-editor-btn wf-editor-btn--primary" id="wf-ed-save" title="${t('workflow.save')} (Ctrl+S)">
             <span class="wf-btn-icon"><svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg></span>
             ${t('workflow.save')}
@@ -1164,6 +1209,19 @@ function openEditor(workflowId = null) {
         </div>
         <div class="wf-editor-canvas-wrap" id="wf-ed-canvas-wrap">
           <canvas id="wf-litegraph-canvas"></canvas>
+          <div class="wf-debug-bar" id="wf-debug-bar" style="display:none">
+            <span class="wf-debug-bar-status" id="wf-debug-status"></span>
+            <button class="wf-debug-btn" id="wf-debug-continue" title="${t('workflow.debugContinue')} (F5)" disabled>
+              <svg width="10" height="10" viewBox="0 0 10 10" fill="currentColor"><polygon points="2,1 9,5 2,9"/></svg>
+            </button>
+            <button class="wf-debug-btn" id="wf-debug-step" title="${t('workflow.debugStepOver')} (F10)" disabled>
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 14a9 9 0 0 1 17-4"/><polyline points="21 4 20 10 14 9"/><circle cx="12" cy="19" r="2"/></svg>
+            </button>
+            <button class="wf-debug-btn wf-debug-btn--stop" id="wf-debug-stop" title="${t('workflow.stop')}">
+              <svg width="9" height="9" viewBox="0 0 24 24" fill="currentColor"><rect x="3" y="3" width="18" height="18" rx="2"/></svg>
+            </button>
+          </div>
+          <div class="wf-debug-inspector" id="wf-debug-inspector" style="display:none"></div>
         </div>
         <div class="wf-editor-properties" id="wf-ed-properties">
           <div class="wf-props-empty">
@@ -1430,6 +1488,54 @@ function openEditor(workflowId = null) {
       fieldsHtml = _renderFieldsFromDef(nodeDef.fields, props, node);
     }
 
+    // ── Execution policy (retry / timeout / error branch) ─────────────────────
+    const hasExecInput = (node.inputs || []).some(i => i.type === 'exec' || i.type === -1);
+    const supportsPolicy = hasExecInput && !['trigger', 'condition', 'switch', 'loop', 'join'].includes(nodeType);
+    if (supportsPolicy) {
+      const nativeError = !props._errorBranch && (node.outputs || []).some(o => o.name === 'Error' && (o.type === 'exec' || o.type === -1));
+      fieldsHtml += `
+        <div class="wf-props-divider"></div>
+        <div class="wf-step-edit-field">
+          <label class="wf-step-edit-label">${t('workflow.policyTitle')}</label>
+          <span class="wf-field-hint">${t('workflow.policyHint')}</span>
+        </div>
+        <div class="wf-step-edit-field">
+          <label class="wf-step-edit-label">${t('workflow.retryLabel')}</label>
+          <input class="wf-step-edit-input wf-node-prop" data-key="_retry" type="number" min="0" max="10" value="${escapeHtml(String(props._retry ?? ''))}" placeholder="0" />
+        </div>
+        <div class="wf-step-edit-field">
+          <label class="wf-step-edit-label">${t('workflow.retryDelayLabel')}</label>
+          <input class="wf-step-edit-input wf-node-prop wf-field-mono" data-key="_retryDelay" value="${escapeHtml(String(props._retryDelay ?? ''))}" placeholder="1s" />
+        </div>
+        <div class="wf-step-edit-field">
+          <label class="wf-step-edit-label">${t('workflow.backoffLabel')}</label>
+          <select class="wf-step-edit-input wf-node-prop" data-key="_retryBackoff">
+            <option value="exponential" ${props._retryBackoff !== 'fixed' ? 'selected' : ''}>${t('workflow.backoffExponential')}</option>
+            <option value="fixed" ${props._retryBackoff === 'fixed' ? 'selected' : ''}>${t('workflow.backoffFixed')}</option>
+          </select>
+        </div>
+        <div class="wf-step-edit-field" style="display:flex;align-items:center;gap:8px">
+          <input type="checkbox" class="wf-node-prop" data-key="_retryJitter" id="wf-toggle-_retryJitter" ${props._retryJitter !== false ? 'checked' : ''} style="width:auto;margin:0" />
+          <label for="wf-toggle-_retryJitter" style="margin:0;cursor:pointer;font-size:var(--font-xs)">${t('workflow.jitterLabel')}</label>
+        </div>
+        <div class="wf-step-edit-field">
+          <label class="wf-step-edit-label">${t('workflow.timeoutLabel')}</label>
+          <span class="wf-field-hint">${t('workflow.timeoutHint')}</span>
+          <input class="wf-step-edit-input wf-node-prop wf-field-mono" data-key="_timeout" value="${escapeHtml(String(props._timeout ?? ''))}" placeholder="30s" />
+        </div>
+        ${nativeError ? `
+        <div class="wf-step-edit-field">
+          <span class="wf-field-hint">${t('workflow.errorBranchNative')}</span>
+        </div>` : `
+        <div class="wf-step-edit-field" style="display:flex;align-items:center;gap:8px">
+          <input type="checkbox" id="wf-toggle-_errorBranch" ${props._errorBranch ? 'checked' : ''} style="width:auto;margin:0" />
+          <label for="wf-toggle-_errorBranch" style="margin:0;cursor:pointer;font-size:var(--font-xs)">${t('workflow.errorBranchLabel')}</label>
+        </div>
+        <div class="wf-step-edit-field">
+          <span class="wf-field-hint">${t('workflow.errorBranchHint')}</span>
+        </div>`}`;
+    }
+
     const customTitle = node.properties._customTitle || '';
     const nodeStepId = `node_${node.id}`;
 
@@ -1582,6 +1688,10 @@ function openEditor(workflowId = null) {
           if (aw) aw.value = val;
           graphService._rebuildTimeOutputs(node);
         }
+        // Rebuild Join inputs when the branch list changes
+        if (key === 'branches' && node.type === 'workflow/join') {
+          graphService._rebuildJoinInputs(node);
+        }
         // Refresh pin type on get_variable when varType changes
         if (key === 'varType' && node._updatePinType) {
           node._updatePinType();
@@ -1602,6 +1712,18 @@ function openEditor(workflowId = null) {
       initSmartSQL(propsEl, node, graphService, schemaCache, _dbConnectionsCache).catch(e => console.warn('[SmartSQL] init error:', e));
     }
 
+    // Opt-in Error output for nodes without a native one
+    const errorBranchToggle = propsEl.querySelector('#wf-toggle-_errorBranch');
+    if (errorBranchToggle) {
+      errorBranchToggle.addEventListener('change', () => {
+        graphService.setErrorOutput(node, errorBranchToggle.checked);
+        editorDraft.dirty = true;
+        graphService.canvas.setDirty(true, true);
+        graphService.pushSnapshot();
+        renderProperties(node);
+      });
+    }
+
     // Delete node button
     const deleteBtn = propsEl.querySelector('#wf-props-delete-node');
     if (deleteBtn) {
@@ -2066,6 +2188,19 @@ function openEditor(workflowId = null) {
   // Save
   panel.querySelector('#wf-ed-save').addEventListener('click', saveWorkflow);
 
+  // History — restoring reopens the editor on the restored definition
+  panel.querySelector('#wf-ed-history').addEventListener('click', () => {
+    if (!workflowId) return;
+    WorkflowHistory.open(workflowId, {
+      onRestored: async () => {
+        const id = workflowId;
+        panel.querySelector('#wf-ed-back').click();
+        await refreshData();
+        openEditor(id);
+      },
+    });
+  });
+
   // Run — always save before triggering to persist graph changes
   // Once the run starts, button becomes a Stop button until the run ends.
   let _edRunId = null; // track running run launched from editor
@@ -2073,6 +2208,8 @@ function openEditor(workflowId = null) {
   function _setEdRunBtn(running, runId) {
     const btn = panel.querySelector('#wf-ed-run');
     if (!btn) return;
+    const debugBtn = panel.querySelector('#wf-ed-debug');
+    if (debugBtn) debugBtn.disabled = !!running;
     if (running) {
       _edRunId = runId || null;
       btn.classList.add('wf-editor-btn--stop');
@@ -2124,13 +2261,118 @@ function openEditor(workflowId = null) {
     }
   });
 
+  // ── Debugger ──
+  // Debug runs pause before nodes flagged `_breakpoint` (F9); while paused the
+  // inspector shows variables (editable) and node outputs.
+  let _debugRunId = null;
+  let _debugPaused = null; // last workflow-debug-paused payload
+  let _debugPending = false; // Debug clicked, waiting for the run to start
+  const debugBar = panel.querySelector('#wf-debug-bar');
+  const debugInspector = panel.querySelector('#wf-debug-inspector');
+
+  const _renderDebugState = () => {
+    debugBar.style.display = _debugRunId ? '' : 'none';
+    panel.querySelector('#wf-debug-continue').disabled = !_debugPaused;
+    panel.querySelector('#wf-debug-step').disabled = !_debugPaused;
+    const statusEl = panel.querySelector('#wf-debug-status');
+    statusEl.textContent = _debugPaused
+      ? t('workflow.debugPausedAt', { step: _debugPaused.stepId })
+      : t('workflow.debugRunning');
+    statusEl.classList.toggle('wf-debug-bar-status--paused', !!_debugPaused);
+
+    if (!_debugPaused) {
+      debugInspector.style.display = 'none';
+      debugInspector.innerHTML = '';
+      return;
+    }
+    const fmt = v => { try { return JSON.stringify(v, null, 2) ?? 'null'; } catch { return String(v); } };
+    const varEntries = Object.entries(_debugPaused.vars || {});
+    const outEntries = Object.entries(_debugPaused.outputs || {});
+    debugInspector.style.display = '';
+    debugInspector.innerHTML = `
+      <div class="wf-debug-section-title">${t('workflow.debugVariables')}</div>
+      <div class="wf-debug-hint">${t('workflow.debugEditHint')}</div>
+      ${varEntries.map(([k, v]) => `
+        <div class="wf-debug-var">
+          <code class="wf-debug-var-name">$${escapeHtml(k)}</code>
+          <textarea class="wf-debug-var-value" data-var="${escapeHtml(k)}" rows="${Math.min(6, fmt(v).split('\n').length)}">${escapeHtml(fmt(v))}</textarea>
+        </div>`).join('') || `<div class="wf-debug-empty">—</div>`}
+      <div class="wf-debug-section-title">${t('workflow.outputs')}</div>
+      ${outEntries.map(([k, v]) => `
+        <details class="wf-debug-output">
+          <summary><code>$${escapeHtml(k)}</code></summary>
+          <pre class="wf-debug-output-value">${escapeHtml(fmt(v))}</pre>
+        </details>`).join('') || `<div class="wf-debug-empty">${t('workflow.noOutputData')}</div>`}
+    `;
+    debugInspector.querySelectorAll('.wf-debug-var-value').forEach(input => {
+      input.addEventListener('change', () => {
+        let value;
+        try { value = JSON.parse(input.value); } catch { value = input.value; }
+        api.debug(_debugRunId, 'set-variable', { name: input.dataset.var, value });
+      });
+    });
+  };
+
+  const _debugResume = (action) => {
+    if (_debugRunId && _debugPaused) api.debug(_debugRunId, action);
+  };
+  panel.querySelector('#wf-debug-continue').addEventListener('click', () => _debugResume('continue'));
+  panel.querySelector('#wf-debug-step').addEventListener('click', () => _debugResume('step'));
+  panel.querySelector('#wf-debug-stop').addEventListener('click', () => { if (_debugRunId) api?.cancel(_debugRunId); });
+
+  panel.querySelector('#wf-ed-debug').addEventListener('click', async () => {
+    if (_edRunId) return;
+    const ok = await saveWorkflow();
+    if (!ok || !workflowId) return;
+    _debugPending = true;
+    const pState = projectsState.get();
+    const openedProject = (pState.projects || []).find(p => p.id === pState.openedProjectId);
+    // No breakpoint → step from the first node
+    const stepping = graphService.getBreakpoints().length === 0;
+    const res = await api.trigger(workflowId, { projectPath: openedProject?.path || '', debug: { stepping } });
+    if (!res?.success) {
+      _debugPending = false;
+      if (res?.error) showError(res.error);
+    }
+  });
+
+  // Live breakpoint edits apply to the run being debugged
+  graphService.onBreakpointsChanged = (nodeIds) => {
+    if (_debugRunId) api.debug(_debugRunId, 'breakpoints', { nodeIds });
+  };
+
   // Listen to run lifecycle to update editor run/stop button
   if (api && workflowId) {
     api.onRunStart(({ run }) => {
       if (run?.workflowId === workflowId) _setEdRunBtn(true, run.id);
+      if (run?.workflowId === workflowId && _debugPending) {
+        _debugPending = false;
+        _debugRunId = run.id;
+        _debugPaused = null;
+        _renderDebugState();
+      }
     });
     api.onRunEnd(({ runId, status }) => {
       if (runId === _edRunId) _setEdRunBtn(false);
+      if (runId === _debugRunId) {
+        _debugRunId = null;
+        _debugPaused = null;
+        _renderDebugState();
+      }
+    });
+    api.onDebugPaused((data) => {
+      if (data.runId !== _debugRunId) return;
+      _debugPaused = data;
+      const nodeId = parseInt(String(data.stepId).replace('node_', ''), 10);
+      if (graphService._getNodeById(nodeId)) graphService.setNodeStatus(nodeId, 'paused');
+      _renderDebugState();
+    });
+    api.onDebugResumed(({ runId, stepId }) => {
+      if (runId !== _debugRunId) return;
+      const nodeId = parseInt(String(stepId).replace('node_', ''), 10);
+      if (graphService._getNodeById(nodeId)) graphService.setNodeStatus(nodeId, 'running');
+      _debugPaused = null;
+      _renderDebugState();
     });
   }
 
@@ -2173,11 +2415,20 @@ You do NOT need $node_X.stdout syntax when using data pin connections.
 NODE TYPES:
 
 workflow/trigger — Entry point (always first, always required)
-  triggerType: manual | cron | hook | on_workflow | webhook
+  triggerType: manual | cron | hook | on_workflow | webhook | file_watch | git
   triggerValue: cron expression e.g. "0 9 * * 1-5" (weekdays at 9am)
   hookType: PreToolUse | PostToolUse | UserPromptSubmit | Notification | Stop
   webhook: triggered by external HTTP POST via cloud relay (GitHub, Stripe, Slack, etc.)
     The request body is available as $trigger.payload (e.g. $trigger.payload.event)
+  file_watch: triggered when project files change
+    triggerValue = include globs (one per line, e.g. "prisma/schema.prisma"), watchProjectId (required),
+    watchExclude (globs), watchOnAdd / watchOnChange / watchOnUnlink (booleans), watchDebounce (ms, default 1000)
+    Changed paths: $trigger.paths, $trigger.added, $trigger.changed, $trigger.removed (relative to $trigger.projectPath)
+  git: triggered by local git events of a project
+    triggerValue = commit | branch_switch | pull | merge_conflict, gitProjectId (required),
+    gitBranch (globs, e.g. "main, release/*"), gitAuthor (comma-separated names/emails), gitPaths (globs of touched files)
+    Details: $trigger.branch, $trigger.commit.message / .author / .hash, $trigger.commits, $trigger.files,
+    $trigger.from / $trigger.to (branch_switch), $trigger.conflicts (merge_conflict)
   Exec outputs: slot0=Start
 
 workflow/claude — AI task (prefer haiku for simple summaries, sonnet for reasoning, opus for complex)
@@ -2243,6 +2494,7 @@ workflow/condition — Conditional branch
 workflow/loop — Iterate over an array
   source: auto | projects | files | custom
   items ($var pointing to an array)
+  mode: sequential | parallel, concurrency (max iterations at once in parallel mode, default 10)
   Exec outputs: slot0=Each (first node INSIDE the loop body), slot1=Done (first node AFTER the loop)
   Data outputs: item (slot2), index (slot3)
   CRITICAL: nodes inside the loop body connect to Loop slot0 (Each), NOT to each other's exec output flowing back to trigger. The loop body nodes form an internal chain connected via their own exec slots. The LAST node in the loop body does NOT connect back to the Loop node.
@@ -2276,6 +2528,14 @@ workflow/switch — Multi-branch routing
   Exec outputs: slot0=first case, slot1=second, ..., last slot=default
   No data outputs
 
+workflow/join — Run parallel branches and wait for them
+  branches (comma-separated names e.g. "lint,test,review") — one exec input per branch, slot = position
+  mode: all (every branch must succeed) | any (first success, others cancelled) | quorum (quorum = successes needed)
+  concurrency (optional max branches running at once)
+  Fan out: link ONE exec output to the first node of every branch; the last node of each branch connects to its Join input
+  Exec outputs: slot0=Done, slot1=Error (not enough branches succeeded)
+  Data outputs: results (object keyed by branch → step outputs, slot2), completed (array of branch names, slot3)
+
 workflow/project — Project context or list
   action: list | set_context | open | build | install | test
   projectId (not needed for list)
@@ -2309,6 +2569,7 @@ Data pin slots start AFTER exec slots (exec input=slot0, exec outputs=slot0/slot
   claude: output=slot2
   transform: result=slot2
   subworkflow: outputs=slot2
+  join: results=slot2, completed=slot3
   project: projects=slot2
   time/get_today: today=slot2, week=slot3, month=slot4, projects=slot5
   time/get_week: total=slot2, days=slot3
@@ -2319,6 +2580,7 @@ Data pin slots start AFTER exec slots (exec input=slot0, exec outputs=slot0/slot
 $VAR SYNTAX (works in property strings when data pins aren't used):
 $ctx.project, $ctx.branch — project context
 $trigger.payload, $trigger.payload.field — webhook payload
+$secret.NAME — vault secret (tokens, API keys); never write credentials as plain values
 $loop.item, $loop.index — loop iteration
 $node_X.stdout, $node_X.body, $node_X.rows — node outputs by ID
 
@@ -2528,6 +2790,12 @@ Rules:
       graphService.toggleMinimap();
       return;
     }
+    // F5 / F10 — Debugger continue / step over
+    if ((e.key === 'F5' || e.key === 'F10') && _debugPaused) {
+      e.preventDefault();
+      _debugResume(e.key === 'F5' ? 'continue' : 'step');
+      return;
+    }
   };
   document.addEventListener('keydown', editorKeyHandler);
 
@@ -2677,6 +2945,13 @@ async function triggerWorkflow(id) {
   // Live listener will update UI when run starts
 }
 
+async function resumeRun(runId, fromStepId) {
+  if (!api) return;
+  const res = await api.resume(runId, fromStepId);
+  if (!res?.success) showError(res?.error || t('workflow.resumeFailed'));
+  // Live listener will update UI when run starts
+}
+
 async function toggleWorkflow(id, enabled) {
   if (!api) return;
   const res = await api.enable(id, enabled);
@@ -2735,5 +3010,135 @@ async function duplicateWorkflow(id) {
   }
 }
 
+/* ─── Export / import files ────────────────────────────────────────────────── */
+
+async function exportWorkflowFile(id) {
+  if (!api) return;
+  const res = await api.exportFile(id);
+  if (res?.canceled) return;
+  if (!res?.success) { showError(res?.error || t('workflow.exportFailed')); return; }
+  showSuccess(t('workflow.exportDone', { count: res.workflows }));
+  if (res.secrets) showWarning(t('workflow.exportSecretsStripped', { count: res.secrets }));
+  if (res.missing?.length) showWarning(t('workflow.exportMissing', { refs: res.missing.join(', ') }));
+}
+
+async function importWorkflowFile() {
+  if (!api) return;
+  const res = await api.openImportFile();
+  if (res?.canceled) return;
+  if (!res?.success) { showError(res?.error || t('workflow.importFailed')); return; }
+  if (res.preview.errors.length) {
+    showError(`${t('workflow.importInvalid')}\n${res.preview.errors.slice(0, 5).join('\n')}`);
+    return;
+  }
+  await loadDbConnections();
+  _showImportModal(res);
+}
+
+/**
+ * Confirm an import: what will be created, stripped secrets, and a local
+ * replacement for every project / DB connection that does not exist here.
+ */
+function _showImportModal({ filePath, bundle, preview }) {
+  const projects = projectsState.get().projects || [];
+  const connections = window._dbConnectionsCache || [];
+  const missing = (bundle.bindings || []).filter(b => b.kind === 'project'
+    ? !projects.some(p => p.id === b.id)
+    : !connections.some(c => c.id === b.id));
+  const byId = new Map(bundle.workflows.map(w => [w.id, w]));
+  const fileName = filePath.split(/[\\/]/).pop();
+
+  const bindingOptions = (binding) => {
+    const list = binding.kind === 'project' ? projects : connections;
+    const guess = list.find(item => item.name && item.name === binding.name);
+    return `<option value="">${t('workflow.importKeepBinding')}</option>` + list.map(item =>
+      `<option value="${escapeHtml(item.id)}" ${guess?.id === item.id ? 'selected' : ''}>${escapeHtml(item.name || item.id)}</option>`
+    ).join('');
+  };
+
+  const overlay = document.createElement('div');
+  overlay.className = 'wf-overlay';
+  overlay.innerHTML = `
+    <div class="wf-modal wf-modal--import">
+      <div class="wf-modal-hd">
+        <div class="wf-modal-hd-left">
+          <span class="wf-modal-title">${t('workflow.importTitle', { file: escapeHtml(fileName) })}</span>
+        </div>
+        <button class="wf-modal-x" id="wf-imp-close">${svgX(12)}</button>
+      </div>
+      <div class="wf-modal-bd wf-import-bd">
+        <div class="wf-import-sec">
+          <div class="wf-detail-sec-title">${t('workflow.importWorkflows', { count: preview.workflows.length })}</div>
+          ${preview.workflows.map(w => `
+            <div class="wf-import-row">
+              <span class="wf-import-name">${escapeHtml(w.name || w.id)}</span>
+              ${w.root ? `<span class="wf-import-tag">${t('workflow.importRoot')}</span>` : ''}
+              ${preview.renamed.includes(w.id) ? `<span class="wf-import-tag wf-import-tag--warn" title="${escapeHtml(w.id)}">${t('workflow.importNewId')}</span>` : ''}
+            </div>
+          `).join('')}
+        </div>
+        ${missing.length ? `
+          <div class="wf-import-sec">
+            <div class="wf-detail-sec-title">${t('workflow.importBindings')}</div>
+            <div class="wf-import-hint">${t('workflow.importBindingsHint')}</div>
+            ${missing.map(b => `
+              <label class="wf-import-binding">
+                <span class="wf-import-binding-lbl">
+                  ${t(b.kind === 'project' ? 'workflow.importBindingProject' : 'workflow.importBindingDatabase')}
+                  <strong>${escapeHtml(b.name || b.id)}</strong>
+                </span>
+                <select class="wf-input wf-select" data-binding="${escapeHtml(`${b.kind}:${b.id}`)}">${bindingOptions(b)}</select>
+              </label>
+            `).join('')}
+          </div>
+        ` : ''}
+        ${bundle.secrets?.length ? `
+          <div class="wf-import-sec">
+            <div class="wf-detail-sec-title">${t('workflow.importSecrets')}</div>
+            <div class="wf-import-hint">${t('workflow.importSecretsHint')}</div>
+            ${bundle.secrets.map(sec => `
+              <div class="wf-import-row wf-import-row--muted">
+                ${escapeHtml(byId.get(sec.workflow)?.name || sec.workflow)}${sec.node != null ? ` · #${sec.node}` : ''} · <code>${escapeHtml(sec.key)}</code>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        ${preview.warnings.length ? `
+          <div class="wf-import-sec">
+            <div class="wf-detail-sec-title">${t('workflow.importWarnings')}</div>
+            ${preview.warnings.map(w => `<div class="wf-import-row wf-import-row--warn">${escapeHtml(w)}</div>`).join('')}
+          </div>
+        ` : ''}
+      </div>
+      <div class="wf-modal-ft">
+        <div style="flex:1"></div>
+        <button class="wf-btn-ghost wf-btn-sm" id="wf-imp-cancel">${t('common.cancel')}</button>
+        <button class="wf-btn-primary wf-btn-sm" id="wf-imp-confirm">${t('workflow.importConfirm')}</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const close = () => overlay.remove();
+  overlay.querySelector('#wf-imp-close').addEventListener('click', close);
+  overlay.querySelector('#wf-imp-cancel').addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+  overlay.querySelector('#wf-imp-confirm').addEventListener('click', async () => {
+    const bindings = {};
+    overlay.querySelectorAll('[data-binding]').forEach(select => {
+      if (!select.value) return;
+      const [kind] = select.dataset.binding.split(':');
+      const item = (kind === 'project' ? projects : connections).find(i => i.id === select.value);
+      bindings[select.dataset.binding] = { id: select.value, name: item?.name || '' };
+    });
+    const res = await api.importBundle(bundle, bindings);
+    if (!res?.success) { showError(res?.error || t('workflow.importFailed')); return; }
+    close();
+    showSuccess(t('workflow.importDone', { count: res.imported.length }));
+    await refreshData();
+    renderContent();
+  });
+}
 
 module.exports = { init, load };
@@ -0,0 +1,162 @@
+/**
+ * WorkflowSecretsPanel
+ * Secrets vault — rendered as a modal overlay.
+ * Lists stored secrets (names only), adds / replaces / deletes them.
+ * Values are write-only: they go to the OS keychain and are never sent back to the renderer.
+ */
+
+'use strict';
+
+const { escapeHtml } = require('../../utils');
+const { t } = require('../../i18n');
+const { showConfirm } = require('../components/Modal');
+const { showError, showSuccess } = require('../components/Toast');
+const { fmtTime, svgX, svgTrash, setSecretNames } = require('./WorkflowHelpers');
+
+const api = window.electron_api?.workflow;
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Load the secret names for `$secret.` autocompletion.
+ * @returns {Promise<Object[]>}
+ */
+async function refreshNames() {
+  const res = await api?.listSecrets();
+  const secrets = res?.success ? res.secrets : [];
+  setSecretNames(secrets.map(s => s.name));
+  return secrets;
+}
+
+/**
+ * Open the secrets vault modal.
+ */
+async function open() {
+  if (!api) return;
+  const st = { secrets: await refreshNames(), editing: null };
+
+  const overlay = document.createElement('div');
+  overlay.className = 'wf-overlay';
+  overlay.innerHTML = `
+    <div class="wf-modal wf-modal--secrets">
+      <div class="wf-modal-hd">
+        <div class="wf-modal-hd-left">
+          <span class="wf-modal-title">${t('workflow.secretsTitle')}</span>
+        </div>
+        <button class="wf-modal-x" id="wf-sec-close">${svgX(12)}</button>
+      </div>
+      <div class="wf-modal-bd wf-secrets-bd">
+        <div class="wf-import-hint">${t('workflow.secretsHint')}</div>
+        <div class="wf-secrets-list" id="wf-sec-list"></div>
+        <form class="wf-secrets-form" id="wf-sec-form" autocomplete="off">
+          <div class="wf-detail-sec-title" id="wf-sec-form-title"></div>
+          <input class="wf-input wf-input--mono" id="wf-sec-name" placeholder="GITHUB_TOKEN" spellcheck="false" />
+          <input class="wf-input wf-input--mono" id="wf-sec-value" type="password" placeholder="${t('workflow.secretsValue')}" />
+          <input class="wf-input" id="wf-sec-desc" placeholder="${t('workflow.secretsDescription')}" />
+          <div class="wf-secrets-form-actions">
+            <button type="button" class="wf-btn-ghost wf-btn-sm" id="wf-sec-cancel-edit" style="display:none">${t('common.cancel')}</button>
+            <button type="submit" class="wf-btn-primary wf-btn-sm" id="wf-sec-save"></button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const close = () => overlay.remove();
+  overlay.querySelector('#wf-sec-close').addEventListener('click', close);
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+  const form = overlay.querySelector('#wf-sec-form');
+  const nameInput = overlay.querySelector('#wf-sec-name');
+  const valueInput = overlay.querySelector('#wf-sec-value');
+  const descInput = overlay.querySelector('#wf-sec-desc');
+
+  const render = () => {
+    _renderList(overlay.querySelector('#wf-sec-list'), st);
+    const editing = st.secrets.find(s => s.name === st.editing);
+    overlay.querySelector('#wf-sec-form-title').textContent = editing
+      ? t('workflow.secretsReplaceTitle', { name: editing.name })
+      : t('workflow.secretsAddTitle');
+    overlay.querySelector('#wf-sec-save').textContent = t(editing ? 'workflow.secretsReplace' : 'workflow.secretsAdd');
+    overlay.querySelector('#wf-sec-cancel-edit').style.display = editing ? '' : 'none';
+    nameInput.disabled = !!editing;
+  };
+
+  const resetForm = () => {
+    st.editing = null;
+    form.reset();
+    render();
+  };
+
+  overlay.querySelector('#wf-sec-cancel-edit').addEventListener('click', resetForm);
+
+  overlay.querySelector('#wf-sec-list').addEventListener('click', async e => {
+    const row = e.target.closest('[data-secret]');
+    if (!row) return;
+    const name = row.dataset.secret;
+
+    if (e.target.closest('.wf-secret-del')) {
+      const confirmed = await showConfirm({
+        title: t('workflow.secretsDelete'),
+        message: t('workflow.secretsDeleteConfirm', { name }),
+        confirmLabel: t('workflow.secretsDelete'),
+        danger: true,
+      });
+      if (!confirmed) return;
+      await api.deleteSecret(name);
+      st.secrets = await refreshNames();
+      if (st.editing === name) resetForm(); else render();
+      return;
+    }
+
+    if (e.target.closest('.wf-secret-edit')) {
+      st.editing = name;
+      nameInput.value = name;
+      valueInput.value = '';
+      descInput.value = st.secrets.find(s => s.name === name)?.description || '';
+      render();
+      valueInput.focus();
+    }
+  });
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    const name = nameInput.value.trim();
+    if (!NAME_PATTERN.test(name)) { showError(t('workflow.secretsInvalidName')); return; }
+    if (!st.editing && st.secrets.some(s => s.name === name)) { showError(t('workflow.secretsExists', { name })); return; }
+    if (!valueInput.value) { showError(t('workflow.secretsEmptyValue')); return; }
+
+    const res = await api.setSecret(name, valueInput.value, descInput.value.trim());
+    if (!res?.success) { showError(res?.error || t('workflow.secretsSaveFailed')); return; }
+    showSuccess(t('workflow.secretsSaved', { name }));
+    st.secrets = await refreshNames();
+    resetForm();
+  });
+
+  render();
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+function _renderList(el, st) {
+  if (!st.secrets.length) {
+    el.innerHTML = `<div class="wf-hist-empty">${t('workflow.secretsEmpty')}</div>`;
+    return;
+  }
+  el.innerHTML = st.secrets.map(s => `
+    <div class="wf-secret-row ${st.editing === s.name ? 'active' : ''}" data-secret="${escapeHtml(s.name)}">
+      <div class="wf-secret-main">
+        <code class="wf-secret-ref">$secret.${escapeHtml(s.name)}</code>
+        ${s.description ? `<span class="wf-secret-desc">${escapeHtml(s.description)}</span>` : ''}
+      </div>
+      <span class="wf-hist-time" title="${escapeHtml(new Date(s.updatedAt).toLocaleString())}">${fmtTime(s.updatedAt)}</span>
+      <button class="wf-btn-ghost wf-btn-sm wf-secret-edit">${t('workflow.secretsReplace')}</button>
+      <button class="wf-modal-x wf-secret-del" title="${t('workflow.secretsDelete')}">${svgTrash(12)}</button>
+    </div>
+  `).join('');
+}
+
+module.exports = { open, refreshNames };
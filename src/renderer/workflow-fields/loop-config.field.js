@@ -4,6 +4,7 @@
  * - Source select (auto / projects / files / custom)
  * - Filter/items input (conditional)
  * - Mode tabs (sequential / parallel)
+ * - Concurrency cap (parallel mode)
  * - Max iterations input
  * - Item schema display (if available)
  * - Usage hint block
@@ -98,6 +99,12 @@ ${renderFilterField(source, props.filter)}
       <button class="wf-loop-mode-tab${mode === 'parallel' ? ' active' : ''}" data-mode="parallel" title="${t('workflow.loop.modeParTitle')}">${t('workflow.loop.modePar')}</button>
     </div>
   </div>
+  <div class="wf-loop-opt wf-loop-concurrency-opt"${mode === 'parallel' ? '' : ' style="display:none"'}>
+    <span class="wf-loop-opt-label">${t('workflow.loop.concurrencyLabel')}</span>
+    <input class="wf-step-edit-input wf-node-prop wf-field-mono wf-loop-concurrency-input" data-key="concurrency"
+      type="number" min="1" max="100" title="${t('workflow.loop.concurrencyTitle')}"
+      value="${esc(String(props.concurrency || ''))}" placeholder="10" />
+  </div>
   <div class="wf-loop-opt">
     <span class="wf-loop-opt-label">${t('workflow.loop.limitLabel')}</span>
     <input class="wf-step-edit-input wf-node-prop wf-field-mono wf-loop-max-input" data-key="maxIterations"
@@ -144,9 +151,17 @@ ${renderUsageHint(itemSchema)}
         container.querySelectorAll('.wf-loop-mode-tab').forEach(tb => tb.classList.remove('active'));
         tab.classList.add('active');
         node.properties.mode = tab.dataset.mode;
+        const concurrencyOpt = container.querySelector('.wf-loop-concurrency-opt');
+        if (concurrencyOpt) concurrencyOpt.style.display = tab.dataset.mode === 'parallel' ? '' : 'none';
       });
     });
 
+    // Concurrency cap (parallel mode)
+    const concurrencyEl = container.querySelector('.wf-loop-concurrency-input');
+    if (concurrencyEl) {
+      concurrencyEl.addEventListener('input', () => { node.properties.concurrency = concurrencyEl.value ? String(parseInt(concurrencyEl.value, 10)) : ''; });
+    }
+
     // Max iterations
     const maxEl = container.querySelector('.wf-loop-max-input');
     if (maxEl) {
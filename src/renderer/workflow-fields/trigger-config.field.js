@@ -1,11 +1,13 @@
 /**
  * trigger-config field renderer
  * Renders the full trigger configuration UI:
- * - triggerType select (manual / cron / hook / on_workflow / webhook)
+ * - triggerType select (manual / cron / hook / on_workflow / webhook / file_watch / git)
  * - Conditional cron expression input
  * - Conditional hookType select
  * - Conditional workflow source select
  * - Conditional webhook URL display
+ * - Conditional file watch settings (project, globs, events, debounce)
+ * - Conditional git event settings (event, project, branch / author / path filters)
  */
 const { escapeHtml, escapeAttr } = require('./_registry');
 const { t } = require('../i18n');
@@ -64,6 +66,96 @@ function _renderWebhookSection(workflowId, esc) {
 </div>`;
 }
 
+function _renderFileWatchSection(props, esc) {
+  const projects =
+    (typeof window !== 'undefined' && window._projectsState?.get?.()?.projects) || [];
+  const eventToggle = (key, label) => `<label class="wf-watch-event">
+    <input type="checkbox" class="wf-node-prop" data-key="${key}" ${props[key] !== false ? 'checked' : ''} />
+    <span>${label}</span>
+  </label>`;
+  return `<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.watchProjectLabel')}</label>
+  <select class="wf-step-edit-input wf-node-prop" data-key="watchProjectId">
+    <option value=""${!props.watchProjectId ? ' selected' : ''}>${t('workflow.trigger.watchSelectProject')}</option>
+    ${projects.map(p => `<option value="${esc(p.id)}"${props.watchProjectId === p.id ? ' selected' : ''}>${esc(p.name)}</option>`).join('')}
+  </select>
+</div>
+<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.watchIncludeLabel')}</label>
+  <span class="wf-field-hint">${t('workflow.trigger.watchIncludeHint')}</span>
+  <textarea class="wf-step-edit-input wf-node-prop wf-field-mono" data-key="triggerValue" rows="2"
+    placeholder="prisma/schema.prisma&#10;locales/**/*.json">${esc(props.triggerValue || '')}</textarea>
+</div>
+<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.watchExcludeLabel')}</label>
+  <textarea class="wf-step-edit-input wf-node-prop wf-field-mono" data-key="watchExclude" rows="2"
+    placeholder="**/*.generated.*">${esc(props.watchExclude || '')}</textarea>
+</div>
+<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.watchEventsLabel')}</label>
+  <div class="wf-watch-events">
+    ${eventToggle('watchOnAdd', t('workflow.trigger.watchEventAdd'))}
+    ${eventToggle('watchOnChange', t('workflow.trigger.watchEventChange'))}
+    ${eventToggle('watchOnUnlink', t('workflow.trigger.watchEventUnlink'))}
+  </div>
+</div>
+<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.watchDebounceLabel')}</label>
+  <span class="wf-field-hint">${t('workflow.trigger.watchDebounceHint')}</span>
+  <input class="wf-step-edit-input wf-node-prop wf-field-mono" data-key="watchDebounce" type="number" min="200" step="100"
+    value="${esc(props.watchDebounce ?? 1000)}" />
+</div>
+<span class="wf-field-hint">${t('workflow.trigger.watchVarsHint')}</span>`;
+}
+
+function getGitEvents() {
+  return [
+    { value: 'commit',         label: t('workflow.trigger.gitEventCommit') },
+    { value: 'branch_switch',  label: t('workflow.trigger.gitEventBranchSwitch') },
+    { value: 'pull',           label: t('workflow.trigger.gitEventPull') },
+    { value: 'merge_conflict', label: t('workflow.trigger.gitEventMergeConflict') },
+  ];
+}
+
+function _renderGitSection(props, esc) {
+  const projects =
+    (typeof window !== 'undefined' && window._projectsState?.get?.()?.projects) || [];
+  const events = getGitEvents();
+  const event = events.some(e => e.value === props.triggerValue) ? props.triggerValue : 'commit';
+  return `<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.gitEventLabel')}</label>
+  <select class="wf-step-edit-input wf-node-prop" data-key="triggerValue">
+    ${events.map(e => `<option value="${e.value}"${event === e.value ? ' selected' : ''}>${esc(e.label)}</option>`).join('')}
+  </select>
+</div>
+<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.watchProjectLabel')}</label>
+  <select class="wf-step-edit-input wf-node-prop" data-key="gitProjectId">
+    <option value=""${!props.gitProjectId ? ' selected' : ''}>${t('workflow.trigger.watchSelectProject')}</option>
+    ${projects.map(p => `<option value="${esc(p.id)}"${props.gitProjectId === p.id ? ' selected' : ''}>${esc(p.name)}</option>`).join('')}
+  </select>
+</div>
+<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.gitBranchLabel')}</label>
+  <span class="wf-field-hint">${t('workflow.trigger.gitBranchHint')}</span>
+  <input class="wf-step-edit-input wf-node-prop wf-field-mono" data-key="gitBranch"
+    value="${esc(props.gitBranch || '')}" placeholder="main, release/*" />
+</div>
+<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.gitAuthorLabel')}</label>
+  <span class="wf-field-hint">${t('workflow.trigger.gitAuthorHint')}</span>
+  <input class="wf-step-edit-input wf-node-prop" data-key="gitAuthor"
+    value="${esc(props.gitAuthor || '')}" placeholder="alice@example.com" />
+</div>
+<div class="wf-step-edit-field">
+  <label class="wf-step-edit-label">${t('workflow.trigger.gitPathsLabel')}</label>
+  <span class="wf-field-hint">${t('workflow.trigger.gitPathsHint')}</span>
+  <textarea class="wf-step-edit-input wf-node-prop wf-field-mono" data-key="gitPaths" rows="2"
+    placeholder="src/**&#10;package.json">${esc(props.gitPaths || '')}</textarea>
+</div>
+<span class="wf-field-hint">${t('workflow.trigger.gitVarsHint')}</span>`;
+}
+
 function _bindWebhookCopyBtn(root) {
   root.querySelectorAll('.wf-webhook-copy-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -124,6 +216,14 @@ module.exports = {
       ? _renderWebhookSection(node.properties._workflowId || '', escapeAttr)
       : '';
 
+    const fileWatchSection = triggerType === 'file_watch'
+      ? _renderFileWatchSection(props, escapeHtml)
+      : '';
+
+    const gitSection = triggerType === 'git'
+      ? _renderGitSection(props, escapeHtml)
+      : '';
+
     return `<div class="wf-field-group" data-key="triggerType">
 <div class="wf-step-edit-field">
   <label class="wf-step-edit-label">${t('workflow.trigger.typeLabel')}</label>
@@ -134,10 +234,12 @@ module.exports = {
     <option value="hook"${triggerType === 'hook' ? ' selected' : ''}>${t('workflow.trigger.typeHook')}</option>
     <option value="on_workflow"${triggerType === 'on_workflow' ? ' selected' : ''}>${t('workflow.trigger.typeOnWorkflow')}</option>
     <option value="webhook"${triggerType === 'webhook' ? ' selected' : ''}>${t('workflow.trigger.typeWebhook')}</option>
+    <option value="file_watch"${triggerType === 'file_watch' ? ' selected' : ''}>${t('workflow.trigger.typeFileWatch')}</option>
+    <option value="git"${triggerType === 'git' ? ' selected' : ''}>${t('workflow.trigger.typeGit')}</option>
   </select>
 </div>
 <div class="wf-trigger-conditional">
-  ${cronSection}${hookSection}${onWorkflowSection}${webhookSection}
+  ${cronSection}${hookSection}${onWorkflowSection}${webhookSection}${fileWatchSection}${gitSection}
 </div>
 </div>`;
   },
@@ -193,6 +295,10 @@ module.exports = {
 </div>`;
       } else if (tType === 'webhook') {
         html = _renderWebhookSection(node.properties._workflowId || '', esc);
+      } else if (tType === 'file_watch') {
+        html = _renderFileWatchSection(props, esc);
+      } else if (tType === 'git') {
+        html = _renderGitSection(props, esc);
       }
 
       condDiv.innerHTML = html;
@@ -201,8 +307,9 @@ module.exports = {
       condDiv.querySelectorAll('.wf-node-prop').forEach(el => {
         const key = el.dataset.key;
         if (!key) return;
-        el.addEventListener('change', () => { node.properties[key] = el.value; });
-        el.addEventListener('input', () => { node.properties[key] = el.value; });
+        const read = () => (el.type === 'checkbox' ? el.checked : el.value);
+        el.addEventListener('change', () => { node.properties[key] = read(); });
+        el.addEventListener('input', () => { node.properties[key] = read(); });
       });
 
       // Bind copy button for webhook
@@ -13,6 +13,8 @@ function loadAll() {
     require('./hook.trigger'),
     require('./on_workflow.trigger'),
     require('./webhook.trigger'),
+    require('./file_watch.trigger'),
+    require('./git.trigger'),
   ];
   for (const def of defs) {
     if (def.type) _triggers.set(def.type, def);
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  type: 'file_watch',
+  label: 'Fichiers modifiés',
+  fields: [
+    {
+      type: 'textarea',
+      key: 'triggerValue',
+      label: 'Fichiers surveillés',
+      hint: 'Globs à inclure, un par ligne (vide = tous les fichiers)',
+      placeholder: 'prisma/schema.prisma',
+    },
+    {
+      type: 'hint',
+      key: '_fw_hint',
+      text: 'Les chemins modifiés sont disponibles dans $trigger.paths, $trigger.added, $trigger.changed et $trigger.removed.',
+    },
+  ],
+};
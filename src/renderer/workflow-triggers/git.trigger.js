@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  type: 'git',
+  label: 'Événement Git',
+  fields: [
+    {
+      type: 'select',
+      key: 'triggerValue',
+      label: 'Événement',
+      hint: 'Événement Git qui déclenche ce workflow',
+      options: [
+        { value: 'commit',         label: 'Commit' },
+        { value: 'branch_switch',  label: 'Changement de branche' },
+        { value: 'pull',           label: 'Pull' },
+        { value: 'merge_conflict', label: 'Conflit de merge' },
+      ],
+    },
+    {
+      type: 'hint',
+      key: '_git_hint',
+      text: 'Les détails sont disponibles dans $trigger.commit, $trigger.commits, $trigger.files, $trigger.branch et $trigger.conflicts.',
+    },
+  ],
+};
@@ -0,0 +1,411 @@
+/**
+ * api-collections.js
+ * Saved requests of the API tester: `{{variable}}` substitution from environments,
+ * Postman v2.1 / Insomnia v4 import, and a line diff between two responses.
+ * Consumed by: api.ipc + ApiCollections (main), ApiCollectionsView (renderer).
+ *
+ * Shapes:
+ *   request     { id, name, method, url, headers: [{ key, value, enabled }], body }
+ *   collection  { id, name, requests: request[] }
+ *   environment { id, name, variables: { [name]: string } }
+ */
+
+'use strict';
+
+const VAR_RE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const MAX_SUBSTITUTION_PASSES = 5;
+const MAX_DIFF_CELLS = 4000000; // LCS table budget — larger bodies fall back to a block replace
+const VOLATILE_HEADERS = new Set(['date', 'age']); // differ on every response
+
+function makeId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ─── Variables ────────────────────────────────────────────────────────────────
+
+/**
+ * Replace `{{name}}` with environment values. Values may reference other variables.
+ * Unknown variables are left as is.
+ * @param {string} text
+ * @param {Object} vars
+ * @returns {string}
+ */
+function substituteVariables(text, vars = {}) {
+  if (typeof text !== 'string' || !text.includes('{{')) return text;
+  let out = text;
+  for (let pass = 0; pass < MAX_SUBSTITUTION_PASSES; pass++) {
+    const next = out.replace(VAR_RE, (full, name) =>
+      Object.prototype.hasOwnProperty.call(vars, name) && vars[name] != null ? String(vars[name]) : full);
+    if (next === out) break;
+    out = next;
+  }
+  return out;
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} distinct `{{name}}` references
+ */
+function findVariables(text) {
+  const names = new Set();
+  for (const m of String(text || '').matchAll(VAR_RE)) names.add(m[1]);
+  return [...names];
+}
+
+/**
+ * Resolve a request right before sending it.
+ * @param {{ method: string, url: string, headers: Object, body: string }} request - headers as a name → value object
+ * @param {Object} vars
+ * @returns {{ method: string, url: string, headers: Object, body: string, unresolved: string[] }}
+ */
+function applyEnvironment(request, vars = {}) {
+  const headers = {};
+  for (const [key, value] of Object.entries(request.headers || {})) {
+    headers[substituteVariables(key, vars)] = substituteVariables(String(value ?? ''), vars);
+  }
+  const resolved = {
+    method: request.method,
+    url: substituteVariables(request.url || '', vars),
+    headers,
+    body: substituteVariables(request.body || '', vars),
+  };
+  resolved.unresolved = findVariables([resolved.url, ...Object.keys(headers), ...Object.values(headers), resolved.body].join('\n'));
+  return resolved;
+}
+
+/** Header rows → the object the tester sends (disabled and empty rows dropped). */
+function headersToObject(rows = []) {
+  const out = {};
+  for (const row of rows) {
+    if (row.enabled === false || !row.key) continue;
+    out[row.key] = row.value ?? '';
+  }
+  return out;
+}
+
+// ─── Import ───────────────────────────────────────────────────────────────────
+
+/**
+ * Convert a Postman (collection v2.x or environment) or Insomnia v4 export.
+ * @param {Object} data - parsed JSON export
+ * @returns {{ format: string, collections: Object[], environments: Object[] }}
+ * @throws {Error} when the file is not a supported export
+ */
+function importCollectionFile(data) {
+  if (!data || typeof data !== 'object') throw new Error('Not a JSON export');
+  if (data._type === 'export' && Array.isArray(data.resources)) return importInsomnia(data);
+  if (data.info && Array.isArray(data.item)) {
+    if (data.info.schema && !/v2\.[01]/.test(data.info.schema)) {
+      throw new Error('Only Postman collections v2.0 / v2.1 are supported');
+    }
+    return importPostmanCollection(data);
+  }
+  if (Array.isArray(data.values) && data.name) return importPostmanEnvironment(data);
+  throw new Error('Unrecognized file: expected a Postman collection or environment, or an Insomnia export');
+}
+
+// ── Postman ──
+
+function importPostmanCollection(data) {
+  const collection = { id: makeId('col'), name: data.info.name || 'Postman collection', requests: [] };
+
+  const walk = (items, prefix, inheritedAuth) => {
+    for (const item of items || []) {
+      const auth = item.auth || inheritedAuth;
+      if (Array.isArray(item.item)) {
+        walk(item.item, prefix ? `${prefix} / ${item.name}` : item.name, auth);
+      } else if (item.request) {
+        collection.requests.push(postmanRequest(item, prefix, auth));
+      }
+    }
+  };
+  walk(data.item, '', data.auth || null);
+
+  const environments = [];
+  const vars = postmanVariables(data.variable);
+  if (Object.keys(vars).length) environments.push({ id: makeId('env'), name: collection.name, variables: vars });
+  return { format: 'postman', collections: [collection], environments };
+}
+
+function postmanRequest(item, prefix, inheritedAuth) {
+  const req = typeof item.request === 'string' ? { method: 'GET', url: item.request } : item.request;
+  const headers = (Array.isArray(req.header) ? req.header : []).map(h => ({
+    key: h.key || '', value: h.value ?? '', enabled: !h.disabled,
+  }));
+
+  let body = '';
+  const b = req.body;
+  if (b && !b.disabled) {
+    if (b.mode === 'raw') {
+      body = b.raw || '';
+    } else if (b.mode === 'urlencoded' || b.mode === 'formdata') {
+      body = formEncode((b[b.mode] || []).filter(f => !f.disabled && f.type !== 'file').map(f => [f.key, f.value]));
+      addHeaderIfMissing(headers, 'Content-Type', 'application/x-www-form-urlencoded');
+    } else if (b.mode === 'graphql' && b.graphql) {
+      let variables = b.graphql.variables;
+      try { variables = variables ? JSON.parse(variables) : undefined; } catch (_) {}
+      body = JSON.stringify({ query: b.graphql.query, variables }, null, 2);
+      addHeaderIfMissing(headers, 'Content-Type', 'application/json');
+    }
+  }
+
+  const auth = req.auth || inheritedAuth;
+  if (auth && auth.type !== 'noauth') addAuthHeader(headers, auth.type, postmanAuthParams(auth[auth.type]));
+
+  return {
+    id: makeId('req'),
+    name: prefix ? `${prefix} / ${item.name}` : (item.name || 'Request'),
+    method: (req.method || 'GET').toUpperCase(),
+    url: postmanUrl(req.url),
+    headers,
+    body,
+  };
+}
+
+function postmanUrl(url) {
+  if (!url) return '';
+  if (typeof url === 'string') return url;
+  if (url.raw) return url.raw;
+  const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+  const pathPart = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+  const query = (url.query || []).filter(q => !q.disabled).map(q => `${q.key}=${q.value ?? ''}`).join('&');
+  return `${url.protocol ? url.protocol + '://' : ''}${host}${pathPart ? '/' + pathPart : ''}${query ? '?' + query : ''}`;
+}
+
+/** v2.1 stores auth params as [{ key, value }], v2.0 as an object. */
+function postmanAuthParams(params) {
+  if (Array.isArray(params)) return Object.fromEntries(params.map(p => [p.key, p.value]));
+  return params || {};
+}
+
+function postmanVariables(list) {
+  const vars = {};
+  for (const v of list || []) {
+    if (v.key && v.enabled !== false && !v.disabled) vars[v.key] = v.value == null ? '' : String(v.value);
+  }
+  return vars;
+}
+
+function importPostmanEnvironment(data) {
+  return {
+    format: 'postman-environment',
+    collections: [],
+    environments: [{ id: makeId('env'), name: data.name, variables: postmanVariables(data.values) }],
+  };
+}
+
+// ── Insomnia ──
+
+function importInsomnia(data) {
+  const byId = new Map(data.resources.map(r => [r._id, r]));
+  const collections = new Map(); // workspace id → collection
+  const environments = [];
+
+  const workspaceOf = (res) => {
+    let cur = res;
+    while (cur && cur._type !== 'workspace') cur = byId.get(cur.parentId);
+    return cur;
+  };
+  const folderPath = (res) => {
+    const names = [];
+    let cur = byId.get(res.parentId);
+    while (cur && cur._type === 'request_group') { names.unshift(cur.name); cur = byId.get(cur.parentId); }
+    return names.join(' / ');
+  };
+  const collectionFor = (res) => {
+    const ws = workspaceOf(res);
+    const key = ws?._id || '_';
+    if (!collections.has(key)) collections.set(key, { id: makeId('col'), name: ws?.name || 'Insomnia', requests: [] });
+    return collections.get(key);
+  };
+
+  for (const res of data.resources) {
+    if (res._type !== 'request') continue;
+    const headers = (res.headers || []).map(h => ({
+      key: h.name || '', value: insomniaTemplate(h.value ?? ''), enabled: !h.disabled,
+    }));
+
+    let body = '';
+    if (res.body?.text != null) {
+      body = insomniaTemplate(res.body.text);
+      if (res.body.mimeType) addHeaderIfMissing(headers, 'Content-Type', res.body.mimeType);
+    } else if (Array.isArray(res.body?.params)) {
+      body = formEncode(res.body.params.filter(p => !p.disabled && p.type !== 'file').map(p => [p.name, insomniaTemplate(p.value ?? '')]));
+      addHeaderIfMissing(headers, 'Content-Type', res.body.mimeType || 'application/x-www-form-urlencoded');
+    }
+
+    const auth = res.authentication;
+    if (auth?.type && !auth.disabled) {
+      addAuthHeader(headers, auth.type, {
+        token: insomniaTemplate(auth.token || ''),
+        prefix: auth.prefix,
+        username: insomniaTemplate(auth.username || ''),
+        password: insomniaTemplate(auth.password || ''),
+        key: auth.key,
+        value: insomniaTemplate(auth.value || ''),
+        in: auth.addTo === 'queryParams' ? 'query' : 'header',
+      });
+    }
+
+    const folder = folderPath(res);
+    collectionFor(res).requests.push({
+      id: makeId('req'),
+      name: folder ? `${folder} / ${res.name}` : (res.name || 'Request'),
+      method: (res.method || 'GET').toUpperCase(),
+      url: insomniaTemplate(res.url || ''),
+      headers,
+      body,
+    });
+  }
+
+  // Base environment (child of the workspace) + sub environments, which inherit its values
+  for (const base of data.resources.filter(r => r._type === 'environment' && byId.get(r.parentId)?._type === 'workspace')) {
+    const baseVars = insomniaVariables(base.data);
+    const subs = data.resources.filter(r => r._type === 'environment' && r.parentId === base._id);
+    if (!subs.length && Object.keys(baseVars).length) {
+      environments.push({ id: makeId('env'), name: base.name || 'Base Environment', variables: baseVars });
+    }
+    for (const sub of subs) {
+      environments.push({ id: makeId('env'), name: sub.name, variables: { ...baseVars, ...insomniaVariables(sub.data) } });
+    }
+  }
+
+  return { format: 'insomnia', collections: [...collections.values()], environments };
+}
+
+/** Insomnia references variables as {{ _.name }}. */
+function insomniaTemplate(text) {
+  return String(text).replace(/\{\{\s*_\.([\w.-]+)\s*\}\}/g, '{{$1}}');
+}
+
+/** Nested environment objects are flattened to dotted names. */
+function insomniaVariables(data, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(data || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) insomniaVariables(value, name, out);
+    else out[name] = value == null ? '' : insomniaTemplate(typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  return out;
+}
+
+// ── Shared import helpers ──
+
+function addHeaderIfMissing(headers, key, value) {
+  if (!headers.some(h => h.key.toLowerCase() === key.toLowerCase())) headers.push({ key, value, enabled: true });
+}
+
+function addAuthHeader(headers, type, params) {
+  if (type === 'bearer' && params.token) {
+    addHeaderIfMissing(headers, 'Authorization', `${params.prefix || 'Bearer'} ${params.token}`);
+  } else if (type === 'basic' && (params.username || params.password)) {
+    const credentials = `${params.username || ''}:${params.password || ''}`;
+    // Templated credentials can't be encoded ahead of time
+    if (!credentials.includes('{{')) addHeaderIfMissing(headers, 'Authorization', `Basic ${base64(credentials)}`);
+  } else if (type === 'apikey' && params.key && params.in !== 'query') {
+    addHeaderIfMissing(headers, params.key, params.value || '');
+  }
+}
+
+function base64(str) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(str, 'utf8').toString('base64');
+  return btoa(unescape(encodeURIComponent(str)));
+}
+
+function formEncode(pairs) {
+  return pairs.map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v ?? '')}`).join('&');
+}
+
+// ─── Response diff ────────────────────────────────────────────────────────────
+
+/** Pretty-print JSON bodies so diffs are line-based on structure. */
+function formatBody(body) {
+  if (typeof body !== 'string' || !body) return body || '';
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch (_) {
+    return body;
+  }
+}
+
+/**
+ * Line diff (LCS). Common prefix and suffix are matched first.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same'|'add'|'del', text: string }>}
+ */
+function diffLines(before, after) {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  let middle;
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    middle = [...midA.map(text => ({ type: 'del', text })), ...midB.map(text => ({ type: 'add', text }))];
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) { middle.push({ type: 'same', text: midA[i] }); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) middle.push({ type: 'del', text: midA[i++] });
+      else middle.push({ type: 'add', text: midB[j++] });
+    }
+    while (i < midA.length) middle.push({ type: 'del', text: midA[i++] });
+    while (j < midB.length) middle.push({ type: 'add', text: midB[j++] });
+  }
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Compare two recorded responses.
+ * @param {Object} before - { status, time, size, headers, body }
+ * @param {Object} after
+ * @returns {{ status: Object, time: Object, size: Object, headers: Object[], body: Object[], identical: boolean }}
+ */
+function diffResponses(before = {}, after = {}) {
+  const lower = (h) => Object.fromEntries(Object.entries(h || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const ha = lower(before.headers);
+  const hb = lower(after.headers);
+  const headers = [];
+  for (const key of [...new Set([...Object.keys(ha), ...Object.keys(hb)])].sort()) {
+    if (VOLATILE_HEADERS.has(key)) continue;
+    if (ha[key] !== hb[key]) headers.push({ key, before: ha[key] ?? null, after: hb[key] ?? null });
+  }
+  const body = diffLines(formatBody(before.body), formatBody(after.body));
+  return {
+    status: { before: before.status, after: after.status },
+    time: { before: before.time, after: after.time },
+    size: { before: before.size, after: after.size },
+    headers,
+    body,
+    identical: before.status === after.status && !headers.length && body.every(l => l.type === 'same'),
+  };
+}
+
+module.exports = {
+  makeId,
+  substituteVariables,
+  findVariables,
+  applyEnvironment,
+  headersToObject,
+  importCollectionFile,
+  formatBody,
+  diffLines,
+  diffResponses,
+};
@@ -0,0 +1,396 @@
+/**
+ * api-contract.js
+ * Assertions on saved API requests and the "run all" contract runner.
+ * Consumed by: api.ipc (main), ApiTesterPanel / ApiCollectionsView (renderer), the `api` MCP tool.
+ *
+ * Shapes (stored on a saved request):
+ *   assertion  { type: 'status', expected }                    — "200", "2xx", "200,201"
+ *              { type: 'jsonPath', target, op, expected }       — op: equals | notEquals | contains | exists | notExists | matches | lt | gt
+ *              { type: 'header', target, op, expected }         — op: exists | equals | contains | matches
+ *              { type: 'time', expected }                       — max milliseconds
+ *              { type: 'schema' }                               — JSON Schema of the matching route for the response status
+ *   extract    { name, from }                                   — `$.data.token` or `header:X-Token`, available as {{name}} afterwards
+ */
+
+'use strict';
+
+const { applyEnvironment, headersToObject } = require('./api-collections');
+
+const MAX_SCHEMA_ERRORS = 10;
+
+// ─── JSON path ────────────────────────────────────────────────────────────────
+
+/**
+ * Split `$.data.items[0]['first name']` (or `data.items.0`) into keys.
+ * @param {string} expr
+ * @returns {string[]}
+ */
+function parseJsonPath(expr) {
+  const keys = [];
+  const src = String(expr || '').trim().replace(/^\$/, '');
+  const re = /\.?([^.[\]]+)|\[(\d+)\]|\[\s*(['"])(.*?)\3\s*\]/g;
+  let m;
+  while ((m = re.exec(src)) !== null) keys.push(m[1] ?? m[2] ?? m[4]);
+  return keys;
+}
+
+/**
+ * @param {any} value
+ * @param {string} expr
+ * @returns {{ found: boolean, value: any }}
+ */
+function getJsonPath(value, expr) {
+  let cur = value;
+  for (const key of parseJsonPath(expr)) {
+    if (cur === null || typeof cur !== 'object' || !(key in cur)) return { found: false, value: undefined };
+    cur = cur[key];
+  }
+  return { found: true, value: cur };
+}
+
+// ─── JSON Schema ──────────────────────────────────────────────────────────────
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate against the JSON Schema keywords OpenAPI specs use
+ * (type, nullable, enum, const, properties, required, additionalProperties, items,
+ * length / size / range bounds, pattern, allOf / anyOf / oneOf / not).
+ * @param {any} value
+ * @param {Object} schema - refs already inlined
+ * @param {string} [at] - path of `value`, used in messages
+ * @returns {string[]} errors, empty when valid
+ */
+function validateSchema(value, schema, at = '$') {
+  const errors = [];
+  const check = (v, s, p) => {
+    if (errors.length >= MAX_SCHEMA_ERRORS || !s || typeof s !== 'object') return;
+    if (v === null && s.nullable) return;
+
+    if (s.type !== undefined) {
+      const types = Array.isArray(s.type) ? s.type : [s.type];
+      if (!types.some(t => typeMatches(v, t))) {
+        errors.push(`${p}: expected ${types.join(' | ')}, got ${typeOf(v)}`);
+        return;
+      }
+    }
+    if (s.const !== undefined && JSON.stringify(v) !== JSON.stringify(s.const)) errors.push(`${p}: expected ${JSON.stringify(s.const)}`);
+    if (Array.isArray(s.enum) && !s.enum.some(e => JSON.stringify(e) === JSON.stringify(v))) {
+      errors.push(`${p}: ${JSON.stringify(v)} is not one of ${s.enum.map(e => JSON.stringify(e)).join(', ')}`);
+    }
+
+    if (typeof v === 'string') {
+      if (s.minLength !== undefined && v.length < s.minLength) errors.push(`${p}: shorter than ${s.minLength}`);
+      if (s.maxLength !== undefined && v.length > s.maxLength) errors.push(`${p}: longer than ${s.maxLength}`);
+      if (s.pattern) {
+        try {
+          if (!new RegExp(s.pattern, 'u').test(v)) errors.push(`${p}: does not match ${s.pattern}`);
+        } catch (_) { /* pattern not supported by JS regexes */ }
+      }
+    }
+    if (typeof v === 'number') {
+      if (s.minimum !== undefined && v < s.minimum) errors.push(`${p}: below ${s.minimum}`);
+      if (s.maximum !== undefined && v > s.maximum) errors.push(`${p}: above ${s.maximum}`);
+      if (typeof s.exclusiveMinimum === 'number' && v <= s.exclusiveMinimum) errors.push(`${p}: not above ${s.exclusiveMinimum}`);
+      if (typeof s.exclusiveMaximum === 'number' && v >= s.exclusiveMaximum) errors.push(`${p}: not below ${s.exclusiveMaximum}`);
+    }
+    if (Array.isArray(v)) {
+      if (s.minItems !== undefined && v.length < s.minItems) errors.push(`${p}: fewer than ${s.minItems} items`);
+      if (s.maxItems !== undefined && v.length > s.maxItems) errors.push(`${p}: more than ${s.maxItems} items`);
+      if (s.items && !Array.isArray(s.items)) v.forEach((item, i) => check(item, s.items, `${p}[${i}]`));
+    }
+    if (typeOf(v) === 'object') {
+      for (const key of Array.isArray(s.required) ? s.required : []) {
+        if (!(key in v)) errors.push(`${p}: missing required property "${key}"`);
+      }
+      const props = s.properties || {};
+      for (const [key, sub] of Object.entries(v)) {
+        if (key in props) check(sub, props[key], `${p}.${key}`);
+        else if (s.additionalProperties === false) errors.push(`${p}: unexpected property "${key}"`);
+        else if (s.additionalProperties && typeof s.additionalProperties === 'object') check(sub, s.additionalProperties, `${p}.${key}`);
+      }
+    }
+
+    if (Array.isArray(s.allOf)) s.allOf.forEach(sub => check(v, sub, p));
+    const passing = (list) => list.filter(sub => validateSchema(v, sub, p).length === 0).length;
+    if (Array.isArray(s.anyOf) && passing(s.anyOf) === 0) errors.push(`${p}: does not match any of the allowed schemas`);
+    if (Array.isArray(s.oneOf) && passing(s.oneOf) !== 1) errors.push(`${p}: must match exactly one schema`);
+    if (s.not && validateSchema(v, s.not, p).length === 0) errors.push(`${p}: matches a forbidden schema`);
+  };
+  check(value, schema, at);
+  return errors;
+}
+
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
+const PARAM_RE = /\{[^}]+\}|:\w+|<[^>]+>|\$\{\w+\}|\[[^\]]+\]/g; // {id} :id <int:id> ${id} [id]
+
+function routePattern(routePath) {
+  const source = String(routePath).replace(/\/$/, '').split(PARAM_RE)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+  return new RegExp(`^${source}/?$`, 'i');
+}
+
+/**
+ * Find the detected or imported route a URL was sent to.
+ * @param {Object[]} routes - { method, path, responses? }
+ * @param {string} method
+ * @param {string} url
+ * @returns {Object|null}
+ */
+function matchRoute(routes, method, url) {
+  let pathname;
+  try { pathname = new URL(url).pathname; } catch (_) { pathname = String(url).split(/[?#]/)[0]; }
+  const candidates = (routes || []).filter(r => r.method === method || r.method === 'ALL');
+  // Prefer the most literal route (/users/me over /users/:id)
+  const literal = (r) => r.path.replace(PARAM_RE, '').length;
+  return candidates.filter(r => routePattern(r.path).test(pathname)).sort((a, b) => literal(b) - literal(a))[0] || null;
+}
+
+/** Schema declared for a status: exact code, then 2XX-style ranges, then default. */
+function responseSchema(route, status) {
+  const responses = route?.responses;
+  if (!responses) return null;
+  return responses[String(status)] || responses[`${String(status)[0]}XX`] || responses[`${String(status)[0]}xx`] || responses.default || null;
+}
+
+// ─── Assertions ───────────────────────────────────────────────────────────────
+
+function parseExpected(text) {
+  if (typeof text !== 'string') return text;
+  try { return JSON.parse(text); } catch (_) { return text; }
+}
+
+function sameValue(actual, expected) {
+  const exp = parseExpected(expected);
+  if (JSON.stringify(actual) === JSON.stringify(exp)) return true;
+  // "42" in the editor should match both 42 and "42"
+  return actual !== null && typeof actual !== 'object' && String(actual) === String(expected);
+}
+
+function show(value) {
+  if (value === undefined) return 'nothing';
+  const text = JSON.stringify(value);
+  return text.length > 80 ? text.slice(0, 77) + '...' : text;
+}
+
+function statusMatches(status, expected) {
+  return String(expected || '').split(',').map(s => s.trim()).filter(Boolean).some(code =>
+    /^\dxx$/i.test(code) ? String(status)[0] === code[0] : String(status) === code);
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case 'exists': return actual.found;
+    case 'notExists': return !actual.found;
+    case 'notEquals': return !actual.found || !sameValue(actual.value, expected);
+    case 'contains': {
+      if (!actual.found) return false;
+      if (Array.isArray(actual.value)) return actual.value.some(item => sameValue(item, expected));
+      return String(typeof actual.value === 'object' ? JSON.stringify(actual.value) : actual.value).includes(String(expected));
+    }
+    case 'matches': {
+      if (!actual.found) return false;
+      try { return new RegExp(expected).test(String(actual.value)); } catch (_) { return false; }
+    }
+    case 'lt': return actual.found && Number(actual.value) < Number(expected);
+    case 'gt': return actual.found && Number(actual.value) > Number(expected);
+    default: return actual.found && sameValue(actual.value, expected);
+  }
+}
+
+/** Short label for reports, e.g. `$.data.id equals 1`. */
+function describeAssertion(a) {
+  switch (a.type) {
+    case 'status': return `status is ${a.expected}`;
+    case 'time': return `time < ${a.expected}ms`;
+    case 'schema': return 'body matches the route schema';
+    case 'header': return `header ${a.target} ${a.op || 'exists'}${a.op && a.op !== 'exists' ? ` ${a.expected}` : ''}`;
+    default: return `${a.target} ${a.op || 'equals'}${['exists', 'notExists'].includes(a.op) ? '' : ` ${a.expected}`}`;
+  }
+}
+
+function parseBody(response) {
+  try { return { ok: true, value: JSON.parse(response.body) }; } catch (_) { return { ok: false, value: undefined }; }
+}
+
+function findHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === String(name).toLowerCase());
+  return key === undefined ? { found: false, value: undefined } : { found: true, value: headers[key] };
+}
+
+/**
+ * @param {Object[]} assertions
+ * @param {Object} response - { status, headers, body, time, error }
+ * @param {Object} [context] - { route } matched route, for schema assertions
+ * @returns {Array<{ assertion: Object, label: string, pass: boolean, skipped?: boolean, message: string }>}
+ */
+function evaluateAssertions(assertions, response, context = {}) {
+  const body = parseBody(response);
+  return (assertions || []).map(a => {
+    const label = describeAssertion(a);
+    const result = (pass, message, extra = {}) => ({ assertion: a, label, pass, message, ...extra });
+
+    if (response.error && !response.status) return result(false, response.error);
+
+    switch (a.type) {
+      case 'status':
+        return result(statusMatches(response.status, a.expected), `got ${response.status}`);
+      case 'time':
+        return result(response.time < Number(a.expected), `took ${response.time}ms`);
+      case 'header': {
+        const actual = findHeader(response.headers, a.target);
+        return result(compare(actual, a.op || 'exists', a.expected), actual.found ? `got ${show(actual.value)}` : 'header missing');
+      }
+      case 'schema': {
+        const schema = responseSchema(context.route, response.status);
+        if (!schema) return result(true, `no schema for ${response.status}`, { skipped: true });
+        if (!body.ok) return result(false, 'body is not JSON');
+        const errors = validateSchema(body.value, schema);
+        return result(errors.length === 0, errors.length ? errors.join('; ') : 'valid');
+      }
+      case 'jsonPath': {
+        if (!body.ok) return result(a.op === 'notExists', 'body is not JSON');
+        const actual = getJsonPath(body.value, a.target);
+        return result(compare(actual, a.op || 'equals', a.expected), actual.found ? `got ${show(actual.value)}` : 'path not found');
+      }
+      default:
+        return result(false, `unknown assertion type "${a.type}"`);
+    }
+  });
+}
+
+/**
+ * Values a request hands over to the following ones.
+ * @param {Object[]} extracts - { name, from }
+ * @param {Object} response
+ * @returns {Object} name → string value (missing values are left out)
+ */
+function extractValues(extracts, response) {
+  const out = {};
+  const body = parseBody(response);
+  for (const { name, from } of extracts || []) {
+    if (!name || !from) continue;
+    const actual = /^header:/i.test(from)
+      ? findHeader(response.headers, from.slice(7).trim())
+      : body.ok ? getJsonPath(body.value, from) : { found: false };
+    if (actual.found && actual.value !== undefined) {
+      out[name] = typeof actual.value === 'object' ? JSON.stringify(actual.value) : String(actual.value);
+    }
+  }
+  return out;
+}
+
+// ─── Runner ───────────────────────────────────────────────────────────────────
+
+/**
+ * Run saved requests in order. Values extracted from a response are substituted into the next ones.
+ * @param {Object[]} requests - saved requests ({ id, name, method, url, headers: rows, body, assertions, extract })
+ * @param {Object} options
+ * @param {Function} options.send - async ({ method, url, headers, body }) => response
+ * @param {Object} [options.variables] - environment variables
+ * @param {Object[]} [options.routes] - detected / imported routes, for schema assertions
+ * @param {boolean} [options.stopOnFailure]
+ * @param {Function} [options.onResult] - called after each request
+ * @returns {Promise<Object>} report { passed, failed, skipped, total, duration, variables, results }
+ */
+async function runCollection(requests, { send, variables = {}, routes = [], stopOnFailure = false, onResult } = {}) {
+  const started = Date.now();
+  const vars = { ...variables };
+  const results = [];
+
+  for (const saved of requests) {
+    const { unresolved, ...request } = applyEnvironment({
+      method: saved.method,
+      url: saved.url,
+      headers: headersToObject(saved.headers),
+      body: saved.body,
+    }, vars);
+
+    let response;
+    try {
+      response = await send(request);
+    } catch (e) {
+      response = { error: e.message, status: 0, headers: {}, body: '', time: 0, size: 0 };
+    }
+
+    const route = matchRoute(routes, request.method, request.url);
+    const assertions = evaluateAssertions(saved.assertions, response, { route });
+    const extracted = extractValues(saved.extract, response);
+    Object.assign(vars, extracted);
+
+    const requestError = response.error && !response.status ? response.error : null;
+    const result = {
+      requestId: saved.id,
+      name: saved.name || `${request.method} ${request.url}`,
+      method: request.method,
+      url: request.url,
+      status: response.status,
+      time: response.time,
+      error: requestError,
+      unresolved,
+      assertions,
+      extracted,
+      pass: !requestError && assertions.every(a => a.pass),
+    };
+    results.push(result);
+    if (onResult) onResult(result);
+    if (!result.pass && stopOnFailure) break;
+  }
+
+  const passed = results.filter(r => r.pass).length;
+  return {
+    passed,
+    failed: results.length - passed,
+    skipped: requests.length - results.length,
+    total: requests.length,
+    duration: Date.now() - started,
+    variables: vars,
+    results,
+  };
+}
+
+/**
+ * Plain-text report (MCP tool output, clipboard).
+ * @param {Object} report
+ * @param {string} [title]
+ * @returns {string}
+ */
+function formatReport(report, title = 'Contract tests') {
+  const lines = [`# ${title}: ${report.failed ? 'FAILED' : 'PASSED'} — ${report.passed}/${report.total} requests passed (${report.duration}ms)`, ''];
+  for (const r of report.results) {
+    lines.push(`${r.pass ? '✓' : '✗'} ${r.name} — ${r.method} ${r.url} → ${r.error ? `error: ${r.error}` : `${r.status} in ${r.time}ms`}`);
+    for (const a of r.assertions) {
+      lines.push(`    ${a.skipped ? '-' : a.pass ? '✓' : '✗'} ${a.label}${a.pass && !a.skipped ? '' : ` (${a.message})`}`);
+    }
+    if (r.unresolved?.length) lines.push(`    ! unresolved variables: ${r.unresolved.join(', ')}`);
+    const names = Object.keys(r.extracted || {});
+    if (names.length) lines.push(`    → ${names.map(n => `{{${n}}}`).join(', ')}`);
+  }
+  if (report.skipped) lines.push('', `${report.skipped} request(s) not run (stopped on first failure)`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseJsonPath,
+  getJsonPath,
+  validateSchema,
+  matchRoute,
+  responseSchema,
+  evaluateAssertions,
+  describeAssertion,
+  extractValues,
+  runCollection,
+  formatReport,
+};
@@ -0,0 +1,222 @@
+/**
+ * api-mock.js
+ * Responses of the API mock server: the matching detected / spec route answers with
+ * its example body, unless the route is overridden (status, latency, body) or is a
+ * CRUD-shaped route served from an in-memory store.
+ * Consumed by: ApiMockServer (main), ApiMockView (renderer: route keys, default statuses).
+ *
+ * Shapes:
+ *   config      { port, delay, crud, specFile, routes: { ["GET /users/:id"]: { enabled, status, delay, body } } }
+ *   store       Map<collection path, { items: Object[], nextId: number }>
+ *
+ * An explicit status or body makes a route static; otherwise, with `crud` on,
+ *   GET /users → list · POST /users → create · GET|PUT|PATCH|DELETE /users/:id → item
+ * and the list starts from the example of `GET /users` when it has one.
+ */
+
+'use strict';
+
+const { matchRoute } = require('./api-contract');
+
+const DEFAULT_MOCK_PORT = 4010;
+const MAX_DELAY_MS = 60000;
+const PARAM_SEGMENT_RE = /^(?:\{[^}]+\}|:\w+\??|<[^>]+>|\$\{\w+\}|\[[^\]]+\])$/; // {id} :id <int:id> ${id} [id]
+
+const STATUS_TEXT = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content',
+  400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict', 422: 'Unprocessable Entity', 429: 'Too Many Requests',
+  500: 'Internal Server Error', 502: 'Bad Gateway', 503: 'Service Unavailable', 504: 'Gateway Timeout',
+};
+
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+/**
+ * Fill in defaults and drop invalid values.
+ * @param {Object} [config]
+ * @returns {{ port: number, delay: number, crud: boolean, specFile: string|null, routes: Object }}
+ */
+function normalizeMockConfig(config = {}) {
+  const port = parseInt(config.port, 10);
+  const routes = {};
+  for (const [key, rc] of Object.entries(config.routes || {})) {
+    if (!rc || typeof rc !== 'object') continue;
+    const entry = {};
+    if (rc.enabled === false) entry.enabled = false;
+    const status = parseInt(rc.status, 10);
+    if (status >= 100 && status <= 599) entry.status = status;
+    if (rc.delay !== undefined && rc.delay !== '') entry.delay = clampDelay(rc.delay);
+    if (typeof rc.body === 'string' && rc.body.trim()) entry.body = rc.body;
+    if (Object.keys(entry).length) routes[key] = entry;
+  }
+  return {
+    port: port > 0 && port < 65536 ? port : DEFAULT_MOCK_PORT,
+    delay: clampDelay(config.delay),
+    crud: config.crud !== false,
+    specFile: config.specFile || null,
+    routes,
+  };
+}
+
+function clampDelay(value) {
+  const ms = parseInt(value, 10);
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_DELAY_MS) : 0;
+}
+
+/** @param {{ method: string, path: string }} route */
+function routeKey(route) {
+  return `${route.method} ${route.path}`;
+}
+
+/**
+ * Status answered when the route is not overridden: its first documented 2xx, else by method.
+ * @param {Object} route
+ * @returns {number}
+ */
+function defaultStatus(route) {
+  const codes = Object.keys({ ...route.responses, ...route.examples }).map(Number).filter(c => c >= 200 && c < 300).sort();
+  if (codes.length) return codes[0];
+  if (route.method === 'POST') return 201;
+  if (route.method === 'DELETE') return 204;
+  return 200;
+}
+
+/** Example documented for a status: exact code, then 2XX-style range, then default. */
+function exampleFor(route, status) {
+  const examples = route.examples;
+  if (!examples) return undefined;
+  const range = `${String(status)[0]}XX`;
+  return examples[status] ?? examples[range] ?? examples[range.toLowerCase()] ?? examples.default;
+}
+
+// ─── CRUD store ───────────────────────────────────────────────────────────────
+
+function createMockStore() {
+  return new Map();
+}
+
+/** /users/:id → true, /users → false */
+function isItemRoute(route) {
+  const segments = route.path.split('/').filter(Boolean);
+  return segments.length > 0 && PARAM_SEGMENT_RE.test(segments[segments.length - 1]);
+}
+
+/** Decoded path segment, or the raw one when its percent-encoding is malformed. */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (_) {
+    return segment;
+  }
+}
+
+function itemId(item) {
+  return item && typeof item === 'object' ? item.id ?? item._id : undefined;
+}
+
+/** Collection rows of a store, seeded once from an example list. */
+function collection(store, key, seed) {
+  if (!store.has(key)) {
+    const items = Array.isArray(seed) ? seed.filter(i => i && typeof i === 'object').map(i => ({ ...i })) : [];
+    const ids = items.map(i => Number(itemId(i))).filter(Number.isFinite);
+    store.set(key, { items, nextId: (ids.length ? Math.max(...ids) : items.length) + 1 });
+  }
+  return store.get(key);
+}
+
+/**
+ * Serve a CRUD-shaped route from the store.
+ * @param {Map} store
+ * @param {Object} route - matched route
+ * @param {{ method: string, pathname: string, body: any, seed?: Object[] }} request
+ *   seed: initial rows of the collection (example of its GET list route)
+ * @returns {{ status: number, body: any }|null} null when the route is not CRUD-shaped
+ */
+function handleCrud(store, route, { method, pathname, body, seed }) {
+  const parts = pathname.replace(/\/+$/, '').split('/');
+
+  if (!isItemRoute(route)) {
+    const rows = collection(store, parts.join('/') || '/', seed);
+    if (method === 'GET') return { status: 200, body: rows.items };
+    if (method !== 'POST') return null;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { status: 400, body: { error: 'Expected a JSON object body' } };
+    const item = { id: rows.nextId++, ...body };
+    rows.items.push(item);
+    return { status: 201, body: item };
+  }
+
+  if (!['GET', 'PUT', 'PATCH', 'DELETE'].includes(method)) return null;
+  const id = decodeSegment(parts.pop());
+  const rows = collection(store, parts.join('/') || '/', seed);
+  const index = rows.items.findIndex(i => String(itemId(i)) === id);
+  if (index === -1) return { status: 404, body: { error: `No item with id ${id}` } };
+
+  if (method === 'GET') return { status: 200, body: rows.items[index] };
+  if (method === 'DELETE') {
+    rows.items.splice(index, 1);
+    return { status: 204, body: undefined };
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { status: 400, body: { error: 'Expected a JSON object body' } };
+  const current = rows.items[index];
+  const idField = current.id !== undefined ? 'id' : '_id';
+  rows.items[index] = method === 'PUT' ? { ...body, [idField]: itemId(current) } : { ...current, ...body, [idField]: itemId(current) };
+  return { status: 200, body: rows.items[index] };
+}
+
+// ─── Response ─────────────────────────────────────────────────────────────────
+
+/**
+ * Response of the mock server to a request.
+ * @param {{ routes: Object[], config: Object, store: Map, method: string, url: string, body?: any }} params
+ *   body: parsed JSON when possible, else the raw text
+ * @returns {{ status: number, body: string, contentType: string, delay: number, route: Object|null }}
+ */
+function mockResponse({ routes, config, store, method, url, body }) {
+  const cfg = normalizeMockConfig(config);
+  const pathname = String(url).split(/[?#]/)[0] || '/';
+  const route = matchRoute(routes, method, pathname);
+  const rc = route ? cfg.routes[routeKey(route)] || {} : {};
+
+  if (!route || rc.enabled === false) {
+    return json(404, { error: `No mock for ${method} ${pathname}` }, cfg.delay, null);
+  }
+  const delay = rc.delay ?? cfg.delay;
+
+  if (rc.body !== undefined) {
+    const contentType = /^\s*[[{"]/.test(rc.body) ? 'application/json' : 'text/plain';
+    return { status: rc.status || defaultStatus(route), body: rc.body, contentType, delay, route };
+  }
+
+  if (rc.status === undefined && cfg.crud) {
+    const listPath = isItemRoute(route) ? route.path.replace(/\/[^/]+\/?$/, '') || '/' : route.path;
+    const listRoute = routes.find(r => r.method === 'GET' && r.path === listPath);
+    const crud = handleCrud(store, route, { method, pathname, body, seed: listRoute && exampleFor(listRoute, 200) });
+    if (crud) return json(crud.status, crud.body, delay, route);
+  }
+
+  const status = rc.status || defaultStatus(route);
+  let example = exampleFor(route, status);
+  if (example === undefined && status >= 400) example = { error: STATUS_TEXT[status] || `HTTP ${status}` };
+  if (example === undefined && status !== 204) example = { mock: true, route: routeKey(route) };
+  return json(status, example, delay, route);
+}
+
+function json(status, value, delay, route) {
+  return {
+    status,
+    body: value === undefined || status === 204 ? '' : JSON.stringify(value, null, 2),
+    contentType: 'application/json',
+    delay,
+    route,
+  };
+}
+
+module.exports = {
+  DEFAULT_MOCK_PORT,
+  STATUS_TEXT,
+  normalizeMockConfig,
+  routeKey,
+  defaultStatus,
+  createMockStore,
+  handleCrud,
+  mockResponse,
+};
@@ -0,0 +1,157 @@
+/**
+ * browser-errors.js
+ * Errors of the web app preview: turns console messages of the embedded page (webview
+ * `console-message` events) and its failed requests (session `webRequest` events) into browser
+ * errors — uncaught exceptions / console.error and failed network requests — and recognizes
+ * dev server HMR failures that need a full reload.
+ * Consumed by: WebAppTerminalPanel / WebAppRendererService (renderer), WebAppService /
+ * WebAppBrowserLog (main),
+ * the webapp MCP tools (copied to mcp-servers/shared when packaged).
+ *
+ * Pure functions. Entry shape:
+ *   { kind: 'console'|'network'|'hmr', message, timestamp, source?, line?, url?, status?, statusText? }
+ *     console: source / line of the script that logged it
+ *     network: url, status (0 when the request failed without response), statusText
+ *     hmr:     HMR failure that triggered an automatic reload (informational)
+ */
+
+'use strict';
+
+const MAX_BROWSER_ERRORS = 200;
+const CONSOLE_LEVEL_ERROR = 3;
+
+const STATUS_RE = /^Failed to load resource: the server responded with a status of (\d{3})(?: \(([^)]*)\))?/;
+const NET_ERROR_RE = /^Failed to load resource: (net::ERR_[A-Z_]+)/;
+const CORS_RE = /^Access to (?:fetch|XMLHttpRequest) at '([^']+)' from origin '[^']*' has been blocked by CORS policy/;
+const IGNORED_URL_RE = /\/favicon\.ico(?:[?#]|$)/;
+
+// Messages of dev clients (Vite, webpack, Next, Parcel) after which the page is stale
+const HMR_FAILURE_PATTERNS = [
+  /\[hmr\] Failed to reload /i,
+  /\[vite\] Failed to reload /i,
+  /\[HMR\] Cannot apply update/,
+  /\[HMR\] The following modules couldn't be hot updated/,
+  /\[webpack-dev-server\] App hot update failed/,
+  /\[parcel\] .*hot update failed/i,
+  /Failed to fetch dynamically imported module/,
+  /error loading dynamically imported module/i,
+  /ChunkLoadError: Loading chunk .* failed/,
+];
+
+/**
+ * Browser error of a console message, or null when it is not one.
+ * @param {{ level: number, message: string, sourceId?: string, line?: number }} event
+ * @param {number} [now]
+ * @returns {Object|null}
+ */
+function classifyConsoleMessage({ level, message, sourceId, line }, now = Date.now()) {
+  if (level < CONSOLE_LEVEL_ERROR || typeof message !== 'string' || message.startsWith('__CT_')) return null;
+
+  const status = message.match(STATUS_RE);
+  if (status) {
+    if (IGNORED_URL_RE.test(sourceId || '')) return null;
+    return { kind: 'network', message, timestamp: now, url: sourceId || '', status: Number(status[1]), statusText: status[2] || '' };
+  }
+  const netError = message.match(NET_ERROR_RE);
+  if (netError) {
+    if (IGNORED_URL_RE.test(sourceId || '')) return null;
+    return { kind: 'network', message, timestamp: now, url: sourceId || '', status: 0, statusText: netError[1] };
+  }
+  const cors = message.match(CORS_RE);
+  if (cors) {
+    return { kind: 'network', message, timestamp: now, url: cors[1], status: 0, statusText: 'CORS' };
+  }
+
+  const entry = { kind: 'console', message, timestamp: now };
+  if (sourceId) entry.source = sourceId;
+  if (line) entry.line = line;
+  return entry;
+}
+
+/**
+ * Failed load of the page itself (webview `did-fail-load` of the main frame).
+ * @param {{ errorCode: number, errorDescription: string, validatedURL: string, isMainFrame: boolean }} event
+ * @returns {Object|null} null for aborted loads (navigation replaced by another one)
+ */
+function classifyLoadFailure({ errorCode, errorDescription, validatedURL, isMainFrame }, now = Date.now()) {
+  if (!isMainFrame || errorCode === -3) return null;
+  return {
+    kind: 'network',
+    message: `Page failed to load: ${errorDescription || errorCode}`,
+    timestamp: now,
+    url: validatedURL || '',
+    status: 0,
+    statusText: errorDescription || String(errorCode),
+  };
+}
+
+/**
+ * Failed request of the page (webRequest `onErrorOccurred`, or `onCompleted` with an error status).
+ * The main frame is left to classifyLoadFailure; cancelled requests are not errors.
+ * @param {{ url: string, method?: string, resourceType?: string, error?: string, statusCode?: number, statusLine?: string }} details
+ * @param {number} [now]
+ * @returns {Object|null}
+ */
+function classifyRequestFailure({ url, method, resourceType, error, statusCode, statusLine }, now = Date.now()) {
+  if (resourceType === 'mainFrame' || !/^https?:/.test(url || '') || IGNORED_URL_RE.test(url)) return null;
+  const request = `${method || 'GET'} ${url}`;
+  if (error) {
+    if (error === 'net::ERR_ABORTED') return null;
+    return { kind: 'network', message: `${request} failed: ${error}`, timestamp: now, url, status: 0, statusText: error };
+  }
+  if (!(statusCode >= 400)) return null;
+  const statusText = (statusLine || '').replace(/^HTTP\/[\d.]+\s+\d{3}\s*/, '');
+  return { kind: 'network', message: `${request} responded with ${statusCode}${statusText ? ` ${statusText}` : ''}`, timestamp: now, url, status: statusCode, statusText };
+}
+
+/**
+ * @param {string} message - any console message of the page
+ * @returns {boolean}
+ */
+function isHmrFailure(message) {
+  return typeof message === 'string' && HMR_FAILURE_PATTERNS.some(re => re.test(message));
+}
+
+/** Identity of an error, to drop repeats. */
+function browserErrorKey(entry) {
+  return entry.kind === 'network'
+    ? `network|${entry.status}|${entry.url}`
+    : `${entry.kind}|${entry.message}`;
+}
+
+/**
+ * One line: "[network] 404 Not Found http://…", "[console] TypeError: … (app.js:12)".
+ * @param {Object} entry
+ * @returns {string}
+ */
+function formatBrowserError(entry) {
+  if (entry.kind === 'network') {
+    const status = entry.status ? `${entry.status}${entry.statusText ? ` ${entry.statusText}` : ''}` : entry.statusText || 'failed';
+    return `[network] ${status} ${entry.url}`;
+  }
+  const where = entry.source ? ` (${entry.source}${entry.line ? `:${entry.line}` : ''})` : '';
+  return `[${entry.kind}] ${entry.message}${where}`;
+}
+
+/**
+ * Add entries to a list, newest last, capped.
+ * @param {Object[]} list
+ * @param {Object[]} entries
+ * @param {number} [max]
+ * @returns {Object[]}
+ */
+function appendBrowserErrors(list, entries, max = MAX_BROWSER_ERRORS) {
+  const merged = [...(Array.isArray(list) ? list : []), ...entries];
+  return merged.length > max ? merged.slice(merged.length - max) : merged;
+}
+
+module.exports = {
+  MAX_BROWSER_ERRORS,
+  classifyConsoleMessage,
+  classifyLoadFailure,
+  classifyRequestFailure,
+  isHmrFailure,
+  browserErrorKey,
+  formatBrowserError,
+  appendBrowserErrors,
+};
@@ -0,0 +1,206 @@
+/**
+ * dev-processes.js
+ * Process list of a web app project: several dev commands (vite, an API server,
+ * a queue worker...) started together, each with its own console colour and port.
+ * Consumed by: WebAppService (main: spawn, restart policy), WebAppRendererService
+ * (renderer: console prefixes, error detection), WebAppProcessStrip (editor).
+ *
+ * Shapes:
+ *   project.devProcesses  [{ id, name, command, cwd, env: { KEY: value }, color, autoRestart }]
+ *   project.devCommand    legacy single command, used as the `main` process when no list is set
+ *
+ * An empty command means "auto-detect from package.json" (only meaningful for the legacy entry).
+ */
+
+'use strict';
+
+const LEGACY_PROCESS_ID = 'main';
+
+/** Console colours: name → ANSI SGR code + CSS colour of the tab. */
+const PROCESS_COLORS = {
+  cyan: { ansi: 36, css: '#22d3ee' },
+  magenta: { ansi: 35, css: '#e879f9' },
+  yellow: { ansi: 33, css: '#facc15' },
+  green: { ansi: 32, css: '#4ade80' },
+  blue: { ansi: 34, css: '#60a5fa' },
+  red: { ansi: 31, css: '#f87171' },
+};
+const COLOR_NAMES = Object.keys(PROCESS_COLORS);
+
+const MAX_RESTARTS = 5;
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 30000;
+const STABLE_UPTIME = 60000; // a process up this long is healthy again: its restart count resets
+
+// ─── Process list ─────────────────────────────────────────────────────────────
+
+function slugify(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Process list of a project, with defaults filled in and unique ids.
+ * Falls back to the legacy `devCommand` as a single `main` process.
+ * @param {{ devProcesses?: Object[], devCommand?: string }} project
+ * @returns {{ id: string, name: string, command: string, cwd: string, env: Object, color: string, autoRestart: boolean }[]}
+ */
+function normalizeDevProcesses(project = {}) {
+  const list = Array.isArray(project.devProcesses)
+    ? project.devProcesses.filter(p => p && typeof p.command === 'string' && p.command.trim())
+    : [];
+
+  if (!list.length) {
+    return [{
+      id: LEGACY_PROCESS_ID,
+      name: 'dev',
+      command: (project.devCommand || '').trim(),
+      cwd: '',
+      env: {},
+      color: COLOR_NAMES[0],
+      autoRestart: false,
+    }];
+  }
+
+  const used = new Set();
+  return list.map((p, i) => {
+    const base = slugify(p.id) || slugify(p.name) || `process-${i + 1}`;
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    return {
+      id,
+      name: String(p.name || '').trim() || id,
+      command: p.command.trim(),
+      cwd: typeof p.cwd === 'string' ? p.cwd.trim() : '',
+      env: normalizeEnv(p.env),
+      color: PROCESS_COLORS[p.color] ? p.color : COLOR_NAMES[i % COLOR_NAMES.length],
+      autoRestart: p.autoRestart === true,
+    };
+  });
+}
+
+function normalizeEnv(env) {
+  const out = {};
+  if (!env || typeof env !== 'object') return out;
+  for (const [key, value] of Object.entries(env)) {
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && value !== undefined && value !== null) out[key] = String(value);
+  }
+  return out;
+}
+
+/**
+ * Parse `KEY=value` lines (blank lines and `#` comments ignored, surrounding quotes removed).
+ * @param {string} text
+ * @returns {Object}
+ */
+function parseEnv(text) {
+  const env = {};
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const m = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!m) continue;
+    env[m[1]] = m[2].replace(/^(["'])(.*)\1$/, '$2');
+  }
+  return env;
+}
+
+/** @param {Object} env @returns {string} */
+function formatEnv(env) {
+  return Object.entries(env || {}).map(([key, value]) => `${key}=${value}`).join('\n');
+}
+
+// ─── Restart policy ───────────────────────────────────────────────────────────
+
+/**
+ * Delay before restarting a process that exited, or null when it should stay down.
+ * Only crashes (non-zero exit) of auto-restart processes that were not stopped on purpose
+ * are restarted, with an exponential backoff and at most MAX_RESTARTS attempts in a row.
+ * @param {{ autoRestart: boolean, stopping?: boolean, code: number, restarts: number, uptime: number }} state
+ *   restarts: attempts already made since the process was last healthy
+ * @returns {{ delay: number, attempt: number }|null}
+ */
+function planRestart({ autoRestart, stopping, code, restarts, uptime }) {
+  if (!autoRestart || stopping || code === 0) return null;
+  const attempt = (uptime >= STABLE_UPTIME ? 0 : restarts) + 1;
+  if (attempt > MAX_RESTARTS) return null;
+  return { delay: Math.min(RESTART_BASE_DELAY * 2 ** (attempt - 1), RESTART_MAX_DELAY), attempt };
+}
+
+// ─── Console output ───────────────────────────────────────────────────────────
+
+/**
+ * Stateful line prefixer for the combined console: inserts a coloured `[name]`
+ * at the start of every line, including lines split across chunks.
+ * @param {string} name
+ * @param {string} color - key of PROCESS_COLORS
+ * @returns {(data: string) => string}
+ */
+function createLinePrefixer(name, color) {
+  const ansi = (PROCESS_COLORS[color] || PROCESS_COLORS.cyan).ansi;
+  const prefix = `\x1b[${ansi}m[${name}]\x1b[0m `;
+  let atLineStart = true;
+  return (data) => {
+    let out = '';
+    for (let i = 0; i < data.length; i++) {
+      const ch = data[i];
+      if (atLineStart && ch !== '\n' && ch !== '\r') {
+        out += prefix;
+        atLineStart = false;
+      }
+      out += ch;
+      if (ch === '\n') atLineStart = true;
+    }
+    return out;
+  };
+}
+
+function stripAnsi(text) {
+  return String(text)
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b[@-Z\\-_]|\x1b\[[0-9;?]*[A-Za-z]/g, '');
+}
+
+const ERROR_LINE_RE = [
+  /\b(?:Uncaught|Unhandled)\b.*\b(?:Error|Exception|Rejection)\b/i,
+  /^\s*(?:\w+)?Error(?:\s*\[[\w-]+\])?:\s/, // TypeError: ..., Error [ERR_X]: ...
+  /^\s*(?:\[ERROR\]|\[error\]|ERROR:?\s)/,
+  /\b(?:Failed to compile|Build failed|Compilation failed|Internal server error)\b/i,
+  /\bEADDRINUSE\b|\bnpm ERR!|\bERR_PNPM_\w+/,
+  /^Traceback \(most recent call last\)/,
+  /^\s*(?:panic|fatal error):/i,
+  /^\s*✘\s/,
+];
+
+const CONTINUATION_RE = [
+  /^\s+at\s/,                 // JS stack frame
+  /^\s+File ".*", line \d+/,  // Python frame
+  /^\s*\d+\s*\|/,             // code frame
+  /^\s*>\s*\d+\s*\|/,
+  /^\s*\|?\s*\^+/,
+  /^\s{2,}\S/,
+];
+
+/** @param {string} line - raw console line @returns {boolean} */
+function isErrorLine(line) {
+  const clean = stripAnsi(line);
+  return ERROR_LINE_RE.some(re => re.test(clean));
+}
+
+/** Line that belongs to the error above it (stack frame, code frame, indented detail). */
+function isErrorContinuation(line) {
+  const clean = stripAnsi(line);
+  return CONTINUATION_RE.some(re => re.test(clean));
+}
+
+module.exports = {
+  LEGACY_PROCESS_ID,
+  PROCESS_COLORS,
+  MAX_RESTARTS,
+  normalizeDevProcesses,
+  parseEnv,
+  formatEnv,
+  planRestart,
+  createLinePrefixer,
+  stripAnsi,
+  isErrorLine,
+  isErrorContinuation,
+};
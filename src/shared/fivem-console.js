@@ -0,0 +1,320 @@
+/**
+ * fivem-console.js
+ * Structured FXServer console: turns the raw output lines of a server
+ * ("[  script:shops] SCRIPT ERROR: @shops/server.lua:12: …", "[ resources] Started resource shops")
+ * into entries with their channel, resource and level, attaches the stack lines that follow a
+ * script error ("> fn (@shops/server.lua:12)", "stack traceback:", "    at fn (…)") to it, and
+ * groups repeated errors so a loop failing every tick shows up once, with a count.
+ * Consumed by: FivemRendererService, FivemState, FivemTerminalPanel (renderer).
+ *
+ * Pure functions. Entry shape:
+ *   { id, time, serverTime, channel, resource, level: 'error'|'warn'|'info', text,
+ *     stack: [{ text, fn, resource, file, line }] }
+ * Error group shape:
+ *   { key, resource, location: { resource, file, line } | null, message, entry, context,
+ *     count, timestamp (first seen), lastSeen }
+ */
+
+'use strict';
+
+const LEVELS = ['info', 'warn', 'error'];
+
+const MAX_ERROR_GROUPS = 50;
+
+// Leading "[12:03:44]" / "2024-05-01 12:03:44" added by txAdmin or con_timestamps
+const TIMESTAMP_RE = /^\[?((?:\d{4}-\d{2}-\d{2}[ T])?\d{1,2}:\d{2}:\d{2}(?:\.\d+)?)\]?\s+/;
+// "[      script:shops] text" — FXServer pads the channel name to a fixed width
+const CHANNEL_RE = /^\[\s*([^\]\s][^\]]*?)\s*\]\s?(.*)$/;
+// "@shops/server/main.lua:12"
+const LOCATION_RE = /@([^\s/:()'"]+)\/([^\s:()'"]+):(\d+)/;
+const RESOURCE_EVENT_RE = /\b(?:Started|Starting|Stopping|Stopped|start|load|find) resource ([\w-]+)/i;
+
+const ERROR_PATTERNS = [
+  /SCRIPT ERROR/i,
+  /^\w*Error\b:?/,
+  /\[ERROR\]/i,
+  /FATAL ERROR/i,
+  /^Error (?:loading|running)/i,
+  /\bCouldn't (?:start|load|find)\b/i,
+  /\bFailed to (?:start|load)\b/i,
+  /\blua_run failed\b/i
+];
+const WARN_PATTERNS = [/^\[?warn(?:ing)?\b/i, /\bwarning:/i, /\[WARN\]/i];
+
+/**
+ * Remove ANSI escapes and FiveM color codes (^1 … ^9).
+ * @param {string} line
+ * @returns {string}
+ */
+function cleanConsoleLine(line) {
+  return String(line || '')
+    .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+    .replace(/\^[0-9]/g, '')
+    .replace(/\r/g, '')
+    .trimEnd();
+}
+
+/**
+ * @param {string} text
+ * @returns {'error'|'warn'|'info'}
+ */
+function detectLevel(text) {
+  const trimmed = text.trim();
+  if (ERROR_PATTERNS.some(re => re.test(trimmed))) return 'error';
+  if (WARN_PATTERNS.some(re => re.test(trimmed))) return 'warn';
+  return 'info';
+}
+
+/**
+ * First "@resource/file:line" of a text.
+ * @param {string} text
+ * @returns {{ resource: string, file: string, line: number }|null}
+ */
+function findLocation(text) {
+  const match = LOCATION_RE.exec(text);
+  return match ? { resource: match[1], file: match[2], line: Number(match[3]) } : null;
+}
+
+/**
+ * Split one console line into its timestamp, channel, resource, level and text.
+ * @param {string} line
+ * @returns {{ serverTime: string|null, channel: string|null, resource: string|null, level: string, text: string }}
+ */
+function parseConsoleLine(line) {
+  let text = cleanConsoleLine(line);
+  let serverTime = null;
+  let channel = null;
+
+  const time = TIMESTAMP_RE.exec(text);
+  if (time) {
+    serverTime = time[1];
+    text = text.slice(time[0].length);
+  }
+  const prefix = CHANNEL_RE.exec(text);
+  if (prefix) {
+    channel = prefix[1];
+    text = prefix[2];
+  }
+
+  let resource = null;
+  if (channel && channel.startsWith('script:')) {
+    resource = channel.slice('script:'.length);
+  } else {
+    const event = RESOURCE_EVENT_RE.exec(text);
+    const location = findLocation(text);
+    if (event) resource = event[1];
+    else if (location) resource = location.resource;
+  }
+
+  return { serverTime, channel, resource, level: detectLevel(text), text };
+}
+
+/**
+ * Whether a line continues the stack of the error printed before it.
+ * @param {string} text - line text, without timestamp and channel
+ * @returns {boolean}
+ */
+function isStackLine(text) {
+  return /^\s+\S/.test(text) || /^>\s?\S/.test(text) || /^stack traceback:/i.test(text) || /^at\s/.test(text);
+}
+
+/**
+ * @param {string} text
+ * @returns {{ text: string, fn: string|null, resource: string|null, file: string|null, line: number|null }}
+ */
+function parseStackFrame(text) {
+  const trimmed = text.trim();
+  const location = findLocation(trimmed);
+  const fn = /^>\s*([^\s(@][^(]*?)\s*\(/.exec(trimmed)
+    || /in (?:function|upvalue|local|method|field) '([^']+)'/.exec(trimmed)
+    || /^at\s+(\S+)\s+\(/.exec(trimmed);
+  return {
+    text: trimmed,
+    fn: fn ? fn[1] : null,
+    resource: location ? location.resource : null,
+    file: location ? location.file : null,
+    line: location ? location.line : null
+  };
+}
+
+/**
+ * Stateful parser of the output of one server: script errors stay open while their stack
+ * lines arrive, and are completed by the next regular line or by flush().
+ * @param {{ now?: Function }} [options]
+ * @returns {{ push: Function, flush: Function, pending: Function }}
+ */
+function createConsoleParser({ now = Date.now } = {}) {
+  let nextId = 1;
+  let open = null;
+
+  return {
+    /**
+     * @param {string[]} lines - complete lines
+     * @returns {{ entries: Object[], completed: Object[] }} new entries, and the errors whose stack is complete
+     */
+    push(lines) {
+      const entries = [];
+      const completed = [];
+      for (const line of lines) {
+        const parsed = parseConsoleLine(line);
+        if (!parsed.text.trim()) continue;
+
+        if (open && parsed.channel === open.channel && isStackLine(parsed.text)) {
+          const frame = parseStackFrame(parsed.text);
+          if (frame.text.toLowerCase() !== 'stack traceback:') open.stack.push(frame);
+          continue;
+        }
+        if (open) {
+          completed.push(open);
+          open = null;
+        }
+
+        const entry = { id: nextId++, time: now(), ...parsed, stack: [] };
+        entries.push(entry);
+        if (entry.level === 'error') open = entry;
+      }
+      return { entries, completed };
+    },
+
+    /**
+     * Complete the open error, if any (no more lines are expected for now).
+     * @returns {Object[]}
+     */
+    flush() {
+      const done = open ? [open] : [];
+      open = null;
+      return done;
+    },
+
+    /** @returns {boolean} an error is waiting for stack lines */
+    pending() {
+      return open !== null;
+    }
+  };
+}
+
+/**
+ * Where an error points to: its own "@resource/file:line", else the first frame of its stack.
+ * @param {Object} entry
+ * @returns {{ resource: string, file: string, line: number }|null}
+ */
+function entryLocation(entry) {
+  const own = findLocation(entry.text);
+  if (own) return own;
+  const frame = entry.stack.find(f => f.file);
+  return frame ? { resource: frame.resource, file: frame.file, line: frame.line } : null;
+}
+
+/**
+ * Distinct files / lines referenced by an error and its stack, in order.
+ * @param {Object} entry
+ * @param {number} [max]
+ * @returns {{ resource: string, file: string, line: number }[]}
+ */
+function entryLocations(entry, max = 5) {
+  const seen = new Set();
+  const locations = [];
+  const own = findLocation(entry.text);
+  [own, ...entry.stack].forEach((location) => {
+    if (!location || !location.file) return;
+    const key = `${location.resource}/${location.file}:${location.line}`;
+    if (seen.has(key) || locations.length >= max) return;
+    seen.add(key);
+    locations.push({ resource: location.resource, file: location.file, line: location.line });
+  });
+  return locations;
+}
+
+/**
+ * Identity of an error: resource, location and message with the numbers / addresses that
+ * change between occurrences blanked out.
+ * @param {Object} entry
+ * @returns {string}
+ */
+function errorKey(entry) {
+  const location = entryLocation(entry);
+  const message = entry.text
+    .replace(/^SCRIPT ERROR:\s*/i, '')
+    .replace(new RegExp(LOCATION_RE.source, 'g'), '')
+    .replace(/0x[0-9a-f]+/gi, '#')
+    .replace(/\d+(?:\.\d+)?/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const where = location ? `${location.resource}/${location.file}:${location.line}` : '';
+  return `${entry.resource || ''}|${where}|${message}`;
+}
+
+/**
+ * The error and its stack, as printed.
+ * @param {Object} entry
+ * @returns {string}
+ */
+function formatEntry(entry) {
+  const prefix = entry.channel ? `[${entry.channel}] ` : '';
+  return [prefix + entry.text, ...entry.stack.map(frame => `  ${frame.text}`)].join('\n');
+}
+
+/**
+ * Add an error to the groups of a server: a repeat bumps the count of its group.
+ * @param {Object[]} groups - oldest first
+ * @param {Object} entry - error entry with its stack complete
+ * @param {{ context?: string, max?: number }} [options]
+ * @returns {{ groups: Object[], group: Object, isNew: boolean }}
+ */
+function groupError(groups, entry, { context = '', max = MAX_ERROR_GROUPS } = {}) {
+  const list = Array.isArray(groups) ? groups : [];
+  const key = errorKey(entry);
+  const existing = list.find(g => g.key === key);
+
+  if (existing) {
+    const group = { ...existing, entry, message: formatEntry(entry), context, count: existing.count + 1, lastSeen: entry.time };
+    return { groups: list.map(g => (g === existing ? group : g)), group, isNew: false };
+  }
+
+  const group = {
+    key,
+    resource: entry.resource,
+    location: entryLocation(entry),
+    message: formatEntry(entry),
+    entry,
+    context,
+    count: 1,
+    timestamp: entry.time,
+    lastSeen: entry.time
+  };
+  const merged = [...list, group];
+  return { groups: merged.length > max ? merged.slice(merged.length - max) : merged, group, isNew: true };
+}
+
+/**
+ * Entries matching the console filters.
+ * @param {Object[]} entries
+ * @param {{ level?: string, resource?: string, search?: string }} filter
+ *   level: minimum level ('info' keeps everything), resource: 'all' or a resource name
+ * @returns {Object[]}
+ */
+function filterEntries(entries, { level = 'info', resource = 'all', search = '' } = {}) {
+  const minimum = Math.max(0, LEVELS.indexOf(level));
+  const needle = search.trim().toLowerCase();
+  return entries.filter(entry =>
+    LEVELS.indexOf(entry.level) >= minimum
+    && (resource === 'all' || entry.resource === resource)
+    && (!needle || entry.text.toLowerCase().includes(needle)
+      || entry.stack.some(frame => frame.text.toLowerCase().includes(needle))));
+}
+
+module.exports = {
+  LEVELS,
+  MAX_ERROR_GROUPS,
+  cleanConsoleLine,
+  parseConsoleLine,
+  isStackLine,
+  parseStackFrame,
+  createConsoleParser,
+  entryLocation,
+  entryLocations,
+  errorKey,
+  formatEntry,
+  groupError,
+  filterEntries
+};
@@ -0,0 +1,355 @@
+/**
+ * fivem-lint.js
+ * Consistency checks of the resources of a FiveM server: files referenced by manifests, fx_version,
+ * resources used through exports or `@resource/` imports without being declared as dependencies,
+ * dependency cycles, and server.cfg `ensure` lines starting a resource before its dependencies.
+ * Consumed by: FivemService (main, resource graph view), the fivem MCP tools (copied to
+ * mcp-servers/shared when packaged).
+ *
+ * Node only (reads the file system). Shapes:
+ *   Resource  { name, path, category, manifest }   as returned by the callers' resource scans
+ *   Issue     { resource, severity: 'error' | 'warning', code, file, line, params }
+ *     file: relative to the project, with forward slashes; line: 1-based or null
+ *   Node      { name, category, ensured, dependencies: string[], errors, warnings }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseManifestDirectives } = require('./fivem-resources');
+
+const FX_VERSIONS = ['adamant', 'bodacious', 'cerulean'];
+const SCRIPT_DIRECTIVES = new Set([
+  'client_script', 'client_scripts', 'server_script', 'server_scripts', 'shared_script', 'shared_scripts'
+]);
+const FILE_DIRECTIVES = new Set([...SCRIPT_DIRECTIVES, 'file', 'files', 'ui_page', 'loadscreen']);
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+const MAX_FILES = 5000;
+const MAX_SOURCE_BYTES = 512 * 1024;
+const MAX_EXEC_DEPTH = 4;
+
+// exports.res:Fn() / exports['res']:Fn() in Lua, exports.res.Fn() / exports['res'].Fn() in JS
+const EXPORT_USE_RE = /(?<![.\w])exports\s*(?:\[\s*(['"])([^'"\n]+)\1\s*\]|\.([A-Za-z_]\w*))\s*(?::|\.\s*[A-Za-z_]\w*\s*\(|\[)/g;
+
+const MESSAGES = {
+  missingFxVersion: () => 'fx_version is missing: the resource will not load',
+  unknownFxVersion: p => `Unknown fx_version '${p.version}' (expected ${p.expected})`,
+  missingFile: p => `${p.directive} references '${p.file}', which does not exist`,
+  emptyGlob: p => `${p.directive} pattern '${p.file}' matches no file`,
+  missingResource: p => `'${p.file}' imports from '${p.dependency}', which is not in the project`,
+  undeclaredDependency: p => `Uses '${p.dependency}' through ${p.via} without declaring it in dependencies`,
+  unknownDependency: p => `Depends on '${p.dependency}', which is not in the project`,
+  dependencyCycle: p => `Dependency cycle between ${p.resources.join(', ')}`,
+  ensureOrder: p => `Ensured before its dependency '${p.dependency}' (${p.dependencyAt})`
+};
+
+/**
+ * FiveM manifest glob: `*` within a folder, `**` across folders
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern.split(/(\*\*\/?|\*)/).map((part) => {
+    if (part === '**/') return '(?:.*/)?';
+    if (part === '**') return '.*';
+    if (part === '*') return '[^/]*';
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Other resources a script calls through exports
+ * @param {string} source - Lua or JS
+ * @returns {{ name: string, line: number }[]}
+ */
+function findExportUses(source) {
+  const uses = [];
+  const text = String(source || '');
+  for (const match of text.matchAll(EXPORT_USE_RE)) {
+    const name = match[2] || match[3];
+    if (!uses.some(u => u.name === name)) {
+      uses.push({ name, line: text.slice(0, match.index).split('\n').length });
+    }
+  }
+  return uses;
+}
+
+/**
+ * Resources in the order server.cfg starts them, following `exec` of other cfg files.
+ * `ensure [category]` starts every resource of the category folder.
+ * @param {string} projectPath
+ * @param {Object[]} resources
+ * @param {string} [cfgFile='server.cfg'] - relative to the project
+ * @returns {{ name: string, file: string, line: number }[]} first start of each resource
+ */
+function readEnsureOrder(projectPath, resources, cfgFile = 'server.cfg') {
+  const order = [];
+  const seen = new Set();
+
+  const read = (file, depth) => {
+    const relative = path.relative(projectPath, file).split(path.sep).join('/');
+    if (seen.has(relative) || depth > MAX_EXEC_DEPTH) return;
+    seen.add(relative);
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      return;
+    }
+    text.split('\n').forEach((raw, i) => {
+      const line = raw.replace(/(^|\s)(#|\/\/).*$/, '').trim();
+      const start = line.match(/^(?:ensure|start|restart)\s+(\S+)/i);
+      if (start) {
+        const name = start[1];
+        const names = /^\[.+\]$/.test(name)
+          ? resources.filter(r => r.category === name).map(r => r.name).sort()
+          : [name];
+        names.forEach((n) => {
+          if (!order.some(o => o.name === n)) order.push({ name: n, file: relative, line: i + 1 });
+        });
+        return;
+      }
+      const exec = line.match(/^exec\s+["']?([^"'\s]+)/i);
+      if (exec && !exec[1].startsWith('@')) read(path.resolve(projectPath, exec[1]), depth + 1);
+    });
+  };
+
+  read(path.join(projectPath, cfgFile), 0);
+  return order;
+}
+
+function listFiles(dir) {
+  const files = [];
+  const walk = (current, prefix) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      if (files.length >= MAX_FILES) return;
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) walk(path.join(current, entry.name), relative);
+      } else {
+        files.push(relative);
+      }
+    }
+  };
+  walk(dir, '');
+  return files;
+}
+
+/**
+ * Strongly connected groups of more than one resource (or a resource depending on itself)
+ * @param {Map<string, string[]>} graph
+ * @returns {string[][]}
+ */
+function findCycles(graph) {
+  const cycles = [];
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  let counter = 0;
+
+  const visit = (name) => {
+    index.set(name, counter);
+    low.set(name, counter++);
+    stack.push(name);
+    onStack.add(name);
+    for (const dep of graph.get(name) || []) {
+      if (!graph.has(dep)) continue;
+      if (!index.has(dep)) {
+        visit(dep);
+        low.set(name, Math.min(low.get(name), low.get(dep)));
+      } else if (onStack.has(dep)) {
+        low.set(name, Math.min(low.get(name), index.get(dep)));
+      }
+    }
+    if (low.get(name) !== index.get(name)) return;
+    const group = [];
+    let member;
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      group.push(member);
+    } while (member !== name);
+    if (group.length > 1 || (graph.get(name) || []).includes(name)) cycles.push(group.sort());
+  };
+
+  [...graph.keys()].sort().forEach((name) => { if (!index.has(name)) visit(name); });
+  return cycles;
+}
+
+/**
+ * Lint every resource of a server
+ * @param {string} projectPath
+ * @param {Object[]} resources - { name, path, category, manifest }
+ * @returns {{ resources: Object[], issues: Object[], cfg: { file: string, exists: boolean } }}
+ */
+function lintResources(projectPath, resources) {
+  const issues = [];
+  const graph = new Map();
+  const byName = new Map(resources.map(r => [r.name, r]));
+  const fileCache = new Map();
+  const relative = file => path.relative(projectPath, file).split(path.sep).join('/');
+  const filesOf = (resource) => {
+    if (!fileCache.has(resource.name)) fileCache.set(resource.name, listFiles(resource.path));
+    return fileCache.get(resource.name);
+  };
+  // Files of `resource` matching a manifest entry (a plain path or a glob)
+  const resolve = (resource, entry) => {
+    if (entry.includes('*')) {
+      const re = globToRegExp(entry);
+      return filesOf(resource).filter(f => re.test(f));
+    }
+    return fs.existsSync(path.join(resource.path, entry)) ? [entry] : [];
+  };
+
+  for (const resource of resources) {
+    const manifestFile = path.join(resource.path, resource.manifest);
+    const add = (severity, code, line, params = {}, file = relative(manifestFile)) => {
+      issues.push({ resource: resource.name, severity, code, file, line, params });
+    };
+    let text = '';
+    try {
+      text = fs.readFileSync(manifestFile, 'utf8');
+    } catch (e) {}
+    const directives = parseManifestDirectives(text);
+
+    const fxVersion = directives.find(d => d.key === 'fx_version');
+    if (!fxVersion) {
+      if (resource.manifest === 'fxmanifest.lua') add('error', 'missingFxVersion', null);
+    } else if (!FX_VERSIONS.includes(fxVersion.values[0]?.value)) {
+      add('error', 'unknownFxVersion', fxVersion.line, {
+        version: fxVersion.values[0]?.value || '',
+        expected: FX_VERSIONS.join(', ')
+      });
+    }
+
+    const dependencies = [];
+    directives
+      .filter(d => d.key === 'dependency' || d.key === 'dependencies')
+      .forEach(d => d.values.forEach(({ value, line }) => {
+        if (!value || value.startsWith('/') || dependencies.includes(value)) return;
+        dependencies.push(value);
+        if (!byName.has(value)) add('warning', 'unknownDependency', line, { dependency: value });
+      }));
+    graph.set(resource.name, dependencies);
+
+    const scripts = new Set();
+    const uses = new Map(); // resource name -> { via, file, line }
+    for (const directive of directives.filter(d => FILE_DIRECTIVES.has(d.key))) {
+      for (const { value, line } of directive.values) {
+        if (!value || /^[a-z][\w+.-]*:\/\//i.test(value)) continue;
+        const params = { directive: directive.key, file: value };
+
+        if (value.startsWith('@')) {
+          const [, name, entry] = value.match(/^@([^/]+)\/?(.*)$/) || [];
+          const target = byName.get(name);
+          if (!target) {
+            add('error', 'missingResource', line, { ...params, dependency: name });
+            continue;
+          }
+          if (entry && !resolve(target, entry).length) add('error', entry.includes('*') ? 'emptyGlob' : 'missingFile', line, params);
+          if (name !== resource.name && !uses.has(name)) uses.set(name, { via: value, file: relative(manifestFile), line });
+          continue;
+        }
+
+        const matched = resolve(resource, value);
+        if (!matched.length) add('error', value.includes('*') ? 'emptyGlob' : 'missingFile', line, params);
+        if (SCRIPT_DIRECTIVES.has(directive.key)) matched.forEach(f => scripts.add(f));
+      }
+    }
+
+    for (const script of scripts) {
+      if (!/\.(lua|js)$/i.test(script)) continue;
+      const file = path.join(resource.path, script);
+      let source;
+      try {
+        if (fs.statSync(file).size > MAX_SOURCE_BYTES) continue;
+        source = fs.readFileSync(file, 'utf8');
+      } catch (e) {
+        continue;
+      }
+      for (const use of findExportUses(source)) {
+        if (use.name !== resource.name && !uses.has(use.name)) {
+          uses.set(use.name, { via: `exports['${use.name}']`, file: relative(file), line: use.line });
+        }
+      }
+    }
+    for (const [name, use] of uses) {
+      if (!dependencies.includes(name)) add('warning', 'undeclaredDependency', use.line, { dependency: name, via: use.via }, use.file);
+    }
+  }
+
+  for (const cycle of findCycles(graph)) {
+    const resource = byName.get(cycle[0]);
+    issues.push({
+      resource: resource.name,
+      severity: 'error',
+      code: 'dependencyCycle',
+      file: relative(path.join(resource.path, resource.manifest)),
+      line: null,
+      params: { resources: cycle }
+    });
+  }
+
+  const order = readEnsureOrder(projectPath, resources);
+  const position = new Map(order.map((entry, i) => [entry.name, { ...entry, index: i }]));
+  for (const entry of position.values()) {
+    for (const dep of graph.get(entry.name) || []) {
+      const depEntry = position.get(dep);
+      // Resources of one `ensure [category]` line start together
+      if (!depEntry || depEntry.index < entry.index || (depEntry.file === entry.file && depEntry.line === entry.line)) continue;
+      issues.push({
+        resource: entry.name,
+        severity: 'warning',
+        code: 'ensureOrder',
+        file: entry.file,
+        line: entry.line,
+        params: { dependency: dep, dependencyAt: `${depEntry.file}:${depEntry.line}` }
+      });
+    }
+  }
+
+  const rank = { error: 0, warning: 1 };
+  issues.sort((a, b) => a.resource.localeCompare(b.resource) || rank[a.severity] - rank[b.severity]);
+
+  const count = (name, severity) => issues.filter(i => i.resource === name && i.severity === severity).length;
+  return {
+    resources: resources.map(r => ({
+      name: r.name,
+      category: r.category,
+      ensured: position.has(r.name),
+      dependencies: graph.get(r.name),
+      errors: count(r.name, 'error'),
+      warnings: count(r.name, 'warning')
+    })),
+    issues,
+    cfg: { file: 'server.cfg', exists: fs.existsSync(path.join(projectPath, 'server.cfg')) }
+  };
+}
+
+/**
+ * One-line description of an issue: `file:line [severity] message`
+ * @param {Object} issue
+ * @returns {string}
+ */
+function formatIssue(issue) {
+  const where = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+  return `${where} [${issue.severity}] ${MESSAGES[issue.code](issue.params)}`;
+}
+
+module.exports = {
+  FX_VERSIONS,
+  globToRegExp,
+  findExportUses,
+  readEnsureOrder,
+  lintResources,
+  formatIssue
+};
@@ -0,0 +1,156 @@
+/**
+ * fivem-resources.js
+ * Resources of a FiveM server: the `dependencies` of their fxmanifest.lua / __resource.lua and the
+ * order to restart them in when their files change (hot-reload).
+ * Consumed by: FivemHotReload (main), fivem-lint.
+ *
+ * Pure functions — the callers read the manifests and send the console commands.
+ */
+
+'use strict';
+
+// Editor swap / backup files written next to the edited file
+const IGNORED_FILE_RE = /(^|\/)(4913|[^/]*~|[^/]*\.(swp|swo|swx|tmp|bak|orig))$/i;
+
+/**
+ * Remove Lua comments (-- line and --[[ block ]]) outside of strings. Line breaks are kept so
+ * offsets in the result map to the same line numbers.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripLuaComments(text) {
+  let out = '';
+  let i = 0;
+  const src = String(text || '');
+  while (i < src.length) {
+    const c = src[i];
+    if (c === '"' || c === "'") {
+      let j = i + 1;
+      while (j < src.length && src[j] !== c && src[j] !== '\n') j += src[j] === '\\' ? 2 : 1;
+      out += src.slice(i, j + 1);
+      i = j + 1;
+    } else if (src.startsWith('--', i)) {
+      const block = src.slice(i + 2).match(/^\[(=*)\[/);
+      if (block) {
+        const end = src.indexOf(`]${block[1]}]`, i + 2 + block[0].length);
+        const next = end === -1 ? src.length : end + block[1].length + 2;
+        out += src.slice(i, next).replace(/[^\n]/g, '');
+        i = next;
+      } else {
+        const end = src.indexOf('\n', i);
+        i = end === -1 ? src.length : end;
+      }
+    } else {
+      out += c;
+      i++;
+    }
+  }
+  return out;
+}
+
+/**
+ * Directives of a manifest with the line of each value: `key 'a'`, `key "a"`, `key { 'a', 'b' }`,
+ * `key({ ... })`. Only the first argument is read (`data_file 'TYPE' 'file'` gives 'TYPE').
+ * @param {string} text - fxmanifest.lua or __resource.lua
+ * @returns {{ key: string, line: number, values: { value: string, line: number }[] }[]}
+ */
+function parseManifestDirectives(text) {
+  const code = stripLuaComments(text);
+  const directives = [];
+  const re = /(^|[\s;])([A-Za-z_]\w*)\s*\(?\s*(\{[^}]*\}|'[^'\n]*'|"[^"\n]*")/g;
+  let line = 1;
+  let counted = 0;
+  const lineAt = (offset) => {
+    for (; counted < offset; counted++) if (code[counted] === '\n') line++;
+    return line;
+  };
+  let match;
+  while ((match = re.exec(code)) !== null) {
+    const keyOffset = match.index + match[1].length;
+    const argsOffset = match.index + match[0].length - match[3].length;
+    const directive = { key: match[2], line: lineAt(keyOffset), values: [] };
+    for (const value of match[3].matchAll(/(['"])([^'"\n]*)\1/g)) {
+      directive.values.push({ value: value[2].trim(), line: lineAt(argsOffset + value.index) });
+    }
+    directives.push(directive);
+  }
+  return directives;
+}
+
+/**
+ * Resources a manifest depends on: `dependency 'a'`, `dependencies { 'a', "b" }`, `dependencies({ ... })`.
+ * Server / feature constraints ('/server:5848', '/onesync') are not resources and are left out.
+ * @param {string} text - fxmanifest.lua or __resource.lua
+ * @returns {string[]}
+ */
+function parseManifestDependencies(text) {
+  const deps = [];
+  parseManifestDirectives(text)
+    .filter(d => d.key === 'dependency' || d.key === 'dependencies')
+    .forEach(d => d.values.forEach(({ value }) => {
+      if (value && !value.startsWith('/') && !deps.includes(value)) deps.push(value);
+    }));
+  return deps;
+}
+
+/**
+ * @param {string} file - path relative to the resources folder, with forward slashes
+ * @returns {boolean} true for editor temp files that should not trigger a restart
+ */
+function isIgnoredChange(file) {
+  return IGNORED_FILE_RE.test(file);
+}
+
+/**
+ * Resources to restart after files of `changed` were edited: the changed ones that are not excluded
+ * from hot-reload, then every resource depending on them (directly or not), dependencies first.
+ * Dependents are restarted even when excluded: stopping a resource takes its dependents down.
+ * @param {string[]} changed - resource names
+ * @param {Object<string, string[]>} dependencies - resource name -> its dependencies
+ * @param {{ excluded?: string[] }} [options]
+ * @returns {string[]}
+ */
+function reloadPlan(changed, dependencies, { excluded = [] } = {}) {
+  const skip = new Set(excluded);
+  const selected = new Set(changed.filter(name => !skip.has(name)));
+
+  const dependents = new Map();
+  Object.entries(dependencies).forEach(([name, deps]) => {
+    deps.forEach((dep) => {
+      if (!dependents.has(dep)) dependents.set(dep, []);
+      dependents.get(dep).push(name);
+    });
+  });
+  const queue = [...selected];
+  while (queue.length) {
+    for (const dependent of dependents.get(queue.shift()) || []) {
+      if (!selected.has(dependent)) {
+        selected.add(dependent);
+        queue.push(dependent);
+      }
+    }
+  }
+
+  // Topological order within the selection; a dependency cycle falls back to name order
+  const order = [];
+  const remaining = new Set(selected);
+  while (remaining.size) {
+    const ready = [...remaining]
+      .filter(name => !(dependencies[name] || []).some(dep => remaining.has(dep) && dep !== name))
+      .sort();
+    const next = ready.length ? ready : [[...remaining].sort()[0]];
+    next.forEach((name) => {
+      order.push(name);
+      remaining.delete(name);
+    });
+  }
+  return order;
+}
+
+module.exports = {
+  stripLuaComments,
+  parseManifestDirectives,
+  parseManifestDependencies,
+  isIgnoredChange,
+  reloadPlan
+};
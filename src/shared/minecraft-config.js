@@ -0,0 +1,356 @@
+/**
+ * minecraft-config.js
+ * Configuration of Minecraft Java servers: the known server.properties keys with their types and
+ * ranges, eula.txt, the JVM flags of a jar launch (heap, Aikar's flags, GC) and the Java version a
+ * server needs.
+ * Consumed by: MinecraftService, MinecraftSettings (main), MinecraftRendererService, MinecraftServerModal (renderer).
+ *
+ * Pure functions — the callers read the files and run `java -version`.
+ */
+
+'use strict';
+
+const PROPERTY_GROUPS = ['general', 'gameplay', 'world', 'network', 'performance', 'admin'];
+
+const bool = (key, group, def) => ({ key, group, type: 'boolean', default: def });
+const int = (key, group, def, min, max) => ({ key, group, type: 'integer', default: def, min, max });
+const str = (key, group, def, extra = {}) => ({ key, group, type: 'string', default: def, ...extra });
+const choice = (key, group, def, values) => ({ key, group, type: 'enum', default: def, values });
+
+/** server.properties keys of current vanilla servers (older / removed keys still validate) */
+const SERVER_PROPERTIES = [
+  str('motd', 'general', 'A Minecraft Server'),
+  int('max-players', 'general', 20, 0, 2147483647),
+  bool('online-mode', 'general', true),
+  bool('white-list', 'general', false),
+  bool('enforce-whitelist', 'general', false),
+  bool('enforce-secure-profile', 'general', true),
+  bool('hide-online-players', 'general', false),
+
+  choice('gamemode', 'gameplay', 'survival', ['survival', 'creative', 'adventure', 'spectator']),
+  bool('force-gamemode', 'gameplay', false),
+  choice('difficulty', 'gameplay', 'easy', ['peaceful', 'easy', 'normal', 'hard']),
+  bool('hardcore', 'gameplay', false),
+  bool('pvp', 'gameplay', true),
+  bool('allow-flight', 'gameplay', false),
+  bool('allow-nether', 'gameplay', true),
+  bool('spawn-monsters', 'gameplay', true),
+  bool('spawn-animals', 'gameplay', true),
+  bool('spawn-npcs', 'gameplay', true),
+  int('spawn-protection', 'gameplay', 16, 0, 2147483647),
+  int('player-idle-timeout', 'gameplay', 0, 0, 2147483647),
+  bool('enable-command-block', 'gameplay', false),
+
+  str('level-name', 'world', 'world', { pattern: /^(?!\.{1,2}$)[^\\/:*?"<>|]+$/ }),
+  str('level-seed', 'world', ''),
+  str('level-type', 'world', 'minecraft:normal', {
+    suggestions: ['minecraft:normal', 'minecraft:flat', 'minecraft:large_biomes', 'minecraft:amplified', 'minecraft:single_biome_surface']
+  }),
+  str('generator-settings', 'world', '{}'),
+  bool('generate-structures', 'world', true),
+  int('max-world-size', 'world', 29999984, 1, 29999984),
+  str('initial-enabled-packs', 'world', 'vanilla'),
+  str('initial-disabled-packs', 'world', ''),
+
+  str('server-ip', 'network', ''),
+  int('server-port', 'network', 25565, 1, 65535),
+  int('network-compression-threshold', 'network', 256, -1, 2147483647),
+  int('rate-limit', 'network', 0, 0, 2147483647),
+  bool('prevent-proxy-connections', 'network', false),
+  bool('enable-status', 'network', true),
+  bool('enable-query', 'network', false),
+  int('query.port', 'network', 25565, 1, 65535),
+  str('resource-pack', 'network', ''),
+  str('resource-pack-sha1', 'network', '', { pattern: /^([0-9a-fA-F]{40})?$/ }),
+  str('resource-pack-prompt', 'network', ''),
+  bool('require-resource-pack', 'network', false),
+
+  int('view-distance', 'performance', 10, 3, 32),
+  int('simulation-distance', 'performance', 10, 3, 32),
+  int('entity-broadcast-range-percentage', 'performance', 100, 10, 1000),
+  int('max-tick-time', 'performance', 60000, -1, Number.MAX_SAFE_INTEGER),
+  int('max-chained-neighbor-updates', 'performance', 1000000, -1, 2147483647),
+  int('pause-when-empty-seconds', 'performance', 60, 0, 2147483647),
+  bool('sync-chunk-writes', 'performance', true),
+  bool('use-native-transport', 'performance', true),
+
+  bool('enable-rcon', 'admin', false),
+  int('rcon.port', 'admin', 25575, 1, 65535),
+  str('rcon.password', 'admin', '', { secret: true }),
+  bool('broadcast-rcon-to-ops', 'admin', true),
+  bool('broadcast-console-to-ops', 'admin', true),
+  int('op-permission-level', 'admin', 4, 0, 4),
+  int('function-permission-level', 'admin', 2, 1, 4),
+  bool('enable-jmx-monitoring', 'admin', false),
+  bool('log-ips', 'admin', true),
+  str('text-filtering-config', 'admin', '')
+];
+
+const PROPERTY_BY_KEY = new Map(SERVER_PROPERTIES.map(p => [p.key, p]));
+
+// ── server.properties ──
+
+/**
+ * @param {string} key
+ * @param {string} value - as written in the file
+ * @returns {{ key: string, code: string, min?: number, max?: number, values?: string[] }|null} null when valid or unknown
+ */
+function validateProperty(key, value) {
+  const spec = PROPERTY_BY_KEY.get(key);
+  if (!spec) return null;
+  const text = String(value ?? '').trim();
+
+  if (spec.type === 'boolean' && text !== 'true' && text !== 'false') {
+    return { key, code: 'boolean' };
+  }
+  if (spec.type === 'integer') {
+    if (!/^-?\d+$/.test(text)) return { key, code: 'integer' };
+    const n = Number(text);
+    if (n < spec.min || n > spec.max) return { key, code: 'range', min: spec.min, max: spec.max };
+  }
+  if (spec.type === 'enum' && !spec.values.includes(text)) {
+    return { key, code: 'enum', values: spec.values };
+  }
+  if (spec.type === 'string' && spec.pattern && !spec.pattern.test(text)) {
+    return { key, code: 'format' };
+  }
+  return null;
+}
+
+/**
+ * Validate the values about to be written, with the checks that span several keys
+ * @param {Object<string, string>} values - the keys being changed
+ * @param {Object<string, string>} [current] - the parsed file, for the keys left untouched
+ * @returns {Array<{ key: string, code: string }>}
+ */
+function validateProperties(values, current = {}) {
+  const errors = Object.entries(values)
+    .map(([key, value]) => validateProperty(key, value))
+    .filter(Boolean);
+  const merged = { ...current, ...values };
+  const value = (key) => String(merged[key] ?? PROPERTY_BY_KEY.get(key).default);
+
+  if (value('enable-rcon') === 'true' && !value('rcon.password').trim()) {
+    errors.push({ key: 'rcon.password', code: 'rconPassword' });
+  }
+  if (value('enable-rcon') === 'true' && value('rcon.port') === value('server-port')) {
+    errors.push({ key: 'rcon.port', code: 'portConflict' });
+  }
+  if (value('enable-query') === 'true' && value('query.port') === value('rcon.port') && value('enable-rcon') === 'true') {
+    errors.push({ key: 'query.port', code: 'portConflict' });
+  }
+  return errors;
+}
+
+/**
+ * @param {string} text - eula.txt
+ * @returns {boolean}
+ */
+function isEulaAccepted(text) {
+  return /^\s*eula\s*=\s*true\s*$/im.test(String(text || ''));
+}
+
+// ── JVM ──
+
+const JVM_PRESETS = ['none', 'aikar'];
+const GC_CHOICES = ['default', 'g1', 'zgc', 'shenandoah', 'parallel'];
+const GC_FLAGS = {
+  g1: ['-XX:+UseG1GC'],
+  zgc: ['-XX:+UseZGC'],
+  shenandoah: ['-XX:+UseShenandoahGC'],
+  parallel: ['-XX:+UseParallelGC']
+};
+const GC_MIN_JAVA = { zgc: 15, shenandoah: 12 };
+
+/**
+ * @param {string} text - heap size as given to -Xmx: 512M, 4G
+ * @returns {number|null} megabytes
+ */
+function parseMemory(text) {
+  const match = String(text || '').trim().match(/^(\d+)([MmGg])$/);
+  if (!match) return null;
+  const n = parseInt(match[1], 10);
+  if (!n) return null;
+  return match[2].toUpperCase() === 'G' ? n * 1024 : n;
+}
+
+/**
+ * Aikar's G1 flags (https://docs.papermc.io/paper/aikars-flags), tuned differently above 12 GB
+ * @param {number} maxMb
+ * @returns {string[]}
+ */
+function aikarFlags(maxMb) {
+  const large = maxMb > 12 * 1024;
+  return [
+    '-XX:+UseG1GC',
+    '-XX:+ParallelRefProcEnabled',
+    '-XX:MaxGCPauseMillis=200',
+    '-XX:+UnlockExperimentalVMOptions',
+    '-XX:+DisableExplicitGC',
+    '-XX:+AlwaysPreTouch',
+    `-XX:G1NewSizePercent=${large ? 40 : 30}`,
+    `-XX:G1MaxNewSizePercent=${large ? 50 : 40}`,
+    `-XX:G1HeapRegionSize=${large ? '16M' : '8M'}`,
+    `-XX:G1ReservePercent=${large ? 15 : 20}`,
+    '-XX:G1HeapWastePercent=5',
+    '-XX:G1MixedGCCountTarget=4',
+    `-XX:InitiatingHeapOccupancyPercent=${large ? 20 : 15}`,
+    '-XX:G1MixedGCLiveThresholdPercent=90',
+    '-XX:G1RSetUpdatingPauseTimePercent=5',
+    '-XX:SurvivorRatio=32',
+    '-XX:+PerfDisableSharedMem',
+    '-XX:MaxTenuringThreshold=1',
+    '-Dusing.aikars.flags=https://mcflags.emc.gs',
+    '-Daikars.new.flags=true'
+  ];
+}
+
+/**
+ * Split extra JVM arguments, honouring double quotes
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitArgs(text) {
+  const args = [];
+  const re = /"((?:\\.|[^"\\])*)"|(\S+)/g;
+  let match;
+  while ((match = re.exec(String(text || ''))) !== null) {
+    args.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+  }
+  return args;
+}
+
+/**
+ * JVM arguments placed before `-jar`
+ * @param {{ maxMemory?: string, minMemory?: string, preset?: string, gc?: string, extraArgs?: string }} jvm
+ * @returns {string[]}
+ */
+function buildJvmArgs({ maxMemory, minMemory, preset, gc, extraArgs } = {}) {
+  const max = parseMemory(maxMemory) ? maxMemory.trim() : '2G';
+  const min = parseMemory(minMemory) ? minMemory.trim() : max;
+  const args = [`-Xms${min}`, `-Xmx${max}`];
+  if (preset === 'aikar') args.push(...aikarFlags(parseMemory(max)));
+  else if (GC_FLAGS[gc]) args.push(...GC_FLAGS[gc]);
+  return args.concat(splitArgs(extraArgs));
+}
+
+/**
+ * @param {{ maxMemory?: string, minMemory?: string, preset?: string, gc?: string, extraArgs?: string }} jvm
+ * @returns {Array<{ key: string, code: string }>}
+ */
+function validateJvmConfig({ maxMemory, minMemory, preset, gc, extraArgs } = {}) {
+  const errors = [];
+  const max = parseMemory(maxMemory);
+  const min = minMemory ? parseMemory(minMemory) : max;
+  if (!max) errors.push({ key: 'maxMemory', code: 'memory' });
+  if (minMemory && !min) errors.push({ key: 'minMemory', code: 'memory' });
+  if (max && min && min > max) errors.push({ key: 'minMemory', code: 'minAboveMax' });
+  if (preset && !JVM_PRESETS.includes(preset)) errors.push({ key: 'preset', code: 'enum' });
+  if (gc && !GC_CHOICES.includes(gc)) errors.push({ key: 'gc', code: 'enum' });
+  if (splitArgs(extraArgs).some(arg => /^-Xm[sx]/.test(arg) || arg === '-jar')) {
+    errors.push({ key: 'extraArgs', code: 'heapInExtra' });
+  }
+  return errors;
+}
+
+// ── Java ──
+
+/**
+ * @param {string} output - stderr of `java -version`
+ * @returns {{ version: string, major: number }|null}
+ */
+function parseJavaVersion(output) {
+  const match = String(output || '').match(/version "([^"]+)"/);
+  if (!match) return null;
+  const parts = match[1].split(/[._+-]/).map(n => parseInt(n, 10));
+  const major = parts[0] === 1 ? parts[1] : parts[0];
+  return Number.isInteger(major) ? { version: match[1], major } : null;
+}
+
+/**
+ * Minecraft version in a server jar / installer name: paper-1.20.4-496.jar, forge-1.12.2-14.23.5.2859.jar,
+ * fabric-server-mc.1.20.1-loader.0.14.21-launcher.0.11.2.jar
+ * @param {string} name
+ * @returns {string|null}
+ */
+function minecraftVersionFromName(name) {
+  const match = String(name || '').match(/(?:^|[-_.])((?:1\.\d{1,2}|2\d\.\d{1,2})(?:\.\d{1,2})?)(?=[-_+]|\.jar$|$)/i);
+  return match ? match[1] : null;
+}
+
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Java a Minecraft version runs on
+ * @param {string} minecraftVersion
+ * @param {string} [serverType] - Forge before 1.17 only runs on Java 8
+ * @returns {{ min: number, max: number|null }|null}
+ */
+function javaRequirement(minecraftVersion, serverType) {
+  if (!/^\d+\.\d+(\.\d+)?$/.test(String(minecraftVersion || ''))) return null;
+  const v = minecraftVersion;
+  if (compareVersions(v, '26.1') >= 0) return { min: 25, max: null };
+  if (compareVersions(v, '1.20.5') >= 0) return { min: 21, max: null };
+  if (compareVersions(v, '1.18') >= 0) return { min: 17, max: null };
+  if (compareVersions(v, '1.17') >= 0) return { min: 16, max: null };
+  return { min: 8, max: serverType === 'forge' ? 8 : null };
+}
+
+/**
+ * Java release a class file was compiled for (major version at offset 6, 52 = Java 8)
+ * @param {Buffer} header - at least the first 8 bytes of a .class file
+ * @returns {number|null}
+ */
+function javaFromClassFile(header) {
+  if (!header || header.length < 8 || header.readUInt32BE(0) !== 0xcafebabe) return null;
+  return header.readUInt16BE(6) - 44;
+}
+
+/**
+ * @param {number|null} major - installed Java
+ * @param {{ min: number, max: number|null }|null} requirement
+ * @returns {'ok'|'tooOld'|'tooNew'|'unknown'}
+ */
+function javaCompatibility(major, requirement) {
+  if (!major || !requirement) return 'unknown';
+  if (major < requirement.min) return 'tooOld';
+  if (requirement.max && major > requirement.max) return 'tooNew';
+  return 'ok';
+}
+
+/**
+ * @param {string} gc
+ * @returns {number|null} first Java release with that collector
+ */
+function gcMinJava(gc) {
+  return GC_MIN_JAVA[gc] || null;
+}
+
+module.exports = {
+  PROPERTY_GROUPS,
+  SERVER_PROPERTIES,
+  JVM_PRESETS,
+  GC_CHOICES,
+  validateProperty,
+  validateProperties,
+  isEulaAccepted,
+  parseMemory,
+  aikarFlags,
+  splitArgs,
+  buildJvmArgs,
+  validateJvmConfig,
+  parseJavaVersion,
+  minecraftVersionFromName,
+  javaRequirement,
+  javaFromClassFile,
+  javaCompatibility,
+  gcMinJava
+};
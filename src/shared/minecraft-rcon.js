@@ -0,0 +1,71 @@
+/**
+ * minecraft-rcon.js
+ * Source RCON packet framing as spoken by Minecraft Java servers (enable-rcon=true).
+ * Consumed by: MinecraftRcon (main).
+ *
+ * Pure functions — no sockets.
+ * Packet layout (little-endian): int32 length | int32 id | int32 type | body (ASCII) | 0x00 | 0x00,
+ * length counting everything after itself.
+ */
+
+'use strict';
+
+const RCON_TYPE = {
+  AUTH: 3,
+  AUTH_RESPONSE: 2,
+  COMMAND: 2,
+  RESPONSE: 0,
+};
+
+// Minecraft rejects request bodies above 1446 bytes
+const MAX_REQUEST_BODY = 1446;
+
+/**
+ * @param {number} id
+ * @param {number} type
+ * @param {string} body
+ * @returns {Buffer}
+ */
+function encodeRconPacket(id, type, body = '') {
+  const payload = Buffer.from(body, 'utf8');
+  if (payload.length > MAX_REQUEST_BODY) {
+    throw new Error(`RCON command too long (${payload.length} bytes, max ${MAX_REQUEST_BODY})`);
+  }
+  const packet = Buffer.alloc(14 + payload.length);
+  packet.writeInt32LE(10 + payload.length, 0);
+  packet.writeInt32LE(id, 4);
+  packet.writeInt32LE(type, 8);
+  payload.copy(packet, 12);
+  // The two trailing NULs are already zero
+  return packet;
+}
+
+/**
+ * Split a received stream into complete packets
+ * @param {Buffer} buffer
+ * @returns {{ packets: Array<{ id: number, type: number, body: string }>, rest: Buffer }}
+ *   rest: the bytes of an incomplete trailing packet, to prepend to the next chunk
+ */
+function decodeRconPackets(buffer) {
+  const packets = [];
+  let offset = 0;
+  while (buffer.length - offset >= 4) {
+    const length = buffer.readInt32LE(offset);
+    if (length < 10) throw new Error(`Invalid RCON packet length ${length}`);
+    if (buffer.length - offset - 4 < length) break;
+    packets.push({
+      id: buffer.readInt32LE(offset + 4),
+      type: buffer.readInt32LE(offset + 8),
+      body: buffer.toString('utf8', offset + 12, offset + 4 + length - 2),
+    });
+    offset += 4 + length;
+  }
+  return { packets, rest: buffer.subarray(offset) };
+}
+
+module.exports = {
+  RCON_TYPE,
+  MAX_REQUEST_BODY,
+  encodeRconPacket,
+  decodeRconPackets,
+};
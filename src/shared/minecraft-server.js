@@ -0,0 +1,320 @@
+/**
+ * minecraft-server.js
+ * Files and command output of Minecraft Java servers: server.properties, the `list` reply,
+ * plugin / mod metadata (plugin.yml, fabric.mod.json, mods.toml, MANIFEST.MF), player
+ * commands and the naming / rotation of world backups.
+ * Consumed by: MinecraftService, MinecraftBackups, MinecraftPlugins, MinecraftSettings (main).
+ *
+ * Pure functions — the callers read the files and run the commands.
+ */
+
+'use strict';
+
+const PLAYER_NAME_RE = /^\.?[A-Za-z0-9_]{1,16}$/; // leading dot: Bedrock players through Floodgate
+const BACKUP_KINDS = ['auto', 'manual', 'pre-restore'];
+const BACKUP_FILE_RE = /^(auto|manual|pre-restore)-(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})\.zip$/;
+
+// ── server.properties ──
+
+function unescapeProperty(text) {
+  return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (m, c) => {
+    if (c.length === 5) return String.fromCharCode(parseInt(c.slice(1), 16));
+    return { t: '\t', n: '\n', r: '\r', f: '\f' }[c] || c;
+  });
+}
+
+function escapeProperty(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/[=:#!]/g, '\\$&').replace(/\n/g, '\\n');
+}
+
+/**
+ * @param {string} text - Java properties file
+ * @returns {Object<string, string>}
+ */
+function parseProperties(text) {
+  const props = {};
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trimStart();
+    if (!line || line[0] === '#' || line[0] === '!') continue;
+    const match = line.match(/^((?:\\.|[^=:\s\\])*)\s*[=:]?\s*(.*)$/);
+    if (!match || !match[1]) continue;
+    props[unescapeProperty(match[1])] = unescapeProperty(match[2]);
+  }
+  return props;
+}
+
+/**
+ * Set keys of a properties file, keeping its comments and order (missing keys are appended)
+ * @param {string} text
+ * @param {Object<string, string|number|boolean>} updates
+ * @returns {string}
+ */
+function updateProperties(text, updates) {
+  const pending = new Map(Object.entries(updates));
+  const lines = String(text || '').split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  const out = lines.map((raw) => {
+    const line = raw.trimStart();
+    if (!line || line[0] === '#' || line[0] === '!') return raw;
+    const key = unescapeProperty((line.match(/^((?:\\.|[^=:\s\\])*)/) || [])[1] || '');
+    if (!pending.has(key)) return raw;
+    const value = pending.get(key);
+    pending.delete(key);
+    return `${key}=${escapeProperty(value)}`;
+  });
+  pending.forEach((value, key) => out.push(`${key}=${escapeProperty(value)}`));
+  return out.join('\n') + '\n';
+}
+
+/**
+ * World folders of a server: the level and the nether / end folders Bukkit-based servers split out
+ * @param {Object<string, string>} props - parsed server.properties
+ * @returns {string[]}
+ */
+function worldDirNames(props) {
+  const level = (props && props['level-name']) || 'world';
+  return [level, `${level}_nether`, `${level}_the_end`];
+}
+
+// ── Players ──
+
+/**
+ * Reply of `list` / `list uuids`
+ * @param {string} text
+ * @returns {{ online: number, max: number, players: Array<{ name: string, uuid: string|null }> }|null}
+ */
+function parsePlayerList(text) {
+  const clean = String(text || '').replace(/§[0-9a-fk-or]/gi, '');
+  const match = clean.match(/There are (\d+)\s*(?:of a max(?: of)?|\/)\s*(\d+) players online:?([\s\S]*)$/i);
+  if (!match) return null;
+
+  const players = [];
+  for (let line of match[3].split(/\r?\n/)) {
+    // Paper / Essentials group the names per rank: "default: Steve, Alex"
+    line = line.replace(/^\s*[\w-]+:\s+(?=\S)/, '').trim();
+    for (const entry of line.split(/,\s*/)) {
+      const player = entry.trim().match(/^(\.?[A-Za-z0-9_]{1,16})(?:\s*\(([0-9a-f-]{32,36})\))?$/i);
+      if (player) players.push({ name: player[1], uuid: player[2] || null });
+    }
+  }
+  return { online: parseInt(match[1], 10), max: parseInt(match[2], 10), players };
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isValidPlayerName(name) {
+  return typeof name === 'string' && PLAYER_NAME_RE.test(name);
+}
+
+/**
+ * Console command of a player action
+ * @param {'op'|'deop'|'kick'|'ban'|'pardon'|'whitelist-add'|'whitelist-remove'} action
+ * @param {string} name
+ * @param {string} [reason] - kick / ban
+ * @returns {string|null} null for an unknown action or an invalid name
+ */
+function playerCommand(action, name, reason) {
+  if (!isValidPlayerName(name)) return null;
+  const why = String(reason || '').replace(/[\r\n]+/g, ' ').trim();
+  switch (action) {
+    case 'op':
+    case 'deop':
+    case 'pardon':
+      return `${action} ${name}`;
+    case 'kick':
+    case 'ban':
+      return why ? `${action} ${name} ${why}` : `${action} ${name}`;
+    case 'whitelist-add':
+      return `whitelist add ${name}`;
+    case 'whitelist-remove':
+      return `whitelist remove ${name}`;
+    default:
+      return null;
+  }
+}
+
+// ── Plugin / mod metadata ──
+
+function yamlScalar(value) {
+  const v = value.trim();
+  if (/^".*"$/.test(v)) return v.slice(1, -1).replace(/\\"/g, '"').replace(/\\n/g, '\n');
+  if (/^'.*'$/.test(v)) return v.slice(1, -1).replace(/''/g, "'");
+  return v.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Top-level keys of a plugin.yml / paper-plugin.yml (nested maps such as commands are skipped)
+ * @param {string} text
+ * @returns {{ name?: string, version?: string, authors: string[], description?: string, main?: string, apiVersion?: string }}
+ */
+function parsePluginYml(text) {
+  const values = {};
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!match) continue;
+    const [, key, rest] = match;
+
+    // Indented continuation: block list, folded / literal scalar
+    const block = [];
+    while (i + 1 < lines.length && (/^(\s+\S|-\s)/.test(lines[i + 1]) || lines[i + 1].trim() === '')) {
+      block.push(lines[++i].trim());
+    }
+
+    if (/^\[.*\]$/.test(rest.trim())) {
+      values[key] = rest.trim().slice(1, -1).split(',').map(yamlScalar).filter(Boolean);
+    } else if (!rest.trim() && block.some(l => l.startsWith('- '))) {
+      values[key] = block.filter(l => l.startsWith('- ')).map(l => yamlScalar(l.slice(2)));
+    } else if (/^[>|][-+]?$/.test(rest.trim())) {
+      values[key] = block.filter(Boolean).join(rest.trim()[0] === '>' ? ' ' : '\n');
+    } else if (rest.trim()) {
+      values[key] = yamlScalar(rest);
+    }
+  }
+
+  const list = (v) => (Array.isArray(v) ? v : v ? [v] : []);
+  return {
+    name: values.name,
+    version: values.version,
+    authors: [...new Set([...list(values.author), ...list(values.authors)])],
+    description: values.description,
+    main: values.main,
+    apiVersion: values['api-version'],
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {{ id?: string, name?: string, version?: string, authors: string[], description?: string }|null}
+ */
+function parseFabricModJson(text) {
+  let json;
+  try {
+    // Some mods ship raw newlines inside strings
+    json = JSON.parse(String(text || '').replace(/^\uFEFF/, '').replace(/[\r\n\t]+/g, ' '));
+  } catch (e) {
+    return null;
+  }
+  const authors = (json.authors || []).map(a => (typeof a === 'string' ? a : a && a.name)).filter(Boolean);
+  return { id: json.id, name: json.name || json.id, version: json.version, authors, description: json.description };
+}
+
+/**
+ * @param {string} text - META-INF/MANIFEST.MF
+ * @returns {Object<string, string>}
+ */
+function parseManifest(text) {
+  const attrs = {};
+  let last = null;
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (line.startsWith(' ') && last) {
+      attrs[last] += line.slice(1);
+      continue;
+    }
+    const match = line.match(/^([\w-]+):\s?(.*)$/);
+    if (match) {
+      last = match[1];
+      attrs[last] = match[2];
+    }
+  }
+  return attrs;
+}
+
+/**
+ * First mod of a Forge / NeoForge mods.toml
+ * @param {string} text
+ * @param {Object<string, string>} [manifest] - resolves version="${file.jarVersion}"
+ * @returns {{ id?: string, name?: string, version?: string, authors: string[], description?: string }|null}
+ */
+function parseModsToml(text, manifest = {}) {
+  const src = String(text || '');
+  const start = src.search(/^\s*\[\[mods\]\]\s*$/m);
+  if (start === -1) return null;
+
+  const values = {};
+  const readKeys = (section) => {
+    const re = /^\s*([\w-]+)\s*=\s*('''[\s\S]*?'''|"""[\s\S]*?"""|"(?:\\.|[^"\\])*"|'[^']*'|[^\r\n#]*)/gm;
+    let m;
+    while ((m = re.exec(section))) {
+      if (m[1] in values) continue;
+      let v = m[2].trim();
+      if (/^('''|""")/.test(v)) v = v.slice(3, -3).trim();
+      else if (/^["']/.test(v)) v = v.slice(1, -1).replace(/\\"/g, '"');
+      values[m[1]] = v;
+    }
+  };
+  const body = src.slice(start).replace(/^\s*\[\[mods\]\]\s*$/m, '');
+  const end = body.search(/^\s*\[/m);
+  readKeys(end === -1 ? body : body.slice(0, end));
+  // authors is often declared at the top level
+  if (!values.authors) readKeys(src.slice(0, start));
+
+  let version = values.version;
+  if (version && version.includes('${file.jarVersion}')) {
+    version = manifest['Implementation-Version'] ? version.replace('${file.jarVersion}', manifest['Implementation-Version']) : null;
+  }
+  return {
+    id: values.modId,
+    name: values.displayName || values.modId,
+    version: version || undefined,
+    authors: values.authors ? values.authors.split(/\s*,\s*/).filter(Boolean) : [],
+    description: values.description,
+  };
+}
+
+// ── Backups ──
+
+/**
+ * @param {'auto'|'manual'|'pre-restore'} kind
+ * @param {Date} [date]
+ * @returns {string} e.g. auto-2025-03-14_21-00-00.zip
+ */
+function backupFileName(kind, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${kind}-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_`
+    + `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}.zip`;
+}
+
+/**
+ * @param {string} file
+ * @returns {{ kind: string, date: Date }|null}
+ */
+function parseBackupFileName(file) {
+  const m = String(file).match(BACKUP_FILE_RE);
+  if (!m) return null;
+  return { kind: m[1], date: new Date(+m[2], m[3] - 1, +m[4], +m[5], +m[6], +m[7]) };
+}
+
+/**
+ * Scheduled backups beyond the `keep` most recent ones (manual and pre-restore ones are never rotated)
+ * @param {string[]} files
+ * @param {number} keep
+ * @returns {string[]}
+ */
+function backupsToPrune(files, keep) {
+  const auto = files
+    .map(file => ({ file, info: parseBackupFileName(file) }))
+    .filter(b => b.info && b.info.kind === 'auto')
+    .sort((a, b) => b.info.date - a.info.date);
+  return auto.slice(Math.max(0, keep)).map(b => b.file);
+}
+
+module.exports = {
+  BACKUP_KINDS,
+  parseProperties,
+  updateProperties,
+  worldDirNames,
+  parsePlayerList,
+  isValidPlayerName,
+  playerCommand,
+  parsePluginYml,
+  parseFabricModJson,
+  parseManifest,
+  parseModsToml,
+  backupFileName,
+  parseBackupFileName,
+  backupsToPrune,
+};
@@ -0,0 +1,195 @@
+/**
+ * python-env.js
+ * Python virtual environments of Python projects: where the interpreter of a venv lives,
+ * the environment of processes started in the project (terminals, Claude sessions), the
+ * shell command that activates it, and the commands that create it / install the
+ * dependencies with venv, uv, poetry or pipenv.
+ * Consumed by: PythonService (main), TerminalService / ChatService through it.
+ *
+ * Pure functions — paths are built for the given platform so they can be tested anywhere.
+ * Command shape: { command, args, env? } — run in the project directory, env merged over process.env.
+ */
+
+'use strict';
+
+const path = require('path');
+
+const VENV_DIRS = ['.venv', 'venv', 'env'];
+const VENV_TOOLS = ['venv', 'uv', 'poetry'];
+
+// Created by poetry / pipenv / uv sync inside the project rather than in their cache dirs
+const IN_PROJECT_ENV = { POETRY_VIRTUALENVS_IN_PROJECT: 'true', PIPENV_VENV_IN_PROJECT: '1' };
+
+function pathFor(platform) {
+  return platform === 'win32' ? path.win32 : path.posix;
+}
+
+/**
+ * @param {string} venvDir - absolute venv directory
+ * @param {string} [platform]
+ * @returns {string} directory of the venv executables (Scripts on Windows)
+ */
+function venvBinDir(venvDir, platform = process.platform) {
+  return pathFor(platform).join(venvDir, platform === 'win32' ? 'Scripts' : 'bin');
+}
+
+/**
+ * @param {string} venvDir - absolute venv directory
+ * @param {string} [platform]
+ * @returns {string}
+ */
+function venvPython(venvDir, platform = process.platform) {
+  return pathFor(platform).join(venvBinDir(venvDir, platform), platform === 'win32' ? 'python.exe' : 'python');
+}
+
+/**
+ * Environment of a process started in the project: the venv first on PATH (what `activate`
+ * does), or the directory of the chosen interpreter when the project has no venv.
+ * @param {Object} baseEnv - e.g. process.env (not modified)
+ * @param {{ venvDir?: string, interpreter?: string }} target
+ * @param {string} [platform]
+ * @returns {Object}
+ */
+function pythonEnv(baseEnv, { venvDir, interpreter } = {}, platform = process.platform) {
+  const env = { ...baseEnv };
+  if (!venvDir && !interpreter) return env;
+
+  const delimiter = platform === 'win32' ? ';' : ':';
+  const pathKey = Object.keys(env).find(key => key.toUpperCase() === 'PATH') || 'PATH';
+  const drop = new Set();
+  let binDir;
+
+  if (venvDir) {
+    binDir = venvBinDir(venvDir, platform);
+    // The app may have been launched from a shell with another venv activated
+    if (env.VIRTUAL_ENV && env.VIRTUAL_ENV !== venvDir) drop.add(venvBinDir(env.VIRTUAL_ENV, platform));
+    env.VIRTUAL_ENV = venvDir;
+    delete env.PYTHONHOME;
+  } else {
+    binDir = pathFor(platform).dirname(interpreter);
+  }
+  drop.add(binDir);
+
+  const rest = String(env[pathKey] || '').split(delimiter).filter(dir => dir && !drop.has(dir));
+  env[pathKey] = [binDir, ...rest].join(delimiter);
+  return env;
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Command typed in an interactive Unix shell to activate the venv (prompt prefix, `deactivate`).
+ * @param {string} venvDir - absolute venv directory
+ * @param {string} shellPath - e.g. /bin/zsh, /usr/bin/fish
+ * @param {string} [platform]
+ * @returns {string|null} null on Windows, where the environment alone is used
+ */
+function activateCommand(venvDir, shellPath, platform = process.platform) {
+  if (platform === 'win32') return null;
+  const shell = pathFor(platform).basename(shellPath || '');
+  const binDir = venvBinDir(venvDir, platform);
+  if (shell === 'fish') return `source ${shellQuote(`${binDir}/activate.fish`)}`;
+  if (shell === 'csh' || shell === 'tcsh') return `source ${shellQuote(`${binDir}/activate.csh`)}`;
+  return `. ${shellQuote(`${binDir}/activate`)}`;
+}
+
+/**
+ * @param {{ tool?: string, interpreter?: string, venvDir?: string }} options
+ *   tool: 'venv' (default), 'uv' or 'poetry' — poetry always uses .venv
+ * @param {string} [platform]
+ * @returns {{ command: string, args: string[], env?: Object }}
+ */
+function createVenvCommand({ tool = 'venv', interpreter, venvDir = '.venv' } = {}, platform = process.platform) {
+  const defaultPython = platform === 'win32' ? 'python' : 'python3';
+  if (tool === 'uv') {
+    return { command: 'uv', args: ['venv', venvDir, ...(interpreter ? ['--python', interpreter] : [])] };
+  }
+  if (tool === 'poetry') {
+    return { command: 'poetry', args: ['env', 'use', interpreter || defaultPython], env: IN_PROJECT_ENV };
+  }
+  return { command: interpreter || defaultPython, args: ['-m', 'venv', venvDir] };
+}
+
+/**
+ * Command installing the project dependencies into its venv.
+ * @param {Object} options
+ * @param {string} [options.projectType] - PythonService project type (poetry, pipenv, pip, ...)
+ * @param {string} [options.tool] - venv tool of the project ('uv' installs through uv)
+ * @param {{ requirements?: boolean, pyproject?: boolean, uvLock?: boolean }} [options.files]
+ * @param {string} options.python - venv interpreter
+ * @returns {{ command: string, args: string[], env?: Object }|null} null when there is nothing to install
+ */
+function installCommand({ projectType, tool, files = {}, python }) {
+  if (projectType === 'poetry' || tool === 'poetry') {
+    return { command: 'poetry', args: ['install'], env: IN_PROJECT_ENV };
+  }
+  if (projectType === 'pipenv') {
+    return { command: 'pipenv', args: ['install'], env: IN_PROJECT_ENV };
+  }
+  if (tool === 'uv') {
+    if (files.uvLock || (files.pyproject && !files.requirements)) return { command: 'uv', args: ['sync'] };
+    if (files.requirements) return { command: 'uv', args: ['pip', 'install', '-r', 'requirements.txt', '--python', python] };
+    return null;
+  }
+  if (files.requirements) return { command: python, args: ['-m', 'pip', 'install', '-r', 'requirements.txt'] };
+  if (files.pyproject) return { command: python, args: ['-m', 'pip', 'install', '-e', '.'] };
+  return null;
+}
+
+/**
+ * `pip list --outdated --format=json` (or `uv pip list --outdated --format json`) output.
+ * @param {string} output
+ * @returns {{ name: string, version: string, latest: string }[]} sorted by name
+ */
+function parseOutdated(output) {
+  const start = String(output || '').indexOf('[');
+  if (start < 0) return [];
+  try {
+    const list = JSON.parse(output.slice(start));
+    return (Array.isArray(list) ? list : [])
+      .filter(pkg => pkg && pkg.name)
+      .map(pkg => ({ name: pkg.name, version: pkg.version || '', latest: pkg.latest_version || '' }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * @param {string} output - `python --version` output
+ * @returns {string|null} e.g. "3.12.1"
+ */
+function parsePythonVersion(output) {
+  const match = String(output || '').match(/Python\s+(\d+\.\d+(?:\.\d+)?\S*)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Interpreters listed by the Windows launcher (`py -0p`).
+ * @param {string} output
+ * @returns {{ version: string, path: string }[]}
+ */
+function parsePyLauncher(output) {
+  const found = [];
+  for (const line of String(output || '').split(/\r?\n/)) {
+    const match = line.match(/^\s*-(?:V:)?(\d+(?:\.\d+)*)\S*\s+(?:\*\s+)?(\S.*?)\s*$/);
+    if (match) found.push({ version: match[1], path: match[2] });
+  }
+  return found;
+}
+
+module.exports = {
+  VENV_DIRS,
+  VENV_TOOLS,
+  venvBinDir,
+  venvPython,
+  pythonEnv,
+  activateCommand,
+  createVenvCommand,
+  installCommand,
+  parseOutdated,
+  parsePythonVersion,
+  parsePyLauncher,
+};
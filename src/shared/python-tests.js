@@ -0,0 +1,271 @@
+/**
+ * python-tests.js
+ * Results of Python test runs: pytest JUnit XML reports (`--junitxml`, xunit1 family so
+ * test cases carry their file / line) and `python -m unittest -v` output, turned into one
+ * list of test results, a file > class > test tree, and the file:line of each failure.
+ * Consumed by: PythonRunner (main), PythonTerminalPanel (renderer).
+ *
+ * Pure functions. Test shape:
+ *   { id, file, className, name, status: 'passed'|'failed'|'error'|'skipped', duration,
+ *     message, traceback, location: { file, line } | null }
+ */
+
+'use strict';
+
+const STATUS_ORDER = ['error', 'failed', 'passed', 'skipped'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function unescapeXml(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = re.exec(source))) {
+    attrs[match[1]] = unescapeXml(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attrs;
+}
+
+function toPosix(file) {
+  return String(file || '').replace(/\\/g, '/');
+}
+
+/**
+ * Module path of a dotted test class name: "tests.test_calc.TestAdd" -> "tests/test_calc.py"
+ */
+function fileFromClassName(className) {
+  const parts = String(className || '').split('.');
+  // Drop trailing CamelCase class names
+  while (parts.length > 1 && /^[A-Z]/.test(parts[parts.length - 1])) parts.pop();
+  return parts.filter(Boolean).length ? `${parts.join('/')}.py` : '';
+}
+
+// `File "x.py", line 12` (Python tracebacks) and `x.py:12:` (pytest short tracebacks)
+const FRAME_RE = /File "([^"]+)", line (\d+)|^([^\s:"][^:\n"]*\.py):(\d+)(?=:)/gm;
+
+/**
+ * Traceback text split around its file:line frames, to render them as links.
+ * @param {string} traceback
+ * @returns {{ text: string, file?: string, line?: number }[]} frame segments carry file / line
+ */
+function splitTraceback(traceback) {
+  const text = String(traceback || '');
+  const segments = [];
+  let last = 0;
+  let match;
+  FRAME_RE.lastIndex = 0;
+  while ((match = FRAME_RE.exec(text))) {
+    if (match.index > last) segments.push({ text: text.slice(last, match.index) });
+    segments.push({ text: match[0], file: match[1] || match[3], line: Number(match[2] || match[4]) });
+    last = FRAME_RE.lastIndex;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last) });
+  return segments;
+}
+
+/**
+ * Last frame of a traceback that belongs to the project (not the stdlib / site-packages).
+ * @param {string} traceback
+ * @param {string} [projectPath] - made relative when the frame is inside it
+ * @returns {{ file: string, line: number }|null}
+ */
+function tracebackLocation(traceback, projectPath) {
+  const own = splitTraceback(traceback)
+    .filter(segment => segment.file)
+    .map(segment => ({ file: toPosix(segment.file), line: segment.line }))
+    .filter(f => !/(site|dist)-packages\/|\/lib\/python[\d.]*\/|^<|\/_pytest\/|\/unittest\//.test(f.file));
+  const frame = own.length ? own[own.length - 1] : null;
+  if (!frame) return null;
+
+  const root = toPosix(projectPath).replace(/\/+$/, '');
+  if (root && frame.file.toLowerCase().startsWith(`${root.toLowerCase()}/`)) {
+    frame.file = frame.file.slice(root.length + 1);
+  }
+  return frame;
+}
+
+/**
+ * Test cases of a JUnit XML report (pytest --junitxml)
+ * @param {string} xml
+ * @param {string} [projectPath]
+ * @returns {Object[]}
+ */
+function parseJUnitXml(xml, projectPath) {
+  const tests = [];
+  const re = /<testcase\b([^>]*?)(\/>|>([\s\S]*?)<\/testcase>)/g;
+  let match;
+  while ((match = re.exec(String(xml || '')))) {
+    const attrs = parseAttributes(match[1]);
+    const body = match[3] || '';
+    const outcome = body.match(/<(failure|error|skipped)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+
+    let status = 'passed';
+    let message = '';
+    let traceback = '';
+    if (outcome) {
+      status = outcome[1] === 'failure' ? 'failed' : outcome[1];
+      message = parseAttributes(outcome[2]).message || '';
+      traceback = unescapeXml((outcome[3] || '').replace(/^<!\[CDATA\[|\]\]>$/g, '')).trim();
+    }
+
+    // Collection errors have no class: their name is the dotted module
+    const file = toPosix(attrs.file) || fileFromClassName(attrs.classname || attrs.name);
+    const className = (attrs.classname || '').split('.').filter(part => /^[A-Z]/.test(part)).join('.');
+    let location = status === 'failed' || status === 'error' ? tracebackLocation(traceback, projectPath) : null;
+    if (!location && file && attrs.line !== undefined) location = { file, line: Number(attrs.line) + 1 };
+
+    tests.push({
+      id: [file, className, attrs.name].filter(Boolean).join('::'),
+      file,
+      className,
+      name: attrs.name || '',
+      status,
+      duration: Number(attrs.time) || 0,
+      message,
+      traceback,
+      location
+    });
+  }
+  return tests;
+}
+
+/**
+ * Test results of `python -m unittest -v` (stderr)
+ * @param {string} output
+ * @param {string} [projectPath]
+ * @returns {Object[]}
+ */
+function parseUnittestOutput(output, projectPath) {
+  const text = String(output || '').replace(/\r\n/g, '\n');
+  const tests = new Map();
+  const STATUS = { ok: 'passed', FAIL: 'failed', ERROR: 'error', skipped: 'skipped', 'expected failure': 'passed', 'unexpected success': 'failed' };
+
+  // test_add (tests.test_calc.TestCalc.test_add) ... ok    (3.11+: the dotted name includes the method)
+  // test_add (tests.test_calc.TestCalc) ... ok              (older Pythons)
+  const lineRe = /^(\w+) \(([\w.]+)\)(?:\n[^\n]*?)? \.\.\. (ok|FAIL|ERROR|skipped|expected failure|unexpected success)(?: '([^\n]*)')?$/gm;
+  let match;
+  while ((match = lineRe.exec(text))) {
+    const [, name, dotted, result, reason] = match;
+    const classPath = dotted.endsWith(`.${name}`) ? dotted.slice(0, -name.length - 1) : dotted;
+    const file = fileFromClassName(classPath);
+    const className = classPath.split('.').filter(part => /^[A-Z]/.test(part)).join('.');
+    const id = [file, className, name].filter(Boolean).join('::');
+    tests.set(`${classPath}.${name}`, {
+      id, file, className, name, status: STATUS[result], duration: 0,
+      message: reason || '', traceback: '', location: null
+    });
+  }
+
+  // ======\nFAIL: test_add (tests.test_calc.TestCalc[.test_add])\n------\nTraceback ...
+  const blockRe = /^={20,}\n(FAIL|ERROR): (\w+) \(([\w.]+)\)[^\n]*\n-{20,}\n([\s\S]*?)(?=\n={20,}\n|\n-{20,}\nRan |(?![\s\S]))/gm;
+  while ((match = blockRe.exec(text))) {
+    const [, kind, name, dotted, body] = match;
+    const classPath = dotted.endsWith(`.${name}`) ? dotted.slice(0, -name.length - 1) : dotted;
+    const traceback = body.trim();
+    const lines = traceback.split('\n');
+    const test = tests.get(`${classPath}.${name}`) || {
+      id: `${fileFromClassName(classPath)}::${name}`,
+      file: fileFromClassName(classPath),
+      className: '',
+      name,
+      status: kind === 'FAIL' ? 'failed' : 'error',
+      duration: 0
+    };
+    test.traceback = traceback;
+    test.message = lines[lines.length - 1] || '';
+    test.location = tracebackLocation(traceback, projectPath);
+    tests.set(`${classPath}.${name}`, test);
+  }
+  return [...tests.values()];
+}
+
+/**
+ * @param {Object[]} tests
+ * @returns {{ total: number, passed: number, failed: number, error: number, skipped: number, duration: number }}
+ */
+function summarizeTests(tests) {
+  const summary = { total: tests.length, passed: 0, failed: 0, error: 0, skipped: 0, duration: 0 };
+  for (const test of tests) {
+    summary[test.status] = (summary[test.status] || 0) + 1;
+    summary.duration += test.duration || 0;
+  }
+  return summary;
+}
+
+function worstStatus(statuses) {
+  return STATUS_ORDER.find(status => statuses.includes(status)) || 'skipped';
+}
+
+/**
+ * File > class > test tree, failures first.
+ * @param {Object[]} tests
+ * @returns {{ label: string, status: string, summary: Object, children: Object[] }[]}
+ *   leaves: { label, status, test }
+ */
+function buildTestTree(tests) {
+  const files = new Map();
+  for (const test of tests) {
+    const fileKey = test.file || '(unknown)';
+    if (!files.has(fileKey)) files.set(fileKey, new Map());
+    const classes = files.get(fileKey);
+    const classKey = test.className || '';
+    if (!classes.has(classKey)) classes.set(classKey, []);
+    classes.get(classKey).push(test);
+  }
+
+  const rank = node => STATUS_ORDER.indexOf(node.status);
+  const sortNodes = nodes => nodes.sort((a, b) => rank(a) - rank(b) || a.label.localeCompare(b.label));
+  const leaf = test => ({ label: test.name, status: test.status, test });
+
+  return sortNodes([...files].map(([file, classes]) => {
+    const children = [];
+    for (const [className, classTests] of classes) {
+      if (!className) {
+        children.push(...classTests.map(leaf));
+        continue;
+      }
+      const leaves = sortNodes(classTests.map(leaf));
+      children.push({ label: className, status: worstStatus(leaves.map(l => l.status)), children: leaves });
+    }
+    const fileTests = [...classes.values()].flat();
+    return {
+      label: file,
+      status: worstStatus(fileTests.map(t => t.status)),
+      summary: summarizeTests(fileTests),
+      children: sortNodes(children)
+    };
+  }));
+}
+
+/**
+ * Plain text of a failure, for prompts and copies.
+ * @param {Object} test
+ * @returns {string}
+ */
+function formatTestFailure(test) {
+  const where = test.location ? ` (${test.location.file}:${test.location.line})` : '';
+  const header = `${test.status.toUpperCase()}: ${test.id}${where}`;
+  return [header, test.message && test.message !== test.traceback ? test.message : '', test.traceback]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  splitTraceback,
+  tracebackLocation,
+  parseJUnitXml,
+  parseUnittestOutput,
+  summarizeTests,
+  buildTestTree,
+  formatTestFailure,
+};
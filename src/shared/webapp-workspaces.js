@@ -0,0 +1,368 @@
+/**
+ * webapp-workspaces.js
+ * Monorepo awareness for web app projects: finds the workspace root (pnpm / npm / yarn /
+ * bun workspaces, Lerna, Nx, Turborepo), lists its packages with their framework and
+ * scripts, and builds the command that runs one package's script with the right filter.
+ * Consumed by: WebAppService (main), WebAppTerminalPanel (renderer, via IPC results),
+ * the webapp MCP tools (copied to mcp-servers/shared when packaged).
+ *
+ * Node only (reads the file system). Shapes:
+ *   workspace  { root, rootRelative, packageManager, tool, packages: Package[] }
+ *     rootRelative: workspace root relative to the project path ('' when the project is the root)
+ *     tool:         'turborepo' | 'nx' | 'lerna' | null
+ *   Package    { name, path, version, private, framework, scripts }
+ *     path: relative to the workspace root, always with forward slashes
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_PARENT_LEVELS = 5;
+const MAX_GLOB_DEPTH = 4;
+const MAX_PACKAGES = 200;
+const SKIP_DIRS = new Set(['node_modules', 'dist', 'build', 'out', 'coverage', 'vendor']);
+
+const FRAMEWORKS = [
+  { dep: 'next', name: 'Next.js', icon: 'next' },
+  { dep: 'nuxt', name: 'Nuxt', icon: 'nuxt' },
+  { dep: '@sveltejs/kit', name: 'SvelteKit', icon: 'svelte' },
+  { dep: 'astro', name: 'Astro', icon: 'astro' },
+  { dep: 'gatsby', name: 'Gatsby', icon: 'gatsby' },
+  { dep: '@angular/core', name: 'Angular', icon: 'angular' },
+  { dep: 'react-scripts', name: 'Create React App', icon: 'react' },
+  { deps: ['vite', 'react'], name: 'React + Vite', icon: 'react' },
+  { deps: ['vite', 'vue'], name: 'Vue + Vite', icon: 'vue' },
+  { deps: ['vite', 'svelte'], name: 'Svelte + Vite', icon: 'svelte' },
+  { dep: 'vite', name: 'Vite', icon: 'vite' },
+  { dep: 'vue', name: 'Vue', icon: 'vue' },
+  { dep: 'react', name: 'React', icon: 'react' },
+  { dep: '@nestjs/core', name: 'NestJS', icon: 'node' },
+  { dep: 'express', name: 'Express', icon: 'node' },
+  { dep: 'fastify', name: 'Fastify', icon: 'node' },
+  { dep: 'hono', name: 'Hono', icon: 'node' },
+  { dep: 'koa', name: 'Koa', icon: 'node' },
+];
+
+const TOOL_LABELS = { turborepo: 'Turborepo', nx: 'Nx', lerna: 'Lerna' };
+
+// ─── Files ────────────────────────────────────────────────────────────────────
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function exists(dir, name) {
+  return fs.existsSync(path.join(dir, name));
+}
+
+/**
+ * Framework of a package from its dependencies.
+ * @param {Object} pkg - package.json content
+ * @returns {{ name: string, icon: string }|null}
+ */
+function frameworkFromPackage(pkg) {
+  if (!pkg) return null;
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const match = FRAMEWORKS.find(f => (f.deps || [f.dep]).every(d => d in deps));
+  return match ? { name: match.name, icon: match.icon } : null;
+}
+
+/**
+ * `packages:` list of a pnpm-workspace.yaml (block or flow style).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parsePnpmWorkspace(text) {
+  const lines = String(text).split(/\r?\n/);
+  const start = lines.findIndex(l => /^packages\s*:/.test(l));
+  if (start === -1) return [];
+
+  const unquote = (s) => s.trim().replace(/^(["'])(.*)\1$/, '$2');
+  const inline = lines[start].match(/^packages\s*:\s*\[(.*)\]/);
+  if (inline) return inline[1].split(',').map(unquote).filter(Boolean);
+
+  const patterns = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\S/.test(line)) break;
+    const item = line.match(/^\s+-\s*(.+?)\s*(?:#.*)?$/);
+    if (item) patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+/** Workspace globs declared at a directory, or null when it is not a workspace root. */
+function workspacePatterns(dir) {
+  if (exists(dir, 'pnpm-workspace.yaml')) {
+    try {
+      return parsePnpmWorkspace(fs.readFileSync(path.join(dir, 'pnpm-workspace.yaml'), 'utf8'));
+    } catch (_) {
+      return [];
+    }
+  }
+  const pkg = readJson(path.join(dir, 'package.json'));
+  const workspaces = pkg && (Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces?.packages);
+  if (Array.isArray(workspaces)) return workspaces;
+
+  const lerna = readJson(path.join(dir, 'lerna.json'));
+  if (lerna) return Array.isArray(lerna.packages) ? lerna.packages : ['packages/*'];
+  if (exists(dir, 'nx.json')) return ['apps/*', 'libs/*', 'packages/*'];
+  return null;
+}
+
+/**
+ * Closest directory (the project itself or a parent) that declares workspaces.
+ * Stops at the repository root (.git).
+ * @param {string} projectPath
+ * @returns {string|null}
+ */
+function findWorkspaceRoot(projectPath) {
+  let dir = path.resolve(projectPath);
+  for (let level = 0; level <= MAX_PARENT_LEVELS; level++) {
+    if (workspacePatterns(dir)) return dir;
+    const parent = path.dirname(dir);
+    if (exists(dir, '.git') || parent === dir) break;
+    dir = parent;
+  }
+  return null;
+}
+
+/**
+ * Package manager of a project: `packageManager` field, then lockfiles, looking
+ * up to the workspace root so a package inside a monorepo uses the root's tool.
+ * @param {string} projectPath
+ * @returns {'pnpm'|'yarn'|'bun'|'npm'}
+ */
+function detectPackageManager(projectPath) {
+  const root = findWorkspaceRoot(projectPath);
+  const dirs = [path.resolve(projectPath)];
+  if (root && root !== dirs[0]) dirs.push(root);
+
+  for (const dir of dirs) {
+    const field = readJson(path.join(dir, 'package.json'))?.packageManager;
+    const name = typeof field === 'string' ? field.split('@')[0] : null;
+    if (['pnpm', 'yarn', 'bun', 'npm'].includes(name)) return name;
+  }
+  for (const dir of dirs) {
+    if (exists(dir, 'bun.lockb') || exists(dir, 'bun.lock')) return 'bun';
+    if (exists(dir, 'pnpm-lock.yaml') || exists(dir, 'pnpm-workspace.yaml')) return 'pnpm';
+    if (exists(dir, 'yarn.lock')) return 'yarn';
+    if (exists(dir, 'package-lock.json')) return 'npm';
+  }
+  return 'npm';
+}
+
+/**
+ * Whether a Yarn project uses Yarn 2+ (Berry): `packageManager` names it, or `.yarnrc.yml`
+ * (Yarn 1 reads `.yarnrc`) sits next to its package.json.
+ * @param {string} dir - project or workspace root
+ * @returns {boolean}
+ */
+function isYarnBerry(dir) {
+  const field = readJson(path.join(dir, 'package.json'))?.packageManager;
+  const match = typeof field === 'string' ? field.match(/^yarn@(\d+)/) : null;
+  if (match) return Number(match[1]) >= 2;
+  return exists(dir, '.yarnrc.yml');
+}
+
+// ─── Packages ─────────────────────────────────────────────────────────────────
+
+function globToRegExp(pattern) {
+  const source = pattern.split('/').map(segment => segment === '**'
+    ? '.*'
+    : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')
+  ).join('/');
+  return new RegExp(`^${source}$`);
+}
+
+function cleanPattern(pattern) {
+  return String(pattern).trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Package directories (relative to root) matching workspace globs; `!` globs exclude.
+ * Only walks below the static prefix of each glob.
+ * @param {string} root
+ * @param {string[]} patterns
+ * @returns {string[]}
+ */
+function expandPatterns(root, patterns) {
+  const include = [];
+  const exclude = [];
+  for (const raw of patterns) {
+    const negated = String(raw).trim().startsWith('!');
+    const pattern = cleanPattern(negated ? String(raw).trim().slice(1) : raw);
+    if (pattern) (negated ? exclude : include).push(pattern);
+  }
+
+  const found = new Set();
+  const walk = (rel, depth, re) => {
+    if (found.size >= MAX_PACKAGES) return;
+    const abs = path.join(root, rel);
+    if (rel && re.test(rel) && exists(abs, 'package.json')) found.add(rel);
+    if (depth <= 0) return;
+    let entries = [];
+    try { entries = fs.readdirSync(abs, { withFileTypes: true }); } catch (_) { return; }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || SKIP_DIRS.has(entry.name)) continue;
+      walk(rel ? `${rel}/${entry.name}` : entry.name, depth - 1, re);
+    }
+  };
+
+  for (const pattern of include) {
+    const segments = pattern.split('/');
+    const firstWild = segments.findIndex(s => /[*?]/.test(s));
+    const base = firstWild === -1 ? pattern : segments.slice(0, firstWild).join('/');
+    const depth = firstWild === -1 ? 0 : segments.includes('**') ? MAX_GLOB_DEPTH : segments.length - firstWild;
+    walk(base, depth, globToRegExp(pattern));
+  }
+
+  const excluded = exclude.map(globToRegExp);
+  return [...found].filter(rel => !excluded.some(re => re.test(rel))).sort();
+}
+
+/**
+ * Workspace of a project (the project may be the root or one of its packages).
+ * @param {string} projectPath
+ * @returns {Object|null} workspace, null when the project is not part of one
+ */
+function scanWorkspace(projectPath) {
+  const root = findWorkspaceRoot(projectPath);
+  if (!root) return null;
+
+  const packages = expandPatterns(root, workspacePatterns(root) || []).map(rel => {
+    const pkg = readJson(path.join(root, rel, 'package.json')) || {};
+    return {
+      name: typeof pkg.name === 'string' && pkg.name ? pkg.name : null,
+      path: rel,
+      version: pkg.version || null,
+      private: pkg.private === true,
+      framework: frameworkFromPackage(pkg),
+      scripts: pkg.scripts && typeof pkg.scripts === 'object' ? pkg.scripts : {},
+    };
+  });
+
+  let tool = null;
+  if (exists(root, 'turbo.json')) tool = 'turborepo';
+  else if (exists(root, 'nx.json')) tool = 'nx';
+  else if (exists(root, 'lerna.json')) tool = 'lerna';
+
+  return {
+    root,
+    rootRelative: path.relative(path.resolve(projectPath), root).replace(/\\/g, '/'),
+    packageManager: detectPackageManager(root),
+    tool,
+    packages,
+  };
+}
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+
+const EXEC = { pnpm: 'pnpm exec', yarn: 'yarn', bun: 'bunx', npm: 'npx' };
+
+/**
+ * Command running a script of one workspace package, from the workspace root:
+ * through Turborepo / Nx when the repo uses them, else the package manager's filter.
+ * Packages without a name run in their own directory.
+ * @param {Object} workspace
+ * @param {{ name: string|null, path: string }} pkg
+ * @param {string} script
+ * @returns {{ command: string, cwd: string }} cwd relative to the workspace root
+ */
+function scriptCommand(workspace, pkg, script) {
+  const pm = workspace.packageManager || 'npm';
+  if (!pkg.name) return { command: `${pm} run ${script}`, cwd: pkg.path };
+
+  const exec = EXEC[pm] || 'npx';
+  if (workspace.tool === 'turborepo') return { command: `${exec} turbo run ${script} --filter=${pkg.name}`, cwd: '' };
+  if (workspace.tool === 'nx') return { command: `${exec} nx run ${pkg.name}:${script}`, cwd: '' };
+
+  switch (pm) {
+    case 'pnpm': return { command: `pnpm --filter ${pkg.name} run ${script}`, cwd: '' };
+    case 'yarn': return { command: `yarn workspace ${pkg.name} run ${script}`, cwd: '' };
+    case 'bun': return { command: `bun run --filter ${pkg.name} ${script}`, cwd: '' };
+    default: return { command: `npm run ${script} --workspace=${pkg.name}`, cwd: '' };
+  }
+}
+
+/** Quote a shell argument for cmd.exe on Windows, POSIX shells elsewhere. */
+function shellArg(value, platform) {
+  return platform === 'win32' ? `"${value}"` : `'${value}'`;
+}
+
+/**
+ * Command running every package's `dev` script in parallel, from the workspace root.
+ * @param {Object} workspace - from scanWorkspace()
+ * @param {string} [platform]
+ * @returns {string}
+ */
+function workspaceDevCommand(workspace, platform = process.platform) {
+  switch (workspace.tool || workspace.packageManager) {
+    case 'turborepo': return 'npx turbo run dev';
+    case 'nx': return 'npx nx run-many -t dev';
+    case 'lerna': return 'npx lerna run dev --stream --parallel';
+    case 'pnpm': return 'pnpm -r --parallel run dev';
+    case 'yarn':
+      if (isYarnBerry(workspace.root)) return 'yarn workspaces foreach -pi run dev';
+      // Yarn 1 has no `foreach` and its `workspaces run` fails on packages without the script
+      return workspace.packages.every(p => p.scripts.dev) ? 'yarn workspaces run dev' : 'npm run dev --workspaces --if-present';
+    case 'bun': return `bun run --filter ${shellArg('*', platform)} dev`;
+    default: return 'npm run dev --workspaces --if-present';
+  }
+}
+
+/**
+ * Dev process (see shared/dev-processes) running a workspace package's script,
+ * with its directory relative to the project path.
+ * @returns {{ id: string, name: string, command: string, cwd: string }}
+ */
+function workspaceScriptProcess(workspace, pkg, script) {
+  const { command, cwd } = scriptCommand(workspace, pkg, script);
+  const short = (pkg.name || pkg.path).split('/').pop();
+  const join = (a, b) => [a, b].filter(Boolean).join('/');
+  return {
+    id: `${short}-${script}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+    name: `${short}:${script}`,
+    command,
+    cwd: join(workspace.rootRelative, cwd),
+  };
+}
+
+/**
+ * Find a package by name, short name (without scope) or path.
+ * @returns {Object|null}
+ */
+function findPackage(workspace, query) {
+  const q = String(query || '').trim().toLowerCase().replace(/\\/g, '/').replace(/\/+$/, '');
+  if (!workspace || !q) return null;
+  return workspace.packages.find(p => (p.name || '').toLowerCase() === q || p.path.toLowerCase() === q)
+    || workspace.packages.find(p => (p.name || '').toLowerCase().split('/').pop() === q || p.path.toLowerCase().split('/').pop() === q)
+    || null;
+}
+
+/** "pnpm workspace · Turborepo" */
+function describeWorkspace(workspace) {
+  const label = `${workspace.packageManager} workspace`;
+  return workspace.tool ? `${label} · ${TOOL_LABELS[workspace.tool]}` : label;
+}
+
+module.exports = {
+  TOOL_LABELS,
+  frameworkFromPackage,
+  parsePnpmWorkspace,
+  findWorkspaceRoot,
+  detectPackageManager,
+  isYarnBerry,
+  expandPatterns,
+  scanWorkspace,
+  scriptCommand,
+  workspaceDevCommand,
+  workspaceScriptProcess,
+  findPackage,
+  describeWorkspace,
+};
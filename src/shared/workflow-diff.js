@@ -0,0 +1,112 @@
+/**
+ * workflow-diff.js
+ * Structural diff between two saved workflow definitions (revisions).
+ * Compares top-level settings, graph nodes (by id), node properties and connections.
+ * Consumed by: WorkflowHistoryPanel (renderer).
+ */
+
+'use strict';
+
+// Top-level workflow fields shown in the "Settings" section of a diff
+const META_KEYS = ['name', 'trigger', 'hookType', 'scope', 'concurrency', 'timeout', 'dependsOn', 'variables'];
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Display title of a graph node (custom title → LiteGraph title → type without prefix). */
+function nodeTitle(node) {
+  if (!node) return '';
+  return node.properties?._customTitle || node.title || String(node.type || '').replace(/^workflow\//, '');
+}
+
+/** Link identity ignores the LiteGraph link id, which is reassigned on every edit. */
+function linkKey(link) {
+  const [, originId, originSlot, targetId, targetSlot] = link;
+  return `${originId}:${originSlot}>${targetId}:${targetSlot}`;
+}
+
+function describeLink(link, nodesById) {
+  const [, originId, originSlot, targetId, targetSlot] = link;
+  const origin = nodesById.get(originId);
+  const target = nodesById.get(targetId);
+  return {
+    from: originId,
+    fromTitle: nodeTitle(origin) || `#${originId}`,
+    fromSlot: origin?.outputs?.[originSlot]?.name ?? String(originSlot),
+    to: targetId,
+    toTitle: nodeTitle(target) || `#${targetId}`,
+    toSlot: target?.inputs?.[targetSlot]?.name ?? String(targetSlot),
+  };
+}
+
+function diffProps(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const key of keys) {
+    if (!same(before[key], after[key])) changes.push({ key, before: before[key], after: after[key] });
+  }
+  return changes;
+}
+
+/**
+ * Diff two workflow definitions.
+ * @param {Object|null} before - older revision (null → everything is "added")
+ * @param {Object|null} after  - newer revision
+ * @returns {{
+ *   meta: Array<{ key: string, before: *, after: * }>,
+ *   nodes: { added: Object[], removed: Object[], changed: Array<{ id: number, type: string, title: string, moved: boolean, props: Array<{ key, before, after }> }> },
+ *   links: { added: Object[], removed: Object[] },
+ * }}
+ */
+function diffWorkflows(before, after) {
+  before = before || {};
+  after = after || {};
+
+  const meta = META_KEYS
+    .filter(key => !same(before[key], after[key]))
+    .map(key => ({ key, before: before[key], after: after[key] }));
+
+  const beforeNodes = new Map((before.graph?.nodes || []).map(n => [n.id, n]));
+  const afterNodes = new Map((after.graph?.nodes || []).map(n => [n.id, n]));
+
+  const nodes = { added: [], removed: [], changed: [] };
+  for (const [id, node] of afterNodes) {
+    const prev = beforeNodes.get(id);
+    if (!prev || prev.type !== node.type) {
+      nodes.added.push(node);
+      if (prev) nodes.removed.push(prev);
+      continue;
+    }
+    const props = diffProps(prev.properties, node.properties);
+    const moved = !same(prev.pos, node.pos);
+    if (props.length || moved) {
+      nodes.changed.push({ id, type: node.type, title: nodeTitle(node), moved, props });
+    }
+  }
+  for (const [id, node] of beforeNodes) {
+    if (!afterNodes.has(id)) nodes.removed.push(node);
+  }
+
+  const beforeLinks = new Map((before.graph?.links || []).map(l => [linkKey(l), l]));
+  const afterLinks = new Map((after.graph?.links || []).map(l => [linkKey(l), l]));
+  const links = {
+    added: [...afterLinks].filter(([k]) => !beforeLinks.has(k)).map(([, l]) => describeLink(l, afterNodes)),
+    removed: [...beforeLinks].filter(([k]) => !afterLinks.has(k)).map(([, l]) => describeLink(l, beforeNodes)),
+  };
+
+  return { meta, nodes, links };
+}
+
+/**
+ * Count the changes in a diff (node moves alone are not counted as edits).
+ * @returns {{ added: number, removed: number, changed: number, total: number }}
+ */
+function summarizeDiff(diff) {
+  const added = diff.nodes.added.length + diff.links.added.length;
+  const removed = diff.nodes.removed.length + diff.links.removed.length;
+  const changed = diff.meta.length + diff.nodes.changed.filter(c => c.props.length).length;
+  return { added, removed, changed, total: added + removed + changed };
+}
+
+module.exports = { diffWorkflows, summarizeDiff, nodeTitle };
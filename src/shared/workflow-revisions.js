@@ -0,0 +1,43 @@
+/**
+ * workflow-revisions.js
+ * Revision history entries of saved workflow definitions (workflows/revisions/<id>.json).
+ * Consumed by: WorkflowStorage (main) and the workflow MCP tools, which both record revisions.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const MAX_REVISIONS_PER_WF = 30;
+
+/**
+ * Add a snapshot of a workflow definition to its revision history.
+ * `enabled` is runtime state, not content: it is left out of the snapshot.
+ * @param {Object[]} revisions - newest first
+ * @param {Object} workflow
+ * @param {Object} [meta]
+ * @param {string} [meta.source] - 'ui' | 'mcp' | 'marketplace' | 'import' | 'restore' | 'baseline'
+ * @param {string} [meta.author]
+ * @param {string} [meta.note]   - e.g. the MCP tool or the restored revision id
+ * @returns {{ revisions: Object[], revision: Object|null }} revisions capped at MAX_REVISIONS_PER_WF;
+ *   revision is null (and revisions unchanged) when identical to the latest one
+ */
+function addRevision(revisions, workflow, { source = 'ui', author = null, note = null } = {}) {
+  const { enabled, ...snapshot } = workflow;
+  if (revisions[0] && JSON.stringify(revisions[0].workflow) === JSON.stringify(snapshot)) {
+    return { revisions, revision: null };
+  }
+
+  const revision = {
+    id: `rev_${crypto.randomUUID().slice(0, 8)}`,
+    workflowId: workflow.id,
+    createdAt: Date.now(),
+    source,
+    author,
+    note,
+    workflow: snapshot,
+  };
+  return { revisions: [revision, ...revisions].slice(0, MAX_REVISIONS_PER_WF), revision };
+}
+
+module.exports = { MAX_REVISIONS_PER_WF, addRevision };
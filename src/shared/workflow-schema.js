@@ -27,6 +27,7 @@ const NODE_COLORS = {
   subworkflow:  { bg: '#101012', border: '#1c1c20', accent: '#818cf8', accentDim: 'rgba(129,140,248,.06)' },
   switch:       { bg: '#101012', border: '#1c1c20', accent: '#f87171', accentDim: 'rgba(248,113,113,.06)' },
   time:         { bg: '#101012', border: '#1c1c20', accent: '#34d399', accentDim: 'rgba(52,211,153,.06)' },
+  join:         { bg: '#101012', border: '#1c1c20', accent: '#38bdf8', accentDim: 'rgba(56,189,248,.06)' },
 };
 
 // ── Pin type system ──────────────────────────────────────────────────────────
@@ -83,6 +84,8 @@ const NODE_DATA_OUTPUTS = {
                  { name: 'week',     type: 'number',  key: 'week' },
                  { name: 'month',    type: 'number',  key: 'month' },
                  { name: 'projects', type: 'array',   key: 'projects' }],
+  join:         [{ name: 'results',   type: 'object',  key: 'results' },
+                 { name: 'completed', type: 'array',   key: 'completed' }],
 };
 
 // node type → slot index of first data output (after exec slots)
@@ -90,7 +93,7 @@ const NODE_DATA_OUT_OFFSET = {
   trigger: 1, claude: 2, shell: 2, git: 2, http: 2, db: 2, file: 2,
   notify: 1, wait: 1, log: 1, condition: 2, loop: 2, project: 2,
   variable: 1, transform: 2, subworkflow: 2, switch: 0,
-  get_variable: 0, time: 2,
+  get_variable: 0, time: 2, join: 2,
 };
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
@@ -114,6 +117,75 @@ function isValidConnection(outType, inType) {
   return compat ? compat.has(inType) : false;
 }
 
+// ── Definition validation ────────────────────────────────────────────────────
+
+// Core node types (NODE_COLORS plus nodes that reuse another node's colors).
+// Project-type steps ('workflow/<type>.<action>') are provided by project handlers.
+const CORE_NODE_TYPES = new Set([...Object.keys(NODE_COLORS), 'webhook']);
+
+// Workflow ids name files (revisions/<id>.json…): no path separators or dots
+const WORKFLOW_ID_RE = /^[\w-]+$/;
+
+/**
+ * Check that a workflow definition is structurally sound before it is saved
+ * (e.g. when importing a workflow file).
+ * @param {Object} workflow
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateWorkflowDefinition(workflow) {
+  const errors = [];
+  const warnings = [];
+  if (!workflow || typeof workflow !== 'object') return { errors: ['Workflow is not an object'], warnings };
+
+  const label = workflow.name ? `"${workflow.name}"` : (workflow.id || 'workflow');
+  if (!workflow.id || typeof workflow.id !== 'string') errors.push(`${label}: missing id`);
+  else if (!WORKFLOW_ID_RE.test(workflow.id)) errors.push(`${label}: invalid id ${JSON.stringify(workflow.id)}`);
+  if (!workflow.name || typeof workflow.name !== 'string') errors.push(`${label}: missing name`);
+  if (workflow.trigger && typeof workflow.trigger.type !== 'string') errors.push(`${label}: invalid trigger`);
+  if (workflow.variables && !Array.isArray(workflow.variables)) errors.push(`${label}: variables must be an array`);
+  if (workflow.dependsOn && !Array.isArray(workflow.dependsOn)) errors.push(`${label}: dependsOn must be an array`);
+
+  const graph = workflow.graph;
+  if (!graph) {
+    if (!Array.isArray(workflow.steps)) errors.push(`${label}: missing graph`);
+    return { errors, warnings };
+  }
+  if (!Array.isArray(graph.nodes) || !Array.isArray(graph.links)) {
+    errors.push(`${label}: graph must have nodes[] and links[]`);
+    return { errors, warnings };
+  }
+
+  const nodesById = new Map();
+  for (const node of graph.nodes) {
+    if (!node || typeof node.id !== 'number' || typeof node.type !== 'string' || !node.type.startsWith('workflow/')) {
+      errors.push(`${label}: invalid node ${JSON.stringify(node?.id ?? node)}`);
+      continue;
+    }
+    if (nodesById.has(node.id)) errors.push(`${label}: duplicate node id ${node.id}`);
+    nodesById.set(node.id, node);
+    const type = node.type.slice('workflow/'.length);
+    if (!CORE_NODE_TYPES.has(type) && !type.includes('.')) warnings.push(`${label}: unknown node type "${type}"`);
+  }
+  if (![...nodesById.values()].some(n => n.type === 'workflow/trigger')) errors.push(`${label}: no trigger node`);
+
+  for (const link of graph.links) {
+    if (!Array.isArray(link) || link.length < 5) {
+      errors.push(`${label}: invalid link ${JSON.stringify(link)}`);
+      continue;
+    }
+    const [id, originId, originSlot, targetId, targetSlot] = link;
+    const origin = nodesById.get(originId);
+    const target = nodesById.get(targetId);
+    if (!origin || !target) {
+      errors.push(`${label}: link ${id} references a missing node`);
+    } else if ((origin.outputs && !origin.outputs[originSlot]) || (target.inputs && !target.inputs[targetSlot])) {
+      warnings.push(`${label}: link ${id} references a missing slot`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
 // ── Exports ──────────────────────────────────────────────────────────────────
 module.exports = {
   NODE_COLORS,
@@ -124,4 +196,6 @@ module.exports = {
   getNodeColors,
   getOutputKeyForSlot,
   isValidConnection,
+  CORE_NODE_TYPES,
+  validateWorkflowDefinition,
 };
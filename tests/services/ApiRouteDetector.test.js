@@ -0,0 +1,200 @@
+/**
+ * @jest-environment node
+ */
+
+// ApiRouteDetector — static detection for NestJS, Hono, Go and ASP.NET Core, with their prefixes
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const routeDetector = require('../../src/project-types/api/main/ApiRouteDetector');
+
+let dir;
+
+function writeFiles(files) {
+  for (const [rel, lines] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), lines.join('\n'));
+  }
+}
+
+async function detect() {
+  const routes = await routeDetector.detectRoutes(dir);
+  return routes.map(r => `${r.method} ${r.path} ${r.handler}`);
+}
+
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-routes-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('NestJS controllers with global prefix and URI versioning', async () => {
+  writeFiles({
+    'src/main.ts': [
+      "const API_PREFIX = 'api';",
+      'async function bootstrap() {',
+      '  const app = await NestFactory.create(AppModule);',
+      '  app.setGlobalPrefix(API_PREFIX);',
+      "  app.enableVersioning({ type: VersioningType.URI, defaultVersion: '1' });",
+      '}',
+    ],
+    'src/users/users.controller.ts': [
+      "@Controller('users')",
+      'export class UsersController {',
+      '  @Get()',
+      '  findAll() {}',
+      '',
+      "  @Get(':id')",
+      '  @HttpCode(200)',
+      '  findOne(@Param() id) {}',
+      '',
+      "  @Version('2')",
+      '  @Post()',
+      '  create(@Body() dto) {}',
+      '}',
+      '',
+      "@Controller({ path: 'admin/users', version: '3' })",
+      'export class AdminUsersController {',
+      "  @Delete(['purge', 'wipe'])",
+      '  async purge() {}',
+      '}',
+    ],
+  });
+
+  expect(await detect()).toEqual([
+    'GET /api/v1/users findAll',
+    'GET /api/v1/users/:id findOne',
+    'POST /api/v2/users create',
+    'DELETE /api/v3/admin/users/purge purge',
+    'DELETE /api/v3/admin/users/wipe purge',
+  ]);
+});
+
+test('Hono sub-apps mounted with app.route() and basePath()', async () => {
+  writeFiles({
+    'src/index.ts': [
+      "import { Hono } from 'hono';",
+      "import books from './books';",
+      "const app = new Hono().basePath('/api');",
+      "app.route('/books', books);",
+      "app.get('/health', (c) => c.text('ok'));",
+    ],
+    'src/books.ts': [
+      'const books = new Hono();',
+      "books.get('/', listBooks);",
+      "books.on(['PUT', 'PATCH'], '/:id', updateBook);",
+      'export default books;',
+    ],
+  });
+
+  expect(await detect()).toEqual([
+    'GET /api/books listBooks',
+    'PUT /api/books/:id updateBook',
+    'PATCH /api/books/:id updateBook',
+    'GET /api/health handler',
+  ]);
+});
+
+test('Go routers: net/http patterns, chi scopes and mounts, gin groups', async () => {
+  writeFiles({
+    'go.mod': ['module example.com/shop'],
+    'main.go': [
+      'func main() {',
+      '\tmux := http.NewServeMux()',
+      '\tmux.HandleFunc("GET /items/{id}", getItem)',
+      '\tmux.Handle("/api/", http.StripPrefix("/api", apiMux))',
+      '\tapiMux.HandleFunc("POST /orders", createOrder)',
+      '}',
+    ],
+    'chi.go': [
+      'func routes() http.Handler {',
+      '\tr := chi.NewRouter()',
+      '\tr.Route("/users", func(r chi.Router) {',
+      '\t\tr.Get("/", listUsers)',
+      '\t\tr.Get("/{userID:[0-9]+}", h.GetUser)',
+      '\t})',
+      '\tr.Mount("/admin", adminRouter())',
+      '\tr.Get("/ping", func(w http.ResponseWriter, r *http.Request) {})',
+      '\treturn r',
+      '}',
+      '',
+      'func adminRouter() chi.Router {',
+      '\tr := chi.NewRouter()',
+      '\tr.Delete("/cache", flushCache)',
+      '\treturn r',
+      '}',
+    ],
+    'gin.go': [
+      'func setup(r *gin.Engine) {',
+      '\tv1 := r.Group("/v1")',
+      '\tposts := v1.Group("/posts")',
+      '\tposts.GET("", auth, handlers.ListPosts)',
+      '\tposts.PUT("/:id", handlers.UpdatePost)',
+      '}',
+    ],
+    'gin_test.go': ['func TestX(t *testing.T) { r.GET("/fake", nil) }'],
+  });
+
+  expect(await detect()).toEqual([
+    'DELETE /admin/cache flushCache',
+    'POST /api/orders createOrder',
+    'GET /items/{id} getItem',
+    'GET /ping handler',
+    'GET /users listUsers',
+    'GET /users/{userID} GetUser',
+    'GET /v1/posts ListPosts',
+    'PUT /v1/posts/:id UpdatePost',
+  ]);
+});
+
+test('ASP.NET controllers and minimal APIs with UsePathBase', async () => {
+  writeFiles({
+    'Shop.csproj': ['<Project Sdk="Microsoft.NET.Sdk.Web"></Project>'],
+    'Program.cs': [
+      'var app = builder.Build();',
+      'app.UsePathBase("/shop");',
+      'var api = app.MapGroup("/api");',
+      'api.MapGet("/todos/{id:int}", async (int id, TodoDb db) => await db.Todos.FindAsync(id));',
+      'app.MapGroup("/carts").MapCartEndpoints();',
+      'app.MapControllers();',
+    ],
+    'Endpoints/CartEndpoints.cs': [
+      'public static class CartEndpoints',
+      '{',
+      '    public static RouteGroupBuilder MapCartEndpoints(this RouteGroupBuilder group)',
+      '    {',
+      '        group.MapPost("/", CartHandlers.Create).WithName("CreateCart");',
+      '        group.MapMethods("/{id}", new[] { "PUT", "PATCH" }, CartHandlers.Update);',
+      '        return group;',
+      '    }',
+      '}',
+    ],
+    'Controllers/UsersController.cs': [
+      '[ApiController]',
+      '[Route("api/[controller]")]',
+      'public class UsersController : ControllerBase',
+      '{',
+      '    [HttpGet]',
+      '    public IEnumerable<User> GetAll() => _db.Users;',
+      '',
+      '    [HttpGet("{id:guid}")]',
+      '    public async Task<ActionResult<User>> GetById(Guid id) { }',
+      '',
+      '    [HttpPost("[action]"), AllowAnonymous]',
+      '    public IActionResult Login([FromBody] LoginDto dto) { }',
+      '',
+      '    [HttpDelete("~/admin/users/{id}")]',
+      '    public IActionResult Remove(Guid id) { }',
+      '}',
+    ],
+  });
+
+  expect(await detect()).toEqual([
+    'DELETE /shop/admin/users/{id} Remove',
+    'GET /shop/api/todos/{id} handler',
+    'GET /shop/api/Users GetAll',
+    'GET /shop/api/Users/{id} GetById',
+    'POST /shop/api/Users/Login Login',
+    'POST /shop/carts Create',
+    'PUT /shop/carts/{id} Update',
+    'PATCH /shop/carts/{id} Update',
+  ]);
+});
@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+// FileWatcherService — gitignore filtering of debounced changes
+
+jest.mock('child_process', () => ({ execFile: jest.fn() }));
+
+const { execFile } = require('child_process');
+const fileWatcher = require('../../src/main/services/FileWatcherService');
+
+function gitListing(...files) {
+  execFile.mockImplementation((cmd, args, opts, cb) => cb(null, { stdout: files.join('\n') + '\n', stderr: '' }));
+}
+
+function makeState(...subs) {
+  return { projectPath: '/project', generation: 1, gitFiles: null, subscribers: new Map(subs.map((sub, i) => [i, sub])) };
+}
+
+const subscriber = (changes) => ({ fn: jest.fn(), changes: new Map(Object.entries(changes)) });
+
+beforeEach(() => execFile.mockReset());
+
+test('drops ignored files but keeps deletions', async () => {
+  gitListing('src/index.js');
+  const sub = subscriber({ 'src/index.js': 'change', 'dist/out.js': 'add', 'old.js': 'unlink' });
+
+  await fileWatcher._flushChanges(makeState(sub), sub);
+
+  expect(sub.fn).toHaveBeenCalledWith(new Map([['src/index.js', 'change'], ['old.js', 'unlink']]));
+  expect(execFile.mock.calls[0].slice(0, 2)).toEqual(['git', ['ls-files', '--cached', '--others', '--exclude-standard']]);
+  expect(execFile.mock.calls[0][2].timeout).toBeGreaterThan(0);
+});
+
+test('lists git files once for every subscriber flushing the same changes', async () => {
+  gitListing('a.js');
+  const first = subscriber({ 'a.js': 'change' });
+  const second = subscriber({ 'a.js': 'change' });
+  const state = makeState(first, second);
+
+  await Promise.all([fileWatcher._flushChanges(state, first), fileWatcher._flushChanges(state, second)]);
+  expect(execFile).toHaveBeenCalledTimes(1);
+
+  state.generation++;
+  first.changes.set('a.js', 'change');
+  await fileWatcher._flushChanges(state, first);
+  expect(execFile).toHaveBeenCalledTimes(2);
+});
+
+test('passes every change through outside a git repository', async () => {
+  execFile.mockImplementation((cmd, args, opts, cb) => cb(new Error('not a git repository')));
+  const sub = subscriber({ 'build/x.js': 'add' });
+
+  await fileWatcher._flushChanges(makeState(sub), sub);
+
+  expect(sub.fn).toHaveBeenCalledWith(new Map([['build/x.js', 'add']]));
+});
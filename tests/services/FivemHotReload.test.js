@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+// FiveM hot reload — commands sent to the server when resource files change
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockServer = { running: true, commands: [], resources: [] };
+let mockOnChanges = null;
+
+jest.mock('../../src/project-types/fivem/main/FivemService', () => ({
+  isRunning: () => mockServer.running,
+  scanResources: () => ({ resources: mockServer.resources }),
+  sendCommand: (projectIndex, command) => { mockServer.commands.push(command); },
+}));
+jest.mock('../../src/main/services/FileWatcherService', () => ({
+  subscribe: (id, dir, callback) => {
+    mockOnChanges = callback;
+    return () => { mockOnChanges = null; };
+  },
+}));
+
+const hotReload = require('../../src/project-types/fivem/main/FivemHotReload');
+
+const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-fivem-'));
+const resourcesDir = path.join(projectPath, 'resources');
+
+function resource(name, manifest) {
+  const dir = path.join(resourcesDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'fxmanifest.lua'), manifest);
+  return { name, path: dir, manifest: 'fxmanifest.lua' };
+}
+
+beforeAll(() => {
+  mockServer.resources = [
+    resource('core', "fx_version 'cerulean'"),
+    resource('shops', "fx_version 'cerulean'\ndependency 'core'"),
+    resource('drafts', "fx_version 'cerulean'"),
+  ];
+});
+
+beforeEach(() => {
+  mockServer.commands = [];
+  hotReload.configure({ projectIndex: 0, projectId: 'p1', projectPath, hotReload: { enabled: true } });
+});
+
+afterEach(() => hotReload.stopAll());
+afterAll(() => fs.rmSync(projectPath, { recursive: true, force: true }));
+
+test('changed resources and their dependents are restarted in dependency order', () => {
+  mockOnChanges(new Map([['core/server.lua', 'change']]));
+  expect(mockServer.commands).toEqual(['restart core', 'restart shops']);
+});
+
+test('saving a file in a stopped resource never ensures it', () => {
+  // `drafts` is not in server.cfg, so the server has not started it: restart is a no-op there
+  mockOnChanges(new Map([['drafts/client.lua', 'change']]));
+  expect(mockServer.commands).toEqual(['restart drafts']);
+  expect(mockServer.commands.some(command => command.startsWith('ensure'))).toBe(false);
+});
+
+test('a manifest edit refreshes the server first', () => {
+  mockOnChanges(new Map([['shops/fxmanifest.lua', 'change']]));
+  expect(mockServer.commands).toEqual(['refresh', 'restart shops']);
+});
@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+// Git workflow triggers — reflog parsing, event detection and the git trigger's branch / author / path filters
+
+const { parseReflogLine, detectGitEvents } = require('../../src/main/services/GitWatcherService');
+const gitTrigger = require('../../src/main/workflow-triggers/git.trigger');
+
+const A = 'a'.repeat(40);
+const B = 'b'.repeat(40);
+const C = 'c'.repeat(40);
+const ZERO = '0'.repeat(40);
+
+const line = (from, to, message) => `${from} ${to} Alice <alice@example.com> 1760000000 +0200\t${message}`;
+const state = (branch, head, merging = false) => ({ branch, head, merging });
+
+describe('parseReflogLine', () => {
+  test('reads the old / new hashes and the message', () => {
+    expect(parseReflogLine(line(A, B, 'commit: Fix login'))).toEqual({ from: A, to: B, message: 'commit: Fix login' });
+  });
+
+  test('the first entry of a repository has no previous hash', () => {
+    expect(parseReflogLine(line(ZERO, A, 'commit (initial): Init')).from).toBeNull();
+    expect(parseReflogLine('garbage')).toBeNull();
+  });
+});
+
+describe('detectGitEvents', () => {
+  const entries = (...lines) => lines.map(parseReflogLine);
+
+  test('groups consecutive commits into one event', () => {
+    const events = detectGitEvents(state('main', A), state('main', C), entries(
+      line(A, B, 'commit: One'),
+      line(B, C, 'commit (amend): Two'),
+    ));
+    expect(events).toEqual([{ type: 'commit', branch: 'main', from: A, to: C }]);
+  });
+
+  test('detects branch switches and pulls', () => {
+    const events = detectGitEvents(state('main', A), state('dev', C), entries(
+      line(A, B, 'checkout: moving from main to dev'),
+      line(B, C, 'pull: Fast-forward'),
+    ));
+    expect(events).toEqual([
+      { type: 'branch_switch', from: 'main', to: 'dev', branch: 'dev' },
+      { type: 'pull', branch: 'dev', from: B, to: C },
+    ]);
+  });
+
+  test('ignores resets and falls back to HEAD changes without a reflog', () => {
+    expect(detectGitEvents(state('main', B), state('main', A), entries(line(B, A, 'reset: moving to HEAD~1')))).toEqual([]);
+    expect(detectGitEvents(state('main', A), state('main', B), [])).toEqual([{ type: 'commit', branch: 'main', from: A, to: B }]);
+  });
+
+  test('reports a merge that starts', () => {
+    expect(detectGitEvents(state('main', A), state('main', A, true), [])).toEqual([{ type: 'merge_conflict', branch: 'main' }]);
+    expect(detectGitEvents(state('main', A, true), state('main', A, true), [])).toEqual([]);
+  });
+});
+
+describe('git trigger filters', () => {
+  const config = (props) => gitTrigger.readConfig({
+    graph: { nodes: [{ type: 'workflow/trigger', properties: { triggerType: 'git', gitProjectId: 'p1', ...props } }] },
+  });
+  const commit = (hash, author, email, files) => ({ hash, author, email, files, message: `Commit ${hash}` });
+  const commitEvent = (branch) => ({
+    type: 'commit',
+    branch,
+    commits: [
+      commit('b1', 'Alice', 'alice@example.com', ['src/app.js']),
+      commit('b2', 'Bob', 'bob@example.com', ['docs/README.md']),
+    ],
+    files: ['src/app.js', 'docs/README.md'],
+  });
+
+  test('defaults to commits on any branch', () => {
+    expect(config({}).event).toBe('commit');
+    expect(gitTrigger.matchEvent(config({}), commitEvent('feature/x'))).not.toBeNull();
+    expect(gitTrigger.matchEvent(config({}), { type: 'pull', branch: 'main', commits: [] })).toBeNull();
+  });
+
+  test('branch globs match the whole branch name', () => {
+    const cfg = config({ gitBranch: 'main, release/*' });
+    expect(gitTrigger.matchEvent(cfg, commitEvent('main'))).not.toBeNull();
+    expect(gitTrigger.matchEvent(cfg, commitEvent('release/1.2'))).not.toBeNull();
+    expect(gitTrigger.matchEvent(cfg, commitEvent('feature/main'))).toBeNull();
+  });
+
+  test('author and path filters narrow the commits', () => {
+    const byAuthor = gitTrigger.matchEvent(config({ gitAuthor: 'BOB' }), commitEvent('main'));
+    expect(byAuthor.commits.map(c => c.hash)).toEqual(['b2']);
+    expect(byAuthor.files).toEqual(['docs/README.md']);
+
+    expect(gitTrigger.matchEvent(config({ gitPaths: 'src/**' }), commitEvent('main')).commits.map(c => c.hash)).toEqual(['b1']);
+    expect(gitTrigger.matchEvent(config({ gitAuthor: 'bob', gitPaths: 'src/**' }), commitEvent('main'))).toBeNull();
+  });
+
+  test('path filters apply to conflicted files', () => {
+    const cfg = config({ triggerValue: 'merge_conflict', gitPaths: '*.lock' });
+    expect(gitTrigger.matchEvent(cfg, { type: 'merge_conflict', branch: 'main', conflicts: ['yarn.lock'] })).not.toBeNull();
+    expect(gitTrigger.matchEvent(cfg, { type: 'merge_conflict', branch: 'main', conflicts: ['src/a.js'] })).toBeNull();
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * @jest-environment node
+ */
+// OpenAPI import/export — YAML subset, spec → routes, merge with detected routes, routes → OpenAPI 3.1
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const openApiSpec = require('../../src/project-types/api/main/OpenApiSpec');
+const routeDetector = require('../../src/project-types/api/main/ApiRouteDetector');
+
+const { parseYaml, stringifyYaml } = openApiSpec;
+
+const PETS_YAML = `openapi: 3.0.3
+info:
+  title: Pets   # inline comment
+  version: "1.0"
+servers:
+  - url: https://api.example.com/v1
+paths:
+  /pets/{petId}:
+    parameters:
+      - name: petId
+        in: path
+        required: true
+        schema: { type: integer, example: 42 }
+    get:
+      operationId: getPet
+      summary: Get a pet
+      parameters:
+        - in: query
+          name: fields
+          schema:
+            type: string
+            enum: [name, tag]
+        - $ref: '#/components/parameters/TraceId'
+    put:
+      operationId: updatePet
+      requestBody:
+        content:
+          application/json:
+            schema:
+              $ref: '#/components/schemas/Pet'
+components:
+  parameters:
+    TraceId:
+      name: X-Trace-Id
+      in: header
+      example: abc
+  schemas:
+    Pet:
+      type: object
+      properties:
+        name: { type: string, example: Rex }
+        age: { type: integer }
+        tags:
+          type: array
+          items: { type: string }
+      description: >
+        A pet
+        of any kind.
+`;
+
+describe('YAML', () => {
+  test('parses block and flow collections, quotes, comments and block scalars', () => {
+    const doc = parseYaml(PETS_YAML);
+    expect(doc.info).toEqual({ title: 'Pets', version: '1.0' });
+    expect(doc.servers).toEqual([{ url: 'https://api.example.com/v1' }]);
+    expect(doc.paths['/pets/{petId}'].parameters[0].schema).toEqual({ type: 'integer', example: 42 });
+    expect(doc.paths['/pets/{petId}'].get.parameters[0].schema.enum).toEqual(['name', 'tag']);
+    expect(doc.components.schemas.Pet.description).toBe('A pet of any kind.\n');
+  });
+
+  test('literal block scalars keep newlines', () => {
+    expect(parseYaml('text: |-\n  line 1\n  line 2\nnext: 1\n')).toEqual({ text: 'line 1\nline 2', next: 1 });
+  });
+
+  test('anchors, aliases and merge keys', () => {
+    const doc = parseYaml([
+      'components:',
+      '  schemas:',
+      '    Base: &base',
+      '      type: object',
+      '      required: [id]',
+      '    Pet:',
+      '      <<: *base',
+      '      description: A pet',
+      '    Tags: &tags [a, b]',
+      '    Again: *tags',
+    ].join('\n'));
+    expect(doc.components.schemas.Pet).toEqual({ type: 'object', required: ['id'], description: 'A pet' });
+    expect(doc.components.schemas.Again).toEqual(['a', 'b']);
+  });
+
+  test('block scalars: literal, folded, chomping and explicit indentation', () => {
+    const doc = parseYaml([
+      'keep: |+',
+      '  a',
+      '',
+      'folded: >-',
+      '  one',
+      '  two',
+      '',
+      '  three',
+      'indented: |2',
+      '    code',
+      '  end',
+      'date: 2024-01-31',
+    ].join('\n'));
+    expect(doc).toEqual({ keep: 'a\n\n', folded: 'one two\nthree', indented: '  code\nend\n', date: '2024-01-31' });
+  });
+
+  test('tab indentation and broken syntax throw instead of guessing', () => {
+    expect(() => parseYaml('paths:\n\t/pets: {}\n')).toThrow();
+    expect(() => parseYaml('info: [title\n')).toThrow();
+    expect(() => parseYaml('a: *missing\n')).toThrow();
+  });
+
+  test('serialized documents parse back to the same value', () => {
+    const value = {
+      openapi: '3.1.0',
+      paths: { '/users/{id}': { get: { responses: { '200': { description: 'OK' } } } } },
+      list: [{ a: 1, b: [true, null] }, 'x: y', '#hash', ''],
+      empty: {}, none: [], version: '1.0', multi: 'a\nb',
+    };
+    expect(parseYaml(stringifyYaml(value))).toEqual(value);
+  });
+});
+
+describe('spec → routes', () => {
+  const routes = openApiSpec.specToRoutes(parseYaml(PETS_YAML), 'openapi.yaml');
+
+  test('one route per operation, prefixed with the server path', () => {
+    expect(routes.map(r => `${r.method} ${r.path}`)).toEqual(['GET /v1/pets/{petId}', 'PUT /v1/pets/{petId}']);
+    expect(routes[0]).toMatchObject({ handler: 'getPet', summary: 'Get a pet', file: 'openapi.yaml', source: 'openapi' });
+  });
+
+  test('merges path-level and $ref parameters with their examples', () => {
+    expect(routes[0].params).toEqual([
+      { name: 'petId', in: 'path', required: true, description: '', example: '42' },
+      { name: 'fields', in: 'query', required: false, description: '', example: 'name' },
+      { name: 'X-Trace-Id', in: 'header', required: false, description: '', example: 'abc' },
+    ]);
+  });
+
+  test('builds an example body from the request schema', () => {
+    expect(routes[1].contentType).toBe('application/json');
+    expect(JSON.parse(routes[1].body)).toEqual({ name: 'Rex', age: 0, tags: ['string'] });
+  });
+
+  test('keeps response schemas with their refs inlined', () => {
+    const doc = parseYaml(PETS_YAML);
+    doc.paths['/pets/{petId}'].get.responses = {
+      '200': { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+      '404': { description: 'Not found' },
+    };
+    const [getPet] = openApiSpec.specToRoutes(doc, 'openapi.yaml');
+    expect(Object.keys(getPet.responses)).toEqual(['200']);
+    expect(getPet.responses['200']).toMatchObject({ type: 'object', properties: { name: { type: 'string' }, tags: { items: { type: 'string' } } } });
+    expect(getPet.responses['200'].properties.name.example).toBeUndefined();
+  });
+
+  test('keeps response examples for the mock server', () => {
+    const doc = parseYaml(PETS_YAML);
+    doc.paths['/pets/{petId}'].get.responses = {
+      '200': { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+      '404': { description: 'Not found', content: { 'application/json': { examples: { missing: { value: { error: 'gone' } } } } } },
+      '500': { description: 'Error' },
+    };
+    const [getPet] = openApiSpec.specToRoutes(doc, 'openapi.yaml');
+    expect(getPet.examples).toEqual({ 200: { name: 'Rex', age: 0, tags: ['string'] }, 404: { error: 'gone' } });
+  });
+
+  test('reads Swagger 2.0 basePath and body parameters', () => {
+    const swagger = {
+      swagger: '2.0',
+      basePath: '/api',
+      paths: { '/login': { post: { parameters: [{ in: 'body', name: 'body', schema: { example: { user: 'bob' } } }] } } },
+    };
+    const [route] = openApiSpec.specToRoutes(swagger, 'swagger.json');
+    expect(route.path).toBe('/api/login');
+    expect(JSON.parse(route.body)).toEqual({ user: 'bob' });
+  });
+});
+
+describe('ApiRouteDetector with specs', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-openapi-'));
+    fs.writeFileSync(path.join(dir, 'server.js'), [
+      "const express = require('express');",
+      'const app = express();',
+      "app.get('/v1/pets/:petId', getPet);",
+      "app.get('/health', (req, res) => res.send('ok'));",
+    ].join('\n'));
+    fs.mkdirSync(path.join(dir, 'docs'));
+    fs.writeFileSync(path.join(dir, 'docs', 'openapi.yaml'), PETS_YAML);
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('enriches matching routes and adds the ones only found in the spec', async () => {
+    const routes = await routeDetector.detectRoutes(dir);
+
+    expect(routes.map(r => `${r.method} ${r.path}`)).toEqual(['GET /health', 'GET /v1/pets/:petId', 'PUT /v1/pets/{petId}']);
+    const getPet = routes[1];
+    expect(getPet).toMatchObject({ file: 'server.js', summary: 'Get a pet', specFile: 'docs/openapi.yaml' });
+    expect(getPet.params.map(p => p.name)).toEqual(['petId', 'fields', 'X-Trace-Id']);
+    expect(routes[2].source).toBe('openapi');
+  });
+});
+
+describe('routes → OpenAPI 3.1', () => {
+  test('converts path syntaxes to parameters and keeps spec details', () => {
+    const doc = openApiSpec.buildSpec([
+      { method: 'GET', path: '/users/:id', handler: 'getUser', summary: 'Get a user' },
+      { method: 'POST', path: '/users', handler: 'handler', body: '{"name":"Ada"}' },
+      { method: 'ALL', path: '/files/<path:name>' },
+      { method: 'GET', path: '/search', params: [{ name: 'q', in: 'query', required: true, example: 'cat' }] },
+    ], { title: 'users', version: '2.0.0', serverUrl: 'http://localhost:3000' });
+
+    expect(doc.openapi).toBe('3.1.0');
+    expect(doc.info).toEqual({ title: 'users', version: '2.0.0' });
+    expect(doc.servers).toEqual([{ url: 'http://localhost:3000' }]);
+    expect(doc.paths['/users/{id}'].get).toMatchObject({
+      operationId: 'getUser',
+      summary: 'Get a user',
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+    });
+    expect(doc.paths['/users'].post.operationId).toBe('postUsers');
+    expect(doc.paths['/users'].post.requestBody.content['application/json'].example).toEqual({ name: 'Ada' });
+    expect(doc.paths['/files/{name}'].get['x-any-method']).toBe(true);
+    expect(doc.paths['/search'].get.parameters).toEqual([{ name: 'q', in: 'query', required: true, schema: { type: 'string' }, example: 'cat' }]);
+  });
+
+  test('exported YAML is read back as the same routes', () => {
+    const doc = openApiSpec.buildSpec([{ method: 'DELETE', path: '/items/{itemId}', handler: 'removeItem' }]);
+    const routes = openApiSpec.specToRoutes(parseYaml(openApiSpec.serialize(doc, 'yaml')), 'openapi.yaml');
+    expect(routes).toEqual([expect.objectContaining({ method: 'DELETE', path: '/items/{itemId}', handler: 'removeItem' })]);
+  });
+});
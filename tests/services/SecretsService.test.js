@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+// Secrets vault — keychain storage, the names index, masking and the runner's `$secret.*` resolution
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockHome = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-secrets-'));
+const mockKeychain = new Map();
+
+jest.mock('os', () => ({ ...jest.requireActual('os'), homedir: () => mockHome }));
+jest.mock('keytar', () => ({
+  setPassword: async (service, account, password) => { mockKeychain.set(`${service}/${account}`, password); },
+  deletePassword: async (service, account) => mockKeychain.delete(`${service}/${account}`),
+  findCredentials: async (service) => [...mockKeychain]
+    .filter(([key]) => key.startsWith(`${service}/`))
+    .map(([key, password]) => ({ account: key.slice(service.length + 1), password })),
+}), { virtual: true });
+
+const INDEX_FILE = path.join(mockHome, '.claude-terminal', 'workflows', 'secrets.json');
+
+let secrets;
+
+beforeEach(() => {
+  jest.resetModules();
+  mockKeychain.clear();
+  fs.rmSync(path.join(mockHome, '.claude-terminal'), { recursive: true, force: true });
+  secrets = require('../../src/main/services/SecretsService');
+});
+
+afterAll(() => fs.rmSync(mockHome, { recursive: true, force: true }));
+
+describe('vault', () => {
+  test('stores values in the keychain and only names in the index', async () => {
+    expect(await secrets.set('GITHUB_TOKEN', 'ghp_abcdef123456', 'CI token')).toEqual({ success: true });
+    await secrets.set('API_KEY', 'sk-live-999999');
+
+    expect(secrets.list().map(s => s.name)).toEqual(['API_KEY', 'GITHUB_TOKEN']);
+    expect(secrets.list()[1].description).toBe('CI token');
+    expect(fs.readFileSync(INDEX_FILE, 'utf8')).not.toContain('ghp_abcdef123456');
+    expect(mockKeychain.get('claude-terminal-secrets/GITHUB_TOKEN')).toBe('ghp_abcdef123456');
+  });
+
+  test('rejects invalid names and empty values', async () => {
+    expect((await secrets.set('my-token', 'value1234')).success).toBe(false);
+    expect((await secrets.set('1TOKEN', 'value1234')).success).toBe(false);
+    expect((await secrets.set('TOKEN', '')).success).toBe(false);
+    expect(secrets.list()).toEqual([]);
+  });
+
+  test('delete removes the value and the index entry', async () => {
+    await secrets.set('TOKEN', 'value1234');
+    await secrets.delete('TOKEN');
+    expect(secrets.list()).toEqual([]);
+    expect(await secrets.getValues()).toEqual({});
+    expect(mockKeychain.size).toBe(0);
+  });
+
+  test('load() only reads keychain entries listed in the index', async () => {
+    await secrets.set('TOKEN', 'value1234');
+    mockKeychain.set('claude-terminal-secrets/STALE', 'leftover-value');
+
+    jest.resetModules();
+    const fresh = require('../../src/main/services/SecretsService');
+    expect(await fresh.getValues()).toEqual({ TOKEN: 'value1234' });
+  });
+});
+
+describe('masking', () => {
+  beforeEach(async () => {
+    await secrets.set('TOKEN', 'abc123');
+    await secrets.set('LONG', 'abc123-xyz');
+  });
+
+  test('replaces values in strings, longest first', () => {
+    expect(secrets.maskText('Bearer abc123-xyz / abc123')).toBe(`Bearer ${secrets.MASK} / ${secrets.MASK}`);
+  });
+
+  test('rejects values too short to mask safely', async () => {
+    expect(await secrets.set('PIN', '42')).toEqual({ success: false, error: 'Secret values must be at least 4 characters long' });
+    expect(secrets.maskText('answer: 42')).toBe('answer: 42');
+  });
+
+  test('deep-masks objects and arrays without touching the input', () => {
+    const input = { headers: { Authorization: 'Bearer abc123' }, list: ['abc123', 7], ok: true };
+    expect(secrets.mask(input)).toEqual({ headers: { Authorization: `Bearer ${secrets.MASK}` }, list: [secrets.MASK, 7], ok: true });
+    expect(input.list[0]).toBe('abc123');
+  });
+});
+
+describe('WorkflowRunner with secrets', () => {
+  test('resolves $secret.* and masks step outputs sent to the renderer', async () => {
+    await secrets.set('TOKEN', 'ghp_abcdef123456');
+    const WorkflowRunner = require('../../src/main/services/WorkflowRunner');
+    const events = [];
+    const runner = new WorkflowRunner({
+      sendFn: (channel, data) => events.push({ channel, ...data }),
+      chatService: null,
+      waitCallbacks: new Map(),
+      secretsService: secrets,
+      projectTypeRegistry: {
+        test: { executeWorkflowStep: (kind, step, vars) => ({ echo: `token=${vars.get('secret').TOKEN}` }) },
+      },
+    });
+
+    const workflow = {
+      graph: {
+        nodes: [
+          { id: 1, type: 'workflow/trigger', properties: {}, outputs: [{ name: 'Start', type: -1 }] },
+          { id: 2, type: 'workflow/test.echo', properties: {}, outputs: [{ name: 'Done', type: -1 }] },
+        ],
+        links: [[1, 1, 0, 2, 0, -1]],
+      },
+    };
+    const result = await runner.execute(workflow, { id: 'run_1', trigger: 'manual' }, new AbortController());
+
+    expect(result.success).toBe(true);
+    const sent = JSON.stringify(events);
+    expect(sent).not.toContain('ghp_abcdef123456');
+    expect(sent).toContain(`token=${secrets.MASK}`);
+  });
+});
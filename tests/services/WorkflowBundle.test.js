@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+// Portable workflow files — bundling dependencies, secret stripping, validation and ID remapping on import
+
+const { createBundle, planImport, applyImport, BUNDLE_FORMAT } = require('../../src/main/services/WorkflowBundle');
+const { validateWorkflowDefinition } = require('../../src/shared/workflow-schema');
+
+const EXEC = -1;
+
+function wf(id, name, nodes = [], extra = {}) {
+  return {
+    id,
+    name,
+    enabled: true,
+    trigger: { type: 'manual', value: '' },
+    graph: {
+      nodes: [{ id: 1, type: 'workflow/trigger', outputs: [{ name: 'Start', type: EXEC }] }, ...nodes],
+      links: nodes.length ? [[1, 1, 0, nodes[0].id, 0, EXEC]] : [],
+    },
+    ...extra,
+  };
+}
+
+const node = (id, type, properties) => ({ id, type: `workflow/${type}`, properties, inputs: [{ name: 'In', type: EXEC }] });
+
+function library() {
+  return [
+    wf('wf_main', 'Deploy', [
+      node(2, 'subworkflow', { workflow: 'Build' }),
+      node(3, 'http', { url: 'https://api.example.com', apiKey: 'sk-live-123', headers: 'Authorization: Bearer abc\nAccept: json' }),
+      node(4, 'db', { connection: 'conn_1', query: 'select 1' }),
+      node(5, 'claude', { projectId: 'proj_1', projectName: 'Shop', token: '$myToken' }),
+    ], { dependsOn: ['wf_lint'], favorite: true }),
+    wf('wf_build', 'Build', [node(2, 'webhook', { url: 'https://hooks.example.com/t/secret' })]),
+    wf('wf_lint', 'Lint'),
+    wf('wf_other', 'Unrelated'),
+  ];
+}
+
+describe('createBundle', () => {
+  test('includes sub-workflows and dependsOn workflows, root first', () => {
+    const bundle = createBundle('wf_main', library(), { dbConnections: [{ id: 'conn_1', name: 'Prod', type: 'postgres' }] });
+
+    expect(bundle.format).toBe(BUNDLE_FORMAT);
+    expect(bundle.root).toBe('wf_main');
+    expect(bundle.workflows.map(w => w.id)).toEqual(['wf_main', 'wf_lint', 'wf_build']);
+    expect(bundle.workflows[0]).not.toHaveProperty('enabled');
+    expect(bundle.workflows[0]).not.toHaveProperty('favorite');
+    expect(bundle.bindings).toEqual([
+      { kind: 'database', id: 'conn_1', name: 'Prod', type: 'postgres' },
+      { kind: 'project', id: 'proj_1', name: 'Shop' },
+    ]);
+  });
+
+  test('points name references at workflow ids', () => {
+    const bundle = createBundle('wf_main', library());
+    expect(bundle.workflows[0].graph.nodes.find(n => n.id === 2).properties.workflow).toBe('wf_build');
+  });
+
+  test('strips credentials but keeps variable references', () => {
+    const bundle = createBundle('wf_main', library());
+    const props = bundle.workflows[0].graph.nodes.find(n => n.id === 3).properties;
+
+    expect(props.apiKey).toBe('');
+    expect(props.headers).toBe('Authorization: \nAccept: json');
+    expect(props.url).toBe('https://api.example.com');
+    expect(bundle.workflows[0].graph.nodes.find(n => n.id === 5).properties.token).toBe('$myToken');
+    expect(bundle.workflows[2].graph.nodes.find(n => n.id === 2).properties.url).toBe('');
+    expect(bundle.secrets).toEqual([
+      { workflow: 'wf_main', node: 3, key: 'apiKey' },
+      { workflow: 'wf_main', node: 3, key: 'headers.Authorization' },
+      { workflow: 'wf_build', node: 2, key: 'url' },
+    ]);
+  });
+
+  test('does not modify the saved definitions', () => {
+    const workflows = library();
+    createBundle('wf_main', workflows);
+    expect(workflows[0].graph.nodes.find(n => n.id === 3).properties.apiKey).toBe('sk-live-123');
+  });
+
+  test('reports references that cannot be found', () => {
+    const bundle = createBundle('wf_x', [wf('wf_x', 'X', [node(2, 'subworkflow', { workflow: 'Ghost' })])]);
+    expect(bundle.missing).toEqual(['Ghost']);
+  });
+});
+
+describe('planImport', () => {
+  test('rejects files that are not workflow bundles', () => {
+    expect(planImport({ format: 'other' }, []).errors).toHaveLength(1);
+    expect(planImport({ format: BUNDLE_FORMAT, version: 99, workflows: [] }, []).errors[0]).toMatch(/version/);
+  });
+
+  test('assigns new ids to workflows that already exist', () => {
+    const bundle = createBundle('wf_main', library());
+    const plan = planImport(bundle, [wf('wf_build', 'Build')]);
+
+    expect(plan.errors).toEqual([]);
+    expect(plan.renamed).toEqual(['wf_build']);
+    expect(plan.idMap.wf_main).toBe('wf_main');
+    expect(plan.idMap.wf_build).toMatch(/^wf_[0-9a-f]{8}$/);
+  });
+
+  test('reports invalid definitions', () => {
+    const bundle = createBundle('wf_main', library());
+    bundle.workflows[1].graph.nodes = [];
+    expect(planImport(bundle, []).errors).toEqual(['"Lint": no trigger node']);
+  });
+
+  test('rejects workflow ids that could escape the workflows folder', () => {
+    const bundle = createBundle('wf_main', library());
+    bundle.workflows[1].id = '../../x';
+    expect(planImport(bundle, []).errors).toContain('"Lint": invalid id "../../x"');
+  });
+});
+
+describe('applyImport', () => {
+  test('rewrites cross-references and applies bindings', () => {
+    const bundle = createBundle('wf_main', library());
+    const plan = planImport(bundle, [wf('wf_build', 'Build'), wf('wf_lint', 'Lint')]);
+    const [main] = applyImport(bundle, plan, {
+      'project:proj_1': { id: 'proj_9', name: 'Shop v2' },
+      'database:conn_1': { id: 'conn_7' },
+    });
+
+    const props = (id) => main.graph.nodes.find(n => n.id === id).properties;
+    expect(main.enabled).toBe(false);
+    expect(props(2).workflow).toBe(plan.idMap.wf_build);
+    expect(main.dependsOn).toEqual([plan.idMap.wf_lint]);
+    expect(props(4).connection).toBe('conn_7');
+    expect(props(5)).toMatchObject({ projectId: 'proj_9', projectName: 'Shop v2' });
+  });
+});
+
+describe('validateWorkflowDefinition', () => {
+  test('flags links to missing nodes', () => {
+    const def = wf('wf_a', 'A', [node(2, 'log', {})]);
+    def.graph.links.push([9, 2, 0, 42, 0, EXEC]);
+    expect(validateWorkflowDefinition(def).errors).toEqual(['"A": link 9 references a missing node']);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+// Workflow expression sandbox — helpers, isolation, limits and error messages
+
+const { evaluateExpression } = require('../../src/main/workflow-nodes/_expression');
+
+const run = (operation, input, expression, extra = {}) =>
+  evaluateExpression({ operation, input, expression, nodeId: 'node_7', ...extra });
+
+// ── Operations ──
+
+describe('operations', () => {
+  test('map evaluates the expression for each item', async () => {
+    await expect(run('map', [{ n: 1 }, { n: 2 }], 'item.n * 10 + index')).resolves.toEqual([10, 21]);
+  });
+
+  test('filter keeps truthy items', async () => {
+    await expect(run('filter', [1, 2, 3, 4], 'item % 2 === 0')).resolves.toEqual([2, 4]);
+  });
+
+  test('find returns null when nothing matches', async () => {
+    await expect(run('find', [1, 2], 'item > 5')).resolves.toBeNull();
+  });
+
+  test('reduce starts the accumulator at 0', async () => {
+    await expect(run('reduce', [{ v: 2 }, { v: 3 }], 'acc + item.v')).resolves.toBe(5);
+  });
+
+  test('count counts matching items', async () => {
+    await expect(run('count', ['a', 'bb', 'ccc'], 'item.length > 1')).resolves.toBe(2);
+  });
+
+  test('rejects operations that take no expression', async () => {
+    await expect(run('pluck', [1], 'name')).rejects.toThrow('does not take an expression');
+  });
+});
+
+// ── Helpers ──
+
+describe('helpers', () => {
+  test('string helpers', async () => {
+    await expect(run('map', ['Hello World'], 'str.slug(item) + "|" + str.upper(item)'))
+      .resolves.toEqual(['hello-world|HELLO WORLD']);
+  });
+
+  test('array helpers', async () => {
+    await expect(run('map', [[{ x: 1 }, { x: 3 }]], '[arr.sum(item, "x"), arr.max(item, "x"), arr.pluck(item, "x")]'))
+      .resolves.toEqual([[4, 3, [1, 3]]]);
+  });
+
+  test('date and math helpers', async () => {
+    await expect(run('map', ['2024-01-05T00:00:00Z'], 'date.diffDays(date.addDays(item, 3), item) + math.round(1.256, 2)'))
+      .resolves.toEqual([4.26]);
+  });
+
+  test('get reads nested paths', async () => {
+    await expect(run('map', [{ a: { b: 'ok' } }, {}], 'get(item, "a.b")')).resolves.toEqual(['ok', null]);
+  });
+});
+
+// ── Isolation ──
+
+describe('isolation', () => {
+  test('require and process are not reachable', async () => {
+    await expect(run('map', [1], 'typeof require + "," + typeof process + "," + typeof globalThis.fetch'))
+      .resolves.toEqual(['undefined,undefined,undefined']);
+  });
+
+  test('constructor escape is blocked', async () => {
+    await expect(run('map', [{}], 'item.constructor.constructor("return process")()'))
+      .rejects.toThrow(/Code generation from strings disallowed/);
+  });
+
+  test('helpers are frozen', async () => {
+    await expect(run('map', [1], '(str.upper = null, typeof str.upper)')).rejects.toThrow(/read only|read-only/);
+  });
+});
+
+// ── Limits & errors ──
+
+describe('limits and errors', () => {
+  test('infinite loops hit the CPU limit', async () => {
+    await expect(run('map', [1], '(() => { while (true) {} })()', { limits: { timeoutMs: 200 } }))
+      .rejects.toThrow('exceeded 200ms CPU limit');
+  });
+
+  test('runaway allocations hit the memory limit', async () => {
+    const expr = '(() => { const a = []; while (true) a.push(new Array(1e6).fill(1)); })()';
+    await expect(run('map', [1], expr, { limits: { timeoutMs: 5000, memoryMb: 32 } }))
+      .rejects.toThrow('exceeded 32MB memory limit');
+  });
+
+  test('an allocation that aborts V8 only kills the sandbox process', async () => {
+    await expect(run('map', [1], 'new Array(1e9).fill(1)', { limits: { timeoutMs: 5000, memoryMb: 32 } }))
+      .rejects.toThrow('exceeded 32MB memory limit');
+    // The host keeps running and can evaluate again
+    await expect(run('map', [1, 2], 'item * 2')).resolves.toEqual([2, 4]);
+  });
+
+  test('runtime errors name the node, index and expression', async () => {
+    const err = await run('map', [{ a: {} }, {}], 'item.a.b').catch(e => e);
+    expect(err.message).toBe('Transform "map" failed on node_7 at index 1: TypeError: Cannot read properties of undefined (reading \'b\') — expression: item.a.b');
+    expect(err.nodeId).toBe('node_7');
+    expect(err.itemIndex).toBe(1);
+  });
+
+  test('syntax errors are reported as invalid expressions', async () => {
+    await expect(run('filter', [1], 'item ===')).rejects.toThrow(/^Invalid expression on node_7: SyntaxError/);
+  });
+
+  test('aborted signal cancels evaluation', async () => {
+    const abort = new AbortController();
+    abort.abort();
+    await expect(run('map', [1], 'item', { signal: abort.signal })).rejects.toThrow('Cancelled');
+  });
+});
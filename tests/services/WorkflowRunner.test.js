@@ -0,0 +1,498 @@
+/**
+ * @jest-environment node
+ */
+// WorkflowRunner unit tests — per-node retry policy, timeouts, error branches, join branches, resume checkpoints and the debugger
+
+const WorkflowRunner = require('../../src/main/services/WorkflowRunner');
+
+const EXEC = -1;
+
+// Test steps are dispatched through a fake "test" project-type handler:
+// node type 'workflow/test.<kind>' → handler.executeWorkflowStep(kind, step, vars)
+function makeRunner(handlers, options = {}) {
+  const events = [];
+  const runner = new WorkflowRunner({
+    ...options,
+    sendFn: (channel, data) => events.push({ channel, ...data }),
+    chatService: null,
+    waitCallbacks: new Map(),
+    projectTypeRegistry: {
+      test: { executeWorkflowStep: (kind, step, vars, signal) => handlers[kind](step, vars, signal) },
+    },
+  });
+  return { runner, events };
+}
+
+function node(id, type, properties = {}, outputs = [{ name: 'Done', type: EXEC }, { name: 'Error', type: EXEC }]) {
+  return { id, type: `workflow/${type}`, properties, outputs };
+}
+
+function run(runner, nodes, links) {
+  const workflow = { graph: { nodes: [node(1, 'trigger', {}, [{ name: 'Start', type: EXEC }]), ...nodes], links } };
+  return runner.execute(workflow, { id: 'run_1', trigger: 'manual' }, new AbortController());
+}
+
+describe('retry policy', () => {
+  test('retries with exponential backoff until the step succeeds', async () => {
+    let calls = 0;
+    const { runner, events } = makeRunner({
+      flaky: () => { calls++; if (calls < 3) throw new Error(`boom ${calls}`); return { ok: true }; },
+    });
+
+    const result = await run(runner,
+      [node(2, 'test.flaky', { _retry: 3, _retryDelay: '10ms', _retryJitter: false })],
+      [[1, 1, 0, 2, 0, EXEC]]);
+
+    expect(result.success).toBe(true);
+    expect(calls).toBe(3);
+    const retries = events.filter(e => e.status === 'retrying');
+    expect(retries.map(e => e.output.nextAttemptIn)).toEqual([10, 20]);
+    expect(retries[0].output.error).toBe('boom 1');
+  });
+
+  test('fixed backoff keeps the same delay', async () => {
+    let calls = 0;
+    const { runner, events } = makeRunner({
+      flaky: () => { calls++; if (calls < 3) throw new Error('boom'); return {}; },
+    });
+
+    await run(runner,
+      [node(2, 'test.flaky', { _retry: 2, _retryDelay: '5ms', _retryBackoff: 'fixed', _retryJitter: false })],
+      [[1, 1, 0, 2, 0, EXEC]]);
+
+    expect(events.filter(e => e.status === 'retrying').map(e => e.output.nextAttemptIn)).toEqual([5, 5]);
+  });
+
+  test('reports the attempt count when all attempts fail', async () => {
+    const { runner, events } = makeRunner({ broken: () => { throw new Error('nope'); } });
+
+    const result = await run(runner,
+      [node(2, 'test.broken', { _retry: 1, _retryDelay: '1ms' })],
+      [[1, 1, 0, 2, 0, EXEC]]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('nope');
+    expect(events.find(e => e.status === 'failed').output).toEqual({ error: 'nope', attempts: 2 });
+  });
+});
+
+describe('timeouts', () => {
+  test('_timeout fails a step that ignores its abort signal', async () => {
+    const { runner } = makeRunner({ hang: () => new Promise(() => {}) });
+
+    const result = await run(runner,
+      [node(2, 'test.hang', { _timeout: '30ms' })],
+      [[1, 1, 0, 2, 0, EXEC]]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Timed out after 30ms');
+  });
+
+  test('a hard-timed-out step that ignores its signal is not retried', async () => {
+    let calls = 0;
+    const { runner, events } = makeRunner({ hang: () => { calls++; return new Promise(() => {}); } });
+
+    const result = await run(runner,
+      [node(2, 'test.hang', { _timeout: '20ms', _retry: 2, _retryDelay: '1ms' })],
+      [[1, 1, 0, 2, 0, EXEC]]);
+
+    expect(calls).toBe(1);
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Timed out after 20ms — the step ignored cancellation, not retried');
+    expect(events.find(e => e.status === 'failed').output.attempts).toBe(1);
+    expect(events.some(e => e.status === 'retrying')).toBe(false);
+  });
+
+  test('a hard-timed-out step that stops on its signal is retried', async () => {
+    let calls = 0;
+    const { runner } = makeRunner({
+      slow: (step, vars, signal) => new Promise((resolve, reject) => {
+        if (++calls === 2) return resolve({ ok: true });
+        signal.addEventListener('abort', () => reject(new Error('Cancelled')), { once: true });
+      }),
+    });
+
+    const result = await run(runner,
+      [node(2, 'test.slow', { _timeout: '20ms', _retry: 1, _retryDelay: '1ms' })],
+      [[1, 1, 0, 2, 0, EXEC]]);
+
+    expect(result.success).toBe(true);
+    expect(calls).toBe(2);
+  });
+});
+
+describe('error branches', () => {
+  test('follows the Error output and exposes $error', async () => {
+    let seen = null;
+    const { runner } = makeRunner({
+      broken: () => { throw new Error('connection reset'); },
+      record: (step, vars) => { seen = vars.get('error'); return {}; },
+    });
+
+    const result = await run(runner,
+      [node(2, 'test.broken', { _customTitle: 'Fetch API' }), node(3, 'test.record')],
+      [[1, 1, 0, 2, 0, EXEC], [2, 2, 1, 3, 0, EXEC]]);
+
+    expect(result.success).toBe(true);
+    expect(seen).toEqual({ message: 'connection reset', node: 'node_2', title: 'Fetch API', type: 'test.broken', attempts: 1 });
+    expect(result.outputs.node_2).toEqual({ error: 'connection reset', success: false });
+  });
+
+  test('uses an appended Error output on nodes without a native one', async () => {
+    let handled = false;
+    const { runner } = makeRunner({
+      broken: () => { throw new Error('x'); },
+      record: () => { handled = true; return {}; },
+    });
+
+    const outputs = [{ name: 'Done', type: EXEC }, { name: 'value', type: 'any' }, { name: 'Error', type: EXEC }];
+    const result = await run(runner,
+      [node(2, 'test.broken', { _errorBranch: true }, outputs), node(3, 'test.record')],
+      [[1, 1, 0, 2, 0, EXEC], [2, 2, 2, 3, 0, EXEC]]);
+
+    expect(result.success).toBe(true);
+    expect(handled).toBe(true);
+  });
+
+  test('fails the run when the Error output is not connected', async () => {
+    const { runner } = makeRunner({ broken: () => { throw new Error('fatal'); } });
+
+    const result = await run(runner, [node(2, 'test.broken')], [[1, 1, 0, 2, 0, EXEC]]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('fatal');
+  });
+});
+
+describe('join', () => {
+  const JOIN_OUTPUTS = [
+    { name: 'Done', type: EXEC }, { name: 'Error', type: EXEC },
+    { name: 'results', type: 'object' }, { name: 'completed', type: 'array' },
+  ];
+  // trigger ─┬─ 2 (a) ─┐
+  //          ├─ 3 (b) ─┼─ join 5 ── 6
+  //          └─ 4 (c) ─┘
+  const links = [
+    [1, 1, 0, 2, 0, EXEC], [2, 1, 0, 3, 0, EXEC], [3, 1, 0, 4, 0, EXEC],
+    [4, 2, 0, 5, 0, EXEC], [5, 3, 0, 5, 1, EXEC], [6, 4, 0, 5, 2, EXEC],
+    [7, 5, 0, 6, 0, EXEC], [8, 5, 1, 7, 0, EXEC],
+  ];
+  const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); reject(new Error('Cancelled')); }, { once: true });
+  });
+
+  function setup(delays, { fail = [] } = {}) {
+    const log = [];
+    let running = 0;
+    let maxRunning = 0;
+    const { runner, events } = makeRunner({
+      branch: async (step, vars, signal) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        try {
+          await sleep(delays[step.name], signal);
+          if (fail.includes(step.name)) throw new Error(`${step.name} broke`);
+          vars.set(`from_${step.name}`, true);
+          log.push(step.name);
+          return { value: step.name };
+        } finally {
+          running--;
+        }
+      },
+      after: (step, vars) => {
+        log.push('after');
+        return { joined: vars.get('node_5'), merged: ['a', 'b', 'c'].filter(n => vars.get(`from_${n}`)) };
+      },
+      onError: () => { log.push('onError'); return {}; },
+    });
+    return { runner, events, log, maxRunning: () => maxRunning };
+  }
+
+  const graph = (props) => [
+    node(2, 'test.branch', { name: 'a' }), node(3, 'test.branch', { name: 'b' }), node(4, 'test.branch', { name: 'c' }),
+    node(5, 'join', { branches: 'a,b,c', ...props }, JOIN_OUTPUTS),
+    node(6, 'test.after'), node(7, 'test.onError'),
+  ];
+
+  test('all: waits for every branch and merges outputs and variables', async () => {
+    const { runner, log } = setup({ a: 30, b: 10, c: 20 });
+
+    const result = await run(runner, graph({ mode: 'all' }), links);
+
+    expect(result.success).toBe(true);
+    expect(log).toEqual(['b', 'c', 'a', 'after']);
+    const joined = result.outputs.node_5;
+    expect(joined.completed).toEqual(['a', 'b', 'c']);
+    expect(joined.results.b).toMatchObject({ node_3: { value: 'b' } });
+    expect(result.outputs.node_6.merged).toEqual(['a', 'b', 'c']);
+    expect(joined.success).toBe(true);
+    expect(result.outputs.node_6.joined).toBe(joined);
+  });
+
+  test('all: a failed branch cancels the rest and follows the Error output', async () => {
+    const { runner, log } = setup({ a: 5, b: 10, c: 200 }, { fail: ['b'] });
+
+    const result = await run(runner, graph({ mode: 'all' }), links);
+
+    expect(result.success).toBe(true);
+    expect(log).toEqual(['a', 'onError']);
+    const joined = result.outputs.node_5;
+    expect(joined.failed).toEqual(['b']);
+    expect(joined.cancelled).toEqual(['c']);
+    expect(joined.errors).toEqual({ b: 'b broke' });
+    expect(joined.error).toBe('Join: 1/3 required branches succeeded (b: b broke)');
+  });
+
+  test('any: continues after the first success and cancels the other branches', async () => {
+    const { runner, events, log } = setup({ a: 200, b: 10, c: 200 });
+
+    const result = await run(runner, graph({ mode: 'any' }), links);
+
+    expect(result.success).toBe(true);
+    expect(log).toEqual(['b', 'after']);
+    expect(result.outputs.node_5.completed).toEqual(['b']);
+    expect(result.outputs.node_5.cancelled).toEqual(['a', 'c']);
+    const skipped = events.filter(e => e.status === 'skipped').map(e => e.stepId);
+    expect(skipped).toEqual(expect.arrayContaining(['node_2', 'node_4']));
+  });
+
+  test('quorum: continues once N branches succeeded', async () => {
+    const { runner, log } = setup({ a: 10, b: 200, c: 20 });
+
+    const result = await run(runner, graph({ mode: 'quorum', quorum: '2' }), links);
+
+    expect(result.success).toBe(true);
+    expect(result.outputs.node_5.completed).toEqual(['a', 'c']);
+    expect(result.outputs.node_5.cancelled).toEqual(['b']);
+    expect(log).toEqual(['a', 'c', 'after']);
+  });
+
+  test('quorum: fails as soon as it can no longer be reached', async () => {
+    const { runner } = setup({ a: 5, b: 10, c: 500 }, { fail: ['a', 'b'] });
+    const result = await run(runner, graph({ mode: 'quorum', quorum: '2' }), links.filter(l => l[0] !== 8));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Join: 0/2 required branches succeeded (a: a broke)');
+  });
+
+  test('quorum: a quorum above the branch count is capped to it', async () => {
+    const { runner, log } = setup({ a: 10, b: 20, c: 30 });
+    const result = await run(runner, graph({ mode: 'quorum', quorum: '5' }), links);
+
+    expect(result.success).toBe(true);
+    expect(result.outputs.node_5.completed).toEqual(['a', 'b', 'c']);
+    expect(log).toEqual(['a', 'b', 'c', 'after']);
+  });
+
+  test('concurrency caps how many branches run at once', async () => {
+    const { runner, maxRunning } = setup({ a: 10, b: 10, c: 10 });
+
+    const result = await run(runner, graph({ mode: 'all', concurrency: '1' }), links);
+
+    expect(result.success).toBe(true);
+    expect(maxRunning()).toBe(1);
+    expect(result.outputs.node_5.completed).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('resume checkpoints', () => {
+  const chain = () => [node(2, 'test.expensive'), node(3, 'test.remember'), node(4, 'test.flaky')];
+  const links = [[1, 1, 0, 2, 0, EXEC], [2, 2, 0, 3, 0, EXEC], [3, 3, 0, 4, 0, EXEC]];
+
+  function setup() {
+    const calls = { expensive: 0, remember: 0, flaky: 0 };
+    let failing = true;
+    const handlers = {
+      expensive: () => { calls.expensive++; return { text: 'costly answer' }; },
+      remember: (step, vars) => { calls.remember++; vars.set('notes', ['a']); return { ok: true }; },
+      flaky: (step, vars) => {
+        calls.flaky++;
+        if (failing) throw new Error('rate limited');
+        return { seen: vars.get('node_2').text, notes: vars.get('notes') };
+      },
+    };
+    return { calls, handlers, fix: () => { failing = false; } };
+  }
+
+  test('records completed nodes, written variables and the failing node', async () => {
+    const { handlers } = setup();
+    const { runner } = makeRunner(handlers);
+
+    const result = await run(runner, chain(), links);
+
+    expect(result.success).toBe(false);
+    expect(result.checkpoint.failedNodeId).toBe(4);
+    expect(result.checkpoint.nodes.map(n => n.id)).toEqual([2, 3]);
+    expect(result.checkpoint.nodes[1].writes.notes).toEqual(['a']);
+    expect(result.checkpoint.nodes[0].output).toMatchObject({ text: 'costly answer' });
+  });
+
+  test('resuming replays upstream outputs instead of recomputing them', async () => {
+    const { calls, handlers, fix } = setup();
+    const first = await run(makeRunner(handlers).runner, chain(), links);
+    fix();
+
+    const { runner, events } = makeRunner(handlers);
+    const workflow = { graph: { nodes: [node(1, 'trigger', {}, [{ name: 'Start', type: EXEC }]), ...chain()], links } };
+    const result = await runner.execute(workflow, { id: 'run_2' }, new AbortController(), new Map(), { nodes: first.checkpoint.nodes });
+
+    expect(result.success).toBe(true);
+    expect(calls).toEqual({ expensive: 1, remember: 1, flaky: 2 });
+    expect(result.outputs.node_4).toMatchObject({ seen: 'costly answer', notes: ['a'] });
+    expect(events.filter(e => e.replayed).map(e => e.stepId)).toEqual(['node_2', 'node_3']);
+    expect(result.checkpoint.nodes.map(n => n.id)).toEqual([2, 3, 4]);
+  });
+
+  test('re-running from a node executes it and everything after it again', async () => {
+    const { calls, handlers, fix } = setup();
+    fix();
+    const first = await run(makeRunner(handlers).runner, chain(), links);
+
+    const { runner } = makeRunner(handlers);
+    const workflow = { graph: { nodes: [node(1, 'trigger', {}, [{ name: 'Start', type: EXEC }]), ...chain()], links } };
+    await runner.execute(workflow, { id: 'run_2' }, new AbortController(), new Map(), { nodes: first.checkpoint.nodes.slice(0, 1) });
+
+    expect(calls).toEqual({ expensive: 1, remember: 2, flaky: 2 });
+  });
+
+  test('nodes that produced secret values run again instead of replaying masked text', async () => {
+    const { calls, handlers, fix } = setup();
+    handlers.remember = (step, vars) => { calls.remember++; vars.set('notes', ['Bearer s3cr3t']); return { ok: true }; };
+    const secretsService = {
+      mask: value => (value == null ? value : JSON.parse(JSON.stringify(value).replace(/s3cr3t/g, '••••••'))),
+      getValues: async () => ({ TOKEN: 's3cr3t' }),
+    };
+    const first = await run(makeRunner(handlers, { secretsService }).runner, chain(), links);
+    fix();
+
+    expect(first.checkpoint.nodes.map(n => !!n.secret)).toEqual([false, true]);
+    expect(JSON.stringify(first.checkpoint)).not.toContain('s3cr3t');
+
+    const { runner } = makeRunner(handlers, { secretsService });
+    const workflow = { graph: { nodes: [node(1, 'trigger', {}, [{ name: 'Start', type: EXEC }]), ...chain()], links } };
+    const result = await runner.execute(workflow, { id: 'run_2' }, new AbortController(), new Map(), { nodes: first.checkpoint.nodes });
+
+    expect(calls).toEqual({ expensive: 1, remember: 2, flaky: 2 });
+    expect(result.outputs.node_4.notes).toEqual(['Bearer s3cr3t']);
+  });
+});
+
+describe('debugger', () => {
+  const chain = () => [node(2, 'test.set', { _breakpoint: true }), node(3, 'test.read')];
+  const links = [[1, 1, 0, 2, 0, EXEC], [2, 2, 0, 3, 0, EXEC]];
+
+  // Resolve once the runner has emitted its n-th 'workflow-debug-paused' event
+  function nthPause(events, n) {
+    return new Promise((resolve) => {
+      const poll = () => {
+        const pauses = events.filter(e => e.channel === 'workflow-debug-paused');
+        if (pauses.length >= n) resolve(pauses[n - 1]);
+        else setTimeout(poll, 1);
+      };
+      poll();
+    });
+  }
+
+  function setup() {
+    const seen = {};
+    const { runner, events } = makeRunner({
+      set: (step, vars) => { vars.set('greeting', 'hello'); return { done: true }; },
+      read: (step, vars) => { seen.greeting = vars.get('greeting'); seen.limit = vars.get('limit'); return {}; },
+    });
+    return { runner, events, seen };
+  }
+
+  test('pauses before a breakpoint node until continued', async () => {
+    const { runner, events } = setup();
+    runner.enableDebug({ breakpoints: [2] });
+
+    const done = run(runner, chain(), links);
+    const paused = await nthPause(events, 1);
+    expect(paused.stepId).toBe('node_2');
+    expect(events.some(e => e.stepId === 'node_2' && e.status === 'success')).toBe(false);
+
+    runner.debugResume('continue');
+    const result = await done;
+    expect(result.success).toBe(true);
+    expect(events.filter(e => e.channel === 'workflow-debug-paused')).toHaveLength(1);
+  });
+
+  test('step over pauses again before the next node and exposes outputs', async () => {
+    const { runner, events } = setup();
+    runner.enableDebug({ breakpoints: [2] });
+
+    const done = run(runner, chain(), links);
+    await nthPause(events, 1);
+    runner.debugResume('step');
+    const paused = await nthPause(events, 2);
+
+    expect(paused.stepId).toBe('node_3');
+    expect(paused.vars.greeting).toBe('hello');
+    expect(paused.outputs.node_2).toMatchObject({ done: true });
+    runner.debugResume('continue');
+    await done;
+  });
+
+  test('variables edited while paused are seen by the paused node', async () => {
+    const { runner, events, seen } = setup();
+    runner.enableDebug({ breakpoints: [3] });
+
+    const done = run(runner, chain(), links);
+    await nthPause(events, 1);
+    runner.setDebugVariable('greeting', 'bonjour');
+    runner.setDebugVariable('limit', 5);
+    runner.debugResume('continue');
+    await done;
+
+    expect(seen).toEqual({ greeting: 'bonjour', limit: 5 });
+  });
+
+  test('step and workflow timeouts are suspended while paused', async () => {
+    const { runner, events } = makeRunner({
+      slow: (step, vars, signal) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve({}), 60);
+        signal.addEventListener('abort', () => { clearTimeout(timer); reject(new Error('Cancelled')); }, { once: true });
+      }),
+      stop: () => ({}),
+    });
+    runner.enableDebug({ breakpoints: [3] });
+
+    // trigger ─┬─ 2 (slow, 40ms timeout) ─┬─ join 4
+    //          └─ 3 (breakpoint) ─────────┘
+    const workflow = {
+      timeout: '80ms',
+      graph: {
+        nodes: [
+          node(1, 'trigger', {}, [{ name: 'Start', type: EXEC }]),
+          node(2, 'test.slow', { _timeout: '40ms' }), node(3, 'test.stop'),
+          node(4, 'join', { branches: 'a,b', mode: 'all' }),
+        ],
+        links: [[1, 1, 0, 2, 0, EXEC], [2, 1, 0, 3, 0, EXEC], [3, 2, 0, 4, 0, EXEC], [4, 3, 0, 4, 1, EXEC]],
+      },
+    };
+    const done = runner.execute(workflow, { id: 'run_1' }, new AbortController());
+    await nthPause(events, 1);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    runner.debugResume('continue');
+
+    const result = await done;
+    expect(result.success).toBe(true);
+    expect(events.some(e => e.stepId === 'node_2' && e.status === 'success')).toBe(true);
+  });
+
+  test('cancelling a paused run fails it', async () => {
+    const { runner, events } = setup();
+    runner.enableDebug({ stepping: true });
+    const abort = new AbortController();
+
+    const workflow = { graph: { nodes: [node(1, 'trigger', {}, [{ name: 'Start', type: EXEC }]), ...chain()], links } };
+    const done = runner.execute(workflow, { id: 'run_1' }, abort);
+    await nthPause(events, 1);
+    abort.abort();
+
+    const result = await done;
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Cancelled');
+  });
+});
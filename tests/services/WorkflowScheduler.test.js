@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+// WorkflowScheduler — file_watch triggers: glob / event filtering, FileWatcherService subscriptions and dispatch
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-scheduler-'));
+const mockProjectsFile = path.join(tmpDir, 'projects.json');
+
+jest.mock('../../src/main/utils/paths', () => ({ projectsFile: mockProjectsFile }));
+jest.mock('../../src/main/services/FileWatcherService', () => ({ subscribe: jest.fn() }));
+
+const fileWatcherService = require('../../src/main/services/FileWatcherService');
+const WorkflowScheduler = require('../../src/main/services/WorkflowScheduler');
+const fileWatch = require('../../src/main/workflow-triggers/file_watch.trigger');
+
+function watchWorkflow(props = {}, extra = {}) {
+  return {
+    id: 'wf_prisma',
+    name: 'Prisma',
+    enabled: true,
+    trigger: { type: 'file_watch', value: props.triggerValue || '' },
+    graph: {
+      nodes: [{ id: 1, type: 'workflow/trigger', properties: { triggerType: 'file_watch', watchProjectId: 'p1', ...props } }],
+      links: [],
+    },
+    ...extra,
+  };
+}
+
+const changes = (entries) => new Map(Object.entries(entries));
+
+afterAll(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+describe('file_watch matching', () => {
+  const match = (props, entries) =>
+    fileWatch.matchChanges(fileWatch.readConfig(watchWorkflow(props)), changes(entries)).map(f => f.path);
+
+  test('a pattern without a slash matches the file name at any depth', () => {
+    expect(match({ triggerValue: 'schema.prisma' }, {
+      'prisma/schema.prisma': 'change',
+      'schema.prisma.bak': 'change',
+    })).toEqual(['prisma/schema.prisma']);
+  });
+
+  test('path patterns are relative to the project root and support ** and braces', () => {
+    expect(match({ triggerValue: 'locales/**/*.{json,yml}' }, {
+      'locales/fr.json': 'change',
+      'locales/admin/en.yml': 'add',
+      'src/locales/fr.json': 'change',
+      'locales/README.md': 'change',
+    })).toEqual(['locales/fr.json', 'locales/admin/en.yml']);
+  });
+
+  test('exclude globs and disabled events filter changes out', () => {
+    expect(match({ triggerValue: '*.ts, *.tsx', watchExclude: '**/*.test.ts', watchOnUnlink: false }, {
+      'src/a.ts': 'change',
+      'src/a.test.ts': 'change',
+      'src/b.tsx': 'unlink',
+      'src/c.js': 'change',
+    })).toEqual(['src/a.ts']);
+  });
+
+  test('an empty include list watches every file', () => {
+    expect(match({}, { 'a.txt': 'add', 'deep/b.md': 'unlink' })).toEqual(['a.txt', 'deep/b.md']);
+  });
+
+  test('debounce defaults to 1s and is clamped', () => {
+    expect(fileWatch.readConfig(watchWorkflow()).debounceMs).toBe(1000);
+    expect(fileWatch.readConfig(watchWorkflow({ watchDebounce: '10' })).debounceMs).toBe(200);
+  });
+});
+
+describe('scheduler subscriptions', () => {
+  let scheduler;
+  let unsubscribe;
+
+  beforeEach(() => {
+    fs.writeFileSync(mockProjectsFile, JSON.stringify({ projects: [{ id: 'p1', name: 'Shop', path: '/work/shop' }] }));
+    unsubscribe = jest.fn();
+    fileWatcherService.subscribe.mockReset().mockReturnValue(unsubscribe);
+    scheduler = new WorkflowScheduler();
+    scheduler.dispatch = jest.fn();
+  });
+
+  afterEach(() => scheduler.destroy());
+
+  test('dispatches the matching changed paths as trigger data', () => {
+    scheduler.reload([watchWorkflow({ triggerValue: 'schema.prisma', watchDebounce: 500 })]);
+
+    expect(fileWatcherService.subscribe).toHaveBeenCalledWith('p1', '/work/shop', expect.any(Function), { debounceMs: 500 });
+    const onChanges = fileWatcherService.subscribe.mock.calls[0][2];
+
+    onChanges(changes({ 'README.md': 'change' }));
+    expect(scheduler.dispatch).not.toHaveBeenCalled();
+
+    onChanges(changes({ 'prisma/schema.prisma': 'change', 'README.md': 'change' }));
+    expect(scheduler.dispatch).toHaveBeenCalledWith('wf_prisma', expect.objectContaining({
+      source: 'file_watch',
+      projectPath: '/work/shop',
+      paths: ['prisma/schema.prisma'],
+      changed: ['prisma/schema.prisma'],
+      added: [],
+      removed: [],
+    }));
+  });
+
+  test('keeps the subscription when the config is unchanged and drops it when disabled', () => {
+    scheduler.reload([watchWorkflow()]);
+    scheduler.reload([watchWorkflow()]);
+    expect(fileWatcherService.subscribe).toHaveBeenCalledTimes(1);
+
+    scheduler.reload([watchWorkflow({}, { enabled: false })]);
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  test('resubscribes when the config changes', () => {
+    scheduler.reload([watchWorkflow({ triggerValue: '*.json' })]);
+    scheduler.reload([watchWorkflow({ triggerValue: '*.yml' })]);
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(fileWatcherService.subscribe).toHaveBeenCalledTimes(2);
+  });
+
+  test('skips workflows whose project does not exist', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    scheduler.reload([watchWorkflow({ watchProjectId: 'gone' })]);
+    expect(fileWatcherService.subscribe).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
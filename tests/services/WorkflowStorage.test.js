@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+// WorkflowStorage unit tests — revision history of workflow definitions
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockHome = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-wf-storage-'));
+jest.mock('os', () => ({ ...jest.requireActual('os'), homedir: () => mockHome }));
+
+const storage = require('../../src/main/services/WorkflowStorage');
+
+afterAll(() => {
+  fs.rmSync(mockHome, { recursive: true, force: true });
+});
+
+const wf = (id, name, extra = {}) => ({ id, name, enabled: true, trigger: { type: 'manual' }, graph: { nodes: [], links: [] }, ...extra });
+
+describe('revisions', () => {
+  test('saves with revision metadata are recorded newest first', () => {
+    storage.upsertWorkflow(wf('wf_a', 'First'), { source: 'ui', author: 'alice' });
+    storage.upsertWorkflow(wf('wf_a', 'Second'), { source: 'mcp', author: 'Claude', note: 'workflow_rename' });
+
+    const revisions = storage.loadRevisions('wf_a');
+    expect(revisions.map(r => [r.source, r.workflow.name])).toEqual([['mcp', 'Second'], ['ui', 'First']]);
+    expect(revisions[0]).toMatchObject({ workflowId: 'wf_a', author: 'Claude', note: 'workflow_rename' });
+    expect(storage.getRevision('wf_a', revisions[1].id).workflow.name).toBe('First');
+  });
+
+  test('identical saves and enable toggles do not add revisions', () => {
+    storage.upsertWorkflow(wf('wf_b', 'Same'), { source: 'ui' });
+    storage.upsertWorkflow(wf('wf_b', 'Same', { enabled: false }), { source: 'ui' });
+    storage.upsertWorkflow(wf('wf_b', 'Renamed'));
+
+    expect(storage.loadRevisions('wf_b')).toHaveLength(1);
+    expect(storage.loadRevisions('wf_b')[0].workflow).not.toHaveProperty('enabled');
+  });
+
+  test('the first tracked edit keeps the untracked previous version as a baseline', () => {
+    storage.upsertWorkflow(wf('wf_c', 'Legacy'));
+    storage.upsertWorkflow(wf('wf_c', 'Edited'), { source: 'ui' });
+
+    expect(storage.loadRevisions('wf_c').map(r => [r.source, r.workflow.name])).toEqual([['ui', 'Edited'], ['baseline', 'Legacy']]);
+  });
+
+  test('history is capped per workflow', () => {
+    for (let i = 0; i < storage.MAX_REVISIONS_PER_WF + 5; i++) {
+      storage.upsertWorkflow(wf('wf_d', `v${i}`), { source: 'ui' });
+    }
+    const revisions = storage.loadRevisions('wf_d');
+    expect(revisions).toHaveLength(storage.MAX_REVISIONS_PER_WF);
+    expect(revisions[0].workflow.name).toBe(`v${storage.MAX_REVISIONS_PER_WF + 4}`);
+  });
+
+  test('ids that are not plain file names never touch files outside the revisions folder', () => {
+    const outside = path.join(mockHome, '.claude-terminal', 'x.json');
+    fs.mkdirSync(path.dirname(outside), { recursive: true });
+    fs.writeFileSync(outside, '[]');
+    expect(storage.upsertWorkflow(wf('../../x', 'Escape'), { source: 'import' }).id).toBe('../../x');
+    expect(storage.loadRevisions('../../x')).toEqual([]);
+    storage.deleteRevisions('../../x');
+    expect(fs.readFileSync(outside, 'utf8')).toBe('[]');
+  });
+
+  test('deleteRevisions removes the history file', () => {
+    storage.upsertWorkflow(wf('wf_e', 'Gone'), { source: 'ui' });
+    storage.deleteRevisions('wf_e');
+    expect(storage.loadRevisions('wf_e')).toEqual([]);
+  });
+});
@@ -0,0 +1,158 @@
+// api-collections — environment variables, Postman / Insomnia import, response diff
+
+const {
+  substituteVariables, applyEnvironment, headersToObject,
+  importCollectionFile, diffLines, diffResponses,
+} = require('../../src/shared/api-collections');
+
+describe('variables', () => {
+  const vars = { baseUrl: 'http://localhost:3000', apiUrl: '{{baseUrl}}/api', token: 'abc' };
+
+  test('substitutes nested references and keeps unknown names', () => {
+    expect(substituteVariables('{{ apiUrl }}/users?t={{token}}&x={{missing}}', vars))
+      .toBe('http://localhost:3000/api/users?t=abc&x={{missing}}');
+  });
+
+  test('self references stop after a few passes', () => {
+    expect(substituteVariables('{{a}}', { a: '{{a}}' })).toBe('{{a}}');
+  });
+
+  test('applyEnvironment resolves url, headers and body and lists what is left', () => {
+    const resolved = applyEnvironment({
+      method: 'POST',
+      url: '{{apiUrl}}/login',
+      headers: headersToObject([
+        { key: 'Authorization', value: 'Bearer {{token}}', enabled: true },
+        { key: 'X-Debug', value: '1', enabled: false },
+      ]),
+      body: '{"tenant":"{{tenant}}"}',
+    }, vars);
+    expect(resolved).toEqual({
+      method: 'POST',
+      url: 'http://localhost:3000/api/login',
+      headers: { Authorization: 'Bearer abc' },
+      body: '{"tenant":"{{tenant}}"}',
+      unresolved: ['tenant'],
+    });
+  });
+});
+
+describe('import', () => {
+  test('Postman v2.1 collection: folders, bodies, inherited auth and collection variables', () => {
+    const result = importCollectionFile({
+      info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+      auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}' }] },
+      variable: [{ key: 'baseUrl', value: 'http://localhost:8080' }],
+      item: [
+        {
+          name: 'Users',
+          item: [{
+            name: 'Create user',
+            request: {
+              method: 'post',
+              header: [{ key: 'Content-Type', value: 'application/json' }, { key: 'X-Old', value: '1', disabled: true }],
+              body: { mode: 'raw', raw: '{"name":"Ada"}' },
+              url: { raw: '{{baseUrl}}/users', host: ['{{baseUrl}}'], path: ['users'] },
+            },
+          }],
+        },
+        {
+          name: 'Login',
+          request: {
+            method: 'POST',
+            auth: { type: 'noauth' },
+            body: { mode: 'urlencoded', urlencoded: [{ key: 'user', value: 'a b' }, { key: 'pass', value: 'x' }] },
+            url: '{{baseUrl}}/login',
+          },
+        },
+      ],
+    });
+
+    expect(result.format).toBe('postman');
+    const [create, login] = result.collections[0].requests;
+    expect(create).toMatchObject({
+      name: 'Users / Create user',
+      method: 'POST',
+      url: '{{baseUrl}}/users',
+      body: '{"name":"Ada"}',
+      headers: [
+        { key: 'Content-Type', value: 'application/json', enabled: true },
+        { key: 'X-Old', value: '1', enabled: false },
+        { key: 'Authorization', value: 'Bearer {{token}}', enabled: true },
+      ],
+    });
+    expect(login.body).toBe('user=a%20b&pass=x');
+    expect(login.headers).toEqual([{ key: 'Content-Type', value: 'application/x-www-form-urlencoded', enabled: true }]);
+    expect(result.environments).toEqual([expect.objectContaining({ name: 'Shop', variables: { baseUrl: 'http://localhost:8080' } })]);
+  });
+
+  test('Postman environment', () => {
+    const result = importCollectionFile({ name: 'staging', values: [{ key: 'baseUrl', value: 'https://staging.example.com', enabled: true }, { key: 'off', value: 'x', enabled: false }] });
+    expect(result.collections).toEqual([]);
+    expect(result.environments[0]).toMatchObject({ name: 'staging', variables: { baseUrl: 'https://staging.example.com' } });
+  });
+
+  test('Insomnia v4 export: templates, folders and sub environments', () => {
+    const result = importCollectionFile({
+      _type: 'export',
+      __export_format: 4,
+      resources: [
+        { _id: 'wrk_1', _type: 'workspace', name: 'Billing' },
+        { _id: 'fld_1', _type: 'request_group', parentId: 'wrk_1', name: 'Invoices' },
+        {
+          _id: 'req_1', _type: 'request', parentId: 'fld_1', name: 'List', method: 'GET',
+          url: '{{ _.baseUrl }}/invoices', headers: [{ name: 'Accept', value: 'application/json' }],
+          authentication: { type: 'bearer', token: '{{ _.token }}' },
+        },
+        { _id: 'env_base', _type: 'environment', parentId: 'wrk_1', name: 'Base', data: { token: 't0', api: { version: 'v2' } } },
+        { _id: 'env_dev', _type: 'environment', parentId: 'env_base', name: 'dev', data: { baseUrl: 'http://localhost:4000' } },
+      ],
+    });
+
+    expect(result.format).toBe('insomnia');
+    expect(result.collections).toHaveLength(1);
+    expect(result.collections[0].name).toBe('Billing');
+    expect(result.collections[0].requests[0]).toMatchObject({
+      name: 'Invoices / List',
+      url: '{{baseUrl}}/invoices',
+      headers: [
+        { key: 'Accept', value: 'application/json', enabled: true },
+        { key: 'Authorization', value: 'Bearer {{token}}', enabled: true },
+      ],
+    });
+    expect(result.environments).toEqual([
+      expect.objectContaining({ name: 'dev', variables: { token: 't0', 'api.version': 'v2', baseUrl: 'http://localhost:4000' } }),
+    ]);
+  });
+
+  test('rejects unknown files', () => {
+    expect(() => importCollectionFile({ foo: 1 })).toThrow(/Unrecognized/);
+    expect(() => importCollectionFile({ info: { schema: 'https://schema.getpostman.com/json/collection/v1.0.0/' }, item: [] })).toThrow(/v2/);
+  });
+});
+
+describe('diff', () => {
+  test('diffLines keeps common lines and marks edits', () => {
+    expect(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'del', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'add', text: 'x' },
+      { type: 'same', text: 'd' },
+    ]);
+  });
+
+  test('diffResponses pretty-prints JSON and ignores volatile headers', () => {
+    const before = { status: 200, time: 12, size: 20, headers: { Date: 'Mon', 'Content-Type': 'application/json' }, body: '{"id":1,"name":"Ada"}' };
+    const after = { status: 200, time: 15, size: 22, headers: { date: 'Tue', 'content-type': 'application/json', etag: 'W/"2"' }, body: '{"id":1,"name":"Grace"}' };
+
+    const diff = diffResponses(before, after);
+    expect(diff.identical).toBe(false);
+    expect(diff.headers).toEqual([{ key: 'etag', before: null, after: 'W/"2"' }]);
+    expect(diff.body.filter(l => l.type !== 'same')).toEqual([
+      { type: 'del', text: '  "name": "Ada"' },
+      { type: 'add', text: '  "name": "Grace"' },
+    ]);
+    expect(diffResponses(before, { ...before, headers: { ...before.headers, Date: 'Wed' } }).identical).toBe(true);
+  });
+});
@@ -0,0 +1,147 @@
+// api-contract — JSON path, schema validation, assertions and the chained collection runner
+
+const {
+  getJsonPath, validateSchema, matchRoute, evaluateAssertions, extractValues, runCollection, formatReport,
+} = require('../../src/shared/api-contract');
+
+const json = (status, body, extra = {}) => ({ status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), time: 12, ...extra });
+
+describe('getJsonPath', () => {
+  const doc = { data: { items: [{ id: 7, 'first name': 'Ada' }] }, ok: false };
+
+  test('dot, bracket and quoted segments', () => {
+    expect(getJsonPath(doc, '$.data.items[0].id')).toEqual({ found: true, value: 7 });
+    expect(getJsonPath(doc, "data.items.0['first name']")).toEqual({ found: true, value: 'Ada' });
+    expect(getJsonPath(doc, '$.ok')).toEqual({ found: true, value: false });
+    expect(getJsonPath(doc, '$.data.missing.id').found).toBe(false);
+  });
+});
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['id', 'email'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      email: { type: 'string', pattern: '@' },
+      role: { enum: ['admin', 'user'] },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+      manager: { type: 'object', nullable: true },
+    },
+  };
+
+  test('valid documents have no errors', () => {
+    expect(validateSchema({ id: 1, email: 'a@b.c', role: 'user', tags: ['x'], manager: null }, schema)).toEqual([]);
+  });
+
+  test('reports each violation with its path', () => {
+    expect(validateSchema({ id: 0, role: 'root', tags: ['x', 2, 'z'], extra: 1 }, schema)).toEqual([
+      '$: missing required property "email"',
+      '$.id: below 1',
+      '$.role: "root" is not one of "admin", "user"',
+      '$.tags: more than 2 items',
+      '$.tags[1]: expected string, got integer',
+      '$: unexpected property "extra"',
+    ]);
+  });
+
+  test('combinators', () => {
+    const oneOf = { oneOf: [{ type: 'string' }, { type: 'integer' }] };
+    expect(validateSchema(3, oneOf)).toEqual([]);
+    expect(validateSchema(true, oneOf)).toEqual(['$: must match exactly one schema']);
+    expect(validateSchema(2.5, { type: 'number' })).toEqual([]);
+  });
+});
+
+describe('matchRoute', () => {
+  const routes = [
+    { method: 'GET', path: '/users/:id' },
+    { method: 'GET', path: '/users/me' },
+    { method: 'PUT', path: '/v1/items/{itemId}' },
+  ];
+
+  test('matches path parameters and prefers literal segments', () => {
+    expect(matchRoute(routes, 'GET', 'http://localhost:3000/users/42?expand=1').path).toBe('/users/:id');
+    expect(matchRoute(routes, 'GET', 'http://localhost:3000/users/me').path).toBe('/users/me');
+    expect(matchRoute(routes, 'PUT', 'http://localhost/v1/items/a1').path).toBe('/v1/items/{itemId}');
+    expect(matchRoute(routes, 'DELETE', 'http://localhost/users/42')).toBeNull();
+  });
+});
+
+describe('evaluateAssertions', () => {
+  const response = json(201, { data: { id: 5, tags: ['a', 'b'] } }, { headers: { 'content-type': 'application/json', 'X-Request-Id': 'r1' } });
+
+  test('status, JSON path, header and time', () => {
+    const results = evaluateAssertions([
+      { type: 'status', expected: '2xx' },
+      { type: 'status', expected: '200' },
+      { type: 'jsonPath', target: '$.data.id', op: 'equals', expected: '5' },
+      { type: 'jsonPath', target: '$.data.tags', op: 'contains', expected: 'b' },
+      { type: 'jsonPath', target: '$.data.deleted', op: 'notExists' },
+      { type: 'header', target: 'x-request-id', op: 'exists' },
+      { type: 'time', expected: '10' },
+    ], response);
+    expect(results.map(r => r.pass)).toEqual([true, false, true, true, true, true, false]);
+    expect(results[1].message).toBe('got 201');
+    expect(results[6].message).toBe('took 12ms');
+  });
+
+  test('schema assertions use the matched route and are skipped without one', () => {
+    const route = { responses: { '2XX': { type: 'object', required: ['data', 'meta'] } } };
+    const [withRoute] = evaluateAssertions([{ type: 'schema' }], response, { route });
+    expect(withRoute).toMatchObject({ pass: false, message: '$: missing required property "meta"' });
+    const [without] = evaluateAssertions([{ type: 'schema' }], response, {});
+    expect(without).toMatchObject({ pass: true, skipped: true });
+  });
+
+  test('a failed request fails every assertion', () => {
+    const [result] = evaluateAssertions([{ type: 'status', expected: '200' }], { status: 0, error: 'ECONNREFUSED' });
+    expect(result).toMatchObject({ pass: false, message: 'ECONNREFUSED' });
+  });
+});
+
+describe('runCollection', () => {
+  const requests = [
+    {
+      id: 'r1', name: 'Login', method: 'POST', url: '{{baseUrl}}/login',
+      headers: [{ key: 'Content-Type', value: 'application/json', enabled: true }], body: '{"user":"ada"}',
+      assertions: [{ type: 'status', expected: '200' }],
+      extract: [{ name: 'token', from: '$.token' }, { name: 'requestId', from: 'header:X-Request-Id' }],
+    },
+    {
+      id: 'r2', name: 'Me', method: 'GET', url: '{{baseUrl}}/users/me',
+      headers: [{ key: 'Authorization', value: 'Bearer {{token}}', enabled: true }], body: '',
+      assertions: [{ type: 'jsonPath', target: 'name', op: 'equals', expected: 'Ada' }, { type: 'schema' }],
+    },
+    { id: 'r3', name: 'Orders', method: 'GET', url: '{{baseUrl}}/orders', headers: [], body: '', assertions: [{ type: 'status', expected: '200' }] },
+  ];
+  const routes = [{ method: 'GET', path: '/users/:id', responses: { '200': { type: 'object', required: ['name', 'id'] } } }];
+
+  const send = jest.fn(async ({ url, headers }) => {
+    if (url.endsWith('/login')) return json(200, { token: 'T1' }, { headers: { 'X-Request-Id': 'abc' } });
+    if (url.endsWith('/users/me')) return headers.Authorization === 'Bearer T1' ? json(200, { name: 'Ada' }) : json(401, {});
+    return json(500, { error: 'boom' });
+  });
+
+  test('chains extracted values and reports each request', async () => {
+    const report = await runCollection(requests, { send, variables: { baseUrl: 'http://api.test' }, routes });
+
+    expect(send.mock.calls[1][0]).toMatchObject({ url: 'http://api.test/users/me', headers: { Authorization: 'Bearer T1' } });
+    expect(report.results[0].extracted).toEqual({ token: 'T1', requestId: 'abc' });
+    expect(report.results.map(r => r.pass)).toEqual([true, false, false]);
+    expect(report.results[1].assertions[1].message).toBe('$: missing required property "id"');
+    expect(report).toMatchObject({ passed: 1, failed: 2, skipped: 0, total: 3 });
+    expect(formatReport(report, 'Auth')).toMatch(/^# Auth: FAILED — 1\/3 requests passed/);
+  });
+
+  test('stopOnFailure leaves the remaining requests out', async () => {
+    const report = await runCollection(requests, { send, variables: { baseUrl: 'http://api.test' }, routes, stopOnFailure: true });
+    expect(report.results).toHaveLength(2);
+    expect(report.skipped).toBe(1);
+  });
+
+  test('extractValues ignores missing values', () => {
+    expect(extractValues([{ name: 'x', from: '$.nope' }, { name: 'h', from: 'header:missing' }], json(200, {}))).toEqual({});
+  });
+});
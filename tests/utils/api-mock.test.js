@@ -0,0 +1,75 @@
+// api-mock — mock server responses: examples, overrides, latency and CRUD stubs
+
+const { normalizeMockConfig, defaultStatus, createMockStore, mockResponse } = require('../../src/shared/api-mock');
+
+const routes = [
+  { method: 'GET', path: '/users', examples: { 200: [{ id: 1, name: 'Ada' }, { id: 2, name: 'Linus' }] } },
+  { method: 'POST', path: '/users' },
+  { method: 'GET', path: '/users/:id' },
+  { method: 'PATCH', path: '/users/:id' },
+  { method: 'DELETE', path: '/users/:id' },
+  { method: 'GET', path: '/health', examples: { 200: { ok: true }, 503: { ok: false } } },
+  { method: 'GET', path: '/users/me', responses: { 201: {} } },
+];
+
+function request(store, method, url, body, config = {}) {
+  const res = mockResponse({ routes, config, store, method, url, body });
+  return { status: res.status, body: res.body ? JSON.parse(res.body) : undefined, delay: res.delay };
+}
+
+describe('normalizeMockConfig', () => {
+  test('defaults and invalid values', () => {
+    expect(normalizeMockConfig()).toEqual({ port: 4010, delay: 0, crud: true, specFile: null, routes: {} });
+    expect(normalizeMockConfig({
+      port: '70000', delay: 90000, crud: false,
+      routes: { 'GET /a': { status: '404', delay: '-5', body: '  ' }, 'GET /b': { status: 'x' } },
+    })).toEqual({ port: 4010, delay: 60000, crud: false, specFile: null, routes: { 'GET /a': { status: 404, delay: 0 } } });
+  });
+});
+
+test('defaultStatus uses the documented 2xx, else the method', () => {
+  expect(defaultStatus(routes[6])).toBe(201);
+  expect(defaultStatus(routes[1])).toBe(201);
+  expect(defaultStatus(routes[4])).toBe(204);
+  expect(defaultStatus(routes[0])).toBe(200);
+});
+
+test('CRUD stubs start from the list example and keep their state', () => {
+  const store = createMockStore();
+  expect(request(store, 'GET', '/users?page=1').body).toHaveLength(2);
+  expect(request(store, 'POST', '/users', { name: 'Grace' })).toMatchObject({ status: 201, body: { id: 3, name: 'Grace' } });
+  expect(request(store, 'PATCH', '/users/3', { name: 'Grace H.' }).body).toEqual({ id: 3, name: 'Grace H.' });
+  expect(request(store, 'DELETE', '/users/1')).toEqual({ status: 204, body: undefined, delay: 0 });
+  expect(request(store, 'GET', '/users/1').status).toBe(404);
+  expect(request(store, 'GET', '/users').body.map(u => u.id)).toEqual([2, 3]);
+  expect(request(store, 'POST', '/users', 'not json').status).toBe(400);
+});
+
+test('malformed percent-encoding in an item id falls back to the raw segment', () => {
+  const store = createMockStore();
+  expect(request(store, 'GET', '/users/%E0%A4%A')).toEqual({ status: 404, body: { error: 'No item with id %E0%A4%A' }, delay: 0 });
+});
+
+test('overrides: status, body, latency and disabled routes', () => {
+  const store = createMockStore();
+  const config = {
+    delay: 100,
+    routes: {
+      'GET /health': { status: 503, delay: 2000 },
+      'GET /users/:id': { body: '{"id":"fixed"}' },
+      'DELETE /users/:id': { enabled: false },
+    },
+  };
+  expect(request(store, 'GET', '/health', undefined, config)).toEqual({ status: 503, body: { ok: false }, delay: 2000 });
+  expect(request(store, 'GET', '/users/9', undefined, config)).toEqual({ status: 200, body: { id: 'fixed' }, delay: 100 });
+  expect(request(store, 'DELETE', '/users/2', undefined, config).status).toBe(404);
+  expect(request(store, 'GET', '/nope', undefined, config).body).toEqual({ error: 'No mock for GET /nope' });
+});
+
+test('without CRUD, routes answer with their example or a placeholder', () => {
+  const store = createMockStore();
+  const config = { crud: false, routes: { 'POST /users': { status: 422 } } };
+  expect(request(store, 'GET', '/users', undefined, config).body).toHaveLength(2);
+  expect(request(store, 'GET', '/users/me', undefined, config)).toMatchObject({ status: 201, body: { mock: true, route: 'GET /users/me' } });
+  expect(request(store, 'POST', '/users', {}, config)).toMatchObject({ status: 422, body: { error: 'Unprocessable Entity' } });
+});
@@ -0,0 +1,65 @@
+// browser-errors — preview console messages to console / network errors, HMR failures, formatting
+
+const {
+  classifyConsoleMessage,
+  classifyLoadFailure,
+  classifyRequestFailure,
+  isHmrFailure,
+  browserErrorKey,
+  formatBrowserError,
+  appendBrowserErrors,
+} = require('../../src/shared/browser-errors');
+
+const NOW = 1700000000000;
+
+test('console errors and failed requests', () => {
+  expect(classifyConsoleMessage({ level: 3, message: 'Uncaught TypeError: x is undefined', sourceId: 'http://localhost:5173/src/App.tsx', line: 12 }, NOW))
+    .toEqual({ kind: 'console', message: 'Uncaught TypeError: x is undefined', timestamp: NOW, source: 'http://localhost:5173/src/App.tsx', line: 12 });
+
+  expect(classifyConsoleMessage({ level: 3, message: 'Failed to load resource: the server responded with a status of 500 (Internal Server Error)', sourceId: 'http://localhost:3000/api/users' }, NOW))
+    .toMatchObject({ kind: 'network', url: 'http://localhost:3000/api/users', status: 500, statusText: 'Internal Server Error' });
+
+  expect(classifyConsoleMessage({ level: 3, message: 'Failed to load resource: net::ERR_CONNECTION_REFUSED', sourceId: 'http://localhost:4000/graphql' }, NOW))
+    .toMatchObject({ kind: 'network', status: 0, statusText: 'net::ERR_CONNECTION_REFUSED' });
+
+  expect(classifyConsoleMessage({ level: 3, message: "Access to fetch at 'http://api.test/x' from origin 'http://localhost:3000' has been blocked by CORS policy: No header" }, NOW))
+    .toMatchObject({ kind: 'network', url: 'http://api.test/x', statusText: 'CORS' });
+});
+
+test('ignored messages', () => {
+  expect(classifyConsoleMessage({ level: 2, message: 'Warning: each child needs a key' })).toBeNull();
+  expect(classifyConsoleMessage({ level: 3, message: '__CT_SCAN__:[]' })).toBeNull();
+  expect(classifyConsoleMessage({ level: 3, message: 'Failed to load resource: the server responded with a status of 404 (Not Found)', sourceId: 'http://localhost:3000/favicon.ico' })).toBeNull();
+  expect(classifyLoadFailure({ errorCode: -3, errorDescription: 'ERR_ABORTED', validatedURL: 'http://localhost:3000/', isMainFrame: true })).toBeNull();
+  expect(classifyLoadFailure({ errorCode: -102, errorDescription: 'ERR_CONNECTION_REFUSED', validatedURL: 'http://localhost:3000/', isMainFrame: false })).toBeNull();
+  expect(classifyLoadFailure({ errorCode: -102, errorDescription: 'ERR_CONNECTION_REFUSED', validatedURL: 'http://localhost:3000/', isMainFrame: true }, NOW))
+    .toMatchObject({ kind: 'network', url: 'http://localhost:3000/', status: 0 });
+});
+
+test('failed requests seen by the session', () => {
+  expect(classifyRequestFailure({ url: 'http://localhost:3000/api/users', method: 'POST', resourceType: 'xhr', statusCode: 500, statusLine: 'HTTP/1.1 500 Internal Server Error' }, NOW))
+    .toEqual({ kind: 'network', message: 'POST http://localhost:3000/api/users responded with 500 Internal Server Error', timestamp: NOW, url: 'http://localhost:3000/api/users', status: 500, statusText: 'Internal Server Error' });
+  expect(classifyRequestFailure({ url: 'http://localhost:4000/graphql', resourceType: 'xhr', error: 'net::ERR_CONNECTION_REFUSED' }, NOW))
+    .toMatchObject({ kind: 'network', status: 0, statusText: 'net::ERR_CONNECTION_REFUSED' });
+
+  expect(classifyRequestFailure({ url: 'http://localhost:3000/api/users', resourceType: 'xhr', statusCode: 200 })).toBeNull();
+  expect(classifyRequestFailure({ url: 'http://localhost:3000/', resourceType: 'mainFrame', statusCode: 404 })).toBeNull();
+  expect(classifyRequestFailure({ url: 'http://localhost:3000/favicon.ico', resourceType: 'image', statusCode: 404 })).toBeNull();
+  expect(classifyRequestFailure({ url: 'http://localhost:3000/api/poll', resourceType: 'xhr', error: 'net::ERR_ABORTED' })).toBeNull();
+  expect(classifyRequestFailure({ url: 'devtools://devtools/bundled/x.js', resourceType: 'script', error: 'net::ERR_FAILED' })).toBeNull();
+});
+
+test('HMR failures', () => {
+  expect(isHmrFailure('[hmr] Failed to reload /src/App.vue. This could be due to syntax errors')).toBe(true);
+  expect(isHmrFailure('[HMR] Cannot apply update. Need to do a full reload!')).toBe(true);
+  expect(isHmrFailure('TypeError: Failed to fetch dynamically imported module: http://localhost:5173/src/pages/Home.tsx')).toBe(true);
+  expect(isHmrFailure('[vite] hot updated: /src/App.tsx')).toBe(false);
+});
+
+test('keys, formatting and capped lists', () => {
+  const network = { kind: 'network', url: 'http://x/api', status: 404, statusText: 'Not Found', message: '', timestamp: NOW };
+  expect(browserErrorKey(network)).toBe('network|404|http://x/api');
+  expect(formatBrowserError(network)).toBe('[network] 404 Not Found http://x/api');
+  expect(formatBrowserError({ kind: 'console', message: 'boom', source: 'app.js', line: 3 })).toBe('[console] boom (app.js:3)');
+  expect(appendBrowserErrors([1, 2, 3], [4, 5], 4)).toEqual([2, 3, 4, 5]);
+});
@@ -0,0 +1,71 @@
+// dev-processes — web app process lists: normalization, env parsing, restart policy, console prefixes, error lines
+
+const {
+  normalizeDevProcesses,
+  parseEnv,
+  formatEnv,
+  planRestart,
+  MAX_RESTARTS,
+  createLinePrefixer,
+  isErrorLine,
+  isErrorContinuation,
+} = require('../../src/shared/dev-processes');
+
+describe('normalizeDevProcesses', () => {
+  test('falls back to the legacy devCommand as a single main process', () => {
+    expect(normalizeDevProcesses({ devCommand: ' npm run dev ' })).toEqual([
+      { id: 'main', name: 'dev', command: 'npm run dev', cwd: '', env: {}, color: 'cyan', autoRestart: false },
+    ]);
+    expect(normalizeDevProcesses({ devProcesses: [{ name: 'empty', command: '  ' }] })[0].id).toBe('main');
+  });
+
+  test('unique ids, default colours and cleaned env', () => {
+    const list = normalizeDevProcesses({
+      devProcesses: [
+        { name: 'Web App', command: 'vite', color: 'green' },
+        { name: 'web app', command: 'vite --port 5174', cwd: ' apps/admin ', color: 'pink', env: { PORT: 5174, 'BAD-KEY': 'x' } },
+        { id: 'worker', command: 'node worker.js', autoRestart: true },
+      ],
+    });
+    expect(list.map(p => p.id)).toEqual(['web-app', 'web-app-2', 'worker']);
+    expect(list.map(p => p.color)).toEqual(['green', 'magenta', 'yellow']);
+    expect(list[1]).toMatchObject({ cwd: 'apps/admin', env: { PORT: '5174' } });
+    expect(list[2]).toMatchObject({ name: 'worker', autoRestart: true });
+  });
+});
+
+test('parseEnv / formatEnv', () => {
+  const env = parseEnv('# api\nPORT=3001\nexport DB_URL="postgres://localhost/db"\n\nnot a line\nEMPTY=');
+  expect(env).toEqual({ PORT: '3001', DB_URL: 'postgres://localhost/db', EMPTY: '' });
+  expect(parseEnv(formatEnv(env))).toEqual(env);
+});
+
+test('planRestart backs off and gives up after MAX_RESTARTS crashes in a row', () => {
+  const crash = { autoRestart: true, code: 1, restarts: 0, uptime: 500 };
+  expect(planRestart(crash)).toEqual({ delay: 1000, attempt: 1 });
+  expect(planRestart({ ...crash, restarts: 3 })).toEqual({ delay: 8000, attempt: 4 });
+  expect(planRestart({ ...crash, restarts: MAX_RESTARTS })).toBeNull();
+  expect(planRestart({ ...crash, restarts: MAX_RESTARTS, uptime: 120000 })).toEqual({ delay: 1000, attempt: 1 });
+  expect(planRestart({ ...crash, code: 0 })).toBeNull();
+  expect(planRestart({ ...crash, stopping: true })).toBeNull();
+  expect(planRestart({ ...crash, autoRestart: false })).toBeNull();
+});
+
+test('createLinePrefixer prefixes every line, across chunks', () => {
+  const prefix = createLinePrefixer('api', 'magenta');
+  const tag = '\x1b[35m[api]\x1b[0m ';
+  expect(prefix('listening\r\nready') + prefix(' now\r\n\r\nnext')).toBe(`${tag}listening\r\n${tag}ready now\r\n\r\n${tag}next`);
+});
+
+test('error lines and their continuation', () => {
+  expect(isErrorLine('\x1b[31mTypeError: x is not a function\x1b[39m')).toBe(true);
+  expect(isErrorLine('Error [ERR_MODULE_NOT_FOUND]: Cannot find module')).toBe(true);
+  expect(isErrorLine('[vite] Internal server error: Failed to resolve import')).toBe(true);
+  expect(isErrorLine('Error: listen EADDRINUSE: address already in use :::3000')).toBe(true);
+  expect(isErrorLine('Traceback (most recent call last):')).toBe(true);
+  expect(isErrorLine('  VITE v5.0.0  ready in 300 ms')).toBe(false);
+  expect(isErrorLine('error handling middleware registered')).toBe(false);
+  expect(isErrorContinuation('    at Server.listen (node:net:1:1)')).toBe(true);
+  expect(isErrorContinuation('> 12 |   foo()')).toBe(true);
+  expect(isErrorContinuation('GET /api 200')).toBe(false);
+});
@@ -0,0 +1,67 @@
+// fivem-console — structured FXServer console lines, script error stacks and error grouping
+
+const {
+  parseConsoleLine, createConsoleParser, entryLocations, errorKey, groupError, filterEntries
+} = require('../../src/shared/fivem-console');
+
+test('console lines split into channel, resource and level', () => {
+  expect(parseConsoleLine('\x1b[97m[      script:shops] ^1SCRIPT ERROR: @shops/server/main.lua:12: attempt to index a nil value\x1b[0m'))
+    .toEqual({
+      serverTime: null,
+      channel: 'script:shops',
+      resource: 'shops',
+      level: 'error',
+      text: 'SCRIPT ERROR: @shops/server/main.lua:12: attempt to index a nil value'
+    });
+  expect(parseConsoleLine('[12:03:44] [           resources] Started resource inventory'))
+    .toMatchObject({ serverTime: '12:03:44', channel: 'resources', resource: 'inventory', level: 'info' });
+  expect(parseConsoleLine("[ citizen-server-impl] Couldn't start resource hud."))
+    .toMatchObject({ resource: 'hud', level: 'error' });
+  expect(parseConsoleLine('[  script:core] Warning: deprecated native')).toMatchObject({ resource: 'core', level: 'warn' });
+  expect(parseConsoleLine('Server license key authentication succeeded.')).toMatchObject({ channel: null, level: 'info' });
+});
+
+test('script errors keep their stack and repeats are grouped', () => {
+  let clock = 1000;
+  const parser = createConsoleParser({ now: () => clock++ });
+  const error = (line) => [
+    `[  script:shops] SCRIPT ERROR: @shops/server/main.lua:${line}: attempt to compare number with nil`,
+    '[  script:shops] > checkPrice (@shops/server/main.lua:40)',
+    '[  script:shops] > handler (@core/shared/events.lua:7)'
+  ];
+
+  const first = parser.push(['[  script:shops] Loaded 12 items', ...error(12), '[  script:hud] ready']);
+  expect(first.entries.map(e => e.level)).toEqual(['info', 'error', 'info']);
+  expect(first.completed).toHaveLength(1);
+  expect(first.completed[0].stack.map(f => [f.fn, f.resource, f.file, f.line])).toEqual([
+    ['checkPrice', 'shops', 'server/main.lua', 40],
+    ['handler', 'core', 'shared/events.lua', 7]
+  ]);
+  expect(entryLocations(first.completed[0])).toEqual([
+    { resource: 'shops', file: 'server/main.lua', line: 12 },
+    { resource: 'shops', file: 'server/main.lua', line: 40 },
+    { resource: 'core', file: 'shared/events.lua', line: 7 }
+  ]);
+
+  const second = parser.push(error(12));
+  expect(second.completed).toEqual([]);
+  expect(parser.pending()).toBe(true);
+  const [repeat] = parser.flush();
+
+  let { groups, isNew } = groupError([], first.completed[0], { context: 'ctx' });
+  expect(isNew).toBe(true);
+  ({ groups, isNew } = groupError(groups, repeat));
+  expect(isNew).toBe(false);
+  expect(groups).toHaveLength(1);
+  expect(groups[0]).toMatchObject({ count: 2, resource: 'shops', timestamp: 1001, lastSeen: 1003 });
+  expect(groups[0].message.split('\n')[1]).toBe('  > checkPrice (@shops/server/main.lua:40)');
+
+  // Same message at another line is another error
+  const [other] = createConsoleParser().push(error(13)).entries;
+  expect(errorKey(other)).not.toBe(errorKey(repeat));
+
+  const entries = [...first.entries, repeat];
+  expect(filterEntries(entries, { level: 'error' })).toHaveLength(2);
+  expect(filterEntries(entries, { resource: 'hud' }).map(e => e.text)).toEqual(['ready']);
+  expect(filterEntries(entries, { search: 'checkprice' })).toHaveLength(2);
+});
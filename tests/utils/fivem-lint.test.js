@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+
+// fivem-lint — manifest files, fx_version, undeclared dependencies, cycles and server.cfg ensure order
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { globToRegExp, findExportUses, lintResources, formatIssue } = require('../../src/shared/fivem-lint');
+
+let dir;
+
+function writeFiles(files) {
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), content);
+  }
+}
+
+function resource(name, category = 'root') {
+  const folder = category === 'root' ? 'resources' : `resources/${category}`;
+  return { name, path: path.join(dir, folder, name), category, manifest: 'fxmanifest.lua' };
+}
+
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-fivem-lint-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('globs and exports used by scripts', () => {
+  expect(globToRegExp('client/*.lua').test('client/main.lua')).toBe(true);
+  expect(globToRegExp('client/*.lua').test('client/sub/main.lua')).toBe(false);
+  expect(globToRegExp('html/**').test('html/js/app.js')).toBe(true);
+  expect(globToRegExp('stream/**/*.ytd').test('stream/car.ytd')).toBe(true);
+
+  const lua = "local x = exports.ox_inventory:Search()\nexports['qb-core']:GetCoreObject()\nexports('Mine', fn)";
+  expect(findExportUses(lua)).toEqual([{ name: 'ox_inventory', line: 1 }, { name: 'qb-core', line: 2 }]);
+  expect(findExportUses('module.exports.foo.bar()')).toEqual([]);
+});
+
+test('manifest and server.cfg issues of a server', () => {
+  writeFiles({
+    'resources/core/fxmanifest.lua': "fx_version 'cerulean'\nserver_script 'server.lua'\n",
+    'resources/core/server.lua': "exports('Get', function() end)\n",
+    'resources/[local]/shop/fxmanifest.lua': [
+      "fx_version 'ceruleen'",
+      "shared_script '@core/missing.lua'",
+      "client_scripts { 'client/*.lua', 'client/nope.lua' }",
+      "dependencies { 'ghost' }"
+    ].join('\n'),
+    'resources/[local]/shop/client/main.lua': "local inv = exports.inventory:Get()\n",
+    'resources/inventory/fxmanifest.lua': "fx_version 'cerulean'\ndependency 'core'\n",
+    'resources/a/fxmanifest.lua': "fx_version 'cerulean'\ndependency 'b'\n",
+    'resources/b/fxmanifest.lua': "dependency 'a'\n",
+    'server.cfg': 'ensure inventory\nexec resources.cfg\n',
+    'resources.cfg': 'ensure core # framework\n'
+  });
+  const resources = [resource('core'), resource('shop', '[local]'), resource('inventory'), resource('a'), resource('b')];
+  const { issues, resources: nodes } = lintResources(dir, resources);
+  const codes = issues.map(i => `${i.resource}:${i.code}`);
+
+  expect(codes).toEqual([
+    'a:dependencyCycle',
+    'b:missingFxVersion',
+    'inventory:ensureOrder',
+    'shop:unknownFxVersion',
+    'shop:missingFile',
+    'shop:missingFile',
+    'shop:unknownDependency',
+    'shop:undeclaredDependency',
+    'shop:undeclaredDependency'
+  ]);
+  expect(issues.find(i => i.code === 'ensureOrder')).toMatchObject({
+    file: 'server.cfg', line: 1, params: { dependency: 'core', dependencyAt: 'resources.cfg:1' }
+  });
+  expect(formatIssue(issues.find(i => i.params.file === 'client/nope.lua')))
+    .toBe("resources/[local]/shop/fxmanifest.lua:3 [error] client_scripts references 'client/nope.lua', which does not exist");
+  expect(issues.filter(i => i.code === 'undeclaredDependency').map(i => [i.params.dependency, i.file])).toEqual([
+    ['core', 'resources/[local]/shop/fxmanifest.lua'],
+    ['inventory', 'resources/[local]/shop/client/main.lua']
+  ]);
+  expect(nodes.find(n => n.name === 'shop')).toMatchObject({ ensured: false, dependencies: ['ghost'], errors: 3, warnings: 3 });
+});
@@ -0,0 +1,42 @@
+// fivem-resources — manifest dependencies and hot-reload restart order
+
+const { parseManifestDependencies, isIgnoredChange, reloadPlan } = require('../../src/shared/fivem-resources');
+
+test('dependencies read from fxmanifest.lua', () => {
+  const manifest = [
+    "fx_version 'cerulean'",
+    "dependency 'oxmysql'",
+    '-- dependency \'commented\'',
+    'dependencies {',
+    "  '/server:5848',",
+    '  "es_extended", -- core',
+    "  'oxmysql'",
+    '}',
+    '--[[ dependencies { \'old\' } ]]',
+    "client_script 'dependencies.lua'"
+  ].join('\n');
+  expect(parseManifestDependencies(manifest)).toEqual(['oxmysql', 'es_extended']);
+  expect(parseManifestDependencies("dependencies({ 'a', 'b' })")).toEqual(['a', 'b']);
+  expect(parseManifestDependencies("fx_version 'adamant'")).toEqual([]);
+
+  expect(isIgnoredChange('my_res/client.lua')).toBe(false);
+  expect(isIgnoredChange('my_res/.client.lua.swp')).toBe(true);
+  expect(isIgnoredChange('my_res/4913')).toBe(true);
+  expect(isIgnoredChange('my_res/config.lua~')).toBe(true);
+});
+
+test('changed resources restart before their dependents', () => {
+  const dependencies = {
+    core: [],
+    inventory: ['core'],
+    shops: ['inventory', 'core'],
+    hud: [],
+    a: ['b'],
+    b: ['a']
+  };
+  expect(reloadPlan(['core'], dependencies)).toEqual(['core', 'inventory', 'shops']);
+  expect(reloadPlan(['shops', 'hud'], dependencies)).toEqual(['hud', 'shops']);
+  expect(reloadPlan(['core'], dependencies, { excluded: ['core'] })).toEqual([]);
+  expect(reloadPlan(['core', 'hud'], dependencies, { excluded: ['inventory'] })).toEqual(['core', 'hud', 'inventory', 'shops']);
+  expect(reloadPlan(['a'], dependencies)).toEqual(['a', 'b']);
+});
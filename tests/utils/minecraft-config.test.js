@@ -0,0 +1,79 @@
+// minecraft-config — server.properties validation, EULA, JVM flags, Java version requirements
+
+const {
+  validateProperty,
+  validateProperties,
+  isEulaAccepted,
+  parseMemory,
+  splitArgs,
+  buildJvmArgs,
+  validateJvmConfig,
+  parseJavaVersion,
+  minecraftVersionFromName,
+  javaRequirement,
+  javaFromClassFile,
+  javaCompatibility
+} = require('../../src/shared/minecraft-config');
+
+test('server.properties values checked against the known keys', () => {
+  expect(validateProperty('pvp', 'true')).toBeNull();
+  expect(validateProperty('pvp', 'yes')).toEqual({ key: 'pvp', code: 'boolean' });
+  expect(validateProperty('server-port', '70000')).toEqual({ key: 'server-port', code: 'range', min: 1, max: 65535 });
+  expect(validateProperty('view-distance', '8.5').code).toBe('integer');
+  expect(validateProperty('difficulty', 'nightmare').code).toBe('enum');
+  expect(validateProperty('resource-pack-sha1', 'abc').code).toBe('format');
+  expect(validateProperty('level-name', '..').code).toBe('format');
+  expect(validateProperty('level-name', '..world')).toBeNull();
+  expect(validateProperty('paper-only-key', 'anything')).toBeNull();
+
+  expect(validateProperties({ 'enable-rcon': 'true' }, { 'rcon.password': '' })).toEqual([{ key: 'rcon.password', code: 'rconPassword' }]);
+  expect(validateProperties({ 'rcon.port': '25565' }, { 'enable-rcon': 'true', 'rcon.password': 'x' })).toEqual([{ key: 'rcon.port', code: 'portConflict' }]);
+  expect(validateProperties({ motd: 'Hi' }, {})).toEqual([]);
+
+  expect(isEulaAccepted('#By changing the setting below to TRUE...\neula=true\n')).toBe(true);
+  expect(isEulaAccepted('eula=false')).toBe(false);
+  expect(isEulaAccepted(null)).toBe(false);
+});
+
+test('JVM arguments from heap, preset, collector and extra flags', () => {
+  expect(parseMemory('4G')).toBe(4096);
+  expect(parseMemory('512m')).toBe(512);
+  expect(parseMemory('2048')).toBeNull();
+  expect(splitArgs('-Dfoo=1 "-Dbar=a b"')).toEqual(['-Dfoo=1', '-Dbar=a b']);
+
+  expect(buildJvmArgs({ maxMemory: '4G', gc: 'zgc' })).toEqual(['-Xms4G', '-Xmx4G', '-XX:+UseZGC']);
+  const aikar = buildJvmArgs({ maxMemory: '16G', minMemory: '8G', preset: 'aikar', gc: 'zgc', extraArgs: '-Dx=1' });
+  expect(aikar.slice(0, 3)).toEqual(['-Xms8G', '-Xmx16G', '-XX:+UseG1GC']);
+  expect(aikar).toContain('-XX:G1HeapRegionSize=16M');
+  expect(aikar).not.toContain('-XX:+UseZGC');
+  expect(aikar[aikar.length - 1]).toBe('-Dx=1');
+  expect(buildJvmArgs({ maxMemory: 'lots' }).slice(0, 2)).toEqual(['-Xms2G', '-Xmx2G']);
+
+  expect(validateJvmConfig({ maxMemory: '2G', minMemory: '4G' })).toEqual([{ key: 'minMemory', code: 'minAboveMax' }]);
+  expect(validateJvmConfig({ maxMemory: '2G', extraArgs: '-Xmx8G' })).toEqual([{ key: 'extraArgs', code: 'heapInExtra' }]);
+  expect(validateJvmConfig({ maxMemory: '2G', preset: 'aikar', gc: 'default' })).toEqual([]);
+});
+
+test('installed Java against the Java a server needs', () => {
+  expect(parseJavaVersion('openjdk version "21.0.2" 2024-01-16\nOpenJDK Runtime Environment')).toEqual({ version: '21.0.2', major: 21 });
+  expect(parseJavaVersion('java version "1.8.0_401"')).toEqual({ version: '1.8.0_401', major: 8 });
+  expect(parseJavaVersion('command not found')).toBeNull();
+
+  expect(minecraftVersionFromName('paper-1.20.4-496.jar')).toBe('1.20.4');
+  expect(minecraftVersionFromName('forge-1.12.2-14.23.5.2859.jar')).toBe('1.12.2');
+  expect(minecraftVersionFromName('fabric-server-mc.1.20.1-loader.0.14.21-launcher.0.11.2.jar')).toBe('1.20.1');
+  expect(minecraftVersionFromName('server.jar')).toBeNull();
+
+  expect(javaRequirement('1.21.1')).toEqual({ min: 21, max: null });
+  expect(javaRequirement('1.20.4')).toEqual({ min: 17, max: null });
+  expect(javaRequirement('1.12.2', 'forge')).toEqual({ min: 8, max: 8 });
+  expect(javaRequirement('unknown')).toBeNull();
+
+  const header = Buffer.from([0xca, 0xfe, 0xba, 0xbe, 0, 0, 0, 61]);
+  expect(javaFromClassFile(header)).toBe(17);
+
+  expect(javaCompatibility(17, { min: 21, max: null })).toBe('tooOld');
+  expect(javaCompatibility(17, { min: 8, max: 8 })).toBe('tooNew');
+  expect(javaCompatibility(21, { min: 21, max: null })).toBe('ok');
+  expect(javaCompatibility(null, { min: 21, max: null })).toBe('unknown');
+});
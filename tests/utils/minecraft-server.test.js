@@ -0,0 +1,129 @@
+// minecraft-server — RCON framing, server.properties, player list, plugin / mod metadata, backup rotation
+
+const { RCON_TYPE, encodeRconPacket, decodeRconPackets } = require('../../src/shared/minecraft-rcon');
+const {
+  parseProperties,
+  updateProperties,
+  worldDirNames,
+  parsePlayerList,
+  playerCommand,
+  parsePluginYml,
+  parseFabricModJson,
+  parseManifest,
+  parseModsToml,
+  backupFileName,
+  parseBackupFileName,
+  backupsToPrune,
+} = require('../../src/shared/minecraft-server');
+
+test('RCON packets round-trip, split across chunks', () => {
+  const auth = encodeRconPacket(1, RCON_TYPE.AUTH, 'secret');
+  expect(auth.readInt32LE(0)).toBe(16);
+  expect([...auth.subarray(-2)]).toEqual([0, 0]);
+
+  const stream = Buffer.concat([encodeRconPacket(7, RCON_TYPE.RESPONSE, 'There are 0'), encodeRconPacket(8, RCON_TYPE.RESPONSE, '')]);
+  const first = decodeRconPackets(stream.subarray(0, 20));
+  expect(first.packets).toEqual([]);
+  const second = decodeRconPackets(Buffer.concat([first.rest, stream.subarray(20)]));
+  expect(second.packets).toEqual([
+    { id: 7, type: 0, body: 'There are 0' },
+    { id: 8, type: 0, body: '' },
+  ]);
+  expect(second.rest.length).toBe(0);
+  expect(() => encodeRconPacket(2, RCON_TYPE.COMMAND, 'x'.repeat(1447))).toThrow(/too long/);
+});
+
+test('server.properties read and updated in place', () => {
+  const text = '#Minecraft server properties\nenable-rcon=false\nmotd=A \\: Server\nlevel-name=survival\n';
+  expect(parseProperties(text)).toEqual({ 'enable-rcon': 'false', motd: 'A : Server', 'level-name': 'survival' });
+  expect(updateProperties(text, { 'enable-rcon': 'true', 'rcon.password': 'a=b' })).toBe(
+    '#Minecraft server properties\nenable-rcon=true\nmotd=A \\: Server\nlevel-name=survival\nrcon.password=a\\=b\n'
+  );
+  expect(worldDirNames(parseProperties(text))).toEqual(['survival', 'survival_nether', 'survival_the_end']);
+  expect(worldDirNames({})[0]).toBe('world');
+});
+
+test('player list replies and player commands', () => {
+  expect(parsePlayerList('There are 2 of a max of 20 players online: Steve (069a79f4-44e9-4726-a5be-fca90e38aaf5), .Bedrock_1 (00000000-0000-0000-0009-01f2a3b4c5d6)')).toEqual({
+    online: 2,
+    max: 20,
+    players: [
+      { name: 'Steve', uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5' },
+      { name: '.Bedrock_1', uuid: '00000000-0000-0000-0009-01f2a3b4c5d6' },
+    ],
+  });
+  expect(parsePlayerList('§6There are §c1§6 out of maximum')).toBeNull();
+  expect(parsePlayerList('There are 1/10 players online:\ndefault: Alex').players).toEqual([{ name: 'Alex', uuid: null }]);
+  expect(parsePlayerList('There are 0 of a max of 20 players online: ')).toEqual({ online: 0, max: 20, players: [] });
+
+  expect(playerCommand('ban', 'Steve', 'griefing\nspawn')).toBe('ban Steve griefing spawn');
+  expect(playerCommand('whitelist-add', 'Alex')).toBe('whitelist add Alex');
+  expect(playerCommand('op', 'Steve; stop')).toBeNull();
+  expect(playerCommand('stop', 'Steve')).toBeNull();
+});
+
+test('plugin.yml, fabric.mod.json and mods.toml metadata', () => {
+  expect(parsePluginYml([
+    'name: EssentialsX',
+    "version: '2.20.1'",
+    'main: com.earth2me.essentials.Essentials',
+    'authors:',
+    '- zenexer',
+    '- md_5',
+    'description: >',
+    '  Provides an essential',
+    '  set of commands.',
+    'commands:',
+    '  home:',
+    '    usage: /home',
+  ].join('\n'))).toEqual({
+    name: 'EssentialsX',
+    version: '2.20.1',
+    main: 'com.earth2me.essentials.Essentials',
+    authors: ['zenexer', 'md_5'],
+    description: 'Provides an essential set of commands.',
+    apiVersion: undefined,
+  });
+  expect(parsePluginYml('name: Tiny\nauthor: Bob\nauthors: [Bob, "Ann"]\nversion: 1.0 # build 3').authors).toEqual(['Bob', 'Ann']);
+
+  expect(parseFabricModJson('{"id":"sodium","name":"Sodium","version":"0.5.8","authors":["JellySquid",{"name":"IMS"}]}')).toEqual({
+    id: 'sodium', name: 'Sodium', version: '0.5.8', authors: ['JellySquid', 'IMS'], description: undefined,
+  });
+  expect(parseFabricModJson('not json')).toBeNull();
+
+  const manifest = parseManifest('Manifest-Version: 1.0\r\nImplementation-Title: jei\r\nImplementation-Version: 15.3.0\r\n .4\r\n');
+  expect(manifest['Implementation-Version']).toBe('15.3.0.4');
+  expect(parseModsToml([
+    'modLoader="javafml"',
+    'authors="mezz"',
+    '[[mods]]',
+    'modId="jei"',
+    'version="${file.jarVersion}"',
+    'displayName="Just Enough Items"',
+    "description='''",
+    'JEI is an item and recipe viewing mod.',
+    "'''",
+    '[[dependencies.jei]]',
+    'modId="forge"',
+  ].join('\n'), manifest)).toEqual({
+    id: 'jei', name: 'Just Enough Items', version: '15.3.0.4', authors: ['mezz'], description: 'JEI is an item and recipe viewing mod.',
+  });
+});
+
+test('backup names and rotation of scheduled backups only', () => {
+  const name = backupFileName('auto', new Date(2025, 2, 14, 21, 5, 9));
+  expect(name).toBe('auto-2025-03-14_21-05-09.zip');
+  expect(parseBackupFileName(name)).toEqual({ kind: 'auto', date: new Date(2025, 2, 14, 21, 5, 9) });
+  expect(parseBackupFileName('../auto-2025-03-14_21-05-09.zip')).toBeNull();
+
+  const files = [
+    'auto-2025-03-14_18-00-00.zip',
+    'manual-2025-01-01_10-00-00.zip',
+    'auto-2025-03-14_21-00-00.zip',
+    'auto-2025-03-13_21-00-00.zip',
+    'pre-restore-2025-02-01_10-00-00.zip',
+    'notes.txt',
+  ];
+  expect(backupsToPrune(files, 2)).toEqual(['auto-2025-03-13_21-00-00.zip']);
+  expect(backupsToPrune(files, 5)).toEqual([]);
+});
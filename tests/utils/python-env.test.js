@@ -0,0 +1,72 @@
+// python-env — venv paths, project environment, activation and venv / install commands, pip output
+
+const {
+  venvPython,
+  pythonEnv,
+  activateCommand,
+  createVenvCommand,
+  installCommand,
+  parseOutdated,
+  parsePythonVersion,
+  parsePyLauncher,
+} = require('../../src/shared/python-env');
+
+test('venv interpreter and environment per platform', () => {
+  expect(venvPython('/app/.venv', 'linux')).toBe('/app/.venv/bin/python');
+  expect(venvPython('C:\\app\\.venv', 'win32')).toBe('C:\\app\\.venv\\Scripts\\python.exe');
+
+  const env = pythonEnv(
+    { PATH: '/old/.venv/bin:/usr/bin', VIRTUAL_ENV: '/old/.venv', PYTHONHOME: '/opt/py', HOME: '/home/me' },
+    { venvDir: '/app/.venv' },
+    'linux'
+  );
+  expect(env).toEqual({ PATH: '/app/.venv/bin:/usr/bin', VIRTUAL_ENV: '/app/.venv', HOME: '/home/me' });
+
+  // Windows keeps the case of its Path key; without venv the chosen interpreter comes first
+  expect(pythonEnv({ Path: 'C:\\Windows;C:\\Python39' }, { interpreter: 'C:\\Python312\\python.exe' }, 'win32'))
+    .toEqual({ Path: 'C:\\Python312;C:\\Windows;C:\\Python39' });
+  expect(pythonEnv({ PATH: '/usr/bin' }, {}, 'linux')).toEqual({ PATH: '/usr/bin' });
+});
+
+test('activate command per shell', () => {
+  expect(activateCommand('/app/.venv', '/bin/zsh', 'linux')).toBe(". '/app/.venv/bin/activate'");
+  expect(activateCommand('/app/.venv', '/usr/bin/fish', 'darwin')).toBe("source '/app/.venv/bin/activate.fish'");
+  expect(activateCommand("/it's/.venv", '/bin/bash', 'linux')).toBe(`. '/it'\\''s/.venv/bin/activate'`);
+  expect(activateCommand('C:\\app\\.venv', 'powershell.exe', 'win32')).toBeNull();
+});
+
+test('create and install commands', () => {
+  expect(createVenvCommand({ interpreter: '/usr/bin/python3.12' }, 'linux'))
+    .toEqual({ command: '/usr/bin/python3.12', args: ['-m', 'venv', '.venv'] });
+  expect(createVenvCommand({ tool: 'uv', interpreter: '3.11', venvDir: 'env' }, 'linux'))
+    .toEqual({ command: 'uv', args: ['venv', 'env', '--python', '3.11'] });
+  expect(createVenvCommand({ tool: 'poetry' }, 'win32'))
+    .toMatchObject({ command: 'poetry', args: ['env', 'use', 'python'], env: { POETRY_VIRTUALENVS_IN_PROJECT: 'true' } });
+
+  const python = '/app/.venv/bin/python';
+  expect(installCommand({ projectType: 'pip', tool: 'venv', files: { requirements: true }, python }))
+    .toEqual({ command: python, args: ['-m', 'pip', 'install', '-r', 'requirements.txt'] });
+  expect(installCommand({ projectType: 'pyproject', tool: 'venv', files: { pyproject: true }, python }).args)
+    .toEqual(['-m', 'pip', 'install', '-e', '.']);
+  expect(installCommand({ projectType: 'pip', tool: 'uv', files: { requirements: true }, python }))
+    .toEqual({ command: 'uv', args: ['pip', 'install', '-r', 'requirements.txt', '--python', python] });
+  expect(installCommand({ projectType: 'pyproject', tool: 'uv', files: { pyproject: true, uvLock: true }, python }).args).toEqual(['sync']);
+  expect(installCommand({ projectType: 'poetry', files: { pyproject: true }, python }).command).toBe('poetry');
+  expect(installCommand({ projectType: null, tool: 'venv', files: {}, python })).toBeNull();
+});
+
+test('pip and launcher output', () => {
+  expect(parseOutdated('[{"name": "requests", "version": "2.28.0", "latest_version": "2.32.3", "latest_filetype": "wheel"}, {"name": "Flask", "version": "2.0.0", "latest_version": "3.0.3"}]'))
+    .toEqual([
+      { name: 'Flask', version: '2.0.0', latest: '3.0.3' },
+      { name: 'requests', version: '2.28.0', latest: '2.32.3' },
+    ]);
+  expect(parseOutdated('ERROR: not json')).toEqual([]);
+  expect(parsePythonVersion('Python 3.12.1\n')).toBe('3.12.1');
+  expect(parsePythonVersion('bash: python: command not found')).toBeNull();
+  expect(parsePyLauncher(' -V:3.12 *        C:\\Python312\\python.exe\r\n -V:3.9          C:\\Users\\me\\AppData\\Local\\Programs\\Python\\Python39\\python.exe\r\n'))
+    .toEqual([
+      { version: '3.12', path: 'C:\\Python312\\python.exe' },
+      { version: '3.9', path: 'C:\\Users\\me\\AppData\\Local\\Programs\\Python\\Python39\\python.exe' },
+    ]);
+});
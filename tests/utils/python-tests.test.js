@@ -0,0 +1,120 @@
+// python-tests — pytest JUnit XML / unittest output parsing, result tree, traceback locations
+
+const {
+  splitTraceback,
+  tracebackLocation,
+  parseJUnitXml,
+  parseUnittestOutput,
+  summarizeTests,
+  buildTestTree,
+  formatTestFailure,
+} = require('../../src/shared/python-tests');
+
+const ROOT = '/home/dev/calc';
+
+const JUNIT = `<?xml version="1.0" encoding="utf-8"?><testsuites><testsuite name="pytest" errors="1" failures="1" skipped="1" tests="4">
+<testcase classname="tests.test_calc.TestAdd" name="test_ok" file="tests/test_calc.py" line="7" time="0.001" />
+<testcase classname="tests.test_calc.TestAdd" name="test_fail" file="tests/test_calc.py" line="10" time="0.002"><failure message="AssertionError: 3 != 4">self = &lt;tests.test_calc.TestAdd testMethod=test_fail&gt;
+
+    def test_fail(self):
+&gt;       self.assertEqual(add(1, 2), 4)
+E       AssertionError: 3 != 4
+
+tests/test_calc.py:12: AssertionError</failure></testcase>
+<testcase classname="tests.test_calc.TestAdd" name="test_skip" file="tests/test_calc.py" line="13" time="0.000"><skipped type="pytest.skip" message="not ready">tests/test_calc.py:14: not ready</skipped></testcase>
+<testcase classname="" name="tests.test_broken" file="tests/test_broken.py" time="0.000"><error message="collection failure">Traceback:
+/usr/lib/python3.11/importlib/__init__.py:126: in import_module
+    return _bootstrap._gcd_import(name[level:], package, level)
+tests/test_broken.py:1: in &lt;module&gt;
+    import nonexistent_mod
+E   ModuleNotFoundError: No module named 'nonexistent_mod'</error></testcase>
+</testsuite></testsuites>`;
+
+const UNITTEST = `test_error (tests.test_calc.TestAdd.test_error) ... ERROR
+test_fail (tests.test_calc.TestAdd) ... FAIL
+test_ok (tests.test_calc.TestAdd.test_ok) ... ok
+test_skip (tests.test_calc.TestAdd.test_skip) ... skipped 'not ready'
+
+======================================================================
+ERROR: test_error (tests.test_calc.TestAdd.test_error)
+----------------------------------------------------------------------
+Traceback (most recent call last):
+  File "${ROOT}/tests/test_calc.py", line 19, in test_error
+    raise ValueError("boom")
+ValueError: boom
+
+======================================================================
+FAIL: test_fail (tests.test_calc.TestAdd)
+----------------------------------------------------------------------
+Traceback (most recent call last):
+  File "${ROOT}/tests/test_calc.py", line 12, in test_fail
+    self.assertEqual(add(1, 2), 4)
+  File "/usr/lib/python3.11/unittest/case.py", line 873, in assertEqual
+    assertion_func(first, second, msg=msg)
+AssertionError: 3 != 4
+
+----------------------------------------------------------------------
+Ran 4 tests in 0.002s
+
+FAILED (failures=1, errors=1, skipped=1)
+`;
+
+test('traceback frames and the last project location', () => {
+  expect(splitTraceback('  File "/a/b.py", line 3, in x\ntests/t.py:12: AssertionError')).toEqual([
+    { text: '  ' },
+    { text: 'File "/a/b.py", line 3', file: '/a/b.py', line: 3 },
+    { text: ', in x\n' },
+    { text: 'tests/t.py:12', file: 'tests/t.py', line: 12 },
+    { text: ': AssertionError' },
+  ]);
+  expect(tracebackLocation(`File "${ROOT}/app/calc.py", line 4, in add\nFile "/venv/lib/python3.12/site-packages/x.py", line 9`, ROOT))
+    .toEqual({ file: 'app/calc.py', line: 4 });
+  expect(tracebackLocation('no frames here')).toBeNull();
+});
+
+test('pytest JUnit XML report', () => {
+  const tests = parseJUnitXml(JUNIT, ROOT);
+  expect(tests.map(t => [t.id, t.status])).toEqual([
+    ['tests/test_calc.py::TestAdd::test_ok', 'passed'],
+    ['tests/test_calc.py::TestAdd::test_fail', 'failed'],
+    ['tests/test_calc.py::TestAdd::test_skip', 'skipped'],
+    ['tests/test_broken.py::tests.test_broken', 'error'],
+  ]);
+  expect(tests[0].location).toEqual({ file: 'tests/test_calc.py', line: 8 });
+  expect(tests[1]).toMatchObject({ message: 'AssertionError: 3 != 4', location: { file: 'tests/test_calc.py', line: 12 } });
+  expect(tests[1].traceback).toContain('>       self.assertEqual(add(1, 2), 4)');
+  expect(tests[2].message).toBe('not ready');
+  expect(tests[3].location).toEqual({ file: 'tests/test_broken.py', line: 1 });
+});
+
+test('unittest verbose output', () => {
+  const tests = parseUnittestOutput(UNITTEST, ROOT);
+  expect(tests.map(t => [t.id, t.status])).toEqual([
+    ['tests/test_calc.py::TestAdd::test_error', 'error'],
+    ['tests/test_calc.py::TestAdd::test_fail', 'failed'],
+    ['tests/test_calc.py::TestAdd::test_ok', 'passed'],
+    ['tests/test_calc.py::TestAdd::test_skip', 'skipped'],
+  ]);
+  expect(tests[0]).toMatchObject({ message: 'ValueError: boom', location: { file: 'tests/test_calc.py', line: 19 } });
+  // The stdlib frame after the test one is skipped
+  expect(tests[1].location).toEqual({ file: 'tests/test_calc.py', line: 12 });
+  expect(tests[1].traceback).toMatch(/^Traceback[\s\S]*AssertionError: 3 != 4$/);
+  expect(tests[3].message).toBe('not ready');
+});
+
+test('summary, tree and failure text', () => {
+  const tests = parseJUnitXml(JUNIT, ROOT);
+  expect(summarizeTests(tests)).toEqual({ total: 4, passed: 1, failed: 1, error: 1, skipped: 1, duration: 0.003 });
+
+  const tree = buildTestTree(tests);
+  expect(tree.map(node => [node.label, node.status])).toEqual([
+    ['tests/test_broken.py', 'error'],
+    ['tests/test_calc.py', 'failed'],
+  ]);
+  const [testClass] = tree[1].children;
+  expect(testClass.label).toBe('TestAdd');
+  expect(testClass.children.map(leaf => leaf.label)).toEqual(['test_fail', 'test_ok', 'test_skip']);
+  expect(tree[1].summary).toMatchObject({ total: 3, passed: 1 });
+
+  expect(formatTestFailure(tests[1])).toMatch(/^FAILED: tests\/test_calc.py::TestAdd::test_fail \(tests\/test_calc.py:12\)\n\nAssertionError: 3 != 4\n\nself = /);
+});
@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+
+// webapp-workspaces — monorepo roots, package globs, package managers and filtered script commands
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parsePnpmWorkspace,
+  detectPackageManager,
+  isYarnBerry,
+  scanWorkspace,
+  scriptCommand,
+  workspaceDevCommand,
+  workspaceScriptProcess,
+  findPackage,
+} = require('../../src/shared/webapp-workspaces');
+
+let dir;
+
+function writeFiles(files) {
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-workspaces-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('parsePnpmWorkspace reads block and flow lists', () => {
+  expect(parsePnpmWorkspace("packages:\n  - 'apps/*'\n  - \"packages/**\" # libs\n  - '!**/test/**'\ncatalog:\n  - x\n"))
+    .toEqual(['apps/*', 'packages/**', '!**/test/**']);
+  expect(parsePnpmWorkspace("packages: ['apps/*', tools/cli]")).toEqual(['apps/*', 'tools/cli']);
+});
+
+test('pnpm workspace with Turborepo, scanned from one of its packages', () => {
+  writeFiles({
+    '.git/HEAD': 'ref: refs/heads/main',
+    'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - 'packages/*'\n  - '!packages/internal'\n",
+    'turbo.json': {},
+    'package.json': { name: 'root', private: true, scripts: { build: 'turbo run build' } },
+    'apps/web/package.json': { name: '@acme/web', scripts: { dev: 'next dev' }, dependencies: { next: '14', react: '18' } },
+    'apps/api/package.json': { name: '@acme/api', scripts: { dev: 'tsx watch src' }, dependencies: { hono: '4' } },
+    'packages/ui/package.json': { name: '@acme/ui', dependencies: { react: '18' } },
+    'packages/internal/package.json': { name: '@acme/internal' },
+    'apps/web/node_modules/dep/package.json': { name: 'dep' },
+  });
+
+  const workspace = scanWorkspace(path.join(dir, 'apps', 'web'));
+  expect(workspace).toMatchObject({ root: dir, rootRelative: '../..', packageManager: 'pnpm', tool: 'turborepo' });
+  expect(workspace.packages.map(p => `${p.name} ${p.path} ${p.framework && p.framework.name}`)).toEqual([
+    '@acme/api apps/api Hono',
+    '@acme/web apps/web Next.js',
+    '@acme/ui packages/ui React',
+  ]);
+
+  const web = findPackage(workspace, 'web');
+  expect(scriptCommand(workspace, web, 'dev')).toEqual({ command: 'pnpm exec turbo run dev --filter=@acme/web', cwd: '' });
+  expect(workspaceScriptProcess(workspace, web, 'dev')).toEqual({
+    id: 'web-dev', name: 'web:dev', command: 'pnpm exec turbo run dev --filter=@acme/web', cwd: '../..',
+  });
+});
+
+test('package manager filters for npm, yarn and bun workspaces', () => {
+  writeFiles({
+    'package.json': { name: 'root', workspaces: { packages: ['services/**'] }, packageManager: 'yarn@4.1.0' },
+    'services/billing/worker/package.json': { name: 'worker', scripts: { start: 'node .' } },
+    'services/docs/package.json': { scripts: { dev: 'astro dev' }, devDependencies: { astro: '4' } },
+  });
+
+  const workspace = scanWorkspace(dir);
+  expect(workspace.rootRelative).toBe('');
+  expect(workspace.packages.map(p => p.path)).toEqual(['services/billing/worker', 'services/docs']);
+  expect(detectPackageManager(path.join(dir, 'services', 'docs'))).toBe('yarn');
+
+  const worker = findPackage(workspace, 'services/billing/worker');
+  const docs = findPackage(workspace, 'docs');
+  expect(scriptCommand(workspace, worker, 'start').command).toBe('yarn workspace worker run start');
+  expect(scriptCommand({ ...workspace, packageManager: 'npm' }, worker, 'start').command).toBe('npm run start --workspace=worker');
+  expect(scriptCommand({ ...workspace, packageManager: 'bun' }, worker, 'start').command).toBe('bun run --filter worker start');
+  // Unnamed packages can't be filtered: run in their own directory
+  expect(workspaceScriptProcess(workspace, docs, 'dev')).toMatchObject({ command: 'yarn run dev', cwd: 'services/docs' });
+});
+
+test('workspace dev commands quote their filters for the platform shell', () => {
+  writeFiles({ 'package.json': { name: 'root', workspaces: ['apps/*'] }, 'apps/web/package.json': { name: 'web', scripts: { dev: 'vite' } } });
+  const workspace = scanWorkspace(dir);
+  const bun = { ...workspace, packageManager: 'bun' };
+
+  expect(workspaceDevCommand(bun, 'linux')).toBe("bun run --filter '*' dev");
+  expect(workspaceDevCommand(bun, 'win32')).toBe('bun run --filter "*" dev');
+  expect(workspaceDevCommand({ ...workspace, packageManager: 'pnpm' }, 'win32')).toBe('pnpm -r --parallel run dev');
+  expect(workspaceDevCommand({ ...workspace, packageManager: 'npm' }, 'win32')).toBe('npm run dev --workspaces --if-present');
+});
+
+test('Yarn 1 and Yarn Berry told apart by packageManager, then .yarnrc.yml', () => {
+  writeFiles({ 'a/package.json': { packageManager: 'yarn@1.22.22' }, 'a/.yarnrc.yml': '' });
+  writeFiles({ 'b/package.json': { packageManager: 'yarn@4.1.0' } });
+  writeFiles({ 'c/package.json': {}, 'c/.yarnrc.yml': 'nodeLinker: node-modules' });
+  writeFiles({ 'd/package.json': {}, 'd/.yarnrc': '' });
+  expect(isYarnBerry(path.join(dir, 'a'))).toBe(false);
+  expect(isYarnBerry(path.join(dir, 'b'))).toBe(true);
+  expect(isYarnBerry(path.join(dir, 'c'))).toBe(true);
+  expect(isYarnBerry(path.join(dir, 'd'))).toBe(false);
+});
+
+test('projects outside a workspace', () => {
+  writeFiles({ 'package.json': { name: 'app', scripts: { dev: 'vite' } }, 'bun.lock': '' });
+  expect(scanWorkspace(dir)).toBeNull();
+  expect(detectPackageManager(dir)).toBe('bun');
+});
@@ -0,0 +1,61 @@
+// workflow-diff — structural diff between workflow revisions
+
+const { diffWorkflows, summarizeDiff } = require('../../src/shared/workflow-diff');
+
+const EXEC = -1;
+const node = (id, type, properties = {}, pos = [0, 0]) => ({
+  id, type: `workflow/${type}`, pos, properties,
+  inputs: [{ name: 'In', type: EXEC }], outputs: [{ name: 'Done', type: EXEC }, { name: 'Error', type: EXEC }],
+});
+const wf = (nodes, links, extra = {}) => ({ name: 'Deploy', trigger: { type: 'manual' }, graph: { nodes, links }, ...extra });
+
+describe('diffWorkflows', () => {
+  test('identical workflows have no changes', () => {
+    const a = wf([node(1, 'trigger'), node(2, 'shell', { command: 'npm test' })], [[1, 1, 0, 2, 0, EXEC]]);
+    const diff = diffWorkflows(a, JSON.parse(JSON.stringify(a)));
+    expect(summarizeDiff(diff).total).toBe(0);
+    expect(diff.nodes.changed).toEqual([]);
+  });
+
+  test('reports added, removed and changed nodes with property changes', () => {
+    const before = wf([node(1, 'trigger'), node(2, 'shell', { command: 'npm test' }), node(3, 'notify')], []);
+    const after = wf([node(1, 'trigger'), node(2, 'shell', { command: 'npm run test:ci', _customTitle: 'CI' }), node(4, 'http')], []);
+
+    const diff = diffWorkflows(before, after);
+    expect(diff.nodes.added.map(n => n.id)).toEqual([4]);
+    expect(diff.nodes.removed.map(n => n.id)).toEqual([3]);
+    expect(diff.nodes.changed).toEqual([{
+      id: 2, type: 'workflow/shell', title: 'CI', moved: false,
+      props: [
+        { key: 'command', before: 'npm test', after: 'npm run test:ci' },
+        { key: '_customTitle', before: undefined, after: 'CI' },
+      ],
+    }]);
+  });
+
+  test('moved nodes are flagged but not counted as edits', () => {
+    const diff = diffWorkflows(wf([node(2, 'shell', {}, [0, 0])], []), wf([node(2, 'shell', {}, [40, 0])], []));
+    expect(diff.nodes.changed[0].moved).toBe(true);
+    expect(summarizeDiff(diff).total).toBe(0);
+  });
+
+  test('connections are compared by endpoints, not link id', () => {
+    const nodes = [node(1, 'trigger'), node(2, 'shell'), node(3, 'notify')];
+    const before = wf(nodes, [[5, 1, 0, 2, 0, EXEC], [6, 2, 0, 3, 0, EXEC]]);
+    const after = wf(nodes, [[9, 1, 0, 2, 0, EXEC], [10, 2, 1, 3, 0, EXEC]]);
+
+    const diff = diffWorkflows(before, after);
+    expect(diff.links.added).toEqual([{ from: 2, fromTitle: 'shell', fromSlot: 'Error', to: 3, toTitle: 'notify', toSlot: 'In' }]);
+    expect(diff.links.removed.map(l => l.fromSlot)).toEqual(['Done']);
+  });
+
+  test('top-level settings changes', () => {
+    const diff = diffWorkflows(wf([], []), wf([], [], { name: 'Release', trigger: { type: 'cron', value: '0 9 * * *' } }));
+    expect(diff.meta.map(m => m.key)).toEqual(['name', 'trigger']);
+  });
+
+  test('a missing previous revision shows everything as added', () => {
+    const diff = diffWorkflows(null, wf([node(1, 'trigger')], []));
+    expect(diff.nodes.added).toHaveLength(1);
+  });
+});
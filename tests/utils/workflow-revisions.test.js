@@ -0,0 +1,23 @@
+// workflow-revisions — revision history entries shared by the app and the MCP workflow tools
+
+const { MAX_REVISIONS_PER_WF, addRevision } = require('../../src/shared/workflow-revisions');
+
+test('adds snapshots newest first, without runtime state', () => {
+  const first = addRevision([], { id: 'wf_a', name: 'First', enabled: true });
+  expect(first.revision).toMatchObject({ workflowId: 'wf_a', source: 'ui', author: null, note: null, workflow: { id: 'wf_a', name: 'First' } });
+  expect(first.revision.workflow).not.toHaveProperty('enabled');
+
+  const second = addRevision(first.revisions, { id: 'wf_a', name: 'Second' }, { source: 'mcp', author: 'Claude', note: 'workflow_rename' });
+  expect(second.revisions.map(r => [r.source, r.workflow.name])).toEqual([['mcp', 'Second'], ['ui', 'First']]);
+});
+
+test('identical snapshots are skipped and the history is capped', () => {
+  const { revisions } = addRevision([], { id: 'wf_b', name: 'Same' });
+  const again = addRevision(revisions, { id: 'wf_b', name: 'Same', enabled: false });
+  expect(again).toEqual({ revisions, revision: null });
+
+  let history = [];
+  for (let i = 0; i < MAX_REVISIONS_PER_WF + 3; i++) history = addRevision(history, { id: 'wf_c', name: `v${i}` }).revisions;
+  expect(history).toHaveLength(MAX_REVISIONS_PER_WF);
+  expect(history[0].workflow.name).toBe(`v${MAX_REVISIONS_PER_WF + 2}`);
+});